@@ -23,6 +23,7 @@ const SERVICE_OPTIONS = [
   { id: 'fanart', name: 'Fanart.tv', kinds: ['poster', 'backdrop', 'logo', 'landscape'] },
   { id: 'rpdb', name: 'RPDB', kinds: ['poster', 'backdrop', 'logo', 'landscape'] },
   { id: 'topPosters', name: 'Top Posters', kinds: ['poster', 'logo', 'episode'] },
+  { id: 'composited', name: 'Rating badges (web & desktop apps only)', kinds: ['poster'] },
   {
     id: 'customUrl',
     name: 'Custom URL Pattern',
@@ -65,6 +66,19 @@ function isPremiumRequiredForKind(provider, kind) {
   return Boolean(kinds && kinds.has(kind));
 }
 
+const COMPOSITE_RATING_SOURCES = [
+  { id: 'imdb', label: 'IMDb' },
+  { id: 'tmdb', label: 'TMDB' },
+  { id: 'mal', label: 'MyAnimeList' },
+];
+
+const DEFAULT_COMPOSITE_LAYOUT = {
+  ratings: ['imdb'],
+  position: 'bottom',
+  certification: false,
+  newSeasonRibbon: false,
+};
+
 // --- Format migration helpers ---
 
 const ART_KIND_KEYS = ['poster', 'backdrop', 'logo', 'landscape', 'episode'];
@@ -147,6 +161,66 @@ function hasConfiguredProviderApiKey(preferences, artworkSettings, provider, con
 
 // --- Sub-components ---
 
+function CompositeLayoutFields({ idPrefix, layout, onChange }) {
+  const current = { ...DEFAULT_COMPOSITE_LAYOUT, ...(layout || {}) };
+  const update = (updates) => onChange({ ...current, ...updates });
+
+  const toggleRating = (source, enabled) => {
+    const ratings = enabled
+      ? COMPOSITE_RATING_SOURCES.map((s) => s.id).filter(
+          (id) => id === source || current.ratings.includes(id)
+        )
+      : current.ratings.filter((id) => id !== source);
+    update({ ratings });
+  };
+
+  return (
+    <div className="artwork-input-group">
+      <div className="artwork-input-label">Ratings on the poster</div>
+      {COMPOSITE_RATING_SOURCES.map((source) => (
+        <label key={source.id} className="artwork-checkbox-row">
+          <input
+            type="checkbox"
+            checked={current.ratings.includes(source.id)}
+            onChange={(e) => toggleRating(source.id, e.target.checked)}
+          />
+          {source.label}
+        </label>
+      ))}
+
+      <label htmlFor={`${idPrefix}-composite-position`} className="artwork-input-label">
+        Ratings position
+      </label>
+      <select
+        id={`${idPrefix}-composite-position`}
+        className="input"
+        value={current.position}
+        onChange={(e) => update({ position: e.target.value })}
+      >
+        <option value="bottom">Bottom</option>
+        <option value="top">Top</option>
+      </select>
+
+      <label className="artwork-checkbox-row">
+        <input
+          type="checkbox"
+          checked={current.certification}
+          onChange={(e) => update({ certification: e.target.checked })}
+        />
+        Show the age certification
+      </label>
+      <label className="artwork-checkbox-row">
+        <input
+          type="checkbox"
+          checked={current.newSeasonRibbon}
+          onChange={(e) => update({ newSeasonRibbon: e.target.checked })}
+        />
+        Show a “New season” ribbon on series with a season out in the last 30 days
+      </label>
+    </div>
+  );
+}
+
 function getArtworkServiceOptions(artKind) {
   const available = SERVICE_OPTIONS.filter((s) => s.kinds.includes(artKind));
   return [
@@ -228,6 +302,13 @@ function ArtKindSelector({ contentType, artKind, artworkSettings, preferences, o
         note: 'Rating Poster Database with custom posters, plus paid backdrops and logos.',
       };
     }
+    if (service === 'composited') {
+      return {
+        name: 'Rating badges',
+        requiresKey: false,
+        note: 'Works only in the Stremio web and desktop apps. The mobile and TV apps cannot draw these posters and show the plain TMDB poster, without badges. Draws ratings, the certification and a new-season ribbon over TMDB posters; rendered by this addon, no key needed.',
+      };
+    }
     if (service === 'topPosters') {
       return {
         name: 'Top Posters',
@@ -324,6 +405,14 @@ function ArtKindSelector({ contentType, artKind, artworkSettings, preferences, o
         </div>
       )}
 
+      {currentProvider === 'composited' && (
+        <CompositeLayoutFields
+          idPrefix={`${contentType}-${artKind}`}
+          layout={artworkConfig.compositeLayout}
+          onChange={(compositeLayout) => updateValue({ compositeLayout })}
+        />
+      )}
+
       {needsApiKey && (
         <>
           {isCustomService && (
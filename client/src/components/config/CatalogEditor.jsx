@@ -2,12 +2,17 @@ import { AlertTriangle, Eye, Film, Globe, Loader, Lock, Sparkles, Tv, X } from '
 import { memo, Suspense, useEffect, useMemo, useState } from 'react';
 import { ActiveFiltersBar } from './catalog/ActiveFiltersBar';
 import { CatalogPreview } from './catalog/CatalogPreview';
+import { CustomListEditor } from './catalog/CustomListEditor';
+import { PostFiltersPanel } from './catalog/PostFiltersPanel';
+import { FilterTemplatePicker } from './catalog/FilterTemplatePicker';
 
 import { useCatalogEditor } from '../../hooks/useCatalogEditor';
 import { useCatalogEditorHandlers } from '../../hooks/useCatalogEditorHandlers';
 import { getSource } from '../../sources/index';
+import { supportsFilterTemplates } from '../../utils/filterTemplates';
 import { useIsMobile } from '../../hooks/useIsMobile';
 import { SearchableSelect } from '../forms/SearchableSelect';
+import { Checkbox } from '../forms/Checkbox';
 
 const SOURCE_ATTRIBUTION = {
   tmdb: { label: 'TMDB', url: 'https://www.themoviedb.org/' },
@@ -17,6 +22,7 @@ const SOURCE_ATTRIBUTION = {
   kitsu: { label: 'Kitsu', url: 'https://kitsu.io/' },
   simkl: { label: 'Simkl', url: 'https://simkl.com/' },
   trakt: { label: 'Trakt', url: 'https://trakt.tv/' },
+  letterboxd: { label: 'Letterboxd', url: 'https://letterboxd.com/' },
 };
 
 const PREVIEW_POSTER_PROVIDER_OVERRIDE_OPTIONS = [
@@ -205,12 +211,14 @@ export const CatalogEditor = memo(function CatalogEditor() {
     imdbSortOptions,
     imdbTitleTypes,
     imdbEnabled,
+    imdbEngine,
     imdbCertificateRatings,
     imdbRankedLists,
     imdbWithDataOptions,
     searchPerson,
     searchCompany,
     searchKeyword,
+    searchTitle,
     searchCollection,
     getCompanyById,
     getCollectionById,
@@ -331,11 +339,13 @@ export const CatalogEditor = memo(function CatalogEditor() {
     toggleSection,
     handleFiltersChange,
     handleNameChange,
+    handleScheduleChange,
     handleTypeChange,
     handleTriStateGenreClick,
     loadPreview,
     handleTVNetworkSearch,
     handleTogglePublished,
+    handleFilterTemplateChange,
   } = handlers;
 
   const handlePreviewClick = async () => {
@@ -370,11 +380,14 @@ export const CatalogEditor = memo(function CatalogEditor() {
   const currentListType = localCatalog?.filters?.listType || 'discover';
   const hasPresetOrigin = Boolean(localCatalog?.filters?.presetOrigin);
   const isCollectionModeListType = currentListType === 'collection' || currentListType === 'studio';
+  const isCustomList = isTmdbSource && currentListType === 'custom';
+  const isEpisodeCalendar = isTmdbSource && currentListType === 'episode_calendar';
   const isPresetCatalog =
     currentListType &&
     currentListType !== 'discover' &&
     !hasPresetOrigin &&
-    !isCollectionModeListType;
+    !isCollectionModeListType &&
+    !isEpisodeCalendar;
   const supportsFullFilters = !isPresetCatalog && !isCollection;
   const isImdbCatalog = localCatalog?.source === 'imdb';
   const showImdbSourceDisabledNotice = isImdbCatalog && !imdbEnabled;
@@ -435,6 +448,8 @@ export const CatalogEditor = memo(function CatalogEditor() {
   const sourcePanelProps = {
     localCatalog,
     onFiltersChange: handleFiltersChange,
+    onScheduleChange: handleScheduleChange,
+    onFilterTemplateChange: handleFilterTemplateChange,
     sortOptions,
     originalLanguages,
     languages: safeOriginalLanguages,
@@ -487,6 +502,7 @@ export const CatalogEditor = memo(function CatalogEditor() {
     imdbAwards,
     imdbSortOptions,
     imdbTitleTypes,
+    imdbEngine,
     imdbCertificateRatings,
     imdbRankedLists,
     imdbWithDataOptions,
@@ -589,25 +605,32 @@ export const CatalogEditor = memo(function CatalogEditor() {
                 />
               </div>
               {!localCatalog?.name?.trim() && <span className="field-error">Name is required</span>}
-              <div style={{ fontSize: '11px', color: 'var(--text-muted)' }}>
-                Powered by{' '}
-                <a
-                  href={
-                    SOURCE_ATTRIBUTION[localCatalog?.source]?.url || SOURCE_ATTRIBUTION.tmdb.url
-                  }
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  style={{
-                    color: 'var(--accent-primary)',
-                    textDecoration: 'none',
-                    fontWeight: 600,
-                  }}
-                  onMouseEnter={(e) => (e.currentTarget.style.textDecoration = 'underline')}
-                  onMouseLeave={(e) => (e.currentTarget.style.textDecoration = 'none')}
-                >
-                  {SOURCE_ATTRIBUTION[localCatalog?.source]?.label || SOURCE_ATTRIBUTION.tmdb.label}
-                </a>
-              </div>
+              {localCatalog?.source === 'composite' ? (
+                <div style={{ fontSize: '11px', color: 'var(--text-muted)' }}>
+                  Merged from your other catalogs
+                </div>
+              ) : (
+                <div style={{ fontSize: '11px', color: 'var(--text-muted)' }}>
+                  Powered by{' '}
+                  <a
+                    href={
+                      SOURCE_ATTRIBUTION[localCatalog?.source]?.url || SOURCE_ATTRIBUTION.tmdb.url
+                    }
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    style={{
+                      color: 'var(--accent-primary)',
+                      textDecoration: 'none',
+                      fontWeight: 600,
+                    }}
+                    onMouseEnter={(e) => (e.currentTarget.style.textDecoration = 'underline')}
+                    onMouseLeave={(e) => (e.currentTarget.style.textDecoration = 'none')}
+                  >
+                    {SOURCE_ATTRIBUTION[localCatalog?.source]?.label ||
+                      SOURCE_ATTRIBUTION.tmdb.label}
+                  </a>
+                </div>
+              )}
               <button
                 type="button"
                 className={`catalog-visibility-toggle ${localCatalog?.published === false ? 'is-private' : 'is-public'}`}
@@ -716,10 +739,54 @@ export const CatalogEditor = memo(function CatalogEditor() {
             />
           )}
 
+          {(isCustomList || isEpisodeCalendar) && (
+            <CustomListEditor
+              localCatalog={localCatalog}
+              onFiltersChange={handleFiltersChange}
+              searchTitle={searchTitle}
+              expandedSections={expandedSections}
+              onToggleSection={toggleSection}
+              pinnedShows={isEpisodeCalendar}
+            />
+          )}
+
+          {/* TMDB shows the picker inside its Sort & Filter section. */}
+          {localCatalog?.source &&
+            localCatalog.source !== 'tmdb' &&
+            supportsFilterTemplates(localCatalog) &&
+            !(isImdbCatalog && isPresetCatalog) && (
+              <FilterTemplatePicker
+                localCatalog={localCatalog}
+                onFilterTemplateChange={handleFilterTemplateChange}
+              />
+            )}
+
           <Suspense fallback={null}>
             <SourceFilterPanel {...sourcePanelProps} />
           </Suspense>
 
+          {!isCollection && (
+            <PostFiltersPanel
+              localCatalog={localCatalog}
+              onFiltersChange={handleFiltersChange}
+              expandedSections={expandedSections}
+              onToggleSection={toggleSection}
+            />
+          )}
+
+          {!isCollection && (
+            <div className="catalog-snapshot-option">
+              <Checkbox
+                checked={!!localCatalog?.filters?.newSinceSnapshot}
+                onChange={(checked) =>
+                  handleFiltersChange('newSinceSnapshot', checked || undefined)
+                }
+                label="New titles only"
+                tooltip="Only show titles that were not in this catalog at its last weekly snapshot, e.g. what's new on a streaming service this week. The first snapshot is taken when the catalog next loads, so it starts out empty."
+              />
+            </div>
+          )}
+
           <div className="mobile-preview-btn-container">
             <div className="preview-provider-field mobile-preview-provider">
               <span className="preview-provider-label">Preview posters</span>
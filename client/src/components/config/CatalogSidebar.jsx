@@ -19,6 +19,7 @@ import { SocialButtons } from '../social/SocialButtons.jsx';
 import { useState, useEffect, lazy, Suspense, memo } from 'react';
 
 import { useIsMobile } from '../../hooks/useIsMobile';
+import { api } from '../../services/api';
 import { useCatalog, useTMDBData, useAppActions } from '../../context/AppContext';
 import { CatalogListSkeleton } from '../layout/Skeleton';
 import { DonateModal } from '../modals/DonateModal';
@@ -56,6 +57,7 @@ export const CatalogSidebar = memo(function CatalogSidebar() {
     handleDuplicateCatalog: onDuplicateCatalog,
     handleImportConfig: onImportConfig,
     setCatalogs,
+    userId,
   } = useCatalog();
   const {
     presetCatalogs = { movie: [], series: [] },
@@ -82,6 +84,12 @@ export const CatalogSidebar = memo(function CatalogSidebar() {
   const [showSettingsModal, setShowSettingsModal] = useState(false);
   const [settingsInitialSection, setSettingsInitialSection] = useState('data');
   const [isDonateOpen, setIsDonateOpen] = useState(false);
+  const [linkStatuses, setLinkStatuses] = useState({});
+  const [linkReloadKey, setLinkReloadKey] = useState(0);
+  const linkedCatalogKey = safeCatalogs
+    .filter((c) => c.clonedFrom?.linked)
+    .map((c) => c._id)
+    .join(',');
 
   useEffect(() => {
     setMoviePresetsCollapsed(isMobile);
@@ -105,6 +113,46 @@ export const CatalogSidebar = memo(function CatalogSidebar() {
     };
   }, []);
 
+  // Linked marketplace catalogs: ask the server which ones the author has
+  // changed since they were last synced.
+  useEffect(() => {
+    if (!userId || !linkedCatalogKey) return undefined;
+    let cancelled = false;
+    api
+      .getMarketplaceLinks(userId)
+      .then((data) => {
+        if (cancelled) return;
+        setLinkStatuses(
+          Object.fromEntries((data?.items || []).map((item) => [item.catalogId, item.status]))
+        );
+      })
+      .catch(() => {
+        if (!cancelled) setLinkStatuses({});
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, linkedCatalogKey, linkReloadKey]);
+
+  const handleLinkAction = async (catalog, action) => {
+    try {
+      const { catalog: updated } =
+        action === 'sync'
+          ? await api.syncMarketplaceLink(userId, catalog._id)
+          : await api.detachMarketplaceLink(userId, catalog._id);
+      setCatalogs((prev) => prev.map((c) => (c._id === updated._id ? updated : c)));
+      if (activeCatalog?._id === updated._id) onSelectCatalog(updated);
+      setLinkReloadKey((key) => key + 1);
+      addToast(
+        action === 'sync'
+          ? 'Catalog updated from the marketplace'
+          : 'Catalog detached into a local copy'
+      );
+    } catch (err) {
+      addToast(err.message || 'Failed to update the linked catalog', 'error');
+    }
+  };
+
   // Sync global source if active catalog changes
   useEffect(() => {
     if (activeCatalog?.source) {
@@ -181,6 +229,8 @@ export const CatalogSidebar = memo(function CatalogSidebar() {
               onDuplicateCatalog={onDuplicateCatalog}
               onReorderCatalogs={onReorderCatalogs}
               getCatalogKey={getCatalogKey}
+              linkStatuses={linkStatuses}
+              onLinkAction={userId ? handleLinkAction : undefined}
             />
           </Suspense>
         )}
@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react';
+import { Loader, RotateCcw } from 'lucide-react';
+import { api } from '../../services/api';
+import { useConfirmDelete } from '../../hooks/useConfirmDelete';
+import { diffConfigRevisions, isEmptyConfigDiff } from '../../utils/configDiff';
+import { humanizeFilterValue } from '../../utils/filterLabels';
+
+function formatSavedAt(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+function RevisionDiff({ diff }) {
+  if (!diff) {
+    return <span className="config-history-empty">Oldest kept revision</span>;
+  }
+  if (isEmptyConfigDiff(diff)) {
+    return <span className="config-history-empty">No catalog changes</span>;
+  }
+
+  const filterSummary = ({ added, removed, changed }) =>
+    [
+      ...added.map((key) => `+${humanizeFilterValue(key)}`),
+      ...removed.map((key) => `−${humanizeFilterValue(key)}`),
+      ...changed.map((key) => `~${humanizeFilterValue(key)}`),
+    ].join(', ');
+
+  return (
+    <ul className="config-history-diff">
+      {diff.renamed && (
+        <li>
+          Renamed “{diff.renamed.from || 'Untitled'}” to “{diff.renamed.to || 'Untitled'}”
+        </li>
+      )}
+      {diff.added.map((catalog) => (
+        <li key={`added-${catalog.id}`} className="diff-added">
+          Added {catalog.name}
+        </li>
+      ))}
+      {diff.removed.map((catalog) => (
+        <li key={`removed-${catalog.id}`} className="diff-removed">
+          Removed {catalog.name}
+        </li>
+      ))}
+      {diff.changed.map((catalog) => (
+        <li key={`changed-${catalog.id}`} className="diff-changed">
+          Changed {catalog.name}
+          {catalog.fields.length > 0 && ` (${catalog.fields.join(', ')})`}
+          {filterSummary(catalog.filters) && `: ${filterSummary(catalog.filters)}`}
+        </li>
+      ))}
+      {diff.reordered && <li>Reordered catalogs</li>}
+    </ul>
+  );
+}
+
+export function ConfigHistorySection({ userId, isDirty, onRollback }) {
+  const [reloadKey, setReloadKey] = useState(0);
+  const [history, setHistory] = useState({ key: null, revisions: [], limit: 0, error: '' });
+  const requestKey = `${userId}:${reloadKey}`;
+  const loading = !!userId && history.key !== requestKey;
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    api
+      .getConfigHistory(userId)
+      .then((data) => {
+        if (cancelled) return;
+        setHistory({
+          key: requestKey,
+          revisions: data?.revisions || [],
+          limit: data?.limit || 0,
+          error: '',
+        });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setHistory({
+          key: requestKey,
+          revisions: [],
+          limit: 0,
+          error: err.message || 'Failed to load history',
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, requestKey]);
+
+  const { confirmId, deletingId, requestDelete } = useConfirmDelete(async (rev) => {
+    await onRollback(rev);
+    setReloadKey((key) => key + 1);
+  });
+
+  if (!userId) {
+    return <p className="settings-desc">Save this configuration to start keeping its history.</p>;
+  }
+
+  const { revisions, limit, error } = history;
+
+  return (
+    <div className="config-history">
+      <p className="settings-desc" style={{ marginBottom: '12px' }}>
+        Every save that changes the name or catalogs is kept here
+        {limit ? ` (last ${limit})` : ''}. Restoring a revision saves it as a new one, so it can be
+        undone too. Preferences and API keys are not affected.
+        {isDirty && ' Unsaved changes are discarded when you restore.'}
+      </p>
+
+      {loading && (
+        <div className="config-history-empty">
+          <Loader size={14} className="animate-spin" /> Loading history…
+        </div>
+      )}
+      {!loading && error && <span className="field-error">{error}</span>}
+      {!loading && !error && revisions.length === 0 && (
+        <p className="config-history-empty">No revisions yet.</p>
+      )}
+
+      {!loading && revisions.length > 0 && (
+        <ol className="config-history-list">
+          {revisions.map((revision, index) => {
+            const older = revisions[index + 1];
+            const isCurrent = index === 0;
+            return (
+              <li key={revision.rev} className="config-history-item">
+                <div className="config-history-item-header">
+                  <span className="settings-label">
+                    Revision {revision.rev}
+                    {isCurrent && ' · current'}
+                  </span>
+                  <span className="config-history-date">{formatSavedAt(revision.savedAt)}</span>
+                  {!isCurrent && (
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm"
+                      disabled={deletingId !== null}
+                      onClick={(e) => requestDelete(revision.rev, e).catch(() => {})}
+                    >
+                      {deletingId === revision.rev ? (
+                        <Loader size={14} className="animate-spin" />
+                      ) : (
+                        <RotateCcw size={14} />
+                      )}
+                      {confirmId === revision.rev ? 'Confirm restore' : 'Restore'}
+                    </button>
+                  )}
+                </div>
+                <RevisionDiff diff={older ? diffConfigRevisions(older, revision) : null} />
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -23,6 +23,8 @@ export function DraggableCatalogList({
   onDuplicateCatalog,
   onReorderCatalogs,
   getCatalogKey,
+  linkStatuses = {},
+  onLinkAction,
 }) {
   const sensors = useSensors(
     useSensor(PointerSensor, {
@@ -59,6 +61,8 @@ export function DraggableCatalogList({
             onSelect={onSelectCatalog}
             onDelete={onDeleteCatalog}
             onDuplicate={onDuplicateCatalog}
+            linkStatus={linkStatuses[catalog._id]}
+            onLinkAction={onLinkAction}
           />
         ))}
       </SortableContext>
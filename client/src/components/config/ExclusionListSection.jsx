@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { FileSpreadsheet, History, Plus, Trash2, X } from 'lucide-react';
+import {
+  MAX_EXCLUDED_ITEMS,
+  excludedItemKey,
+  mergeExcludedItems,
+  normalizeExcludedId,
+  parseExclusionCsv,
+  parseTraktExport,
+} from '../../utils/exclusionImport';
+
+const IMPORT_FORMATS = [
+  {
+    id: 'csv',
+    title: 'Import CSV',
+    desc: 'IMDb export or any sheet with ids',
+    accept: '.csv,.txt',
+    icon: FileSpreadsheet,
+    parse: parseExclusionCsv,
+  },
+  {
+    id: 'trakt',
+    title: 'Import Trakt',
+    desc: 'History, watched or ratings JSON',
+    accept: '.json',
+    icon: History,
+    parse: parseTraktExport,
+  },
+];
+
+export function ExclusionListSection({ preferences, onChange, onNotify }) {
+  const [draftId, setDraftId] = useState('');
+  const [draftType, setDraftType] = useState('movie');
+  const [draftError, setDraftError] = useState('');
+
+  const items = Array.isArray(preferences?.excludedItems) ? preferences.excludedItems : [];
+
+  const setItems = (next) => onChange({ ...preferences, excludedItems: next });
+
+  const addItems = (incoming) => {
+    const { items: merged, added } = mergeExcludedItems(items, incoming);
+    if (added > 0) setItems(merged);
+    return added;
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const id = normalizeExcludedId(draftId);
+    if (!id) {
+      setDraftError('Enter an IMDb id (tt0944947) or a TMDB id (1399)');
+      return;
+    }
+    const added = addItems([id.startsWith('tmdb:') ? { id, type: draftType } : { id }]);
+    setDraftError(added > 0 ? '' : 'Already hidden');
+    if (added > 0) setDraftId('');
+  };
+
+  const handleImport = (format, file) => {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const parsed = format.parse(event.target.result);
+        const added = addItems(parsed);
+        onNotify?.(
+          parsed.length === 0
+            ? 'No titles found in that file'
+            : `Hidden ${added} new title${added === 1 ? '' : 's'}`,
+          parsed.length === 0 ? 'error' : 'success'
+        );
+      } catch {
+        onNotify?.('Failed to parse file', 'error');
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="exclusion-list">
+      <p className="settings-desc" style={{ marginBottom: '12px' }}>
+        Titles listed here are removed from every catalog in this config. Rows are refilled from the
+        next page so they stay full.
+      </p>
+
+      <div className="settings-action-grid" style={{ marginBottom: '16px' }}>
+        {IMPORT_FORMATS.map((format) => {
+          const Icon = format.icon;
+          return (
+            <label key={format.id} className="btn settings-action-card">
+              <div className="sac-icon">
+                <Icon size={18} />
+              </div>
+              <div className="sac-text">
+                <span className="sac-title">{format.title}</span>
+                <span className="sac-desc">{format.desc}</span>
+              </div>
+              <input
+                type="file"
+                accept={format.accept}
+                className="hidden-file-input"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (file) handleImport(format, file);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          );
+        })}
+      </div>
+
+      <form className="exclusion-add-row" onSubmit={handleAdd}>
+        <input
+          type="text"
+          className="input"
+          placeholder="tt0944947 or TMDB id"
+          value={draftId}
+          onChange={(e) => {
+            setDraftId(e.target.value);
+            setDraftError('');
+          }}
+          aria-label="Title id to hide"
+        />
+        {!draftId.trim().toLowerCase().startsWith('tt') && (
+          <select
+            className="input"
+            value={draftType}
+            onChange={(e) => setDraftType(e.target.value)}
+            aria-label="TMDB id type"
+          >
+            <option value="movie">Movie</option>
+            <option value="series">Series</option>
+          </select>
+        )}
+        <button type="submit" className="btn btn-secondary" disabled={!draftId.trim()}>
+          <Plus size={14} /> Hide
+        </button>
+      </form>
+      {draftError && <span className="field-error">{draftError}</span>}
+
+      <div className="exclusion-list-header">
+        <span className="settings-label">
+          {items.length} hidden title{items.length === 1 ? '' : 's'}
+          {items.length >= MAX_EXCLUDED_ITEMS && ' (limit reached)'}
+        </span>
+        {items.length > 0 && (
+          <button type="button" className="btn btn-ghost btn-sm" onClick={() => setItems([])}>
+            <Trash2 size={14} /> Clear all
+          </button>
+        )}
+      </div>
+
+      {items.length > 0 && (
+        <ul className="exclusion-items">
+          {items.map((item) => (
+            <li key={excludedItemKey(item)} className="exclusion-item">
+              <span className="exclusion-item-name">{item.name || item.id}</span>
+              <span className="exclusion-item-id">
+                {item.name ? item.id : ''}
+                {item.type ? ` · ${item.type}` : ''}
+              </span>
+              <button
+                type="button"
+                className="btn btn-ghost btn-icon"
+                onClick={() =>
+                  setItems(items.filter((i) => excludedItemKey(i) !== excludedItemKey(item)))
+                }
+                aria-label={`Unhide ${item.name || item.id}`}
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import { Pencil, Plus, Save, Trash2, X } from 'lucide-react';
+import { useConfirmDelete } from '../../hooks/useConfirmDelete';
+import { useFilterTemplates } from '../../hooks/useFilterTemplates';
+import { summarizeTemplate } from '../../utils/filterTemplates';
+
+const NUMBER_FIELDS = [
+  { key: 'yearFrom', label: 'Year from', min: 1870, max: 2100 },
+  { key: 'yearTo', label: 'Year to', min: 1870, max: 2100 },
+  { key: 'ratingMin', label: 'Rating min', min: 0, max: 10, step: 0.1 },
+  { key: 'ratingMax', label: 'Rating max', min: 0, max: 10, step: 0.1 },
+  { key: 'voteCountMin', label: 'Min votes', min: 0 },
+  { key: 'runtimeMin', label: 'Runtime min', min: 0, max: 1000 },
+  { key: 'runtimeMax', label: 'Runtime max', min: 0, max: 1000 },
+];
+
+const LIST_FIELDS = [
+  { key: 'languages', label: 'Languages', placeholder: 'en, ja', format: (v) => v.toLowerCase() },
+  { key: 'countries', label: 'Countries', placeholder: 'US, GB', format: (v) => v.toUpperCase() },
+  { key: 'genres', label: 'Genres', placeholder: 'Drama, Sci-Fi' },
+  { key: 'excludeGenres', label: 'Exclude genres', placeholder: 'Reality' },
+];
+
+function toDraft(template) {
+  const filters = template?.filters || {};
+  const draft = { id: template?.id, name: template?.name || '' };
+  for (const { key } of NUMBER_FIELDS) draft[key] = filters[key] ?? '';
+  for (const { key } of LIST_FIELDS) draft[key] = (filters[key] || []).join(', ');
+  return draft;
+}
+
+function fromDraft(draft) {
+  const filters = {};
+  for (const { key } of NUMBER_FIELDS) {
+    const value = parseFloat(draft[key]);
+    if (Number.isFinite(value)) filters[key] = value;
+  }
+  for (const { key, format = (v) => v } of LIST_FIELDS) {
+    const values = String(draft[key])
+      .split(',')
+      .map((value) => format(value.trim()))
+      .filter(Boolean);
+    if (values.length > 0) filters[key] = values;
+  }
+  return { id: draft.id, name: draft.name.trim(), filters };
+}
+
+export function FilterTemplatesSection({ catalogs, onNotify }) {
+  const { templates, saveTemplate, deleteTemplate } = useFilterTemplates();
+  const [draft, setDraft] = useState(null);
+  const { confirmId, requestDelete } = useConfirmDelete(deleteTemplate);
+
+  const handleSave = () => {
+    const template = fromDraft(draft);
+    if (!template.name) {
+      onNotify?.('Give the template a name', 'error');
+      return;
+    }
+    saveTemplate(template);
+    setDraft(null);
+    onNotify?.(`Saved template ${template.name}`, 'success');
+  };
+
+  const setField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="filter-templates">
+      <p className="settings-desc" style={{ marginBottom: '12px' }}>
+        Named filter sets you can apply to any catalog from its filter panel. Catalogs that inherit
+        a template pick up every edit you make here; values a source has no equivalent for are
+        skipped.
+      </p>
+
+      {!draft && (
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          style={{ marginBottom: '12px' }}
+          onClick={() => setDraft(toDraft(null))}
+        >
+          <Plus size={14} /> New template
+        </button>
+      )}
+
+      {draft && (
+        <div className="filter-template-form">
+          <input
+            type="text"
+            className="input"
+            aria-label="Template name"
+            placeholder="Template name"
+            maxLength={60}
+            value={draft.name}
+            onChange={(e) => setField('name', e.target.value)}
+          />
+          <div className="filter-template-grid">
+            {NUMBER_FIELDS.map((field) => (
+              <label key={field.key} className="filter-template-field">
+                <span className="settings-label">{field.label}</span>
+                <input
+                  type="number"
+                  className="input"
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  value={draft[field.key]}
+                  onChange={(e) => setField(field.key, e.target.value)}
+                />
+              </label>
+            ))}
+            {LIST_FIELDS.map((field) => (
+              <label key={field.key} className="filter-template-field">
+                <span className="settings-label">{field.label}</span>
+                <input
+                  type="text"
+                  className="input"
+                  placeholder={field.placeholder}
+                  value={draft[field.key]}
+                  onChange={(e) => setField(field.key, e.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="exclusion-list-header">
+            <button type="button" className="btn btn-primary btn-sm" onClick={handleSave}>
+              <Save size={14} /> Save template
+            </button>
+            <button type="button" className="btn btn-ghost btn-sm" onClick={() => setDraft(null)}>
+              <X size={14} /> Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {templates.length === 0 && !draft && (
+        <p className="config-history-empty">No filter templates yet.</p>
+      )}
+
+      {templates.length > 0 && (
+        <ul className="config-history-list">
+          {templates.map((template) => {
+            const inheritCount = (catalogs || []).filter(
+              (c) => c.filterTemplateId === template.id
+            ).length;
+            return (
+              <li key={template.id} className="config-history-item">
+                <div className="config-history-item-header">
+                  <span className="settings-label">{template.name}</span>
+                  <span className="config-history-date">
+                    {summarizeTemplate(template.filters)}
+                    {inheritCount > 0 &&
+                      ` · inherited by ${inheritCount} catalog${inheritCount === 1 ? '' : 's'}`}
+                  </span>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm"
+                    onClick={() => setDraft(toDraft(template))}
+                  >
+                    <Pencil size={14} /> Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm"
+                    title="Inheriting catalogs keep their current filters"
+                    onClick={(e) => requestDelete(template.id, e)}
+                  >
+                    <Trash2 size={14} />
+                    {confirmId === template.id ? 'Confirm' : 'Delete'}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import { useEffect, useState } from 'react';
+import { Loader, Plus, Share2, Trash2 } from 'lucide-react';
+import { api } from '../../services/api';
+import { useConfirmDelete } from '../../hooks/useConfirmDelete';
+
+const TYPE_LABELS = { movie: 'Movies', series: 'TV Shows', anime: 'Anime' };
+
+export function HouseholdSection({ userId, catalogs, isDirty, onCatalogsChange, onNotify }) {
+  const [reloadKey, setReloadKey] = useState(0);
+  const [household, setHousehold] = useState({ key: null, catalogs: [], profiles: [], error: '' });
+  const [shareId, setShareId] = useState('');
+  const [sharing, setSharing] = useState(false);
+  const requestKey = `${userId}:${reloadKey}`;
+  const loading = !!userId && household.key !== requestKey;
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    api
+      .getHousehold()
+      .then((data) => {
+        if (cancelled) return;
+        setHousehold({
+          key: requestKey,
+          catalogs: data?.catalogs || [],
+          profiles: data?.profiles || [],
+          error: '',
+        });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setHousehold({
+          key: requestKey,
+          catalogs: [],
+          profiles: [],
+          error: err.message || 'Failed to load household',
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, requestKey]);
+
+  const { confirmId, deletingId, requestDelete } = useConfirmDelete(async (sharedId) => {
+    try {
+      await api.unshareHouseholdCatalog(sharedId);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      onNotify?.(err.message || 'Failed to stop sharing', 'error');
+    }
+  });
+
+  if (!userId) {
+    return <p className="settings-desc">Save this configuration to share catalogs with it.</p>;
+  }
+
+  const safeCatalogs = Array.isArray(catalogs) ? catalogs : [];
+  const shareable = safeCatalogs.filter((c) => !c.householdCatalogId);
+  const { profiles, error } = household;
+
+  const handleShare = async () => {
+    setSharing(true);
+    try {
+      const { catalog } = await api.shareHouseholdCatalog(userId, shareId);
+      onCatalogsChange((prev) => prev.map((c) => (c._id === catalog._id ? catalog : c)));
+      setShareId('');
+      setReloadKey((key) => key + 1);
+      onNotify?.(`Shared ${catalog.name} with the household`, 'success');
+    } catch (err) {
+      onNotify?.(err.message || 'Failed to share catalog', 'error');
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const handleInclude = (shared) => {
+    onCatalogsChange((prev) => [
+      ...prev,
+      {
+        ...structuredClone(shared),
+        _id: crypto.randomUUID(),
+        householdCatalogId: shared._id,
+        enabled: true,
+      },
+    ]);
+    onNotify?.(`Added ${shared.name}; save to publish it in this profile`, 'success');
+  };
+
+  return (
+    <div className="household">
+      <p className="settings-desc" style={{ marginBottom: '12px' }}>
+        Every configuration made with your TMDB key is a profile with its own install link, language
+        and adult setting. Shared catalogs are defined once: editing one in any profile updates it
+        everywhere, while hiding it or toggling adult content stays per profile.
+      </p>
+
+      <div className="exclusion-list-header" style={{ marginBottom: '12px' }}>
+        <select
+          className="input"
+          aria-label="Catalog to share"
+          value={shareId}
+          onChange={(e) => setShareId(e.target.value)}
+          disabled={isDirty || shareable.length === 0}
+        >
+          <option value="">Choose a catalog to share…</option>
+          {shareable.map((catalog) => (
+            <option key={catalog._id} value={catalog._id}>
+              {catalog.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          disabled={!shareId || isDirty || sharing}
+          onClick={handleShare}
+        >
+          {sharing ? <Loader size={14} className="animate-spin" /> : <Share2 size={14} />}
+          Share
+        </button>
+      </div>
+      {isDirty && (
+        <p className="config-history-empty">Save your changes before sharing a catalog.</p>
+      )}
+
+      {loading && (
+        <div className="config-history-empty">
+          <Loader size={14} className="animate-spin" /> Loading household…
+        </div>
+      )}
+      {!loading && error && <span className="field-error">{error}</span>}
+      {!loading && !error && household.catalogs.length === 0 && (
+        <p className="config-history-empty">No shared catalogs yet.</p>
+      )}
+
+      {!loading && household.catalogs.length > 0 && (
+        <ul className="config-history-list">
+          {household.catalogs.map((shared) => {
+            const included = safeCatalogs.some((c) => c.householdCatalogId === shared._id);
+            const profileCount = profiles.filter((p) => p.catalogIds.includes(shared._id)).length;
+            return (
+              <li key={shared._id} className="config-history-item">
+                <div className="config-history-item-header">
+                  <span className="settings-label">{shared.name}</span>
+                  <span className="config-history-date">
+                    {TYPE_LABELS[shared.type] || shared.type} · in {profileCount} of{' '}
+                    {profiles.length} profile{profiles.length === 1 ? '' : 's'}
+                  </span>
+                  {included ? (
+                    <span className="config-history-empty">Included</span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm"
+                      onClick={() => handleInclude(shared)}
+                    >
+                      <Plus size={14} /> Include
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm"
+                    disabled={deletingId !== null}
+                    title="Profiles that include it keep their own copy"
+                    onClick={(e) => requestDelete(shared._id, e).catch(() => {})}
+                  >
+                    {deletingId === shared._id ? (
+                      <Loader size={14} className="animate-spin" />
+                    ) : (
+                      <Trash2 size={14} />
+                    )}
+                    {confirmId === shared._id ? 'Confirm' : 'Stop sharing'}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
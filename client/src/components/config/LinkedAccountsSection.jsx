@@ -0,0 +1,186 @@
+import { useEffect, useState } from 'react';
+import { ExternalLink, Link2, Loader, Unlink, X } from 'lucide-react';
+import { api } from '../../services/api';
+
+const PROVIDER_LABELS = { trakt: 'Trakt', simkl: 'Simkl' };
+
+const PROVIDER_LISTS = {
+  trakt: 'watchlist, collection, recommendations, continue watching and unwatched from your lists',
+  simkl: 'plan to watch, continue watching and unwatched anime',
+};
+
+export function LinkedAccountsSection({ userId, onNotify }) {
+  const [state, setState] = useState({ userId: null, accounts: [] });
+  const [reloadKey, setReloadKey] = useState(0);
+  const [pending, setPending] = useState(null);
+  const [busyProvider, setBusyProvider] = useState(null);
+  const loading = !!userId && state.userId !== userId;
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    api
+      .getLinkedAccounts(userId)
+      .then((data) => {
+        if (!cancelled) setState({ userId, accounts: data.accounts || [] });
+      })
+      .catch(() => {
+        if (!cancelled) setState({ userId, accounts: [] });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, reloadKey]);
+
+  // Poll at the provider's interval until the code is approved or expires.
+  useEffect(() => {
+    if (!pending) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { status, username } = await api.pollAccountLink(userId, pending.provider);
+        if (cancelled) return;
+        if (status === 'pending' || status === 'slow_down') {
+          setPending(
+            (prev) =>
+              prev && {
+                ...prev,
+                interval: status === 'slow_down' ? prev.interval + 5 : prev.interval,
+                polls: prev.polls + 1,
+              }
+          );
+          return;
+        }
+        setPending(null);
+        const label = PROVIDER_LABELS[pending.provider];
+        if (status === 'linked') {
+          onNotify?.(`${label} linked${username ? ` as ${username}` : ''}`, 'success');
+          setReloadKey((key) => key + 1);
+        } else {
+          onNotify?.(
+            status === 'denied' ? `${label} link was declined` : `${label} code expired`,
+            'error'
+          );
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setPending(null);
+        onNotify?.(err.message || 'Failed to check the link', 'error');
+      }
+    }, pending.interval * 1000);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pending, userId, onNotify]);
+
+  const handleLink = async (provider) => {
+    setBusyProvider(provider);
+    try {
+      const code = await api.startAccountLink(userId, provider);
+      setPending({ provider, ...code, interval: code.interval || 5, polls: 0 });
+    } catch (err) {
+      onNotify?.(err.message || 'Failed to start linking', 'error');
+    } finally {
+      setBusyProvider(null);
+    }
+  };
+
+  const handleUnlink = async (provider) => {
+    setBusyProvider(provider);
+    try {
+      await api.unlinkAccount(userId, provider);
+      onNotify?.(`${PROVIDER_LABELS[provider]} unlinked`, 'success');
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      onNotify?.(err.message || 'Failed to unlink', 'error');
+    } finally {
+      setBusyProvider(null);
+    }
+  };
+
+  return (
+    <div className="linked-accounts">
+      <p className="settings-desc" style={{ marginBottom: '12px' }}>
+        Link an account to build catalogs from your own library. Pick the &quot;My Account&quot;
+        list types in a Trakt or Simkl catalog. Tokens are stored encrypted and never leave the
+        server.
+      </p>
+
+      {!userId && <p className="config-history-empty">Save this configuration to link accounts.</p>}
+      {loading && (
+        <div className="config-history-empty">
+          <Loader size={14} className="animate-spin" /> Loading accounts…
+        </div>
+      )}
+
+      {userId && !loading && (
+        <ul className="config-history-list">
+          {state.accounts.map((account) => {
+            const label = PROVIDER_LABELS[account.provider] || account.provider;
+            const isPending = pending?.provider === account.provider;
+            return (
+              <li key={account.provider} className="config-history-item">
+                <div className="config-history-item-header">
+                  <span className="settings-label">{label}</span>
+                  <span className="config-history-date">
+                    {account.linked
+                      ? `Linked${account.username ? ` as ${account.username}` : ''}`
+                      : account.available
+                        ? `Not linked · ${PROVIDER_LISTS[account.provider]}`
+                        : 'Not available on this server'}
+                  </span>
+                  {account.linked ? (
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm"
+                      disabled={busyProvider === account.provider}
+                      onClick={() => handleUnlink(account.provider)}
+                    >
+                      <Unlink size={14} /> Unlink
+                    </button>
+                  ) : (
+                    account.available &&
+                    !isPending && (
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        disabled={busyProvider === account.provider || !!pending}
+                        onClick={() => handleLink(account.provider)}
+                      >
+                        {busyProvider === account.provider ? (
+                          <Loader size={14} className="animate-spin" />
+                        ) : (
+                          <Link2 size={14} />
+                        )}
+                        Link
+                      </button>
+                    )
+                  )}
+                </div>
+                {isPending && (
+                  <div className="exclusion-list-header" style={{ marginTop: '8px' }}>
+                    <span className="config-history-date">
+                      Enter <strong>{pending.userCode}</strong> at{' '}
+                      <a href={pending.verificationUrl} target="_blank" rel="noopener noreferrer">
+                        {pending.verificationUrl} <ExternalLink size={12} />
+                      </a>
+                    </span>
+                    <Loader size={14} className="animate-spin" />
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm"
+                      onClick={() => setPending(null)}
+                    >
+                      <X size={14} /> Cancel
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
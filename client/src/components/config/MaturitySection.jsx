@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import { Loader, Lock, Unlock } from 'lucide-react';
+import { api } from '../../services/api';
+
+const MATURITY_OPTIONS = [
+  { value: '', label: 'No limit' },
+  { value: 'G', label: 'G / TV-G' },
+  { value: 'PG', label: 'PG / TV-PG' },
+  { value: 'PG-13', label: 'PG-13 / TV-14' },
+  { value: 'R', label: 'R / TV-MA' },
+];
+
+export function MaturitySection({ userId, preferences, isDirty, onChange, onNotify }) {
+  const [lockState, setLockState] = useState({ userId: null, locked: false, maxMaturity: null });
+  const [pin, setPin] = useState('');
+  const [busy, setBusy] = useState(false);
+  const loading = !!userId && lockState.userId !== userId;
+  const locked = !!userId && lockState.locked;
+  const maxMaturity = preferences?.maxMaturity || '';
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    api
+      .getMaturityLock(userId)
+      .then((data) => {
+        if (!cancelled) setLockState({ userId, ...data });
+      })
+      .catch(() => {
+        if (!cancelled) setLockState({ userId, locked: false, maxMaturity: null });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const handleLockChange = async (lock) => {
+    setBusy(true);
+    try {
+      const data = lock
+        ? await api.lockMaturity(userId, pin)
+        : await api.unlockMaturity(userId, pin);
+      setLockState({ userId, ...data });
+      setPin('');
+      onNotify?.(lock ? 'Maturity limit locked' : 'Maturity limit unlocked', 'success');
+    } catch (err) {
+      onNotify?.(err.message || 'Failed to update the lock', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="maturity-limit">
+      <p className="settings-desc" style={{ marginBottom: '12px' }}>
+        Hold every catalog, search and meta this profile serves to a US rating. Titles from sources
+        that rate them are matched to your region&apos;s ratings; unrated titles, Letterboxd lists
+        and IMDb lists without certificates are left out.
+      </p>
+
+      <div className="exclusion-list-header" style={{ marginBottom: '12px' }}>
+        <select
+          className="input"
+          aria-label="Maturity limit"
+          value={maxMaturity}
+          onChange={(e) => onChange({ ...preferences, maxMaturity: e.target.value || null })}
+          disabled={locked || loading}
+        >
+          {MATURITY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!userId && <p className="config-history-empty">Save this configuration to lock it.</p>}
+      {loading && (
+        <div className="config-history-empty">
+          <Loader size={14} className="animate-spin" /> Loading lock…
+        </div>
+      )}
+
+      {userId && !loading && (
+        <div className="exclusion-list-header">
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            className="input"
+            aria-label="Maturity PIN"
+            placeholder={locked ? 'PIN to unlock' : '4-8 digit PIN'}
+            value={pin}
+            maxLength={8}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+          />
+          {locked ? (
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              disabled={!pin || busy}
+              onClick={() => handleLockChange(false)}
+            >
+              {busy ? <Loader size={14} className="animate-spin" /> : <Unlock size={14} />}
+              Unlock
+            </button>
+          ) : (
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              disabled={!pin || busy || isDirty || !maxMaturity}
+              onClick={() => handleLockChange(true)}
+            >
+              {busy ? <Loader size={14} className="animate-spin" /> : <Lock size={14} />}
+              Lock
+            </button>
+          )}
+        </div>
+      )}
+      {userId && !loading && !locked && (isDirty || !maxMaturity) && (
+        <p className="config-history-empty">Save a maturity limit before locking it.</p>
+      )}
+    </div>
+  );
+}
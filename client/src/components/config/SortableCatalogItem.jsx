@@ -1,13 +1,28 @@
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { Film, Tv, GripVertical, Trash2, Copy, Sparkles } from 'lucide-react';
+import { Film, Tv, GripVertical, Trash2, Copy, Sparkles, RefreshCw, Unlink } from 'lucide-react';
 
-export function SortableCatalogItem({ catalog, isActive, onSelect, onDelete, onDuplicate }) {
+const LINK_TITLES = {
+  current: 'Follows a marketplace catalog and is up to date',
+  updated: 'The author has changed this catalog; your addon already serves the new filters',
+  unavailable: 'The marketplace catalog is no longer available; the saved filters are used',
+};
+
+export function SortableCatalogItem({
+  catalog,
+  isActive,
+  onSelect,
+  onDelete,
+  onDuplicate,
+  linkStatus,
+  onLinkAction,
+}) {
   const getCatalogKey = (cat) => String(cat?._id || cat?.id || cat?.name);
   const id = getCatalogKey(catalog);
   const isSourceDisabled = catalog?.source === 'mal';
   const isCollectionCatalog =
     catalog?.type === 'collection' || catalog?.filters?.listType === 'collection';
+  const isLinked = catalog?.clonedFrom?.linked === true;
 
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({
     id,
@@ -71,9 +86,41 @@ export function SortableCatalogItem({ catalog, isActive, onSelect, onDelete, onD
             {isSourceDisabled && (
               <span className="catalog-item-badge catalog-item-badge--disabled">Disabled</span>
             )}
+            {isLinked && (
+              <span
+                className="catalog-item-badge catalog-item-badge--linked"
+                title={LINK_TITLES[linkStatus] || LINK_TITLES.current}
+              >
+                Linked
+              </span>
+            )}
+            {catalog.householdCatalogId && (
+              <span
+                className="catalog-item-badge catalog-item-badge--shared"
+                title="Shared with the household: edits apply to every profile that includes it"
+              >
+                Shared
+              </span>
+            )}
+            {isLinked && linkStatus === 'updated' && (
+              <span
+                className="catalog-item-badge catalog-item-badge--upstream"
+                title={LINK_TITLES.updated}
+              >
+                Updated upstream
+              </span>
+            )}
             {catalog.filters?.listType &&
               catalog.filters.listType !== 'discover' &&
-              !isCollectionCatalog && <span className="catalog-item-badge">Preset</span>}
+              !isCollectionCatalog && (
+                <span className="catalog-item-badge">
+                  {catalog.filters.listType === 'custom'
+                    ? 'List'
+                    : catalog.filters.listType === 'episode_calendar'
+                      ? 'Calendar'
+                      : 'Preset'}
+                </span>
+              )}
           </div>
         </div>
         <div className="catalog-item-actions">
@@ -132,6 +179,38 @@ export function SortableCatalogItem({ catalog, isActive, onSelect, onDelete, onD
           >
             <Copy size={12} /> Duplicate
           </button>
+          {isLinked && onLinkAction && linkStatus === 'updated' && (
+            <>
+              <div className="action-divider" />
+              <button
+                className="btn-action-minimal"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onLinkAction(catalog, 'sync');
+                }}
+                title="Save the author's latest filters to this catalog"
+                type="button"
+              >
+                <RefreshCw size={12} /> Sync
+              </button>
+            </>
+          )}
+          {isLinked && onLinkAction && (
+            <>
+              <div className="action-divider" />
+              <button
+                className="btn-action-minimal"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onLinkAction(catalog, 'detach');
+                }}
+                title="Stop following the author and keep a local copy"
+                type="button"
+              >
+                <Unlink size={12} /> Detach
+              </button>
+            </>
+          )}
           <div className="action-divider" />
           <button
             className="btn-action-minimal text-danger-hover"
@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react';
+import { FileUp, Loader, Trash2 } from 'lucide-react';
+import { api } from '../../services/api';
+import { useConfirmDelete } from '../../hooks/useConfirmDelete';
+
+const WATCHED_TITLE_MODES = [
+  { value: 'off', label: 'Leave as is' },
+  { value: 'badge', label: 'Badge the poster' },
+  { value: 'hide', label: 'Hide from catalogs' },
+];
+
+const SOURCE_LABELS = { imdb: 'IMDb', trakt: 'Trakt', simkl: 'Simkl' };
+
+function formatImportedAt(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+export function WatchHistorySection({ userId, preferences, onChange, onNotify }) {
+  const [state, setState] = useState({ key: null, history: null, error: '' });
+  const [importing, setImporting] = useState(false);
+  const loading = !!userId && state.key !== userId;
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    api
+      .getWatchHistory(userId)
+      .then((data) => {
+        if (!cancelled) setState({ key: userId, history: data?.history || null, error: '' });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setState({ key: userId, history: null, error: err.message || 'Failed to load history' });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const { confirmId, deletingId, requestDelete } = useConfirmDelete(async () => {
+    try {
+      await api.deleteWatchHistory(userId);
+      setState({ key: userId, history: null, error: '' });
+    } catch (err) {
+      onNotify?.(err.message || 'Failed to remove watch history', 'error');
+    }
+  });
+
+  if (!userId) {
+    return <p className="settings-desc">Save this configuration to import a watch history.</p>;
+  }
+
+  const mode = preferences?.watchedTitles || 'off';
+  const { history, error } = state;
+
+  const handleImport = (file) => {
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      setImporting(true);
+      try {
+        const data = await api.importWatchHistory(userId, event.target.result);
+        setState({ key: userId, history: data?.history || null, error: '' });
+        onNotify?.(`Imported ${data?.history?.titles ?? 0} watched titles`, 'success');
+      } catch (err) {
+        onNotify?.(err.message || 'Import failed', 'error');
+      } finally {
+        setImporting(false);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="watch-history">
+      <p className="settings-desc" style={{ marginBottom: '12px' }}>
+        Import what you have already seen and every catalog in this config can mark or skip it.
+        Titles you rated show your score on the poster. A new import replaces the previous one.
+      </p>
+
+      <div className="settings-action-grid" style={{ marginBottom: '16px' }}>
+        <label className="btn settings-action-card">
+          <div className="sac-icon">
+            {importing ? <Loader size={18} className="animate-spin" /> : <FileUp size={18} />}
+          </div>
+          <div className="sac-text">
+            <span className="sac-title">Import history</span>
+            <span className="sac-desc">IMDb ratings CSV, Trakt or Simkl JSON</span>
+          </div>
+          <input
+            type="file"
+            accept=".csv,.json"
+            className="hidden-file-input"
+            disabled={importing}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) handleImport(file);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      <label className="settings-label" htmlFor="watched-titles-mode">
+        Watched titles in catalogs
+      </label>
+      <select
+        id="watched-titles-mode"
+        className="input"
+        value={mode}
+        onChange={(e) =>
+          onChange({
+            ...preferences,
+            watchedTitles: e.target.value === 'off' ? undefined : e.target.value,
+          })
+        }
+      >
+        {WATCHED_TITLE_MODES.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      <div className="exclusion-list-header">
+        {loading && (
+          <span className="config-history-empty">
+            <Loader size={14} className="animate-spin" /> Loading history…
+          </span>
+        )}
+        {!loading && error && <span className="field-error">{error}</span>}
+        {!loading && !error && !history && (
+          <span className="config-history-empty">No watch history imported.</span>
+        )}
+        {!loading && history && (
+          <>
+            <span className="settings-label">
+              {history.titles} title{history.titles === 1 ? '' : 's'} from{' '}
+              {SOURCE_LABELS[history.source] || history.source}
+              {history.rated > 0 && ` · ${history.rated} rated`}
+              {' · '}
+              {formatImportedAt(history.importedAt)}
+            </span>
+            <button
+              type="button"
+              className="btn btn-ghost btn-sm"
+              disabled={deletingId !== null}
+              onClick={(e) => requestDelete('history', e).catch(() => {})}
+            >
+              {deletingId ? <Loader size={14} className="animate-spin" /> : <Trash2 size={14} />}
+              {confirmId ? 'Confirm remove' : 'Remove'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+import { memo, useCallback, useState } from 'react';
+import {
+  DndContext,
+  closestCenter,
+  KeyboardSensor,
+  PointerSensor,
+  TouchSensor,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core';
+import {
+  SortableContext,
+  arrayMove,
+  sortableKeyboardCoordinates,
+  useSortable,
+  verticalListSortingStrategy,
+} from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import { GripVertical, ListOrdered, Plus, Trash2 } from 'lucide-react';
+import { FilterSection } from './FilterSection';
+import { Checkbox } from '../../forms/Checkbox';
+import { SearchInput } from '../../forms/SearchInput';
+import { normalizeExcludedId } from '../../../utils/exclusionImport';
+
+// Mirrors CUSTOM_LIST_LIMITS on the server.
+export const MAX_CUSTOM_LIST_ITEMS = 500;
+const MAX_NOTE_LENGTH = 280;
+
+function SortableCustomListItem({ item, onNoteChange, onRemove }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({
+    id: item.id,
+  });
+
+  return (
+    <li
+      ref={setNodeRef}
+      style={{ transform: CSS.Transform.toString(transform), transition }}
+      className={`custom-list-item ${isDragging ? 'dragging' : ''}`}
+    >
+      <button
+        type="button"
+        className="btn btn-ghost btn-icon catalog-drag-handle"
+        title="Drag to reorder"
+        aria-label={`Drag ${item.name || item.id} to reorder`}
+        {...attributes}
+        {...listeners}
+      >
+        <GripVertical size={14} />
+      </button>
+      <div className="custom-list-item-body">
+        <span className="custom-list-item-name">{item.name || item.id}</span>
+        {onNoteChange && (
+          <input
+            type="text"
+            className="input custom-list-item-note"
+            placeholder="Note shown above the description (optional)"
+            aria-label={`Note for ${item.name || item.id}`}
+            maxLength={MAX_NOTE_LENGTH}
+            value={item.note || ''}
+            onChange={(e) => onNoteChange(item.id, e.target.value)}
+          />
+        )}
+      </div>
+      <button
+        type="button"
+        className="btn btn-ghost btn-icon"
+        onClick={() => onRemove(item.id)}
+        aria-label={`Remove ${item.name || item.id}`}
+      >
+        <Trash2 size={14} />
+      </button>
+    </li>
+  );
+}
+
+export const CustomListEditor = memo(function CustomListEditor({
+  localCatalog,
+  onFiltersChange,
+  searchTitle,
+  expandedSections,
+  onToggleSection,
+  // Pinned shows of an episode calendar: no notes order or randomizing.
+  pinnedShows = false,
+}) {
+  const filters = localCatalog?.filters || {};
+  const items = Array.isArray(filters.customItems) ? filters.customItems : [];
+  const catalogType = localCatalog?.type === 'series' ? 'series' : 'movie';
+  const [draftId, setDraftId] = useState('');
+  const [draftError, setDraftError] = useState('');
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, {
+      activationConstraint: { distance: 6 },
+    }),
+    useSensor(TouchSensor, {
+      activationConstraint: { delay: 150, tolerance: 5 },
+    }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+
+  const setItems = (next) => onFiltersChange('customItems', next);
+
+  const addItem = (item) => {
+    if (items.some((existing) => existing.id === item.id)) return false;
+    if (items.length >= MAX_CUSTOM_LIST_ITEMS) return false;
+    setItems([...items, item]);
+    return true;
+  };
+
+  const handleSearch = useCallback(
+    async (query) => {
+      const results = await searchTitle(query, catalogType);
+      return (results || []).map((result) => ({
+        id: result.id,
+        name: result.name,
+        year: result.year,
+        logoPath: result.posterPath,
+        knownFor: result.year ? String(result.year) : undefined,
+      }));
+    },
+    [searchTitle, catalogType]
+  );
+
+  const handleAddById = (e) => {
+    e.preventDefault();
+    const id = normalizeExcludedId(draftId);
+    if (!id) {
+      setDraftError('Enter an IMDb id (tt0133093) or a TMDB id (603)');
+      return;
+    }
+    const added = addItem({ id });
+    setDraftError(added ? '' : 'Already in the list');
+    if (added) setDraftId('');
+  };
+
+  const handleDragEnd = (event) => {
+    const { active, over } = event;
+    if (!over || active.id === over.id) return;
+    const oldIndex = items.findIndex((item) => item.id === active.id);
+    const newIndex = items.findIndex((item) => item.id === over.id);
+    if (oldIndex < 0 || newIndex < 0) return;
+    setItems(arrayMove(items, oldIndex, newIndex));
+  };
+
+  const handleNoteChange = (id, note) =>
+    setItems(items.map((item) => (item.id === id ? { ...item, note: note || undefined } : item)));
+
+  const handleRemove = (id) => setItems(items.filter((item) => item.id !== id));
+
+  return (
+    <FilterSection
+      id="customList"
+      title={pinnedShows ? 'Pinned Shows' : 'Hand-picked Titles'}
+      description={
+        pinnedShows
+          ? 'Follow these shows instead of the filters'
+          : 'Search to add titles, drag to set their order'
+      }
+      icon={ListOrdered}
+      isOpen={expandedSections?.customList}
+      onToggle={onToggleSection}
+      badgeCount={items.length > 0 ? 1 : 0}
+    >
+      <SearchInput
+        type="title"
+        multiple={false}
+        selectedItems={null}
+        onSearch={handleSearch}
+        onSelect={(result) =>
+          addItem({
+            id: `tmdb:${result.id}`,
+            name: result.year ? `${result.name} (${result.year})` : result.name,
+          })
+        }
+        placeholder={catalogType === 'series' ? 'Search TV shows...' : 'Search movies...'}
+      />
+
+      <form className="exclusion-add-row" style={{ marginTop: '8px' }} onSubmit={handleAddById}>
+        <input
+          type="text"
+          className="input"
+          placeholder="Or add by IMDb / TMDB id"
+          aria-label="IMDb or TMDB id"
+          value={draftId}
+          onChange={(e) => {
+            setDraftId(e.target.value);
+            if (draftError) setDraftError('');
+          }}
+        />
+        <button type="submit" className="btn btn-secondary" disabled={!draftId.trim()}>
+          <Plus size={14} />
+          Add
+        </button>
+      </form>
+      {draftError && <span className="field-error">{draftError}</span>}
+
+      {items.length === 0 ? (
+        <p className="text-secondary" style={{ fontSize: '13px', marginTop: '12px' }}>
+          {pinnedShows
+            ? 'No shows pinned. The calendar lists shows matching the filters.'
+            : 'No titles yet. They are shown in Stremio in the order listed here.'}
+        </p>
+      ) : (
+        <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+          <SortableContext
+            items={items.map((item) => item.id)}
+            strategy={verticalListSortingStrategy}
+          >
+            <ol className="custom-list-items">
+              {items.map((item) => (
+                <SortableCustomListItem
+                  key={item.id}
+                  item={item}
+                  onNoteChange={pinnedShows ? undefined : handleNoteChange}
+                  onRemove={handleRemove}
+                />
+              ))}
+            </ol>
+          </SortableContext>
+        </DndContext>
+      )}
+
+      {!pinnedShows && (
+        <div style={{ marginTop: '16px' }}>
+          <Checkbox
+            checked={!!filters.randomize}
+            onChange={(checked) => onFiltersChange('randomize', checked || undefined)}
+            label="Randomize Results"
+            tooltip="Show a random selection from the list each time instead of the order above."
+          />
+        </div>
+      )}
+    </FilterSection>
+  );
+});
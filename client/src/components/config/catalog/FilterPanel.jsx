@@ -4,6 +4,7 @@ import { MultiSelect } from '../../forms/MultiSelect';
 import { SearchableSelect } from '../../forms/SearchableSelect';
 import { LabelWithTooltip } from '../../forms/Tooltip';
 import { RUNTIME_MAX_MINUTES } from '../../../constants/filterLimits';
+import { FilterTemplatePicker } from './FilterTemplatePicker';
 
 const CURRENT_YEAR = new Date().getFullYear();
 
@@ -13,6 +14,7 @@ export const FilterPanel = memo(function FilterPanel({
   sortOptions,
   originalLanguages,
   countries,
+  onFilterTemplateChange,
 }) {
   const safeSortOptions =
     sortOptions && typeof sortOptions === 'object' && !Array.isArray(sortOptions)
@@ -55,6 +57,12 @@ export const FilterPanel = memo(function FilterPanel({
   return (
     <>
       <div className="filter-grid">
+        {onFilterTemplateChange && (
+          <FilterTemplatePicker
+            localCatalog={localCatalog}
+            onFilterTemplateChange={onFilterTemplateChange}
+          />
+        )}
         <div className="filter-group">
           <LabelWithTooltip
             label="Sort By"
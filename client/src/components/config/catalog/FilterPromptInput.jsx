@@ -0,0 +1,90 @@
+import { memo, useState } from 'react';
+import { Loader, Wand2 } from 'lucide-react';
+import { api } from '../../../services/api';
+import { useAppActions } from '../../../context/AppContext';
+import { LabelWithTooltip } from '../../forms/Tooltip';
+
+function mergeById(current, added) {
+  const ids = new Set(current.map((item) => String(item.id)));
+  return [
+    ...current,
+    ...added
+      .filter((item) => !ids.has(String(item.id)))
+      .map((item) => ({ id: String(item.id), name: item.name })),
+  ];
+}
+
+/**
+ * Free-text catalog description ("90s Japanese horror rated above 7") that the
+ * server parses into TMDB filters. The result is written into the editor for
+ * review rather than saved, and any phrases it could not read are listed.
+ */
+export const FilterPromptInput = memo(function FilterPromptInput({
+  catalogType,
+  onCatalogChange,
+  setSelectedPeople,
+  setSelectedKeywords,
+}) {
+  const { addToast } = useAppActions();
+  const [text, setText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [unrecognized, setUnrecognized] = useState([]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const prompt = text.trim();
+    if (!prompt || loading) return;
+    setLoading(true);
+    try {
+      const result = await api.parseFilterPrompt(prompt, catalogType);
+      // People and keywords live in the editor's selections, not in filters.
+      const { withPeople: _people, withKeywords: _keywords, ...filters } = result.filters || {};
+      onCatalogChange?.((prev) => ({ ...prev, filters: { ...(prev.filters || {}), ...filters } }));
+      if (result.people?.length) setSelectedPeople?.((prev) => mergeById(prev, result.people));
+      if (result.keywords?.length) {
+        setSelectedKeywords?.((prev) => mergeById(prev, result.keywords));
+      }
+      setUnrecognized(result.unrecognized || []);
+      const filled =
+        Object.keys(filters).length + (result.people?.length || 0) + (result.keywords?.length || 0);
+      addToast?.(
+        filled > 0 ? 'Filters filled in — review them below' : 'No filters recognized',
+        filled > 0 ? 'success' : 'error'
+      );
+    } catch (err) {
+      addToast?.(err.message || 'Could not read that description', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form className="filter-group span-full" onSubmit={handleSubmit}>
+      <LabelWithTooltip
+        label="Describe It"
+        tooltip='Type what you want, e.g. "90s Japanese horror rated above 7 with fewer than 120 minutes" or "comedies starring Tom Hanks about time travel". Genres, years, language, rating, runtime, people and keywords are filled into the filters below for you to review.'
+      />
+      <div className="exclusion-list-header">
+        <input
+          type="text"
+          className="input"
+          aria-label="Describe the catalog"
+          placeholder="90s Japanese horror rated above 7…"
+          maxLength={300}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <button
+          type="submit"
+          className="btn btn-secondary btn-sm"
+          disabled={!text.trim() || loading}
+        >
+          {loading ? <Loader size={14} className="animate-spin" /> : <Wand2 size={14} />} Fill
+        </button>
+      </div>
+      {unrecognized.length > 0 && (
+        <span className="field-error">Not understood: {unrecognized.join(', ')}</span>
+      )}
+    </form>
+  );
+});
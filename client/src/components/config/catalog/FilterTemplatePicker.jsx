@@ -0,0 +1,131 @@
+import { memo, useState } from 'react';
+import { Link2, Save, Unlink, Wand2 } from 'lucide-react';
+import { useAppActions } from '../../../context/AppContext';
+import { useFilterTemplates } from '../../../hooks/useFilterTemplates';
+import {
+  applyFilterTemplate,
+  captureFilterTemplate,
+  mapFilterTemplate,
+  summarizeTemplate,
+} from '../../../utils/filterTemplates';
+import { LabelWithTooltip } from '../../forms/Tooltip';
+
+export const FilterTemplatePicker = memo(function FilterTemplatePicker({
+  localCatalog,
+  onFilterTemplateChange,
+}) {
+  const { templates, refData, saveTemplate } = useFilterTemplates();
+  const { addToast } = useAppActions();
+  const [selectedId, setSelectedId] = useState('');
+  const [newName, setNewName] = useState('');
+
+  const inherited = localCatalog?.filterTemplateId
+    ? templates.find((t) => t.id === localCatalog.filterTemplateId)
+    : undefined;
+  const selected = templates.find((t) => t.id === selectedId);
+
+  const handleApply = (inherit) => {
+    if (!selected || !onFilterTemplateChange) return;
+    const { unmapped } = mapFilterTemplate(selected.filters, localCatalog, refData);
+    onFilterTemplateChange(
+      (prev) => applyFilterTemplate(prev, selected, refData, { inherit }).catalog
+    );
+    if (unmapped.length > 0) {
+      addToast?.(`Not available for this source: ${unmapped.join(', ')}`, 'error');
+    }
+  };
+
+  const handleDetach = () => {
+    onFilterTemplateChange?.((prev) => {
+      const next = { ...prev };
+      delete next.filterTemplateId;
+      return next;
+    });
+  };
+
+  const handleSaveCurrent = () => {
+    const name = newName.trim();
+    if (!name) return;
+    const saved = saveTemplate({ name, filters: captureFilterTemplate(localCatalog, refData) });
+    setNewName('');
+    setSelectedId(saved.id);
+    addToast?.(`Saved template ${name}`, 'success');
+  };
+
+  return (
+    <div className="filter-group span-full filter-template-picker">
+      <LabelWithTooltip
+        label="Filter Template"
+        tooltip="Apply copies a template's filters once. Inherit keeps this catalog in step with the template: edits to it in Settings are written here. Manage templates in Settings → Filter Templates."
+      />
+      {inherited ? (
+        <div className="exclusion-list-header">
+          <span className="config-history-date">
+            Inherits <strong>{inherited.name}</strong> · {summarizeTemplate(inherited.filters)}
+          </span>
+          <button type="button" className="btn btn-ghost btn-sm" onClick={handleDetach}>
+            <Unlink size={14} /> Detach
+          </button>
+        </div>
+      ) : (
+        <div className="exclusion-list-header">
+          <select
+            className="input"
+            aria-label="Filter template"
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            disabled={templates.length === 0}
+          >
+            <option value="">
+              {templates.length === 0 ? 'No templates yet' : 'Choose a template…'}
+            </option>
+            {templates.map((template) => (
+              <option
+                key={template.id}
+                value={template.id}
+                title={summarizeTemplate(template.filters)}
+              >
+                {template.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            disabled={!selected}
+            onClick={() => handleApply(false)}
+          >
+            <Wand2 size={14} /> Apply
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            disabled={!selected}
+            onClick={() => handleApply(true)}
+          >
+            <Link2 size={14} /> Inherit
+          </button>
+        </div>
+      )}
+      <div className="exclusion-list-header" style={{ marginTop: '8px' }}>
+        <input
+          type="text"
+          className="input"
+          aria-label="New template name"
+          placeholder="Save current filters as…"
+          maxLength={60}
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+        />
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm"
+          disabled={!newName.trim()}
+          onClick={handleSaveCurrent}
+        >
+          <Save size={14} /> Save
+        </button>
+      </div>
+    </div>
+  );
+});
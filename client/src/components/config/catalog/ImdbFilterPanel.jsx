@@ -38,6 +38,7 @@ export const ImdbFilterPanel = memo(function ImdbFilterPanel({
   imdbCertificateRatings = {},
   imdbRankedLists = [],
   imdbWithDataOptions = [],
+  imdbEngine = 'api',
   countries = [],
   languages = [],
   expandedSections,
@@ -470,6 +471,15 @@ export const ImdbFilterPanel = memo(function ImdbFilterPanel({
 
   return (
     <>
+      {imdbEngine === 'datasets' && (
+        <div className="flex items-center gap-3 p-4 mt-6 rounded-lg border border-white/5 bg-white/5 imdb-preset-notice">
+          <Database size={16} className="text-indigo-400" />
+          <span className="text-gray-300 text-sm font-medium">
+            IMDb results come from the offline datasets on this server. Only sort, genres, release
+            year, rating, votes, runtime, language and directors apply; other filters are ignored.
+          </span>
+        </div>
+      )}
       <FilterSection
         id="basic"
         title="Sort & Filter"
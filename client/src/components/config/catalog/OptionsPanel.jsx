@@ -1,58 +1,401 @@
-import { memo } from 'react';
+import { memo, useMemo } from 'react';
+import { CalendarClock, Plus, X } from 'lucide-react';
 import { Checkbox } from '../../forms/Checkbox';
+import { LabelWithTooltip } from '../../forms/Tooltip';
+import { SearchableSelect } from '../../forms/SearchableSelect';
+import {
+  getBrowserTimeZone,
+  getVisibilityWindows,
+  hasScheduleRules,
+  hourMaskToRange,
+  hourRangeToMask,
+  isScheduledAt,
+} from '../../../utils/catalogSchedule';
 
-export const OptionsPanel = memo(function OptionsPanel({ localCatalog, onFiltersChange, isMovie }) {
-  const filters = localCatalog?.filters || {};
+// Mirrors SCHEDULE_LIMITS.MAX_RANGES on the server.
+const MAX_SCHEDULE_RANGES = 12;
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_LABELS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+];
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, h) => h);
+const pad = (n) => String(n).padStart(2, '0');
+
+function getTimeZoneOptions(current) {
+  let zones = [];
+  try {
+    zones = Intl.supportedValuesOf?.('timeZone') || [];
+  } catch {
+    zones = [];
+  }
+  const all = new Set(['UTC', ...zones, getBrowserTimeZone()]);
+  if (current) all.add(current);
+  return [...all].map((zone) => ({ code: zone, name: zone.replace(/_/g, ' ') }));
+}
+
+function withScheduleRule(schedule, key, value) {
+  const next = { ...(schedule || {}), [key]: value };
+  if (value === undefined || (Array.isArray(value) && value.length === 0)) delete next[key];
+  if (!hasScheduleRules(next)) return undefined;
+  if (!next.timezone) next.timezone = getBrowserTimeZone();
+  return next;
+}
+
+function formatWindow(window, timezone) {
+  const options = {
+    timeZone: timezone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  };
+  const start = window.start.toLocaleString(undefined, options);
+  return window.end
+    ? `${start} – ${window.end.toLocaleString(undefined, options)}`
+    : `From ${start}`;
+}
+
+function MonthDayInput({ value, onChange, label }) {
+  const [month, day] = (value || '01-01').split('-').map(Number);
+  return (
+    <div className="schedule-month-day">
+      <select
+        className="input"
+        aria-label={`${label} month`}
+        value={month}
+        onChange={(e) => {
+          const nextMonth = Number(e.target.value);
+          onChange(`${pad(nextMonth)}-${pad(Math.min(day, DAYS_IN_MONTH[nextMonth - 1]))}`);
+        }}
+      >
+        {MONTH_LABELS.map((name, i) => (
+          <option key={name} value={i + 1}>
+            {name}
+          </option>
+        ))}
+      </select>
+      <select
+        className="input"
+        aria-label={`${label} day`}
+        value={day}
+        onChange={(e) => onChange(`${pad(month)}-${pad(Number(e.target.value))}`)}
+      >
+        {Array.from({ length: DAYS_IN_MONTH[month - 1] }, (_, i) => (
+          <option key={i + 1} value={i + 1}>
+            {i + 1}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function ScheduleOptions({ schedule, onScheduleChange }) {
+  const timezone = schedule?.timezone || getBrowserTimeZone();
+  const dateRanges = schedule?.dateRanges || [];
+  const yearlyRanges = schedule?.yearlyRanges || [];
+  const weekdays = schedule?.weekdays || [];
+  const hourRange = hourMaskToRange(schedule?.hours);
+  const isScheduled = hasScheduleRules(schedule);
+
+  const timeZoneOptions = useMemo(
+    () => getTimeZoneOptions(schedule?.timezone),
+    [schedule?.timezone]
+  );
+  const preview = useMemo(() => {
+    if (!isScheduled) return null;
+    const now = new Date();
+    return {
+      listedNow: isScheduledAt(schedule, now),
+      windows: getVisibilityWindows(schedule, now, { days: 366, limit: 3 }),
+    };
+  }, [schedule, isScheduled]);
+
+  const setRule = (key, value) => onScheduleChange(withScheduleRule(schedule, key, value));
+  const updateRange = (key, ranges, index, patch) =>
+    setRule(
+      key,
+      ranges.map((range, i) => (i === index ? { ...range, ...patch } : range))
+    );
+
+  const toggleWeekday = (day) =>
+    setRule(
+      'weekdays',
+      weekdays.includes(day)
+        ? weekdays.filter((d) => d !== day)
+        : [...weekdays, day].sort((a, b) => a - b)
+    );
+
+  const today = new Date().toISOString().slice(0, 10);
 
   return (
-    <div className="checkbox-grid">
-      <Checkbox
-        checked={!!filters.includeAdult}
-        onChange={(checked) => onFiltersChange('includeAdult', checked || undefined)}
-        label="Include adult content"
-        tooltip="Include adult/18+ rated content in results. Disabled by default."
-      />
-
-      {isMovie && (
+    <div className="schedule-options">
+      <div className="schedule-options-header">
+        <CalendarClock size={16} />
+        <LabelWithTooltip
+          label="Schedule"
+          tooltip="Only list this catalog in Stremio at certain times. Every rule you set must match. Stremio picks up changes the next time it reloads the addon."
+        />
+      </div>
+
+      <div className="filter-group">
+        <span className="filter-label">Date ranges</span>
+        {dateRanges.map((range, index) => (
+          <div key={index} className="range-input schedule-range">
+            <input
+              type="date"
+              className="input date-input"
+              aria-label="Listed from"
+              value={range.from}
+              onChange={(e) =>
+                updateRange('dateRanges', dateRanges, index, { from: e.target.value })
+              }
+            />
+            <span className="range-separator">–</span>
+            <input
+              type="date"
+              className="input date-input"
+              aria-label="Listed until"
+              value={range.to}
+              onChange={(e) => updateRange('dateRanges', dateRanges, index, { to: e.target.value })}
+            />
+            <button
+              type="button"
+              className="btn btn-ghost btn-icon"
+              aria-label="Remove date range"
+              onClick={() =>
+                setRule(
+                  'dateRanges',
+                  dateRanges.filter((_, i) => i !== index)
+                )
+              }
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        {dateRanges.length < MAX_SCHEDULE_RANGES && (
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm schedule-add"
+            onClick={() => setRule('dateRanges', [...dateRanges, { from: today, to: today }])}
+          >
+            <Plus size={14} /> Add date range
+          </button>
+        )}
+      </div>
+
+      <div className="filter-group">
+        <span className="filter-label">Every year</span>
+        {yearlyRanges.map((range, index) => (
+          <div key={index} className="range-input schedule-range">
+            <MonthDayInput
+              label="Yearly from"
+              value={range.from}
+              onChange={(from) => updateRange('yearlyRanges', yearlyRanges, index, { from })}
+            />
+            <span className="range-separator">–</span>
+            <MonthDayInput
+              label="Yearly until"
+              value={range.to}
+              onChange={(to) => updateRange('yearlyRanges', yearlyRanges, index, { to })}
+            />
+            <button
+              type="button"
+              className="btn btn-ghost btn-icon"
+              aria-label="Remove yearly range"
+              onClick={() =>
+                setRule(
+                  'yearlyRanges',
+                  yearlyRanges.filter((_, i) => i !== index)
+                )
+              }
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        {yearlyRanges.length < MAX_SCHEDULE_RANGES && (
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm schedule-add"
+            onClick={() =>
+              setRule('yearlyRanges', [...yearlyRanges, { from: '10-01', to: '10-31' }])
+            }
+          >
+            <Plus size={14} /> Add yearly range
+          </button>
+        )}
+      </div>
+
+      <div className="filter-group">
+        <span className="filter-label">Weekdays</span>
+        <div className="genre-grid">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              className={`genre-chip schedule-day ${weekdays.includes(day) ? 'selected' : ''}`}
+              aria-pressed={weekdays.includes(day)}
+              onClick={() => toggleWeekday(day)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="filter-group">
         <Checkbox
-          checked={!!filters.includeVideo}
-          onChange={(checked) => onFiltersChange('includeVideo', checked || undefined)}
-          label="Include video content"
-          tooltip="Include titles marked as video content in TMDB."
+          checked={!!hourRange}
+          onChange={(checked) => setRule('hours', checked ? hourRangeToMask(18, 23) : undefined)}
+          label="Only at certain hours"
         />
+        {hourRange && (
+          <div className="range-input schedule-range">
+            <select
+              className="input"
+              aria-label="Listed from hour"
+              value={hourRange.from}
+              onChange={(e) =>
+                setRule('hours', hourRangeToMask(Number(e.target.value), hourRange.to))
+              }
+            >
+              {HOUR_OPTIONS.map((h) => (
+                <option key={h} value={h}>
+                  {pad(h)}:00
+                </option>
+              ))}
+            </select>
+            <span className="range-separator">–</span>
+            <select
+              className="input"
+              aria-label="Listed until hour"
+              value={hourRange.to}
+              onChange={(e) =>
+                setRule('hours', hourRangeToMask(hourRange.from, Number(e.target.value)))
+              }
+            >
+              {HOUR_OPTIONS.map((h) => (
+                <option key={h} value={h}>
+                  {pad(h)}:59
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {isScheduled && (
+        <div className="filter-group">
+          <span className="filter-label">Timezone</span>
+          <SearchableSelect
+            options={timeZoneOptions}
+            value={timezone}
+            onChange={(value) => setRule('timezone', value || getBrowserTimeZone())}
+            placeholder="Select timezone"
+            searchPlaceholder="Search timezones..."
+            allowClear={false}
+            aria-label="Schedule timezone"
+          />
+        </div>
       )}
 
-      <Checkbox
-        checked={!!filters.randomize}
-        onChange={(checked) => onFiltersChange('randomize', checked || undefined)}
-        label="Randomize Results"
-        tooltip="Fetch a random page from the matching results and shuffle them. Great for discovering something new every time."
-      />
-
-      <Checkbox
-        checked={!!filters.discoverOnly}
-        onChange={(checked) => onFiltersChange('discoverOnly', checked || undefined)}
-        label="Discover Only"
-        tooltip="Hide this catalog from the Board (Home). It will only appear in the Discover tab."
-      />
-
-      {!isMovie && (
+      {preview && (
+        <div className="schedule-preview" role="status">
+          <strong>{preview.listedNow ? 'Listed now.' : 'Hidden now.'}</strong>{' '}
+          {preview.windows.length === 0 ? 'Not listed at any time in the next year.' : 'Upcoming:'}
+          {preview.windows.length > 0 && (
+            <ul>
+              {preview.windows.map((window) => (
+                <li key={window.start.getTime()}>{formatWindow(window, timezone)}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export const OptionsPanel = memo(function OptionsPanel({
+  localCatalog,
+  onFiltersChange,
+  onScheduleChange,
+  isMovie,
+}) {
+  const filters = localCatalog?.filters || {};
+
+  return (
+    <>
+      <div className="checkbox-grid">
+        <Checkbox
+          checked={!!filters.includeAdult}
+          onChange={(checked) => onFiltersChange('includeAdult', checked || undefined)}
+          label="Include adult content"
+          tooltip="Include adult/18+ rated content in results. Disabled by default."
+        />
+
+        {isMovie && (
+          <Checkbox
+            checked={!!filters.includeVideo}
+            onChange={(checked) => onFiltersChange('includeVideo', checked || undefined)}
+            label="Include video content"
+            tooltip="Include titles marked as video content in TMDB."
+          />
+        )}
+
         <Checkbox
-          checked={!!filters.includeNullFirstAirDates}
-          onChange={(checked) => onFiltersChange('includeNullFirstAirDates', checked || undefined)}
-          label="Include unknown air dates"
-          tooltip="Include shows with no recorded first air date."
+          checked={!!filters.randomize}
+          onChange={(checked) => onFiltersChange('randomize', checked || undefined)}
+          label="Randomize Results"
+          tooltip="Fetch a random page from the matching results and shuffle them. Great for discovering something new every time."
         />
-      )}
 
-      {!isMovie && (
         <Checkbox
-          checked={!!filters.screenedTheatrically}
-          onChange={(checked) => onFiltersChange('screenedTheatrically', checked || undefined)}
-          label="Screened theatrically"
-          tooltip="Include shows that were screened in theaters."
+          checked={!!filters.discoverOnly}
+          onChange={(checked) => onFiltersChange('discoverOnly', checked || undefined)}
+          label="Discover Only"
+          tooltip="Hide this catalog from the Board (Home). It will only appear in the Discover tab."
         />
+
+        {!isMovie && (
+          <Checkbox
+            checked={!!filters.includeNullFirstAirDates}
+            onChange={(checked) =>
+              onFiltersChange('includeNullFirstAirDates', checked || undefined)
+            }
+            label="Include unknown air dates"
+            tooltip="Include shows with no recorded first air date."
+          />
+        )}
+
+        {!isMovie && (
+          <Checkbox
+            checked={!!filters.screenedTheatrically}
+            onChange={(checked) => onFiltersChange('screenedTheatrically', checked || undefined)}
+            label="Screened theatrically"
+            tooltip="Include shows that were screened in theaters."
+          />
+        )}
+      </div>
+
+      {onScheduleChange && (
+        <ScheduleOptions schedule={localCatalog?.schedule} onScheduleChange={onScheduleChange} />
       )}
-    </div>
+    </>
   );
 });
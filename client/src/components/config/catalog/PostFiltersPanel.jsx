@@ -0,0 +1,199 @@
+import { memo, useState } from 'react';
+import { ListFilter } from 'lucide-react';
+import { FilterSection } from './FilterSection';
+import { Checkbox } from '../../forms/Checkbox';
+import { LabelWithTooltip } from '../../forms/Tooltip';
+
+const RULE_KEYS = [
+  'imdbRatingMin',
+  'yearFrom',
+  'yearTo',
+  'runtimeMin',
+  'runtimeMax',
+  'genres',
+  'excludeGenres',
+  'requirePoster',
+];
+
+function withRule(postFilters, key, value) {
+  const next = { ...(postFilters || {}), [key]: value };
+  const isEmpty = (v) => v === undefined || v === '' || (Array.isArray(v) && v.length === 0);
+  for (const k of Object.keys(next)) {
+    if (isEmpty(next[k])) delete next[k];
+  }
+  return Object.keys(next).length > 0 ? next : undefined;
+}
+
+function parseNumber(raw, { float = false } = {}) {
+  const n = float ? parseFloat(raw) : parseInt(raw, 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+function splitGenres(text) {
+  return [
+    ...new Set(
+      text
+        .split(',')
+        .map((g) => g.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+// Comma-separated genre names, committed on blur so typing a comma is not eaten.
+function GenreListInput({ value, onCommit, placeholder, ariaLabel }) {
+  const joined = (value || []).join(', ');
+  const [draft, setDraft] = useState(null);
+
+  return (
+    <input
+      type="text"
+      className="input"
+      placeholder={placeholder}
+      aria-label={ariaLabel}
+      value={draft ?? joined}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => {
+        if (draft !== null) onCommit(splitGenres(draft));
+        setDraft(null);
+      }}
+    />
+  );
+}
+
+export const PostFiltersPanel = memo(function PostFiltersPanel({
+  localCatalog,
+  onFiltersChange,
+  expandedSections,
+  onToggleSection,
+}) {
+  const postFilters = localCatalog?.filters?.postFilters || {};
+  const activeCount = RULE_KEYS.filter((key) => postFilters[key] !== undefined).length;
+
+  const setRule = (key, value) =>
+    onFiltersChange('postFilters', withRule(localCatalog?.filters?.postFilters, key, value));
+
+  return (
+    <FilterSection
+      id="postFilters"
+      title="Post-filters"
+      description="Applied to the finished rows of any source"
+      icon={ListFilter}
+      isOpen={expandedSections?.postFilters}
+      onToggle={onToggleSection}
+      badgeCount={activeCount}
+    >
+      <p className="filter-label-hint" style={{ marginBottom: '12px' }}>
+        These rules run after the source answers, so they also narrow lists that ignore their own
+        filters. Hidden titles are replaced from the next page.
+      </p>
+
+      <div className="filter-grid">
+        <div className="filter-group">
+          <LabelWithTooltip
+            label="Min IMDb rating"
+            tooltip="Hide titles rated below this on IMDb. Titles without an IMDb rating are hidden too."
+          />
+          <input
+            type="number"
+            className="input"
+            style={{ height: '38px' }}
+            placeholder="0"
+            min={0}
+            max={10}
+            step={0.1}
+            value={postFilters.imdbRatingMin ?? ''}
+            onChange={(e) => setRule('imdbRatingMin', parseNumber(e.target.value, { float: true }))}
+          />
+        </div>
+
+        <div className="filter-group">
+          <LabelWithTooltip
+            label="Year"
+            tooltip="Release or first-air year range. Titles with no year are kept."
+          />
+          <div className="range-input">
+            <input
+              type="number"
+              className="input"
+              placeholder="From"
+              aria-label="Year from"
+              value={postFilters.yearFrom ?? ''}
+              onChange={(e) => setRule('yearFrom', parseNumber(e.target.value))}
+            />
+            <span className="range-separator">–</span>
+            <input
+              type="number"
+              className="input"
+              placeholder="To"
+              aria-label="Year to"
+              value={postFilters.yearTo ?? ''}
+              onChange={(e) => setRule('yearTo', parseNumber(e.target.value))}
+            />
+          </div>
+        </div>
+
+        <div className="filter-group">
+          <LabelWithTooltip
+            label="Runtime (minutes)"
+            tooltip="Only applies to titles whose rows report a runtime; most sources leave it out."
+          />
+          <div className="range-input">
+            <input
+              type="number"
+              className="input"
+              placeholder="Min"
+              aria-label="Runtime min"
+              value={postFilters.runtimeMin ?? ''}
+              onChange={(e) => setRule('runtimeMin', parseNumber(e.target.value))}
+            />
+            <span className="range-separator">–</span>
+            <input
+              type="number"
+              className="input"
+              placeholder="Max"
+              aria-label="Runtime max"
+              value={postFilters.runtimeMax ?? ''}
+              onChange={(e) => setRule('runtimeMax', parseNumber(e.target.value))}
+            />
+          </div>
+        </div>
+
+        <div className="filter-group">
+          <LabelWithTooltip
+            label="Genres"
+            tooltip="Comma-separated genre names as the source shows them. A title needs any one of them."
+          />
+          <GenreListInput
+            value={postFilters.genres}
+            onCommit={(genres) => setRule('genres', genres)}
+            placeholder="Drama, Comedy"
+            ariaLabel="Required genres"
+          />
+        </div>
+
+        <div className="filter-group">
+          <LabelWithTooltip
+            label="Exclude genres"
+            tooltip="Comma-separated genre names. Titles with any of them are hidden."
+          />
+          <GenreListInput
+            value={postFilters.excludeGenres}
+            onCommit={(genres) => setRule('excludeGenres', genres)}
+            placeholder="Horror"
+            ariaLabel="Excluded genres"
+          />
+        </div>
+      </div>
+
+      <div style={{ marginTop: '16px' }}>
+        <Checkbox
+          checked={!!postFilters.requirePoster}
+          onChange={(checked) => setRule('requirePoster', checked || undefined)}
+          label="Has poster"
+          tooltip="Hide titles that would show the placeholder poster."
+        />
+      </div>
+    </FilterSection>
+  );
+});
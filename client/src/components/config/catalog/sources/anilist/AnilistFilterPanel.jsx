@@ -25,6 +25,13 @@ import { api } from '../../../../../services/api';
 
 import { Checkbox } from '../../../../forms/Checkbox';
 
+const ANILIST_LIST_TYPES = [
+  { value: 'browse', label: 'Browse' },
+  { value: 'airing_next_24h', label: 'Airing in the next 24 hours' },
+  { value: 'airing_next_7d', label: 'Airing in the next 7 days' },
+  { value: 'aired_today', label: 'Aired today' },
+];
+
 export function AnilistFilterPanel({
   localCatalog,
   onFiltersChange,
@@ -42,6 +49,7 @@ export function AnilistFilterPanel({
 }) {
   const filters = localCatalog?.filters || {};
   const type = localCatalog?.type || 'movie';
+  const isAiring = !!filters.anilistListType && filters.anilistListType !== 'browse';
   const formSelectedStudios = localCatalog?.formState?.selectedStudios;
   const filterStudioIds = filters.studios;
 
@@ -157,6 +165,7 @@ export function AnilistFilterPanel({
   );
 
   const getSortBadge = () => {
+    if (isAiring) return 1 + ((filters.format || []).length > 0 ? 1 : 0);
     let count = 0;
     if (filters.sortBy && filters.sortBy !== 'TRENDING_DESC') count++;
     if ((filters.format || []).length > 0) count++;
@@ -203,21 +212,39 @@ export function AnilistFilterPanel({
       >
         <div className="filter-group">
           <LabelWithTooltip
-            label="Sort By"
-            tooltip="How to order your AniList results. Trending shows currently popular titles."
+            label="List Type"
+            tooltip="Browse allows sorting and every filter. The airing lists follow AniList's airing schedule in airing order and show each title's episode countdown."
           />
           <SearchableSelect
-            options={anilistSortOptions}
-            value={filters.sortBy || 'TRENDING_DESC'}
-            onChange={(value) => onFiltersChange('sortBy', value)}
-            placeholder="Trending"
-            searchPlaceholder="Search..."
+            options={ANILIST_LIST_TYPES}
+            value={filters.anilistListType || 'browse'}
+            onChange={(value) => onFiltersChange('anilistListType', value)}
+            placeholder="Browse"
             labelKey="label"
             valueKey="value"
             allowClear={false}
           />
         </div>
 
+        {!isAiring && (
+          <div className="filter-group">
+            <LabelWithTooltip
+              label="Sort By"
+              tooltip="How to order your AniList results. Trending shows currently popular titles."
+            />
+            <SearchableSelect
+              options={anilistSortOptions}
+              value={filters.sortBy || 'TRENDING_DESC'}
+              onChange={(value) => onFiltersChange('sortBy', value)}
+              placeholder="Trending"
+              searchPlaceholder="Search..."
+              labelKey="label"
+              valueKey="value"
+              allowClear={false}
+            />
+          </div>
+        )}
+
         <div className="filter-group">
           <LabelWithTooltip
             label="Format"
@@ -230,17 +257,19 @@ export function AnilistFilterPanel({
           />
         </div>
 
-        <div className="filter-group">
-          <LabelWithTooltip
-            label="Status"
-            tooltip="Filter by airing status: Releasing, Finished, Not Yet Aired, etc."
-          />
-          <AnimeFormatSelector
-            selected={filters.status || []}
-            options={anilistStatusOptions}
-            onChange={(statuses) => onFiltersChange('status', statuses)}
-          />
-        </div>
+        {!isAiring && (
+          <div className="filter-group">
+            <LabelWithTooltip
+              label="Status"
+              tooltip="Filter by airing status: Releasing, Finished, Not Yet Aired, etc."
+            />
+            <AnimeFormatSelector
+              selected={filters.status || []}
+              options={anilistStatusOptions}
+              onChange={(statuses) => onFiltersChange('status', statuses)}
+            />
+          </div>
+        )}
       </FilterSection>
 
       <FilterSection
@@ -314,7 +343,7 @@ export function AnilistFilterPanel({
         </FilterSection>
       )}
 
-      {type === 'series' && (
+      {type === 'series' && !isAiring && (
         <FilterSection
           id="season"
           title="Season"
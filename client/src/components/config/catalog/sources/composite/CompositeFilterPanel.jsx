@@ -0,0 +1,209 @@
+import { useMemo } from 'react';
+import { ArrowDown, ArrowUp, Layers, Shuffle, X } from 'lucide-react';
+import { FilterSection } from '../../FilterSection';
+import { AnimeFormatSelector } from '../../shared/AnimeFormatSelector';
+import { SearchableSelect } from '../../../../forms/SearchableSelect';
+import { LabelWithTooltip } from '../../../../forms/Tooltip';
+import { useCatalog } from '../../../../../context/AppContext';
+import { getSource } from '../../../../../sources';
+import { COMPOSITE_MERGE_MODES } from '../../../../../sources/composite.source';
+
+const MAX_MEMBERS = 8;
+const MAX_WEIGHT = 5;
+
+const MODE_HINTS = {
+  roundRobin: 'Takes one title from each member in turn.',
+  interleave: 'Like round-robin, but members with a higher weight appear more often.',
+  score: 'Ranks titles by how high they place across members; shared titles rise to the top.',
+};
+
+export function CompositeFilterPanel({
+  localCatalog,
+  onFiltersChange,
+  expandedSections,
+  onToggleSection,
+}) {
+  const { catalogs = [] } = useCatalog();
+  const filters = localCatalog?.filters || {};
+  const mode = filters.compositeMergeMode || 'roundRobin';
+  const memberIds = useMemo(
+    () => (Array.isArray(filters.compositeCatalogIds) ? filters.compositeCatalogIds : []),
+    [filters.compositeCatalogIds]
+  );
+  const weights = filters.compositeWeights || {};
+
+  // Only catalogs of the same content type can be merged, and a merged
+  // catalog never contains another merged catalog.
+  const candidates = useMemo(
+    () =>
+      catalogs.filter(
+        (c) =>
+          c._id !== localCatalog?._id &&
+          c.source !== 'composite' &&
+          c.type === (localCatalog?.type || 'movie')
+      ),
+    [catalogs, localCatalog?._id, localCatalog?.type]
+  );
+
+  const byId = useMemo(() => new Map(catalogs.map((c) => [c._id, c])), [catalogs]);
+
+  const addOptions = useMemo(
+    () =>
+      candidates
+        .filter((c) => !memberIds.includes(c._id))
+        .map((c) => ({ id: c._id, name: `${c.name} (${getSource(c.source).label})` })),
+    [candidates, memberIds]
+  );
+
+  const setMembers = (next) => onFiltersChange('compositeCatalogIds', next);
+
+  const moveMember = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= memberIds.length) return;
+    const next = [...memberIds];
+    [next[index], next[target]] = [next[target], next[index]];
+    setMembers(next);
+  };
+
+  const removeMember = (id) => {
+    setMembers(memberIds.filter((m) => m !== id));
+    if (weights[id] !== undefined) {
+      const { [id]: _removed, ...rest } = weights;
+      onFiltersChange('compositeWeights', Object.keys(rest).length > 0 ? rest : undefined);
+    }
+  };
+
+  const setWeight = (id, raw) => {
+    const parsed = Number.parseFloat(raw);
+    const next = { ...weights };
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      delete next[id];
+    } else {
+      next[id] = Math.min(parsed, MAX_WEIGHT);
+    }
+    onFiltersChange('compositeWeights', Object.keys(next).length > 0 ? next : undefined);
+  };
+
+  const showWeights = mode !== 'roundRobin';
+
+  return (
+    <>
+      <FilterSection
+        id="compositeMembers"
+        title="Member Catalogs"
+        description="Catalogs from this config to merge into one row"
+        icon={Layers}
+        isOpen={expandedSections?.compositeMembers}
+        onToggle={onToggleSection}
+        badgeCount={memberIds.length}
+      >
+        {memberIds.length === 0 ? (
+          <p className="text-secondary" style={{ fontSize: '13px' }}>
+            No member catalogs yet. Add at least two to build a merged row.
+          </p>
+        ) : (
+          <ol className="composite-member-list">
+            {memberIds.map((id, index) => {
+              const member = byId.get(id);
+              const isStale = !member || member.type !== (localCatalog?.type || 'movie');
+              return (
+                <li key={id} className={`composite-member ${isStale ? 'is-stale' : ''}`}>
+                  <span className={`source-dot ${member?.source || 'tmdb'}`} />
+                  <span className="composite-member-name">
+                    {member ? member.name : 'Deleted catalog'}
+                    {isStale && member && ' (different type — skipped)'}
+                  </span>
+                  {showWeights && (
+                    <input
+                      type="number"
+                      className="input"
+                      min={0.5}
+                      max={MAX_WEIGHT}
+                      step={0.5}
+                      value={weights[id] ?? ''}
+                      placeholder="1"
+                      aria-label={`Weight for ${member?.name || id}`}
+                      onChange={(e) => setWeight(id, e.target.value)}
+                      style={{ width: '64px', height: '32px', fontSize: '13px' }}
+                    />
+                  )}
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-icon"
+                    onClick={() => moveMember(index, -1)}
+                    disabled={index === 0}
+                    aria-label="Move up"
+                  >
+                    <ArrowUp size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-icon"
+                    onClick={() => moveMember(index, 1)}
+                    disabled={index === memberIds.length - 1}
+                    aria-label="Move down"
+                  >
+                    <ArrowDown size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-icon"
+                    onClick={() => removeMember(id)}
+                    aria-label="Remove member"
+                  >
+                    <X size={14} />
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+
+        {memberIds.length < MAX_MEMBERS && (
+          <div className="filter-group" style={{ marginTop: '12px' }}>
+            <LabelWithTooltip
+              label="Add Catalog"
+              tooltip="Pick another catalog of the same type. Hidden catalogs can be merged too, so you can keep only the merged row visible."
+            />
+            <SearchableSelect
+              options={addOptions}
+              value=""
+              onChange={(value) => value && setMembers([...memberIds, value])}
+              placeholder={addOptions.length > 0 ? 'Select a catalog' : 'No other catalogs'}
+              searchPlaceholder="Search catalogs..."
+              labelKey="name"
+              valueKey="id"
+            />
+          </div>
+        )}
+      </FilterSection>
+
+      <FilterSection
+        id="compositeMerge"
+        title="Merge Mode"
+        description="How member rows are combined and ordered"
+        icon={Shuffle}
+        isOpen={expandedSections?.compositeMerge}
+        onToggle={onToggleSection}
+        badgeCount={mode !== 'roundRobin' ? 1 : 0}
+      >
+        <div className="filter-group">
+          <LabelWithTooltip
+            label="Mode"
+            tooltip="Titles that appear in several members (matched by IMDb or TMDB id) are only shown once."
+          />
+          <AnimeFormatSelector
+            selected={[mode]}
+            options={COMPOSITE_MERGE_MODES}
+            onChange={(vals) =>
+              onFiltersChange('compositeMergeMode', vals[vals.length - 1] || mode)
+            }
+          />
+          <p className="text-secondary" style={{ fontSize: '12px', marginTop: '8px' }}>
+            {MODE_HINTS[mode]}
+          </p>
+        </div>
+      </FilterSection>
+    </>
+  );
+}
@@ -0,0 +1,200 @@
+import { useEffect, useState } from 'react';
+import { Clapperboard, Settings, Trash2, Upload } from 'lucide-react';
+import { FilterSection } from '../../FilterSection';
+import { Checkbox } from '../../../../forms/Checkbox';
+import { api } from '../../../../../services/api';
+
+const SHOWN_ITEMS = 8;
+const IMPORT_POLL_MS = 2000;
+
+export function LetterboxdFilterPanel({
+  localCatalog,
+  onFiltersChange,
+  expandedSections,
+  onToggleSection,
+}) {
+  const filters = localCatalog?.filters || {};
+  const items = Array.isArray(filters.letterboxdItems) ? filters.letterboxdItems : [];
+  const [uploading, setUploading] = useState(false);
+  const [job, setJob] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [report, setReport] = useState(null);
+  const importing = uploading || !!job;
+
+  // Films are matched on the server in the background; poll until it is done.
+  useEffect(() => {
+    if (!job) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await api.getLetterboxdImport(job.jobId);
+        if (cancelled) return;
+        if (result.status === 'running') {
+          setJob((prev) => prev && { ...prev, polls: prev.polls + 1 });
+          return;
+        }
+        setJob(null);
+        if (result.status !== 'done') {
+          setImportError(result.error || 'Import failed');
+          return;
+        }
+        onFiltersChange('letterboxdItems', result.items || []);
+        onFiltersChange('letterboxdListName', result.listName || undefined);
+        setReport({
+          matched: result.items?.length || 0,
+          unresolved: result.unresolved || [],
+          unresolvedCount: result.unresolvedCount || 0,
+        });
+      } catch (err) {
+        if (cancelled) return;
+        setJob(null);
+        setImportError(err.message || 'Import failed');
+      }
+    }, IMPORT_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [job, onFiltersChange]);
+
+  const handleFile = async (file) => {
+    setUploading(true);
+    setImportError(null);
+    setReport(null);
+    try {
+      const { jobId, total } = await api.importLetterboxdList(await file.text());
+      setJob({ jobId, total, polls: 0 });
+    } catch (err) {
+      setImportError(err.message || 'Import failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const clearList = () => {
+    onFiltersChange('letterboxdItems', []);
+    onFiltersChange('letterboxdListName', undefined);
+    setReport(null);
+  };
+
+  return (
+    <>
+      <FilterSection
+        id="letterboxdList"
+        title="Letterboxd List"
+        description="Films from a Letterboxd CSV export, in list order"
+        icon={Clapperboard}
+        isOpen={expandedSections?.letterboxdList}
+        onToggle={onToggleSection}
+        badgeCount={items.length > 0 ? 1 : 0}
+      >
+        <p className="text-secondary" style={{ fontSize: '13px', marginBottom: '12px' }}>
+          On Letterboxd, open a list and choose <strong>Export list</strong>, or use the watchlist
+          and watched files from <strong>Settings → Data → Export your data</strong>. Films are
+          matched to TMDB by title and year when you upload.
+        </p>
+
+        <label className={`btn btn-secondary ${importing ? 'disabled' : ''}`}>
+          <Upload size={14} />
+          {importing
+            ? `Matching ${job?.total ? `${job.total} ` : ''}films…`
+            : items.length > 0
+              ? 'Replace from CSV'
+              : 'Upload CSV'}
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            className="hidden-file-input"
+            disabled={importing}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) handleFile(file);
+              e.target.value = '';
+            }}
+          />
+        </label>
+
+        {importError && (
+          <p className="field-error" style={{ marginTop: '8px' }}>
+            {importError}
+          </p>
+        )}
+
+        {report && (
+          <div className="text-secondary" style={{ fontSize: '12px', marginTop: '8px' }}>
+            Matched {report.matched} film{report.matched === 1 ? '' : 's'}
+            {report.unresolvedCount > 0 && (
+              <>
+                {' '}
+                · {report.unresolvedCount} not found on TMDB:{' '}
+                {report.unresolved
+                  .map((entry) => (entry.year ? `${entry.name} (${entry.year})` : entry.name))
+                  .join(', ')}
+                {report.unresolvedCount > report.unresolved.length && ', …'}
+              </>
+            )}
+          </div>
+        )}
+
+        {items.length > 0 && (
+          <div style={{ marginTop: '16px' }}>
+            <div
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                marginBottom: '8px',
+              }}
+            >
+              <span style={{ fontSize: '13px', fontWeight: 600 }}>
+                {filters.letterboxdListName || 'Imported list'} · {items.length} film
+                {items.length === 1 ? '' : 's'}
+              </span>
+              <button
+                type="button"
+                className="btn btn-ghost btn-icon"
+                onClick={clearList}
+                aria-label="Clear imported list"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <ol className="composite-member-list">
+              {items.slice(0, SHOWN_ITEMS).map((item) => (
+                <li key={item.tmdbId} className="composite-member">
+                  <span className="source-dot letterboxd" />
+                  <span className="composite-member-name">
+                    {item.name}
+                    {item.year ? ` (${item.year})` : ''}
+                  </span>
+                </li>
+              ))}
+            </ol>
+            {items.length > SHOWN_ITEMS && (
+              <p className="text-secondary" style={{ fontSize: '12px', marginTop: '6px' }}>
+                and {items.length - SHOWN_ITEMS} more
+              </p>
+            )}
+          </div>
+        )}
+      </FilterSection>
+
+      <FilterSection
+        id="letterboxdOptions"
+        title="Options"
+        description="Ordering for this row"
+        icon={Settings}
+        isOpen={expandedSections?.letterboxdOptions}
+        onToggle={onToggleSection}
+        badgeCount={filters.randomize ? 1 : 0}
+      >
+        <Checkbox
+          checked={!!filters.randomize}
+          onChange={(checked) => onFiltersChange('randomize', checked || undefined)}
+          label="Randomize Results"
+          tooltip="Show a random selection from the list each time instead of list order."
+        />
+      </FilterSection>
+    </>
+  );
+}
@@ -72,7 +72,7 @@ export function SimklFilterPanel({
       <FilterSection
         id="browseType"
         title="Browse Type"
-        description="Trending, best, by genre, premieres, or airing"
+        description="Trending, best, by genre, premieres, airing, or your own library"
         icon={Settings}
         isOpen={expandedSections?.browseType}
         onToggle={onToggleSection}
@@ -81,7 +81,7 @@ export function SimklFilterPanel({
         <div className="filter-group">
           <LabelWithTooltip
             label="List Type"
-            tooltip="Choose what kind of Simkl list to browse: Trending, Best, By Genre, Premieres, or Airing."
+            tooltip="Choose what kind of Simkl list to browse: Trending, Best, By Genre, Premieres, Airing, or a list from your linked Simkl account."
           />
           <AnimeFormatSelector
             selected={[listType]}
@@ -94,6 +94,11 @@ export function SimklFilterPanel({
               }
             }}
           />
+          {listType.startsWith('my_') && (
+            <span className="filter-label-hint" style={{ marginTop: '4px' }}>
+              Reads your own Simkl library. Link your account in Settings → Linked Accounts.
+            </span>
+          )}
         </div>
 
         {listType === 'trending' && simklTrendingPeriods.length > 0 && (
@@ -1,6 +1,7 @@
-import { Calendar, Layers, Play, Settings, Sparkles, Users } from 'lucide-react';
+import { Calendar, CalendarClock, Layers, Play, Settings, Sparkles, Users } from 'lucide-react';
 import { memo, useEffect, useMemo } from 'react';
 import { FilterPanel } from '../../FilterPanel';
+import { FilterPromptInput } from '../../FilterPromptInput';
 import { FilterSection } from '../../FilterSection';
 import { GenreSelector } from '../../GenreSelector';
 import { OptionsPanel } from '../../OptionsPanel';
@@ -8,13 +9,23 @@ import { PeopleFilters } from '../../PeopleFilters';
 import { ReleaseFilters } from '../../ReleaseFilters';
 import { StremioExtras } from '../../StremioExtras';
 import { StreamFilters } from '../../StreamFilters';
+import { Checkbox } from '../../../../forms/Checkbox';
 
 import { SearchInput } from '../../../../forms/SearchInput';
 import { SearchableSelect } from '../../../../forms/SearchableSelect';
 
+const CALENDAR_DAY_OPTIONS = [
+  { value: '3', label: 'Next 3 days' },
+  { value: '7', label: 'Next 7 days' },
+  { value: '14', label: 'Next 14 days' },
+  { value: '30', label: 'Next 30 days' },
+];
+
 export const TmdbFilterPanel = memo(function TmdbFilterPanel({
   localCatalog,
   onFiltersChange,
+  onScheduleChange,
+  onFilterTemplateChange,
   sortOptions,
   originalLanguages,
   countries,
@@ -64,6 +75,9 @@ export const TmdbFilterPanel = memo(function TmdbFilterPanel({
   const isCollectionMode = catalogType === 'collection';
   const collectionMode = localCatalog?.filters?.listType === 'studio' ? 'studio' : 'collection';
   const isStudioMode = isCollectionMode && collectionMode === 'studio';
+  // Hand-picked lists are edited by CustomListEditor; discover filters do not apply.
+  const isCustomList = localCatalog?.filters?.listType === 'custom';
+  const isEpisodeCalendar = localCatalog?.filters?.listType === 'episode_calendar';
 
   const currentGenres = safeGenres[catalogType] || [];
   const selectedGenres = localCatalog?.filters?.genres || [];
@@ -159,6 +173,15 @@ export const TmdbFilterPanel = memo(function TmdbFilterPanel({
 
   return (
     <>
+      {!isPresetCatalog && !isCollectionMode && !isCustomList && !isEpisodeCalendar && (
+        <FilterPromptInput
+          catalogType={catalogType}
+          onCatalogChange={onFilterTemplateChange}
+          setSelectedPeople={setSelectedPeople}
+          setSelectedKeywords={setSelectedKeywords}
+        />
+      )}
+
       {isCollectionMode && (
         <FilterSection
           id="collection"
@@ -339,6 +362,45 @@ export const TmdbFilterPanel = memo(function TmdbFilterPanel({
         </FilterSection>
       )}
 
+      {!isMovie && !isPresetCatalog && !isCollectionMode && !isCustomList && (
+        <FilterSection
+          id="calendar"
+          title="Episode Calendar"
+          description="List shows by their next episode instead of by sort order"
+          icon={CalendarClock}
+          isOpen={expandedSections.calendar}
+          onToggle={onToggleSection}
+          badgeCount={isEpisodeCalendar ? 1 : 0}
+        >
+          <Checkbox
+            checked={isEpisodeCalendar}
+            onChange={(checked) => {
+              // Clear the preset first so the list type change is not undone by it.
+              onFiltersChange('presetOrigin', undefined);
+              onFiltersChange('listType', checked ? 'episode_calendar' : 'discover');
+            }}
+            label="Show upcoming episodes"
+            tooltip="Only shows with an episode airing in the window are listed, soonest first. Stremio shows the episodes on each title."
+          />
+          {isEpisodeCalendar && (
+            <div style={{ marginTop: '12px' }}>
+              <SearchableSelect
+                options={CALENDAR_DAY_OPTIONS}
+                value={String(localCatalog?.filters?.calendarDays || 7)}
+                onChange={(value) => onFiltersChange('calendarDays', Number(value) || undefined)}
+                valueKey="value"
+                labelKey="label"
+                allowClear={false}
+                aria-label="Calendar window"
+              />
+              <p className="text-secondary" style={{ fontSize: '13px', marginTop: '8px' }}>
+                Pin shows below to follow just those; otherwise the filters pick the shows.
+              </p>
+            </div>
+          )}
+        </FilterSection>
+      )}
+
       {!isPresetCatalog && !isCollectionMode && (
         <FilterSection
           id="filters"
@@ -355,6 +417,7 @@ export const TmdbFilterPanel = memo(function TmdbFilterPanel({
             sortOptions={sortOptions}
             originalLanguages={originalLanguages}
             countries={countries}
+            onFilterTemplateChange={onFilterTemplateChange}
           />
         </FilterSection>
       )}
@@ -472,7 +535,7 @@ export const TmdbFilterPanel = memo(function TmdbFilterPanel({
         <FilterSection
           id="options"
           title="Options"
-          description="Include adult, video, randomize, or discover-only results"
+          description="Adult, video, randomize, discover-only and scheduling"
           icon={Settings}
           isOpen={expandedSections.options}
           onToggle={onToggleSection}
@@ -480,11 +543,13 @@ export const TmdbFilterPanel = memo(function TmdbFilterPanel({
           <OptionsPanel
             localCatalog={localCatalog}
             onFiltersChange={onFiltersChange}
+            onScheduleChange={onScheduleChange}
             isMovie={isMovie}
           />
         </FilterSection>
       ) : (
-        !isCollectionMode && (
+        !isCollectionMode &&
+        !isCustomList && (
           <div className="preset-empty-state">
             <Sparkles size={32} className="preset-empty-icon" />
             <span className="preset-empty-text">
@@ -494,7 +559,7 @@ export const TmdbFilterPanel = memo(function TmdbFilterPanel({
         )
       )}
 
-      {!isCollectionMode && (
+      {!isCollectionMode && !isCustomList && (
         <FilterSection
           id="extras"
           title="Stremio Extras"
@@ -942,7 +942,7 @@ export function TraktFilterPanel({
           <div className="filter-group">
             <LabelWithTooltip
               label="Browse Type"
-              tooltip="Pick a broader Trakt catalog family such as Discover, Community, Calendar, or Other."
+              tooltip="Pick a broader Trakt catalog family such as Discover, Community, Calendar, Other, or My Account."
             />
             <SearchableSelect
               options={browseTypeOptions}
@@ -963,7 +963,7 @@ export function TraktFilterPanel({
                 activeBrowseType === 'calendar'
                   ? 'Calendar options combine timeframe (upcoming/recently aired) and feed type.'
                   : activeListType === 'recommended'
-                    ? 'Shows titles most often recommended by the Trakt community in the selected period. This is community-aggregated data — not your personal Trakt recommendations (those require account OAuth which is not supported).'
+                    ? 'Shows titles most often recommended by the Trakt community in the selected period. For recommendations based on your own history, link your Trakt account and pick My Account → Recommended for Me.'
                     : 'Select the specific list option within the chosen browse type.'
               }
             />
@@ -982,6 +982,11 @@ export function TraktFilterPanel({
                 Example: Upcoming • Movie Releases, or Recently Aired • Season Premieres.
               </span>
             )}
+            {activeBrowseType === 'account' && (
+              <span className="filter-label-hint" style={{ marginTop: '4px' }}>
+                Reads your own Trakt library. Link your account in Settings → Linked Accounts.
+              </span>
+            )}
           </div>
         </div>
 
@@ -1,11 +1,14 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { Store, Loader, SearchX } from 'lucide-react';
+import { Store, Loader, SearchX, ShieldAlert, Package } from 'lucide-react';
+import { api } from '../../services/api';
 import { useMarketplace } from '../../hooks/useMarketplace';
 import { useIsMobile } from '../../hooks/useIsMobile';
 import { MarketplaceSearchBar } from './MarketplaceSearchBar';
 import { MarketplaceFacets } from './MarketplaceFacets';
 import { MarketplaceSortSelect } from './MarketplaceSortSelect';
 import { MarketplaceCard } from './MarketplaceCard';
+import { MarketplaceModerationQueue } from './MarketplaceModerationQueue';
+import { MarketplaceBundleForm } from './MarketplaceBundleForm';
 import { CatalogPreview } from '../config/catalog/CatalogPreview';
 
 /**
@@ -34,6 +37,7 @@ export function MarketplaceBrowser({ userId = null, refreshConfig = null, apiKey
     previewEntry,
     install,
     toggleLike,
+    report,
     loading,
     error,
     hasMore,
@@ -55,6 +59,10 @@ export function MarketplaceBrowser({ userId = null, refreshConfig = null, apiKey
   const previewRequestRef = useRef(0);
   const lastPreviewEntryRef = useRef(null);
   const [installingId, setInstallingId] = useState(null);
+  // Moderators get a review queue in place of the search results.
+  const [isModerator, setIsModerator] = useState(false);
+  const [reviewing, setReviewing] = useState(false);
+  const [publishingBundle, setPublishingBundle] = useState(false);
 
   // Initial browse on mount (empty query => trending).
   useEffect(() => {
@@ -62,6 +70,20 @@ export function MarketplaceBrowser({ userId = null, refreshConfig = null, apiKey
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+    api
+      .getMarketplaceModerationStatus()
+      .then((data) => {
+        if (!cancelled) setIsModerator(!!data?.moderator);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
   const triggerSearch = useCallback(
     (overrides = {}) => {
       search({ q: query, source, type, sort, ...overrides });
@@ -112,10 +134,10 @@ export function MarketplaceBrowser({ userId = null, refreshConfig = null, apiKey
   }, [runPreview]);
 
   const handleInstall = useCallback(
-    async (entry) => {
+    async (entry, mode) => {
       setInstallingId(entry.marketplaceId);
       try {
-        await install(entry);
+        await install(entry, undefined, mode);
       } finally {
         setInstallingId(null);
       }
@@ -123,6 +145,11 @@ export function MarketplaceBrowser({ userId = null, refreshConfig = null, apiKey
     [install]
   );
 
+  const handleBundlePublished = useCallback(() => {
+    setPublishingBundle(false);
+    triggerSearch();
+  }, [triggerSearch]);
+
   const handleOpenPreferences = useCallback(() => {
     if (typeof window === 'undefined') return;
     window.dispatchEvent(
@@ -158,78 +185,116 @@ export function MarketplaceBrowser({ userId = null, refreshConfig = null, apiKey
             </div>
           </div>
           <div className="editor-actions" style={{ minWidth: '180px' }}>
-            <MarketplaceSortSelect value={sort} onChange={handleSortChange} />
+            {userId && !reviewing && (
+              <button
+                type="button"
+                className={`btn btn-sm ${publishingBundle ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setPublishingBundle((open) => !open)}
+                aria-pressed={publishingBundle}
+                title="Publish several of your catalogs as one bundle"
+              >
+                <Package size={15} aria-hidden="true" />
+                Bundle
+              </button>
+            )}
+            {isModerator && (
+              <button
+                type="button"
+                className={`btn btn-sm ${reviewing ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setReviewing((open) => !open)}
+                aria-pressed={reviewing}
+              >
+                <ShieldAlert size={15} aria-hidden="true" />
+                Review queue
+              </button>
+            )}
+            {!reviewing && <MarketplaceSortSelect value={sort} onChange={handleSortChange} />}
           </div>
         </div>
 
-        <div className="editor-content marketplace-content">
-          <div className="marketplace-search-group">
-            <MarketplaceSearchBar value={query} onChange={handleQueryChange} />
+        {reviewing ? (
+          <div className="editor-content marketplace-content">
+            <MarketplaceModerationQueue onPreview={runPreview} />
           </div>
+        ) : (
+          <div className="editor-content marketplace-content">
+            {publishingBundle && (
+              <MarketplaceBundleForm
+                userId={userId}
+                onPublished={handleBundlePublished}
+                onCancel={() => setPublishingBundle(false)}
+              />
+            )}
 
-          <MarketplaceFacets source={source} type={type} onChange={handleFacetsChange} />
+            <div className="marketplace-search-group">
+              <MarketplaceSearchBar value={query} onChange={handleQueryChange} />
+            </div>
 
-          <div className="marketplace-results-header" style={{ margin: '16px 0 8px' }}>
-            <span className="filter-label">
-              {total > 0 ? `${total.toLocaleString()} catalogs` : 'Results'}
-            </span>
-          </div>
+            <MarketplaceFacets source={source} type={type} onChange={handleFacetsChange} />
 
-          {error && (
-            <div
-              className="preview-error"
-              style={{ textAlign: 'center', padding: '24px 12px', color: 'var(--error)' }}
-            >
-              {error}
+            <div className="marketplace-results-header" style={{ margin: '16px 0 8px' }}>
+              <span className="filter-label">
+                {total > 0 ? `${total.toLocaleString()} catalogs` : 'Results'}
+              </span>
             </div>
-          )}
 
-          {!error && results.length === 0 && !loading && (
-            <div className="preview-empty" style={{ textAlign: 'center', padding: '32px 12px' }}>
-              <SearchX size={32} style={{ marginBottom: '12px', opacity: 0.5 }} />
-              <p style={{ margin: 0, fontSize: '0.875rem' }}>No catalogs found.</p>
-            </div>
-          )}
-
-          <div className="marketplace-results-region">
-            <div className="marketplace-list">
-              {results.map((entry) => (
-                <MarketplaceCard
-                  key={entry.marketplaceId}
-                  entry={entry}
-                  onPreview={runPreview}
-                  onInstall={handleInstall}
-                  onToggleLike={toggleLike}
-                  liked={entry.liked}
-                  installing={installingId === entry.marketplaceId}
-                />
-              ))}
-              {loading && (
-                <div
-                  className="marketplace-list-footer"
-                  style={{ textAlign: 'center', padding: '24px 12px' }}
-                >
-                  <Loader
-                    size={28}
-                    className="animate-spin"
-                    style={{ color: 'var(--accent-primary)' }}
+            {error && (
+              <div
+                className="preview-error"
+                style={{ textAlign: 'center', padding: '24px 12px', color: 'var(--error)' }}
+              >
+                {error}
+              </div>
+            )}
+
+            {!error && results.length === 0 && !loading && (
+              <div className="preview-empty" style={{ textAlign: 'center', padding: '32px 12px' }}>
+                <SearchX size={32} style={{ marginBottom: '12px', opacity: 0.5 }} />
+                <p style={{ margin: 0, fontSize: '0.875rem' }}>No catalogs found.</p>
+              </div>
+            )}
+
+            <div className="marketplace-results-region">
+              <div className="marketplace-list">
+                {results.map((entry) => (
+                  <MarketplaceCard
+                    key={entry.marketplaceId}
+                    entry={entry}
+                    onPreview={runPreview}
+                    onInstall={handleInstall}
+                    onToggleLike={toggleLike}
+                    onReport={userId ? report : undefined}
+                    liked={entry.liked}
+                    installing={installingId === entry.marketplaceId}
                   />
-                </div>
-              )}
-
-              {!loading && hasMore && (
-                <div
-                  className="marketplace-list-footer"
-                  style={{ textAlign: 'center', padding: '16px 0' }}
-                >
-                  <button type="button" className="btn btn-secondary" onClick={loadMore}>
-                    Load more
-                  </button>
-                </div>
-              )}
+                ))}
+                {loading && (
+                  <div
+                    className="marketplace-list-footer"
+                    style={{ textAlign: 'center', padding: '24px 12px' }}
+                  >
+                    <Loader
+                      size={28}
+                      className="animate-spin"
+                      style={{ color: 'var(--accent-primary)' }}
+                    />
+                  </div>
+                )}
+
+                {!loading && hasMore && (
+                  <div
+                    className="marketplace-list-footer"
+                    style={{ textAlign: 'center', padding: '16px 0' }}
+                  >
+                    <button type="button" className="btn btn-secondary" onClick={loadMore}>
+                      Load more
+                    </button>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
-        </div>
+        )}
       </div>
 
       <CatalogPreview
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { Package } from 'lucide-react';
+import { api } from '../../services/api';
+import { useCatalog } from '../../context/AppContext';
+
+// Mirror MARKETPLACE_BUNDLE_LIMITS and the publish field limits on the server.
+const MIN_MEMBERS = 2;
+const MAX_MEMBERS = 20;
+const MAX_NAME = 100;
+const MAX_DESCRIPTION = 500;
+
+const catalogIdOf = (catalog) => catalog._id || catalog.id;
+
+/**
+ * Publish several of the user's catalogs as one marketplace bundle. Members
+ * are installed in the order they were ticked. The server reads the saved
+ * config, so catalogs with unsaved edits are bundled as last saved.
+ */
+export function MarketplaceBundleForm({ userId, onPublished, onCancel }) {
+  const { catalogs = [] } = useCatalog();
+  const [selected, setSelected] = useState([]);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [tags, setTags] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const canSubmit =
+    !submitting &&
+    name.trim().length > 0 &&
+    selected.length >= MIN_MEMBERS &&
+    selected.length <= MAX_MEMBERS;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const entry = await api.publishMarketplaceBundle(userId, {
+        name: name.trim(),
+        description: description.trim() || undefined,
+        tags: tags
+          .split(',')
+          .map((t) => t.trim())
+          .filter(Boolean),
+        catalogIds: selected,
+      });
+      onPublished?.(entry);
+    } catch (err) {
+      setError(err?.message || 'Publish failed');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="marketplace-bundle-form" onSubmit={handleSubmit}>
+      <span className="filter-label">
+        <Package size={14} aria-hidden="true" /> Publish a bundle
+      </span>
+      <input
+        className="input"
+        aria-label="Bundle name"
+        placeholder="Bundle name"
+        maxLength={MAX_NAME}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <textarea
+        className="input"
+        aria-label="Bundle description"
+        placeholder="What ties these catalogs together (optional)"
+        maxLength={MAX_DESCRIPTION}
+        rows={2}
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+      />
+      <input
+        className="input"
+        aria-label="Bundle tags"
+        placeholder="Tags, comma separated (optional)"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+      />
+
+      <ul className="marketplace-bundle-catalogs">
+        {catalogs.map((catalog) => {
+          const id = catalogIdOf(catalog);
+          const position = selected.indexOf(id);
+          return (
+            <li key={id}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={position !== -1}
+                  onChange={() => toggle(id)}
+                  disabled={position === -1 && selected.length >= MAX_MEMBERS}
+                />
+                <span className="marketplace-bundle-order">
+                  {position !== -1 ? position + 1 : ''}
+                </span>
+                {catalog.name}
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+
+      {error && <span className="marketplace-report-error">{error}</span>}
+      <div className="marketplace-report-actions">
+        <span className="marketplace-bundle-count">
+          {selected.length} of {MIN_MEMBERS}–{MAX_MEMBERS} catalogs
+        </span>
+        <button type="button" className="btn btn-ghost btn-sm" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary btn-sm" disabled={!canSubmit}>
+          {submitting ? 'Publishing...' : 'Publish bundle'}
+        </button>
+      </div>
+    </form>
+  );
+}
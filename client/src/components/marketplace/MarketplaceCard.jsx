@@ -1,6 +1,7 @@
-import { Download, Eye, Heart } from 'lucide-react';
+import { useState } from 'react';
+import { Download, Eye, Flag, Heart, Link2, Package } from 'lucide-react';
 import { getAllSources } from '../../sources';
-import { MARKETPLACE_TYPES } from '../../constants/marketplaceTypes';
+import { MARKETPLACE_REPORT_REASONS, MARKETPLACE_TYPES } from '../../constants/marketplaceTypes';
 
 const SOURCE_LABELS = Object.fromEntries(getAllSources().map((s) => [s.id, s.label]));
 const TYPE_LABELS = Object.fromEntries(MARKETPLACE_TYPES.map((t) => [t.id, t.label]));
@@ -13,28 +14,93 @@ function formatCount(value) {
   return String(n);
 }
 
+// Mirrors MARKETPLACE_MODERATION_LIMITS.MAX_REPORT_DETAILS_LENGTH on the server.
+const MAX_REPORT_DETAILS = 500;
+
+function ReportForm({ name, onSubmit, onCancel }) {
+  const [reason, setReason] = useState(MARKETPLACE_REPORT_REASONS[0].id);
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit(reason, details.trim() || undefined);
+    } catch (err) {
+      setError(err?.message || 'Report failed');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="marketplace-report-form" onSubmit={handleSubmit}>
+      <span className="filter-label">Report “{name}”</span>
+      <select
+        className="input"
+        aria-label="Report reason"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+      >
+        {MARKETPLACE_REPORT_REASONS.map((r) => (
+          <option key={r.id} value={r.id}>
+            {r.label}
+          </option>
+        ))}
+      </select>
+      <textarea
+        className="input"
+        aria-label="Report details"
+        placeholder="Anything a moderator should know (optional)"
+        maxLength={MAX_REPORT_DETAILS}
+        rows={2}
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+      />
+      {error && <span className="marketplace-report-error">{error}</span>}
+      <div className="marketplace-report-actions">
+        <button type="button" className="btn btn-ghost btn-sm" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-danger btn-sm" disabled={submitting}>
+          {submitting ? 'Sending...' : 'Send report'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
 /**
  * MarketplaceCard renders a single marketplace result as a compact list row.
  *
  * Expects an entry shaped like MarketplaceSearchCard:
  *   { marketplaceId, name, tags, type, source, genres,
- *     engagement: { likes, installs, trendingScore } }
+ *     engagement: { likes, installs, trendingScore }, members? }
+ *
+ * Bundles (entries with `members`) list their member catalogs and can only be
+ * added as copies, so the Follow action is hidden for them.
  *
  * Provenance/author ("by …") is intentionally omitted — there is no meaningful
- * user identity to surface. Callbacks: onPreview(entry), onInstall(entry),
- * onToggleLike(entry).
+ * user identity to surface. Callbacks: onPreview(entry), onInstall(entry, mode)
+ * where mode is 'copy' or 'link', onToggleLike(entry), onReport(entry, reason,
+ * details).
  */
 export function MarketplaceCard({
   entry,
   onPreview,
   onInstall,
   onToggleLike,
+  onReport,
   liked = false,
   installing = false,
 }) {
+  const [reporting, setReporting] = useState(false);
   if (!entry) return null;
 
-  const { name, type, source, genres = [], engagement = {} } = entry;
+  const { name, type, source, genres = [], engagement = {}, members } = entry;
+  const isBundle = Array.isArray(members);
   const { likes = 0, installs = 0 } = engagement;
 
   const sourceLabel = SOURCE_LABELS[source] || source || 'Unknown';
@@ -43,75 +109,132 @@ export function MarketplaceCard({
   const extraGenres = genres.length - visibleGenres.length;
 
   return (
-    <div className="marketplace-row">
-      <div className="marketplace-row-info">
-        <div className="marketplace-row-heading">
-          <span className="marketplace-row-name" title={name}>
-            {name}
-          </span>
-          <span className="source-pill marketplace-row-source" title={`Source: ${sourceLabel}`}>
-            <span className={`source-dot ${source}`} />
-            {sourceLabel}
-          </span>
-          {typeLabel && <span className="marketplace-row-type">{typeLabel}</span>}
-        </div>
-
-        <div className="marketplace-row-meta">
-          {visibleGenres.map((genre) => (
-            <span key={genre} className="genre-chip selected marketplace-row-genre">
-              {genre}
+    <>
+      <div className="marketplace-row">
+        <div className="marketplace-row-info">
+          <div className="marketplace-row-heading">
+            <span className="marketplace-row-name" title={name}>
+              {name}
             </span>
-          ))}
-          {extraGenres > 0 && (
-            <span
-              className="genre-chip marketplace-row-genre"
-              title={genres.slice(MAX_GENRE_CHIPS).join(', ')}
-            >
-              +{extraGenres}
+            <span className="source-pill marketplace-row-source" title={`Source: ${sourceLabel}`}>
+              <span className={`source-dot ${source}`} />
+              {sourceLabel}
             </span>
+            {isBundle ? (
+              <span className="marketplace-row-type">
+                <Package size={12} aria-hidden="true" /> Bundle · {members.length}
+              </span>
+            ) : (
+              typeLabel && <span className="marketplace-row-type">{typeLabel}</span>
+            )}
+          </div>
+
+          {isBundle && (
+            <ol className="marketplace-row-members">
+              {members.map((member, index) => (
+                <li key={index}>
+                  {member.name}
+                  <span className="marketplace-row-member-meta">
+                    {SOURCE_LABELS[member.source] || member.source} ·{' '}
+                    {TYPE_LABELS[member.type] || member.type}
+                  </span>
+                </li>
+              ))}
+            </ol>
           )}
-          <span className="marketplace-row-stat" title={`${installs} installs`}>
-            <Download size={13} aria-hidden="true" />
-            {formatCount(installs)}
-          </span>
-          <span className="marketplace-row-stat" title={`${likes} likes`}>
-            <Heart size={13} aria-hidden="true" />
-            {formatCount(likes)}
-          </span>
+
+          <div className="marketplace-row-meta">
+            {visibleGenres.map((genre) => (
+              <span key={genre} className="genre-chip selected marketplace-row-genre">
+                {genre}
+              </span>
+            ))}
+            {extraGenres > 0 && (
+              <span
+                className="genre-chip marketplace-row-genre"
+                title={genres.slice(MAX_GENRE_CHIPS).join(', ')}
+              >
+                +{extraGenres}
+              </span>
+            )}
+            <span className="marketplace-row-stat" title={`${installs} installs`}>
+              <Download size={13} aria-hidden="true" />
+              {formatCount(installs)}
+            </span>
+            <span className="marketplace-row-stat" title={`${likes} likes`}>
+              <Heart size={13} aria-hidden="true" />
+              {formatCount(likes)}
+            </span>
+          </div>
         </div>
-      </div>
 
-      <div className="marketplace-row-actions">
-        <button
-          type="button"
-          className="btn btn-ghost btn-sm"
-          onClick={() => onPreview?.(entry)}
-          title={`Preview ${name}`}
-        >
-          <Eye size={15} aria-hidden="true" />
-          <span className="marketplace-action-label">Preview</span>
-        </button>
-        <button
-          type="button"
-          className={`btn btn-ghost btn-icon btn-sm marketplace-like-btn ${liked ? 'liked' : ''}`}
-          onClick={() => onToggleLike?.(entry)}
-          aria-pressed={liked}
-          aria-label={liked ? 'Unlike this catalog' : 'Like this catalog'}
-          title={liked ? 'Unlike' : 'Like'}
-        >
-          <Heart size={15} aria-hidden="true" fill={liked ? 'currentColor' : 'none'} />
-        </button>
-        <button
-          type="button"
-          className="btn btn-primary btn-sm"
-          onClick={() => onInstall?.(entry)}
-          disabled={installing}
-          title={`Add ${name} to your configuration`}
-        >
-          <Download size={15} aria-hidden="true" />
-          <span className="marketplace-action-label">{installing ? 'Adding...' : 'Add'}</span>
-        </button>
+        <div className="marketplace-row-actions">
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm"
+            onClick={() => onPreview?.(entry)}
+            title={`Preview ${name}`}
+          >
+            <Eye size={15} aria-hidden="true" />
+            <span className="marketplace-action-label">Preview</span>
+          </button>
+          <button
+            type="button"
+            className={`btn btn-ghost btn-icon btn-sm marketplace-like-btn ${liked ? 'liked' : ''}`}
+            onClick={() => onToggleLike?.(entry)}
+            aria-pressed={liked}
+            aria-label={liked ? 'Unlike this catalog' : 'Like this catalog'}
+            title={liked ? 'Unlike' : 'Like'}
+          >
+            <Heart size={15} aria-hidden="true" fill={liked ? 'currentColor' : 'none'} />
+          </button>
+          {onReport && (
+            <button
+              type="button"
+              className="btn btn-ghost btn-icon btn-sm marketplace-report-btn"
+              onClick={() => setReporting((open) => !open)}
+              disabled={entry.reported}
+              aria-expanded={reporting}
+              aria-label={entry.reported ? 'Reported' : 'Report this catalog'}
+              title={entry.reported ? 'Reported — thanks' : 'Report'}
+            >
+              <Flag size={15} aria-hidden="true" />
+            </button>
+          )}
+          {!isBundle && (
+            <button
+              type="button"
+              className="btn btn-ghost btn-icon btn-sm"
+              onClick={() => onInstall?.(entry, 'link')}
+              disabled={installing}
+              aria-label={`Follow ${name}`}
+              title="Add a linked copy that picks up the author's future edits"
+            >
+              <Link2 size={15} aria-hidden="true" />
+            </button>
+          )}
+          <button
+            type="button"
+            className="btn btn-primary btn-sm"
+            onClick={() => onInstall?.(entry, 'copy')}
+            disabled={installing}
+            title={`Add ${name} to your configuration`}
+          >
+            <Download size={15} aria-hidden="true" />
+            <span className="marketplace-action-label">{installing ? 'Adding...' : 'Add'}</span>
+          </button>
+        </div>
       </div>
-    </div>
+      {reporting && !entry.reported && (
+        <ReportForm
+          name={name}
+          onCancel={() => setReporting(false)}
+          onSubmit={async (reason, details) => {
+            await onReport(entry, reason, details);
+            setReporting(false);
+          }}
+        />
+      )}
+    </>
   );
 }
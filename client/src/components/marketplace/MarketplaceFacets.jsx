@@ -2,7 +2,7 @@ import { getAllSources } from '../../sources';
 import { MARKETPLACE_TYPES as TYPES } from '../../constants/marketplaceTypes';
 
 const SOURCES = getAllSources()
-  .filter((s) => s.id !== 'mal')
+  .filter((s) => s.id !== 'mal' && s.id !== 'composite' && s.id !== 'letterboxd')
   .map((s) => ({ id: s.id, label: s.label }));
 
 /**
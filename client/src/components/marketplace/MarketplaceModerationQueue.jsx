@@ -0,0 +1,165 @@
+import { useEffect, useState } from 'react';
+import { Loader, RotateCcw, ShieldCheck, Trash2 } from 'lucide-react';
+import { api } from '../../services/api';
+import { useConfirmDelete } from '../../hooks/useConfirmDelete';
+import { getAllSources } from '../../sources';
+import { MARKETPLACE_REPORT_REASONS } from '../../constants/marketplaceTypes';
+
+const SOURCE_LABELS = Object.fromEntries(getAllSources().map((s) => [s.id, s.label]));
+const REASON_LABELS = Object.fromEntries(MARKETPLACE_REPORT_REASONS.map((r) => [r.id, r.label]));
+const STATUSES = [
+  { id: 'flagged', label: 'Flagged' },
+  { id: 'removed', label: 'Removed' },
+];
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+/**
+ * Review queue for marketplace moderators: entries flagged by user reports (or
+ * already removed), with every report filed against them. Reporters are shown
+ * by the first characters of their API key id — enough to spot one account
+ * filing many reports without exposing who they are.
+ */
+export function MarketplaceModerationQueue({ onPreview }) {
+  const [status, setStatus] = useState('flagged');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [queue, setQueue] = useState({ key: null, items: [], error: '' });
+  const [restoringId, setRestoringId] = useState(null);
+  const requestKey = `${status}:${reloadKey}`;
+  const loading = queue.key !== requestKey;
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .getMarketplaceModerationQueue(status)
+      .then((data) => {
+        if (!cancelled) setQueue({ key: requestKey, items: data?.items || [], error: '' });
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setQueue({ key: requestKey, items: [], error: err.message || 'Failed to load queue' });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [status, requestKey]);
+
+  const decide = async (id, decision) => {
+    try {
+      await api.moderateMarketplaceEntry(id, decision);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setQueue((prev) => ({ ...prev, error: err.message || 'Moderation failed' }));
+    }
+  };
+
+  const { confirmId, deletingId, requestDelete } = useConfirmDelete((id) => decide(id, 'remove'));
+
+  const handleRestore = async (id) => {
+    setRestoringId(id);
+    try {
+      await decide(id, 'restore');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="marketplace-moderation">
+      <div className="marketplace-moderation-tabs" role="tablist">
+        {STATUSES.map((s) => (
+          <button
+            key={s.id}
+            type="button"
+            role="tab"
+            aria-selected={status === s.id}
+            className={`genre-chip ${status === s.id ? 'selected' : ''}`}
+            onClick={() => setStatus(s.id)}
+          >
+            {s.label}
+          </button>
+        ))}
+      </div>
+
+      {loading && (
+        <div className="marketplace-moderation-empty">
+          <Loader size={14} className="animate-spin" /> Loading queue…
+        </div>
+      )}
+      {!loading && queue.error && <span className="field-error">{queue.error}</span>}
+      {!loading && !queue.error && queue.items.length === 0 && (
+        <div className="marketplace-moderation-empty">
+          <ShieldCheck size={16} /> Nothing {status === 'flagged' ? 'to review' : 'removed'}.
+        </div>
+      )}
+
+      {!loading &&
+        queue.items.map(({ entry, reports }) => (
+          <div key={entry.marketplaceId} className="marketplace-moderation-item">
+            <div className="marketplace-row-heading">
+              <span className="marketplace-row-name" title={entry.name}>
+                {entry.name}
+              </span>
+              <span className="source-pill marketplace-row-source">
+                <span className={`source-dot ${entry.source}`} />
+                {SOURCE_LABELS[entry.source] || entry.source}
+              </span>
+              <span className="marketplace-row-type">{entry.type}</span>
+            </div>
+            {entry.description && (
+              <p className="marketplace-moderation-description">{entry.description}</p>
+            )}
+
+            <ul className="marketplace-moderation-reports">
+              {reports.length === 0 && <li>No reports on file.</li>}
+              {reports.map((report) => (
+                <li key={report.actorUserId}>
+                  <strong>{REASON_LABELS[report.reason] || report.reason}</strong>
+                  {report.details && ` — ${report.details}`}
+                  <span className="marketplace-moderation-meta">
+                    {report.actorUserId.slice(0, 8)} · {formatDate(report.createdAt)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+
+            <div className="marketplace-row-actions">
+              {onPreview && (
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-sm"
+                  onClick={() => onPreview(entry)}
+                >
+                  Preview
+                </button>
+              )}
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => handleRestore(entry.marketplaceId)}
+                disabled={restoringId === entry.marketplaceId}
+              >
+                <RotateCcw size={14} aria-hidden="true" />
+                {restoringId === entry.marketplaceId ? 'Restoring...' : 'Restore'}
+              </button>
+              {status === 'flagged' && (
+                <button
+                  type="button"
+                  className="btn btn-danger btn-sm"
+                  onClick={(e) => requestDelete(entry.marketplaceId, e)}
+                  disabled={deletingId === entry.marketplaceId}
+                >
+                  <Trash2 size={14} aria-hidden="true" />
+                  {confirmId === entry.marketplaceId ? 'Confirm remove' : 'Remove'}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+    </div>
+  );
+}
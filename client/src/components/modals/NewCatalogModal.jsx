@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { X, Film, Tv, Sparkles } from 'lucide-react';
 import { useModalA11y } from '../../hooks/useModalA11y';
 import { getSource } from '../../sources';
+import { Checkbox } from '../forms/Checkbox';
 
 const SOURCES = [
   { id: 'tmdb', desc: 'Standard TMDB discovery', alwaysVisible: true },
@@ -10,12 +11,15 @@ const SOURCES = [
   { id: 'kitsu', desc: 'Kitsu anime catalogs', alwaysVisible: true },
   { id: 'simkl', desc: 'Simkl anime discovery', alwaysVisible: true },
   { id: 'trakt', desc: 'Trakt movie & TV discovery', alwaysVisible: true },
+  { id: 'letterboxd', desc: 'Import a Letterboxd list export', alwaysVisible: true },
+  { id: 'composite', desc: 'Merge several of your catalogs', alwaysVisible: true },
 ];
 
 export function NewCatalogModal({ isOpen, onClose, onAdd, imdbEnabled = false }) {
   const [name, setName] = useState('');
   const [source, setSource] = useState('tmdb');
   const [type, setType] = useState('movie');
+  const [handPicked, setHandPicked] = useState(false);
   const modalRef = useModalA11y(isOpen, onClose);
 
   if (!isOpen) return null;
@@ -26,6 +30,7 @@ export function NewCatalogModal({ isOpen, onClose, onAdd, imdbEnabled = false })
 
   const currentSource = getSource(source);
   const supportedTypes = currentSource.supportedTypes || ['movie', 'series'];
+  const canHandPick = source === 'tmdb' && (type === 'movie' || type === 'series');
 
   const handleSourceSelect = (id) => {
     setSource(id);
@@ -47,6 +52,9 @@ export function NewCatalogModal({ isOpen, onClose, onAdd, imdbEnabled = false })
       filters.sortBy = 'collection_order';
       delete filters.presetOrigin;
       delete filters.presetDefaults;
+    } else if (canHandPick && handPicked) {
+      filters.listType = 'custom';
+      filters.customItems = [];
     }
 
     onAdd({
@@ -60,6 +68,7 @@ export function NewCatalogModal({ isOpen, onClose, onAdd, imdbEnabled = false })
     setName('');
     setSource('tmdb');
     setType('movie');
+    setHandPicked(false);
     onClose();
   };
 
@@ -71,6 +80,8 @@ export function NewCatalogModal({ isOpen, onClose, onAdd, imdbEnabled = false })
     kitsu: 'e.g., Kitsu Trending, Top Rated Anime',
     simkl: 'e.g., Trending Anime, Best of 2024',
     trakt: 'e.g., Trending Movies, Most Watched',
+    letterboxd: 'e.g., Club Picks, My Watchlist',
+    composite: 'e.g., Everything Trending, Weekend Mix',
   };
 
   return (
@@ -166,6 +177,17 @@ export function NewCatalogModal({ isOpen, onClose, onAdd, imdbEnabled = false })
               </div>
             </div>
 
+            {canHandPick && (
+              <div className="filter-group" style={{ marginTop: '12px' }}>
+                <Checkbox
+                  checked={handPicked}
+                  onChange={setHandPicked}
+                  label="Hand-picked list"
+                  tooltip="Choose the titles and their order yourself instead of using discover filters."
+                />
+              </div>
+            )}
+
             {/* Catalog Name */}
             <div className="filter-group" style={{ marginTop: '16px' }}>
               <label className="filter-label" htmlFor="new-catalog-name">
@@ -11,12 +11,31 @@ import {
   ExternalLink,
   Eye,
   ChevronDown,
+  History,
+  CheckCircle,
+  Users,
+  ShieldCheck,
+  SlidersHorizontal,
+  Link2,
 } from 'lucide-react';
 import { useModalA11y } from '../../hooks/useModalA11y';
 import { useCatalog, useAppActions, useTMDBData } from '../../context/AppContext';
 import { SearchableSelect } from '../forms/SearchableSelect';
 import { ArtworkSettingsPanel } from '../config/ArtworkSettingsSection';
 import { ApiKeysSection } from '../config/ApiKeysSection';
+import { ExclusionListSection } from '../config/ExclusionListSection';
+import { ConfigHistorySection } from '../config/ConfigHistorySection';
+import { WatchHistorySection } from '../config/WatchHistorySection';
+import { HouseholdSection } from '../config/HouseholdSection';
+import { MaturitySection } from '../config/MaturitySection';
+import { FilterTemplatesSection } from '../config/FilterTemplatesSection';
+import { LinkedAccountsSection } from '../config/LinkedAccountsSection';
+
+const UNIFIED_SEARCH_MODES = [
+  { value: 'off', label: 'Off' },
+  { value: 'alongside', label: 'Alongside provider rows' },
+  { value: 'replace', label: 'Instead of provider rows' },
+];
 
 function CollapsibleSection({ title, icon, isExpanded, onToggle, children }) {
   return (
@@ -70,9 +89,16 @@ export function SettingsModal({
   initialSection = 'data',
 }) {
   const modalRef = useModalA11y(isOpen, onClose);
-  const { preferences, setPreferences: onPreferencesChange } = useCatalog();
+  const {
+    preferences,
+    setPreferences: onPreferencesChange,
+    userId,
+    isDirty,
+    catalogs,
+    setCatalogs,
+  } = useCatalog();
   const { languages = [] } = useTMDBData();
-  const { addToast, handleLogout } = useAppActions();
+  const { addToast, handleLogout, handleRollbackConfig } = useAppActions();
 
   // Only one section open at a time, default to caller-provided section.
   const [expandedSection, setExpandedSection] = useState(initialSection);
@@ -238,6 +264,229 @@ export function SettingsModal({
                   </div>
                 </div>
               </div>
+
+              <div
+                className="settings-row clickable-row"
+                role="button"
+                tabIndex={0}
+                onClick={() =>
+                  onPreferencesChange({
+                    ...preferences,
+                    enableTrailerStreams: !preferences?.enableTrailerStreams,
+                  })
+                }
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onPreferencesChange({
+                      ...preferences,
+                      enableTrailerStreams: !preferences?.enableTrailerStreams,
+                    });
+                  }
+                }}
+              >
+                <div className="settings-row-info">
+                  <span className="settings-label">Trailer Streams</span>
+                  <span className="settings-desc">
+                    List trailers, teasers and clips as playable streams in Stremio
+                  </span>
+                </div>
+                <div className="settings-row-control align-right">
+                  <div className="toggle-switch">
+                    <input
+                      type="checkbox"
+                      checked={!!preferences?.enableTrailerStreams}
+                      onChange={(e) =>
+                        onPreferencesChange({
+                          ...preferences,
+                          enableTrailerStreams: e.target.checked,
+                        })
+                      }
+                      className="toggle-checkbox"
+                    />
+                    <div className="toggle-slider"></div>
+                  </div>
+                </div>
+              </div>
+
+              <div
+                className="settings-row clickable-row"
+                role="button"
+                tabIndex={0}
+                onClick={() =>
+                  onPreferencesChange({
+                    ...preferences,
+                    topEpisodes: !preferences?.topEpisodes,
+                  })
+                }
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onPreferencesChange({
+                      ...preferences,
+                      topEpisodes: !preferences?.topEpisodes,
+                    });
+                  }
+                }}
+              >
+                <div className="settings-row-info">
+                  <span className="settings-label">Top Episodes</span>
+                  <span className="settings-desc">
+                    List the best-rated episodes of a series, by IMDb rating, on its detail page
+                  </span>
+                </div>
+                <div className="settings-row-control align-right">
+                  <div className="toggle-switch">
+                    <input
+                      type="checkbox"
+                      checked={!!preferences?.topEpisodes}
+                      onChange={(e) =>
+                        onPreferencesChange({
+                          ...preferences,
+                          topEpisodes: e.target.checked,
+                        })
+                      }
+                      className="toggle-checkbox"
+                    />
+                    <div className="toggle-slider"></div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          <CollapsibleSection
+            title="Version History"
+            icon={History}
+            isExpanded={expandedSection === 'history'}
+            onToggle={() => toggleSection('history')}
+          >
+            <div
+              className="settings-card"
+              style={{ padding: '16px 20px 20px 20px', overflow: 'visible' }}
+            >
+              {expandedSection === 'history' && (
+                <ConfigHistorySection
+                  userId={userId}
+                  isDirty={isDirty}
+                  onRollback={handleRollbackConfig}
+                />
+              )}
+            </div>
+          </CollapsibleSection>
+
+          <CollapsibleSection
+            title="Household"
+            icon={Users}
+            isExpanded={expandedSection === 'household'}
+            onToggle={() => toggleSection('household')}
+          >
+            <div
+              className="settings-card"
+              style={{ padding: '16px 20px 20px 20px', overflow: 'visible' }}
+            >
+              {expandedSection === 'household' && (
+                <HouseholdSection
+                  userId={userId}
+                  catalogs={catalogs}
+                  isDirty={isDirty}
+                  onCatalogsChange={setCatalogs}
+                  onNotify={addToast}
+                />
+              )}
+            </div>
+          </CollapsibleSection>
+
+          <CollapsibleSection
+            title="Maturity Limit"
+            icon={ShieldCheck}
+            isExpanded={expandedSection === 'maturity'}
+            onToggle={() => toggleSection('maturity')}
+          >
+            <div
+              className="settings-card"
+              style={{ padding: '16px 20px 20px 20px', overflow: 'visible' }}
+            >
+              {expandedSection === 'maturity' && (
+                <MaturitySection
+                  userId={userId}
+                  preferences={preferences}
+                  isDirty={isDirty}
+                  onChange={onPreferencesChange}
+                  onNotify={addToast}
+                />
+              )}
+            </div>
+          </CollapsibleSection>
+
+          <CollapsibleSection
+            title="Filter Templates"
+            icon={SlidersHorizontal}
+            isExpanded={expandedSection === 'templates'}
+            onToggle={() => toggleSection('templates')}
+          >
+            <div
+              className="settings-card"
+              style={{ padding: '16px 20px 20px 20px', overflow: 'visible' }}
+            >
+              {expandedSection === 'templates' && (
+                <FilterTemplatesSection catalogs={catalogs} onNotify={addToast} />
+              )}
+            </div>
+          </CollapsibleSection>
+
+          <CollapsibleSection
+            title="Hidden Titles"
+            icon={EyeOff}
+            isExpanded={expandedSection === 'exclusions'}
+            onToggle={() => toggleSection('exclusions')}
+          >
+            <div
+              className="settings-card"
+              style={{ padding: '16px 20px 20px 20px', overflow: 'visible' }}
+            >
+              <ExclusionListSection
+                preferences={preferences}
+                onChange={onPreferencesChange}
+                onNotify={addToast}
+              />
+            </div>
+          </CollapsibleSection>
+
+          <CollapsibleSection
+            title="Watched Titles"
+            icon={CheckCircle}
+            isExpanded={expandedSection === 'watched'}
+            onToggle={() => toggleSection('watched')}
+          >
+            <div
+              className="settings-card"
+              style={{ padding: '16px 20px 20px 20px', overflow: 'visible' }}
+            >
+              {expandedSection === 'watched' && (
+                <WatchHistorySection
+                  userId={userId}
+                  preferences={preferences}
+                  onChange={onPreferencesChange}
+                  onNotify={addToast}
+                />
+              )}
+            </div>
+          </CollapsibleSection>
+
+          <CollapsibleSection
+            title="Linked Accounts"
+            icon={Link2}
+            isExpanded={expandedSection === 'accounts'}
+            onToggle={() => toggleSection('accounts')}
+          >
+            <div
+              className="settings-card"
+              style={{ padding: '16px 20px 20px 20px', overflow: 'visible' }}
+            >
+              {expandedSection === 'accounts' && (
+                <LinkedAccountsSection userId={userId} onNotify={addToast} />
+              )}
             </div>
           </CollapsibleSection>
 
@@ -342,6 +591,35 @@ export function SettingsModal({
                       );
                     })}
                   </div>
+                  <div className="settings-row">
+                    <div className="settings-row-info">
+                      <label className="settings-label" htmlFor="unified-search-mode">
+                        Unified Search
+                      </label>
+                      <span className="settings-desc">
+                        One merged, de-duplicated row that searches every provider above
+                      </span>
+                    </div>
+                    <div className="settings-row-control">
+                      <select
+                        id="unified-search-mode"
+                        className="input"
+                        value={preferences?.unifiedSearch || 'off'}
+                        onChange={(e) =>
+                          onPreferencesChange({
+                            ...preferences,
+                            unifiedSearch: e.target.value === 'off' ? undefined : e.target.value,
+                          })
+                        }
+                      >
+                        {UNIFIED_SEARCH_MODES.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
                 </>
               )}
             </div>
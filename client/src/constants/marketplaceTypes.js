@@ -6,3 +6,12 @@ export const MARKETPLACE_TYPES = [
   { id: 'anime', label: 'Anime', Icon: Sparkles },
   { id: 'collection', label: 'Collections', Icon: Layers },
 ];
+
+// Mirrors MARKETPLACE_REPORT_REASONS on the server.
+export const MARKETPLACE_REPORT_REASONS = [
+  { id: 'spam', label: 'Spam or duplicate' },
+  { id: 'offensive', label: 'Offensive name or description' },
+  { id: 'misleading', label: 'Misleading (does not show what it says)' },
+  { id: 'broken', label: 'Broken (returns nothing or errors)' },
+  { id: 'other', label: 'Something else' },
+];
@@ -84,6 +84,7 @@ export function AppProviders({ state, actions, config, tmdb, children }) {
       presetCatalogs: tmdb.presetCatalogs,
       imdbPresetCatalogs: tmdb.imdbPresetCatalogs,
       imdbEnabled: tmdb.imdbEnabled,
+      imdbEngine: tmdb.imdbEngine,
       imdbGenres: tmdb.imdbGenres,
       imdbKeywords: tmdb.imdbKeywords,
       imdbAwards: tmdb.imdbAwards,
@@ -136,9 +137,11 @@ export function AppProviders({ state, actions, config, tmdb, children }) {
       traktNetworks: tmdb.traktNetworks,
       traktHasKey: tmdb.traktHasKey,
       previewTrakt: tmdb.previewTrakt,
+      previewLetterboxd: tmdb.previewLetterboxd,
       searchPerson: tmdb.searchPerson,
       searchCompany: tmdb.searchCompany,
       searchKeyword: tmdb.searchKeyword,
+      searchTitle: tmdb.searchTitle,
       searchCollection: tmdb.searchCollection,
       searchTVNetworks: tmdb.searchTVNetworks,
       searchImdbPeople: tmdb.searchImdbPeople,
@@ -162,6 +165,7 @@ export function AppProviders({ state, actions, config, tmdb, children }) {
       handleLogin: actions.handleLogin,
       handleLogout: actions.handleLogout,
       handleSwitchConfig: actions.handleSwitchConfig,
+      handleRollbackConfig: actions.handleRollbackConfig,
       handleDeleteConfigFromDropdown: actions.handleDeleteConfigFromDropdown,
       handleCreateNewConfig: actions.handleCreateNewConfig,
       isSaving: state.isSaving,
@@ -13,6 +13,7 @@ import {
   supportsTraktCalendarSettings,
   supportsTraktPeriod,
 } from '../sources/traktCapabilities';
+import { ANILIST_LIST_TYPE_LABELS } from '../sources/anilist.source';
 
 const KITSU_SORT_LABELS = {
   '-averageRating': 'Highest Rated',
@@ -192,7 +193,12 @@ export function useActiveFilters({
         key: 'sortBy',
         isActive: (filters) => {
           if (isImdb) return !!(filters.sortBy && filters.sortBy !== imdbSortDefault);
-          if (isAnilist) return !!(filters.sortBy && filters.sortBy !== anilistSortDefault);
+          if (isAnilist) {
+            return (
+              !ANILIST_LIST_TYPE_LABELS[filters.anilistListType] &&
+              !!(filters.sortBy && filters.sortBy !== anilistSortDefault)
+            );
+          }
           if (isTmdb && filters.sortBy && String(filters.sortBy) !== tmdbSortDefault) {
             const hasKnownSort = sortOpts.some(
               (option) => option?.value === String(filters.sortBy)
@@ -263,8 +269,13 @@ export function useActiveFilters({
         key: 'language',
         isActive: (filters) => !!filters.language,
         label: (filters) => {
-          const lang = originalLanguages.find((l) => l.iso_639_1 === filters.language);
-          return `Language: ${lang?.english_name || filters.language}`;
+          // Filter templates write "any of" lists as `en|ja`.
+          const names = String(filters.language)
+            .split('|')
+            .map(
+              (code) => originalLanguages.find((l) => l.iso_639_1 === code)?.english_name || code
+            );
+          return `Language: ${names.join(' or ')}`;
         },
         section: 'filters',
         clear: () => update({ language: undefined }),
@@ -733,6 +744,13 @@ export function useActiveFilters({
       },
 
       // --- AniList specific ---
+      {
+        key: 'anilistListType',
+        isActive: (filters) => isAnilist && !!ANILIST_LIST_TYPE_LABELS[filters.anilistListType],
+        label: (filters) => ANILIST_LIST_TYPE_LABELS[filters.anilistListType],
+        section: 'filters',
+        clear: () => update({ anilistListType: 'browse' }),
+      },
       {
         key: 'format',
         isActive: (filters) => isAnilist && filters.format?.length > 0,
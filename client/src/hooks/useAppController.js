@@ -115,6 +115,7 @@ export function useAppController() {
       handleDuplicateCatalog: catalogs.handleDuplicateCatalog,
       handleUpdateCatalog: catalogs.handleUpdateCatalog,
       handleImportConfig: configMgr.handleImportConfig,
+      handleRollbackConfig: configMgr.handleRollbackConfig,
       handleSwitchConfig: configMgr.handleSwitchConfig,
       handleCreateNewConfig: configMgr.handleCreateNewConfig,
       setShowMismatchModal: configMgr.setShowMismatchModal,
@@ -130,6 +131,7 @@ export function useAppController() {
       configMgr.handleSave,
       configMgr.handleDeleteConfigFromDropdown,
       configMgr.handleImportConfig,
+      configMgr.handleRollbackConfig,
       configMgr.handleSwitchConfig,
       configMgr.handleCreateNewConfig,
       configMgr.setShowMismatchModal,
@@ -1,11 +1,13 @@
 import { useMemo, useRef, useState } from 'react';
 import { useActiveFilters } from './useActiveFilters';
 import { useCatalogSync } from './useCatalogSync';
+import { useFilterTemplates } from './useFilterTemplates';
 import { useResolvedFilters } from './useResolvedFilters';
 import { useWatchProviders } from './useWatchProviders';
 import { DEFAULT_CATALOG } from './catalogEditor.constants';
 import { useCatalog, useTMDBData, useAppActions } from '../context/AppContext';
 import { PRESET_DATE_MAP } from '../constants/datePresets';
+import { syncInheritedCatalogs } from '../utils/filterTemplates';
 
 function withRestoredPreset(catalog) {
   if (!catalog) return DEFAULT_CATALOG;
@@ -51,12 +53,14 @@ export function useCatalogEditor() {
     imdbSortOptions = [],
     imdbTitleTypes = [],
     imdbEnabled = false,
+    imdbEngine = 'api',
     imdbCertificateRatings = {},
     imdbRankedLists = [],
     imdbWithDataOptions = [],
     searchPerson,
     searchCompany,
     searchKeyword,
+    searchTitle,
     searchCollection,
     searchTVNetworks,
     searchImdbPeople,
@@ -96,6 +100,7 @@ export function useCatalogEditor() {
     simklAnimeTypes = [],
     // Trakt sources
     previewTrakt: onPreviewTrakt,
+    previewLetterboxd: onPreviewLetterboxd,
     traktGenres = [],
     traktListTypes = [],
     traktPeriods = [],
@@ -181,6 +186,25 @@ export function useCatalogEditor() {
     });
   }
 
+  // Template edits made while this catalog is open are written into the local
+  // copy too, otherwise the debounced sync would restore the stale filters.
+  const { templates: filterTemplates, refData: filterTemplateRefData } = useFilterTemplates();
+  const inheritedTemplate = localCatalog.filterTemplateId
+    ? filterTemplates.find((t) => t.id === localCatalog.filterTemplateId)
+    : undefined;
+  const inheritedTemplateKey = localCatalog.filterTemplateId
+    ? `${localCatalog.filterTemplateId}:${JSON.stringify(inheritedTemplate?.filters ?? null)}`
+    : null;
+  const prevInheritedTemplateKeyRef = useRef(inheritedTemplateKey);
+  if (prevInheritedTemplateKeyRef.current !== inheritedTemplateKey) {
+    prevInheritedTemplateKeyRef.current = inheritedTemplateKey;
+    if (inheritedTemplateKey) {
+      setLocalCatalog(
+        (prev) => syncInheritedCatalogs([prev], filterTemplates, filterTemplateRefData)[0]
+      );
+    }
+  }
+
   const {
     selectedPeople,
     setSelectedPeople,
@@ -400,12 +424,14 @@ export function useCatalogEditor() {
     imdbSortOptions,
     imdbTitleTypes,
     imdbEnabled,
+    imdbEngine,
     imdbCertificateRatings,
     imdbRankedLists,
     imdbWithDataOptions,
     searchPerson,
     searchCompany,
     searchKeyword,
+    searchTitle,
     searchCollection,
     searchTVNetworks,
     searchImdbPeople,
@@ -443,6 +469,7 @@ export function useCatalogEditor() {
 
     // Trakt sources
     onPreviewTrakt,
+    onPreviewLetterboxd,
     traktGenres,
     traktListTypes,
     traktPeriods,
@@ -161,6 +161,7 @@ export function useCatalogEditorHandlers({
   onPreviewKitsu,
   onPreviewSimkl,
   onPreviewTrakt,
+  onPreviewLetterboxd,
   selectedPeople,
   selectedCompanies,
   selectedImdbPeople,
@@ -211,6 +212,17 @@ export function useCatalogEditorHandlers({
     [setLocalCatalog]
   );
 
+  const handleScheduleChange = useCallback(
+    (schedule) => {
+      setLocalCatalog((prev) => {
+        const current = { ...(prev || DEFAULT_CATALOG), schedule };
+        if (!schedule) delete current.schedule;
+        return current;
+      });
+    },
+    [setLocalCatalog]
+  );
+
   const handleTypeChange = useCallback(
     (type) => {
       let result;
@@ -380,6 +392,12 @@ export function useCatalogEditorHandlers({
     setPreviewLoading(true);
     setPreviewError(null);
     try {
+      if (localCatalog.source === 'composite') {
+        // Merged rows are assembled server-side from the saved member catalogs.
+        throw new Error(
+          'Preview is not available for merged catalogs. Save your config and open the row in Stremio.'
+        );
+      }
       const globalPreviewPosterProvider = resolveGlobalPreviewPosterProvider(
         preferences,
         localCatalog.type
@@ -452,6 +470,14 @@ export function useCatalogEditorHandlers({
           selectedPreviewPosterApiKey,
           selectedPreviewPosterCustomUrlPattern
         );
+      } else if (localCatalog.source === 'letterboxd' && onPreviewLetterboxd) {
+        data = await onPreviewLetterboxd(
+          localCatalog.type || 'movie',
+          { ...(localCatalog.filters || {}), displayLanguage: preferences?.defaultLanguage },
+          selectedPreviewPosterProvider,
+          selectedPreviewPosterApiKey,
+          selectedPreviewPosterCustomUrlPattern
+        );
       } else {
         const filters = {
           ...localCatalog.filters,
@@ -493,6 +519,7 @@ export function useCatalogEditorHandlers({
     onPreviewKitsu,
     onPreviewSimkl,
     onPreviewTrakt,
+    onPreviewLetterboxd,
     previewPosterProvider,
     preferences,
     selectedPeople,
@@ -515,6 +542,15 @@ export function useCatalogEditorHandlers({
     [setLocalCatalog]
   );
 
+  // Filter templates rewrite several filters at once and link or unlink the
+  // catalog, so the picker hands over an updater for the whole catalog.
+  const handleFilterTemplateChange = useCallback(
+    (update) => {
+      setLocalCatalog((prev) => update(prev || DEFAULT_CATALOG));
+    },
+    [setLocalCatalog]
+  );
+
   // Toggle a catalog's marketplace visibility. Catalogs are public-by-default,
   // so `published === false` means private; toggling flips between the two and
   // persists immediately via onUpdate so a subsequent save reconciles the
@@ -568,11 +604,13 @@ export function useCatalogEditorHandlers({
     toggleSection,
     handleFiltersChange,
     handleNameChange,
+    handleScheduleChange,
     handleTypeChange,
     handleSourceChange,
     handleTriStateGenreClick,
     loadPreview,
     handleImport,
+    handleFilterTemplateChange,
     handleTVNetworkSearch,
     handleTogglePublished,
   };
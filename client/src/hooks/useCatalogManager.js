@@ -96,8 +96,10 @@ export function useCatalogManager(config, addToast) {
     const catalog = config.catalogs.find((c) => c._id === catalogId || c.id === catalogId);
     if (!catalog) return;
 
+    // A copy of an included household catalog is the profile's own.
+    const { householdCatalogId: _householdCatalogId, ...copy } = structuredClone(catalog);
     const newCatalog = {
-      ...structuredClone(catalog),
+      ...copy,
       _id: crypto.randomUUID(),
       id: crypto.randomUUID(),
       name: `${catalog.name} (Copy)`,
@@ -151,6 +151,22 @@ export function useConfigManager(config, addToast, deps) {
     }
   };
 
+  const handleRollbackConfig = async (rev) => {
+    if (!config.userId) return;
+    try {
+      const result = await api.rollbackConfig(config.userId, rev);
+      config.applyConfig(result);
+      setActiveCatalog(result.catalogs?.[0] || null);
+      loadingLockRef.current = false;
+      await loadUserConfigs();
+      addToast(`Restored revision ${rev}`);
+    } catch (err) {
+      logger.error('Rollback failed:', err);
+      addToast(err.message || 'Failed to restore revision', 'error');
+      throw err;
+    }
+  };
+
   const handleSwitchConfig = (uid) => {
     window.history.replaceState({}, '', `/?userId=${encodeURIComponent(uid)}`);
     setUrlUserId(uid);
@@ -181,6 +197,7 @@ export function useConfigManager(config, addToast, deps) {
     handleSave,
     handleDeleteConfigFromDropdown,
     handleImportConfig,
+    handleRollbackConfig,
     handleSwitchConfig,
     handleCreateNewConfig,
   };
@@ -0,0 +1,44 @@
+import { useCallback, useMemo } from 'react';
+import { useCatalog, useTMDBData } from '../context/AppContext';
+import { syncInheritedCatalogs } from '../utils/filterTemplates';
+
+const EMPTY_TEMPLATES = [];
+
+export function useFilterTemplates() {
+  const { preferences, setPreferences, setCatalogs } = useCatalog();
+  const { genres, imdbGenres, traktGenres, anilistGenres, malGenres } = useTMDBData();
+  const templates = preferences?.filterTemplates || EMPTY_TEMPLATES;
+
+  const refData = useMemo(
+    () => ({ genres, imdbGenres, traktGenres, anilistGenres, malGenres }),
+    [genres, imdbGenres, traktGenres, anilistGenres, malGenres]
+  );
+
+  // Every template change is written into the catalogs inheriting it, so the
+  // saved config never holds stale copies.
+  const commit = useCallback(
+    (nextTemplates) => {
+      setPreferences({ ...preferences, filterTemplates: nextTemplates });
+      setCatalogs((prev) => syncInheritedCatalogs(prev, nextTemplates, refData));
+    },
+    [preferences, setPreferences, setCatalogs, refData]
+  );
+
+  const saveTemplate = useCallback(
+    (template) => {
+      const id = template.id || crypto.randomUUID();
+      const saved = { ...template, id };
+      const exists = templates.some((t) => t.id === id);
+      commit(exists ? templates.map((t) => (t.id === id ? saved : t)) : [...templates, saved]);
+      return saved;
+    },
+    [templates, commit]
+  );
+
+  const deleteTemplate = useCallback(
+    (id) => commit(templates.filter((t) => t.id !== id)),
+    [templates, commit]
+  );
+
+  return { templates, refData, saveTemplate, deleteTemplate };
+}
@@ -37,7 +37,7 @@ function previewBySource(entry, apiKey) {
 }
 
 /**
- * Hook backing the catalog marketplace search/preview/install/like UI.
+ * Hook backing the catalog marketplace search/preview/install/like/report UI.
  *
  * @param {object} [options]
  * @param {string|null} [options.userId]      Active user id used as the install target.
@@ -153,7 +153,8 @@ export function useMarketplace({ userId = null, refreshConfig = null, apiKey = n
   }, [loading, hasMore, page, total]);
 
   // Preview an entry via the matching per-source pipeline. The search card omits
-  // filter internals, so fetch the full entry when filters are absent. (Requirements 12.1, 12.2)
+  // filter internals, so fetch the full entry when filters are absent. Bundles
+  // preview their first member. (Requirements 12.1, 12.2)
   const previewEntry = useCallback(
     async (entry) => {
       if (!entry) return null;
@@ -161,18 +162,19 @@ export function useMarketplace({ userId = null, refreshConfig = null, apiKey = n
       if (!entry.filters) {
         full = await api.getMarketplaceEntry(entryId(entry));
       }
-      return previewBySource(full, apiKey);
+      return previewBySource(full.members?.[0] ?? full, apiKey);
     },
     [apiKey]
   );
 
-  // Install (clone) an entry into the target config, then refresh the user config. (Requirement 13.1)
+  // Install an entry into the target config, then refresh the user config. (Requirement 13.1)
+  // `mode` is 'copy' for a one-time clone or 'link' to keep following the author's edits.
   const install = useCallback(
-    async (entry, targetUserId = userId) => {
+    async (entry, targetUserId = userId, mode = 'copy') => {
       const id = entryId(entry);
       setError(null);
       try {
-        const result = await api.installMarketplaceCatalog(id, targetUserId);
+        const result = await api.installMarketplaceCatalog(id, targetUserId, mode);
         if (result && typeof result.installs === 'number') {
           setResults((prev) =>
             prev.map((it) =>
@@ -235,6 +237,21 @@ export function useMarketplace({ userId = null, refreshConfig = null, apiKey = n
     }
   }, []);
 
+  // Report an entry for moderator review. The card is marked so it cannot be
+  // reported twice from the same session; the server dedupes per user anyway.
+  const report = useCallback(async (entry, reason, details) => {
+    const id = entryId(entry);
+    setError(null);
+    try {
+      const result = await api.reportMarketplaceCatalog(id, { reason, details });
+      setResults((prev) => prev.map((it) => (entryId(it) === id ? { ...it, reported: true } : it)));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
   return {
     results,
     search,
@@ -242,6 +259,7 @@ export function useMarketplace({ userId = null, refreshConfig = null, apiKey = n
     previewEntry,
     install,
     toggleLike,
+    report,
     loading,
     error,
     hasMore,
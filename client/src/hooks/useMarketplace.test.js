@@ -7,8 +7,10 @@ vi.mock('../services/api', () => ({
     searchMarketplace: vi.fn(),
     getMarketplaceEntry: vi.fn(),
     installMarketplaceCatalog: vi.fn(),
+    previewImdbCatalog: vi.fn(),
     likeMarketplaceCatalog: vi.fn(),
     unlikeMarketplaceCatalog: vi.fn(),
+    reportMarketplaceCatalog: vi.fn(),
   },
 }));
 
@@ -176,10 +178,21 @@ describe('useMarketplace', () => {
         await result.current.install(card({ marketplaceId: 'm1' }));
       });
 
-      expect(api.installMarketplaceCatalog).toHaveBeenCalledWith('m1', 'user1');
+      expect(api.installMarketplaceCatalog).toHaveBeenCalledWith('m1', 'user1', 'copy');
       expect(refreshConfig).toHaveBeenCalledTimes(1);
     });
 
+    it('passes the link mode through to the API', async () => {
+      api.installMarketplaceCatalog.mockResolvedValue({ installs: 3 });
+      const { result } = renderHook(() => useMarketplace({ userId: 'user1' }));
+
+      await act(async () => {
+        await result.current.install(card({ marketplaceId: 'm1' }), undefined, 'link');
+      });
+
+      expect(api.installMarketplaceCatalog).toHaveBeenCalledWith('m1', 'user1', 'link');
+    });
+
     it('surfaces the error and does not refresh when install fails', async () => {
       api.installMarketplaceCatalog.mockRejectedValue(new Error('save failed'));
       const refreshConfig = vi.fn().mockResolvedValue(undefined);
@@ -196,4 +209,50 @@ describe('useMarketplace', () => {
       expect(result.current.error).toBe('save failed');
     });
   });
+
+  describe('preview', () => {
+    it('previews a bundle through its first member', async () => {
+      api.getMarketplaceEntry.mockResolvedValue(
+        card({
+          filters: {},
+          members: [
+            { name: 'Top', type: 'movie', source: 'imdb', filters: { sortBy: 'rating' } },
+            { name: 'Other', type: 'series', source: 'tmdb', filters: {} },
+          ],
+        })
+      );
+      api.previewImdbCatalog.mockResolvedValue({ metas: [] });
+      const { result } = renderHook(() => useMarketplace({ userId: 'user1' }));
+
+      await act(async () => {
+        await result.current.previewEntry(card({ members: [] }));
+      });
+
+      expect(api.getMarketplaceEntry).toHaveBeenCalledWith('m1');
+      expect(api.previewImdbCatalog).toHaveBeenCalledWith('movie', { sortBy: 'rating' });
+    });
+  });
+
+  describe('report', () => {
+    it('sends the reason and marks the card as reported', async () => {
+      api.searchMarketplace.mockResolvedValue({ items: [card()], total: 1, page: 0 });
+      api.reportMarketplaceCatalog.mockResolvedValue({ reported: true, alreadyReported: false });
+      const { result } = renderHook(() => useMarketplace());
+
+      act(() => {
+        result.current.search({ q: '' });
+      });
+      await flushDebounce();
+
+      await act(async () => {
+        await result.current.report(card(), 'spam', 'same list posted 20 times');
+      });
+
+      expect(api.reportMarketplaceCatalog).toHaveBeenCalledWith('m1', {
+        reason: 'spam',
+        details: 'same list posted 20 times',
+      });
+      expect(result.current.results[0].reported).toBe(true);
+    });
+  });
 });
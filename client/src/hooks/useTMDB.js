@@ -18,6 +18,7 @@ const initialState = {
   watchRegions: [],
   tvNetworks: [],
   imdbEnabled: false,
+  imdbEngine: 'api',
   imdbGenres: [],
   imdbKeywords: [],
   imdbAwards: [],
@@ -95,6 +96,7 @@ function reducer(state, action) {
         watchRegions: action.payload.watchRegions || [],
         tvNetworks: action.payload.tvNetworks || [],
         imdbEnabled: imdbData.enabled || false,
+        imdbEngine: imdbData.engine || 'api',
         imdbGenres: imdbData.genres || [],
         imdbKeywords: imdbData.keywords || [],
         imdbAwards: imdbData.awards || [],
@@ -249,6 +251,14 @@ export function useTMDB(apiKey) {
     [apiKey, hasAuth]
   );
 
+  const searchTitle = useCallback(
+    async (query, type = 'movie') => {
+      if (!hasAuth) throw new Error('Authentication required');
+      return api.searchTitle(apiKey, query, type);
+    },
+    [apiKey, hasAuth]
+  );
+
   const searchCollection = useCallback(
     async (query, page = 1, language = '') => {
       if (!hasAuth) throw new Error('Authentication required');
@@ -434,6 +444,26 @@ export function useTMDB(apiKey) {
     [hasAuth]
   );
 
+  const previewLetterboxd = useCallback(
+    async (
+      type,
+      filters,
+      previewPosterProvider = null,
+      previewPosterApiKey = null,
+      previewPosterCustomUrlPattern = null
+    ) => {
+      if (!hasAuth) throw new Error('Authentication required');
+      return api.previewLetterboxdCatalog(
+        type,
+        filters,
+        previewPosterProvider,
+        previewPosterApiKey,
+        previewPosterCustomUrlPattern
+      );
+    },
+    [hasAuth]
+  );
+
   const searchImdb = useCallback(
     async (query, type, limit) => {
       if (!hasAuth) throw new Error('Authentication required');
@@ -489,6 +519,7 @@ export function useTMDB(apiKey) {
     previewKitsu,
     previewSimkl,
     previewTrakt,
+    previewLetterboxd,
     searchImdb,
     searchImdbPeople,
     searchImdbCompanies,
@@ -496,6 +527,7 @@ export function useTMDB(apiKey) {
     searchPerson,
     searchCompany,
     searchKeyword,
+    searchTitle,
     searchCollection,
     getWatchProviders,
     searchTVNetworks,
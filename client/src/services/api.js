@@ -220,6 +220,10 @@ class ApiService {
     return this.request(this._buildAuthUrl('/search/keyword', apiKey, { query }));
   }
 
+  async searchTitle(apiKey, query, type = 'movie') {
+    return this.request(this._buildAuthUrl('/search/title', apiKey, { query, type }));
+  }
+
   async searchCollection(apiKey, query, page = 1, language = '') {
     return this.request(
       this._buildAuthUrl('/search/collection', apiKey, { query, page, language })
@@ -468,6 +472,47 @@ class ApiService {
     });
   }
 
+  async previewLetterboxdCatalog(
+    type,
+    filters,
+    previewPosterProvider = null,
+    previewPosterApiKey = null,
+    previewPosterCustomUrlPattern = null
+  ) {
+    const body = { type, filters };
+    if (previewPosterProvider) {
+      body.previewPosterProvider = previewPosterProvider;
+    }
+    if (previewPosterApiKey) {
+      body.previewPosterApiKey = previewPosterApiKey;
+    }
+    if (previewPosterCustomUrlPattern) {
+      body.previewPosterCustomUrlPattern = previewPosterCustomUrlPattern;
+    }
+    return this.request('/letterboxd/preview', {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+  }
+
+  async parseFilterPrompt(text, type) {
+    return this.request('/filters/parse', {
+      method: 'POST',
+      body: JSON.stringify({ text, type }),
+    });
+  }
+
+  async importLetterboxdList(csv) {
+    return this.request('/letterboxd/import', {
+      method: 'POST',
+      body: JSON.stringify({ csv }),
+    });
+  }
+
+  async getLetterboxdImport(jobId) {
+    return this.request(`/letterboxd/import/${encodeURIComponent(jobId)}`);
+  }
+
   async getTraktNetworks() {
     return this.request('/trakt/networks');
   }
@@ -557,6 +602,78 @@ class ApiService {
     });
   }
 
+  async getConfigHistory(userId) {
+    return this.request(`/config/${userId}/history`);
+  }
+
+  async rollbackConfig(userId, rev) {
+    return this.request(`/config/${userId}/rollback/${rev}`, { method: 'POST' });
+  }
+
+  async getWatchHistory(userId) {
+    return this.request(`/config/${userId}/watch-history`);
+  }
+
+  async importWatchHistory(userId, data) {
+    return this.request(`/config/${userId}/watch-history`, {
+      method: 'PUT',
+      body: JSON.stringify({ data }),
+    });
+  }
+
+  async deleteWatchHistory(userId) {
+    return this.request(`/config/${userId}/watch-history`, { method: 'DELETE' });
+  }
+
+  async getMaturityLock(userId) {
+    return this.request(`/config/${userId}/maturity-lock`);
+  }
+
+  async lockMaturity(userId, pin) {
+    return this.request(`/config/${userId}/maturity-lock`, {
+      method: 'POST',
+      body: JSON.stringify({ pin }),
+    });
+  }
+
+  async unlockMaturity(userId, pin) {
+    return this.request(`/config/${userId}/maturity-lock`, {
+      method: 'DELETE',
+      body: JSON.stringify({ pin }),
+    });
+  }
+
+  async getLinkedAccounts(userId) {
+    return this.request(`/config/${userId}/accounts`);
+  }
+
+  async startAccountLink(userId, provider) {
+    return this.request(`/config/${userId}/accounts/${provider}/device`, { method: 'POST' });
+  }
+
+  async pollAccountLink(userId, provider) {
+    return this.request(`/config/${userId}/accounts/${provider}/poll`, { method: 'POST' });
+  }
+
+  async unlinkAccount(userId, provider) {
+    return this.request(`/config/${userId}/accounts/${provider}`, { method: 'DELETE' });
+  }
+
+  async getHousehold() {
+    return this.request('/household');
+  }
+
+  async shareHouseholdCatalog(userId, catalogId) {
+    return this.request('/household/catalogs', {
+      method: 'POST',
+      body: JSON.stringify({ userId, catalogId }),
+    });
+  }
+
+  async unshareHouseholdCatalog(catalogId) {
+    return this.request(`/household/catalogs/${catalogId}`, { method: 'DELETE' });
+  }
+
   async getConfigsByApiKey(apiKey) {
     return this.request(this._buildAuthUrl('/configs', apiKey));
   }
@@ -587,17 +704,42 @@ class ApiService {
     });
   }
 
+  async publishMarketplaceBundle(userId, { bundleId, name, description, tags, catalogIds } = {}) {
+    return this.request('/marketplace/bundles', {
+      method: 'POST',
+      body: JSON.stringify({ userId, bundleId, name, description, tags, catalogIds }),
+    });
+  }
+
   async unpublishCatalog(id) {
     return this.request(`/marketplace/${encodeURIComponent(id)}/unpublish`, { method: 'POST' });
   }
 
-  async installMarketplaceCatalog(id, targetUserId) {
+  async installMarketplaceCatalog(id, targetUserId, mode = 'copy') {
     return this.request(`/marketplace/${encodeURIComponent(id)}/install`, {
       method: 'POST',
-      body: JSON.stringify({ targetUserId }),
+      body: JSON.stringify({ targetUserId, mode }),
     });
   }
 
+  async getMarketplaceLinks(userId) {
+    return this.request(`/marketplace/links/${encodeURIComponent(userId)}`);
+  }
+
+  async syncMarketplaceLink(userId, catalogId) {
+    return this.request(
+      `/marketplace/links/${encodeURIComponent(userId)}/${encodeURIComponent(catalogId)}/sync`,
+      { method: 'POST' }
+    );
+  }
+
+  async detachMarketplaceLink(userId, catalogId) {
+    return this.request(
+      `/marketplace/links/${encodeURIComponent(userId)}/${encodeURIComponent(catalogId)}/detach`,
+      { method: 'POST' }
+    );
+  }
+
   async likeMarketplaceCatalog(id) {
     return this.request(`/marketplace/${encodeURIComponent(id)}/like`, { method: 'POST' });
   }
@@ -605,6 +747,28 @@ class ApiService {
   async unlikeMarketplaceCatalog(id) {
     return this.request(`/marketplace/${encodeURIComponent(id)}/like`, { method: 'DELETE' });
   }
+
+  async reportMarketplaceCatalog(id, { reason, details } = {}) {
+    return this.request(`/marketplace/${encodeURIComponent(id)}/report`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, details }),
+    });
+  }
+
+  async getMarketplaceModerationStatus() {
+    return this.request('/marketplace/moderation/status');
+  }
+
+  async getMarketplaceModerationQueue(status = 'flagged') {
+    return this.request(`/marketplace/moderation/queue?status=${encodeURIComponent(status)}`);
+  }
+
+  async moderateMarketplaceEntry(id, decision) {
+    return this.request(
+      `/marketplace/moderation/${encodeURIComponent(id)}/${decision === 'remove' ? 'remove' : 'restore'}`,
+      { method: 'POST' }
+    );
+  }
 }
 
 export const api = new ApiService();
@@ -85,6 +85,13 @@ const NON_ANILIST_KEYS = [
   'simklNetwork',
 ];
 
+/** Chip labels for the airing-schedule list types; `browse` has no chip. */
+export const ANILIST_LIST_TYPE_LABELS = {
+  airing_next_24h: 'Airing: next 24h',
+  airing_next_7d: 'Airing: next 7 days',
+  aired_today: 'Aired today',
+};
+
 /** @implements {import('./types').SourceDescriptor} */
 export const ANILIST_SOURCE = {
   id: 'anilist',
@@ -153,8 +160,17 @@ export const ANILIST_SOURCE = {
     const { anilistSortOptions = [], anilistFormatOptions = [] } = refData;
 
     const active = [];
+    const airingLabel = ANILIST_LIST_TYPE_LABELS[filters.anilistListType];
+
+    if (airingLabel) {
+      active.push({
+        key: 'anilistListType',
+        label: airingLabel,
+        section: 'filters',
+      });
+    }
 
-    if (filters.sortBy && filters.sortBy !== 'TRENDING_DESC') {
+    if (!airingLabel && filters.sortBy && filters.sortBy !== 'TRENDING_DESC') {
       active.push({
         key: 'sortBy',
         label: `Sort: ${resolveSortLabel(anilistSortOptions, filters.sortBy)}`,
@@ -0,0 +1,44 @@
+import { lazy } from 'react';
+
+const COMPOSITE_KEYS = ['compositeCatalogIds', 'compositeMergeMode', 'compositeWeights'];
+
+export const COMPOSITE_MERGE_MODES = [
+  { value: 'roundRobin', label: 'Round-robin' },
+  { value: 'interleave', label: 'Weighted interleave' },
+  { value: 'score', label: 'Score merge' },
+];
+
+/** @implements {import('./types').SourceDescriptor} */
+export const COMPOSITE_SOURCE = {
+  id: 'composite',
+  label: 'Merged',
+  supportedTypes: ['movie', 'series', 'anime'],
+  defaultSortBy: undefined,
+
+  defaultFilters: {
+    compositeCatalogIds: [],
+    compositeMergeMode: 'roundRobin',
+  },
+
+  movieOnlyFilterKeys: [],
+  seriesOnlyFilterKeys: [],
+
+  // A merged row has no filters of its own: only its member list survives a switch.
+  cleanFiltersOnSwitch(currentFilters) {
+    const result = {};
+    for (const key of COMPOSITE_KEYS) {
+      if (currentFilters[key] !== undefined) result[key] = currentFilters[key];
+    }
+    return result;
+  },
+
+  computeActiveChips() {
+    return [];
+  },
+
+  FilterPanelComponent: lazy(() =>
+    import('../components/config/catalog/sources/composite/CompositeFilterPanel').then((m) => ({
+      default: m.CompositeFilterPanel,
+    }))
+  ),
+};
@@ -5,6 +5,8 @@ import { MAL_SOURCE } from './mal.source';
 import { KITSU_SOURCE } from './kitsu.source';
 import { SIMKL_SOURCE } from './simkl.source';
 import { TRAKT_SOURCE } from './trakt.source';
+import { COMPOSITE_SOURCE } from './composite.source';
+import { LETTERBOXD_SOURCE } from './letterboxd.source';
 
 const SOURCE_REGISTRY = new Map([
   [TMDB_SOURCE.id, TMDB_SOURCE],
@@ -14,6 +16,8 @@ const SOURCE_REGISTRY = new Map([
   [KITSU_SOURCE.id, KITSU_SOURCE],
   [SIMKL_SOURCE.id, SIMKL_SOURCE],
   [TRAKT_SOURCE.id, TRAKT_SOURCE],
+  [COMPOSITE_SOURCE.id, COMPOSITE_SOURCE],
+  [LETTERBOXD_SOURCE.id, LETTERBOXD_SOURCE],
 ]);
 
 export function getSource(id) {
@@ -32,4 +36,6 @@ export {
   KITSU_SOURCE,
   SIMKL_SOURCE,
   TRAKT_SOURCE,
+  COMPOSITE_SOURCE,
+  LETTERBOXD_SOURCE,
 };
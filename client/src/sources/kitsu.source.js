@@ -70,6 +70,7 @@ const NON_KITSU_KEYS = [
   'inTheatersLong',
   'inTheatersRadius',
   'anilistSort',
+  'anilistListType',
   'format',
   'status',
   'season',
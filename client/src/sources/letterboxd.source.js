@@ -0,0 +1,53 @@
+import { lazy } from 'react';
+
+const LETTERBOXD_KEYS = ['letterboxdItems', 'letterboxdListName', 'randomize'];
+
+/** @implements {import('./types').SourceDescriptor} */
+export const LETTERBOXD_SOURCE = {
+  id: 'letterboxd',
+  label: 'Letterboxd',
+  supportedTypes: ['movie'],
+  defaultSortBy: undefined,
+
+  defaultFilters: {
+    letterboxdItems: [],
+  },
+
+  movieOnlyFilterKeys: [],
+  seriesOnlyFilterKeys: [],
+
+  // An imported list has no query to carry over: only its own entries survive a switch.
+  cleanFiltersOnSwitch(currentFilters) {
+    const result = {};
+    for (const key of LETTERBOXD_KEYS) {
+      if (currentFilters[key] !== undefined) result[key] = currentFilters[key];
+    }
+    return result;
+  },
+
+  computeActiveChips(filters) {
+    const active = [];
+
+    if (filters.letterboxdItems?.length > 0) {
+      active.push({
+        key: 'letterboxdItems',
+        label: filters.letterboxdListName
+          ? `List: ${filters.letterboxdListName}`
+          : `${filters.letterboxdItems.length} films`,
+        section: 'filters',
+      });
+    }
+
+    if (filters.randomize) {
+      active.push({ key: 'randomize', label: 'Randomized', section: 'options' });
+    }
+
+    return active;
+  },
+
+  FilterPanelComponent: lazy(() =>
+    import('../components/config/catalog/sources/letterboxd/LetterboxdFilterPanel').then((m) => ({
+      default: m.LetterboxdFilterPanel,
+    }))
+  ),
+};
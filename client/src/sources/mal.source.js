@@ -70,6 +70,7 @@ const NON_MAL_KEYS = [
   'inTheatersLong',
   'inTheatersRadius',
   'anilistSort',
+  'anilistListType',
   'format',
   'status',
   'season',
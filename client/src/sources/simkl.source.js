@@ -70,6 +70,7 @@ const NON_SIMKL_KEYS = [
   'inTheatersLong',
   'inTheatersRadius',
   'anilistSort',
+  'anilistListType',
   'format',
   'status',
   'season',
@@ -2,6 +2,8 @@ import { describe, it, expect } from 'vitest';
 import { TMDB_SOURCE } from './tmdb.source';
 import { IMDB_SOURCE } from './imdb.source';
 import { TRAKT_SOURCE } from './trakt.source';
+import { COMPOSITE_SOURCE } from './composite.source';
+import { LETTERBOXD_SOURCE } from './letterboxd.source';
 import { getSource, getAllSources } from './index';
 
 const IMDB_ONLY_SAMPLE = {
@@ -255,3 +257,30 @@ describe('TRAKT_SOURCE descriptor', () => {
     expect(defaultChips.find((chip) => chip.key === 'traktCalendarSort')).toBeUndefined();
   });
 });
+
+describe('COMPOSITE_SOURCE descriptor', () => {
+  it('is registered and keeps only composite keys on switch', () => {
+    expect(getSource('composite')).toBe(COMPOSITE_SOURCE);
+    const cleaned = COMPOSITE_SOURCE.cleanFiltersOnSwitch({
+      ...TMDB_ONLY_SAMPLE,
+      compositeCatalogIds: ['a', 'b'],
+      compositeMergeMode: 'score',
+    });
+    expect(cleaned).toEqual({ compositeCatalogIds: ['a', 'b'], compositeMergeMode: 'score' });
+  });
+});
+
+describe('LETTERBOXD_SOURCE descriptor', () => {
+  it('is registered, movie-only and keeps only its list on switch', () => {
+    expect(getSource('letterboxd')).toBe(LETTERBOXD_SOURCE);
+    expect(LETTERBOXD_SOURCE.supportedTypes).toEqual(['movie']);
+    const items = [{ tmdbId: 11, name: 'Star Wars', year: 1977 }];
+    const cleaned = LETTERBOXD_SOURCE.cleanFiltersOnSwitch({
+      ...TMDB_ONLY_SAMPLE,
+      letterboxdItems: items,
+      letterboxdListName: 'Club Picks',
+    });
+    expect(cleaned).toEqual({ letterboxdItems: items, letterboxdListName: 'Club Picks' });
+    expect(LETTERBOXD_SOURCE.computeActiveChips(cleaned)[0].label).toBe('List: Club Picks');
+  });
+});
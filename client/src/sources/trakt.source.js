@@ -77,6 +77,7 @@ const NON_TRAKT_KEYS = [
   'inTheatersLong',
   'inTheatersRadius',
   'anilistSort',
+  'anilistListType',
   'format',
   'status',
   'season',
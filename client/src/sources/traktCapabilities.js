@@ -3,6 +3,7 @@ export const TRAKT_BROWSE_TYPES = [
   { value: 'community', label: 'Community' },
   { value: 'calendar', label: 'Calendar' },
   { value: 'other', label: 'Other' },
+  { value: 'account', label: 'My Account' },
 ];
 
 const BROWSE_TYPE_OPTIONS = {
@@ -10,11 +11,20 @@ const BROWSE_TYPE_OPTIONS = {
   community: ['favorited', 'watched', 'played', 'collected'],
   calendar: ['calendar', 'recently_aired'],
   other: ['boxoffice'],
+  account: [
+    'my_watchlist',
+    'my_collection',
+    'my_recommendations',
+    'my_continue_watching',
+    'my_unwatched',
+  ],
 };
 
 const PERIOD_LIST_TYPES = new Set(['recommended', 'favorited', 'watched', 'played', 'collected']);
 const CALENDAR_LIST_TYPES = new Set(['calendar', 'recently_aired']);
-const NON_FILTER_LIST_TYPES = new Set(['boxoffice', 'list']);
+// Personal (`my_*`) lists need a linked Trakt account and take no query filters.
+const PERSONAL_LIST_TYPES = new Set(BROWSE_TYPE_OPTIONS.account);
+const NON_FILTER_LIST_TYPES = new Set(['boxoffice', 'list', ...PERSONAL_LIST_TYPES]);
 const DIRECT_EXTERNAL_RATING_FILTER_LIST_TYPES = new Set([
   'trending',
   'popular',
@@ -165,6 +175,10 @@ export function supportsTraktCalendarSettings(listType) {
   return CALENDAR_LIST_TYPES.has(normalizeTraktListType(listType));
 }
 
+export function isTraktPersonalListType(listType) {
+  return PERSONAL_LIST_TYPES.has(normalizeTraktListType(listType));
+}
+
 export function supportsTraktAdvancedFilters(listType) {
   return !NON_FILTER_LIST_TYPES.has(normalizeTraktListType(listType));
 }
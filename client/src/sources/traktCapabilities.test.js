@@ -8,6 +8,7 @@ import {
   supportsTraktDirectExternalRatingFilters,
   getDefaultListTypeForBrowseType,
   getListTypeOptionsForBrowseType,
+  isTraktPersonalListType,
   normalizeTraktListType,
   supportsTraktAdvancedFilters,
   supportsTraktCalendarSettings,
@@ -42,6 +43,7 @@ describe('traktCapabilities', () => {
     expect(getBrowseTypeForListType('played')).toBe('community');
     expect(getBrowseTypeForListType('recently_aired')).toBe('calendar');
     expect(getBrowseTypeForListType('boxoffice')).toBe('other');
+    expect(getBrowseTypeForListType('my_unwatched')).toBe('account');
   });
 
   it('builds community options from metrics labels', () => {
@@ -90,6 +92,9 @@ describe('traktCapabilities', () => {
     expect(supportsTraktDirectExternalRatingFilters('boxoffice', 'movie')).toBe(false);
     expect(supportsTraktCoreRatingVoteFilters('boxoffice')).toBe(true);
     expect(supportsTraktCoreRatingVoteFilters('list')).toBe(false);
+    expect(isTraktPersonalListType('my_watchlist')).toBe(true);
+    expect(isTraktPersonalListType('recommended')).toBe(false);
+    expect(supportsTraktAdvancedFilters('my_collection')).toBe(false);
   });
 
   it('returns media-type-aware external rating support matrix', () => {
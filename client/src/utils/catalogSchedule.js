@@ -0,0 +1,146 @@
+// Mirrors server/src/services/catalogSchedule so the editor can preview
+// exactly when the manifest will list a catalog.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      hourCycle: 'h23',
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+export function isValidTimeZone(value) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    getFormatter(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+export function getScheduleClock(now, timezone = 'UTC') {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(now)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    monthDay: `${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour) % 24,
+  };
+}
+
+function inYearlyRange(monthDay, range) {
+  return range.from <= range.to
+    ? monthDay >= range.from && monthDay <= range.to
+    : monthDay >= range.from || monthDay <= range.to;
+}
+
+export function hasScheduleRules(schedule) {
+  return !!(
+    schedule?.dateRanges?.length ||
+    schedule?.yearlyRanges?.length ||
+    schedule?.weekdays?.length ||
+    schedule?.hours?.length
+  );
+}
+
+export function isScheduledAt(schedule, now = new Date()) {
+  if (!hasScheduleRules(schedule)) return true;
+  const clock = getScheduleClock(
+    now,
+    isValidTimeZone(schedule.timezone) ? schedule.timezone : 'UTC'
+  );
+
+  const dateRanges = (schedule.dateRanges || []).filter((r) => r?.from && r?.to);
+  const yearlyRanges = (schedule.yearlyRanges || []).filter((r) => r?.from && r?.to);
+  if (dateRanges.length > 0 || yearlyRanges.length > 0) {
+    const inWindow =
+      dateRanges.some((r) => clock.date >= r.from && clock.date <= r.to) ||
+      yearlyRanges.some((r) => inYearlyRange(clock.monthDay, r));
+    if (!inWindow) return false;
+  }
+  if (schedule.weekdays?.length && !schedule.weekdays.includes(clock.weekday)) return false;
+  if (schedule.hours?.length && !schedule.hours.includes(clock.hour)) return false;
+  return true;
+}
+
+/**
+ * Periods within the next `days` in which the catalog is listed. Rules change
+ * at most once per local hour, so the range is sampled hourly and each change
+ * is pinned down to the quarter hour (which covers every timezone offset).
+ * A period still open at the end of the horizon has `end: null`.
+ */
+export function getVisibilityWindows(schedule, from = new Date(), { days = 30, limit = 5 } = {}) {
+  const quarter = 15 * 60 * 1000;
+  const hour = 4 * quarter;
+  const start = from.getTime();
+  const end = start + days * 24 * hour;
+  const windows = [];
+  let open = isScheduledAt(schedule, from) ? { start: new Date(start), end: null } : null;
+
+  let previous = Math.floor(start / quarter) * quarter;
+  for (let t = previous + hour; t < end; previous = t, t += hour) {
+    const listed = isScheduledAt(schedule, new Date(t));
+    if (listed === !!open) continue;
+
+    let change = t;
+    for (let q = previous + quarter; q < t; q += quarter) {
+      if (isScheduledAt(schedule, new Date(q)) === listed) {
+        change = q;
+        break;
+      }
+    }
+    if (listed) {
+      open = { start: new Date(Math.max(change, start)), end: null };
+    } else {
+      open.end = new Date(change);
+      windows.push(open);
+      open = null;
+      if (windows.length >= limit) return windows;
+    }
+  }
+  if (open) windows.push(open);
+  return windows;
+}
+
+/** Collapse an hour mask into a `from`/`to` pair (inclusive, may wrap past midnight). */
+export function hourMaskToRange(hours) {
+  if (!Array.isArray(hours) || hours.length === 0 || hours.length >= 24) return null;
+  const set = new Set(hours);
+  const from = hours.find((h) => !set.has((h + 23) % 24)) ?? hours[0];
+  let to = from;
+  while (set.has((to + 1) % 24) && (to + 1) % 24 !== from) to = (to + 1) % 24;
+  return { from, to };
+}
+
+export function hourRangeToMask(from, to) {
+  const hours = [];
+  for (let h = from; ; h = (h + 1) % 24) {
+    hours.push(h);
+    if (h === to) break;
+  }
+  return hours.sort((a, b) => a - b);
+}
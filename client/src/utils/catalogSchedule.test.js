@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getVisibilityWindows,
+  hourMaskToRange,
+  hourRangeToMask,
+  isScheduledAt,
+} from './catalogSchedule';
+
+describe('isScheduledAt', () => {
+  it('lists catalogs without rules and applies every rule that is set', () => {
+    expect(isScheduledAt(undefined)).toBe(true);
+    expect(isScheduledAt({ timezone: 'Europe/Berlin' })).toBe(true);
+
+    const schedule = {
+      yearlyRanges: [{ from: '10-01', to: '10-31' }],
+      weekdays: [6],
+      timezone: 'Europe/Berlin',
+    };
+    // Saturday 2026-10-17 00:30 in Berlin, still Friday in UTC.
+    expect(isScheduledAt(schedule, new Date('2026-10-16T22:30:00Z'))).toBe(true);
+    expect(isScheduledAt({ ...schedule, timezone: 'UTC' }, new Date('2026-10-16T22:30:00Z'))).toBe(
+      false
+    );
+  });
+});
+
+describe('getVisibilityWindows', () => {
+  it('returns the upcoming listed periods', () => {
+    const windows = getVisibilityWindows(
+      { weekdays: [6], hours: [8, 9] },
+      new Date('2026-10-16T12:00:00Z'),
+      { days: 14, limit: 2 }
+    );
+    expect(windows).toEqual([
+      { start: new Date('2026-10-17T08:00:00Z'), end: new Date('2026-10-17T10:00:00Z') },
+      { start: new Date('2026-10-24T08:00:00Z'), end: new Date('2026-10-24T10:00:00Z') },
+    ]);
+  });
+
+  it('leaves a period open when it runs past the horizon', () => {
+    const windows = getVisibilityWindows(
+      { dateRanges: [{ from: '2026-10-01', to: '2026-12-31' }] },
+      new Date('2026-10-16T12:05:00Z'),
+      { days: 2 }
+    );
+    expect(windows).toEqual([{ start: new Date('2026-10-16T12:05:00Z'), end: null }]);
+  });
+});
+
+describe('hour ranges', () => {
+  it('round-trips ranges that wrap past midnight', () => {
+    expect(hourRangeToMask(22, 1)).toEqual([0, 1, 22, 23]);
+    expect(hourMaskToRange([0, 1, 22, 23])).toEqual({ from: 22, to: 1 });
+    expect(hourMaskToRange([8, 9, 10])).toEqual({ from: 8, to: 10 });
+    expect(hourMaskToRange([])).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+// Catalog fields outside `filters` that are worth calling out in a diff.
+const CATALOG_FIELDS = ['name', 'type', 'source', 'enabled', 'schedule'];
+
+function stableKey(value) {
+  if (Array.isArray(value)) return `[${value.map(stableKey).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableKey(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function isEmptyValue(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function catalogKey(catalog) {
+  return catalog?._id || catalog?.id || '';
+}
+
+function diffFilters(before = {}, after = {}) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of [...keys].sort()) {
+    const had = !isEmptyValue(before?.[key]);
+    const has = !isEmptyValue(after?.[key]);
+    if (!had && has) added.push(key);
+    else if (had && !has) removed.push(key);
+    else if (had && has && stableKey(before[key]) !== stableKey(after[key])) changed.push(key);
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Catalog-level diff between two config revisions. Catalogs are matched by id;
+ * for catalogs present in both, the filter keys that were set, cleared or
+ * edited are listed along with any renamed or retargeted fields.
+ */
+export function diffConfigRevisions(before, after) {
+  const beforeCatalogs = Array.isArray(before?.catalogs) ? before.catalogs : [];
+  const afterCatalogs = Array.isArray(after?.catalogs) ? after.catalogs : [];
+  const beforeById = new Map(beforeCatalogs.map((catalog) => [catalogKey(catalog), catalog]));
+  const afterIds = new Set(afterCatalogs.map(catalogKey));
+
+  const added = [];
+  const changed = [];
+  for (const catalog of afterCatalogs) {
+    const previous = beforeById.get(catalogKey(catalog));
+    if (!previous) {
+      added.push({ id: catalogKey(catalog), name: catalog.name || 'Untitled' });
+      continue;
+    }
+    const fields = CATALOG_FIELDS.filter(
+      (field) => stableKey(previous[field]) !== stableKey(catalog[field])
+    );
+    const filters = diffFilters(previous.filters, catalog.filters);
+    if (fields.length || filters.added.length || filters.removed.length || filters.changed.length) {
+      changed.push({ id: catalogKey(catalog), name: catalog.name || 'Untitled', fields, filters });
+    }
+  }
+
+  const removed = beforeCatalogs
+    .filter((catalog) => !afterIds.has(catalogKey(catalog)))
+    .map((catalog) => ({ id: catalogKey(catalog), name: catalog.name || 'Untitled' }));
+
+  const beforeOrder = beforeCatalogs.map(catalogKey).filter((id) => afterIds.has(id));
+  const afterOrder = afterCatalogs.map(catalogKey).filter((id) => beforeById.has(id));
+
+  return {
+    renamed:
+      (before?.configName || '') !== (after?.configName || '')
+        ? { from: before?.configName || '', to: after?.configName || '' }
+        : null,
+    added,
+    removed,
+    changed,
+    reordered: beforeOrder.join('\n') !== afterOrder.join('\n'),
+  };
+}
+
+export function isEmptyConfigDiff(diff) {
+  return (
+    !diff.renamed &&
+    !diff.reordered &&
+    diff.added.length === 0 &&
+    diff.removed.length === 0 &&
+    diff.changed.length === 0
+  );
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { diffConfigRevisions, isEmptyConfigDiff } from './configDiff';
+
+const catalog = (id, filters = {}, extra = {}) => ({
+  _id: id,
+  name: `Catalog ${id}`,
+  type: 'movie',
+  source: 'tmdb',
+  filters,
+  ...extra,
+});
+
+describe('diffConfigRevisions', () => {
+  it('lists added, removed and changed catalogs with their filter keys', () => {
+    const before = {
+      configName: 'Main',
+      catalogs: [
+        catalog('a', { genres: [28], sortBy: 'popularity.desc', voteCountGte: 100 }),
+        catalog('b'),
+      ],
+    };
+    const after = {
+      configName: 'Weekend',
+      catalogs: [
+        catalog('a', { genres: [28, 12], sortBy: 'popularity.desc', runtimeMin: 90 }),
+        catalog('c'),
+      ],
+    };
+
+    expect(diffConfigRevisions(before, after)).toEqual({
+      renamed: { from: 'Main', to: 'Weekend' },
+      added: [{ id: 'c', name: 'Catalog c' }],
+      removed: [{ id: 'b', name: 'Catalog b' }],
+      changed: [
+        {
+          id: 'a',
+          name: 'Catalog a',
+          fields: [],
+          filters: { added: ['runtimeMin'], removed: ['voteCountGte'], changed: ['genres'] },
+        },
+      ],
+      reordered: false,
+    });
+  });
+
+  it('ignores key order and empty values but reports field edits and reordering', () => {
+    const before = {
+      catalogs: [
+        catalog('a', { genres: [], region: { code: 'US', name: 'United States' } }),
+        catalog('b'),
+      ],
+    };
+    const same = {
+      catalogs: [catalog('a', { region: { name: 'United States', code: 'US' } }), catalog('b')],
+    };
+    expect(isEmptyConfigDiff(diffConfigRevisions(before, same))).toBe(true);
+
+    const after = {
+      catalogs: [catalog('b'), catalog('a', same.catalogs[0].filters, { enabled: false })],
+    };
+    const diff = diffConfigRevisions(before, after);
+    expect(diff.reordered).toBe(true);
+    expect(diff.changed).toEqual([
+      {
+        id: 'a',
+        name: 'Catalog a',
+        fields: ['enabled'],
+        filters: { added: [], removed: [], changed: [] },
+      },
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+// Parsers for the "Hidden Titles" blocklist. Entries mirror the server's
+// ExcludedItem shape: { id: 'tt…' | 'tmdb:<n>', type?: 'movie' | 'series', name? }.
+
+export const MAX_EXCLUDED_ITEMS = 5000;
+
+const IMDB_ID_PATTERN = /\btt\d{5,10}\b/i;
+
+const CSV_COLUMNS = {
+  imdb: ['const', 'tconst', 'imdb', 'imdbid', 'imdbidentifier'],
+  tmdb: ['tmdb', 'tmdbid', 'themoviedbid'],
+  name: ['title', 'name', 'primarytitle'],
+  type: ['titletype', 'type', 'mediatype'],
+};
+
+const SERIES_TYPES = new Set([
+  'tv',
+  'show',
+  'series',
+  'tvseries',
+  'tvminiseries',
+  'tvshow',
+  'episode',
+  'tvepisode',
+]);
+
+export function normalizeExcludedId(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? `tmdb:${value}` : null;
+  }
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toLowerCase();
+  if (/^tt\d{5,10}$/.test(trimmed)) return trimmed;
+  const tmdbMatch = /^(?:tmdb:)?(\d{1,10})$/.exec(trimmed);
+  if (tmdbMatch && Number(tmdbMatch[1]) > 0) return `tmdb:${Number(tmdbMatch[1])}`;
+  return null;
+}
+
+function normalizeType(value) {
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  const key = value.toLowerCase().replace(/[^a-z]/g, '');
+  return SERIES_TYPES.has(key) ? 'series' : 'movie';
+}
+
+export function excludedItemKey(item) {
+  if (item.id.startsWith('tt')) return item.id;
+  return item.type ? `${item.id}:${item.type}` : item.id;
+}
+
+function buildItem(id, type, name) {
+  const item = { id };
+  // IMDb ids are unambiguous; only TMDB ids need to know their content type.
+  if (type && id.startsWith('tmdb:')) item.type = type;
+  if (typeof name === 'string' && name.trim()) item.name = name.trim().slice(0, 200);
+  return item;
+}
+
+function splitCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+/**
+ * Parse a CSV export (IMDb ratings/watchlist, or any sheet with an IMDb or
+ * TMDB id column). Files without a recognised header fall back to picking
+ * IMDb ids out of any cell, which covers plain lists and IMDb URLs.
+ */
+export function parseExclusionCsv(text) {
+  const rows = splitCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((cell) => cell.toLowerCase().replace(/[^a-z]/g, ''));
+  const column = (names) => header.findIndex((cell) => names.includes(cell));
+  const imdbCol = column(CSV_COLUMNS.imdb);
+  const tmdbCol = column(CSV_COLUMNS.tmdb);
+
+  if (imdbCol === -1 && tmdbCol === -1) {
+    return rows.flatMap((row) =>
+      row
+        .map((cell) => IMDB_ID_PATTERN.exec(cell)?.[0].toLowerCase())
+        .filter(Boolean)
+        .map((id) => buildItem(id))
+    );
+  }
+
+  const nameCol = column(CSV_COLUMNS.name);
+  const typeCol = column(CSV_COLUMNS.type);
+  const items = [];
+  for (const row of rows.slice(1)) {
+    const imdbCell = imdbCol >= 0 ? IMDB_ID_PATTERN.exec(row[imdbCol] || '')?.[0] : null;
+    const id = normalizeExcludedId(imdbCell || (tmdbCol >= 0 ? row[tmdbCol] : null));
+    if (!id) continue;
+    items.push(buildItem(id, normalizeType(row[typeCol]), row[nameCol]));
+  }
+  return items;
+}
+
+/**
+ * Parse a Trakt data export file (history, watched, ratings or watchlist
+ * JSON). Episode entries hide their whole show.
+ */
+export function parseTraktExport(text) {
+  const data = JSON.parse(String(text || ''));
+  if (!Array.isArray(data)) {
+    throw new Error('Expected a Trakt export file containing a list of entries');
+  }
+
+  const items = [];
+  for (const entry of data) {
+    const media = entry?.movie || entry?.show;
+    if (!media?.ids) continue;
+    const type = entry.movie ? 'movie' : 'series';
+    const id = normalizeExcludedId(media.ids.imdb) || normalizeExcludedId(media.ids.tmdb);
+    if (!id) continue;
+    items.push(buildItem(id, type, media.title));
+  }
+  return items;
+}
+
+/**
+ * Append entries to an existing blocklist, skipping ones already present.
+ * Returns the merged list and how many entries were new.
+ */
+export function mergeExcludedItems(existing, incoming) {
+  const items = Array.isArray(existing) ? [...existing] : [];
+  const seen = new Set(items.map(excludedItemKey));
+  let added = 0;
+
+  for (const item of incoming) {
+    if (items.length >= MAX_EXCLUDED_ITEMS) break;
+    const key = excludedItemKey(item);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    items.push(item);
+    added++;
+  }
+
+  return { items, added };
+}
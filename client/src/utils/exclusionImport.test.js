@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  mergeExcludedItems,
+  normalizeExcludedId,
+  parseExclusionCsv,
+  parseTraktExport,
+} from './exclusionImport';
+
+describe('normalizeExcludedId', () => {
+  it('accepts imdb and tmdb ids', () => {
+    expect(normalizeExcludedId(' TT0944947 ')).toBe('tt0944947');
+    expect(normalizeExcludedId('1399')).toBe('tmdb:1399');
+    expect(normalizeExcludedId('tmdb:603')).toBe('tmdb:603');
+    expect(normalizeExcludedId(550)).toBe('tmdb:550');
+    expect(normalizeExcludedId('anilist:21')).toBeNull();
+    expect(normalizeExcludedId('')).toBeNull();
+  });
+});
+
+describe('parseExclusionCsv', () => {
+  it('reads an IMDb ratings export', () => {
+    const csv = [
+      'Const,Your Rating,Date Rated,Title,Original Title,URL,Title Type',
+      'tt0944947,9,2024-01-01,"Game of Thrones, Part 1",Game of Thrones,https://www.imdb.com/title/tt0944947/,TV Series',
+      'tt0133093,8,2024-01-02,The Matrix,The Matrix,https://www.imdb.com/title/tt0133093/,Movie',
+    ].join('\n');
+
+    expect(parseExclusionCsv(csv)).toEqual([
+      { id: 'tt0944947', name: 'Game of Thrones, Part 1' },
+      { id: 'tt0133093', name: 'The Matrix' },
+    ]);
+  });
+
+  it('keeps the content type for tmdb ids', () => {
+    const csv = 'tmdb_id,type,title\r\n1399,tv,Game of Thrones\r\n603,movie,The Matrix\r\n';
+    expect(parseExclusionCsv(csv)).toEqual([
+      { id: 'tmdb:1399', type: 'series', name: 'Game of Thrones' },
+      { id: 'tmdb:603', type: 'movie', name: 'The Matrix' },
+    ]);
+  });
+
+  it('falls back to scanning cells for imdb ids', () => {
+    const csv = 'https://www.imdb.com/title/tt0944947/\nnotes,tt0133093';
+    expect(parseExclusionCsv(csv).map((item) => item.id)).toEqual(['tt0944947', 'tt0133093']);
+  });
+});
+
+describe('parseTraktExport', () => {
+  it('maps movies and the shows of watched episodes', () => {
+    const json = JSON.stringify([
+      { type: 'movie', movie: { title: 'The Matrix', ids: { imdb: 'tt0133093', tmdb: 603 } } },
+      {
+        type: 'episode',
+        episode: { season: 1, number: 1, ids: { tmdb: 63056 } },
+        show: { title: 'Game of Thrones', ids: { imdb: null, tmdb: 1399 } },
+      },
+      { type: 'movie', movie: { title: 'No ids', ids: {} } },
+    ]);
+
+    expect(parseTraktExport(json)).toEqual([
+      { id: 'tt0133093', name: 'The Matrix' },
+      { id: 'tmdb:1399', type: 'series', name: 'Game of Thrones' },
+    ]);
+  });
+
+  it('rejects files that are not a list', () => {
+    expect(() => parseTraktExport('{"movies":[]}')).toThrow();
+  });
+});
+
+describe('mergeExcludedItems', () => {
+  it('skips entries that are already hidden', () => {
+    const existing = [{ id: 'tt0944947' }, { id: 'tmdb:1399', type: 'series' }];
+    const { items, added } = mergeExcludedItems(existing, [
+      { id: 'tt0944947', name: 'Game of Thrones' },
+      { id: 'tmdb:1399', type: 'movie' },
+    ]);
+    expect(added).toBe(1);
+    expect(items).toHaveLength(3);
+  });
+});
@@ -0,0 +1,338 @@
+// Filter templates are stored source-neutral (see server/src/services/filterTemplates)
+// and mapped here onto the filter keys each source's panel already edits, so the
+// active-filter chips and name resolution treat template values like any other.
+
+export const TEMPLATE_CONCEPTS = [
+  { id: 'years', label: 'Years', keys: ['yearFrom', 'yearTo'] },
+  { id: 'rating', label: 'Rating', keys: ['ratingMin', 'ratingMax'] },
+  { id: 'votes', label: 'Minimum votes', keys: ['voteCountMin'] },
+  { id: 'runtime', label: 'Runtime', keys: ['runtimeMin', 'runtimeMax'] },
+  { id: 'languages', label: 'Languages', keys: ['languages'] },
+  { id: 'countries', label: 'Countries', keys: ['countries'] },
+  { id: 'genres', label: 'Genres', keys: ['genres', 'excludeGenres'] },
+];
+
+const GENRE_ALIASES = {
+  scifi: 'sciencefiction',
+  realitytv: 'reality',
+  kids: 'children',
+  sport: 'sports',
+};
+
+function genreKey(name) {
+  const key = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+  return GENRE_ALIASES[key] || key;
+}
+
+// "Sci-Fi & Fantasy" also stands for each of its halves.
+function genreKeys(name) {
+  const parts = String(name).split('&');
+  return new Set([genreKey(name), ...(parts.length > 1 ? parts.map(genreKey) : [])]);
+}
+
+function genreIdsByName(names, options) {
+  const ids = [];
+  const missing = [];
+  for (const name of names || []) {
+    const key = genreKey(name);
+    const option = options.find((o) => genreKeys(o.name).has(key));
+    if (option) {
+      if (!ids.includes(option.id)) ids.push(option.id);
+    } else {
+      missing.push(name);
+    }
+  }
+  return { ids, missing };
+}
+
+function genreNamesById(ids, options) {
+  return (ids || [])
+    .map((id) => options.find((o) => String(o.id) === String(id))?.name)
+    .filter(Boolean);
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function listOrUndefined(values) {
+  return Array.isArray(values) && values.length > 0 ? values : undefined;
+}
+
+function scaled(value, factor) {
+  return isSet(value) ? Math.round(value * factor) : undefined;
+}
+
+function yearOf(date) {
+  const year = parseInt(String(date || '').slice(0, 4), 10);
+  return Number.isFinite(year) ? year : undefined;
+}
+
+function tmdbGenreOptions(refData, type) {
+  const genres = refData.genres || {};
+  return (type === 'series' ? genres.series : genres.movie) || [];
+}
+
+function traktGenreOptions(refData, type) {
+  const genres = refData.traktGenres;
+  const list = Array.isArray(genres)
+    ? genres
+    : (genres?.[type === 'movie' ? 'movie' : 'series'] ?? []);
+  return list.map((g) => ({ id: g.slug, name: g.name }));
+}
+
+// One adapter per source: `concepts` it can express, `toFilters` writes every key it
+// owns (undefined when the template leaves the concept unset) and `fromFilters` reads
+// them back. Sources without an adapter take no templates.
+const ADAPTERS = {
+  tmdb: {
+    concepts: ['years', 'rating', 'votes', 'runtime', 'languages', 'countries', 'genres'],
+    genreOptions: tmdbGenreOptions,
+    toFilters: (t, genres) => ({
+      yearFrom: t.yearFrom,
+      yearTo: t.yearTo,
+      ratingMin: t.ratingMin,
+      ratingMax: t.ratingMax,
+      voteCountMin: t.voteCountMin,
+      runtimeMin: t.runtimeMin,
+      runtimeMax: t.runtimeMax,
+      // TMDB reads a pipe-separated list as "any of".
+      language: listOrUndefined(t.languages)?.join('|'),
+      countries: listOrUndefined(t.countries),
+      genres: genres.include,
+      excludeGenres: genres.exclude,
+    }),
+    fromFilters: (f, genreNames) => ({
+      yearFrom: f.yearFrom,
+      yearTo: f.yearTo,
+      ratingMin: f.ratingMin,
+      ratingMax: f.ratingMax,
+      voteCountMin: f.voteCountMin || undefined,
+      runtimeMin: f.runtimeMin,
+      runtimeMax: f.runtimeMax,
+      languages: f.language ? String(f.language).split(/[|,]/).filter(Boolean) : undefined,
+      countries: Array.isArray(f.countries)
+        ? f.countries
+        : f.countries
+          ? String(f.countries).split(/[|,]/).filter(Boolean)
+          : undefined,
+      genres: genreNames(f.genres),
+      excludeGenres: genreNames(f.excludeGenres),
+    }),
+  },
+  imdb: {
+    concepts: ['years', 'rating', 'votes', 'runtime', 'languages', 'countries', 'genres'],
+    genreOptions: (refData) => (refData.imdbGenres || []).map((g) => ({ id: g, name: g })),
+    toFilters: (t, genres) => ({
+      releaseDateStart: isSet(t.yearFrom) ? `${t.yearFrom}-01-01` : undefined,
+      releaseDateEnd: isSet(t.yearTo) ? `${t.yearTo}-12-31` : undefined,
+      imdbRatingMin: t.ratingMin,
+      imdbRatingMax: t.ratingMax,
+      totalVotesMin: t.voteCountMin,
+      runtimeMin: t.runtimeMin,
+      runtimeMax: t.runtimeMax,
+      languages: listOrUndefined(t.languages),
+      imdbCountries: listOrUndefined(t.countries),
+      genres: genres.include,
+      excludeGenres: genres.exclude,
+    }),
+    fromFilters: (f, genreNames) => ({
+      yearFrom: yearOf(f.releaseDateStart),
+      yearTo: yearOf(f.releaseDateEnd),
+      ratingMin: f.imdbRatingMin,
+      ratingMax: f.imdbRatingMax,
+      voteCountMin: f.totalVotesMin,
+      runtimeMin: f.runtimeMin,
+      runtimeMax: f.runtimeMax,
+      languages: f.languages,
+      countries: f.imdbCountries,
+      genres: genreNames(f.genres),
+      excludeGenres: genreNames(f.excludeGenres),
+    }),
+  },
+  trakt: {
+    concepts: ['years', 'rating', 'votes', 'runtime', 'languages', 'countries', 'genres'],
+    genreOptions: traktGenreOptions,
+    toFilters: (t, genres) => ({
+      traktYearMin: t.yearFrom,
+      traktYearMax: t.yearTo,
+      // Trakt rates out of 100.
+      traktRatingMin: scaled(t.ratingMin, 10),
+      traktRatingMax: scaled(t.ratingMax, 10),
+      traktVotesMin: t.voteCountMin,
+      traktRuntimeMin: t.runtimeMin,
+      traktRuntimeMax: t.runtimeMax,
+      traktLanguages: listOrUndefined(t.languages),
+      traktCountries: listOrUndefined(t.countries),
+      traktGenres: genres.include,
+      traktExcludeGenres: genres.exclude,
+    }),
+    fromFilters: (f, genreNames) => ({
+      yearFrom: f.traktYearMin,
+      yearTo: f.traktYearMax,
+      ratingMin: scaled(f.traktRatingMin, 0.1),
+      ratingMax: scaled(f.traktRatingMax, 0.1),
+      voteCountMin: f.traktVotesMin,
+      runtimeMin: f.traktRuntimeMin,
+      runtimeMax: f.traktRuntimeMax,
+      languages: f.traktLanguages,
+      countries: f.traktCountries,
+      genres: genreNames(f.traktGenres),
+      excludeGenres: genreNames(f.traktExcludeGenres),
+    }),
+  },
+  anilist: {
+    concepts: ['rating', 'runtime', 'genres'],
+    genreOptions: (refData) => (refData.anilistGenres || []).map((g) => ({ id: g, name: g })),
+    toFilters: (t, genres) => ({
+      // AniList scores out of 100; durations are per episode.
+      averageScoreMin: scaled(t.ratingMin, 10),
+      averageScoreMax: scaled(t.ratingMax, 10),
+      durationMin: t.runtimeMin,
+      durationMax: t.runtimeMax,
+      genres: genres.include,
+      excludeGenres: genres.exclude,
+    }),
+    fromFilters: (f, genreNames) => ({
+      ratingMin: scaled(f.averageScoreMin, 0.1),
+      ratingMax: scaled(f.averageScoreMax, 0.1),
+      runtimeMin: f.durationMin,
+      runtimeMax: f.durationMax,
+      genres: genreNames(f.genres),
+      excludeGenres: genreNames(f.excludeGenres),
+    }),
+  },
+  mal: {
+    concepts: ['rating', 'genres'],
+    genreOptions: (refData) => refData.malGenres || [],
+    toFilters: (t, genres) => ({
+      malScoreMin: t.ratingMin,
+      malScoreMax: t.ratingMax,
+      malGenres: genres.include,
+      malExcludeGenres: genres.exclude,
+    }),
+    fromFilters: (f, genreNames) => ({
+      ratingMin: f.malScoreMin,
+      ratingMax: f.malScoreMax,
+      genres: genreNames(f.malGenres),
+      excludeGenres: genreNames(f.malExcludeGenres),
+    }),
+  },
+};
+
+function adapterFor(catalog) {
+  return ADAPTERS[catalog?.source || 'tmdb'] || null;
+}
+
+export function supportsFilterTemplates(catalog) {
+  return adapterFor(catalog) !== null;
+}
+
+function conceptIsSet(templateFilters, concept) {
+  return concept.keys.some((key) => {
+    const value = templateFilters[key];
+    return Array.isArray(value) ? value.length > 0 : isSet(value);
+  });
+}
+
+/** One-line description of a template for lists and pickers. */
+export function summarizeTemplate(filters = {}) {
+  const parts = [];
+  if (filters.yearFrom || filters.yearTo) {
+    parts.push(`${filters.yearFrom ?? 'Any'}–${filters.yearTo ?? 'Now'}`);
+  }
+  if (filters.ratingMin != null || filters.ratingMax != null) {
+    parts.push(`Rating ${filters.ratingMin ?? 0}–${filters.ratingMax ?? 10}`);
+  }
+  if (filters.voteCountMin) parts.push(`${filters.voteCountMin.toLocaleString()}+ votes`);
+  if (filters.runtimeMin || filters.runtimeMax) {
+    parts.push(`${filters.runtimeMin || 0}–${filters.runtimeMax || '∞'} min`);
+  }
+  if (filters.languages?.length) parts.push(filters.languages.join(' or '));
+  if (filters.countries?.length) parts.push(filters.countries.join(', '));
+  if (filters.genres?.length) parts.push(filters.genres.join(', '));
+  if (filters.excludeGenres?.length) parts.push(`no ${filters.excludeGenres.join(', ')}`);
+  return parts.join(' · ') || 'No constraints';
+}
+
+/**
+ * Map a template onto `catalog`'s source. `filters` holds every key the source
+ * owns for the template's concepts (undefined when unset, so inheriting catalogs
+ * lose constraints the template drops); `unmapped` lists what the source cannot
+ * express, including genres it has no match for.
+ */
+export function mapFilterTemplate(templateFilters, catalog, refData = {}) {
+  const adapter = adapterFor(catalog);
+  const t = templateFilters || {};
+  const unmapped = TEMPLATE_CONCEPTS.filter(
+    (concept) => conceptIsSet(t, concept) && !adapter?.concepts.includes(concept.id)
+  ).map((concept) => concept.label);
+  if (!adapter) return { filters: {}, unmapped };
+
+  const options = adapter.genreOptions(refData, catalog?.type);
+  const include = genreIdsByName(t.genres, options);
+  const exclude = genreIdsByName(t.excludeGenres, options);
+  const missingGenres = [...include.missing, ...exclude.missing];
+  if (missingGenres.length > 0) unmapped.push(...missingGenres.map((name) => `Genre: ${name}`));
+
+  const filters = adapter.toFilters(t, {
+    include: listOrUndefined(include.ids),
+    exclude: listOrUndefined(exclude.ids),
+  });
+  return { filters, unmapped };
+}
+
+/** Read the template concepts a catalog's current filters set. */
+export function captureFilterTemplate(catalog, refData = {}) {
+  const adapter = adapterFor(catalog);
+  if (!adapter) return {};
+  const options = adapter.genreOptions(refData, catalog?.type);
+  const captured = adapter.fromFilters(catalog?.filters || {}, (ids) =>
+    listOrUndefined(genreNamesById(ids, options))
+  );
+  return Object.fromEntries(
+    Object.entries(captured).filter(([, value]) =>
+      Array.isArray(value) ? value.length > 0 : isSet(value)
+    )
+  );
+}
+
+/**
+ * Apply a template to a catalog. `inherit` links the catalog so later template
+ * edits are written into it; otherwise the values are copied once and only the
+ * concepts the template sets are touched.
+ */
+export function applyFilterTemplate(catalog, template, refData = {}, { inherit = false } = {}) {
+  const { filters, unmapped } = mapFilterTemplate(template.filters, catalog, refData);
+  const patch = inherit
+    ? filters
+    : Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined));
+  const next = { ...catalog, filters: { ...catalog.filters, ...patch } };
+  if (inherit) next.filterTemplateId = template.id;
+  else delete next.filterTemplateId;
+  return { catalog: next, unmapped };
+}
+
+/**
+ * Re-apply templates to every catalog that inherits one. Catalogs whose template
+ * is gone are unlinked and keep their current filters. Unchanged catalogs are
+ * returned as-is so callers can skip no-op updates.
+ */
+export function syncInheritedCatalogs(catalogs, templates, refData = {}) {
+  const byId = new Map((templates || []).map((template) => [template.id, template]));
+  return (catalogs || []).map((catalog) => {
+    if (!catalog.filterTemplateId) return catalog;
+    const template = byId.get(catalog.filterTemplateId);
+    if (!template) {
+      const { filterTemplateId: _filterTemplateId, ...unlinked } = catalog;
+      return unlinked;
+    }
+    const { filters } = mapFilterTemplate(template.filters, catalog, refData);
+    const changed = Object.entries(filters).some(
+      ([key, value]) => JSON.stringify(catalog.filters?.[key]) !== JSON.stringify(value)
+    );
+    return changed ? { ...catalog, filters: { ...catalog.filters, ...filters } } : catalog;
+  });
+}
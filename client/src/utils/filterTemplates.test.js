@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyFilterTemplate,
+  captureFilterTemplate,
+  mapFilterTemplate,
+  syncInheritedCatalogs,
+} from './filterTemplates';
+
+const refData = {
+  genres: {
+    movie: [
+      { id: 28, name: 'Action' },
+      { id: 878, name: 'Science Fiction' },
+    ],
+    series: [
+      { id: 10759, name: 'Action & Adventure' },
+      { id: 10764, name: 'Reality' },
+      { id: 10765, name: 'Sci-Fi & Fantasy' },
+    ],
+  },
+  traktGenres: [
+    { name: 'Reality', slug: 'reality' },
+    { name: 'Science Fiction', slug: 'science-fiction' },
+  ],
+  malGenres: [{ id: 24, name: 'Sci-Fi' }],
+};
+
+const template = {
+  id: 'tpl-1',
+  name: 'Modern',
+  filters: {
+    yearFrom: 2010,
+    ratingMin: 7,
+    voteCountMin: 500,
+    languages: ['en', 'ja'],
+    genres: ['Sci-Fi'],
+    excludeGenres: ['Reality TV'],
+  },
+};
+
+describe('mapFilterTemplate', () => {
+  it('writes TMDB keys and matches genres by name', () => {
+    const { filters, unmapped } = mapFilterTemplate(
+      template.filters,
+      {
+        source: 'tmdb',
+        type: 'series',
+      },
+      refData
+    );
+    expect(filters).toMatchObject({
+      yearFrom: 2010,
+      ratingMin: 7,
+      voteCountMin: 500,
+      language: 'en|ja',
+      genres: [10765],
+      excludeGenres: [10764],
+    });
+    expect(filters).toHaveProperty('runtimeMin', undefined);
+    expect(unmapped).toEqual([]);
+  });
+
+  it('rescales ratings for Trakt and reports what a source cannot express', () => {
+    const trakt = mapFilterTemplate(template.filters, { source: 'trakt', type: 'movie' }, refData);
+    expect(trakt.filters).toMatchObject({
+      traktYearMin: 2010,
+      traktRatingMin: 70,
+      traktLanguages: ['en', 'ja'],
+      traktGenres: ['science-fiction'],
+      traktExcludeGenres: ['reality'],
+    });
+
+    const mal = mapFilterTemplate(template.filters, { source: 'mal', type: 'anime' }, refData);
+    expect(mal.filters).toEqual({
+      malScoreMin: 7,
+      malScoreMax: undefined,
+      malGenres: [24],
+      malExcludeGenres: undefined,
+    });
+    expect(mal.unmapped).toEqual(['Years', 'Minimum votes', 'Languages', 'Genre: Reality TV']);
+
+    expect(mapFilterTemplate(template.filters, { source: 'kitsu' }, refData).filters).toEqual({});
+  });
+});
+
+describe('captureFilterTemplate', () => {
+  it('reads a catalog back into template terms', () => {
+    expect(
+      captureFilterTemplate(
+        {
+          source: 'imdb',
+          type: 'movie',
+          filters: { releaseDateStart: '2010-01-01', imdbRatingMin: 7, genres: ['Drama'] },
+        },
+        { imdbGenres: ['Drama'] }
+      )
+    ).toEqual({ yearFrom: 2010, ratingMin: 7, genres: ['Drama'] });
+  });
+});
+
+describe('applyFilterTemplate', () => {
+  const catalog = {
+    _id: 'c1',
+    source: 'tmdb',
+    type: 'movie',
+    filters: { sortBy: 'vote_average.desc', runtimeMin: 90 },
+  };
+
+  it('copies only the concepts the template sets', () => {
+    const { catalog: applied } = applyFilterTemplate(catalog, template, refData);
+    expect(applied.filters).toMatchObject({ sortBy: 'vote_average.desc', runtimeMin: 90 });
+    expect(applied.filters.yearFrom).toBe(2010);
+    expect(applied).not.toHaveProperty('filterTemplateId');
+  });
+
+  it('links inheriting catalogs and clears concepts the template leaves unset', () => {
+    const { catalog: inherited } = applyFilterTemplate(catalog, template, refData, {
+      inherit: true,
+    });
+    expect(inherited.filterTemplateId).toBe('tpl-1');
+    expect(inherited.filters.runtimeMin).toBeUndefined();
+    expect(inherited.filters.sortBy).toBe('vote_average.desc');
+  });
+});
+
+describe('syncInheritedCatalogs', () => {
+  it('propagates template edits and unlinks catalogs from deleted templates', () => {
+    const linked = applyFilterTemplate(
+      { _id: 'c1', source: 'tmdb', type: 'movie', filters: {} },
+      template,
+      refData,
+      { inherit: true }
+    ).catalog;
+    const orphan = { ...linked, _id: 'c2', filterTemplateId: 'gone' };
+    const plain = { _id: 'c3', source: 'tmdb', type: 'movie', filters: {} };
+    const edited = { ...template, filters: { ...template.filters, yearFrom: 2015 } };
+
+    const [updated, unlinked, untouched] = syncInheritedCatalogs(
+      [linked, orphan, plain],
+      [edited],
+      refData
+    );
+    expect(updated.filters.yearFrom).toBe(2015);
+    expect(unlinked).not.toHaveProperty('filterTemplateId');
+    expect(unlinked.filters.yearFrom).toBe(2010);
+    expect(untouched).toBe(plain);
+    expect(syncInheritedCatalogs([linked], [template], refData)[0]).toBe(linked);
+  });
+});
@@ -23,7 +23,14 @@ export const CACHE_TTLS = {
   CATALOG_SERVER_TRENDING: 10_800,
   ANIME_DISCOVER: 86_400,
   ANIME_TRENDING: 10_800,
+  ANILIST_AIRING: 900,
+  ANILIST_AIRING_MIN: 60,
+  TMDB_EPISODE_CALENDAR: 10_800,
   ANIME_ID_MAP: 604_800,
+  POSTER_BADGE: 604_800,
+  POSTER_COMPOSITE: 86_400,
+  UNIFIED_SEARCH: 3_600,
+  LETTERBOXD_IMPORT_JOB: 1_800,
 } as const;
 
 /** Process-local cache TTLs, in milliseconds. */
@@ -40,6 +47,7 @@ export const LOCAL_CACHE_TTLS = {
   TRAKT_CALENDAR: 5 * 60 * 1000,
   TRAKT_CALENDAR_IMMUTABLE: 24 * 60 * 60 * 1000,
   TRAKT_REFERENCE: 24 * 60 * 60 * 1000,
+  ACCOUNT_LIBRARY: 5 * 60 * 1000,
   PBKDF2: 60 * 60 * 1000,
   ERROR_DEDUP: 5 * 60 * 1000,
 } as const;
@@ -87,6 +95,7 @@ const TRENDING_LIST_TYPES = new Set([
   'on_the_air',
   'popular',
   'airing_today',
+  'episode_calendar',
 ]);
 
 export function catalogServerTtl(listType: string | undefined | null): number {
@@ -89,6 +89,24 @@ export const config = Object.freeze({
     disabled: envBool('IMDB_RATINGS_DISABLED'),
     updateIntervalHours: envInt('IMDB_RATINGS_UPDATE_HOURS', 24),
     minVotes: envInt('IMDB_MIN_VOTES', 100),
+    // Skip the title.episode download that feeds per-episode ratings in series meta.
+    episodesDisabled: envBool('IMDB_EPISODE_RATINGS_DISABLED'),
+  }),
+
+  imdbDatasets: Object.freeze({
+    // Build an offline discover index from the public IMDb datasets; needs
+    // IMDb ratings, and is only used when the IMDb API is not configured.
+    enabled: envBool('IMDB_DATASETS_ENABLED'),
+  }),
+
+  snapshots: Object.freeze({
+    // Hours between catalog snapshot refreshes; 0 disables the scheduler.
+    intervalHours: envInt('CATALOG_SNAPSHOT_INTERVAL_HOURS', 168),
+  }),
+
+  configHistory: Object.freeze({
+    // Revisions kept per config; 0 turns history off.
+    maxRevisions: envInt('CONFIG_HISTORY_REVISIONS', 20),
   }),
 
   imdbApi: Object.freeze({
@@ -147,6 +165,18 @@ export const config = Object.freeze({
     },
   }),
 
+  marketplace: Object.freeze({
+    // Config user ids whose owners may review reported marketplace entries.
+    moderators: envCsv('MARKETPLACE_MODERATORS', ''),
+    // Distinct reports that flag an entry for review; 0 disables auto-flagging.
+    reportThreshold: envInt('MARKETPLACE_REPORT_THRESHOLD', 3),
+  }),
+
+  metrics: Object.freeze({
+    // Bearer token for /metrics; the endpoint is disabled while empty.
+    token: env('METRICS_TOKEN'),
+  }),
+
   logging: Object.freeze({
     level: env('LOG_LEVEL', 'info').toLowerCase(),
     format: env('LOG_FORMAT', 'text'),
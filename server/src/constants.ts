@@ -9,6 +9,7 @@ export const TIMEOUTS = {
   KITSU_FETCH_MS: 10_000,
   NOMINATIM_FETCH_MS: 8_000,
   RPDB_FETCH_MS: 1_500,
+  POSTER_BADGE_FETCH_MS: 5_000,
   SHUTDOWN_MS: 30_000,
 } as const;
 
@@ -36,6 +37,148 @@ export const DISPLAY = {
   ANIME_PAGE_SIZE: 20,
   IMDB_EPISODE_PAGE_LIMIT: 250,
   IMDB_EPISODE_PAGE_MAX: 4,
+  TOP_EPISODES: 10,
+} as const;
+
+/** Bounds for TMDB episode-calendar catalogs. */
+export const EPISODE_CALENDAR_LIMITS = {
+  DEFAULT_DAYS: 7,
+  MAX_DAYS: 30,
+  // Shows checked for episodes per calendar: pinned shows or discover matches.
+  MAX_SHOWS: 60,
+} as const;
+
+/** Bounds for the unified search catalog that merges every source's search. */
+export const UNIFIED_SEARCH_LIMITS = {
+  // A source that has not answered by then is left out of the merged results.
+  SOURCE_TIMEOUT_MS: 4000,
+  MAX_RESULTS: 60,
+} as const;
+
+/** Bounds for composite catalogs that merge several member catalogs. */
+export const COMPOSITE_LIMITS = {
+  MAX_MEMBERS: 8,
+  // Deepest merged offset a composite pages to; members are walked no further.
+  MAX_DEPTH: 200,
+  // Items read from every member before a score merge, so page boundaries stay stable.
+  SCORE_WINDOW: 100,
+  MAX_WEIGHT: 5,
+} as const;
+
+/** Bounds for the per-config title blocklist. */
+export const EXCLUSION_LIMITS = {
+  MAX_ITEMS: 5_000,
+  MAX_NAME_LENGTH: 200,
+  // Raw pages read beyond the requested one to refill rows emptied by exclusions.
+  BACKFILL_EXTRA_PAGES: 3,
+} as const;
+
+/** Bounds for catalogs that serve only titles new since their last snapshot. */
+export const SNAPSHOT_LIMITS = {
+  // Leading items of a catalog that are snapshotted and diffed.
+  WINDOW: 100,
+  // Raw pages read to fill the window; also bounds sources that ignore skip.
+  MAX_PAGES: 6,
+  // How often the scheduler looks for snapshots that are due.
+  CHECK_INTERVAL_MS: 60 * 60 * 1000,
+} as const;
+
+/** Bounds for the per-catalog post-filters applied to every source. */
+export const POST_FILTER_LIMITS = {
+  MIN_YEAR: 1870,
+  MAX_YEAR: 2100,
+  MAX_RUNTIME: 600,
+  MAX_GENRES: 30,
+} as const;
+
+/** Bounds for hand-picked `custom` list catalogs. */
+export const CUSTOM_LIST_LIMITS = {
+  MAX_ITEMS: 500,
+  MAX_NAME_LENGTH: 200,
+  MAX_NOTE_LENGTH: 280,
+} as const;
+
+/** Bounds for catalogs imported from Letterboxd CSV exports. */
+export const LETTERBOXD_LIMITS = {
+  MAX_ITEMS: 1000,
+  MAX_NAME_LENGTH: 200,
+  // Unmatched films listed back to the client; the rest are only counted.
+  UNRESOLVED_REPORT: 50,
+} as const;
+
+/** Bounds for imported ratings and watch-history exports. */
+export const WATCH_HISTORY_LIMITS = {
+  MAX_TITLES: 20_000,
+} as const;
+
+/** Bounds for catalogs shared across a household's profiles. */
+export const HOUSEHOLD_LIMITS = {
+  MAX_CATALOGS: 100,
+} as const;
+
+export const FILTER_TEMPLATE_LIMITS = {
+  MAX_TEMPLATES: 50,
+  MAX_NAME_LENGTH: 60,
+  // Entries kept per list (languages, countries, genres).
+  MAX_LIST_ITEMS: 50,
+} as const;
+
+/** Bounds for the natural-language catalog builder. */
+export const FILTER_PROMPT_LIMITS = {
+  MAX_LENGTH: 300,
+  // People and keyword phrases looked up on TMDB per prompt.
+  MAX_LOOKUPS: 5,
+} as const;
+
+/** Digits accepted for the PIN that locks a profile's maturity limit. */
+export const MATURITY_PIN_LIMITS = {
+  MIN_LENGTH: 4,
+  MAX_LENGTH: 8,
+} as const;
+
+/** Offline IMDb discover index built from the public IMDb datasets. */
+export const IMDB_DATASET_LIMITS = {
+  // The larger files (title.akas is ~450 MB compressed) take a while to stream.
+  DOWNLOAD_TIMEOUT_MS: 30 * 60 * 1000,
+  WRITE_BATCH_SIZE: 5000,
+  // "Top 250" fallback: best-rated titles with at least this many votes.
+  TOP_RATED_MIN_VOTES: 25000,
+  TOP_RATED_LIMIT: 250,
+  // "Most popular" fallback: most-voted titles released within this many years.
+  POPULAR_YEARS: 2,
+  POPULAR_LIMIT: 100,
+  // How often a Redis-backed instance checks for a newer index.
+  SNAPSHOT_CHECK_MS: 60 * 1000,
+  // Sorted result lists a Redis-backed instance keeps per index version.
+  QUERY_CACHE_SIZE: 100,
+} as const;
+
+/** Trakt/Simkl account linking: token refresh window and personal-list bounds. */
+export const ACCOUNT_LINK_LIMITS = {
+  // Trakt access tokens are refreshed once they are this close to expiring.
+  REFRESH_MARGIN_MS: 24 * 60 * 60 * 1000,
+  // Personal Trakt lists read for "unwatched from my lists".
+  MAX_TRAKT_LISTS: 10,
+  // Rows kept from endpoints that return a whole library at once.
+  MAX_LIBRARY_ITEMS: 1000,
+} as const;
+
+/** Bounds for the badged-poster overlay route. */
+export const POSTER_BADGE_LIMITS = {
+  MAX_IMAGE_BYTES: 2_000_000,
+  MAX_REDIRECTS: 3,
+} as const;
+
+export const POSTER_COMPOSITE_LIMITS = {
+  // A season counts as new for this long after its premiere.
+  NEW_SEASON_DAYS: 30,
+} as const;
+
+/** Bounds for per-catalog manifest schedules. */
+export const SCHEDULE_LIMITS = {
+  MAX_RANGES: 12,
+  MIN_YEAR: 1970,
+  MAX_YEAR: 2100,
 } as const;
 
 export const EXTERNAL_URLS = {
@@ -108,6 +251,28 @@ export const MARKETPLACE_LIMITS = {
   RECENCY_WINDOW_HOURS: 168,
 } as const;
 
+/** Reason codes accepted on a marketplace abuse report. */
+export const MARKETPLACE_REPORT_REASONS = [
+  'spam',
+  'offensive',
+  'misleading',
+  'broken',
+  'other',
+] as const;
+
+/** Limits for marketplace reports and the moderator review queue. */
+export const MARKETPLACE_MODERATION_LIMITS = {
+  MAX_REPORT_DETAILS_LENGTH: 500,
+  // Entries returned per moderation queue request.
+  QUEUE_LIMIT: 100,
+} as const;
+
+/** Member count bounds for a marketplace bundle (several catalogs as one entry). */
+export const MARKETPLACE_BUNDLE_LIMITS = {
+  MIN_MEMBERS: 2,
+  MAX_MEMBERS: 20,
+} as const;
+
 /** Valid sort modes accepted by marketplace search. */
 export const MARKETPLACE_SORT_MODES = [
   'relevance',
@@ -144,6 +309,8 @@ export const MARKETPLACE_SECRET_DENYLIST = [
   'malClientIdEncrypted',
   'simklApiKeyEncrypted',
   'traktClientIdEncrypted',
+  'traktTokensEncrypted',
+  'simklTokensEncrypted',
   'apiKey',
   'apiKeys',
   'clientId',
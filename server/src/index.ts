@@ -8,7 +8,7 @@ import { fileURLToPath } from 'url';
 import { config, validateRequiredConfig } from './config.ts';
 import { initStorage, getStorage } from './services/storage/index.ts';
 import { initCache, getCacheStatus } from './services/cache/index.ts';
-import { addonRouter } from './routes/addon.ts';
+import { addonRouter, takeCatalogSnapshot } from './routes/addon.ts';
 import { apiRouter } from './routes/api.ts';
 import { authRouter } from './routes/auth.ts';
 import marketplaceRouter from './routes/marketplace.ts';
@@ -19,14 +19,25 @@ import { monitoringRateLimit } from './utils/rateLimit.ts';
 import { setRevocationStore, destroySecurity } from './utils/security.ts';
 import { RedisRevocationStore } from './infrastructure/revocationStore.ts';
 import { warmEssentialCaches } from './infrastructure/cacheWarmer.ts';
+import {
+  startSnapshotScheduler,
+  stopSnapshotScheduler,
+} from './infrastructure/snapshotScheduler.ts';
 import { destroyTmdbThrottle, getTmdbThrottle } from './infrastructure/tmdbThrottle.ts';
 import { destroyImdbThrottle } from './infrastructure/imdbThrottle.ts';
 import { getConfigCache } from './infrastructure/configCache.ts';
+import { renderMetrics, isMetricsTokenValid } from './infrastructure/metrics.ts';
 import {
   initImdbRatings,
   getImdbRatingsStats,
   destroyImdbRatings,
 } from './services/imdbRatings/index.ts';
+import {
+  initImdbDatasets,
+  ensureImdbTitleIndex,
+  getImdbDatasetsStats,
+  destroyImdbDatasets,
+} from './services/imdbDatasets/index.ts';
 import { getCircuitBreakerState } from './services/tmdb/client.ts';
 import { getImdbCircuitBreakerState } from './services/imdb/client.ts';
 import { isImdbApiEnabled } from './services/imdb/index.ts';
@@ -179,7 +190,7 @@ app.use((req, res, next) => {
 
 app.use(requestIdMiddleware());
 
-const REQUEST_LOG_IGNORED_PREFIXES = ['/health', '/ready'];
+const REQUEST_LOG_IGNORED_PREFIXES = ['/health', '/ready', '/metrics'];
 const REQUEST_LOG_IGNORED_EXTENSIONS = /\.(?:js|css|map|png|jpg|jpeg|gif|svg|ico|webp|woff2?)$/i;
 
 const shouldLogCorrelationForPath = (pathname: string): boolean => {
@@ -374,6 +385,7 @@ app.get('/health', monitoringRateLimit, (req, res) => {
     tmdbThrottle: throttleStats,
     tmdbCircuitBreaker: getCircuitBreakerState(),
     imdbRatings: getImdbRatingsStats(),
+    imdbDatasets: getImdbDatasetsStats(),
     imdbApi: isImdbApiEnabled()
       ? {
           enabled: true,
@@ -402,6 +414,21 @@ app.get('/health', monitoringRateLimit, (req, res) => {
   res.status(httpStatus).json(health);
 });
 
+// ============================================
+// Prometheus Metrics Endpoint
+// ============================================
+app.get('/metrics', monitoringRateLimit, (req, res) => {
+  if (!config.metrics.token) {
+    return sendError(res, 404, ErrorCodes.NOT_FOUND, 'Metrics are disabled');
+  }
+  if (!isMetricsTokenValid(req.get('authorization'), config.metrics.token)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, ErrorCodes.UNAUTHORIZED, 'Invalid metrics token');
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics(SERVER_VERSION));
+});
+
 app.use('/api/auth', authRouter);
 
 app.use('/api/marketplace', marketplaceRouter);
@@ -443,12 +470,14 @@ function gracefulShutdown(signal: string) {
   destroyTmdbThrottle();
   destroyImdbThrottle();
   destroySecurity();
+  stopSnapshotScheduler();
   if (revocationStoreInstance) {
     revocationStoreInstance
       .destroy()
       .catch((err) => logSwallowedError('shutdown:revocation-store', err));
   }
   destroyImdbRatings().catch((err) => logSwallowedError('shutdown:imdb-ratings', err));
+  destroyImdbDatasets().catch((err) => logSwallowedError('shutdown:imdb-datasets', err));
 
   if (server) {
     server.close(async (err) => {
@@ -604,9 +633,17 @@ async function start() {
         });
     }
 
-    initImdbRatings()
+    startSnapshotScheduler(takeCatalogSnapshot);
+
+    // The dataset index hooks onto the ratings import, so it is set up first.
+    initImdbDatasets()
+      .catch((err) => {
+        log.warn('IMDb datasets initialization failed (non-critical)', { error: err.message });
+      })
+      .then(() => initImdbRatings())
       .then(() => {
         log.info('IMDb ratings initialized', getImdbRatingsStats());
+        return ensureImdbTitleIndex();
       })
       .catch((err) => {
         log.warn('IMDb ratings initialization failed (non-critical)', { error: err.message });
@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import { getCacheStatus } from '../services/cache/index.ts';
+import { getConfigCache } from './configCache.ts';
+import { getMarketplaceCache } from './marketplaceCache.ts';
+import { getTmdbThrottle } from './tmdbThrottle.ts';
+import { getCircuitBreakerState } from '../services/tmdb/client.ts';
+import { getImdbCircuitBreakerState } from '../services/imdb/client.ts';
+
+/**
+ * Prometheus text-format metrics.
+ *
+ * Addon request counters and latency histograms are recorded here as requests
+ * finish; cache, throttle and circuit-breaker figures are read from their
+ * existing `getStats()` snapshots at scrape time.
+ */
+
+const PREFIX = 'tmdb_discover_';
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export type AddonResource = 'catalog' | 'meta';
+
+type Labels = Record<string, string>;
+
+interface HistogramSeries {
+  labels: Labels;
+  buckets: number[];
+  sum: number;
+  count: number;
+}
+
+const requestCounts = new Map<string, { labels: Labels; value: number }>();
+const requestDurations = new Map<string, HistogramSeries>();
+
+function seriesKey(labels: Labels): string {
+  return Object.keys(labels)
+    .sort()
+    .map((key) => `${key}=${labels[key]}`)
+    .join(',');
+}
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Labels): string {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value: number): string {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : '0';
+}
+
+function statusClass(status: number): string {
+  return `${Math.floor(status / 100)}xx`;
+}
+
+/** Count a finished catalog or meta request and observe its latency. */
+export function recordAddonRequest(
+  resource: AddonResource,
+  source: string,
+  status: number,
+  durationMs: number
+): void {
+  const counterLabels = { resource, source, status: statusClass(status) };
+  const counterKey = seriesKey(counterLabels);
+  const counter = requestCounts.get(counterKey);
+  if (counter) counter.value++;
+  else requestCounts.set(counterKey, { labels: counterLabels, value: 1 });
+
+  const histogramLabels = { resource, source };
+  const histogramKey = seriesKey(histogramLabels);
+  let histogram = requestDurations.get(histogramKey);
+  if (!histogram) {
+    histogram = {
+      labels: histogramLabels,
+      buckets: DURATION_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    requestDurations.set(histogramKey, histogram);
+  }
+  const seconds = Math.max(0, durationMs) / 1000;
+  DURATION_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+/** Clear recorded request series. Intended for tests. */
+export function resetMetrics(): void {
+  requestCounts.clear();
+  requestDurations.clear();
+}
+
+class MetricWriter {
+  private lines: string[] = [];
+
+  metric(
+    name: string,
+    type: 'counter' | 'gauge' | 'histogram',
+    help: string,
+    samples: Array<{ labels?: Labels; value: number; suffix?: string }>
+  ): void {
+    const fullName = `${PREFIX}${name}`;
+    this.lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`);
+    for (const sample of samples) {
+      this.lines.push(
+        `${fullName}${sample.suffix || ''}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`
+      );
+    }
+  }
+
+  toString(): string {
+    return `${this.lines.join('\n')}\n`;
+  }
+}
+
+function num(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
+/** Render every metric in the Prometheus text exposition format (0.0.4). */
+export function renderMetrics(version: string): string {
+  const out = new MetricWriter();
+
+  out.metric(
+    'addon_requests_total',
+    'counter',
+    'Stremio catalog and meta requests by source and response status class.',
+    [...requestCounts.values()].map(({ labels, value }) => ({ labels, value }))
+  );
+
+  const histogramSamples: Array<{ labels?: Labels; value: number; suffix?: string }> = [];
+  for (const series of requestDurations.values()) {
+    DURATION_BUCKETS.forEach((bound, i) => {
+      histogramSamples.push({
+        suffix: '_bucket',
+        labels: { ...series.labels, le: String(bound) },
+        value: series.buckets[i],
+      });
+    });
+    histogramSamples.push({
+      suffix: '_bucket',
+      labels: { ...series.labels, le: '+Inf' },
+      value: series.count,
+    });
+    histogramSamples.push({ suffix: '_sum', labels: series.labels, value: series.sum });
+    histogramSamples.push({ suffix: '_count', labels: series.labels, value: series.count });
+  }
+  out.metric(
+    'addon_request_duration_seconds',
+    'histogram',
+    'Stremio catalog and meta request latency by source.',
+    histogramSamples
+  );
+
+  const responseCache = getCacheStatus();
+  const configCache = getConfigCache().getStats() as Record<string, unknown>;
+  const marketplaceCache = getMarketplaceCache().getStats() as Record<string, unknown>;
+  const caches: Array<[string, Record<string, unknown>]> = [
+    ['response', responseCache],
+    ['config', configCache],
+    ['marketplace', marketplaceCache],
+  ];
+  const perCache = (field: string) =>
+    caches.map(([cache, stats]) => ({ labels: { cache }, value: num(stats[field]) }));
+
+  out.metric('cache_hits_total', 'counter', 'Cache hits.', perCache('hits'));
+  out.metric('cache_misses_total', 'counter', 'Cache misses.', perCache('misses'));
+  out.metric(
+    'cache_evictions_total',
+    'counter',
+    'Entries evicted from the in-process LRU caches.',
+    perCache('evictions').filter(({ labels }) => labels.cache !== 'response')
+  );
+  out.metric(
+    'cache_entries',
+    'gauge',
+    'Entries currently held by the in-process LRU caches.',
+    perCache('size').filter(({ labels }) => labels.cache !== 'response')
+  );
+  out.metric('cache_stale_served_total', 'counter', 'Stale response cache entries served.', [
+    { labels: { cache: 'response' }, value: num(responseCache.staleServed) },
+  ]);
+  out.metric('cache_errors_total', 'counter', 'Response cache adapter errors.', [
+    { labels: { cache: 'response' }, value: num(responseCache.errors) },
+  ]);
+
+  const throttle = getTmdbThrottle().getStats();
+  out.metric('tmdb_throttle_queue_depth', 'gauge', 'TMDB requests waiting for a token.', [
+    { value: num(throttle.queueDepth) },
+  ]);
+  out.metric('tmdb_throttle_tokens', 'gauge', 'TMDB throttle tokens currently available.', [
+    { value: num(throttle.currentTokens) },
+  ]);
+  out.metric('tmdb_throttle_requests_total', 'counter', 'TMDB requests seen by the throttle.', [
+    { labels: { outcome: 'immediate' }, value: num(throttle.immediateGrants) },
+    { labels: { outcome: 'queued' }, value: num(throttle.queuedRequests) },
+    { labels: { outcome: 'rejected' }, value: num(throttle.rejectedRequests) },
+  ]);
+  out.metric(
+    'tmdb_throttle_wait_seconds_total',
+    'counter',
+    'Total time TMDB requests spent queued.',
+    [{ value: num(throttle.totalWaitMs) / 1000 }]
+  );
+
+  const breakers = [
+    ['tmdb', getCircuitBreakerState()],
+    ['imdb', getImdbCircuitBreakerState()],
+  ] as const;
+  out.metric(
+    'circuit_breaker_open',
+    'gauge',
+    'Whether the upstream circuit breaker is open (1) or closed (0).',
+    breakers.map(([upstream, state]) => ({
+      labels: { upstream },
+      value: state.state === 'open' ? 1 : 0,
+    }))
+  );
+  out.metric(
+    'circuit_breaker_recent_failures',
+    'gauge',
+    'Failures inside the circuit breaker window.',
+    breakers.map(([upstream, state]) => ({ labels: { upstream }, value: state.recentFailures }))
+  );
+
+  const memory = process.memoryUsage();
+  out.metric('process_uptime_seconds', 'gauge', 'Seconds since the process started.', [
+    { value: Math.round(process.uptime()) },
+  ]);
+  out.metric('process_memory_bytes', 'gauge', 'Process memory usage.', [
+    { labels: { type: 'rss' }, value: memory.rss },
+    { labels: { type: 'heap_used' }, value: memory.heapUsed },
+    { labels: { type: 'heap_total' }, value: memory.heapTotal },
+  ]);
+  out.metric('build_info', 'gauge', 'Build information.', [{ labels: { version }, value: 1 }]);
+
+  return out.toString();
+}
+
+/**
+ * Check an `Authorization: Bearer <token>` header against the configured
+ * metrics token. Both sides are hashed so the comparison is constant-time
+ * regardless of length.
+ */
+export function isMetricsTokenValid(header: string | undefined, token: string): boolean {
+  if (!token || !header) return false;
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim());
+  if (!match) return false;
+  const digest = (value: string) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
@@ -0,0 +1,96 @@
+import { createLogger } from '../utils/logger.ts';
+import { config } from '../config.ts';
+import { getStorage } from '../services/storage/index.ts';
+import { getSnapshotCatalogs, isSnapshotDue } from '../services/snapshots/index.ts';
+import { SNAPSHOT_LIMITS } from '../constants.ts';
+import type { CatalogConfig, CatalogSnapshot } from '../types/index.ts';
+
+const log = createLogger('SnapshotScheduler');
+
+export type TakeCatalogSnapshot = (
+  userId: string,
+  catalog: CatalogConfig
+) => Promise<CatalogSnapshot | null>;
+
+let timer: ReturnType<typeof setInterval> | null = null;
+let running = false;
+
+/**
+ * Refresh every `newSinceSnapshot` catalog whose snapshot is older than the
+ * configured cadence. Catalogs are snapshotted one at a time so a large
+ * install base does not burst the upstream rate limits.
+ */
+export async function refreshDueSnapshots(
+  takeSnapshot: TakeCatalogSnapshot,
+  intervalMs: number = config.snapshots.intervalHours * 60 * 60 * 1000,
+  now: number = Date.now()
+): Promise<{ refreshed: number; failed: number; skipped: number }> {
+  const storage = getStorage();
+  const configs = (await storage.getAllConfigs?.()) || [];
+  let refreshed = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  for (const userConfig of configs) {
+    for (const catalog of getSnapshotCatalogs(userConfig)) {
+      try {
+        const existing = await storage.getCatalogSnapshot(userConfig.userId, catalog._id);
+        if (!isSnapshotDue(existing, catalog, intervalMs, now)) {
+          skipped++;
+          continue;
+        }
+        const snapshot = await takeSnapshot(userConfig.userId, catalog);
+        if (snapshot) refreshed++;
+        else skipped++;
+      } catch (err) {
+        failed++;
+        log.warn('Catalog snapshot refresh failed', {
+          userIdPrefix: userConfig.userId.slice(0, 8),
+          catalogId: catalog._id,
+          error: (err as Error).message,
+        });
+      }
+    }
+  }
+
+  return { refreshed, failed, skipped };
+}
+
+export function startSnapshotScheduler(takeSnapshot: TakeCatalogSnapshot): void {
+  if (timer) return;
+  const intervalHours = config.snapshots.intervalHours;
+  if (intervalHours <= 0) {
+    log.info('Catalog snapshot scheduler disabled');
+    return;
+  }
+
+  const tick = () => {
+    // A slow pass must not overlap the next one.
+    if (running) return;
+    running = true;
+    refreshDueSnapshots(takeSnapshot)
+      .then((result) => {
+        if (result.refreshed > 0 || result.failed > 0) {
+          log.info('Catalog snapshot pass finished', result);
+        }
+      })
+      .catch((err) => {
+        log.warn('Catalog snapshot pass failed (non-critical)', { error: err.message });
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  timer = setInterval(tick, SNAPSHOT_LIMITS.CHECK_INTERVAL_MS);
+  // Don't let the timer block process exit
+  timer.unref();
+  log.info(`Scheduled catalog snapshots every ${intervalHours}h`);
+}
+
+export function stopSnapshotScheduler(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
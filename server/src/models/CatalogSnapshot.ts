@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+const catalogSnapshotSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    catalogId: { type: String, required: true },
+    filtersHash: { type: String, required: true },
+    ids: { type: [String], default: [] },
+    takenAt: { type: Date, default: Date.now },
+  },
+  { strict: true }
+);
+
+// One snapshot per (user, catalog)
+catalogSnapshotSchema.index({ userId: 1, catalogId: 1 }, { unique: true });
+
+export const CatalogSnapshotModel = mongoose.model('CatalogSnapshot', catalogSnapshotSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+const configRevisionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    rev: { type: Number, required: true },
+    configName: { type: String, default: '' },
+    catalogs: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    savedAt: { type: Date, default: Date.now },
+  },
+  { strict: true }
+);
+
+// One document per (user, revision); listed newest first
+configRevisionSchema.index({ userId: 1, rev: -1 }, { unique: true });
+
+export const ConfigRevisionModel = mongoose.model('ConfigRevision', configRevisionSchema);
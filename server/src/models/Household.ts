@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+const householdSchema = new mongoose.Schema(
+  {
+    apiKeyId: { type: String, required: true },
+    catalogs: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { strict: true }
+);
+
+// One household per TMDB key
+householdSchema.index({ apiKeyId: 1 }, { unique: true });
+
+export const HouseholdModel = mongoose.model('Household', householdSchema);
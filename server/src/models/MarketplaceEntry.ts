@@ -33,6 +33,7 @@ const marketplaceEntrySchema = new mongoose.Schema(
     filterFacets: { type: [String], default: [] },
     filters: { type: mongoose.Schema.Types.Mixed, default: {} },
     formState: { type: mongoose.Schema.Types.Mixed },
+    members: { type: [mongoose.Schema.Types.Mixed], default: undefined },
     visibility: {
       type: String,
       enum: ['public', 'unlisted', 'private'],
@@ -85,3 +86,17 @@ const marketplaceLikeSchema = new mongoose.Schema({
 });
 marketplaceLikeSchema.index({ marketplaceId: 1, actorUserId: 1 }, { unique: true });
 export const MarketplaceLikeModel = mongoose.model('MarketplaceLike', marketplaceLikeSchema);
+
+const marketplaceReportSchema = new mongoose.Schema({
+  marketplaceId: { type: String, required: true },
+  actorUserId: { type: String, required: true },
+  reason: {
+    type: String,
+    enum: ['spam', 'offensive', 'misleading', 'broken', 'other'],
+    required: true,
+  },
+  details: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+});
+marketplaceReportSchema.index({ marketplaceId: 1, actorUserId: 1 }, { unique: true });
+export const MarketplaceReportModel = mongoose.model('MarketplaceReport', marketplaceReportSchema);
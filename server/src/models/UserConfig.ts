@@ -13,7 +13,17 @@ const catalogSchema = new mongoose.Schema(
     type: { type: String, enum: ['movie', 'series', 'anime', 'collection'], required: true },
     source: {
       type: String,
-      enum: ['tmdb', 'imdb', 'anilist', 'mal', 'simkl', 'trakt', 'kitsu'],
+      enum: [
+        'tmdb',
+        'imdb',
+        'anilist',
+        'mal',
+        'simkl',
+        'trakt',
+        'kitsu',
+        'composite',
+        'letterboxd',
+      ],
       default: 'tmdb',
     },
     filters: {
@@ -33,6 +43,8 @@ const catalogSchema = new mongoose.Schema(
       includeAdult: { type: Boolean, default: false },
       discoverOnly: { type: Boolean, default: false },
       randomize: { type: Boolean, default: false },
+      newSinceSnapshot: Boolean,
+      postFilters: { type: mongoose.Schema.Types.Mixed, default: undefined },
       imdbOnly: { type: Boolean, default: true },
       voteCountMin: { type: Number, default: 0 },
       runtimeMin: Number,
@@ -78,7 +90,10 @@ const catalogSchema = new mongoose.Schema(
       types: [String],
     },
     enabled: { type: Boolean, default: true },
+    schedule: { type: mongoose.Schema.Types.Mixed, default: undefined },
     formState: { type: mongoose.Schema.Types.Mixed },
+    householdCatalogId: { type: String, default: undefined },
+    filterTemplateId: { type: String, default: undefined },
   },
   {
     _id: false,
@@ -154,6 +169,21 @@ const userConfigSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // OAuth tokens of the user's linked Trakt account (encrypted JSON, server-only)
+  traktTokensEncrypted: {
+    type: String,
+    required: false,
+  },
+  // OAuth token of the user's linked Simkl account (encrypted JSON, server-only)
+  simklTokensEncrypted: {
+    type: String,
+    required: false,
+  },
+  // Salted hash of the PIN locking preferences.maxMaturity ('' when unlocked)
+  maturityPinHash: {
+    type: String,
+    required: false,
+  },
   // Array of custom catalogs
   catalogs: [catalogSchema],
   // Array of IMDB dataset catalogs
@@ -181,6 +211,20 @@ const userConfigSchema = new mongoose.Schema({
     disableKitsuSearch: { type: Boolean, default: true },
     disableSimklSearch: { type: Boolean, default: true },
     disableTraktSearch: { type: Boolean, default: true },
+    // Expose TMDB trailers as a Stremio `stream` resource
+    enableTrailerStreams: { type: Boolean, default: false },
+    // List a series' best-rated IMDb episodes as "Top Episodes" links in its meta
+    topEpisodes: { type: Boolean, default: false },
+    // Titles hidden from every catalog ({ id, type?, name? } entries)
+    excludedItems: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    // What catalogs do with titles from the imported watch history
+    watchedTitles: { type: String, enum: ['off', 'badge', 'hide'], default: undefined },
+    // Highest US rating any source may serve (see services/maturity)
+    maxMaturity: { type: String, enum: ['G', 'PG', 'PG-13', 'R'], default: undefined },
+    // Named filter sets catalogs apply or inherit ({ id, name, filters } entries)
+    filterTemplates: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    // Merged all-sources search row: replaces or joins the per-source rows
+    unifiedSearch: { type: String, enum: ['off', 'replace', 'alongside'], default: undefined },
   },
   // Timestamps
   createdAt: { type: Date, default: Date.now },
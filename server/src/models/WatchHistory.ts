@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+const watchHistorySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    source: { type: String, required: true },
+    titles: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    importedAt: { type: Date, default: Date.now },
+  },
+  { strict: true }
+);
+
+// One imported history per config
+watchHistorySchema.index({ userId: 1 }, { unique: true });
+
+export const WatchHistoryModel = mongoose.model('WatchHistory', watchHistorySchema);
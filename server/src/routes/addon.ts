@@ -1,7 +1,10 @@
 import { Router, type Request, type Response } from 'express';
-import { getUserConfig, getApiKeyFromConfig } from '../services/configService.ts';
+import { getApiKeyFromConfig } from '../services/configService.ts';
+import { getAddonUserConfig } from '../services/marketplace/links.ts';
 import type {
   UserConfig,
+  CatalogConfig,
+  CatalogSnapshot,
   ArtworkOptions,
   CatalogFilters,
   TmdbResult,
@@ -9,6 +12,7 @@ import type {
   ContentType,
   StremioMeta,
   StremioMetaPreview,
+  StremioStream,
 } from '../types/index.ts';
 import type { ImdbTitle } from '../services/imdb/types.ts';
 import * as tmdb from '../services/tmdb/index.ts';
@@ -47,10 +51,45 @@ import { sendError, ErrorCodes } from '../utils/AppError.ts';
 import { DISPLAY, normalizeBaseUrl, buildCatalogId } from '../constants.ts';
 import { CACHE_LIMITS, CACHE_TTLS, LOCAL_CACHE_TTLS, catalogServerTtl } from '../cacheTtls.ts';
 import { logSwallowedError } from '../utils/helpers.ts';
-import { getAllSources } from '../services/sources/registry.ts';
+import { getAllSources, getSource } from '../services/sources/registry.ts';
+import { getStorage } from '../services/storage/index.ts';
+import { recordAddonRequest, type AddonResource } from '../infrastructure/metrics.ts';
 import { getEntryByPrefixedId } from '../services/animeIdMap/index.ts';
 import { resolveRequestedMetaId } from '../utils/metaIdResolution.ts';
+import { buildExclusionMatcher, collectFilteredPage } from '../services/exclusions/index.ts';
+import { allowsTmdbDetails, normalizeMaturityLevel } from '../services/maturity/index.ts';
+import {
+  buildCatalogSnapshot,
+  collectSnapshotWindow,
+  diffAgainstSnapshot,
+  hashSnapshotQuery,
+} from '../services/snapshots/index.ts';
+import { createPostFilter, type PostFilter } from '../services/postFilters/index.ts';
+import {
+  buildWatchedLookup,
+  createWatchedPosterBadge,
+  getWatchHistory,
+  watchedBadge,
+  type WatchedLookup,
+} from '../services/watchHistory/index.ts';
+import {
+  buildCompositedPosterUrl,
+  compositeLayoutKey,
+  getCompositedPoster,
+  getPlainPoster,
+  normalizePosterCompositeLayout,
+  type CompositeLayout,
+} from '../services/posterComposite/index.ts';
+import {
+  POSTER_BADGE_PATH,
+  acceptsSvgPoster,
+  getBadgedPoster,
+  isAllowedPosterSource,
+  isValidPosterBadge,
+  verifyPosterBadgeSignature,
+} from '../services/posterBadge.ts';
 import { decrypt } from '../utils/encryption.ts';
+import { posterRateLimit } from '../utils/rateLimit.ts';
 import {
   createArtworkOptions,
   resolveContentType,
@@ -58,7 +97,13 @@ import {
   applyArtworkOverridesToMetaPreviews,
   requiresAsyncArtworkResolution,
 } from '../services/artworkService.ts';
-import { buildArtworkOptions, getPlaceholderUrls } from './handlers/sharedHelpers.ts';
+import {
+  buildArtworkOptions,
+  getPlaceholderUrls,
+  createCatalogResponseCapture,
+} from './handlers/sharedHelpers.ts';
+import { handleUnifiedSearchRequest } from './handlers/unifiedSearchHandler.ts';
+import { UNIFIED_SEARCH_CATALOG_PREFIX } from '../services/unifiedSearch/index.ts';
 
 const log = createLogger('addon');
 
@@ -121,6 +166,40 @@ router.param('type', (req, res, next, value) => {
   next();
 });
 
+const META_ID_SOURCES = new Set(['tmdb', 'imdb', 'mal', 'kitsu', 'anilist', 'anidb', 'trakt']);
+
+/**
+ * Source label for request metrics. Catalog ids carry their source prefix;
+ * meta ids are labelled by id scheme. Unknown values collapse into `other`
+ * so label cardinality stays bounded.
+ */
+function resolveMetricsSource(resource: AddonResource, id: string): string {
+  if (resource === 'catalog') {
+    const source = getAllSources().find((s) => id.startsWith(`${s.catalogIdPrefix}-`));
+    return source?.sourceId || 'other';
+  }
+  if (/^tt\d+/.test(id)) return 'imdb';
+  const scheme = id.split(':')[0];
+  return META_ID_SOURCES.has(scheme) ? scheme : 'other';
+}
+
+router.use('/:userId/:resource(catalog|meta)/:type/', (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const resource = req.params.resource as AddonResource;
+  // The remaining path is `/<id>.json` or `/<id>/<extra>.json`.
+  let id = (req.path.split('/')[1] || '').replace(/\.json$/, '');
+  try {
+    id = decodeURIComponent(id);
+  } catch {
+    // Malformed escapes still get counted, just under `other`.
+  }
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    recordAddonRequest(resource, resolveMetricsSource(resource, id), res.statusCode, durationMs);
+  });
+  next();
+});
+
 import {
   buildManifest,
   enrichManifestWithGenres,
@@ -142,7 +221,7 @@ function buildMetaCacheKey(payload: Record<string, unknown>): string {
 router.get('/:userId/manifest.json', async (req, res) => {
   try {
     const { userId } = req.params;
-    const config = await getUserConfig(userId);
+    const config = await getAddonUserConfig(userId);
     const baseUrl = getBaseUrl(req);
 
     const manifest = buildManifest(config, baseUrl);
@@ -344,13 +423,35 @@ async function handleCatalogRequest(
     return res.json({ metas: [] });
   }
 
+  if (catalogId.startsWith(UNIFIED_SEARCH_CATALOG_PREFIX)) {
+    return handleUnifiedSearchRequest({
+      userId,
+      type,
+      catalogId,
+      extra,
+      req,
+      res,
+      fetchCatalogPage: (sourceCatalogId, sourceExtra) =>
+        fetchCatalogPageMetas(userId, type, sourceCatalogId, sourceExtra, req),
+    });
+  }
+
   // Route to a registered source handler when the catalogId is prefixed
   // with a known source id. TMDB has no prefix and is the default
   // fallback below.
   for (const source of getAllSources()) {
     if (source.sourceId === 'tmdb') continue;
     if (source.handleCatalogRequest && catalogId.startsWith(`${source.catalogIdPrefix}-`)) {
-      return source.handleCatalogRequest({ userId, type, catalogId, extra, req, res });
+      return source.handleCatalogRequest({
+        userId,
+        type,
+        catalogId,
+        extra,
+        req,
+        res,
+        fetchCatalogPage: (memberCatalogId, memberExtra) =>
+          fetchCatalogPageMetas(userId, type, memberCatalogId, memberExtra, req),
+      });
     }
   }
 
@@ -363,7 +464,7 @@ async function handleCatalogRequest(
 
     log.debug('Catalog request', { catalogId, skip, page, extra });
 
-    const config = await getUserConfig(userId);
+    const config = await getAddonUserConfig(userId);
     if (!config) {
       log.debug('No config found', { userId });
       return res.json({ metas: [] });
@@ -376,6 +477,7 @@ async function handleCatalogRequest(
     }
 
     const artworkOptions = buildArtworkOptions(config, type, 'tmdb');
+    const maxMaturity = normalizeMaturityLevel(config.preferences?.maxMaturity);
 
     let catalogConfig = config.catalogs.find((c) => {
       const id = buildCatalogId('tmdb', c);
@@ -447,6 +549,7 @@ async function handleCatalogRequest(
 
     const computeCatalogMetas = async (): Promise<StremioMetaPreview[]> => {
       let result: { results?: unknown[] } | null = null;
+      let calendar: Map<number, tmdb.CalendarEpisode[]> | null = null;
 
       if (search) {
         if (/^tt\d{7,8}$/i.test(search.trim())) {
@@ -475,9 +578,16 @@ async function handleCatalogRequest(
         if (!result) {
           result = await tmdb.comprehensiveSearch(apiKey, search, type, page, {
             displayLanguage: config.preferences?.defaultLanguage,
-            includeAdult: config.preferences?.includeAdult,
+            includeAdult: maxMaturity ? false : config.preferences?.includeAdult,
           });
         }
+      } else if (listType === tmdb.EPISODE_CALENDAR_LIST_TYPE && type === 'series') {
+        const calendarPage = await tmdb.fetchEpisodeCalendar(apiKey, resolvedFilters || {}, {
+          page,
+          displayLanguage: config.preferences?.defaultLanguage,
+        });
+        calendar = new Map(calendarPage.results.map((entry) => [entry.id, entry.episodes]));
+        result = calendarPage;
       } else if (listType && listType !== 'discover') {
         result = (await tmdb.fetchSpecialList(apiKey, listType, type, {
           page,
@@ -486,6 +596,7 @@ async function handleCatalogRequest(
           region: resolvedFilters?.countries || catalogConfig.filters?.countries,
           collectionId: resolvedFilters?.collectionId || catalogConfig.filters?.collectionId,
           studioId: resolvedFilters?.studioId || catalogConfig.filters?.studioId,
+          customItems: catalogConfig.filters?.customItems,
           sortBy: resolvedFilters?.sortBy || catalogConfig.filters?.sortBy,
           randomize,
         })) as { results?: unknown[] } | null;
@@ -522,6 +633,22 @@ async function handleCatalogRequest(
 
       const tmdbIds = allItems.map((item) => item.id);
       const detailsMap = await tmdb.batchGetDetails(apiKey, tmdbIds, type, { displayLanguage });
+      if (maxMaturity) {
+        // Searches and special lists ignore certification filters.
+        for (const [id, details] of detailsMap) {
+          if (
+            !details ||
+            !allowsTmdbDetails(
+              details as TmdbDetails,
+              type === 'movie',
+              maxMaturity,
+              config.preferences?.region
+            )
+          ) {
+            detailsMap.delete(id);
+          }
+        }
+      }
 
       const detailsForRatings = Array.from(detailsMap.values()).map((d) => ({
         imdb_id: (d as TmdbDetails)?.external_ids?.imdb_id || undefined,
@@ -540,13 +667,20 @@ async function handleCatalogRequest(
           allItems.map(async (item) => {
             const details = detailsMap.get(item.id) as TmdbDetails | null;
             if (!details) return null;
-            return tmdb.toStremioMetaPreview(
+            const meta = await tmdb.toStremioMetaPreview(
               details,
               type,
               artworkOptions,
               displayLanguage || null,
               ratingsMap
             );
+            // Hand-picked lists lead the description with the curator's note.
+            const note = (item as { custom_note?: string }).custom_note;
+            if (meta && note) {
+              meta.description = meta.description ? `${note}\n\n${meta.description}` : note;
+            }
+            const episodes = calendar?.get(item.id);
+            return meta && episodes ? tmdb.applyEpisodeCalendar(meta, episodes) : meta;
           })
         )
       ).filter((m): m is StremioMetaPreview => m !== null);
@@ -613,6 +747,317 @@ async function handleCatalogRequest(
   }
 }
 
+/**
+ * Run the catalog handler once per raw page through a capture response, so
+ * post-processing layers can read pages by offset without touching `res`.
+ */
+function createRawPageReader(
+  userId: string,
+  type: ContentType,
+  catalogId: string,
+  extra: Record<string, string>,
+  req: Request,
+  postFilter: PostFilter | null = null
+) {
+  const captures: ReturnType<typeof createCatalogResponseCapture>[] = [];
+  const fetchRawPage = async (rawSkip: number): Promise<StremioMetaPreview[]> => {
+    const capture = createCatalogResponseCapture();
+    await handleCatalogRequest(
+      userId,
+      type,
+      catalogId,
+      { ...extra, skip: String(rawSkip) },
+      capture.res,
+      req
+    );
+    captures.push(capture);
+    const metas = capture.getMetas();
+    if (postFilter) await postFilter.prepare(metas);
+    return metas;
+  };
+  return { fetchRawPage, captures };
+}
+
+function sendPostProcessedPage(
+  res: Response,
+  captures: ReturnType<typeof createCatalogResponseCapture>[],
+  metas: StremioMetaPreview[],
+  etagExtra: string
+) {
+  // Keep the source's caching semantics (e.g. no-store for randomized rows).
+  const cacheControl = captures[0]?.getHeader('Cache-Control');
+  if (cacheControl) res.set('Cache-Control', cacheControl);
+  const body = captures[0]?.getBody() || {};
+
+  res.etagJson(
+    {
+      metas,
+      ...(body.cacheMaxAge !== undefined && { cacheMaxAge: body.cacheMaxAge }),
+      ...(body.staleRevalidate !== undefined && { staleRevalidate: body.staleRevalidate }),
+    },
+    { extra: etagExtra }
+  );
+}
+
+/**
+ * Layout of the `composited` poster provider for a content type, or null
+ * when that content type uses another poster provider.
+ */
+function getCompositeLayout(
+  config: UserConfig | null,
+  type: ContentType,
+  source?: string
+): CompositeLayout | null {
+  if (!config) return null;
+  const poster = buildArtworkOptions(config, type, source).poster;
+  return poster?.service === 'composited'
+    ? normalizePosterCompositeLayout(poster.compositeLayout)
+    : null;
+}
+
+/**
+ * Poster changes the catalog pipeline makes after the source handler: `hide`
+ * drops watched titles; `posterBadge` points posters at the composited
+ * poster route (with any watched badge drawn in) or, without the composited
+ * provider, badges watched posters alone. `tag` goes into ETags so rows
+ * refresh after a new import or a layout or mode change.
+ */
+interface PosterLayer {
+  hide: WatchedLookup | null;
+  posterBadge: ((meta: StremioMetaPreview, poster: string | null) => string | null) | null;
+  tag: string;
+}
+
+async function loadPosterLayer(
+  userId: string,
+  config: UserConfig | null,
+  type: ContentType,
+  source: string | undefined,
+  req: Request
+): Promise<PosterLayer | null> {
+  const layout = getCompositeLayout(config, type, source);
+  const mode = config?.preferences?.watchedTitles;
+  const history = mode === 'badge' || mode === 'hide' ? await getWatchHistory(userId) : null;
+  const watched = buildWatchedLookup(history?.titles, getEntryByPrefixedId);
+  if (!layout && !watched) return null;
+
+  const baseUrl = normalizeBaseUrl(config?.baseUrl || getBaseUrl(req));
+  const badgeWatched = mode === 'badge' ? watched : null;
+  let posterBadge: PosterLayer['posterBadge'] = null;
+  if (layout) {
+    const artType = resolveContentType(type, source);
+    const fallback = badgeWatched ? createWatchedPosterBadge(badgeWatched, baseUrl) : null;
+    posterBadge = (meta, poster) => {
+      const title = badgeWatched?.(meta);
+      const badge = title ? watchedBadge(title) : null;
+      return (
+        buildCompositedPosterUrl(baseUrl, userId, artType, meta, layout, badge) ??
+        fallback?.(meta, poster) ??
+        null
+      );
+    };
+  } else if (badgeWatched) {
+    posterBadge = createWatchedPosterBadge(badgeWatched, baseUrl);
+  }
+
+  return {
+    hide: mode === 'hide' ? watched : null,
+    posterBadge,
+    tag:
+      (history && watched ? `:watched:${mode}:${new Date(history.importedAt).getTime()}` : '') +
+      (layout ? `:poster:${compositeLayoutKey(layout)}` : ''),
+  };
+}
+
+async function decoratePosters(
+  metas: StremioMetaPreview[],
+  posterLayer: PosterLayer | null
+): Promise<StremioMetaPreview[]> {
+  if (!posterLayer?.posterBadge) return metas;
+  return applyArtworkOverridesToMetaPreviews(metas, null, {
+    posterBadge: posterLayer.posterBadge,
+  });
+}
+
+/**
+ * Entry point for catalog routes. Runs the source handler as-is unless the
+ * config has a blocklist or imported watch history, the catalog has
+ * post-filters, or it only lists titles new since its last snapshot; those
+ * are applied to the handler's output here, refilling rows from the pages
+ * that follow.
+ */
+async function handleFilteredCatalogRequest(
+  userId: string,
+  type: ContentType,
+  catalogId: string,
+  extra: Record<string, string>,
+  res: Response,
+  req: Request
+) {
+  let isExcluded: ReturnType<typeof buildExclusionMatcher> = null;
+  let posterLayer: PosterLayer | null = null;
+  let catalog: CatalogConfig | undefined;
+  try {
+    const config = await getAddonUserConfig(userId);
+    isExcluded = buildExclusionMatcher(config?.preferences?.excludedItems, getEntryByPrefixedId);
+    if (!extra.search) {
+      catalog = config?.catalogs?.find(
+        (c) => buildCatalogId(getSource(c.source).catalogIdPrefix, c) === catalogId
+      );
+    }
+    const source =
+      catalog?.source ??
+      getAllSources().find((s) => catalogId.startsWith(`${s.catalogIdPrefix}-`))?.sourceId;
+    posterLayer = await loadPosterLayer(userId, config, type, source, req);
+  } catch (err) {
+    logSwallowedError('addon:catalog-filters', err);
+  }
+
+  const postFilter = createPostFilter(catalog?.filters?.postFilters);
+  const hideWatched = posterLayer?.hide ?? null;
+  const rejects =
+    isExcluded || postFilter || hideWatched
+      ? (meta: StremioMetaPreview) =>
+          !!isExcluded?.(meta) || !!postFilter?.rejects(meta) || !!hideWatched?.(meta)
+      : null;
+
+  if (catalog?.filters?.newSinceSnapshot === true) {
+    return handleSnapshotDiffRequest(
+      userId,
+      type,
+      catalog,
+      catalogId,
+      extra,
+      postFilter,
+      rejects,
+      posterLayer,
+      res,
+      req
+    );
+  }
+
+  if (!rejects && !posterLayer) {
+    return handleCatalogRequest(userId, type, catalogId, extra, res, req);
+  }
+
+  const skip = Math.max(parseInt(extra.skip, 10) || 0, 0);
+  const { fetchRawPage, captures } = createRawPageReader(
+    userId,
+    type,
+    catalogId,
+    extra,
+    req,
+    postFilter
+  );
+  const metas = rejects
+    ? await collectFilteredPage(fetchRawPage, rejects, skip, TMDB_PAGE_SIZE)
+    : await fetchRawPage(skip);
+
+  sendPostProcessedPage(
+    res,
+    captures,
+    await decoratePosters(metas, posterLayer),
+    `${userId}:${catalogId}:${skip}${rejects ? ':filtered' : ''}${posterLayer?.tag ?? ''}`
+  );
+}
+
+/**
+ * Serve a `newSinceSnapshot` catalog: the snapshot window is read fresh and
+ * only titles missing from the stored snapshot are paged out. A catalog with
+ * no usable snapshot gets its baseline now, so it starts out empty.
+ */
+async function handleSnapshotDiffRequest(
+  userId: string,
+  type: ContentType,
+  catalog: CatalogConfig,
+  catalogId: string,
+  extra: Record<string, string>,
+  postFilter: PostFilter | null,
+  rejects: ((meta: StremioMetaPreview) => boolean) | null,
+  posterLayer: PosterLayer | null,
+  res: Response,
+  req: Request
+) {
+  const skip = Math.max(parseInt(extra.skip, 10) || 0, 0);
+  try {
+    const { fetchRawPage, captures } = createRawPageReader(
+      userId,
+      type,
+      catalogId,
+      extra,
+      req,
+      postFilter
+    );
+    const window = await collectSnapshotWindow(fetchRawPage);
+
+    const storage = getStorage();
+    let snapshot = await storage.getCatalogSnapshot(userId, catalog._id);
+    if (!snapshot || snapshot.filtersHash !== hashSnapshotQuery(catalog)) {
+      // An empty window is more likely an upstream failure than an empty
+      // catalog; recording it would make every title look new later.
+      if (window.length === 0) return res.json({ metas: [] });
+      snapshot = await storage.saveCatalogSnapshot(buildCatalogSnapshot(userId, catalog, window));
+    }
+
+    const fresh = diffAgainstSnapshot(window, snapshot).filter((m) => !rejects?.(m));
+    const takenAt = new Date(snapshot.takenAt).getTime();
+    sendPostProcessedPage(
+      res,
+      captures,
+      await decoratePosters(fresh.slice(skip, skip + TMDB_PAGE_SIZE), posterLayer),
+      `${userId}:${catalogId}:${skip}:new:${takenAt}${posterLayer?.tag ?? ''}`
+    );
+  } catch (error) {
+    log.warn('Snapshot diff failed', {
+      catalogId,
+      userIdPrefix: userId.slice(0, 8),
+      error: (error as Error).message,
+    });
+    res.json({ metas: [] });
+  }
+}
+
+// Snapshots refreshed by the scheduler have no incoming request to read a
+// base URL from; handlers fall back to the configured one.
+const BACKGROUND_REQUEST = {
+  get: () => undefined,
+  protocol: 'http',
+} as unknown as Request;
+
+/**
+ * Record the current leading window of a `newSinceSnapshot` catalog as its
+ * new baseline. Returns null, keeping the previous snapshot, when the
+ * catalog came back empty.
+ */
+export async function takeCatalogSnapshot(
+  userId: string,
+  catalog: CatalogConfig
+): Promise<CatalogSnapshot | null> {
+  const catalogId = buildCatalogId(getSource(catalog.source).catalogIdPrefix, catalog);
+  const { fetchRawPage } = createRawPageReader(
+    userId,
+    catalog.type,
+    catalogId,
+    {},
+    BACKGROUND_REQUEST
+  );
+  const window = await collectSnapshotWindow(fetchRawPage);
+  if (window.length === 0) return null;
+  return getStorage().saveCatalogSnapshot(buildCatalogSnapshot(userId, catalog, window));
+}
+
+async function fetchCatalogPageMetas(
+  userId: string,
+  type: ContentType,
+  catalogId: string,
+  extra: Record<string, string>,
+  req: Request
+): Promise<StremioMetaPreview[]> {
+  const capture = createCatalogResponseCapture();
+  await handleCatalogRequest(userId, type, catalogId, extra, capture.res, req);
+  return capture.getMetas();
+}
+
 async function handleMetaRequest(
   userId: string,
   type: ContentType,
@@ -626,13 +1071,14 @@ async function handleMetaRequest(
   const tmdbType: ContentType = type === 'anime' ? 'series' : type;
   const startTime = Date.now();
   try {
-    const config = await getUserConfig(userId);
+    const config = await getAddonUserConfig(userId);
     if (!config) return res.json({ meta: {} });
 
     const apiKey = getApiKeyFromConfig(config);
     if (!apiKey) return res.json({ meta: {} });
 
     const artworkOptions = buildArtworkOptions(config, type);
+    const maxMaturity = normalizeMaturityLevel(config.preferences?.maxMaturity);
 
     const requestedId = String(id || '');
     const configuredLanguage = pickPreferredMetaLanguage(config);
@@ -676,7 +1122,8 @@ async function handleMetaRequest(
       // Hybrid metadata: TMDB is primary for all types. Anime that have no TMDB
       // mapping fall back to AniList (rich anime metadata + real episode lists).
       const resolveAnilistFallbackMeta = async (): Promise<Partial<StremioMeta> | null> => {
-        if (stremioType !== 'anime') return null;
+        // AniList metas carry no rating to hold against a maturity limit.
+        if (stremioType !== 'anime' || maxMaturity) return null;
         if (!resolvedId.anilistId && !resolvedId.malId) return null;
         return anilist.getAnimeMeta({
           anilistId: resolvedId.anilistId,
@@ -698,6 +1145,12 @@ async function handleMetaRequest(
         language,
       })) as TmdbDetails | null;
       if (!details) return resolveAnilistFallbackMeta();
+      if (
+        maxMaturity &&
+        !allowsTmdbDetails(details, tmdbType === 'movie', maxMaturity, config.preferences?.region)
+      ) {
+        return null;
+      }
 
       const detailsImdb = details?.external_ids?.imdb_id || null;
       imdbId = imdbId || detailsImdb;
@@ -756,7 +1209,13 @@ async function handleMetaRequest(
         artworkOptions,
         episodesResult,
         language,
-        { manifestUrl, genreCatalogId, allLogos, userRegion }
+        {
+          manifestUrl,
+          genreCatalogId,
+          allLogos,
+          userRegion,
+          topEpisodes: config.preferences?.topEpisodes === true,
+        }
       );
 
       if (!requiresAsyncArtworkResolution(artworkOptions)) {
@@ -817,6 +1276,17 @@ async function handleMetaRequest(
     }
 
     const responseMeta: Partial<StremioMeta> | Record<string, never> = meta || {};
+    const compositeLayout = getCompositeLayout(config, type);
+    if (compositeLayout && responseMeta.id) {
+      responseMeta.poster =
+        buildCompositedPosterUrl(
+          resolvedBaseUrl,
+          userId,
+          resolveContentType(type),
+          responseMeta as StremioMetaPreview,
+          compositeLayout
+        ) ?? responseMeta.poster;
+    }
     const { posterPlaceholder, backdropPlaceholder } = getPlaceholderUrls(resolvedBaseUrl);
     if (!responseMeta.poster) responseMeta.poster = posterPlaceholder;
     if (responseMeta.videos) {
@@ -867,6 +1337,100 @@ async function handleMetaRequest(
   }
 }
 
+/**
+ * Trailer streams for the opt-in `stream` resource. Stremio asks for series
+ * streams per episode (`tt0944947:1:2`); trailers belong to the show, so the
+ * episode suffix is dropped before resolving the TMDB id.
+ */
+async function handleStreamRequest(userId: string, type: ContentType, id: string, res: Response) {
+  const startTime = Date.now();
+  try {
+    if (type !== 'movie' && type !== 'series') return res.json({ streams: [] });
+
+    const config = await getAddonUserConfig(userId);
+    if (config?.preferences?.enableTrailerStreams !== true) return res.json({ streams: [] });
+
+    const apiKey = getApiKeyFromConfig(config);
+    if (!apiKey) return res.json({ streams: [] });
+
+    const requestedId = String(id || '');
+    const baseId = requestedId.startsWith('tmdb:')
+      ? requestedId.split(':').slice(0, 2).join(':')
+      : requestedId.split(':')[0];
+    if (!baseId.startsWith('tmdb:') && !/^tt\d+$/i.test(baseId)) {
+      return res.json({ streams: [] });
+    }
+
+    const language = pickPreferredMetaLanguage(config);
+    const maxMaturity = normalizeMaturityLevel(config.preferences?.maxMaturity);
+    const region = config.preferences?.region;
+    // Streams are shared across configs, so the limit is part of the key.
+    const cacheKey =
+      `stream:trailers:${type}:${baseId}:${language}` +
+      (maxMaturity ? `:${maxMaturity}:${region || ''}` : '');
+
+    const computeStreams = async (): Promise<StremioStream[]> => {
+      const resolvedId = resolveRequestedMetaId(baseId, getEntryByPrefixedId);
+      let tmdbId = resolvedId.tmdbId;
+      if (!tmdbId && resolvedId.imdbId) {
+        const found = await tmdb.findByImdbId(apiKey, resolvedId.imdbId, type, { language });
+        tmdbId = found?.tmdbId || null;
+      }
+      if (!tmdbId) return [];
+
+      const details = (await tmdb.getDetails(apiKey, tmdbId, type, {
+        language,
+      })) as TmdbDetails | null;
+      if (!details) return [];
+      if (maxMaturity && !allowsTmdbDetails(details, type === 'movie', maxMaturity, region)) {
+        return [];
+      }
+      return tmdb.toTrailerStreams(details, language);
+    };
+
+    let streams: StremioStream[] = [];
+    try {
+      streams = (await getCache().wrap(cacheKey, computeStreams, CACHE_TTLS.META_HEADER, {
+        allowStale: true,
+      })) as StremioStream[];
+    } catch (error) {
+      if (!(error instanceof CachedError)) throw error;
+    }
+
+    log.debug('Stream response served', {
+      id: requestedId,
+      type,
+      count: streams.length,
+      durationMs: Date.now() - startTime,
+    });
+
+    res.set(
+      'Cache-Control',
+      `max-age=${CACHE_TTLS.META_HEADER}, stale-while-revalidate=${CACHE_TTLS.META_STALE_REVALIDATE}, stale-if-error=${CACHE_TTLS.CATALOG_STALE_IF_ERROR}`
+    );
+    res.etagJson(
+      {
+        streams,
+        cacheMaxAge: CACHE_TTLS.META_HEADER,
+        staleRevalidate: CACHE_TTLS.META_STALE_REVALIDATE,
+      },
+      { extra: `${userId}:${requestedId}` }
+    );
+  } catch (error) {
+    const errMsg = (error as Error).message;
+    if (shouldLogError(userId, errMsg)) {
+      log.error('Stream error', {
+        id,
+        type,
+        userIdPrefix: userId.slice(0, 8),
+        error: errMsg,
+        durationMs: Date.now() - startTime,
+      });
+    }
+    res.json({ streams: [] });
+  }
+}
+
 function parseAddonUrlExtra(originalUrl: string, splitId: string, fallback: string): string {
   try {
     const splitMarker = `/${splitId}/`;
@@ -885,6 +1449,73 @@ function parseAddonUrlExtra(originalUrl: string, splitId: string, fallback: stri
   return fallback;
 }
 
+/**
+ * Watched badge drawn over a catalog poster. The badge exists only as SVG:
+ * clients that do not accept `image/svg+xml` (the mobile and TV apps) are
+ * sent to the unbadged poster.
+ */
+router.get(POSTER_BADGE_PATH, posterRateLimit, async (req, res) => {
+  const { src, badge, sig } = req.query;
+  if (typeof src !== 'string' || !isAllowedPosterSource(src) || !isValidPosterBadge(badge)) {
+    return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Invalid poster badge request');
+  }
+  if (!verifyPosterBadgeSignature(src, badge, sig)) {
+    return sendError(res, 403, ErrorCodes.FORBIDDEN, 'Invalid poster badge signature');
+  }
+
+  res.setHeader('Vary', 'Accept');
+  if (!acceptsSvgPoster(req.headers.accept)) return res.redirect(302, src);
+  const svg = await getBadgedPoster(src, badge);
+  if (!svg) return res.redirect(302, src);
+  res.setHeader('Content-Type', 'image/svg+xml');
+  res.setHeader('Cache-Control', `public, max-age=${CACHE_TTLS.POSTER_BADGE}, immutable`);
+  res.send(svg);
+});
+
+/**
+ * Poster of the `composited` provider. Nothing is rasterized: ratings, the
+ * certification and the new-season ribbon are drawn in an SVG around the
+ * embedded TMDB poster, so only clients that accept `image/svg+xml` (the web
+ * and desktop apps) ever see them. The mobile and TV apps are redirected to
+ * the plain poster.
+ */
+router.get('/:userId/poster/:type/:id.svg', posterRateLimit, async (req, res) => {
+  const { userId, type, id } = req.params;
+  const { watched } = req.query;
+  if (watched !== undefined && !isValidPosterBadge(watched)) {
+    return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Invalid poster request');
+  }
+
+  const config = await getAddonUserConfig(userId).catch(() => null);
+  const apiKey = config ? getApiKeyFromConfig(config) : null;
+  const layout = getCompositeLayout(config, type as ContentType);
+  if (!config || !apiKey || !layout) {
+    return sendError(res, 404, ErrorCodes.NOT_FOUND, 'Composited posters are not enabled');
+  }
+
+  const request = {
+    apiKey,
+    media: req.query.media === 'movie' ? ('movie' as const) : ('series' as const),
+    id,
+    layout,
+    region: config.preferences?.region,
+    watched: watched ?? null,
+  };
+  const placeholder = () =>
+    getPlaceholderUrls(normalizeBaseUrl(config.baseUrl || getBaseUrl(req))).posterPlaceholder;
+
+  res.setHeader('Vary', 'Accept');
+  if (!acceptsSvgPoster(req.headers.accept)) {
+    return res.redirect(302, (await getPlainPoster(request)) || placeholder());
+  }
+
+  const { svg, poster } = await getCompositedPoster(request);
+  if (!svg) return res.redirect(302, poster || placeholder());
+  res.setHeader('Content-Type', 'image/svg+xml');
+  res.setHeader('Cache-Control', `public, max-age=${CACHE_TTLS.POSTER_COMPOSITE}`);
+  res.send(svg);
+});
+
 router.get('/:userId/meta/:type/:id/:extra.json', async (req, res) => {
   const { userId, type, id } = req.params;
   const original = req.originalUrl || req.url || '';
@@ -903,19 +1534,24 @@ router.get('/:userId/meta/:type/:id.json', async (req, res) => {
   await handleMetaRequest(userId, type as ContentType, id, extra, res, req);
 });
 
+router.get('/:userId/stream/:type/:id.json', async (req, res) => {
+  const { userId, type, id } = req.params;
+  await handleStreamRequest(userId, type as ContentType, id, res);
+});
+
 router.get('/:userId/catalog/:type/:catalogId/:extra.json', async (req, res) => {
   const { userId, type, catalogId } = req.params;
   const original = req.originalUrl || req.url || '';
   const rawExtra = parseAddonUrlExtra(original, catalogId, req.params.extra || '');
 
   const extraParams = parseExtra(rawExtra);
-  await handleCatalogRequest(userId, type as ContentType, catalogId, extraParams, res, req);
+  await handleFilteredCatalogRequest(userId, type as ContentType, catalogId, extraParams, res, req);
 });
 
 router.get('/:userId/catalog/:type/:catalogId.json', async (req, res) => {
   const { userId, type, catalogId } = req.params;
   const extra = buildCatalogExtraFromQuery(req.query as Record<string, unknown>);
-  await handleCatalogRequest(userId, type as ContentType, catalogId, extra, res, req);
+  await handleFilteredCatalogRequest(userId, type as ContentType, catalogId, extra, res, req);
 });
 
 export { router as addonRouter };
@@ -6,6 +6,7 @@ import type {
   ArtworkOptions,
   PosterOptions,
   PosterServiceType,
+  WatchHistory,
 } from '../types/index.ts';
 import type { StremioMetaPreview } from '../types/stremio.ts';
 import { readFileSync, existsSync } from 'fs';
@@ -16,31 +17,58 @@ import {
   saveUserConfig,
   getConfigsByApiKey,
   deleteUserConfig,
+  rollbackUserConfig,
   getApiKeyFromConfig,
   getPublicStats,
   getTraktKeyFromConfig,
 } from '../services/configService.ts';
 import * as tmdb from '../services/tmdb/index.ts';
 import * as imdb from '../services/imdb/index.ts';
+import { isImdbDatasetsEnabled, searchImdbPeople } from '../services/imdbDatasets/index.ts';
 import * as anilist from '../services/anilist/index.ts';
 import * as mal from '../services/mal/index.ts';
 import * as kitsu from '../services/kitsu/index.ts';
 import * as simkl from '../services/simkl/index.ts';
 import * as trakt from '../services/trakt/index.ts';
+import * as letterboxd from '../services/letterboxd/index.ts';
+import { getConfigRevisions } from '../services/configHistory/index.ts';
+import {
+  deleteWatchHistory,
+  getWatchHistory,
+  importWatchHistory,
+} from '../services/watchHistory/index.ts';
+import {
+  getHouseholdOverview,
+  resolveHouseholdCatalogs,
+  shareCatalog,
+  syncHouseholdEdits,
+  unshareCatalog,
+} from '../services/household/index.ts';
+import { changesLockedMaturity, lockMaturity, unlockMaturity } from '../services/maturity/lock.ts';
+import {
+  getAccessToken,
+  getLinkedAccounts,
+  isAccountProvider,
+  pollAccountLink,
+  startAccountLink,
+  unlinkAccount,
+} from '../services/accountLinks/index.ts';
 import { searchCities } from '../services/geo.ts';
+import { buildFiltersFromPrompt } from '../services/filterPrompt/index.ts';
 import {
   getBaseUrl,
   shuffleArray,
   setNoCacheHeaders,
   logSwallowedError,
 } from '../utils/helpers.ts';
-import { TIMEOUTS } from '../constants.ts';
+import { FILTER_PROMPT_LIMITS, TIMEOUTS } from '../constants.ts';
 import { CACHE_TTLS } from '../cacheTtls.ts';
 import { resolveDynamicDatePreset } from '../utils/dateHelpers.ts';
 import { createLogger } from '../utils/logger.ts';
-import { strictRateLimit } from '../utils/rateLimit.ts';
+import { pinRateLimit, strictRateLimit } from '../utils/rateLimit.ts';
 import {
   isValidUserId,
+  isValidCatalogId,
   isValidApiKeyFormat,
   sanitizeFilters,
   sanitizeImdbFilters,
@@ -135,6 +163,7 @@ router.get('/status', async (req, res) => {
       database: databaseType,
       cache: cacheType,
       imdbApi: imdb.isImdbApiEnabled(),
+      imdbDatasets: isImdbDatasetsEnabled(),
       stats: {
         users: stats.totalUsers || 0,
         catalogs: stats.totalCatalogs || 0,
@@ -435,7 +464,7 @@ router.get('/reference-data', requireAuth, resolveApiKey, async (req, res) => {
       }),
     ]);
 
-    const imdbEnabled = imdb.isImdbApiEnabled();
+    const imdbEnabled = imdb.isImdbDiscoverAvailable();
     const commonCertificateRatingsByCountry = buildCommonCertificateRatingsByCountry(
       movieCertifications,
       seriesCertifications
@@ -447,6 +476,8 @@ router.get('/reference-data', requireAuth, resolveApiKey, async (req, res) => {
 
       imdbData = {
         enabled: true,
+        // 'datasets': the offline index, which ignores filters the public datasets lack.
+        engine: imdb.isImdbApiEnabled() ? 'api' : 'datasets',
         genres: await imdb.getGenres(),
         keywords: imdb.getKeywords(),
         awards: [...imdb.IMDB_AWARDS],
@@ -648,6 +679,21 @@ router.get('/search/keyword', requireAuth, resolveApiKey, async (req, res) => {
   }
 });
 
+router.get('/search/title', requireAuth, resolveApiKey, async (req, res) => {
+  try {
+    const query = req.query.query as string | undefined;
+    if (!query) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Query required');
+    }
+    const type = req.query.type === 'series' ? 'series' : 'movie';
+    const language = sanitizeString(req.query.language as string | undefined, 20);
+    const results = await tmdb.searchTitle(getApiKey(req), query, type, language || undefined);
+    res.json(results);
+  } catch (error) {
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
 router.get('/search/collection', requireAuth, resolveApiKey, async (req, res) => {
   try {
     const query = req.query.query as string | undefined;
@@ -1381,7 +1427,7 @@ async function applyPreviewPosterProvider(
 
 router.post('/imdb/preview', requireAuth, async (req, res) => {
   try {
-    if (!imdb.isImdbApiEnabled()) {
+    if (!imdb.isImdbDiscoverAvailable()) {
       return sendError(res, 503, ErrorCodes.INTERNAL_ERROR, 'IMDb API not enabled');
     }
 
@@ -1532,7 +1578,7 @@ router.get('/imdb/list/:id/validate', requireAuth, async (req, res) => {
 
 router.get('/imdb/search/people', requireAuth, async (req, res) => {
   try {
-    if (!imdb.isImdbApiEnabled()) {
+    if (!imdb.isImdbDiscoverAvailable()) {
       return sendError(res, 503, ErrorCodes.INTERNAL_ERROR, 'IMDb API not enabled');
     }
 
@@ -1542,6 +1588,18 @@ router.get('/imdb/search/people', requireAuth, async (req, res) => {
     }
 
     const limit = validateLimit(req.query.limit as string, 50, 10);
+    if (!imdb.isImdbApiEnabled()) {
+      // Offline index: only directors are known, matched by name.
+      const directors = await searchImdbPeople(query, limit);
+      return res.json({
+        results: directors.map((person) => ({
+          id: person.id,
+          name: person.name,
+          profilePath: null,
+          knownFor: person.knownFor,
+        })),
+      });
+    }
     const result = await imdb.basicSearch(query, 'NAME', limit);
     const people = (result.results || [])
       .filter(
@@ -1785,7 +1843,8 @@ router.post('/anilist/preview', requireAuth, async (req, res) => {
     const previewPosterProvider = resolvePreviewPosterProvider(req);
     const safeFilters = filters || {};
     const hasStudioFilter = Array.isArray(safeFilters.studios) && safeFilters.studios.length > 0;
-    const randomize = Boolean(safeFilters.randomize || safeFilters.sortBy === 'random');
+    const airing = anilist.isAiringListType(safeFilters.anilistListType);
+    const randomize = !airing && Boolean(safeFilters.randomize || safeFilters.sortBy === 'random');
     const contentType = normalizePreviewContentType(type);
     let startPage = 1;
 
@@ -1797,7 +1856,22 @@ router.post('/anilist/preview', requireAuth, async (req, res) => {
     }
 
     let metasWithPreviewPoster: StremioMetaPreview[];
-    if (hasStudioFilter && !randomize) {
+    if (airing) {
+      const seen = new Set<number>();
+      metasWithPreviewPoster = await runPreviewBackfill({
+        fetchPage: async (p) => {
+          const r = await anilist.browseAiring(safeFilters, contentType, p, Date.now(), seen);
+          return {
+            metas: anilist.batchConvertToStremioMeta(r.media, contentType),
+            hasMore: r.hasNextPage,
+          };
+        },
+        startPage,
+        randomize: false,
+        previewPosterProvider,
+        req,
+      });
+    } else if (hasStudioFilter && !randomize) {
       const pageNumbers = Array.from({ length: PREVIEW_MAX_BACKFILL }, (_, i) => i + 1);
       const batched = await anilist.browseBatch(safeFilters, contentType, pageNumbers);
       const metas: StremioMetaPreview[] = [];
@@ -1983,9 +2057,23 @@ router.post('/simkl/preview', requireAuth, async (req, res) => {
     const contentType = normalizePreviewContentType(type);
     let startPage = 1;
 
+    const isPersonal = listType in simkl.SIMKL_PERSONAL_LIST_STATUSES;
+    const accessToken = isPersonal
+      ? await getAccessToken(await getPreviewLookupConfig(req), 'simkl')
+      : null;
+    if (isPersonal && !accessToken) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Link your Simkl account first');
+    }
+
     if (randomize) {
-      const probe = await simkl.discover(safeFilters, contentType, 1, simklApiKey || undefined);
-      if (listType === 'trending' || listType === 'airing') {
+      const probe = await simkl.discover(
+        safeFilters,
+        contentType,
+        1,
+        simklApiKey || undefined,
+        accessToken || undefined
+      );
+      if (listType === 'trending' || listType === 'airing' || isPersonal) {
         const previewMetas = shuffleArray(
           simkl.batchConvertToStremioMeta(probe.items, contentType)
         ).slice(0, PREVIEW_PAGE_SIZE);
@@ -2002,7 +2090,13 @@ router.post('/simkl/preview', requireAuth, async (req, res) => {
 
     const metasWithPreviewPoster = await runPreviewBackfill({
       fetchPage: async (p) => {
-        const r = await simkl.discover(safeFilters, contentType, p, simklApiKey || undefined);
+        const r = await simkl.discover(
+          safeFilters,
+          contentType,
+          p,
+          simklApiKey || undefined,
+          accessToken || undefined
+        );
         return {
           metas: simkl.batchConvertToStremioMeta(r.items, contentType),
           hasMore: r.hasMore && r.items.length > 0,
@@ -2101,8 +2195,21 @@ router.post('/trakt/preview', requireAuth, resolveApiKey, async (req, res) => {
         )
       : undefined;
 
+    // Personal lists preview the signed-in profile's linked account.
+    const accessToken = trakt.isTraktPersonalListType(previewListType)
+      ? await getAccessToken(lookupConfig, 'trakt')
+      : null;
+    if (trakt.isTraktPersonalListType(previewListType) && !accessToken) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Link your Trakt account first');
+    }
+
     const discoverOptions: import('../services/trakt/discover.ts').DiscoverOptions | undefined =
-      discoverProfileHook ? { onProfile: discoverProfileHook } : undefined;
+      discoverProfileHook || accessToken
+        ? {
+            ...(discoverProfileHook ? { onProfile: discoverProfileHook } : {}),
+            ...(accessToken ? { accessToken } : {}),
+          }
+        : undefined;
 
     if (randomize) {
       const randomProbeTimer = profiler.start('preview.random_probe.discover');
@@ -2241,6 +2348,77 @@ router.get('/trakt/networks', requireAuth, resolveApiKey, async (req, res) => {
   }
 });
 
+// ─── Letterboxd ───
+
+router.post('/letterboxd/import', requireAuth, resolveApiKey, strictRateLimit, async (req, res) => {
+  try {
+    const { csv } = req.body || {};
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'CSV export required');
+    }
+
+    const parsed = letterboxd.parseLetterboxdCsv(csv);
+    if (parsed.entries.length === 0) {
+      return sendError(
+        res,
+        400,
+        ErrorCodes.VALIDATION_ERROR,
+        'No films found. Upload a Letterboxd list, watchlist or watched export.'
+      );
+    }
+
+    const jobId = await letterboxd.startLetterboxdImportJob(
+      getApiKey(req),
+      req.apiKeyId as string,
+      parsed
+    );
+    res.status(202).json({ jobId, total: parsed.entries.length });
+  } catch (error) {
+    log.error('POST /letterboxd/import error', { error: (error as Error).message });
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
+router.get('/letterboxd/import/:jobId', requireAuth, async (req, res) => {
+  try {
+    const job = await letterboxd.getLetterboxdImportJob(req.apiKeyId as string, req.params.jobId);
+    if (!job) return sendError(res, 404, ErrorCodes.NOT_FOUND, 'Import not found or expired');
+    res.json(job);
+  } catch (error) {
+    log.error('GET /letterboxd/import/:jobId error', { error: (error as Error).message });
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
+router.post('/letterboxd/preview', requireAuth, resolveApiKey, async (req, res) => {
+  try {
+    const { filters } = req.body;
+    const safeFilters = filters || {};
+    const previewPosterProvider = resolvePreviewPosterProvider(req);
+    const items = letterboxd.normalizeLetterboxdItems(safeFilters.letterboxdItems);
+    const pageItems = (safeFilters.randomize ? shuffleArray(items) : items).slice(
+      0,
+      PREVIEW_PAGE_SIZE
+    );
+
+    const metas = await letterboxd.buildLetterboxdMetas(
+      getApiKey(req),
+      pageItems,
+      null,
+      typeof safeFilters.displayLanguage === 'string' ? safeFilters.displayLanguage : null
+    );
+    const metasWithPreviewPoster = await applyPreviewPosterProvider(
+      metas,
+      previewPosterProvider,
+      req
+    );
+    res.json({ metas: metasWithPreviewPoster, totalResults: items.length });
+  } catch (error) {
+    log.error('POST /letterboxd/preview error', { error: (error as Error).message });
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
 router.get('/geo/cities', requireAuth, async (req, res) => {
   try {
     const query = String(req.query.query || '');
@@ -2262,6 +2440,23 @@ router.get('/geo/cities', requireAuth, async (req, res) => {
   }
 });
 
+router.post('/filters/parse', requireAuth, resolveApiKey, async (req, res) => {
+  try {
+    const { text, type } = req.body || {};
+    if (!type || !isValidContentType(type)) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Invalid content type');
+    }
+    const prompt = sanitizeString(text, FILTER_PROMPT_LIMITS.MAX_LENGTH).trim();
+    if (!prompt) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Text required');
+    }
+    res.json(await buildFiltersFromPrompt(getApiKey(req), prompt, type));
+  } catch (error) {
+    log.error('POST /filters/parse error', { error: (error as Error).message });
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
 router.post('/preview', requireAuth, resolveApiKey, async (req, res) => {
   try {
     const { type, filters: rawFilters, page: rawPage = 1 } = req.body;
@@ -2284,11 +2479,20 @@ router.post('/preview', requireAuth, resolveApiKey, async (req, res) => {
       page?: number;
     };
     let results: PreviewResult | null = null;
+    let calendar: Map<number, tmdb.CalendarEpisode[]> | null = null;
 
     const listType = resolvedFilters?.listType;
     const randomize = Boolean(resolvedFilters?.randomize || resolvedFilters?.sortBy === 'random');
 
-    if (listType && listType !== 'discover') {
+    if (listType === tmdb.EPISODE_CALENDAR_LIST_TYPE && type === 'series') {
+      const calendarPage = await tmdb.fetchEpisodeCalendar(
+        apiKey,
+        { ...resolvedFilters, customItems: tmdb.normalizeCustomListItems(rawFilters?.customItems) },
+        { page, displayLanguage: resolvedFilters?.displayLanguage }
+      );
+      calendar = new Map(calendarPage.results.map((entry) => [entry.id, entry.episodes]));
+      results = calendarPage;
+    } else if (listType && listType !== 'discover') {
       results = (await tmdb.fetchSpecialList(apiKey, listType, type, {
         page,
         displayLanguage: resolvedFilters?.displayLanguage,
@@ -2296,6 +2500,10 @@ router.post('/preview', requireAuth, resolveApiKey, async (req, res) => {
         region: resolvedFilters?.countries,
         collectionId: resolvedFilters?.collectionId,
         studioId: resolvedFilters?.studioId,
+        customItems:
+          listType === 'custom'
+            ? tmdb.normalizeCustomListItems(rawFilters?.customItems)
+            : undefined,
         sortBy: resolvedFilters?.sortBy,
         randomize,
       })) as PreviewResult;
@@ -2311,9 +2519,13 @@ router.post('/preview', requireAuth, resolveApiKey, async (req, res) => {
     const allResults = (results?.results || []) as import('../types/index.ts').TmdbResult[];
     const previewResults = allResults.slice(0, 20);
     const displayLanguage = resolvedFilters?.displayLanguage;
-    const isCompanyFilmographyIdsOnly = Boolean(
-      (results as { __companyFilmographyIdsOnly?: boolean } | null)?.__companyFilmographyIdsOnly
-    );
+    // Custom lists and company filmographies return bare ids that need full details.
+    const isIdsOnly =
+      listType === 'custom' ||
+      calendar !== null ||
+      Boolean(
+        (results as { __companyFilmographyIdsOnly?: boolean } | null)?.__companyFilmographyIdsOnly
+      );
 
     const previewCustomUrlPattern =
       previewPosterProvider === 'customUrl' ? await resolvePreviewCustomUrlPattern(req) : null;
@@ -2324,7 +2536,7 @@ router.post('/preview', requireAuth, resolveApiKey, async (req, res) => {
       (previewPosterProvider === 'customUrl' &&
         customUrlPatternRequiresImdbId(previewCustomUrlPattern));
 
-    const shouldEnrichWithImdbIds = !isCompanyFilmographyIdsOnly && previewProviderNeedsImdbIds;
+    const shouldEnrichWithImdbIds = !isIdsOnly && previewProviderNeedsImdbIds;
 
     if (shouldEnrichWithImdbIds) {
       try {
@@ -2336,20 +2548,22 @@ router.post('/preview', requireAuth, resolveApiKey, async (req, res) => {
 
     let filteredMetas;
 
-    if (isCompanyFilmographyIdsOnly) {
+    if (isIdsOnly) {
       const tmdbIds = previewResults.map((item) => item.id);
       const detailsMap = await tmdb.batchGetDetails(apiKey, tmdbIds, type, { displayLanguage });
       filteredMetas = (
         await Promise.all(
-          tmdbIds.map((tmdbId) =>
-            tmdb.toStremioMetaPreview(
+          tmdbIds.map(async (tmdbId) => {
+            const meta = await tmdb.toStremioMetaPreview(
               detailsMap.get(tmdbId) as import('../types/index.ts').TmdbDetails | null,
               type,
               null,
               displayLanguage || null,
               null
-            )
-          )
+            );
+            const episodes = calendar?.get(tmdbId);
+            return meta && episodes ? tmdb.applyEpisodeCalendar(meta, episodes) : meta;
+          })
         )
       ).filter(Boolean);
     } else {
@@ -2389,7 +2603,7 @@ router.post('/preview', requireAuth, resolveApiKey, async (req, res) => {
     log.debug('Preview results', {
       fetchedCount: allResults.length,
       filteredCount: metasWithPreviewPoster.length,
-      companyFilmographyIdsOnly: isCompanyFilmographyIdsOnly,
+      idsOnly: isIdsOnly,
     });
 
     res.json({
@@ -2489,7 +2703,7 @@ router.get('/config/:userId', requireAuth, requireConfigOwnership, async (req, r
   try {
     setNoCacheHeaders(res);
 
-    const userConfig = req.config!;
+    const userConfig = await resolveHouseholdCatalogs(req.config!);
 
     const response = {
       userId: userConfig.userId,
@@ -2541,6 +2755,15 @@ router.put(
         );
       }
 
+      if (changesLockedMaturity(req.config!, preferences)) {
+        return sendError(
+          res,
+          403,
+          ErrorCodes.FORBIDDEN,
+          'The maturity limit is locked; unlock it with the PIN first'
+        );
+      }
+
       const apiKey = getApiKey(req);
 
       log.info('Update config request', { userId, catalogCount: catalogs?.length || 0 });
@@ -2559,6 +2782,12 @@ router.put(
         logSwallowedError('api:config-cache-invalidate', err);
       }
 
+      try {
+        await syncHouseholdEdits(savedConfig, req.config?.catalogs);
+      } catch (err) {
+        logSwallowedError('api:household-sync', err);
+      }
+
       const baseUrl = getBaseUrl(req);
       const host = baseUrl.replace(/^https?:\/\//, '');
       const manifestUrl = `${baseUrl}/${userId}/manifest.json`;
@@ -2619,4 +2848,308 @@ router.delete(
   }
 );
 
+router.get('/config/:userId/history', requireAuth, requireConfigOwnership, async (req, res) => {
+  try {
+    setNoCacheHeaders(res);
+    const userId = req.params.userId as string;
+    const revisions = await getConfigRevisions(userId);
+
+    res.json({
+      limit: config.configHistory.maxRevisions,
+      revisions: revisions.map((revision) => ({
+        rev: revision.rev,
+        savedAt: revision.savedAt,
+        configName: revision.configName,
+        catalogs: revision.catalogs,
+      })),
+    });
+  } catch (error) {
+    log.error('GET /config/:userId/history error', { error: (error as Error).message });
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
+router.post(
+  '/config/:userId/rollback/:rev',
+  requireAuth,
+  requireConfigOwnership,
+  strictRateLimit,
+  async (req, res) => {
+    try {
+      const userId = req.params.userId as string;
+      const rev = Number(req.params.rev);
+      if (!Number.isInteger(rev) || rev < 1) {
+        return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'rev must be a positive integer');
+      }
+
+      log.info('Rollback config request', { userId, rev });
+      const savedConfig = await rollbackUserConfig(userId, rev, getApiKey(req));
+
+      res.json({
+        userId,
+        configName: savedConfig.configName || '',
+        catalogs: savedConfig.catalogs || [],
+        preferences: savedConfig.preferences || {},
+      });
+    } catch (error) {
+      log.error('POST /config/:userId/rollback error', { error: (error as Error).message });
+      if ((error as Error).message.includes('Revision not found')) {
+        return sendError(res, 404, ErrorCodes.NOT_FOUND, 'Revision not found');
+      }
+      sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+    }
+  }
+);
+
+function summarizeWatchHistory(history: WatchHistory | null) {
+  if (!history) return { history: null };
+  return {
+    history: {
+      source: history.source,
+      titles: history.titles.length,
+      rated: history.titles.filter((title) => title.rating).length,
+      importedAt: history.importedAt,
+    },
+  };
+}
+
+router.get(
+  '/config/:userId/watch-history',
+  requireAuth,
+  requireConfigOwnership,
+  async (req, res) => {
+    try {
+      setNoCacheHeaders(res);
+      const history = await getWatchHistory(req.params.userId as string);
+      res.json(summarizeWatchHistory(history));
+    } catch (error) {
+      log.error('GET /config/:userId/watch-history error', { error: (error as Error).message });
+      sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+    }
+  }
+);
+
+router.put(
+  '/config/:userId/watch-history',
+  requireAuth,
+  requireConfigOwnership,
+  strictRateLimit,
+  async (req, res) => {
+    try {
+      const { data } = req.body || {};
+      if (typeof data !== 'string' || !data.trim()) {
+        return sendError(
+          res,
+          400,
+          ErrorCodes.VALIDATION_ERROR,
+          'data must be the export file text'
+        );
+      }
+      const history = await importWatchHistory(req.params.userId as string, data);
+      res.json(summarizeWatchHistory(history));
+    } catch (error) {
+      log.error('PUT /config/:userId/watch-history error', { error: (error as Error).message });
+      if (error instanceof AppError) {
+        return sendError(res, error.statusCode, error.code, error.message);
+      }
+      sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+    }
+  }
+);
+
+router.delete(
+  '/config/:userId/watch-history',
+  requireAuth,
+  requireConfigOwnership,
+  strictRateLimit,
+  async (req, res) => {
+    try {
+      const deleted = await deleteWatchHistory(req.params.userId as string);
+      res.json({ success: true, deleted });
+    } catch (error) {
+      log.error('DELETE /config/:userId/watch-history error', {
+        error: (error as Error).message,
+      });
+      sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+    }
+  }
+);
+
+router.get(
+  '/config/:userId/maturity-lock',
+  requireAuth,
+  requireConfigOwnership,
+  async (req, res) => {
+    setNoCacheHeaders(res);
+    res.json({
+      locked: Boolean(req.config!.maturityPinHash),
+      maxMaturity: req.config!.preferences?.maxMaturity ?? null,
+    });
+  }
+);
+
+router.post(
+  '/config/:userId/maturity-lock',
+  requireAuth,
+  requireConfigOwnership,
+  pinRateLimit,
+  async (req, res) => {
+    try {
+      await lockMaturity(req.config!, req.body?.pin);
+      res.json({ locked: true, maxMaturity: req.config!.preferences?.maxMaturity ?? null });
+    } catch (error) {
+      log.error('POST /config/:userId/maturity-lock error', { error: (error as Error).message });
+      if (error instanceof AppError) {
+        return sendError(res, error.statusCode, error.code, error.message);
+      }
+      sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+    }
+  }
+);
+
+router.delete(
+  '/config/:userId/maturity-lock',
+  requireAuth,
+  requireConfigOwnership,
+  pinRateLimit,
+  async (req, res) => {
+    try {
+      await unlockMaturity(req.config!, req.body?.pin);
+      res.json({ locked: false, maxMaturity: req.config!.preferences?.maxMaturity ?? null });
+    } catch (error) {
+      log.error('DELETE /config/:userId/maturity-lock error', {
+        error: (error as Error).message,
+      });
+      if (error instanceof AppError) {
+        return sendError(res, error.statusCode, error.code, error.message);
+      }
+      sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+    }
+  }
+);
+
+router.get('/config/:userId/accounts', requireAuth, requireConfigOwnership, async (req, res) => {
+  setNoCacheHeaders(res);
+  res.json({ accounts: getLinkedAccounts(req.config!) });
+});
+
+router.post(
+  '/config/:userId/accounts/:provider/device',
+  requireAuth,
+  requireConfigOwnership,
+  strictRateLimit,
+  async (req, res) => {
+    try {
+      const { provider } = req.params;
+      if (!isAccountProvider(provider)) {
+        return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Unknown account provider');
+      }
+      setNoCacheHeaders(res);
+      res.json(await startAccountLink(req.config!, provider));
+    } catch (error) {
+      log.error('POST /config/:userId/accounts/:provider/device error', {
+        error: (error as Error).message,
+      });
+      if (error instanceof AppError) {
+        return sendError(res, error.statusCode, error.code, error.message);
+      }
+      sendError(res, 502, ErrorCodes.INTERNAL_ERROR, 'Could not start account linking');
+    }
+  }
+);
+
+router.post(
+  '/config/:userId/accounts/:provider/poll',
+  requireAuth,
+  requireConfigOwnership,
+  strictRateLimit,
+  async (req, res) => {
+    try {
+      const { provider } = req.params;
+      if (!isAccountProvider(provider)) {
+        return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Unknown account provider');
+      }
+      setNoCacheHeaders(res);
+      res.json(await pollAccountLink(req.config!, provider));
+    } catch (error) {
+      log.error('POST /config/:userId/accounts/:provider/poll error', {
+        error: (error as Error).message,
+      });
+      if (error instanceof AppError) {
+        return sendError(res, error.statusCode, error.code, error.message);
+      }
+      sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+    }
+  }
+);
+
+router.delete(
+  '/config/:userId/accounts/:provider',
+  requireAuth,
+  requireConfigOwnership,
+  async (req, res) => {
+    try {
+      const { provider } = req.params;
+      if (!isAccountProvider(provider)) {
+        return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Unknown account provider');
+      }
+      await unlinkAccount(req.config!, provider);
+      res.json({ success: true });
+    } catch (error) {
+      log.error('DELETE /config/:userId/accounts/:provider error', {
+        error: (error as Error).message,
+      });
+      sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+    }
+  }
+);
+
+router.get('/household', requireAuth, async (req, res) => {
+  try {
+    setNoCacheHeaders(res);
+    res.json(await getHouseholdOverview(req.apiKeyId as string));
+  } catch (error) {
+    log.error('GET /household error', { error: (error as Error).message });
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
+router.post('/household/catalogs', requireAuth, strictRateLimit, async (req, res) => {
+  try {
+    const { userId, catalogId } = req.body || {};
+    if (!isValidUserId(userId)) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Invalid user ID format');
+    }
+    if (!isValidCatalogId(catalogId)) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Invalid catalog ID format');
+    }
+    res.json(await shareCatalog(req.apiKeyId as string, userId, catalogId));
+  } catch (error) {
+    log.error('POST /household/catalogs error', { error: (error as Error).message });
+    if (error instanceof AppError) {
+      return sendError(res, error.statusCode, error.code, error.message);
+    }
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
+router.delete('/household/catalogs/:catalogId', requireAuth, strictRateLimit, async (req, res) => {
+  try {
+    const catalogId = req.params.catalogId as string;
+    if (!isValidCatalogId(catalogId)) {
+      return sendError(res, 400, ErrorCodes.VALIDATION_ERROR, 'Invalid catalog ID format');
+    }
+    await unshareCatalog(req.apiKeyId as string, catalogId);
+    res.json({ success: true });
+  } catch (error) {
+    log.error('DELETE /household/catalogs/:catalogId error', {
+      error: (error as Error).message,
+    });
+    if (error instanceof AppError) {
+      return sendError(res, error.statusCode, error.code, error.message);
+    }
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, safeErrorMessage(error as Error));
+  }
+});
+
 export { router as apiRouter };
@@ -2,7 +2,7 @@ import type { Request, Response } from 'express';
 import type { ContentType } from '../../types/common.ts';
 import type { StremioMetaPreview, CatalogConfig, ArtworkOptions } from '../../types/index.ts';
 import type { AnilistCatalogFilters } from '../../types/config.ts';
-import { getUserConfig } from '../../services/configService.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
 import { getCache } from '../../services/cache/index.ts';
 import * as anilist from '../../services/anilist/index.ts';
 import { createLogger } from '../../utils/logger.ts';
@@ -15,10 +15,13 @@ import {
   applyArtworkOverridesToMetaPreviews,
 } from '../../services/artworkService.ts';
 import { decrypt } from '../../utils/encryption.ts';
+import { normalizeMaturityLevel } from '../../services/maturity/index.ts';
 
 const log = createLogger('addon:anilist');
 const PAGE_SIZE = 20;
 const MAX_BACKFILL_PAGES = 5;
+// A 7-day airing window runs to a few hundred schedule slots (50 per page).
+const MAX_AIRING_PAGES = 15;
 
 /**
  * Fetches enough upstream pages to fill PAGE_SIZE mapped metas.
@@ -51,6 +54,33 @@ async function fetchWithBackfill(
   return metas.slice(0, PAGE_SIZE);
 }
 
+/**
+ * Airing lists page by title, not by schedule slot: a show can fill several
+ * slots in the window, so a Stremio page can't map onto an upstream page.
+ * Reads the window from its start with one `seen` set until `end` titles are
+ * in, and returns titles `start`..`end` with the earliest `refreshAt` read.
+ */
+async function fetchAiringTitles(
+  filters: AnilistCatalogFilters,
+  type: ContentType,
+  start: number,
+  end: number,
+  artworkOptions: ArtworkOptions | null
+): Promise<{ metas: StremioMetaPreview[]; refreshAt: number | undefined }> {
+  const seen = new Set<number>();
+  const metas: StremioMetaPreview[] = [];
+  let refreshAt: number | undefined;
+
+  for (let page = 1; metas.length < end && page <= MAX_AIRING_PAGES; page++) {
+    const result = await anilist.browseAiring(filters, type, page, Date.now(), seen);
+    refreshAt = Math.min(refreshAt ?? Infinity, result.refreshAt);
+    metas.push(...anilist.batchConvertToStremioMeta(result.media, type, artworkOptions));
+    if (!result.hasNextPage) break;
+  }
+
+  return { metas: metas.slice(start, end), refreshAt };
+}
+
 export async function handleAnilistCatalogRequest(
   userId: string,
   type: ContentType,
@@ -65,7 +95,7 @@ export async function handleAnilistCatalogRequest(
     const searchQuery = extra.search || null;
     const page = Math.floor(skip / PAGE_SIZE) + 1;
 
-    const userConfig = await getUserConfig(userId);
+    const userConfig = await getAddonUserConfig(userId);
     if (!userConfig) {
       res.json({ metas: [] });
       return;
@@ -82,6 +112,8 @@ export async function handleAnilistCatalogRequest(
       },
       'anime'
     );
+    // AniList publishes no age ratings, so a maturity limit only drops adult titles.
+    const maxMaturity = normalizeMaturityLevel(userConfig.preferences?.maxMaturity);
 
     // Search catalog
     if (
@@ -94,7 +126,11 @@ export async function handleAnilistCatalogRequest(
         return;
       }
       const metas = await fetchWithBackfill(
-        (p) => anilist.search(searchQuery, type, p),
+        async (p) => {
+          const result = await anilist.search(searchQuery, type, p);
+          if (!maxMaturity) return result;
+          return { ...result, media: result.media.filter((m) => !m.isAdult) };
+        },
         type,
         page,
         artworkOptions
@@ -142,20 +178,30 @@ export async function handleAnilistCatalogRequest(
       }
     }
 
-    const randomize = Boolean(effectiveFilters.randomize || effectiveFilters.sortBy === 'random');
+    const airing = anilist.isAiringListType(effectiveFilters.anilistListType);
+    const randomize =
+      !airing && Boolean(effectiveFilters.randomize || effectiveFilters.sortBy === 'random');
     const cache = getCache();
-    const cacheKey = `anilist:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}`;
+    const cacheKey = `anilist:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}:${maxMaturity || ''}`;
 
     if (!randomize) {
-      const cached = await cache.get(cacheKey);
+      const cached = (await cache.get(cacheKey)) as {
+        metas: StremioMetaPreview[];
+        refreshAt?: number;
+      } | null;
       if (cached) {
+        // Airing pages expire with their schedule; everything else uses the catalog default.
+        const maxAge =
+          cached.refreshAt != null
+            ? anilist.airingCacheTtl(cached.refreshAt)
+            : CACHE_TTLS.CATALOG_HEADER;
         res.set(
           'Cache-Control',
-          `max-age=${CACHE_TTLS.CATALOG_HEADER}, stale-while-revalidate=${CACHE_TTLS.CATALOG_STALE_REVALIDATE}, stale-if-error=${CACHE_TTLS.CATALOG_STALE_IF_ERROR}`
+          `max-age=${maxAge}, stale-while-revalidate=${CACHE_TTLS.CATALOG_STALE_REVALIDATE}, stale-if-error=${CACHE_TTLS.CATALOG_STALE_IF_ERROR}`
         );
         res.json({
-          ...cached,
-          cacheMaxAge: CACHE_TTLS.CATALOG_HEADER,
+          metas: cached.metas,
+          cacheMaxAge: maxAge,
           staleRevalidate: CACHE_TTLS.CATALOG_STALE_REVALIDATE,
         });
         return;
@@ -163,8 +209,17 @@ export async function handleAnilistCatalogRequest(
     }
 
     let metas: StremioMetaPreview[];
+    let refreshAt: number | undefined;
     const browseFilters = effectiveFilters as unknown as AnilistCatalogFilters;
-    if (randomize) {
+    if (airing) {
+      ({ metas, refreshAt } = await fetchAiringTitles(
+        browseFilters,
+        type,
+        (page - 1) * PAGE_SIZE,
+        page * PAGE_SIZE,
+        artworkOptions
+      ));
+    } else if (randomize) {
       // AniList API fields (total, lastPage) are unreliable per official docs
       // Disable randomization for AniList to avoid performance issues
       log.debug('AniList randomization disabled - using page 1 instead', { type, catalogId });
@@ -186,8 +241,12 @@ export async function handleAnilistCatalogRequest(
     metas = await applyArtworkOverridesToMetaPreviews(metas, artworkOptions);
 
     const response = { metas };
+    const maxAge =
+      refreshAt != null ? anilist.airingCacheTtl(refreshAt) : CACHE_TTLS.CATALOG_HEADER;
 
-    if (!randomize) {
+    if (refreshAt != null) {
+      cache.set(cacheKey, { metas, refreshAt }, maxAge).catch(() => {});
+    } else if (!randomize) {
       const ttl = catalogServerTtl(
         effectiveFilters.sortBy === 'TRENDING_DESC' ? 'trending' : 'discover'
       );
@@ -201,7 +260,7 @@ export async function handleAnilistCatalogRequest(
     } else {
       res.set(
         'Cache-Control',
-        `max-age=${CACHE_TTLS.CATALOG_HEADER}, stale-while-revalidate=${CACHE_TTLS.CATALOG_STALE_REVALIDATE}, stale-if-error=${CACHE_TTLS.CATALOG_STALE_IF_ERROR}`
+        `max-age=${maxAge}, stale-while-revalidate=${CACHE_TTLS.CATALOG_STALE_REVALIDATE}, stale-if-error=${CACHE_TTLS.CATALOG_STALE_IF_ERROR}`
       );
     }
 
@@ -214,7 +273,7 @@ export async function handleAnilistCatalogRequest(
 
     res.json({
       ...response,
-      cacheMaxAge: randomize ? 0 : CACHE_TTLS.CATALOG_HEADER,
+      cacheMaxAge: randomize ? 0 : maxAge,
       staleRevalidate: randomize ? 0 : CACHE_TTLS.CATALOG_STALE_REVALIDATE,
     });
   } catch (err) {
@@ -0,0 +1,146 @@
+import type { StremioMetaPreview, CatalogConfig } from '../../types/index.ts';
+import type { CatalogRequestContext } from '../../services/sources/types.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
+import { getCache } from '../../services/cache/index.ts';
+import { getSource } from '../../services/sources/registry.ts';
+import { getEntryByPrefixedId } from '../../services/animeIdMap/index.ts';
+import {
+  mergeCompositeMetas,
+  normalizeCompositeMergeMode,
+  resolveCompositeMembers,
+} from '../../services/composite/merge.ts';
+import { metaIdentityKeys } from '../../utils/metaIdResolution.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { buildCatalogId, COMPOSITE_LIMITS } from '../../constants.ts';
+import { CACHE_TTLS, catalogServerTtl } from '../../cacheTtls.ts';
+
+const log = createLogger('addon:composite');
+const PAGE_SIZE = 20;
+
+type FetchCatalogPage = NonNullable<CatalogRequestContext['fetchCatalogPage']>;
+
+/**
+ * Read a member's leading `depth` titles. Members map `skip` onto whole pages,
+ * so offsets step a page at a time even when a page comes back short, and a
+ * title a later page repeats is dropped.
+ */
+async function collectMemberMetas(
+  fetchCatalogPage: FetchCatalogPage,
+  memberCatalogId: string,
+  depth: number
+): Promise<StremioMetaPreview[]> {
+  const metas: StremioMetaPreview[] = [];
+  const seen = new Set<string>();
+  // Bound the walk even for members that ignore `skip` and repeat a page.
+  const maxPages = Math.ceil(depth / PAGE_SIZE) + 1;
+
+  for (let pages = 0; metas.length < depth && pages < maxPages; pages++) {
+    const page = await fetchCatalogPage(memberCatalogId, { skip: String(pages * PAGE_SIZE) });
+    if (page.length === 0) break;
+    for (const meta of page) {
+      const keys = metaIdentityKeys(meta, getEntryByPrefixedId);
+      if (keys.some((key) => seen.has(key))) continue;
+      keys.forEach((key) => seen.add(key));
+      metas.push(meta);
+    }
+  }
+
+  return metas.slice(0, depth);
+}
+
+export async function handleCompositeCatalogRequest(ctx: CatalogRequestContext): Promise<void> {
+  const { userId, type, catalogId, extra, res, fetchCatalogPage } = ctx;
+  const startTime = Date.now();
+  try {
+    const skip = Math.max(parseInt(extra.skip, 10) || 0, 0);
+
+    const userConfig = await getAddonUserConfig(userId);
+    if (!userConfig || !fetchCatalogPage || skip >= COMPOSITE_LIMITS.MAX_DEPTH) {
+      res.json({ metas: [] });
+      return;
+    }
+
+    const catalogConfig = userConfig.catalogs.find((c: CatalogConfig) => {
+      return c.source === 'composite' && buildCatalogId('composite', c) === catalogId;
+    });
+    if (!catalogConfig) {
+      log.debug('Composite catalog config not found', { catalogId });
+      res.json({ metas: [] });
+      return;
+    }
+
+    const members = resolveCompositeMembers(userConfig, catalogConfig);
+    if (members.length === 0) {
+      res.json({ metas: [] });
+      return;
+    }
+
+    const mode = normalizeCompositeMergeMode(catalogConfig.filters?.compositeMergeMode);
+    const weightsById = catalogConfig.filters?.compositeWeights || {};
+    const weights = members.map((m) => weightsById[m._id]);
+
+    // Score merges rank a fixed window so later pages never reshuffle earlier
+    // ones; round-robin merges are prefix-stable and only read what the page needs.
+    const depth =
+      mode === 'score'
+        ? COMPOSITE_LIMITS.SCORE_WINDOW
+        : Math.min(skip + PAGE_SIZE, COMPOSITE_LIMITS.MAX_DEPTH);
+
+    const cache = getCache();
+    const configVersion = userConfig.updatedAt ? new Date(userConfig.updatedAt).getTime() : 0;
+    const cacheKey = `composite:catalog:${userId}:${catalogId}:${type}:${depth}:${configVersion}`;
+
+    const computeMerged = async (): Promise<StremioMetaPreview[]> => {
+      const lists = await Promise.all(
+        members.map((member) => {
+          const memberCatalogId = buildCatalogId(getSource(member.source).catalogIdPrefix, member);
+          return collectMemberMetas(fetchCatalogPage, memberCatalogId, depth).catch((err) => {
+            log.warn('Composite member fetch failed', {
+              catalogId,
+              memberCatalogId,
+              error: (err as Error).message,
+            });
+            return [] as StremioMetaPreview[];
+          });
+        })
+      );
+      return mergeCompositeMetas(lists, {
+        mode,
+        weights,
+        lookupAnimeEntry: getEntryByPrefixedId,
+      });
+    };
+
+    const merged = (await cache.wrap(cacheKey, computeMerged, catalogServerTtl('trending'), {
+      allowStale: true,
+    })) as StremioMetaPreview[];
+    const metas = merged.slice(skip, skip + PAGE_SIZE);
+
+    res.set(
+      'Cache-Control',
+      `max-age=${CACHE_TTLS.CATALOG_HEADER}, stale-while-revalidate=${CACHE_TTLS.CATALOG_STALE_REVALIDATE}, stale-if-error=${CACHE_TTLS.CATALOG_STALE_IF_ERROR}`
+    );
+
+    log.debug('Composite catalog response', {
+      catalogId,
+      mode,
+      members: members.length,
+      count: metas.length,
+      skip,
+      durationMs: Date.now() - startTime,
+    });
+
+    res.json({
+      metas,
+      cacheMaxAge: CACHE_TTLS.CATALOG_HEADER,
+      staleRevalidate: CACHE_TTLS.CATALOG_STALE_REVALIDATE,
+    });
+  } catch (error) {
+    log.error('Composite catalog error', {
+      catalogId,
+      error: (error as Error).message,
+      durationMs: Date.now() - startTime,
+    });
+    res.json({ metas: [] });
+  }
+}
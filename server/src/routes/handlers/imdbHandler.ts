@@ -5,7 +5,8 @@ import type { ImdbTitle } from '../../services/imdb/types.ts';
 
 import * as imdb from '../../services/imdb/index.ts';
 import * as tmdb from '../../services/tmdb/index.ts';
-import { getUserConfig, getApiKeyFromConfig } from '../../services/configService.ts';
+import { getApiKeyFromConfig } from '../../services/configService.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
 import { getCache } from '../../services/cache/index.ts';
 import {
   buildImdbEnrichmentCacheKey,
@@ -14,6 +15,7 @@ import {
 import { applyArtworkOverridesToMetaPreviews } from '../../services/artworkService.ts';
 import { sanitizeImdbFilters, sanitizeFiltersForSource } from '../../utils/validation.ts';
 import { isNoSelectionGenre } from '../../utils/catalogExtras.ts';
+import { maturityCertifications, normalizeMaturityLevel } from '../../services/maturity/index.ts';
 import { getBaseUrl, logSwallowedError } from '../../utils/helpers.ts';
 import { DISPLAY, normalizeBaseUrl, buildCatalogId } from '../../constants.ts';
 import { CACHE_TTLS } from '../../cacheTtls.ts';
@@ -33,7 +35,7 @@ export async function handleImdbCatalogRequest(
 ): Promise<void> {
   const startTime = Date.now();
   try {
-    if (!imdb.isImdbApiEnabled()) {
+    if (!imdb.isImdbDiscoverAvailable()) {
       res.json({ metas: [] });
       return;
     }
@@ -41,7 +43,7 @@ export async function handleImdbCatalogRequest(
     const skip = parseInt(extra.skip, 10) || 0;
     const searchQuery = extra.search || null;
 
-    const userConfig = await getUserConfig(userId);
+    const userConfig = await getAddonUserConfig(userId);
     if (!userConfig) {
       res.json({ metas: [] });
       return;
@@ -113,12 +115,27 @@ export async function handleImdbCatalogRequest(
     };
 
     if (catalogId === 'imdb-search-movie' || catalogId === 'imdb-search-series') {
-      if (!searchQuery) {
+      if (!searchQuery || !imdb.isImdbApiEnabled()) {
         res.json({ metas: [] });
         return;
       }
       const imdbTypes = type === 'series' ? ['tvSeries', 'tvMiniSeries'] : ['movie', 'tvMovie'];
-      const searchResult = await imdb.search(searchQuery, imdbTypes, IMDB_PAGE_SIZE);
+      const maxMaturity = normalizeMaturityLevel(userConfig.preferences?.maxMaturity);
+      const limit = maxMaturity
+        ? maturityCertifications(
+            maxMaturity,
+            [type === 'movie' ? 'movie' : 'tv'],
+            userConfig.preferences?.region
+          )
+        : null;
+      const searchResult = await imdb.search(
+        searchQuery,
+        imdbTypes,
+        IMDB_PAGE_SIZE,
+        limit
+          ? { certificateCountry: limit.country, certificates: limit.certifications }
+          : undefined
+      );
       const searchTitles = (searchResult.titles || []) as ImdbTitle[];
       const metas = await computeEnrichedMetas(searchTitles);
       const baseUrl = normalizeBaseUrl(userConfig.baseUrl || getBaseUrl(req));
@@ -1,7 +1,7 @@
 import type { Request, Response } from 'express';
 import type { ContentType } from '../../types/common.ts';
 import type { StremioMetaPreview, CatalogConfig, ArtworkOptions } from '../../types/index.ts';
-import { getUserConfig } from '../../services/configService.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
 import { getCache } from '../../services/cache/index.ts';
 import * as kitsu from '../../services/kitsu/index.ts';
 import { createLogger } from '../../utils/logger.ts';
@@ -14,6 +14,7 @@ import {
   applyArtworkOverridesToMetaPreviews,
 } from '../../services/artworkService.ts';
 import { decrypt } from '../../utils/encryption.ts';
+import { allowsKitsuAgeRating, normalizeMaturityLevel } from '../../services/maturity/index.ts';
 
 const log = createLogger('addon:kitsu');
 const PAGE_SIZE = 20;
@@ -58,7 +59,7 @@ export async function handleKitsuCatalogRequest(
     const searchQuery = extra.search || null;
     const page = Math.floor(skip / PAGE_SIZE) + 1;
 
-    const userConfig = await getUserConfig(userId);
+    const userConfig = await getAddonUserConfig(userId);
     if (!userConfig) {
       res.json({ metas: [] });
       return;
@@ -75,6 +76,7 @@ export async function handleKitsuCatalogRequest(
       },
       'anime'
     );
+    const maxMaturity = normalizeMaturityLevel(userConfig.preferences?.maxMaturity);
 
     if (
       catalogId === 'kitsu-search-movie' ||
@@ -86,7 +88,14 @@ export async function handleKitsuCatalogRequest(
         return;
       }
       const metas = await fetchWithBackfill(
-        (p) => kitsu.searchAnime(searchQuery, type, p),
+        async (p) => {
+          const result = await kitsu.searchAnime(searchQuery, type, p);
+          if (!maxMaturity) return result;
+          return {
+            ...result,
+            anime: result.anime.filter((a) => allowsKitsuAgeRating(a.ageRating, maxMaturity)),
+          };
+        },
         type,
         page,
         artworkOptions
@@ -135,7 +144,7 @@ export async function handleKitsuCatalogRequest(
 
     const randomize = Boolean(effectiveFilters.randomize || effectiveFilters.sortBy === 'random');
     const cache = getCache();
-    const cacheKey = `kitsu:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}`;
+    const cacheKey = `kitsu:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}:${maxMaturity || ''}`;
 
     if (!randomize) {
       const cached = await cache.get(cacheKey);
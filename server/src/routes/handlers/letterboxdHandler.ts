@@ -0,0 +1,116 @@
+import type { Request, Response } from 'express';
+import type { ContentType } from '../../types/common.ts';
+import type { StremioMetaPreview, CatalogConfig } from '../../types/index.ts';
+import { getApiKeyFromConfig } from '../../services/configService.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
+import { getCache } from '../../services/cache/index.ts';
+import { buildLetterboxdMetas, normalizeLetterboxdItems } from '../../services/letterboxd/index.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { getBaseUrl, shuffleArray } from '../../utils/helpers.ts';
+import { buildCatalogId, normalizeBaseUrl } from '../../constants.ts';
+import { CACHE_TTLS, catalogServerTtl } from '../../cacheTtls.ts';
+import { buildArtworkOptions, getPlaceholderUrls } from './sharedHelpers.ts';
+
+const log = createLogger('addon:letterboxd');
+const PAGE_SIZE = 20;
+
+export async function handleLetterboxdCatalogRequest(
+  userId: string,
+  type: ContentType,
+  catalogId: string,
+  extra: Record<string, string>,
+  res: Response,
+  req: Request
+): Promise<void> {
+  const startTime = Date.now();
+  try {
+    const skip = Math.max(parseInt(extra.skip, 10) || 0, 0);
+
+    const userConfig = await getAddonUserConfig(userId);
+    if (!userConfig) {
+      res.json({ metas: [] });
+      return;
+    }
+
+    const apiKey = getApiKeyFromConfig(userConfig);
+    if (!apiKey) {
+      res.json({ metas: [] });
+      return;
+    }
+
+    const catalogConfig = userConfig.catalogs.find((c: CatalogConfig) => {
+      return c.source === 'letterboxd' && buildCatalogId('letterboxd', c) === catalogId;
+    });
+    if (!catalogConfig) {
+      log.debug('Letterboxd catalog config not found', { catalogId });
+      res.json({ metas: [] });
+      return;
+    }
+
+    const items = normalizeLetterboxdItems(catalogConfig.filters?.letterboxdItems);
+    const randomize = Boolean(catalogConfig.filters?.randomize);
+    const artworkOptions = buildArtworkOptions(userConfig, type, 'letterboxd');
+    const displayLanguage = userConfig.preferences?.defaultLanguage || null;
+
+    let metas: StremioMetaPreview[];
+    if (randomize) {
+      metas = await buildLetterboxdMetas(
+        apiKey,
+        shuffleArray(items).slice(0, PAGE_SIZE),
+        artworkOptions,
+        displayLanguage
+      );
+    } else {
+      const pageItems = items.slice(skip, skip + PAGE_SIZE);
+      const configVersion = userConfig.updatedAt ? new Date(userConfig.updatedAt).getTime() : 0;
+      const cacheKey = `letterboxd:catalog:${userId}:${catalogId}:${skip}:${configVersion}`;
+      metas =
+        pageItems.length === 0
+          ? []
+          : ((await getCache().wrap(
+              cacheKey,
+              () => buildLetterboxdMetas(apiKey, pageItems, artworkOptions, displayLanguage),
+              catalogServerTtl('discover'),
+              { allowStale: true }
+            )) as StremioMetaPreview[]);
+    }
+
+    const baseUrl = normalizeBaseUrl(userConfig.baseUrl || getBaseUrl(req));
+    const { posterPlaceholder } = getPlaceholderUrls(baseUrl);
+    for (const m of metas) {
+      if (!m.poster) m.poster = posterPlaceholder;
+    }
+
+    if (randomize) {
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.set('Pragma', 'no-cache');
+      res.set('Expires', '0');
+    } else {
+      res.set(
+        'Cache-Control',
+        `max-age=${CACHE_TTLS.CATALOG_HEADER}, stale-while-revalidate=${CACHE_TTLS.CATALOG_STALE_REVALIDATE}, stale-if-error=${CACHE_TTLS.CATALOG_STALE_IF_ERROR}`
+      );
+    }
+
+    log.debug('Letterboxd catalog response', {
+      catalogId,
+      count: metas.length,
+      total: items.length,
+      skip,
+      durationMs: Date.now() - startTime,
+    });
+
+    res.json({
+      metas,
+      cacheMaxAge: randomize ? 0 : CACHE_TTLS.CATALOG_HEADER,
+      staleRevalidate: randomize ? 0 : CACHE_TTLS.CATALOG_STALE_REVALIDATE,
+    });
+  } catch (error) {
+    log.error('Letterboxd catalog error', {
+      catalogId,
+      error: (error as Error).message,
+      durationMs: Date.now() - startTime,
+    });
+    res.json({ metas: [] });
+  }
+}
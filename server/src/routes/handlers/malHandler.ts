@@ -1,9 +1,10 @@
 import type { Request, Response } from 'express';
 import type { ContentType } from '../../types/common.ts';
 import type { StremioMetaPreview, CatalogConfig, ArtworkOptions } from '../../types/index.ts';
-import { getUserConfig } from '../../services/configService.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
 import { getCache } from '../../services/cache/index.ts';
 import * as mal from '../../services/mal/index.ts';
+import type { MalAnime } from '../../services/mal/types.ts';
 import { createLogger } from '../../utils/logger.ts';
 import { buildCatalogId } from '../../constants.ts';
 import { CACHE_TTLS, catalogServerTtl } from '../../cacheTtls.ts';
@@ -13,6 +14,8 @@ import {
   applyArtworkOverridesToMetaPreviews,
 } from '../../services/artworkService.ts';
 import { decrypt } from '../../utils/encryption.ts';
+import { allowsMalRating, normalizeMaturityLevel } from '../../services/maturity/index.ts';
+import type { MaturityLevel } from '../../types/config.ts';
 
 const log = createLogger('addon:mal');
 const PAGE_SIZE = 20;
@@ -23,9 +26,7 @@ const MAX_BACKFILL_PAGES = 3;
  * Jikan returns 25 per page, and ID mapping may drop some items.
  */
 async function fetchWithBackfill(
-  fetchPage: (
-    page: number
-  ) => Promise<{ anime: import('../../services/mal/types.ts').MalAnime[]; hasMore: boolean }>,
+  fetchPage: (page: number) => Promise<{ anime: MalAnime[]; hasMore: boolean }>,
   type: ContentType,
   startPage: number,
   artworkOptions: ArtworkOptions | null = null
@@ -47,6 +48,18 @@ async function fetchWithBackfill(
   return metas.slice(0, PAGE_SIZE);
 }
 
+/** Drop titles above the profile's maturity limit from a Jikan page. */
+function withinMaturity<T extends { anime: MalAnime[] }>(
+  fetchPage: (page: number) => Promise<T>,
+  level: MaturityLevel | undefined
+): (page: number) => Promise<T> {
+  if (!level) return fetchPage;
+  return async (page) => {
+    const result = await fetchPage(page);
+    return { ...result, anime: result.anime.filter((a) => allowsMalRating(a.rating, level)) };
+  };
+}
+
 export async function handleMalCatalogRequest(
   userId: string,
   type: ContentType,
@@ -61,7 +74,7 @@ export async function handleMalCatalogRequest(
     const searchQuery = extra.search || null;
     const page = Math.floor(skip / PAGE_SIZE) + 1;
 
-    const userConfig = await getUserConfig(userId);
+    const userConfig = await getAddonUserConfig(userId);
     if (!userConfig) {
       res.json({ metas: [] });
       return;
@@ -78,6 +91,7 @@ export async function handleMalCatalogRequest(
       },
       'anime'
     );
+    const maxMaturity = normalizeMaturityLevel(userConfig.preferences?.maxMaturity);
 
     // Search catalog
     if (
@@ -90,7 +104,7 @@ export async function handleMalCatalogRequest(
         return;
       }
       const metas = await fetchWithBackfill(
-        (p) => mal.searchAnime(searchQuery, type, p),
+        withinMaturity((p) => mal.searchAnime(searchQuery, type, p), maxMaturity),
         type,
         page,
         artworkOptions
@@ -145,7 +159,7 @@ export async function handleMalCatalogRequest(
     }
 
     const cache = getCache();
-    const cacheKey = `mal:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}`;
+    const cacheKey = `mal:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}:${maxMaturity || ''}`;
 
     const cached = await cache.get(cacheKey);
     if (cached) {
@@ -162,7 +176,7 @@ export async function handleMalCatalogRequest(
     }
 
     let metas = await fetchWithBackfill(
-      (p) => mal.discover(effectiveFilters, type, p),
+      withinMaturity((p) => mal.discover(effectiveFilters, type, p), maxMaturity),
       type,
       page,
       artworkOptions
@@ -23,15 +23,23 @@ import { AppError, ErrorCodes } from '../../utils/AppError.ts';
 import { isValidUserId, isValidCatalogId, sanitizeString } from '../../utils/validation.ts';
 import { parseSources, parseGenres } from '../../services/marketplace/facetParsing.ts';
 import {
+  MARKETPLACE_BUNDLE_LIMITS,
   MARKETPLACE_TYPES,
   MARKETPLACE_SORT_MODES,
   MARKETPLACE_LIMITS,
   MARKETPLACE_PAGINATION,
+  MARKETPLACE_REPORT_REASONS,
+  MARKETPLACE_MODERATION_LIMITS,
   type MarketplaceSortMode,
 } from '../../constants.ts';
 import type { SourceType } from '../../types/config.ts';
 import type { ContentType } from '../../types/common.ts';
-import type { MarketplaceSort } from '../../types/marketplace.ts';
+import type {
+  InstallMode,
+  MarketplaceReportReason,
+  MarketplaceSort,
+  ReportRequest,
+} from '../../types/marketplace.ts';
 
 // --- Field limits (request-shape) ------------------------------------------
 
@@ -47,6 +55,8 @@ const MAX_TAGS = 20;
 
 const VALID_TYPES = new Set<string>(MARKETPLACE_TYPES);
 const VALID_SORTS = new Set<string>(MARKETPLACE_SORT_MODES);
+const VALID_REPORT_REASONS = new Set<string>(MARKETPLACE_REPORT_REASONS);
+const { MAX_REPORT_DETAILS_LENGTH } = MARKETPLACE_MODERATION_LIMITS;
 
 // --- Result shapes ----------------------------------------------------------
 
@@ -69,9 +79,20 @@ export interface ValidatedPublishRequest {
   tags: string[];
 }
 
+/** Validated POST /marketplace/bundles body. */
+export interface ValidatedPublishBundleRequest {
+  userId: string;
+  bundleId?: string;
+  name: string;
+  description?: string;
+  tags: string[];
+  catalogIds: string[];
+}
+
 /** Validated POST /marketplace/:id/install body. */
 export interface ValidatedInstallRequest {
   targetUserId: string;
+  mode: InstallMode;
 }
 
 // --- Internals --------------------------------------------------------------
@@ -206,9 +227,55 @@ export function validatePublishRequest(body: unknown): ValidatedPublishRequest {
   };
 }
 
+/**
+ * Validate a POST /marketplace/bundles body.
+ *
+ * - `userId` must match the user-id format — else 400 naming `userId`.
+ * - `bundleId`, when present, must match the catalog-id format — else 400
+ *   naming `bundleId`.
+ * - `name` must be a non-empty string — else 400 naming `name`. Length is
+ *   enforced after sanitization by the entry validator.
+ * - `catalogIds` must be an array of catalog ids; duplicates are dropped and
+ *   the remainder must number between the bundle member bounds — else 400
+ *   naming `catalogIds`.
+ * - `description` and `tags` follow the publish rules.
+ */
+export function validatePublishBundleRequest(body: unknown): ValidatedPublishBundleRequest {
+  const data = asRecord(body);
+
+  if (!isValidUserId(data.userId)) {
+    fail('userId', 'Invalid or missing userId');
+  }
+  if (isPresent(data.bundleId) && !isValidCatalogId(data.bundleId)) {
+    fail('bundleId', 'Invalid bundleId');
+  }
+  if (typeof data.name !== 'string' || sanitizeString(data.name).length < 1) {
+    fail('name', 'name must be a non-empty string');
+  }
+
+  const { MIN_MEMBERS, MAX_MEMBERS } = MARKETPLACE_BUNDLE_LIMITS;
+  if (!Array.isArray(data.catalogIds) || !data.catalogIds.every(isValidCatalogId)) {
+    fail('catalogIds', 'catalogIds must be an array of catalog ids');
+  }
+  const catalogIds = [...new Set(data.catalogIds as string[])];
+  if (catalogIds.length < MIN_MEMBERS || catalogIds.length > MAX_MEMBERS) {
+    fail('catalogIds', `catalogIds must list between ${MIN_MEMBERS} and ${MAX_MEMBERS} catalogs`);
+  }
+
+  return {
+    userId: data.userId as string,
+    ...(isPresent(data.bundleId) ? { bundleId: data.bundleId as string } : {}),
+    name: data.name,
+    description: validateDescription(data.description),
+    tags: validateTags(data.tags),
+    catalogIds,
+  };
+}
+
 /**
  * Validate a POST /marketplace/:id/install body. `targetUserId` must match the
- * user-id format (Req 20.3) — else 400 naming `targetUserId`.
+ * user-id format (Req 20.3) — else 400 naming `targetUserId`. `mode` is `copy`
+ * (default) or `link` — else 400 naming `mode`.
  */
 export function validateInstallRequest(body: unknown): ValidatedInstallRequest {
   const data = asRecord(body);
@@ -217,7 +284,55 @@ export function validateInstallRequest(body: unknown): ValidatedInstallRequest {
     fail('targetUserId', 'Invalid or missing targetUserId');
   }
 
-  return { targetUserId: data.targetUserId as string };
+  let mode: InstallMode = 'copy';
+  if (isPresent(data.mode)) {
+    if (data.mode !== 'copy' && data.mode !== 'link') {
+      fail('mode', 'mode must be one of: copy, link');
+    }
+    mode = data.mode;
+  }
+
+  return { targetUserId: data.targetUserId as string, mode };
+}
+
+/**
+ * Validate a POST /marketplace/:id/report body. `reason` must be one of the
+ * report reason codes — else 400 naming `reason`. `details`, when present, must
+ * be a string; it is sanitized and must not exceed 500 characters — else 400
+ * naming `details`.
+ */
+export function validateReportRequest(body: unknown): ReportRequest {
+  const data = asRecord(body);
+
+  if (typeof data.reason !== 'string' || !VALID_REPORT_REASONS.has(data.reason)) {
+    fail('reason', `reason must be one of: ${MARKETPLACE_REPORT_REASONS.join(', ')}`);
+  }
+
+  let details: string | undefined;
+  if (data.details !== undefined && data.details !== null) {
+    if (typeof data.details !== 'string') {
+      fail('details', 'details must be a string');
+    }
+    const sanitized = sanitizeString(data.details, MAX_REPORT_DETAILS_LENGTH + 1);
+    if (sanitized.length > MAX_REPORT_DETAILS_LENGTH) {
+      fail('details', `details must be ${MAX_REPORT_DETAILS_LENGTH} characters or fewer`);
+    }
+    details = sanitized.length > 0 ? sanitized : undefined;
+  }
+
+  return { reason: data.reason as MarketplaceReportReason, details };
+}
+
+/**
+ * Validate the `status` filter of the moderation queue. Defaults to `flagged`;
+ * anything other than `flagged` or `removed` is a 400 naming `status`.
+ */
+export function validateModerationQueueStatus(raw: unknown): 'flagged' | 'removed' {
+  if (!isPresent(raw)) return 'flagged';
+  if (raw !== 'flagged' && raw !== 'removed') {
+    fail('status', 'status must be flagged or removed');
+  }
+  return raw;
 }
 
 /**
@@ -233,6 +348,23 @@ export function validateEntryId(raw: unknown): string {
   return raw as string;
 }
 
+/**
+ * Validate the `:userId` / `:catalogId` path params of the linked-catalog
+ * routes — else 400 naming the field.
+ */
+export function validateLinkParams(params: Record<string, unknown>): {
+  userId: string;
+  catalogId: string;
+} {
+  if (!isValidUserId(params.userId)) {
+    fail('userId', 'Invalid or missing userId');
+  }
+  if (!isValidCatalogId(params.catalogId)) {
+    fail('catalogId', 'Invalid or missing catalogId');
+  }
+  return { userId: params.userId as string, catalogId: params.catalogId as string };
+}
+
 // --- Field-level helpers ----------------------------------------------------
 
 function validateDescription(raw: unknown): string | undefined {
@@ -1,4 +1,10 @@
-import type { UserConfig, ArtworkOptions, ContentType } from '../../types/index.ts';
+import type { Response } from 'express';
+import type {
+  UserConfig,
+  ArtworkOptions,
+  ContentType,
+  StremioMetaPreview,
+} from '../../types/index.ts';
 import { createArtworkOptions, resolveContentType } from '../../services/artworkService.ts';
 import { decrypt } from '../../utils/encryption.ts';
 import { normalizeBaseUrl } from '../../constants.ts';
@@ -41,3 +47,54 @@ export function getPlaceholderUrls(baseUrl: string): {
     backdropPlaceholder: `${base}/placeholder-thumbnail.svg`,
   };
 }
+
+/**
+ * Stand-in for an Express response that records the body a catalog handler
+ * sends instead of writing it to a socket. Lets composite catalogs and the
+ * blocklist backfill run the full per-source handler path (config lookup,
+ * caching, artwork) for the raw pages they read.
+ */
+export function createCatalogResponseCapture(): {
+  res: Response;
+  getMetas: () => StremioMetaPreview[];
+  getBody: () => Record<string, unknown> | null;
+  getHeader: (name: string) => string | undefined;
+} {
+  let body: unknown = null;
+  const headers = new Map<string, string>();
+  const capture = {
+    headersSent: false,
+    status() {
+      return capture;
+    },
+    set(name: string, value: string) {
+      headers.set(name.toLowerCase(), value);
+      return capture;
+    },
+    get(name: string) {
+      return headers.get(name.toLowerCase());
+    },
+    json(data: unknown) {
+      body = data;
+      capture.headersSent = true;
+      return capture;
+    },
+    etagJson(data: unknown) {
+      return capture.json(data);
+    },
+    end() {
+      capture.headersSent = true;
+      return capture;
+    },
+  };
+
+  return {
+    res: capture as unknown as Response,
+    getMetas: () => {
+      const metas = (body as { metas?: unknown } | null)?.metas;
+      return Array.isArray(metas) ? (metas as StremioMetaPreview[]) : [];
+    },
+    getBody: () => (body && typeof body === 'object' ? (body as Record<string, unknown>) : null),
+    getHeader: (name) => headers.get(name.toLowerCase()),
+  };
+}
@@ -1,7 +1,9 @@
 import type { Request, Response } from 'express';
 import type { ContentType } from '../../types/common.ts';
 import type { StremioMetaPreview, CatalogConfig, ArtworkOptions } from '../../types/index.ts';
-import { getUserConfig, getSimklKeyFromConfig } from '../../services/configService.ts';
+import { getSimklKeyFromConfig } from '../../services/configService.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
+import { getAccessToken } from '../../services/accountLinks/index.ts';
 import { getCache } from '../../services/cache/index.ts';
 import * as simkl from '../../services/simkl/index.ts';
 import { config } from '../../config.ts';
@@ -15,6 +17,7 @@ import {
   applyArtworkOverridesToMetaPreviews,
 } from '../../services/artworkService.ts';
 import { decrypt } from '../../utils/encryption.ts';
+import { normalizeMaturityLevel } from '../../services/maturity/index.ts';
 
 const log = createLogger('addon:simkl');
 const PAGE_SIZE = 20;
@@ -82,7 +85,7 @@ export async function handleSimklCatalogRequest(
     const searchQuery = extra.search || null;
     const page = Math.floor(skip / PAGE_SIZE) + 1;
 
-    const userConfig = await getUserConfig(userId);
+    const userConfig = await getAddonUserConfig(userId);
     if (!userConfig) {
       res.json({ metas: [] });
       return;
@@ -102,6 +105,8 @@ export async function handleSimklCatalogRequest(
 
     // Resolve Simkl API key: server-side key, or user-provided key as fallback
     const simklApiKey = config.simklApi.clientId || getSimklKeyFromConfig(userConfig) || undefined;
+    // Simkl publishes no age ratings, so a maturity limit only drops adult titles.
+    const maxMaturity = normalizeMaturityLevel(userConfig.preferences?.maxMaturity);
 
     // Search catalog
     if (
@@ -115,7 +120,9 @@ export async function handleSimklCatalogRequest(
       }
       const results = await simkl.searchAnime(searchQuery, page, simklApiKey);
       const metas = simkl.batchConvertToStremioMeta(
-        results.map((r) => ({ ...r, genres: [], overview: '' }) as simkl.SimklAnime),
+        results
+          .map((r) => ({ ...r, genres: [], overview: '' }) as simkl.SimklAnime)
+          .filter((item) => !maxMaturity || !simkl.isAdultItem(item)),
         type,
         artworkOptions
       );
@@ -164,8 +171,17 @@ export async function handleSimklCatalogRequest(
       return;
     }
 
+    const isPersonal = listType in simkl.SIMKL_PERSONAL_LIST_STATUSES;
+    const accessToken = isPersonal ? await getAccessToken(userConfig, 'simkl') : null;
+    if (isPersonal && !accessToken) {
+      log.warn('Simkl account not linked', { userId, listType });
+      res.json({ metas: [] });
+      return;
+    }
+
     const cache = getCache();
-    const cacheKey = `simkl:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}`;
+    // Personal lists differ per profile even when the catalog is shared.
+    const cacheKey = `simkl:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}:${maxMaturity || ''}${isPersonal ? `:${userId}` : ''}`;
 
     if (!randomize) {
       const cached = await cache.get(cacheKey);
@@ -185,16 +201,16 @@ export async function handleSimklCatalogRequest(
 
     let metas: StremioMetaPreview[];
     if (randomize) {
-      const probe = await simkl.discover(filters, type, 1, simklApiKey);
+      const probe = await simkl.discover(filters, type, 1, simklApiKey, accessToken || undefined);
       const probeFiltered = filterByExtraGenre(probe.items, selectedExtraGenre);
-      if (listType === 'trending' || listType === 'airing') {
+      if (listType === 'trending' || listType === 'airing' || isPersonal) {
         metas = simkl.batchConvertToStremioMeta(probeFiltered, type, artworkOptions);
         metas = shuffleArray(metas).slice(0, PAGE_SIZE);
       } else {
         const maxPage = probe.hasMore ? 5 : 1;
         const randomPage = Math.floor(Math.random() * maxPage) + 1;
         metas = await fetchWithBackfill(
-          (p) => simkl.discover(filters, type, p, simklApiKey),
+          (p) => simkl.discover(filters, type, p, simklApiKey, accessToken || undefined),
           type,
           randomPage,
           selectedExtraGenre,
@@ -204,7 +220,7 @@ export async function handleSimklCatalogRequest(
       }
     } else {
       metas = await fetchWithBackfill(
-        (p) => simkl.discover(filters, type, p, simklApiKey),
+        (p) => simkl.discover(filters, type, p, simklApiKey, accessToken || undefined),
         type,
         page,
         selectedExtraGenre,
@@ -217,7 +233,7 @@ export async function handleSimklCatalogRequest(
     const response = { metas };
 
     if (!randomize) {
-      const isTrending = listType === 'trending';
+      const isTrending = listType === 'trending' || isPersonal;
       const ttl = catalogServerTtl(isTrending ? 'trending' : 'discover');
       cache.set(cacheKey, response, ttl).catch(() => {});
     }
@@ -1,7 +1,9 @@
 import type { Request, Response } from 'express';
 import type { ContentType } from '../../types/common.ts';
 import type { StremioMetaPreview, CatalogConfig } from '../../types/index.ts';
-import { getUserConfig, getTraktKeyFromConfig } from '../../services/configService.ts';
+import { getTraktKeyFromConfig } from '../../services/configService.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
+import { getAccessToken } from '../../services/accountLinks/index.ts';
 import { getCache } from '../../services/cache/index.ts';
 import * as trakt from '../../services/trakt/index.ts';
 import { config } from '../../config.ts';
@@ -9,8 +11,9 @@ import { createLogger } from '../../utils/logger.ts';
 import { shuffleArray } from '../../utils/helpers.ts';
 import { buildCatalogId } from '../../constants.ts';
 import { CACHE_TTLS, catalogServerTtl } from '../../cacheTtls.ts';
-import type { ArtworkOptions } from '../../types/config.ts';
+import type { ArtworkOptions, MaturityLevel } from '../../types/config.ts';
 import { decrypt } from '../../utils/encryption.ts';
+import { allowsTraktCertification, normalizeMaturityLevel } from '../../services/maturity/index.ts';
 import {
   createArtworkOptions,
   resolveContentType,
@@ -45,6 +48,15 @@ function filterExcludedGenres(
   });
 }
 
+/** Drop titles whose certification is above the profile's maturity limit. */
+function filterAboveMaturity(
+  items: (trakt.TraktMovie | trakt.TraktShow)[],
+  maxMaturity?: MaturityLevel
+): (trakt.TraktMovie | trakt.TraktShow)[] {
+  if (!maxMaturity) return items;
+  return items.filter((item) => allowsTraktCertification(item.certification, maxMaturity));
+}
+
 async function fetchWithBackfill(
   fetchPage: (
     page: number
@@ -52,7 +64,8 @@ async function fetchWithBackfill(
   type: ContentType,
   startPage: number,
   excludeGenres?: string[],
-  artworkOptions: ArtworkOptions | null = null
+  artworkOptions: ArtworkOptions | null = null,
+  maxMaturity?: MaturityLevel
 ): Promise<StremioMetaPreview[]> {
   const metas: StremioMetaPreview[] = [];
   let currentPage = startPage;
@@ -60,7 +73,10 @@ async function fetchWithBackfill(
 
   while (metas.length < PAGE_SIZE && pagesChecked < MAX_BACKFILL_PAGES) {
     const result = await fetchPage(currentPage);
-    const filtered = filterExcludedGenres(result.items, excludeGenres);
+    const filtered = filterAboveMaturity(
+      filterExcludedGenres(result.items, excludeGenres),
+      maxMaturity
+    );
     const batch = trakt.batchConvertToStremioMeta(filtered, type, artworkOptions);
     metas.push(...batch);
     pagesChecked++;
@@ -86,7 +102,7 @@ export async function handleTraktCatalogRequest(
     const searchQuery = extra.search || null;
     const page = Math.floor(skip / PAGE_SIZE) + 1;
 
-    const userConfig = await getUserConfig(userId);
+    const userConfig = await getAddonUserConfig(userId);
     if (!userConfig) {
       res.json({ metas: [] });
       return;
@@ -105,6 +121,7 @@ export async function handleTraktCatalogRequest(
       },
       resolveContentType(type, 'trakt')
     );
+    const maxMaturity = normalizeMaturityLevel(userConfig.preferences?.maxMaturity);
 
     if (catalogId === 'trakt-search-movie' || catalogId === 'trakt-search-series') {
       if (!searchQuery || !traktClientId) {
@@ -112,7 +129,11 @@ export async function handleTraktCatalogRequest(
         return;
       }
       const result = await trakt.searchTrakt(searchQuery, type, page, traktClientId);
-      const metas = trakt.batchConvertToStremioMeta(result.items, type, artworkOptions);
+      const metas = trakt.batchConvertToStremioMeta(
+        filterAboveMaturity(result.items, maxMaturity),
+        type,
+        artworkOptions
+      );
       const resolvedMetas = await applyArtworkOverridesToMetaPreviews(metas, artworkOptions);
       res.set(
         'Cache-Control',
@@ -174,8 +195,18 @@ export async function handleTraktCatalogRequest(
       return;
     }
 
+    const isPersonal = trakt.isTraktPersonalListType(listType);
+    const accessToken = isPersonal ? await getAccessToken(userConfig, 'trakt') : null;
+    if (isPersonal && !accessToken) {
+      log.warn('Trakt account not linked', { userId, listType });
+      res.json({ metas: [] });
+      return;
+    }
+    const discoverOptions = accessToken ? { accessToken } : undefined;
+
     const cache = getCache();
-    const cacheKey = `trakt:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}`;
+    // Personal lists differ per profile even when the catalog is shared.
+    const cacheKey = `trakt:catalog:${catalogId}:${type}:${page}:${selectedExtraGenre || ''}:${maxMaturity || ''}${isPersonal ? `:${userId}` : ''}`;
 
     if (!randomize) {
       const cached = await cache.get(cacheKey);
@@ -195,8 +226,11 @@ export async function handleTraktCatalogRequest(
 
     let metas: StremioMetaPreview[];
     if (randomize) {
-      const probe = await trakt.discover(effectiveFilters, type, 1, traktClientId);
-      const filteredItems = filterExcludedGenres(probe.items, excludeGenres);
+      const probe = await trakt.discover(effectiveFilters, type, 1, traktClientId, discoverOptions);
+      const filteredItems = filterAboveMaturity(
+        filterExcludedGenres(probe.items, excludeGenres),
+        maxMaturity
+      );
       if (listType === 'boxoffice' || listType === 'calendar' || listType === 'recently_aired') {
         metas = trakt.batchConvertToStremioMeta(filteredItems, type, artworkOptions);
         metas = shuffleArray(metas).slice(0, PAGE_SIZE);
@@ -204,21 +238,23 @@ export async function handleTraktCatalogRequest(
         const maxPage = probe.hasMore ? 5 : 1;
         const randomPage = Math.floor(Math.random() * maxPage) + 1;
         metas = await fetchWithBackfill(
-          (p) => trakt.discover(effectiveFilters, type, p, traktClientId),
+          (p) => trakt.discover(effectiveFilters, type, p, traktClientId, discoverOptions),
           type,
           randomPage,
           excludeGenres,
-          artworkOptions
+          artworkOptions,
+          maxMaturity
         );
         metas = shuffleArray(metas);
       }
     } else {
       metas = await fetchWithBackfill(
-        (p) => trakt.discover(effectiveFilters, type, p, traktClientId),
+        (p) => trakt.discover(effectiveFilters, type, p, traktClientId, discoverOptions),
         type,
         page,
         excludeGenres,
-        artworkOptions
+        artworkOptions,
+        maxMaturity
       );
     }
 
@@ -228,7 +264,10 @@ export async function handleTraktCatalogRequest(
 
     if (!randomize) {
       const isTrending =
-        listType === 'trending' || listType === 'calendar' || listType === 'recently_aired';
+        isPersonal ||
+        listType === 'trending' ||
+        listType === 'calendar' ||
+        listType === 'recently_aired';
       const ttl = catalogServerTtl(isTrending ? 'trending' : 'discover');
       cache.set(cacheKey, response, ttl).catch(() => {});
     }
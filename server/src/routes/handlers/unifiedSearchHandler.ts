@@ -0,0 +1,168 @@
+import type { StremioMetaPreview } from '../../types/index.ts';
+import type { CatalogRequestContext } from '../../services/sources/types.ts';
+import { getAddonUserConfig } from '../../services/marketplace/links.ts';
+import { getApiKeyFromConfig } from '../../services/configService.ts';
+import { getCache } from '../../services/cache/index.ts';
+import { getEntryByPrefixedId } from '../../services/animeIdMap/index.ts';
+import { getExternalIds } from '../../services/tmdb/lookup.ts';
+import { getSourceSearchCatalogs } from '../../services/manifestService.ts';
+import {
+  mergeSearchResults,
+  normalizeSearchTitle,
+  normalizeUnifiedSearchMode,
+  type SourceSearchResults,
+} from '../../services/unifiedSearch/index.ts';
+import { metaIdentityKeys } from '../../utils/metaIdResolution.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { CONCURRENCY, UNIFIED_SEARCH_LIMITS } from '../../constants.ts';
+import { CACHE_TTLS } from '../../cacheTtls.ts';
+
+const log = createLogger('addon:unifiedSearch');
+const PAGE_SIZE = 20;
+
+type FetchCatalogPage = NonNullable<CatalogRequestContext['fetchCatalogPage']>;
+
+/**
+ * Give TMDB-only hits their IMDb id so they merge with the same title from
+ * IMDb-keyed sources. Returns copies; metas that already carry an IMDb id (or
+ * have no TMDB id) come back unchanged.
+ */
+async function withImdbIds(
+  apiKey: string,
+  metas: StremioMetaPreview[],
+  type: string
+): Promise<StremioMetaPreview[]> {
+  const resolved = [...metas];
+  const pending = metas
+    .map((meta, index) => ({ index, keys: metaIdentityKeys(meta) }))
+    .filter(({ keys }) => !keys.some((k) => k.startsWith('imdb:')))
+    .map(({ index, keys }) => ({ index, tmdbKey: keys.find((k) => k.startsWith('tmdb:')) }))
+    .filter((item): item is { index: number; tmdbKey: string } => !!item.tmdbKey);
+
+  for (let i = 0; i < pending.length; i += CONCURRENCY.ENRICHMENT) {
+    await Promise.all(
+      pending.slice(i, i + CONCURRENCY.ENRICHMENT).map(async ({ index, tmdbKey }) => {
+        const ids = await getExternalIds(apiKey, tmdbKey.slice('tmdb:'.length), type);
+        if (ids?.imdb_id) resolved[index] = { ...metas[index], imdb_id: ids.imdb_id };
+      })
+    );
+  }
+  return resolved;
+}
+
+/** Resolves to null when the source misses the deadline, [] when it fails. */
+async function searchSource(
+  fetchCatalogPage: FetchCatalogPage,
+  catalogId: string,
+  search: string
+): Promise<StremioMetaPreview[] | null> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const deadline = new Promise<null>((resolve) => {
+    timer = setTimeout(() => resolve(null), UNIFIED_SEARCH_LIMITS.SOURCE_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([
+      fetchCatalogPage(catalogId, { search }).catch((err) => {
+        log.warn('Unified search source failed', { catalogId, error: (err as Error).message });
+        return [] as StremioMetaPreview[];
+      }),
+      deadline,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export async function handleUnifiedSearchRequest(ctx: CatalogRequestContext): Promise<void> {
+  const { userId, type, catalogId, extra, res, fetchCatalogPage } = ctx;
+  const startTime = Date.now();
+  try {
+    const skip = Math.max(parseInt(extra.skip, 10) || 0, 0);
+    const search = String(extra.search || '').trim();
+
+    const userConfig = await getAddonUserConfig(userId);
+    if (
+      !userConfig ||
+      !fetchCatalogPage ||
+      !search ||
+      skip >= UNIFIED_SEARCH_LIMITS.MAX_RESULTS ||
+      normalizeUnifiedSearchMode(userConfig.preferences?.unifiedSearch) === 'off'
+    ) {
+      res.json({ metas: [] });
+      return;
+    }
+
+    const sourceCatalogs = getSourceSearchCatalogs(userConfig).filter((c) => c.type === type);
+    if (sourceCatalogs.length === 0) {
+      res.json({ metas: [] });
+      return;
+    }
+
+    const cache = getCache();
+    const configVersion = userConfig.updatedAt ? new Date(userConfig.updatedAt).getTime() : 0;
+    const cacheKey = `unified-search:${userId}:${type}:${configVersion}:${normalizeSearchTitle(search)}`;
+
+    let merged = (await cache.get(cacheKey).catch(() => null)) as StremioMetaPreview[] | null;
+    let partial = false;
+    if (!merged) {
+      const answers = await Promise.all(
+        sourceCatalogs.map((c) => searchSource(fetchCatalogPage, c.id, search))
+      );
+      const apiKey = getApiKeyFromConfig(userConfig);
+      const results: SourceSearchResults[] = await Promise.all(
+        answers.map(async (metas, i) => ({
+          sourceId: sourceCatalogs[i].id,
+          metas: metas && apiKey ? await withImdbIds(apiKey, metas, type) : metas || [],
+        }))
+      );
+      merged = mergeSearchResults(results, search, getEntryByPrefixedId).slice(
+        0,
+        UNIFIED_SEARCH_LIMITS.MAX_RESULTS
+      );
+
+      const timedOut = sourceCatalogs.filter((_, i) => answers[i] === null).map((c) => c.id);
+      if (timedOut.length > 0) {
+        // Leave partial results uncached, here and downstream, so the next
+        // request can still get them all.
+        partial = true;
+        log.debug('Unified search sources timed out', { catalogId, timedOut });
+      } else {
+        await cache.set(cacheKey, merged, CACHE_TTLS.UNIFIED_SEARCH).catch(() => {});
+      }
+    }
+    const metas = merged.slice(skip, skip + PAGE_SIZE);
+
+    if (partial) {
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.set('Pragma', 'no-cache');
+      res.set('Expires', '0');
+    } else {
+      res.set(
+        'Cache-Control',
+        `max-age=${CACHE_TTLS.CATALOG_HEADER}, stale-while-revalidate=${CACHE_TTLS.CATALOG_STALE_REVALIDATE}, stale-if-error=${CACHE_TTLS.CATALOG_STALE_IF_ERROR}`
+      );
+    }
+
+    log.debug('Unified search response', {
+      catalogId,
+      sources: sourceCatalogs.length,
+      count: metas.length,
+      skip,
+      partial,
+      durationMs: Date.now() - startTime,
+    });
+
+    res.json({
+      metas,
+      cacheMaxAge: partial ? 0 : CACHE_TTLS.CATALOG_HEADER,
+      staleRevalidate: partial ? 0 : CACHE_TTLS.CATALOG_STALE_REVALIDATE,
+    });
+  } catch (error) {
+    log.error('Unified search error', {
+      catalogId,
+      error: (error as Error).message,
+      durationMs: Date.now() - startTime,
+    });
+    res.json({ metas: [] });
+  }
+}
@@ -7,10 +7,19 @@
  *   GET    /search          — search/browse public entries        (optionalAuth)
  *   GET    /:id             — entry detail (increments `views`)    (optionalAuth)
  *   POST   /publish         — publish a catalog the caller owns    (requireAuth + ownership + strict)
+ *   POST   /bundles         — publish several catalogs as one entry (requireAuth + ownership + strict)
  *   POST   /:id/unpublish   — remove the caller's entry            (requireAuth + ownership + strict)
- *   POST   /:id/install     — clone an entry into a target config  (requireAuth + ownership(target) + strict)
+ *   POST   /:id/install     — copy or link an entry into a config  (requireAuth + ownership(target) + strict)
  *   POST   /:id/like        — idempotent like                      (requireAuth + strict)
  *   DELETE /:id/like        — idempotent unlike                    (requireAuth + strict)
+ *   POST   /:id/report      — idempotent abuse report              (requireAuth + strict)
+ *   GET    /links/:userId                     — linked catalogs' state  (requireAuth + ownership)
+ *   POST   /links/:userId/:catalogId/sync     — copy upstream filters   (requireAuth + ownership + strict)
+ *   POST   /links/:userId/:catalogId/detach   — turn into a local copy  (requireAuth + ownership + strict)
+ *   GET    /moderation/status          — whether the caller moderates  (requireAuth)
+ *   GET    /moderation/queue           — flagged/removed entries       (requireAuth + moderator)
+ *   POST   /moderation/:id/restore     — reactivate, clear reports     (requireAuth + moderator + strict)
+ *   POST   /moderation/:id/remove      — take an entry down            (requireAuth + moderator + strict)
  *
  * Reads use `optionalAuth`; mutations use `requireAuth` + `strictRateLimit` and
  * an ownership check against the userId being acted upon. Request-shape
@@ -23,7 +32,7 @@
  * 19.5, 19.6, 19.7, 21.1, 21.2, 21.3, 21.4, 21.6.
  */
 
-import { Router, type Request, type Response } from 'express';
+import { Router, type Request, type Response, type NextFunction } from 'express';
 
 import { requireAuth, optionalAuth } from '../utils/authMiddleware.ts';
 import { strictRateLimit } from '../utils/rateLimit.ts';
@@ -35,18 +44,34 @@ import { getStorage } from '../services/storage/index.ts';
 import {
   parseSearchQuery,
   validatePublishRequest,
+  validatePublishBundleRequest,
   validateInstallRequest,
   validateEntryId,
+  validateReportRequest,
+  validateModerationQueueStatus,
+  validateLinkParams,
 } from './handlers/marketplaceValidation.ts';
 import {
   searchMarketplace,
   getEntry,
   publishCatalog,
+  publishBundle,
   unpublishCatalog,
   installEntry,
   likeEntry,
   unlikeEntry,
 } from '../services/marketplaceService.ts';
+import {
+  isMarketplaceModerator,
+  reportEntry,
+  getModerationQueue,
+  moderateEntry,
+} from '../services/marketplace/moderation.ts';
+import {
+  getLinkStatuses,
+  syncLinkedCatalog,
+  detachLinkedCatalog,
+} from '../services/marketplace/links.ts';
 import type { MarketplaceSearchQuery } from '../types/marketplace.ts';
 
 const router = Router();
@@ -102,6 +127,22 @@ async function assertConfigOwnership(req: Request, userId: string): Promise<void
   }
 }
 
+/**
+ * Allow the request through only when the authenticated caller is one of the
+ * configured marketplace moderators; anyone else gets a 403.
+ */
+async function requireModerator(req: Request, res: Response, next: NextFunction): Promise<void> {
+  try {
+    if (!(await isMarketplaceModerator(req.apiKeyId))) {
+      sendError(res, 403, ErrorCodes.FORBIDDEN, 'Moderator access required');
+      return;
+    }
+    next();
+  } catch (error) {
+    handleRouteError(res, 'requireModerator', error);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Reads (optionalAuth)
 // ---------------------------------------------------------------------------
@@ -174,6 +215,22 @@ router.post('/publish', requireAuth, strictRateLimit, async (req: Request, res:
   }
 });
 
+/**
+ * POST /marketplace/bundles — publish (or re-publish, by `bundleId`) a bundle
+ * of catalogs the caller owns. Unpublishing goes through `/:id/unpublish` like
+ * any other entry.
+ */
+router.post('/bundles', requireAuth, strictRateLimit, async (req: Request, res: Response) => {
+  try {
+    const { userId, ...bundle } = validatePublishBundleRequest(req.body);
+    await assertConfigOwnership(req, userId);
+    const entry = await publishBundle(userId, bundle);
+    res.json(entry);
+  } catch (error) {
+    handleRouteError(res, 'POST /bundles', error);
+  }
+});
+
 /**
  * POST /marketplace/:id/unpublish — remove the caller's own entry from the index.
  *
@@ -207,24 +264,81 @@ router.post('/:id/unpublish', requireAuth, strictRateLimit, async (req: Request,
 /**
  * POST /marketplace/:id/install — clone an entry into the target user's config.
  *
- * The body supplies `targetUserId`; ownership of that config is enforced before
- * `installEntry` clones the entry. A duplicate install surfaces
- * `alreadyInstalled: true` without bumping the counter.
+ * The body supplies `targetUserId` and an optional `mode` (`copy` or `link`);
+ * ownership of that config is enforced before `installEntry` clones the entry.
+ * A duplicate install surfaces `alreadyInstalled: true` without bumping the
+ * counter.
  *
  * Requirements: 13.8, 13.9, 19.4, 21.1, 21.4.
  */
 router.post('/:id/install', requireAuth, strictRateLimit, async (req: Request, res: Response) => {
   try {
     const id = validateEntryId(req.params.id);
-    const { targetUserId } = validateInstallRequest(req.body);
+    const { targetUserId, mode } = validateInstallRequest(req.body);
     await assertConfigOwnership(req, targetUserId);
-    const result = await installEntry(id, targetUserId);
+    const result = await installEntry(id, targetUserId, mode);
     res.json(result);
   } catch (error) {
     handleRouteError(res, 'POST /:id/install', error);
   }
 });
 
+// ---------------------------------------------------------------------------
+// Linked installs (requireAuth + ownership)
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /marketplace/links/:userId — whether each linked catalog in the config is
+ * current with its entry, behind it, or no longer backed by an available entry.
+ */
+router.get('/links/:userId', requireAuth, async (req: Request, res: Response) => {
+  try {
+    const { userId } = req.params;
+    await assertConfigOwnership(req, userId);
+    res.json({ items: await getLinkStatuses(userId) });
+  } catch (error) {
+    handleRouteError(res, 'GET /links/:userId', error);
+  }
+});
+
+/**
+ * POST /marketplace/links/:userId/:catalogId/sync — store the entry's current
+ * filters on the linked catalog. Returns the updated catalog.
+ */
+router.post(
+  '/links/:userId/:catalogId/sync',
+  requireAuth,
+  strictRateLimit,
+  async (req: Request, res: Response) => {
+    try {
+      const { userId, catalogId } = validateLinkParams(req.params);
+      await assertConfigOwnership(req, userId);
+      res.json({ catalog: await syncLinkedCatalog(userId, catalogId) });
+    } catch (error) {
+      handleRouteError(res, 'POST /links/:userId/:catalogId/sync', error);
+    }
+  }
+);
+
+/**
+ * POST /marketplace/links/:userId/:catalogId/detach — stop following the entry
+ * and keep a local copy of its current filters. Returns the updated catalog.
+ */
+router.post(
+  '/links/:userId/:catalogId/detach',
+  requireAuth,
+  strictRateLimit,
+  async (req: Request, res: Response) => {
+    try {
+      const { userId, catalogId } = validateLinkParams(req.params);
+      await assertConfigOwnership(req, userId);
+      res.json({ catalog: await detachLinkedCatalog(userId, catalogId) });
+    } catch (error) {
+      handleRouteError(res, 'POST /links/:userId/:catalogId/detach', error);
+    }
+  }
+);
+
 /**
  * POST /marketplace/:id/like — idempotent like by the authenticated user.
  *
@@ -257,4 +371,93 @@ router.delete('/:id/like', requireAuth, strictRateLimit, async (req: Request, re
   }
 });
 
+/**
+ * POST /marketplace/:id/report — report an entry for review. One report counts
+ * per user; a repeat report returns `alreadyReported: true`. Enough distinct
+ * reports flag the entry, hiding it until a moderator acts.
+ */
+router.post('/:id/report', requireAuth, strictRateLimit, async (req: Request, res: Response) => {
+  try {
+    const id = validateEntryId(req.params.id);
+    const report = validateReportRequest(req.body);
+    const result = await reportEntry(id, req.apiKeyId as string, report);
+    res.json(result);
+  } catch (error) {
+    handleRouteError(res, 'POST /:id/report', error);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Moderation (requireAuth + moderator)
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /marketplace/moderation/status — lets the client decide whether to show
+ * the review queue.
+ */
+router.get('/moderation/status', requireAuth, async (req: Request, res: Response) => {
+  try {
+    res.json({ moderator: await isMarketplaceModerator(req.apiKeyId) });
+  } catch (error) {
+    handleRouteError(res, 'GET /moderation/status', error);
+  }
+});
+
+/**
+ * GET /marketplace/moderation/queue?status=flagged|removed — entries awaiting
+ * (or past) review, each with the reports filed against it.
+ */
+router.get(
+  '/moderation/queue',
+  requireAuth,
+  requireModerator,
+  async (req: Request, res: Response) => {
+    try {
+      const status = validateModerationQueueStatus(req.query.status);
+      const items = await getModerationQueue(status);
+      res.json({ status, items });
+    } catch (error) {
+      handleRouteError(res, 'GET /moderation/queue', error);
+    }
+  }
+);
+
+/**
+ * POST /marketplace/moderation/:id/restore — make an entry searchable again and
+ * clear its reports.
+ */
+router.post(
+  '/moderation/:id/restore',
+  requireAuth,
+  strictRateLimit,
+  requireModerator,
+  async (req: Request, res: Response) => {
+    try {
+      const id = validateEntryId(req.params.id);
+      res.json(await moderateEntry(id, 'restore'));
+    } catch (error) {
+      handleRouteError(res, 'POST /moderation/:id/restore', error);
+    }
+  }
+);
+
+/**
+ * POST /marketplace/moderation/:id/remove — take an entry down for good. It
+ * stays out of search and install; its reports are kept.
+ */
+router.post(
+  '/moderation/:id/remove',
+  requireAuth,
+  strictRateLimit,
+  requireModerator,
+  async (req: Request, res: Response) => {
+    try {
+      const id = validateEntryId(req.params.id);
+      res.json(await moderateEntry(id, 'remove'));
+    } catch (error) {
+      handleRouteError(res, 'POST /moderation/:id/remove', error);
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,223 @@
+import { saveAccountTokens, saveUserConfig } from '../configService.ts';
+import { getCache } from '../cache/index.ts';
+import { encrypt, decrypt } from '../../utils/encryption.ts';
+import { AppError, ErrorCodes } from '../../utils/AppError.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { ACCOUNT_LINK_LIMITS } from '../../constants.ts';
+import {
+  ACCOUNT_PROVIDERS,
+  fetchAccountName,
+  isLinkingConfigured,
+  pollDeviceCode,
+  refreshTraktTokens,
+  requestDeviceCode,
+  revokeTokens,
+  type AccountProvider,
+  type ProviderTokens,
+} from './providers.ts';
+import type { UserConfig } from '../../types/index.ts';
+
+export { ACCOUNT_PROVIDERS, isAccountProvider, type AccountProvider } from './providers.ts';
+
+const log = createLogger('accountLinks');
+
+/**
+ * Trakt and Simkl account linking.
+ *
+ * A profile links an account with the provider's device flow: the server
+ * asks for a code, the user approves it on the provider's site, and polling
+ * exchanges it for tokens. Tokens are stored encrypted as JSON in
+ * `UserConfig.traktTokensEncrypted` / `simklTokensEncrypted`, which config
+ * responses never include. Catalogs read them only through
+ * {@link getAccessToken}, which refreshes Trakt tokens before they expire.
+ */
+
+export interface AccountTokens extends ProviderTokens {
+  username?: string;
+  linkedAt: number;
+}
+
+export interface LinkedAccount {
+  provider: AccountProvider;
+  available: boolean; // the server can run this provider's OAuth flow
+  linked: boolean;
+  username?: string;
+  linkedAt?: string;
+}
+
+export type AccountLinkStatus = 'pending' | 'slow_down' | 'expired' | 'denied' | 'linked';
+
+const TOKEN_FIELDS = {
+  trakt: 'traktTokensEncrypted',
+  simkl: 'simklTokensEncrypted',
+} as const satisfies Record<AccountProvider, keyof UserConfig>;
+
+// One refresh per profile at a time; concurrent catalog requests share it.
+const refreshing = new Map<string, Promise<string | null>>();
+
+function pendingKey(provider: AccountProvider, userId: string): string {
+  return `accountlink:${provider}:${userId}`;
+}
+
+export function readAccountTokens(
+  config: UserConfig | null,
+  provider: AccountProvider
+): AccountTokens | null {
+  const encrypted = config?.[TOKEN_FIELDS[provider]];
+  if (!encrypted) return null;
+  try {
+    const tokens = JSON.parse(decrypt(encrypted) || 'null') as AccountTokens | null;
+    return tokens?.accessToken ? tokens : null;
+  } catch (err) {
+    log.error('Failed to decrypt linked account tokens', {
+      provider,
+      error: (err as Error).message,
+    });
+    return null;
+  }
+}
+
+function encryptTokens(tokens: AccountTokens): string {
+  const encrypted = encrypt(JSON.stringify(tokens));
+  if (!encrypted) {
+    throw new AppError(500, ErrorCodes.INTERNAL_ERROR, 'Failed to store account tokens');
+  }
+  return encrypted;
+}
+
+function requireLinking(provider: AccountProvider): void {
+  if (!isLinkingConfigured(provider)) {
+    throw new AppError(
+      503,
+      ErrorCodes.INTERNAL_ERROR,
+      `${provider === 'trakt' ? 'Trakt' : 'Simkl'} account linking is not configured on this server`
+    );
+  }
+}
+
+export function getLinkedAccounts(config: UserConfig): LinkedAccount[] {
+  return ACCOUNT_PROVIDERS.map((provider) => {
+    const tokens = readAccountTokens(config, provider);
+    return {
+      provider,
+      available: isLinkingConfigured(provider),
+      linked: !!tokens,
+      ...(tokens?.username ? { username: tokens.username } : {}),
+      ...(tokens ? { linkedAt: new Date(tokens.linkedAt).toISOString() } : {}),
+    };
+  });
+}
+
+/**
+ * Start linking: returns the code to show the user. The provider's polling
+ * handle stays server-side, encrypted in the cache until the code expires.
+ */
+export async function startAccountLink(
+  config: UserConfig,
+  provider: AccountProvider
+): Promise<{ userCode: string; verificationUrl: string; expiresIn: number; interval: number }> {
+  requireLinking(provider);
+  const code = await requestDeviceCode(provider);
+  await getCache().set(
+    pendingKey(provider, config.userId),
+    encrypt(code.deviceCode),
+    code.expiresIn
+  );
+  log.info('Account link started', { userId: config.userId, provider });
+  return {
+    userCode: code.userCode,
+    verificationUrl: code.verificationUrl,
+    expiresIn: code.expiresIn,
+    interval: code.interval,
+  };
+}
+
+/** Check whether the user has approved the code from {@link startAccountLink}. */
+export async function pollAccountLink(
+  config: UserConfig,
+  provider: AccountProvider
+): Promise<{ status: AccountLinkStatus; username?: string }> {
+  requireLinking(provider);
+  const cache = getCache();
+  const key = pendingKey(provider, config.userId);
+  const deviceCode = decrypt((await cache.get(key)) as string | null);
+  if (!deviceCode) return { status: 'expired' };
+
+  const result = await pollDeviceCode(provider, deviceCode);
+  if (result.status === 'pending' || result.status === 'slow_down') return result;
+  await cache.del(key);
+  if (result.status !== 'linked') return result;
+
+  const username = await fetchAccountName(provider, result.tokens.accessToken).catch(
+    () => undefined
+  );
+  const tokens: AccountTokens = { ...result.tokens, username, linkedAt: Date.now() };
+  await saveUserConfig({ ...config, [TOKEN_FIELDS[provider]]: encryptTokens(tokens) });
+  log.info('Account linked', { userId: config.userId, provider });
+  return { status: 'linked', ...(username ? { username } : {}) };
+}
+
+export async function unlinkAccount(config: UserConfig, provider: AccountProvider): Promise<void> {
+  const tokens = readAccountTokens(config, provider);
+  if (tokens) {
+    await revokeTokens(provider, tokens.accessToken).catch((err) =>
+      log.warn('Token revocation failed', { provider, error: (err as Error).message })
+    );
+  }
+  await saveUserConfig({ ...config, [TOKEN_FIELDS[provider]]: '' });
+  log.info('Account unlinked', { userId: config.userId, provider });
+}
+
+async function refreshTraktAccess(userId: string, tokens: AccountTokens): Promise<string | null> {
+  let refreshed: ProviderTokens | null;
+  try {
+    refreshed = await refreshTraktTokens(tokens.refreshToken || '');
+  } catch (err) {
+    // Trakt is unreachable: keep serving the old token until it expires.
+    log.warn('Trakt token refresh failed', { userId, error: (err as Error).message });
+    return (tokens.expiresAt ?? 0) > Date.now() ? tokens.accessToken : null;
+  }
+
+  // Catalog requests land here, so write the tokens alone, not the config.
+  if (!refreshed) {
+    log.warn('Trakt refresh token rejected; unlinking account', { userId });
+    await saveAccountTokens(userId, TOKEN_FIELDS.trakt, '');
+    return null;
+  }
+  const saved = await saveAccountTokens(
+    userId,
+    TOKEN_FIELDS.trakt,
+    encryptTokens({ ...tokens, ...refreshed })
+  );
+  if (!saved) return null;
+  log.info('Trakt token refreshed', { userId });
+  return refreshed.accessToken;
+}
+
+/**
+ * Access token of the profile's linked account, or null when none is linked.
+ * Every caller goes through here so a Trakt token nearing expiry is refreshed
+ * (and the new pair persisted) in one place.
+ */
+export async function getAccessToken(
+  config: UserConfig | null,
+  provider: AccountProvider
+): Promise<string | null> {
+  const tokens = readAccountTokens(config, provider);
+  if (!config || !tokens) return null;
+  if (
+    provider !== 'trakt' ||
+    !tokens.expiresAt ||
+    tokens.expiresAt - Date.now() > ACCOUNT_LINK_LIMITS.REFRESH_MARGIN_MS
+  ) {
+    return tokens.accessToken;
+  }
+
+  const inFlight = refreshing.get(config.userId);
+  if (inFlight) return inFlight;
+  const refresh = refreshTraktAccess(config.userId, tokens).finally(() =>
+    refreshing.delete(config.userId)
+  );
+  refreshing.set(config.userId, refresh);
+  return refresh;
+}
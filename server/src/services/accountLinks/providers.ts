@@ -0,0 +1,210 @@
+import { config } from '../../config.ts';
+import { TIMEOUTS } from '../../constants.ts';
+import { traktFetch } from '../trakt/client.ts';
+
+const TRAKT_API_BASE = 'https://api.trakt.tv';
+const SIMKL_API_BASE = 'https://api.simkl.com';
+// Trakt's redirect URI for apps without a callback (device flow, refresh).
+const TRAKT_OOB_REDIRECT = 'urn:ietf:wg:oauth:2.0:oob';
+
+export const ACCOUNT_PROVIDERS = ['trakt', 'simkl'] as const;
+export type AccountProvider = (typeof ACCOUNT_PROVIDERS)[number];
+
+export function isAccountProvider(value: unknown): value is AccountProvider {
+  return ACCOUNT_PROVIDERS.includes(value as AccountProvider);
+}
+
+/** Code the user enters on the provider's site to approve the link. */
+export interface DeviceCode {
+  // Secret handle used to poll for the token; never sent to the browser.
+  deviceCode: string;
+  userCode: string;
+  verificationUrl: string;
+  expiresIn: number; // seconds
+  interval: number; // seconds between polls
+}
+
+export interface ProviderTokens {
+  accessToken: string;
+  refreshToken?: string;
+  expiresAt?: number; // epoch ms; Simkl tokens do not expire
+}
+
+export type DevicePollResult =
+  | { status: 'pending' | 'slow_down' | 'expired' | 'denied' }
+  | { status: 'linked'; tokens: ProviderTokens };
+
+/**
+ * Whether the server holds the app credentials the provider's OAuth flow
+ * needs. A per-user Trakt Client ID is not enough: exchanging codes also
+ * takes the app's client secret.
+ */
+export function isLinkingConfigured(provider: AccountProvider): boolean {
+  if (provider === 'trakt') return !!config.traktApi.clientId && !!config.traktApi.clientSecret;
+  return !!config.simklApi.clientId;
+}
+
+async function requestJson(
+  url: string,
+  init: RequestInit = {}
+): Promise<{ status: number; body: Record<string, unknown> | null }> {
+  const response = await fetch(url, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...(init.headers || {}) },
+    signal: AbortSignal.timeout(TIMEOUTS.TRAKT_FETCH_MS),
+  });
+  const body = (await response.json().catch(() => null)) as Record<string, unknown> | null;
+  return { status: response.status, body };
+}
+
+function providerError(provider: AccountProvider, status: number): Error {
+  return Object.assign(new Error(`${provider} OAuth error: ${status}`), { statusCode: status });
+}
+
+function toTraktTokens(body: Record<string, unknown>): ProviderTokens {
+  const createdAt = Number(body.created_at) * 1000 || Date.now();
+  return {
+    accessToken: String(body.access_token),
+    refreshToken: String(body.refresh_token),
+    expiresAt: createdAt + Number(body.expires_in) * 1000,
+  };
+}
+
+// ─── Trakt (device code flow) ─────────────────────────────
+
+async function traktDeviceCode(): Promise<DeviceCode> {
+  const { status, body } = await requestJson(`${TRAKT_API_BASE}/oauth/device/code`, {
+    method: 'POST',
+    body: JSON.stringify({ client_id: config.traktApi.clientId }),
+  });
+  if (status !== 200 || !body) throw providerError('trakt', status);
+  return {
+    deviceCode: String(body.device_code),
+    userCode: String(body.user_code),
+    verificationUrl: String(body.verification_url),
+    expiresIn: Number(body.expires_in),
+    interval: Number(body.interval),
+  };
+}
+
+async function traktPollDevice(deviceCode: string): Promise<DevicePollResult> {
+  const { status, body } = await requestJson(`${TRAKT_API_BASE}/oauth/device/token`, {
+    method: 'POST',
+    body: JSON.stringify({
+      code: deviceCode,
+      client_id: config.traktApi.clientId,
+      client_secret: config.traktApi.clientSecret,
+    }),
+  });
+  switch (status) {
+    case 200:
+      return { status: 'linked', tokens: toTraktTokens(body || {}) };
+    case 400:
+      return { status: 'pending' };
+    case 429:
+      return { status: 'slow_down' };
+    case 404: // unknown code
+    case 409: // already used
+    case 410:
+      return { status: 'expired' };
+    case 418:
+      return { status: 'denied' };
+    default:
+      throw providerError('trakt', status);
+  }
+}
+
+/**
+ * Exchange a refresh token for a new token pair. Resolves to null when Trakt
+ * rejects the refresh token (revoked, or already used), which ends the link.
+ */
+export async function refreshTraktTokens(refreshToken: string): Promise<ProviderTokens | null> {
+  const { status, body } = await requestJson(`${TRAKT_API_BASE}/oauth/token`, {
+    method: 'POST',
+    body: JSON.stringify({
+      refresh_token: refreshToken,
+      client_id: config.traktApi.clientId,
+      client_secret: config.traktApi.clientSecret,
+      redirect_uri: TRAKT_OOB_REDIRECT,
+      grant_type: 'refresh_token',
+    }),
+  });
+  if (status === 200 && body) return toTraktTokens(body);
+  if (status === 400 || status === 401) return null;
+  throw providerError('trakt', status);
+}
+
+async function traktRevoke(accessToken: string): Promise<void> {
+  await requestJson(`${TRAKT_API_BASE}/oauth/revoke`, {
+    method: 'POST',
+    body: JSON.stringify({
+      token: accessToken,
+      client_id: config.traktApi.clientId,
+      client_secret: config.traktApi.clientSecret,
+    }),
+  });
+}
+
+async function traktUsername(accessToken: string): Promise<string | undefined> {
+  const settings = await traktFetch<{ user?: { username?: string } }>(
+    '/users/settings',
+    undefined,
+    accessToken
+  );
+  return settings.user?.username;
+}
+
+// ─── Simkl (PIN flow) ─────────────────────────────────────
+
+async function simklPinCode(): Promise<DeviceCode> {
+  const clientId = encodeURIComponent(config.simklApi.clientId);
+  const { status, body } = await requestJson(`${SIMKL_API_BASE}/oauth/pin?client_id=${clientId}`);
+  if (status !== 200 || !body?.user_code) throw providerError('simkl', status);
+  return {
+    // Simkl polls by the code the user types, so both handles are the same.
+    deviceCode: String(body.user_code),
+    userCode: String(body.user_code),
+    verificationUrl: String(body.verification_url || 'https://simkl.com/pin/'),
+    expiresIn: Number(body.expires_in),
+    interval: Number(body.interval),
+  };
+}
+
+async function simklPollPin(userCode: string): Promise<DevicePollResult> {
+  const clientId = encodeURIComponent(config.simklApi.clientId);
+  const { status, body } = await requestJson(
+    `${SIMKL_API_BASE}/oauth/pin/${encodeURIComponent(userCode)}?client_id=${clientId}`
+  );
+  if (status === 404) return { status: 'expired' };
+  if (status !== 200 || !body) throw providerError('simkl', status);
+  if (body.result === 'OK' && body.access_token) {
+    return { status: 'linked', tokens: { accessToken: String(body.access_token) } };
+  }
+  return { status: 'pending' };
+}
+
+// ─── Dispatch ─────────────────────────────────────────────
+
+export function requestDeviceCode(provider: AccountProvider): Promise<DeviceCode> {
+  return provider === 'trakt' ? traktDeviceCode() : simklPinCode();
+}
+
+export function pollDeviceCode(
+  provider: AccountProvider,
+  deviceCode: string
+): Promise<DevicePollResult> {
+  return provider === 'trakt' ? traktPollDevice(deviceCode) : simklPollPin(deviceCode);
+}
+
+/** Username shown next to a linked account, when the provider exposes one. */
+export async function fetchAccountName(
+  provider: AccountProvider,
+  accessToken: string
+): Promise<string | undefined> {
+  return provider === 'trakt' ? traktUsername(accessToken) : undefined;
+}
+
+/** Best-effort token revocation on unlink; Simkl has no revoke endpoint. */
+export async function revokeTokens(provider: AccountProvider, accessToken: string): Promise<void> {
+  if (provider === 'trakt') await traktRevoke(accessToken);
+}
@@ -1,7 +1,19 @@
 import { createLogger } from '../../utils/logger.ts';
 import { anilistFetch } from './client.ts';
-import { BROWSE_QUERY, MEDIA_FIELDS, SEARCH_QUERY, STUDIO_SEARCH_QUERY } from './queries.ts';
-import type { AnilistPageResponse, AnilistMedia } from './types.ts';
+import { CACHE_TTLS } from '../../cacheTtls.ts';
+import {
+  AIRING_SCHEDULE_QUERY,
+  BROWSE_QUERY,
+  MEDIA_FIELDS,
+  SEARCH_QUERY,
+  STUDIO_SEARCH_QUERY,
+} from './queries.ts';
+import type {
+  AnilistAiringSchedulesResponse,
+  AnilistListType,
+  AnilistPageResponse,
+  AnilistMedia,
+} from './types.ts';
 import type { AnilistCatalogFilters } from '../../types/config.ts';
 import type { ContentType } from '../../types/common.ts';
 
@@ -241,6 +253,127 @@ export async function browseBatch(
   });
 }
 
+const DAY_SECONDS = 86_400;
+const AIRING_WINDOWS: Record<Exclude<AnilistListType, 'browse'>, number> = {
+  airing_next_24h: DAY_SECONDS,
+  airing_next_7d: 7 * DAY_SECONDS,
+  aired_today: 0,
+};
+
+export function isAiringListType(
+  listType: unknown
+): listType is Exclude<AnilistListType, 'browse'> {
+  return typeof listType === 'string' && Object.hasOwn(AIRING_WINDOWS, listType);
+}
+
+/**
+ * The airing-schedule filters AniList cannot apply server-side, checked
+ * against each scheduled media: format (or the content type's formats),
+ * genres, tags, country, score, popularity, studios and the adult flag.
+ */
+function matchesAiringFilters(
+  media: AnilistMedia,
+  filters: AnilistCatalogFilters,
+  type: ContentType
+): boolean {
+  const formats = filters.format?.length ? filters.format : contentTypeToFormats(type);
+  if (!formats.includes(media.format)) return false;
+  if (filters.isAdult !== true && media.isAdult) return false;
+
+  const genres = media.genres || [];
+  const hasGenre = (g: unknown) => genres.includes(String(g));
+  if (filters.genres?.length && !filters.genres.some(hasGenre)) return false;
+  if (filters.excludeGenres?.some(hasGenre)) return false;
+
+  const tags = (media.tags || []).map((t) => t.name);
+  if (filters.tags?.length && !filters.tags.every((t) => tags.includes(t))) return false;
+  if (filters.excludeTags?.some((t) => tags.includes(t))) return false;
+
+  if (filters.countryOfOrigin && media.countryOfOrigin !== filters.countryOfOrigin) return false;
+  const score = media.averageScore ?? 0;
+  if (filters.averageScoreMin != null && filters.averageScoreMin > 0) {
+    if (score <= filters.averageScoreMin) return false;
+  }
+  if (filters.averageScoreMax != null && filters.averageScoreMax < 100) {
+    if (score >= filters.averageScoreMax) return false;
+  }
+  if (filters.popularityMin != null && filters.popularityMin > 0) {
+    if ((media.popularity ?? 0) <= filters.popularityMin) return false;
+  }
+  if (filters.studios?.length) {
+    const studioIds = new Set(filters.studios);
+    if (!media.studios?.nodes?.some((s) => studioIds.has(s.id))) return false;
+  }
+  return true;
+}
+
+/**
+ * List anime from AniList's airing schedule, one entry per title in airing
+ * order: soonest first for the upcoming windows, most recent first for
+ * `aired_today` (since 00:00 UTC). Each media carries the listed slot as
+ * `scheduledEpisode`. `refreshAt` (unix seconds) is when the list next
+ * changes — the next airing in the window, or the end of the UTC day.
+ * Callers reading several pages pass one `seen` set so a title listed again
+ * on a later page (its next episode) is not returned twice.
+ */
+export async function browseAiring(
+  filters: AnilistCatalogFilters,
+  type: ContentType,
+  page: number,
+  nowMs: number = Date.now(),
+  seen: Set<number> = new Set()
+): Promise<{ media: AnilistMedia[]; hasNextPage: boolean; refreshAt: number }> {
+  const listType = isAiringListType(filters.anilistListType)
+    ? filters.anilistListType
+    : 'airing_next_24h';
+  const now = Math.floor(nowMs / 1000);
+  const dayStart = now - (now % DAY_SECONDS);
+  const upcoming = listType !== 'aired_today';
+
+  const variables = {
+    page,
+    perPage: 50,
+    airingAt_greater: upcoming ? now : dayStart - 1,
+    airingAt_lesser: upcoming ? now + AIRING_WINDOWS[listType] + 1 : now + 1,
+    sort: [upcoming ? 'TIME' : 'TIME_DESC'],
+  };
+  log.debug('AniList airing schedule', { type, page, listType });
+
+  const response = await anilistFetch<AnilistAiringSchedulesResponse>(
+    AIRING_SCHEDULE_QUERY,
+    variables
+  );
+  const pageData = response.data.Page;
+
+  const media: AnilistMedia[] = [];
+  for (const slot of pageData.airingSchedules) {
+    if (!slot.media || seen.has(slot.media.id)) continue;
+    seen.add(slot.media.id);
+    if (!matchesAiringFilters(slot.media, filters, type)) continue;
+    media.push({
+      ...slot.media,
+      scheduledEpisode: { episode: slot.episode, airingAt: slot.airingAt },
+    });
+  }
+
+  const nextAiring = upcoming ? pageData.airingSchedules[0]?.airingAt : undefined;
+  return {
+    media,
+    hasNextPage: pageData.pageInfo.hasNextPage,
+    refreshAt: nextAiring ?? dayStart + DAY_SECONDS,
+  };
+}
+
+/**
+ * Cache lifetime (seconds) for an airing-schedule page: until `refreshAt`,
+ * clamped to [`ANILIST_AIRING_MIN`, `ANILIST_AIRING`] so countdowns stay
+ * fresh and an episode drops off soon after it airs.
+ */
+export function airingCacheTtl(refreshAt: number, nowMs: number = Date.now()): number {
+  const untilRefresh = refreshAt - Math.floor(nowMs / 1000);
+  return Math.min(CACHE_TTLS.ANILIST_AIRING, Math.max(CACHE_TTLS.ANILIST_AIRING_MIN, untilRefresh));
+}
+
 export async function search(
   query: string,
   type: ContentType,
@@ -1,5 +1,13 @@
 export { anilistFetch } from './client.ts';
-export { browse, browseBatch, search, searchStudios } from './discover.ts';
+export {
+  browse,
+  browseBatch,
+  browseAiring,
+  isAiringListType,
+  airingCacheTtl,
+  search,
+  searchStudios,
+} from './discover.ts';
 export {
   anilistToStremioMeta,
   anilistToStremioFullMeta,
@@ -60,6 +60,9 @@ export const DETAIL_QUERY = `
       airingSchedule(perPage: 50) {
         nodes { episode airingAt }
       }
+      upcomingSchedule: airingSchedule(notYetAired: true, perPage: 25) {
+        nodes { episode airingAt }
+      }
       streamingEpisodes {
         title
         thumbnail
@@ -70,6 +73,21 @@ export const DETAIL_QUERY = `
   }
 `;
 
+export const AIRING_SCHEDULE_QUERY = `
+  query ($page: Int, $perPage: Int, $airingAt_greater: Int, $airingAt_lesser: Int, $sort: [AiringSort]) {
+    Page(page: $page, perPage: $perPage) {
+      pageInfo { currentPage perPage hasNextPage }
+      airingSchedules(airingAt_greater: $airingAt_greater, airingAt_lesser: $airingAt_lesser, sort: $sort) {
+        episode
+        airingAt
+        media {
+          ${MEDIA_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
 export const STUDIO_SEARCH_QUERY = `
   query ($search: String!, $page: Int, $perPage: Int) {
     Page(page: $page, perPage: $perPage) {
@@ -1,5 +1,5 @@
 import { anilistIdToStremioId, getEntryByAnilistId } from '../animeIdMap/index.ts';
-import type { AnilistMedia, AnilistMediaDetail } from './types.ts';
+import type { AnilistAiringScheduleNode, AnilistMedia, AnilistMediaDetail } from './types.ts';
 import type {
   StremioMetaPreview,
   StremioMeta,
@@ -92,6 +92,26 @@ function anilistFallbackId(media: AnilistMedia): string {
   return media.idMal ? `mal:${media.idMal}` : `anilist:${media.id}`;
 }
 
+function formatDuration(seconds: number): string {
+  const minutes = Math.max(1, Math.floor(seconds / 60));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return `${hours}h`;
+  return `${minutes}m`;
+}
+
+/** "Ep 7 airs in 3h" for an upcoming slot, "Ep 6 aired 2h ago" once it has aired. */
+export function formatAiringCountdown(
+  slot: AnilistAiringScheduleNode,
+  nowMs: number = Date.now()
+): string {
+  const delta = slot.airingAt - Math.floor(nowMs / 1000);
+  return delta > 0
+    ? `Ep ${slot.episode} airs in ${formatDuration(delta)}`
+    : `Ep ${slot.episode} aired ${formatDuration(-delta)} ago`;
+}
+
 export function anilistToStremioMeta(
   media: AnilistMedia,
   type: ContentType,
@@ -108,7 +128,10 @@ export function anilistToStremioMeta(
 
   const nativePoster = media.coverImage?.extraLarge || media.coverImage?.large || null;
   const nativeBackground = media.bannerImage || null;
-  const description = media.description ? stripHtml(media.description) : '';
+  const synopsis = media.description ? stripHtml(media.description) : '';
+  const description = media.scheduledEpisode
+    ? [formatAiringCountdown(media.scheduledEpisode), synopsis].filter(Boolean).join('\n')
+    : synopsis;
 
   const artworkContext: ArtworkContext = {
     tmdbId: tmdbId || undefined,
@@ -187,6 +210,18 @@ function buildIsoDate(date?: { year?: number; month?: number; day?: number }): s
   return `${date.year}-${month}-${day}T00:00:00.000Z`;
 }
 
+/**
+ * Every known airing slot: the aired and upcoming schedule pages plus the
+ * next airing episode, so upcoming episodes carry their release time.
+ */
+function scheduleNodes(media: AnilistMediaDetail): AnilistAiringScheduleNode[] {
+  return [
+    ...(media.airingSchedule?.nodes ?? []),
+    ...(media.upcomingSchedule?.nodes ?? []),
+    ...(media.nextAiringEpisode ? [media.nextAiringEpisode] : []),
+  ];
+}
+
 /**
  * Determines the absolute episode count for a series. Prefers AniList's
  * declared `episodes`, then the highest scheduled/streaming episode for
@@ -196,7 +231,7 @@ function resolveEpisodeCount(media: AnilistMediaDetail): number {
   if (typeof media.episodes === 'number' && media.episodes > 0) return media.episodes;
 
   let maxEpisode = 0;
-  for (const node of media.airingSchedule?.nodes ?? []) {
+  for (const node of scheduleNodes(media)) {
     if (typeof node.episode === 'number' && node.episode > maxEpisode) maxEpisode = node.episode;
   }
   for (const ep of media.streamingEpisodes ?? []) {
@@ -230,15 +265,16 @@ function resolveVideoIdBase(media: AnilistMediaDetail, requestedId: string): str
 
 /**
  * Builds a Stremio episode list from real AniList data: episode count drives
- * the list, airing schedule supplies release dates, and streaming episodes
- * supply titles/thumbnails when their episode number can be parsed reliably.
+ * the list, airing schedule supplies release dates (future ones for episodes
+ * not yet aired), and streaming episodes supply titles/thumbnails when their
+ * episode number can be parsed reliably.
  */
 function buildAnilistVideos(media: AnilistMediaDetail, videoIdBase: string): StremioVideo[] {
   const episodeCount = resolveEpisodeCount(media);
   if (episodeCount < 1) return [];
 
   const releasedByEpisode = new Map<number, string>();
-  for (const node of media.airingSchedule?.nodes ?? []) {
+  for (const node of scheduleNodes(media)) {
     if (typeof node.episode === 'number' && typeof node.airingAt === 'number') {
       releasedByEpisode.set(node.episode, new Date(node.airingAt * 1000).toISOString());
     }
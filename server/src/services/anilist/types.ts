@@ -48,6 +48,8 @@ export interface AnilistMedia {
   externalLinks?: Array<{ url?: string; site: string; type?: string }>;
   trailer?: { id?: string; site?: string; thumbnail?: string };
   siteUrl?: string;
+  /** Set by airing-schedule catalogs: the schedule slot the entry is listed for. */
+  scheduledEpisode?: AnilistAiringScheduleNode;
 }
 
 export interface AnilistAiringScheduleNode {
@@ -68,6 +70,7 @@ export interface AnilistStreamingEpisode {
  */
 export interface AnilistMediaDetail extends AnilistMedia {
   airingSchedule?: { nodes?: AnilistAiringScheduleNode[] };
+  upcomingSchedule?: { nodes?: AnilistAiringScheduleNode[] };
   streamingEpisodes?: AnilistStreamingEpisode[];
 }
 
@@ -83,6 +86,15 @@ export interface AnilistPageInfo {
   hasNextPage: boolean;
 }
 
+export interface AnilistAiringSchedulesResponse {
+  data: {
+    Page: {
+      pageInfo: AnilistPageInfo;
+      airingSchedules: Array<AnilistAiringScheduleNode & { media: AnilistMedia | null }>;
+    };
+  };
+}
+
 export interface AnilistPageResponse {
   data: {
     Page: {
@@ -138,6 +150,16 @@ export const ANILIST_SEASONS = [
   { value: 'FALL', label: 'Fall' },
 ] as const;
 
+/** `browse` uses the media query; the rest list entries from the airing schedule. */
+export const ANILIST_LIST_TYPES = [
+  { value: 'browse', label: 'Browse' },
+  { value: 'airing_next_24h', label: 'Airing in the next 24 hours' },
+  { value: 'airing_next_7d', label: 'Airing in the next 7 days' },
+  { value: 'aired_today', label: 'Aired today' },
+] as const;
+
+export type AnilistListType = (typeof ANILIST_LIST_TYPES)[number]['value'];
+
 export const ANILIST_SORT_OPTIONS = [
   { value: 'TRENDING_DESC', label: 'Trending' },
   { value: 'POPULARITY_DESC', label: 'Popular' },
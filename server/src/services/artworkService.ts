@@ -2,6 +2,7 @@ import { createLogger } from '../utils/logger.ts';
 import { config as appConfig } from '../config.ts';
 import { TIMEOUTS, metahubUrl } from '../constants.ts';
 import { LOCAL_CACHE_TTLS } from '../cacheTtls.ts';
+import { normalizePosterCompositeLayout } from './posterComposite/layout.ts';
 import type {
   ContentType,
   PosterOptions,
@@ -930,6 +931,17 @@ const customUrlProvider: ArtworkProviderDefinition = {
   },
 };
 
+const compositedProvider: ArtworkProviderDefinition = {
+  id: 'composited',
+  supportedKinds: new Set(['poster']),
+  requiresApiKey: false,
+  resolve() {
+    // Badges are drawn by the addon's poster route, which needs the public
+    // base URL; here the poster falls back to TMDB's like any missing artwork.
+    return null;
+  },
+};
+
 const providerRegistry = new Map<ArtworkProvider, ArtworkProviderDefinition>([
   ['rpdb', rpdbProvider],
   ['topPosters', topPostersProvider],
@@ -939,6 +951,7 @@ const providerRegistry = new Map<ArtworkProvider, ArtworkProviderDefinition>([
   ['fanart', fanartProvider],
   ['metahub' as ArtworkProvider, tmdbProvider], // backward compat alias
   ['customUrl', customUrlProvider],
+  ['composited', compositedProvider],
 ]);
 
 export function isValidArtworkConfig(config: PosterOptions | null): boolean {
@@ -948,6 +961,7 @@ export function isValidArtworkConfig(config: PosterOptions | null): boolean {
   if (service === 'customUrl') return Boolean(customUrlPattern && customUrlPattern.trim());
   if (service === 'tmdb' || service === 'imdb' || service === ('metahub' as PosterServiceType))
     return true;
+  if (service === 'composited') return true;
   return Boolean(apiKey);
 }
 
@@ -1243,6 +1257,15 @@ export function createArtworkOptions(
       continue;
     }
 
+    if (service === 'composited') {
+      if (kind !== 'poster') continue;
+      result[kind] = {
+        service,
+        compositeLayout: normalizePosterCompositeLayout(config.compositeLayout),
+      };
+      continue;
+    }
+
     // Providers with no API key requirement
     if (service === 'tmdb' || service === 'imdb' || service === ('metahub' as PosterServiceType)) {
       result[kind] = {
@@ -1335,6 +1358,11 @@ function inferTmdbIdFromMeta(meta: StremioMetaPreview): number | string | undefi
 
 interface MetaPreviewOverrideOptions {
   strictPoster?: boolean;
+  /**
+   * Runs on each preview's final poster; a returned URL replaces it (used to
+   * badge watched titles). Applied even when no artwork provider is set.
+   */
+  posterBadge?: (meta: StremioMetaPreview, poster: string | null) => string | null;
 }
 
 export async function applyArtworkOverridesToMetaPreviews(
@@ -1342,7 +1370,13 @@ export async function applyArtworkOverridesToMetaPreviews(
   artworkOptions: ArtworkOptions | null | undefined,
   options: MetaPreviewOverrideOptions = {}
 ): Promise<StremioMetaPreview[]> {
-  if (!artworkOptions || !Array.isArray(metas) || metas.length === 0) return metas;
+  if (!Array.isArray(metas) || metas.length === 0) return metas;
+  const { posterBadge } = options;
+  const badged = (meta: StremioMetaPreview): StremioMetaPreview => {
+    const poster = posterBadge?.(meta, meta.poster ?? null);
+    return poster ? { ...meta, poster } : meta;
+  };
+  if (!artworkOptions) return posterBadge ? metas.map(badged) : metas;
   const strictPoster = Boolean(options.strictPoster);
 
   if (!requiresAsyncArtworkResolution(artworkOptions)) {
@@ -1373,14 +1407,14 @@ export async function applyArtworkOverridesToMetaPreviews(
         meta.background ||
         null;
 
-      return {
+      return badged({
         ...meta,
         poster,
         background: backdrop,
         fanart: landscape,
         landscapePoster: landscape,
         logo: resolved.logo || meta.logo || undefined,
-      };
+      });
     });
   }
 
@@ -1415,14 +1449,14 @@ export async function applyArtworkOverridesToMetaPreviews(
         meta.background ||
         null;
 
-      return {
+      return badged({
         ...meta,
         poster,
         background: backdrop,
         fanart: landscape,
         landscapePoster: landscape,
         logo: resolved.logo || meta.logo || undefined,
-      };
+      });
     })
   );
 }
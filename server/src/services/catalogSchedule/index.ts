@@ -0,0 +1,160 @@
+import type { CatalogSchedule, ScheduleDateRange, ScheduleYearlyRange } from '../../types/index.ts';
+import { SCHEDULE_LIMITS } from '../../constants.ts';
+
+/** Local calendar position of an instant in a schedule's timezone. */
+export interface ScheduleClock {
+  date: string;
+  monthDay: string;
+  weekday: number;
+  hour: number;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const clockFormatters = new Map<string, Intl.DateTimeFormat>();
+
+function getClockFormatter(timezone: string): Intl.DateTimeFormat {
+  let formatter = clockFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      hourCycle: 'h23',
+    });
+    clockFormatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+export function isValidTimeZone(value: unknown): value is string {
+  if (typeof value !== 'string' || !value || value.length > 64) return false;
+  try {
+    getClockFormatter(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getScheduleClock(now: Date, timezone = 'UTC'): ScheduleClock {
+  const parts: Record<string, string> = {};
+  for (const part of getClockFormatter(timezone).formatToParts(now)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    monthDay: `${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour) % 24,
+  };
+}
+
+function isValidMonthDay(month: number, day: number): boolean {
+  return month >= 1 && month <= 12 && day >= 1 && day <= DAYS_IN_MONTH[month - 1];
+}
+
+function normalizeDate(value: unknown): string | null {
+  const match = typeof value === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim()) : null;
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  if (year < SCHEDULE_LIMITS.MIN_YEAR || year > SCHEDULE_LIMITS.MAX_YEAR) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? match[0] : null;
+}
+
+function normalizeMonthDay(value: unknown): string | null {
+  const match = typeof value === 'string' ? /^(\d{2})-(\d{2})$/.exec(value.trim()) : null;
+  if (!match) return null;
+  return isValidMonthDay(Number(match[1]), Number(match[2])) ? match[0] : null;
+}
+
+function normalizeRanges<T extends { from: string; to: string }>(
+  value: unknown,
+  normalize: (v: unknown) => string | null,
+  allowWrap: boolean
+): T[] | undefined {
+  if (!Array.isArray(value)) return undefined;
+  const ranges: T[] = [];
+  for (const raw of value) {
+    if (!raw || typeof raw !== 'object') continue;
+    const from = normalize((raw as Record<string, unknown>).from);
+    const to = normalize((raw as Record<string, unknown>).to);
+    if (!from || !to) continue;
+    ranges.push((allowWrap || from <= to ? { from, to } : { from: to, to: from }) as T);
+    if (ranges.length >= SCHEDULE_LIMITS.MAX_RANGES) break;
+  }
+  return ranges.length > 0 ? ranges : undefined;
+}
+
+function normalizeMask(value: unknown, size: number): number[] | undefined {
+  if (!Array.isArray(value)) return undefined;
+  const mask = [...new Set(value.map(Number))]
+    .filter((n) => Number.isInteger(n) && n >= 0 && n < size)
+    .sort((a, b) => a - b);
+  // An empty or full mask does not restrict anything.
+  return mask.length > 0 && mask.length < size ? mask : undefined;
+}
+
+/**
+ * Validate a user-supplied schedule. Malformed ranges and out-of-range mask
+ * entries are dropped, reversed date ranges are swapped (yearly ranges keep
+ * their order so they can wrap over New Year) and an unknown timezone falls
+ * back to UTC. Returns null when no rule is left.
+ */
+export function normalizeCatalogSchedule(value: unknown): CatalogSchedule | null {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const raw = value as Record<string, unknown>;
+
+  const candidate: CatalogSchedule = {
+    dateRanges: normalizeRanges<ScheduleDateRange>(raw.dateRanges, normalizeDate, false),
+    yearlyRanges: normalizeRanges<ScheduleYearlyRange>(raw.yearlyRanges, normalizeMonthDay, true),
+    weekdays: normalizeMask(raw.weekdays, 7),
+    hours: normalizeMask(raw.hours, 24),
+  };
+  const hasRule = Object.values(candidate).some((v) => v !== undefined);
+  if (!hasRule) return null;
+  if (isValidTimeZone(raw.timezone)) candidate.timezone = raw.timezone;
+
+  return Object.fromEntries(
+    Object.entries(candidate).filter(([, v]) => v !== undefined)
+  ) as CatalogSchedule;
+}
+
+function inYearlyRange(monthDay: string, range: ScheduleYearlyRange): boolean {
+  return range.from <= range.to
+    ? monthDay >= range.from && monthDay <= range.to
+    : monthDay >= range.from || monthDay <= range.to;
+}
+
+/**
+ * Whether a catalog with this schedule is listed at `now`. Catalogs without a
+ * schedule are always listed. Stored schedules are trusted to be normalized;
+ * an unknown timezone is read as UTC rather than hiding the catalog.
+ */
+export function isCatalogScheduled(
+  schedule: CatalogSchedule | null | undefined,
+  now: Date = new Date()
+): boolean {
+  if (!schedule) return true;
+  const clock = getScheduleClock(
+    now,
+    isValidTimeZone(schedule.timezone) ? schedule.timezone : 'UTC'
+  );
+
+  const dateRanges = schedule.dateRanges || [];
+  const yearlyRanges = schedule.yearlyRanges || [];
+  if (dateRanges.length > 0 || yearlyRanges.length > 0) {
+    const inWindow =
+      dateRanges.some((range) => clock.date >= range.from && clock.date <= range.to) ||
+      yearlyRanges.some((range) => inYearlyRange(clock.monthDay, range));
+    if (!inWindow) return false;
+  }
+  if (schedule.weekdays?.length && !schedule.weekdays.includes(clock.weekday)) return false;
+  if (schedule.hours?.length && !schedule.hours.includes(clock.hour)) return false;
+  return true;
+}
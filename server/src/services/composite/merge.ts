@@ -0,0 +1,160 @@
+import type { AnimeIdEntry } from '../animeIdMap/index.ts';
+import type {
+  CatalogConfig,
+  CompositeMergeMode,
+  StremioMetaPreview,
+  UserConfig,
+} from '../../types/index.ts';
+import { metaIdentityKeys } from '../../utils/metaIdResolution.ts';
+import { COMPOSITE_LIMITS } from '../../constants.ts';
+
+type AnimeEntryLookup = (id: string) => AnimeIdEntry | undefined;
+
+export interface CompositeMergeOptions {
+  mode: CompositeMergeMode;
+  /** Per-list weights, aligned with the `lists` argument. Defaults to 1. */
+  weights?: number[];
+  /** Anime id map lookup used to fold anilist:/kitsu:/mal: ids onto IMDb/TMDB. */
+  lookupAnimeEntry?: AnimeEntryLookup;
+}
+
+// Reciprocal-rank-fusion damping constant; 60 is the value from the original paper.
+const RRF_K = 60;
+
+const MERGE_MODES: ReadonlySet<CompositeMergeMode> = new Set(['roundRobin', 'interleave', 'score']);
+
+export function normalizeCompositeMergeMode(value: unknown): CompositeMergeMode {
+  return MERGE_MODES.has(value as CompositeMergeMode)
+    ? (value as CompositeMergeMode)
+    : 'roundRobin';
+}
+
+export function normalizeCompositeWeight(value: unknown): number {
+  const parsed = typeof value === 'number' ? value : Number.parseFloat(String(value));
+  if (!Number.isFinite(parsed) || parsed <= 0) return 1;
+  return Math.min(parsed, COMPOSITE_LIMITS.MAX_WEIGHT);
+}
+
+/**
+ * Resolve the member catalogs of a composite, in the order the user listed
+ * them. Members must share the composite's content type; nested composites
+ * and self-references are dropped so a request can never recurse.
+ */
+export function resolveCompositeMembers(
+  userConfig: UserConfig,
+  composite: CatalogConfig
+): CatalogConfig[] {
+  const ids = Array.isArray(composite.filters?.compositeCatalogIds)
+    ? composite.filters.compositeCatalogIds
+    : [];
+  const byId = new Map((userConfig.catalogs || []).map((c) => [c._id, c]));
+  const members: CatalogConfig[] = [];
+  const seen = new Set<string>();
+
+  for (const id of ids) {
+    if (typeof id !== 'string' || seen.has(id) || id === composite._id) continue;
+    seen.add(id);
+    const member = byId.get(id);
+    if (!member || member.source === 'composite' || member.type !== composite.type) continue;
+    members.push(member);
+    if (members.length >= COMPOSITE_LIMITS.MAX_MEMBERS) break;
+  }
+
+  return members;
+}
+
+function roundRobin(
+  lists: StremioMetaPreview[][],
+  weights: number[],
+  weighted: boolean
+): StremioMetaPreview[] {
+  const cursors = lists.map(() => 0);
+  const credits = lists.map(() => 0);
+  const ordered: StremioMetaPreview[] = [];
+  let active = lists.map((list, i) => (list.length > 0 ? i : -1)).filter((i) => i >= 0);
+
+  while (active.length > 0) {
+    let picks: number[];
+    if (weighted) {
+      // Smooth weighted round-robin: every list earns its weight in credit per
+      // step and the richest list pays the total back, so a weight-2 member
+      // contributes twice as often without emitting in bursts.
+      const total = active.reduce((sum, i) => sum + weights[i], 0);
+      let best = active[0];
+      for (const i of active) {
+        credits[i] += weights[i];
+        if (credits[i] > credits[best]) best = i;
+      }
+      credits[best] -= total;
+      picks = [best];
+    } else {
+      picks = active;
+    }
+
+    for (const i of picks) {
+      ordered.push(lists[i][cursors[i]]);
+      cursors[i]++;
+    }
+    active = active.filter((i) => cursors[i] < lists[i].length);
+  }
+
+  return ordered;
+}
+
+function scoreMerge(
+  lists: StremioMetaPreview[][],
+  weights: number[],
+  lookupAnimeEntry: AnimeEntryLookup
+): StremioMetaPreview[] {
+  const groups: { meta: StremioMetaPreview; score: number; order: number }[] = [];
+  const groupByKey = new Map<string, number>();
+
+  lists.forEach((list, listIndex) => {
+    list.forEach((meta, rank) => {
+      const keys = metaIdentityKeys(meta, lookupAnimeEntry);
+      const contribution = weights[listIndex] / (RRF_K + rank + 1);
+      const existing = keys.map((k) => groupByKey.get(k)).find((g) => g !== undefined);
+      const groupIndex = existing ?? groups.length;
+      if (existing === undefined) {
+        groups.push({ meta, score: 0, order: groups.length });
+      }
+      groups[groupIndex].score += contribution;
+      for (const key of keys) groupByKey.set(key, groupIndex);
+    });
+  });
+
+  return groups.sort((a, b) => b.score - a.score || a.order - b.order).map((group) => group.meta);
+}
+
+/**
+ * Merge several member catalog pages into one deduplicated list.
+ *
+ * - `roundRobin` takes one title from each member in turn.
+ * - `interleave` does the same but lets weights decide how often each member is drawn.
+ * - `score` ranks by weighted reciprocal rank, so titles several members agree on rise.
+ *
+ * The round-robin modes are prefix-stable: merging deeper member lists never
+ * reorders titles that were already emitted, which keeps `skip` paging consistent.
+ */
+export function mergeCompositeMetas(
+  lists: StremioMetaPreview[][],
+  options: CompositeMergeOptions
+): StremioMetaPreview[] {
+  const lookupAnimeEntry = options.lookupAnimeEntry ?? (() => undefined);
+  const weights = lists.map((_, i) => normalizeCompositeWeight(options.weights?.[i]));
+
+  if (options.mode === 'score') {
+    return scoreMerge(lists, weights, lookupAnimeEntry);
+  }
+
+  const ordered = roundRobin(lists, weights, options.mode === 'interleave');
+  const seen = new Set<string>();
+  const merged: StremioMetaPreview[] = [];
+  for (const meta of ordered) {
+    const keys = metaIdentityKeys(meta, lookupAnimeEntry);
+    if (keys.some((key) => seen.has(key))) continue;
+    for (const key of keys) seen.add(key);
+    merged.push(meta);
+  }
+  return merged;
+}
@@ -0,0 +1,57 @@
+import { getStorage } from '../storage/index.ts';
+import { config } from '../../config.ts';
+import { stableStringify } from '../../utils/stableStringify.ts';
+import type { CatalogConfig, ConfigRevision, UserConfig } from '../../types/index.ts';
+
+type RevisionContent = Pick<ConfigRevision, 'configName' | 'catalogs'>;
+
+// Round-trip through JSON so revisions compare the same whichever adapter stored them.
+function toContent(source: Pick<UserConfig, 'configName' | 'catalogs'>): RevisionContent {
+  return {
+    configName: source.configName || '',
+    catalogs: JSON.parse(JSON.stringify(source.catalogs || [])) as CatalogConfig[],
+  };
+}
+
+function sameContent(a: RevisionContent, b: RevisionContent): boolean {
+  return stableStringify(toContent(a)) === stableStringify(toContent(b));
+}
+
+/**
+ * Record a saved config as its newest revision. Saves that leave the name and
+ * catalogs untouched add nothing. When a config has no history yet, the state
+ * it had before this save is recorded first so the first edit can be undone.
+ */
+export async function recordConfigRevision(
+  previous: UserConfig | null,
+  saved: UserConfig,
+  keep: number = config.configHistory.maxRevisions
+): Promise<ConfigRevision | null> {
+  if (keep <= 0) return null;
+  const storage = getStorage();
+  let [latest] = await storage.getConfigRevisions(saved.userId);
+
+  if (!latest && previous && (previous.catalogs?.length ?? 0) > 0) {
+    latest = await storage.saveConfigRevision(
+      {
+        userId: saved.userId,
+        rev: 1,
+        ...toContent(previous),
+        savedAt: previous.updatedAt ? new Date(previous.updatedAt) : new Date(),
+      },
+      keep
+    );
+  }
+
+  const content = toContent(saved);
+  if (latest && sameContent(latest, content)) return null;
+
+  return storage.saveConfigRevision(
+    { userId: saved.userId, rev: (latest?.rev ?? 0) + 1, ...content, savedAt: new Date() },
+    keep
+  );
+}
+
+export async function getConfigRevisions(userId: string): Promise<ConfigRevision[]> {
+  return getStorage().getConfigRevisions(userId);
+}
@@ -8,9 +8,20 @@ import {
   type ArtworkProviderForValidation,
 } from '../utils/artworkValidation.ts';
 import { validateTvdbApiKeyAuthorization } from './artworkService.ts';
+import { normalizePosterCompositeLayout } from './posterComposite/layout.ts';
 import { encrypt, decrypt } from '../utils/encryption.ts';
 import { computeApiKeyId } from '../utils/security.ts';
 import { getConfigCache } from '../infrastructure/configCache.ts';
+import { normalizeExcludedItems } from './exclusions/index.ts';
+import { normalizePostFilters } from './postFilters/index.ts';
+import { normalizeLetterboxdItems } from './letterboxd/index.ts';
+import { normalizeCustomListItems } from './tmdb/customList.ts';
+import { recordConfigRevision } from './configHistory/index.ts';
+import { normalizeCatalogSchedule } from './catalogSchedule/index.ts';
+import { normalizeWatchedTitlesMode } from './watchHistory/index.ts';
+import { normalizeFilterTemplates, unlinkMissingTemplates } from './filterTemplates/index.ts';
+import { normalizeMaturityLevel } from './maturity/index.ts';
+import { normalizeUnifiedSearchMode } from './unifiedSearch/index.ts';
 import type {
   UserConfig,
   PublicStats,
@@ -18,6 +29,7 @@ import type {
   ArtworkSourceConfig,
   ArtContentType,
   ArtKind,
+  AccountTokenField,
 } from '../types/index.ts';
 
 // ─── Re-exports from extracted modules ────────────────────
@@ -215,12 +227,25 @@ export async function saveUserConfig(config: UserConfig): Promise<UserConfig> {
     if (Array.isArray(cleanFilters.watchMonetizationType)) {
       cleanFilters.watchMonetizationType = cleanFilters.watchMonetizationType[0] || undefined;
     }
+    if (cleanFilters.postFilters !== undefined) {
+      cleanFilters.postFilters = normalizePostFilters(cleanFilters.postFilters) ?? undefined;
+    }
+    if (cleanFilters.letterboxdItems !== undefined) {
+      cleanFilters.letterboxdItems = normalizeLetterboxdItems(cleanFilters.letterboxdItems);
+    }
+    if (cleanFilters.customItems !== undefined) {
+      cleanFilters.customItems = normalizeCustomListItems(cleanFilters.customItems);
+    }
 
-    return {
+    const processed = {
       ...c,
       _id: c._id || c.id || crypto.randomUUID(),
       filters: cleanFilters,
     };
+    if (c.schedule !== undefined) {
+      processed.schedule = normalizeCatalogSchedule(c.schedule) ?? undefined;
+    }
+    return processed;
   });
 
   log.debug('Processed catalogs for saving', {
@@ -230,6 +255,29 @@ export async function saveUserConfig(config: UserConfig): Promise<UserConfig> {
 
   try {
     const processedPreferences = { ...(mergedConfig.preferences || {}) };
+    if (processedPreferences.excludedItems !== undefined) {
+      processedPreferences.excludedItems = normalizeExcludedItems(
+        processedPreferences.excludedItems
+      );
+    }
+    if (processedPreferences.watchedTitles !== undefined) {
+      processedPreferences.watchedTitles = normalizeWatchedTitlesMode(
+        processedPreferences.watchedTitles
+      );
+    }
+    if (processedPreferences.maxMaturity !== undefined) {
+      processedPreferences.maxMaturity = normalizeMaturityLevel(processedPreferences.maxMaturity);
+    }
+    if (processedPreferences.filterTemplates !== undefined) {
+      processedPreferences.filterTemplates = normalizeFilterTemplates(
+        processedPreferences.filterTemplates
+      );
+    }
+    if (processedPreferences.unifiedSearch !== undefined) {
+      processedPreferences.unifiedSearch = normalizeUnifiedSearchMode(
+        processedPreferences.unifiedSearch
+      );
+    }
     const tvdbAuthorizationCache = new Map<
       string,
       Awaited<ReturnType<typeof validateTvdbApiKeyAuthorization>>
@@ -286,6 +334,13 @@ export async function saveUserConfig(config: UserConfig): Promise<UserConfig> {
                 safePattern || undefined;
             }
 
+            if (sourceConfig.compositeLayout !== undefined) {
+              (settings[ct] as Record<string, ArtworkSourceConfig>)[kind].compositeLayout =
+                provider === 'composited' && kind === 'poster'
+                  ? normalizePosterCompositeLayout(sourceConfig.compositeLayout)
+                  : undefined;
+            }
+
             const rawKey = sourceConfig.apiKey;
             if (rawKey !== undefined) {
               const validation = validateArtworkProviderApiKey(
@@ -408,7 +463,7 @@ export async function saveUserConfig(config: UserConfig): Promise<UserConfig> {
     const updateData = {
       ...mergedConfig,
       configName: mergedConfig.configName || '',
-      catalogs: processedCatalogs,
+      catalogs: unlinkMissingTemplates(processedCatalogs, processedPreferences.filterTemplates),
       preferences: processedPreferences,
       updatedAt: new Date(),
     };
@@ -441,6 +496,18 @@ export async function saveUserConfig(config: UserConfig): Promise<UserConfig> {
       catalogCount: result?.catalogs?.length || 0,
     });
 
+    // History is best-effort: a failed revision write must not fail the save.
+    if (result) {
+      try {
+        await recordConfigRevision(existingConfig, result);
+      } catch (historyError) {
+        log.warn('Config revision was not recorded after save', {
+          userId: safeUserId,
+          error: (historyError as Error).message,
+        });
+      }
+    }
+
     // Req 5.1/5.4/5.6: after the config is persisted, bring the marketplace
     // index in sync with the saved configuration (publish/unpublish/content
     // changes). marketplaceService imports from configService, so a static
@@ -519,6 +586,20 @@ export async function updateCatalogGenres(
   }
 }
 
+/**
+ * Store a linked account's tokens without saving the whole config, so
+ * `updatedAt` (and every cache key derived from it) stays as it was.
+ */
+export async function saveAccountTokens(
+  userId: string,
+  field: AccountTokenField,
+  encrypted: string
+): Promise<boolean> {
+  const saved = await getStorage().setAccountTokens(userId, field, encrypted);
+  getConfigCache().invalidate(userId);
+  return saved;
+}
+
 export async function getConfigsByApiKey(
   apiKey: string | null,
   apiKeyId: string | null = null
@@ -577,6 +658,45 @@ export async function deleteUserConfig(
 
     log.info('Config deleted from storage', { userId: safeUserId });
 
+    try {
+      await storage.deleteCatalogSnapshots(safeUserId);
+    } catch (snapshotError) {
+      log.warn('Catalog snapshots were not removed after delete', {
+        userId: safeUserId,
+        error: (snapshotError as Error).message,
+      });
+    }
+
+    try {
+      await storage.deleteConfigRevisions(safeUserId);
+    } catch (historyError) {
+      log.warn('Config revisions were not removed after delete', {
+        userId: safeUserId,
+        error: (historyError as Error).message,
+      });
+    }
+
+    try {
+      await storage.deleteWatchHistory(safeUserId);
+    } catch (watchHistoryError) {
+      log.warn('Watch history was not removed after delete', {
+        userId: safeUserId,
+        error: (watchHistoryError as Error).message,
+      });
+    }
+
+    // The household's shared catalogs go with its last profile.
+    try {
+      if (config.apiKeyId && (await storage.getConfigsByApiKeyId(config.apiKeyId)).length === 0) {
+        await storage.deleteHousehold(config.apiKeyId);
+      }
+    } catch (householdError) {
+      log.warn('Household was not removed after delete', {
+        userId: safeUserId,
+        error: (householdError as Error).message,
+      });
+    }
+
     // Req 5.4/5.6: deleting the config removes the user entirely, so every
     // marketplace entry that user published must be removed from the index.
     // Reconcile against a snapshot of the deleted config whose catalogs are all
@@ -602,6 +722,36 @@ export async function deleteUserConfig(
   }
 }
 
+/**
+ * Restore the name and catalogs of an earlier revision. The restore is saved
+ * like any other edit, so it becomes the newest revision and can itself be
+ * rolled back.
+ */
+export async function rollbackUserConfig(
+  userId: string,
+  rev: number,
+  apiKey: string
+): Promise<UserConfig> {
+  const safeUserId = sanitizeString(userId, 64);
+  if (!isValidUserId(safeUserId)) {
+    throw new Error('Invalid user ID format');
+  }
+
+  const revision = await getStorage().getConfigRevision(safeUserId, rev);
+  if (!revision) {
+    throw new Error('Revision not found');
+  }
+
+  log.info('Rolling back user config', { userId: safeUserId, rev });
+  return saveUserConfig({
+    userId: safeUserId,
+    tmdbApiKey: apiKey,
+    configName: revision.configName,
+    catalogs: revision.catalogs,
+    preferences: {},
+  });
+}
+
 export async function getPublicStats(): Promise<PublicStats> {
   try {
     const storage = getStorage();
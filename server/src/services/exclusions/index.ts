@@ -0,0 +1,126 @@
+import type { AnimeIdEntry } from '../animeIdMap/index.ts';
+import type { ExcludedItem, StremioMetaPreview } from '../../types/index.ts';
+import { metaIdentityKeys } from '../../utils/metaIdResolution.ts';
+import { sanitizeString } from '../../utils/validation.ts';
+import { DISPLAY, EXCLUSION_LIMITS } from '../../constants.ts';
+
+type AnimeEntryLookup = (id: string) => AnimeIdEntry | undefined;
+
+export type ExclusionMatcher = (meta: StremioMetaPreview) => boolean;
+
+function normalizeExcludedId(value: unknown): string | null {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? `tmdb:${value}` : null;
+  }
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toLowerCase();
+  if (/^tt\d{5,10}$/.test(trimmed)) return trimmed;
+  const tmdbMatch = /^(?:tmdb:)?(\d{1,10})$/.exec(trimmed);
+  if (tmdbMatch && Number(tmdbMatch[1]) > 0) return `tmdb:${Number(tmdbMatch[1])}`;
+  return null;
+}
+
+function exclusionKey(item: ExcludedItem): string {
+  if (item.id.startsWith('tt')) return `imdb:${item.id}`;
+  return item.type ? `tmdb:${item.type}:${item.id.slice(5)}` : item.id;
+}
+
+/**
+ * Validate a user-supplied blocklist: unknown id formats are dropped,
+ * duplicates collapse onto the first entry and the list is capped.
+ */
+export function normalizeExcludedItems(value: unknown): ExcludedItem[] {
+  if (!Array.isArray(value)) return [];
+  const items: ExcludedItem[] = [];
+  const seen = new Set<string>();
+
+  for (const raw of value) {
+    const entry = (typeof raw === 'object' && raw !== null ? raw : { id: raw }) as Record<
+      string,
+      unknown
+    >;
+    const id = normalizeExcludedId(entry.id);
+    if (!id) continue;
+
+    const item: ExcludedItem = { id };
+    if (entry.type === 'movie' || entry.type === 'series') item.type = entry.type;
+    const name =
+      typeof entry.name === 'string'
+        ? sanitizeString(entry.name, EXCLUSION_LIMITS.MAX_NAME_LENGTH).trim()
+        : '';
+    if (name) item.name = name;
+
+    const key = exclusionKey(item);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    items.push(item);
+    if (items.length >= EXCLUSION_LIMITS.MAX_ITEMS) break;
+  }
+
+  return items;
+}
+
+/**
+ * Build a predicate that reports whether a catalog preview is blocklisted.
+ * Previews are matched on every identity they carry, so a title excluded by
+ * IMDb id is also hidden from AniList or Kitsu rows that map onto it.
+ * Returns null when nothing is excluded so callers can skip the work.
+ */
+export function buildExclusionMatcher(
+  items: ExcludedItem[] | undefined,
+  lookupAnimeEntry: AnimeEntryLookup = () => undefined
+): ExclusionMatcher | null {
+  const normalized = normalizeExcludedItems(items);
+  if (normalized.length === 0) return null;
+  const keys = new Set(normalized.map(exclusionKey));
+
+  return (meta) => {
+    const metaType = meta.type === 'movie' || meta.type === 'series' ? meta.type : null;
+    return metaIdentityKeys(meta, lookupAnimeEntry).some((key) => {
+      if (keys.has(key)) return true;
+      if (!key.startsWith('tmdb:')) return false;
+      const tmdbId = key.slice('tmdb:'.length);
+      // Anime rows do not say whether a TMDB id is a movie or a show.
+      return metaType
+        ? keys.has(`tmdb:${metaType}:${tmdbId}`)
+        : keys.has(`tmdb:movie:${tmdbId}`) || keys.has(`tmdb:series:${tmdbId}`);
+    });
+  };
+}
+
+/**
+ * Serve one page of a catalog with blocklisted titles removed. Raw pages are
+ * read from the start of the catalog (they are cached by the source handlers)
+ * and filtered until the requested visible window is full, so rows keep their
+ * page size and `skip` stays consistent with what Stremio has already shown.
+ *
+ * Source handlers map `skip` onto whole upstream pages, so the raw offset
+ * always advances by a full page even when a handler returns fewer items
+ * (maturity or detail lookups can drop some); titles a page repeats are
+ * dropped.
+ */
+export async function collectFilteredPage(
+  fetchRawPage: (rawSkip: number) => Promise<StremioMetaPreview[]>,
+  isExcluded: ExclusionMatcher,
+  skip: number,
+  pageSize: number
+): Promise<StremioMetaPreview[]> {
+  const needed = skip + pageSize;
+  const rawPageSize = DISPLAY.TMDB_PAGE_SIZE;
+  const maxPages = Math.ceil(needed / rawPageSize) + EXCLUSION_LIMITS.BACKFILL_EXTRA_PAGES;
+  const kept: StremioMetaPreview[] = [];
+  const seen = new Set<string>();
+
+  for (let pages = 0; kept.length < needed && pages < maxPages; pages++) {
+    const page = await fetchRawPage(pages * rawPageSize);
+    if (page.length === 0) break;
+    for (const meta of page) {
+      const keys = metaIdentityKeys(meta);
+      if (keys.some((key) => seen.has(key))) continue;
+      keys.forEach((key) => seen.add(key));
+      if (!isExcluded(meta)) kept.push(meta);
+    }
+  }
+
+  return kept.slice(skip, needed);
+}
@@ -0,0 +1,583 @@
+import type { TmdbCatalogFilters, TmdbGenre, TmdbLanguage } from '../../types/index.ts';
+
+/**
+ * Deterministic grammar that reads a catalog description such as "90s
+ * Japanese horror rated above 7 with fewer than 120 minutes" into TMDB
+ * filters. It runs offline against the genre and language lists; people and
+ * keyword phrases are returned as text for the caller to look up. Every word
+ * is either consumed by a rule, skipped as filler, or reported back as
+ * unrecognized, so nothing is dropped silently. Numeric bounds are inclusive.
+ */
+
+export type PromptFilters = Pick<
+  TmdbCatalogFilters,
+  | 'genres'
+  | 'excludeGenres'
+  | 'yearFrom'
+  | 'yearTo'
+  | 'language'
+  | 'ratingMin'
+  | 'ratingMax'
+  | 'runtimeMin'
+  | 'runtimeMax'
+>;
+
+export interface PromptVocabulary {
+  genres: TmdbGenre[];
+  languages: TmdbLanguage[];
+}
+
+export interface ParsedFilterPrompt {
+  filters: PromptFilters;
+  /** Person names, in sentence order, to resolve into `withPeople`. */
+  people: string[];
+  /** Keyword phrases, in sentence order, to resolve into `withKeywords`. */
+  keywords: string[];
+  /** Phrases no rule understood, in sentence order. */
+  unrecognized: string[];
+}
+
+interface Token {
+  raw: string;
+  word: string;
+  used: boolean;
+}
+
+type Bound = 'min' | 'max';
+
+const FILLER = new Set([
+  'a',
+  'an',
+  'the',
+  'and',
+  'or',
+  'with',
+  'in',
+  'of',
+  'from',
+  'that',
+  'which',
+  'are',
+  'is',
+  'made',
+  'released',
+  'only',
+  'movie',
+  'movies',
+  'film',
+  'films',
+  'show',
+  'shows',
+  'series',
+  'tv',
+  'titles',
+  ',',
+]);
+
+const COMPARATORS: [string[], Bound][] = (
+  [
+    [['no', 'less', 'than'], 'min'],
+    [['no', 'more', 'than'], 'max'],
+    [['at', 'least'], 'min'],
+    [['at', 'most'], 'max'],
+    [['more', 'than'], 'min'],
+    [['greater', 'than'], 'min'],
+    [['higher', 'than'], 'min'],
+    [['better', 'than'], 'min'],
+    [['longer', 'than'], 'min'],
+    [['less', 'than'], 'max'],
+    [['fewer', 'than'], 'max'],
+    [['lower', 'than'], 'max'],
+    [['shorter', 'than'], 'max'],
+    [['up', 'to'], 'max'],
+    [['above'], 'min'],
+    [['over'], 'min'],
+    [['minimum'], 'min'],
+    [['min'], 'min'],
+    [['>'], 'min'],
+    [['>='], 'min'],
+    [['below'], 'max'],
+    [['under'], 'max'],
+    [['maximum'], 'max'],
+    [['max'], 'max'],
+    [['<'], 'max'],
+    [['<='], 'max'],
+  ] as [string[], Bound][]
+).sort((a, b) => b[0].length - a[0].length);
+
+const SUFFIX_BOUNDS: Record<string, Bound> = {
+  more: 'min',
+  higher: 'min',
+  longer: 'min',
+  better: 'min',
+  above: 'min',
+  less: 'max',
+  fewer: 'max',
+  lower: 'max',
+  shorter: 'max',
+  under: 'max',
+  below: 'max',
+};
+
+const RATING_LEADS = new Set(['rated', 'rating', 'ratings', 'score', 'scored', 'scoring']);
+const RUNTIME_LEADS = new Set(['runtime', 'runtimes', 'running', 'length', 'lasting']);
+
+// Minutes per unit.
+const RUNTIME_UNITS: Record<string, number> = {
+  m: 1,
+  min: 1,
+  mins: 1,
+  minute: 1,
+  minutes: 1,
+  h: 60,
+  hr: 60,
+  hrs: 60,
+  hour: 60,
+  hours: 60,
+};
+
+const DECADE_WORDS: Record<string, number> = {
+  twenties: 1920,
+  thirties: 1930,
+  forties: 1940,
+  fifties: 1950,
+  sixties: 1960,
+  seventies: 1970,
+  eighties: 1980,
+  nineties: 1990,
+};
+
+// Slices of a decade: "early 90s" is 1990-1993.
+const DECADE_PARTS: Record<string, [number, number]> = {
+  early: [0, 3],
+  mid: [4, 6],
+  late: [7, 9],
+};
+
+const PERSON_LEADS: string[][] = [
+  ['directed', 'by'],
+  ['written', 'by'],
+  ['starring'],
+  ['featuring'],
+  ['with'],
+  ['by'],
+];
+const NAME_PARTICLES = new Set(['de', 'da', 'di', 'del', 'der', 'van', 'von', 'la', 'le', 'bin']);
+
+const KEYWORD_LEADS = new Set(['about', 'involving', 'featuring']);
+const ARTICLES = new Set(['a', 'an', 'the']);
+const RANGE_JOINERS = new Set(['to', 'through', 'until']);
+
+const NEGATIONS = new Set(['no', 'not', 'without', 'except', 'excluding', 'non']);
+
+// Alternative genre names, mapped to every TMDB genre phrase they stand for.
+const GENRE_ALIASES: Record<string, string[]> = {
+  'sci-fi': ['science fiction'],
+  scifi: ['science fiction', 'sci-fi'],
+  'sci fi': ['science fiction', 'sci-fi'],
+  'science fiction': ['sci-fi'],
+  animated: ['animation'],
+  cartoon: ['animation'],
+  romantic: ['romance'],
+  romcom: ['romance', 'comedy'],
+  'rom-com': ['romance', 'comedy'],
+  scary: ['horror'],
+  funny: ['comedy'],
+  documentaries: ['documentary'],
+  docs: ['documentary'],
+};
+
+// Language names TMDB lists under another English name.
+const LANGUAGE_ALIASES: Record<string, string> = {
+  chinese: 'zh',
+  farsi: 'fa',
+  filipino: 'tl',
+};
+
+function tokenize(text: string): Token[] {
+  return text
+    .split(/\s+|(,)/)
+    .filter((part): part is string => !!part)
+    .map((part) => part.replace(/^[^\p{L}\p{N}'<>]+|[^\p{L}\p{N}+]+$/gu, '') || part)
+    .filter((raw) => raw === ',' || /[\p{L}\p{N}<>]/u.test(raw))
+    .map((raw) => ({ raw, word: raw.toLowerCase(), used: false }));
+}
+
+function singular(word: string): string {
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function parseYear(word: string): number | null {
+  return /^(18[89]\d|19\d{2}|20\d{2})$/.test(word) ? Number(word) : null;
+}
+
+/** "90s", "'90s", "1990s", "nineties" → first year of the decade. */
+function parseDecade(word: string): number | null {
+  if (DECADE_WORDS[word]) return DECADE_WORDS[word];
+  const match = word.match(/^'?(\d{2}|\d{4})'?s$/);
+  if (!match || !match[1].endsWith('0')) return null;
+  if (match[1].length === 4) return parseYear(match[1]);
+  const short = Number(match[1]);
+  return short >= 30 ? 1900 + short : 2000 + short;
+}
+
+function parseQuantity(word: string): { value: number; unit?: number; plus: boolean } | null {
+  const match = word.match(/^(\d+(?:\.\d+)?)(?:\/10)?([a-z]*)(\+)?$/);
+  if (!match) return null;
+  const unit = match[2] ? RUNTIME_UNITS[match[2]] : undefined;
+  if (match[2] && !unit) return null;
+  return { value: Number(match[1]), unit, plus: !!match[3] };
+}
+
+class PromptParser {
+  private tokens: Token[];
+  private genreIndex = new Map<string, number>();
+  private languageIndex = new Map<string, string>();
+  readonly result: ParsedFilterPrompt = { filters: {}, people: [], keywords: [], unrecognized: [] };
+
+  constructor(text: string, vocabulary: PromptVocabulary) {
+    this.tokens = tokenize(text);
+    for (const genre of vocabulary.genres) {
+      const name = genre.name.toLowerCase();
+      this.genreIndex.set(name, genre.id);
+      for (const part of name.split(/\s*&\s*/)) this.genreIndex.set(part, genre.id);
+    }
+    for (const language of vocabulary.languages) {
+      this.languageIndex.set(language.english_name.toLowerCase(), language.iso_639_1);
+    }
+    for (const [alias, code] of Object.entries(LANGUAGE_ALIASES)) {
+      if (!this.languageIndex.has(alias)) this.languageIndex.set(alias, code);
+    }
+  }
+
+  private word(i: number): string {
+    return this.tokens[i] && !this.tokens[i].used ? this.tokens[i].word : '';
+  }
+
+  private matchWords(i: number, words: string[]): boolean {
+    return words.every((w, k) => this.word(i + k) === w);
+  }
+
+  private matchComparator(i: number): { bound: Bound; length: number } | null {
+    for (const [words, bound] of COMPARATORS) {
+      if (this.matchWords(i, words)) return { bound, length: words.length };
+    }
+    return null;
+  }
+
+  /** A year or decade (optionally "the 90s", "early 90s") as an inclusive range. */
+  private matchPeriod(i: number): { from: number; to: number; length: number } | null {
+    let j = i;
+    if (this.word(j) === 'the') j++;
+    // "mid-90s" is one token, "mid 90s" two.
+    const hyphenated = this.word(j).match(/^(early|mid|late)-(.+)$/);
+    let part: [number, number] | undefined = hyphenated
+      ? DECADE_PARTS[hyphenated[1]]
+      : DECADE_PARTS[this.word(j)];
+    if (part && !hyphenated) j++;
+    const decade = parseDecade(hyphenated ? hyphenated[2] : this.word(j));
+    if (decade === null && hyphenated) part = undefined;
+    if (decade !== null) {
+      const [lo, hi] = part || [0, 9];
+      return { from: decade + lo, to: decade + hi, length: j + 1 - i };
+    }
+    const year = part ? null : parseYear(this.word(j));
+    return year === null ? null : { from: year, to: year, length: j + 1 - i };
+  }
+
+  private setYears(from: number | undefined, to: number | undefined): void {
+    if (from !== undefined) this.result.filters.yearFrom = from;
+    if (to !== undefined) this.result.filters.yearTo = to;
+  }
+
+  /** "between 1990 and 2000", "from 1990 to 2000", "1990-2000", "1990 to 2000". */
+  private matchYearRange(i: number): number {
+    const dashed = this.word(i).match(/^(\d{4})[-–](\d{4})$/);
+    if (dashed && parseYear(dashed[1]) && parseYear(dashed[2])) {
+      this.setYears(Number(dashed[1]), Number(dashed[2]));
+      return 1;
+    }
+    const lead = this.word(i) === 'between' || this.word(i) === 'from' ? 1 : 0;
+    const start = this.matchPeriod(i + lead);
+    if (!start) return 0;
+    const joiner = i + lead + start.length;
+    const joinerWord = this.word(joiner);
+    if (this.word(i) === 'between' ? joinerWord !== 'and' : !RANGE_JOINERS.has(joinerWord)) {
+      return 0;
+    }
+    const end = this.matchPeriod(joiner + 1);
+    if (!end) return 0;
+    this.setYears(start.from, end.to);
+    return joiner + 1 + end.length - i;
+  }
+
+  /** "before 2000", "after the 80s", "since 2015", "until 1999", or a bare year/decade. */
+  private matchYearBound(i: number): number {
+    const lead = this.word(i);
+    const bounded = ['before', 'after', 'since', 'from', 'until', 'through'].includes(lead);
+    const period = this.matchPeriod(bounded ? i + 1 : i);
+    if (!period) return 0;
+    if (lead === 'before') this.setYears(undefined, period.from - 1);
+    else if (lead === 'after') this.setYears(period.to + 1, undefined);
+    else if (lead === 'since' || lead === 'from') this.setYears(period.from, undefined);
+    else if (lead === 'until' || lead === 'through') this.setYears(undefined, period.to);
+    else this.setYears(period.from, period.to);
+    return period.length + (bounded ? 1 : 0);
+  }
+
+  /**
+   * Ratings and runtimes: "rated above 7", "rating of at least 7.5",
+   * "rated 8+", "under 2 hours", "fewer than 120 minutes", "90 minutes or
+   * longer". A bare "above 7" is read as a rating.
+   */
+  private matchComparison(i: number): number {
+    let j = i;
+    let field: 'rating' | 'runtime' | null = null;
+    if (RATING_LEADS.has(this.word(j))) {
+      field = 'rating';
+      j++;
+    } else if (RUNTIME_LEADS.has(this.word(j))) {
+      field = 'runtime';
+      j += this.word(j) === 'running' && this.word(j + 1) === 'time' ? 2 : 1;
+    }
+    if (field && this.word(j) === 'of') j++;
+
+    const comparator = this.matchComparator(j);
+    if (comparator) j += comparator.length;
+
+    const quantity = parseQuantity(this.word(j));
+    if (!quantity) return 0;
+    j++;
+    let unit = quantity.unit;
+    if (unit === undefined && RUNTIME_UNITS[this.word(j)]) {
+      unit = RUNTIME_UNITS[this.word(j)];
+      j++;
+    }
+    if (unit !== undefined && this.word(j) === 'long') j++;
+    if (unit === undefined && this.word(j) === 'stars') j++;
+    if (unit === undefined && this.matchWords(j, ['out', 'of', '10'])) j += 3;
+
+    let bound = comparator?.bound ?? (quantity.plus ? 'min' : undefined);
+    if (this.word(j) === 'or' && SUFFIX_BOUNDS[this.word(j + 1)]) {
+      bound = bound ?? SUFFIX_BOUNDS[this.word(j + 1)];
+      j += 2;
+    }
+
+    if (unit !== undefined) {
+      if (field === 'rating') return 0;
+      field = 'runtime';
+    } else if (!field && quantity.value <= 10 && comparator) {
+      field = 'rating';
+    }
+    if (!field || (field === 'rating' && unit !== undefined)) return 0;
+    if (field === 'rating') bound = bound ?? 'min';
+    if (!bound) return 0;
+
+    if (field === 'rating') {
+      if (quantity.value > 10) return 0;
+      if (bound === 'min') this.result.filters.ratingMin = quantity.value;
+      else this.result.filters.ratingMax = quantity.value;
+    } else {
+      const minutes = Math.round(quantity.value * (unit ?? 1));
+      if (bound === 'min') this.result.filters.runtimeMin = minutes;
+      else this.result.filters.runtimeMax = minutes;
+    }
+    return j - i;
+  }
+
+  private isVocabulary(i: number): boolean {
+    return this.lookupGenres(i) !== null || this.lookupLanguage(i) !== null;
+  }
+
+  /** "starring Tom Hanks and Meg Ryan", "directed by Hayao Miyazaki". */
+  private matchPeople(i: number): number {
+    const lead = PERSON_LEADS.find((words) => this.matchWords(i, words));
+    if (!lead) return 0;
+    let j = i + lead.length;
+    const names: string[] = [];
+
+    while (j < this.tokens.length) {
+      const parts: string[] = [];
+      while (j < this.tokens.length && !this.tokens[j].used) {
+        const raw = this.tokens[j].raw;
+        const capitalized = /^\p{Lu}/u.test(raw) && !this.isVocabulary(j);
+        const particle =
+          parts.length > 0 &&
+          NAME_PARTICLES.has(this.tokens[j].word) &&
+          /^\p{Lu}/u.test(this.tokens[j + 1]?.raw || '');
+        if (!capitalized && !particle) break;
+        parts.push(raw);
+        j++;
+      }
+      if (parts.length === 0) break;
+      names.push(parts.join(' '));
+      const joiner = this.word(j);
+      if (
+        (joiner === 'and' || joiner === ',' || joiner === '&') &&
+        /^\p{Lu}/u.test(this.tokens[j + 1]?.raw || '')
+      ) {
+        j++;
+      } else {
+        break;
+      }
+    }
+
+    if (names.length === 0) return 0;
+    this.result.people.push(...names);
+    return j - i;
+  }
+
+  /** "about time travel and zombies": runs of plain words after a keyword lead. */
+  private matchKeywords(i: number): number {
+    if (!KEYWORD_LEADS.has(this.word(i))) return 0;
+    let j = i + 1;
+    let phrase: string[] = [];
+    const phrases: string[] = [];
+    const flush = () => {
+      if (phrase.length > 0) phrases.push(phrase.join(' '));
+      phrase = [];
+    };
+
+    while (j < this.tokens.length && !this.tokens[j].used) {
+      const word = this.word(j);
+      if (word === 'and' || word === 'or' || word === ',') {
+        flush();
+        j++;
+        continue;
+      }
+      const startsClause =
+        this.matchComparator(j) !== null ||
+        RATING_LEADS.has(word) ||
+        RUNTIME_LEADS.has(word) ||
+        PERSON_LEADS.some((words) => words[0] === word) ||
+        ['before', 'after', 'since', 'from', 'until', 'between', 'in'].includes(word) ||
+        this.matchPeriod(j) !== null ||
+        this.isVocabulary(j);
+      if (startsClause) break;
+      if (phrase.length === 0 && ARTICLES.has(word)) {
+        j++;
+        continue;
+      }
+      phrase.push(this.tokens[j].raw.toLowerCase());
+      j++;
+    }
+    flush();
+    // Give back a trailing "and"/"or" that led into the next clause.
+    while (j > i + 1 && ['and', 'or', ','].includes(this.tokens[j - 1].word)) j--;
+
+    if (phrases.length === 0) return 0;
+    this.result.keywords.push(...phrases);
+    return j - i;
+  }
+
+  /** Genre ids for the longest genre phrase (up to three words) starting at `i`. */
+  private lookupGenres(i: number): { ids: number[]; length: number } | null {
+    for (let length = 3; length >= 1; length--) {
+      const words = Array.from({ length }, (_, k) => this.word(i + k));
+      if (words.some((w) => !w)) continue;
+      const phrase = words.join(' ');
+      const candidates = [phrase, singular(phrase)];
+      for (const candidate of candidates) {
+        const direct = this.genreIndex.get(candidate);
+        if (direct !== undefined) return { ids: [direct], length };
+        const aliased = (GENRE_ALIASES[candidate] || [])
+          .map((alias) => this.genreIndex.get(alias))
+          .filter((id): id is number => id !== undefined);
+        if (aliased.length > 0) return { ids: aliased, length };
+      }
+    }
+    return null;
+  }
+
+  private lookupLanguage(i: number): { code: string; length: number } | null {
+    for (let length = 2; length >= 1; length--) {
+      const words = Array.from({ length }, (_, k) => this.word(i + k));
+      if (words.some((w) => !w)) continue;
+      const phrase = words.join(' ').replace(/-(language|speaking)$/, '');
+      const code = this.languageIndex.get(phrase);
+      if (code) return { code, length };
+    }
+    return null;
+  }
+
+  private addGenres(key: 'genres' | 'excludeGenres', ids: number[]): void {
+    const current = this.result.filters[key] || [];
+    this.result.filters[key] = [...new Set([...current, ...ids])];
+  }
+
+  /** "horror", "no romance", "non-horror", "sci-fi comedies". */
+  private matchGenre(i: number): number {
+    const word = this.word(i);
+    let j = i;
+    let negated = false;
+    if (NEGATIONS.has(word)) {
+      negated = true;
+      j++;
+    } else if (word.startsWith('non-')) {
+      // Look the rest of "non-horror" up as if it stood alone.
+      negated = true;
+      this.tokens[i].word = word.slice('non-'.length);
+    }
+    const found = this.lookupGenres(j);
+    if (!found) {
+      this.tokens[i].word = word;
+      return 0;
+    }
+    this.addGenres(negated ? 'excludeGenres' : 'genres', found.ids);
+    return j - i + found.length;
+  }
+
+  private matchLanguage(i: number): number {
+    const found = this.lookupLanguage(i);
+    if (!found) return 0;
+    const current = this.result.filters.language;
+    // Discover takes one original language; a second one is left for the user.
+    if (current && current !== found.code) return 0;
+    this.result.filters.language = found.code;
+    return found.length;
+  }
+
+  parse(): ParsedFilterPrompt {
+    const matchers = [
+      (i: number) => this.matchYearRange(i),
+      (i: number) => this.matchYearBound(i),
+      (i: number) => this.matchComparison(i),
+      (i: number) => this.matchPeople(i),
+      (i: number) => this.matchKeywords(i),
+      (i: number) => this.matchGenre(i),
+      (i: number) => this.matchLanguage(i),
+    ];
+
+    for (let i = 0; i < this.tokens.length; ) {
+      let consumed = 0;
+      for (const matcher of matchers) {
+        consumed = matcher(i);
+        if (consumed > 0) break;
+      }
+      if (consumed === 0 && FILLER.has(this.tokens[i].word)) consumed = 1;
+      if (consumed === 0) {
+        i++;
+        continue;
+      }
+      for (let k = i; k < i + consumed; k++) this.tokens[k].used = true;
+      i += consumed;
+    }
+
+    let run: string[] = [];
+    for (const token of [...this.tokens, null]) {
+      if (token && !token.used) {
+        run.push(token.raw);
+      } else if (run.length > 0) {
+        this.result.unrecognized.push(run.join(' '));
+        run = [];
+      }
+    }
+    return this.result;
+  }
+}
+
+export function parseFilterPrompt(text: string, vocabulary: PromptVocabulary): ParsedFilterPrompt {
+  return new PromptParser(text, vocabulary).parse();
+}
@@ -0,0 +1,80 @@
+import * as tmdb from '../tmdb/index.ts';
+import { normalizeText } from '../storage/searchHelpers.ts';
+import { FILTER_PROMPT_LIMITS } from '../../constants.ts';
+import type { ContentType } from '../../types/index.ts';
+import { parseFilterPrompt, type PromptFilters } from './grammar.ts';
+
+export { parseFilterPrompt } from './grammar.ts';
+export type { ParsedFilterPrompt, PromptFilters, PromptVocabulary } from './grammar.ts';
+
+export interface ResolvedName {
+  id: number;
+  name: string;
+}
+
+export interface FilterPromptResult {
+  filters: PromptFilters & { withPeople?: string; withKeywords?: string };
+  /** Resolved people and keywords, so the editor can show them by name. */
+  people: ResolvedName[];
+  keywords: ResolvedName[];
+  unrecognized: string[];
+}
+
+/** The exact-name match if TMDB has one, otherwise its top result. */
+async function resolveName(
+  lookup: () => Promise<ResolvedName[]>,
+  phrase: string
+): Promise<ResolvedName | null> {
+  const results = await lookup();
+  const wanted = normalizeText(phrase);
+  const match = results.find((r) => normalizeText(r.name) === wanted) || results[0];
+  return match ? { id: match.id, name: match.name } : null;
+}
+
+/**
+ * Turn a catalog description into TMDB filters. The sentence is parsed
+ * offline against TMDB's genre and original-language lists; only the people
+ * and keyword phrases it names are looked up. Phrases that match nothing are
+ * returned in `unrecognized` alongside the ones the grammar could not read.
+ */
+export async function buildFiltersFromPrompt(
+  apiKey: string,
+  text: string,
+  type: ContentType
+): Promise<FilterPromptResult> {
+  const [genres, languages] = await Promise.all([
+    tmdb.getGenres(apiKey, type === 'series' ? 'series' : 'movie'),
+    tmdb.getOriginalLanguages(apiKey),
+  ]);
+  const parsed = parseFilterPrompt(text.slice(0, FILTER_PROMPT_LIMITS.MAX_LENGTH), {
+    genres,
+    languages,
+  });
+
+  const peopleNames = parsed.people.slice(0, FILTER_PROMPT_LIMITS.MAX_LOOKUPS);
+  const keywordPhrases = parsed.keywords.slice(0, FILTER_PROMPT_LIMITS.MAX_LOOKUPS);
+  const [people, keywords] = await Promise.all([
+    Promise.all(
+      peopleNames.map((name) => resolveName(() => tmdb.searchPerson(apiKey, name), name))
+    ),
+    Promise.all(
+      keywordPhrases.map((phrase) => resolveName(() => tmdb.searchKeyword(apiKey, phrase), phrase))
+    ),
+  ]);
+
+  const unrecognized = [
+    ...parsed.unrecognized,
+    ...peopleNames.filter((_, i) => !people[i]),
+    ...parsed.people.slice(FILTER_PROMPT_LIMITS.MAX_LOOKUPS),
+    ...keywordPhrases.filter((_, i) => !keywords[i]),
+    ...parsed.keywords.slice(FILTER_PROMPT_LIMITS.MAX_LOOKUPS),
+  ];
+  const foundPeople = people.filter((p): p is ResolvedName => p !== null);
+  const foundKeywords = keywords.filter((k): k is ResolvedName => k !== null);
+
+  const filters: FilterPromptResult['filters'] = { ...parsed.filters };
+  if (foundPeople.length > 0) filters.withPeople = foundPeople.map((p) => p.id).join(',');
+  if (foundKeywords.length > 0) filters.withKeywords = foundKeywords.map((k) => k.id).join(',');
+
+  return { filters, people: foundPeople, keywords: foundKeywords, unrecognized };
+}
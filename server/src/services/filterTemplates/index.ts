@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { sanitizeString } from '../../utils/validation.ts';
+import { FILTER_TEMPLATE_LIMITS } from '../../constants.ts';
+import type { CatalogConfig, FilterTemplate, FilterTemplateFilters } from '../../types/index.ts';
+
+/**
+ * Filter templates: named, source-neutral filter sets kept in
+ * `preferences.filterTemplates`. A catalog either copies a template's
+ * filters once or inherits it through `filterTemplateId`, in which case the
+ * editor rewrites the catalog's filters whenever the template changes. The
+ * mapping onto each source's filter keys lives in the client; the server
+ * only validates templates and unlinks catalogs from deleted ones.
+ */
+
+const RANGES: Record<string, [number, number]> = {
+  yearFrom: [1870, 2100],
+  yearTo: [1870, 2100],
+  ratingMin: [0, 10],
+  ratingMax: [0, 10],
+  voteCountMin: [0, 10_000_000],
+  runtimeMin: [0, 1000],
+  runtimeMax: [0, 1000],
+};
+
+/** Two-letter ISO codes, cased the way TMDB returns them. */
+function normalizeCodes(value: unknown, upperCase: boolean): string[] | undefined {
+  if (!Array.isArray(value)) return undefined;
+  const codes = value
+    .filter((code): code is string => typeof code === 'string' && /^[a-z]{2}$/i.test(code.trim()))
+    .map((code) => (upperCase ? code.trim().toUpperCase() : code.trim().toLowerCase()));
+  const unique = [...new Set(codes)].slice(0, FILTER_TEMPLATE_LIMITS.MAX_LIST_ITEMS);
+  return unique.length > 0 ? unique : undefined;
+}
+
+function normalizeNames(value: unknown): string[] | undefined {
+  if (!Array.isArray(value)) return undefined;
+  const names = value
+    .filter((name): name is string => typeof name === 'string')
+    .map((name) => sanitizeString(name, FILTER_TEMPLATE_LIMITS.MAX_NAME_LENGTH).trim())
+    .filter(Boolean);
+  const unique = [...new Set(names)].slice(0, FILTER_TEMPLATE_LIMITS.MAX_LIST_ITEMS);
+  return unique.length > 0 ? unique : undefined;
+}
+
+function normalizeTemplateFilters(value: unknown): FilterTemplateFilters {
+  const raw = (typeof value === 'object' && value !== null ? value : {}) as Record<string, unknown>;
+  const filters: FilterTemplateFilters = {};
+
+  for (const [key, [min, max]] of Object.entries(RANGES)) {
+    if (raw[key] === undefined || raw[key] === null || raw[key] === '') continue;
+    const number = Number(raw[key]);
+    if (!Number.isFinite(number) || number < min || number > max) continue;
+    (filters as Record<string, number>)[key] = number;
+  }
+
+  const languages = normalizeCodes(raw.languages, false);
+  if (languages) filters.languages = languages;
+  const countries = normalizeCodes(raw.countries, true);
+  if (countries) filters.countries = countries;
+  const genres = normalizeNames(raw.genres);
+  if (genres) filters.genres = genres;
+  const excludeGenres = normalizeNames(raw.excludeGenres);
+  if (excludeGenres) filters.excludeGenres = excludeGenres;
+
+  return filters;
+}
+
+/**
+ * Validate user-supplied templates: entries without a name are dropped,
+ * unknown filter keys and out-of-range values are removed, duplicate ids get
+ * a fresh one and the list is capped.
+ */
+export function normalizeFilterTemplates(value: unknown): FilterTemplate[] {
+  if (!Array.isArray(value)) return [];
+  const templates: FilterTemplate[] = [];
+  const ids = new Set<string>();
+
+  for (const raw of value) {
+    if (typeof raw !== 'object' || raw === null) continue;
+    const entry = raw as Record<string, unknown>;
+    const name =
+      typeof entry.name === 'string'
+        ? sanitizeString(entry.name, FILTER_TEMPLATE_LIMITS.MAX_NAME_LENGTH).trim()
+        : '';
+    if (!name) continue;
+
+    let id = typeof entry.id === 'string' ? sanitizeString(entry.id, 64).trim() : '';
+    if (!id || ids.has(id)) id = crypto.randomUUID();
+    ids.add(id);
+
+    templates.push({ id, name, filters: normalizeTemplateFilters(entry.filters) });
+    if (templates.length >= FILTER_TEMPLATE_LIMITS.MAX_TEMPLATES) break;
+  }
+
+  return templates;
+}
+
+/**
+ * Drop `filterTemplateId` from catalogs whose template no longer exists.
+ * They keep the filters they last inherited.
+ */
+export function unlinkMissingTemplates(
+  catalogs: CatalogConfig[],
+  templates: FilterTemplate[] | undefined
+): CatalogConfig[] {
+  const ids = new Set((templates || []).map((template) => template.id));
+  return catalogs.map((catalog) => {
+    if (!catalog.filterTemplateId || ids.has(catalog.filterTemplateId)) return catalog;
+    const { filterTemplateId: _filterTemplateId, ...unlinked } = catalog;
+    return unlinked;
+  });
+}
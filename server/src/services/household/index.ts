@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import { getStorage } from '../storage/index.ts';
+import { getConfigsByApiKey, getUserConfig, saveUserConfig } from '../configService.ts';
+import { AppError, ErrorCodes } from '../../utils/AppError.ts';
+import { stableStringify } from '../../utils/stableStringify.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { HOUSEHOLD_LIMITS } from '../../constants.ts';
+import type { CatalogConfig, Household, UserConfig } from '../../types/index.ts';
+
+const log = createLogger('household');
+
+/**
+ * Households.
+ *
+ * Every config created with one TMDB key is a profile of that key's
+ * household, with its own manifest and preferences (display language,
+ * artwork, search). Shared catalogs are stored once per key, and a profile
+ * includes one through a catalog entry whose `householdCatalogId` points at
+ * it. The entry's own name and filters are only a fallback:
+ * {@link resolveHouseholdCatalogs} swaps in the shared definition while
+ * keeping the profile's `enabled` flag, schedule and adult toggle. Edits a
+ * profile saves to an included catalog are written back to the definition
+ * by {@link syncHouseholdEdits}, so every other profile serves them too.
+ */
+
+export interface HouseholdProfile {
+  userId: string;
+  configName: string;
+  catalogIds: string[]; // shared catalogs the profile includes
+}
+
+export interface HouseholdOverview {
+  catalogs: CatalogConfig[];
+  profiles: HouseholdProfile[];
+  updatedAt: Date | null;
+}
+
+/** The part of a catalog every including profile serves alike. */
+function sharedContent(catalog: CatalogConfig): Record<string, unknown> {
+  const { includeAdult: _includeAdult, ...filters } = catalog.filters || {};
+  return {
+    name: catalog.name,
+    type: catalog.type,
+    source: catalog.source || 'tmdb',
+    filters,
+    formState: catalog.formState ?? null,
+  };
+}
+
+function sameSharedContent(a: CatalogConfig, b: CatalogConfig): boolean {
+  return stableStringify(sharedContent(a)) === stableStringify(sharedContent(b));
+}
+
+/** A profile's catalog as a shared definition: per-profile state is dropped. */
+function toSharedDefinition(catalog: CatalogConfig, id: string): CatalogConfig {
+  const {
+    id: _legacyId,
+    enabled: _enabled,
+    schedule: _schedule,
+    published: _published,
+    clonedFrom: _clonedFrom,
+    householdCatalogId: _householdCatalogId,
+    filterTemplateId: _filterTemplateId,
+    ...definition
+  } = catalog;
+  return { ...definition, _id: id };
+}
+
+function applySharedCatalog(entry: CatalogConfig, shared: CatalogConfig): CatalogConfig {
+  const { formState: _formState, ...rest } = entry;
+  const { includeAdult: _includeAdult, ...filters } = shared.filters || {};
+  return {
+    ...rest,
+    name: shared.name,
+    type: shared.type,
+    source: shared.source,
+    filters:
+      entry.filters?.includeAdult !== undefined
+        ? { ...filters, includeAdult: entry.filters.includeAdult }
+        : filters,
+    ...(shared.formState !== undefined ? { formState: shared.formState } : {}),
+  };
+}
+
+/**
+ * Return `config` with every included catalog replaced by its shared
+ * definition. An entry whose definition was unshared keeps its last copy as
+ * a catalog of its own. `updatedAt` is moved forward to the household's so
+ * response cache keys built from it roll over after a shared edit. A failed
+ * household lookup leaves the stored copies serving.
+ */
+export async function resolveHouseholdCatalogs(config: UserConfig): Promise<UserConfig> {
+  const included = (config.catalogs || []).filter((c) => c.householdCatalogId);
+  if (included.length === 0 || !config.apiKeyId) return config;
+
+  let household: Household | null;
+  try {
+    household = await getStorage().getHousehold(config.apiKeyId);
+  } catch (err) {
+    log.warn('Failed to load household', {
+      userId: config.userId,
+      error: (err as Error).message,
+    });
+    return config;
+  }
+
+  const shared = new Map((household?.catalogs || []).map((c) => [c._id, c]));
+  const catalogs = config.catalogs.map((catalog) => {
+    if (!catalog.householdCatalogId) return catalog;
+    const definition = shared.get(catalog.householdCatalogId);
+    if (!definition) {
+      const { householdCatalogId: _householdCatalogId, ...own } = catalog;
+      return own;
+    }
+    return applySharedCatalog(catalog, definition);
+  });
+
+  const updatedAt = Math.max(
+    config.updatedAt ? new Date(config.updatedAt).getTime() : 0,
+    household ? new Date(household.updatedAt).getTime() || 0 : 0
+  );
+  return { ...config, catalogs, updatedAt: updatedAt ? new Date(updatedAt) : config.updatedAt };
+}
+
+/** Shared catalogs of the key's household and which profiles include them. */
+export async function getHouseholdOverview(apiKeyId: string): Promise<HouseholdOverview> {
+  const [household, configs] = await Promise.all([
+    getStorage().getHousehold(apiKeyId),
+    getConfigsByApiKey(null, apiKeyId),
+  ]);
+  return {
+    catalogs: household?.catalogs || [],
+    profiles: configs.map((config) => ({
+      userId: config.userId,
+      configName: config.configName || '',
+      catalogIds: (config.catalogs || [])
+        .map((c) => c.householdCatalogId)
+        .filter((id): id is string => Boolean(id)),
+    })),
+    updatedAt: household?.updatedAt ?? null,
+  };
+}
+
+/**
+ * Share a saved catalog with the household. The catalog becomes a shared
+ * definition and the profile's entry is turned into a reference to it.
+ */
+export async function shareCatalog(
+  apiKeyId: string,
+  userId: string,
+  catalogId: string
+): Promise<{ catalog: CatalogConfig; shared: CatalogConfig }> {
+  const config = await getUserConfig(userId);
+  if (!config || config.apiKeyId !== apiKeyId) {
+    throw new AppError(404, ErrorCodes.CONFIG_NOT_FOUND, 'Configuration not found');
+  }
+  const catalog = (config.catalogs || []).find((c) => c._id === catalogId);
+  if (!catalog) {
+    throw new AppError(404, ErrorCodes.NOT_FOUND, 'Catalog not found');
+  }
+  if (catalog.householdCatalogId) {
+    throw new AppError(400, ErrorCodes.VALIDATION_ERROR, 'Catalog is already shared');
+  }
+
+  const storage = getStorage();
+  const household = (await storage.getHousehold(apiKeyId)) ?? {
+    apiKeyId,
+    catalogs: [],
+    updatedAt: new Date(),
+  };
+  if (household.catalogs.length >= HOUSEHOLD_LIMITS.MAX_CATALOGS) {
+    throw new AppError(
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      `A household can share at most ${HOUSEHOLD_LIMITS.MAX_CATALOGS} catalogs`
+    );
+  }
+
+  const shared = toSharedDefinition(catalog, crypto.randomUUID());
+  await storage.saveHousehold({
+    apiKeyId,
+    catalogs: [...household.catalogs, shared],
+    updatedAt: new Date(),
+  });
+
+  const included: CatalogConfig = { ...catalog, householdCatalogId: shared._id };
+  await saveUserConfig({
+    ...config,
+    catalogs: config.catalogs.map((c) => (c === catalog ? included : c)),
+  });
+  log.info('Shared catalog with household', { userId, catalogId, sharedId: shared._id });
+  return { catalog: included, shared };
+}
+
+/**
+ * Remove a shared definition. Profiles that included it keep their last
+ * copy (see {@link resolveHouseholdCatalogs}).
+ */
+export async function unshareCatalog(apiKeyId: string, sharedId: string): Promise<void> {
+  const storage = getStorage();
+  const household = await storage.getHousehold(apiKeyId);
+  if (!household || !household.catalogs.some((c) => c._id === sharedId)) {
+    throw new AppError(404, ErrorCodes.NOT_FOUND, 'Shared catalog not found');
+  }
+  await storage.saveHousehold({
+    ...household,
+    catalogs: household.catalogs.filter((c) => c._id !== sharedId),
+    updatedAt: new Date(),
+  });
+  log.info('Unshared household catalog', { sharedId });
+}
+
+/**
+ * Write edits a profile just saved to its included catalogs back to their
+ * shared definitions. Only entries that were already included before the
+ * save and whose shared content changed count as edits, so a profile that
+ * includes a catalog or saves an untouched copy leaves the definition alone.
+ * Returns the number of definitions updated.
+ */
+export async function syncHouseholdEdits(
+  saved: UserConfig,
+  previous: CatalogConfig[] = []
+): Promise<number> {
+  if (!saved.apiKeyId) return 0;
+  const before = new Map(previous.map((c) => [c._id, c]));
+  const edits = new Map<string, CatalogConfig>();
+  for (const catalog of saved.catalogs || []) {
+    const prior = catalog.householdCatalogId ? before.get(catalog._id) : undefined;
+    if (!prior || prior.householdCatalogId !== catalog.householdCatalogId) continue;
+    if (!sameSharedContent(prior, catalog)) edits.set(catalog.householdCatalogId!, catalog);
+  }
+  if (edits.size === 0) return 0;
+
+  const storage = getStorage();
+  const household = await storage.getHousehold(saved.apiKeyId);
+  if (!household) return 0;
+
+  let updated = 0;
+  const catalogs = household.catalogs.map((shared) => {
+    const edit = edits.get(shared._id);
+    if (!edit || sameSharedContent(shared, edit)) return shared;
+    updated++;
+    return toSharedDefinition(edit, shared._id);
+  });
+  if (updated > 0) {
+    await storage.saveHousehold({ ...household, catalogs, updatedAt: new Date() });
+    log.info('Updated shared catalogs from profile', { userId: saved.userId, updated });
+  }
+  return updated;
+}
@@ -72,6 +72,10 @@ function isCircuitOpen(): boolean {
   return true;
 }
 
+export function isImdbApiEnabled(): boolean {
+  return config.imdbApi.enabled && !!config.imdbApi.apiKey && !!config.imdbApi.apiHost;
+}
+
 export function getImdbCircuitBreakerState(): {
   state: 'closed' | 'open';
   recentFailures: number;
@@ -7,6 +7,12 @@ import { CACHE_TTLS } from '../../cacheTtls.ts';
 import { createLogger } from '../../utils/logger.ts';
 import { stableStringify } from '../../utils/stableStringify.ts';
 import { logSwallowedError } from '../../utils/helpers.ts';
+import {
+  usesImdbDatasets,
+  localAdvancedSearch,
+  localTopRanking,
+  localPopular,
+} from './localDiscover.ts';
 
 import type {
   ImdbAdvancedSearchParams,
@@ -93,6 +99,7 @@ export async function advancedSearch(
   contentType: ContentType,
   skip: number = 0
 ): Promise<ImdbSearchResult> {
+  if (usesImdbDatasets()) return localAdvancedSearch(params, contentType, skip);
   const ttl = config.imdbApi.cacheTtlSearch;
 
   const queryParams: Record<string, string | number | boolean | string[] | undefined> = {};
@@ -348,6 +355,7 @@ export async function advancedSearch(
 }
 
 export async function getTopRanking(type: ContentType): Promise<ImdbRankingResult> {
+  if (usesImdbDatasets()) return localTopRanking(type);
   const ttl = config.imdbApi.cacheTtlRanking;
   const endpoint =
     type === 'series'
@@ -393,6 +401,7 @@ export async function getTopRanking(type: ContentType): Promise<ImdbRankingResul
 }
 
 export async function getPopular(type: ContentType): Promise<ImdbRankingResult> {
+  if (usesImdbDatasets()) return localPopular(type);
   const ttl = config.imdbApi.cacheTtlPopular;
   const endpoint =
     type === 'series'
@@ -440,6 +449,7 @@ export async function getList(
   skip: number = 0,
   limit: number = IMDB_PAGE_SIZE
 ): Promise<ImdbListResult> {
+  if (usesImdbDatasets()) throw new Error('IMDb lists need the IMDb API');
   const ttl = config.imdbApi.cacheTtlList;
   const sanitizedId = listId.replace(/[^a-zA-Z0-9]/g, '');
   if (!/^ls\d{1,15}$/.test(sanitizedId)) {
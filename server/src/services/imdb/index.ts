@@ -1,4 +1,9 @@
-export { imdbFetch, getImdbCircuitBreakerState, resetImdbCircuitBreaker } from './client.ts';
+export {
+  imdbFetch,
+  isImdbApiEnabled,
+  getImdbCircuitBreakerState,
+  resetImdbCircuitBreaker,
+} from './client.ts';
 export { advancedSearch, getTopRanking, getPopular, getList } from './discover.ts';
 export { getTitle, getPoster, getEpisodesBySeason } from './detail.ts';
 export { search, getSuggestions, basicSearch } from './search.ts';
@@ -45,11 +50,14 @@ export type {
 
 import { config } from '../../config.ts';
 import { createLogger } from '../../utils/logger.ts';
+import { isImdbApiEnabled } from './client.ts';
+import { isImdbDatasetsEnabled } from '../imdbDatasets/index.ts';
 
 const log = createLogger('imdb:init');
 
-export function isImdbApiEnabled(): boolean {
-  return config.imdbApi.enabled && !!config.imdbApi.apiKey && !!config.imdbApi.apiHost;
+/** IMDb catalogs are served by the IMDb API or, without one, the offline dataset index. */
+export function isImdbDiscoverAvailable(): boolean {
+  return isImdbApiEnabled() || isImdbDatasetsEnabled();
 }
 
 export function initImdbApi(): void {
@@ -0,0 +1,135 @@
+import { isImdbApiEnabled } from './client.ts';
+import { isImdbDatasetsEnabled, queryImdbTitles } from '../imdbDatasets/index.ts';
+import { DISPLAY, IMDB_DATASET_LIMITS } from '../../constants.ts';
+
+import type {
+  ImdbAdvancedSearchParams,
+  ImdbRankingResult,
+  ImdbSearchResult,
+  ImdbTitle,
+} from './types.ts';
+import type { ContentType, ImdbDatasetQuery, ImdbDatasetTitle } from '../../types/index.ts';
+
+/**
+ * Discover backed by the offline dataset index (services/imdbDatasets), used
+ * when no IMDb API is configured. It covers genre, year, runtime, rating,
+ * votes, title type, language and director filters; the rest of the IMDb API's
+ * filters (keywords, awards, companies, certificates…) are not in the datasets
+ * and are ignored.
+ */
+
+export function usesImdbDatasets(): boolean {
+  return !isImdbApiEnabled() && isImdbDatasetsEnabled();
+}
+
+function contentTypes(type: ContentType): string[] {
+  return type === 'series' ? ['tvSeries', 'tvMiniSeries'] : ['movie', 'tvMovie'];
+}
+
+function yearOf(date: string | undefined): number | undefined {
+  const year = parseInt(String(date || '').slice(0, 4), 10);
+  return Number.isNaN(year) ? undefined : year;
+}
+
+function positive(value: number | undefined): number | undefined {
+  return value ? Number(value) : undefined;
+}
+
+export function toDatasetQuery(
+  params: ImdbAdvancedSearchParams,
+  contentType: ContentType,
+  skip: number
+): ImdbDatasetQuery {
+  return {
+    types: params.types?.length ? params.types : contentTypes(contentType),
+    genres: params.genres,
+    excludeGenres: params.excludeGenres,
+    yearMin: yearOf(params.releaseDateStart),
+    yearMax: yearOf(params.releaseDateEnd),
+    runtimeMin: positive(params.runtimeMin),
+    runtimeMax: positive(params.runtimeMax),
+    ratingMin: positive(params.imdbRatingMin),
+    ratingMax: positive(params.imdbRatingMax),
+    votesMin: positive(params.totalVotesMin),
+    votesMax: positive(params.totalVotesMax),
+    languages: params.languages,
+    // Only directors are indexed, so "credited people" narrows to them.
+    directors: params.creditedNames,
+    sortBy: params.sortBy || 'POPULARITY',
+    sortOrder: params.sortOrder || 'DESC',
+    offset: skip,
+    limit: params.limit || DISPLAY.IMDB_PAGE_SIZE,
+  };
+}
+
+export function datasetTitleToImdbTitle(title: ImdbDatasetTitle): ImdbTitle {
+  return {
+    id: title.id,
+    url: `https://www.imdb.com/title/${title.id}/`,
+    primaryTitle: title.title,
+    originalTitle: title.originalTitle,
+    type: title.type,
+    description: '',
+    primaryImage: null,
+    startYear: title.year || 0,
+    endYear: title.endYear,
+    releaseDate: null,
+    spokenLanguages: title.language ? [title.language] : [],
+    genres: title.genres,
+    isAdult: false,
+    runtimeMinutes: title.runtime || 0,
+    averageRating: title.rating,
+    numVotes: title.votes,
+    directors: [],
+    writers: [],
+    cast: [],
+  };
+}
+
+export async function localAdvancedSearch(
+  params: ImdbAdvancedSearchParams,
+  contentType: ContentType,
+  skip: number
+): Promise<ImdbSearchResult> {
+  const query = toDatasetQuery(params, contentType, skip);
+  const { titles, total } = await queryImdbTitles(query);
+  return {
+    titles: titles.map(datasetTitleToImdbTitle),
+    pagination: { hasNextPage: skip + query.limit < total, endCursor: null },
+    totalResults: total,
+  };
+}
+
+async function rankedTitles(query: Partial<ImdbDatasetQuery>, type: ContentType, limit: number) {
+  const { titles } = await queryImdbTitles({
+    types: contentTypes(type),
+    sortOrder: 'DESC',
+    offset: 0,
+    limit,
+    ...query,
+  });
+  return titles.map(datasetTitleToImdbTitle);
+}
+
+/** Top 250 stand-in: best-rated titles above a vote floor (IMDb's own chart weights votes too). */
+export async function localTopRanking(type: ContentType): Promise<ImdbRankingResult> {
+  const titles = await rankedTitles(
+    { sortBy: 'USER_RATING', votesMin: IMDB_DATASET_LIMITS.TOP_RATED_MIN_VOTES },
+    type,
+    IMDB_DATASET_LIMITS.TOP_RATED_LIMIT
+  );
+  return { titles: titles.map((title, i) => ({ ...title, chartPosition: i + 1 })) };
+}
+
+/** Most popular stand-in: most-voted recent titles. */
+export async function localPopular(type: ContentType): Promise<ImdbRankingResult> {
+  const titles = await rankedTitles(
+    {
+      sortBy: 'USER_RATING_COUNT',
+      yearMin: new Date().getFullYear() - IMDB_DATASET_LIMITS.POPULAR_YEARS + 1,
+    },
+    type,
+    IMDB_DATASET_LIMITS.POPULAR_LIMIT
+  );
+  return { titles };
+}
@@ -4,10 +4,15 @@ import { CACHE_STORAGE, IMDB_CACHE_TTL_DEFAULTS } from '../../cacheTtls.ts';
 
 import type { ImdbSearchResult, ImdbSuggestionsResult, ImdbBasicSearchResult } from './types.ts';
 
+/**
+ * Title search. `restrict` narrows it to certificates of one country and
+ * leaves out explicit titles, as a profile's maturity limit requires.
+ */
 export async function search(
   query: string,
   types?: string[],
-  limit: number = 100
+  limit: number = 100,
+  restrict?: { certificateCountry: string; certificates: string[] }
 ): Promise<ImdbSearchResult> {
   const ttl = Math.floor(
     config.imdbApi.cacheTtlSearch / CACHE_STORAGE.IMDB_ADVANCED_SEARCH_TTL_DIVISOR
@@ -17,6 +22,11 @@ export async function search(
     limit,
   };
   if (types?.length) params.types = types;
+  if (restrict) {
+    params.certificateCountry = restrict.certificateCountry;
+    params.certificates = restrict.certificates;
+    params.explicitContent = 'false';
+  }
   params.sortBy = 'POPULARITY';
   params.sortOrder = 'DESC';
   const data = (await imdbFetch('/api/imdb/search/advanced', params, ttl)) as ImdbSearchResult;
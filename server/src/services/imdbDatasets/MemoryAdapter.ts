@@ -0,0 +1,38 @@
+import { createLogger } from '../../utils/logger.ts';
+import { matchPeople, runQuery } from './query.ts';
+import type {
+  IImdbTitlesAdapter,
+  ImdbDatasetPerson,
+  ImdbDatasetQuery,
+  ImdbDatasetTitle,
+} from '../../types/index.ts';
+
+const log = createLogger('ImdbDatasets:Memory');
+
+export class MemoryAdapter implements IImdbTitlesAdapter {
+  private titles: ImdbDatasetTitle[] = [];
+  private people: ImdbDatasetPerson[] = [];
+
+  async replaceAll(titles: ImdbDatasetTitle[], people: ImdbDatasetPerson[]): Promise<void> {
+    this.titles = titles;
+    this.people = people;
+  }
+
+  async query(query: ImdbDatasetQuery): Promise<{ titles: ImdbDatasetTitle[]; total: number }> {
+    return runQuery(this.titles, query);
+  }
+
+  async searchPeople(query: string, limit: number): Promise<ImdbDatasetPerson[]> {
+    return matchPeople(this.people, query, limit);
+  }
+
+  async count(): Promise<number> {
+    return this.titles.length;
+  }
+
+  async destroy(): Promise<void> {
+    this.titles = [];
+    this.people = [];
+    log.info('Memory adapter destroyed');
+  }
+}
@@ -0,0 +1,234 @@
+import pg from 'pg';
+import { createLogger } from '../../utils/logger.ts';
+import { IMDB_DATASET_LIMITS } from '../../constants.ts';
+import { sortFieldFor } from './query.ts';
+import type {
+  IImdbTitlesAdapter,
+  ImdbDatasetPerson,
+  ImdbDatasetQuery,
+  ImdbDatasetTitle,
+} from '../../types/index.ts';
+
+const log = createLogger('ImdbDatasets:Postgres');
+const { Pool } = pg;
+
+interface TitleRow {
+  id: string;
+  type: string;
+  title: string;
+  original_title: string;
+  year: number | null;
+  end_year: number | null;
+  runtime: number | null;
+  genres: string[];
+  language: string | null;
+  directors: string[];
+  rating: number;
+  votes: number;
+  total?: string;
+}
+
+function toRow(title: ImdbDatasetTitle): Record<string, unknown> {
+  return {
+    id: title.id,
+    type: title.type,
+    title: title.title,
+    original_title: title.originalTitle,
+    year: title.year,
+    end_year: title.endYear,
+    runtime: title.runtime,
+    genres: title.genres,
+    genre_keys: title.genres.map((g) => g.toLowerCase()),
+    language: title.language,
+    directors: title.directors,
+    rating: title.rating,
+    votes: title.votes,
+  };
+}
+
+function fromRow(row: TitleRow): ImdbDatasetTitle {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    originalTitle: row.original_title,
+    year: row.year,
+    endYear: row.end_year,
+    runtime: row.runtime,
+    genres: row.genres,
+    language: row.language,
+    directors: row.directors,
+    rating: row.rating,
+    votes: row.votes,
+  };
+}
+
+function escapeLike(value: string): string {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/** The index as real tables, so filters run as indexed SQL. */
+export class PostgresAdapter implements IImdbTitlesAdapter {
+  private pool: InstanceType<typeof Pool>;
+
+  constructor(uri: string) {
+    this.pool = new Pool({ connectionString: uri });
+  }
+
+  async connect(): Promise<void> {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS imdb_titles (
+        id             VARCHAR(16) PRIMARY KEY,
+        type           VARCHAR(32) NOT NULL,
+        title          TEXT NOT NULL,
+        original_title TEXT NOT NULL,
+        year           INTEGER,
+        end_year       INTEGER,
+        runtime        INTEGER,
+        genres         TEXT[] NOT NULL DEFAULT '{}',
+        genre_keys     TEXT[] NOT NULL DEFAULT '{}',
+        language       VARCHAR(16),
+        directors      TEXT[] NOT NULL DEFAULT '{}',
+        rating         REAL NOT NULL,
+        votes          INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_imdb_titles_type_votes ON imdb_titles (type, votes DESC);
+      CREATE INDEX IF NOT EXISTS idx_imdb_titles_genres ON imdb_titles USING GIN (genre_keys);
+      CREATE INDEX IF NOT EXISTS idx_imdb_titles_directors ON imdb_titles USING GIN (directors);
+
+      CREATE TABLE IF NOT EXISTS imdb_people (
+        id        VARCHAR(16) PRIMARY KEY,
+        name      TEXT NOT NULL,
+        known_for TEXT NOT NULL DEFAULT '',
+        rank      INTEGER NOT NULL
+      );
+    `);
+    log.info('Connected to Postgres for the IMDb title index');
+  }
+
+  async replaceAll(titles: ImdbDatasetTitle[], people: ImdbDatasetPerson[]): Promise<void> {
+    const batch = IMDB_DATASET_LIMITS.WRITE_BATCH_SIZE;
+    const client = await this.pool.connect();
+    try {
+      // DELETE rather than TRUNCATE so readers keep the old rows until COMMIT.
+      await client.query('BEGIN');
+      await client.query('DELETE FROM imdb_titles');
+      await client.query('DELETE FROM imdb_people');
+      for (let i = 0; i < titles.length; i += batch) {
+        await client.query(
+          `INSERT INTO imdb_titles
+             SELECT * FROM jsonb_to_recordset($1::jsonb) AS t(
+               id text, type text, title text, original_title text, year int, end_year int,
+               runtime int, genres text[], genre_keys text[], language text, directors text[],
+               rating real, votes int)`,
+          [JSON.stringify(titles.slice(i, i + batch).map(toRow))]
+        );
+      }
+      for (let i = 0; i < people.length; i += batch) {
+        await client.query(
+          `INSERT INTO imdb_people
+             SELECT * FROM jsonb_to_recordset($1::jsonb) AS p(
+               id text, name text, known_for text, rank int)`,
+          [
+            JSON.stringify(
+              people.slice(i, i + batch).map((person, j) => ({
+                id: person.id,
+                name: person.name,
+                known_for: person.knownFor,
+                rank: i + j,
+              }))
+            ),
+          ]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async query(query: ImdbDatasetQuery): Promise<{ titles: ImdbDatasetTitle[]; total: number }> {
+    const params: unknown[] = [query.types];
+    const where = ['type = ANY($1)'];
+    const add = (clause: (param: string) => string, value: unknown): void => {
+      params.push(value);
+      where.push(clause(`$${params.length}`));
+    };
+
+    if (query.genres?.length) {
+      add(
+        (p) => `genre_keys @> ${p}`,
+        query.genres.map((g) => g.toLowerCase())
+      );
+    }
+    if (query.excludeGenres?.length) {
+      add(
+        (p) => `NOT (genre_keys && ${p})`,
+        query.excludeGenres.map((g) => g.toLowerCase())
+      );
+    }
+    if (query.yearMin !== undefined) add((p) => `year >= ${p}`, query.yearMin);
+    if (query.yearMax !== undefined) add((p) => `year <= ${p}`, query.yearMax);
+    if (query.runtimeMin !== undefined) add((p) => `runtime >= ${p}`, query.runtimeMin);
+    if (query.runtimeMax !== undefined) add((p) => `runtime <= ${p}`, query.runtimeMax);
+    if (query.ratingMin !== undefined) add((p) => `rating >= ${p}`, query.ratingMin);
+    if (query.ratingMax !== undefined) add((p) => `rating <= ${p}`, query.ratingMax);
+    if (query.votesMin !== undefined) add((p) => `votes >= ${p}`, query.votesMin);
+    if (query.votesMax !== undefined) add((p) => `votes <= ${p}`, query.votesMax);
+    if (query.languages?.length) add((p) => `language = ANY(${p})`, query.languages);
+    if (query.directors?.length) add((p) => `directors && ${p}`, query.directors);
+
+    // sortFieldFor only returns known column names, so it is safe to interpolate.
+    const column = sortFieldFor(query.sortBy);
+    const direction = query.sortOrder === 'ASC' ? 'ASC' : 'DESC';
+    params.push(query.limit, query.offset);
+    const { rows } = await this.pool.query<TitleRow>(
+      `SELECT *, COUNT(*) OVER() AS total FROM imdb_titles
+        WHERE ${where.join(' AND ')}
+        ORDER BY ${column} ${direction} NULLS LAST, votes DESC, id
+        LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return {
+      titles: rows.map(fromRow),
+      total: rows.length ? parseInt(rows[0].total || '0', 10) : 0,
+    };
+  }
+
+  async searchPeople(query: string, limit: number): Promise<ImdbDatasetPerson[]> {
+    const needle = escapeLike(query.trim());
+    if (!needle) return [];
+    const { rows } = await this.pool.query<{ id: string; name: string; known_for: string }>(
+      `SELECT id, name, known_for FROM imdb_people
+        WHERE name ILIKE $1
+        ORDER BY (name ILIKE $2) DESC, rank
+        LIMIT $3`,
+      [`%${needle}%`, `${needle}%`, limit]
+    );
+    return rows.map((row) => ({ id: row.id, name: row.name, knownFor: row.known_for }));
+  }
+
+  async count(): Promise<number> {
+    try {
+      const { rows } = await this.pool.query<{ count: string }>(
+        'SELECT COUNT(*) AS count FROM imdb_titles'
+      );
+      return parseInt(rows[0]?.count || '0', 10);
+    } catch (e) {
+      log.debug('Postgres count failed', { error: (e as Error).message });
+      return 0;
+    }
+  }
+
+  async destroy(): Promise<void> {
+    try {
+      await this.pool.end();
+      log.info('Postgres pool closed');
+    } catch (err) {
+      log.warn('Error closing Postgres pool', { error: (err as Error).message });
+    }
+  }
+}
@@ -0,0 +1,182 @@
+import { createClient, type RedisClientType } from 'redis';
+import { createLogger } from '../../utils/logger.ts';
+import { IMDB_DATASET_LIMITS } from '../../constants.ts';
+import { matchPeople, matchesKey, pageOf, sortedMatches } from './query.ts';
+import type {
+  IImdbTitlesAdapter,
+  ImdbDatasetPerson,
+  ImdbDatasetQuery,
+  ImdbDatasetTitle,
+} from '../../types/index.ts';
+
+const log = createLogger('ImdbDatasets:Redis');
+
+const TITLES_HASH = 'imdb:titles';
+// A list, so the ranking from the import survives and loads in batches.
+const PEOPLE_LIST = 'imdb:people:ranked';
+// Earlier builds kept people as one JSON string; read until the next import.
+const LEGACY_PEOPLE_KEY = 'imdb:people';
+const VERSION_KEY = 'imdb:meta:titlesVersion';
+
+/**
+ * Redis holds the index so it survives restarts and is built once for every
+ * instance. Plain Redis cannot filter on these fields, so each instance
+ * queries a read-only in-memory copy, reloaded in batches when the stored
+ * version moves. That copy costs each instance about as much memory as the
+ * Memory adapter (a few hundred bytes per title). On top of it, the sorted
+ * results of the last `IMDB_DATASET_LIMITS.QUERY_CACHE_SIZE` queries are kept
+ * for the current version so paging through a catalog filters and sorts
+ * once; they hold references into the copy, one pointer per matching title.
+ */
+export class RedisAdapter implements IImdbTitlesAdapter {
+  private client: RedisClientType;
+  private snapshot: {
+    version: string | null;
+    titles: ImdbDatasetTitle[];
+    people: ImdbDatasetPerson[];
+  } = { version: null, titles: [], people: [] };
+  private checkedAt = 0;
+  // Sorted matches by query for the snapshot version; oldest first.
+  private results = new Map<string, ImdbDatasetTitle[]>();
+  private loading: Promise<void> | null = null;
+
+  constructor(redisUrl: string) {
+    this.client = createClient({ url: redisUrl });
+    this.client.on('error', (err: Error) =>
+      log.error('Redis client error', { error: err.message })
+    );
+  }
+
+  async connect(): Promise<void> {
+    if (!this.client.isOpen) {
+      await this.client.connect();
+      log.info('Connected to Redis for the IMDb title index');
+    }
+  }
+
+  private _ensureReady(): void {
+    if (!this.client.isOpen) {
+      throw new Error('Redis client is not connected');
+    }
+  }
+
+  private async writeHash(key: string, entries: { id: string }[]): Promise<void> {
+    for (let i = 0; i < entries.length; i += IMDB_DATASET_LIMITS.WRITE_BATCH_SIZE) {
+      const map: Record<string, string> = {};
+      for (const entry of entries.slice(i, i + IMDB_DATASET_LIMITS.WRITE_BATCH_SIZE)) {
+        map[entry.id] = JSON.stringify(entry);
+      }
+      await this.client.hSet(key, map);
+    }
+  }
+
+  async replaceAll(titles: ImdbDatasetTitle[], people: ImdbDatasetPerson[]): Promise<void> {
+    this._ensureReady();
+    const stagingKey = `${TITLES_HASH}:staging`;
+    const peopleStagingKey = `${PEOPLE_LIST}:staging`;
+    await this.client.del([stagingKey, peopleStagingKey]);
+    await this.writeHash(stagingKey, titles);
+    for (let i = 0; i < people.length; i += IMDB_DATASET_LIMITS.WRITE_BATCH_SIZE) {
+      const batch = people.slice(i, i + IMDB_DATASET_LIMITS.WRITE_BATCH_SIZE);
+      await this.client.rPush(
+        peopleStagingKey,
+        batch.map((person) => JSON.stringify(person))
+      );
+    }
+
+    const version = Date.now().toString();
+    const swap = this.client.multi().del([TITLES_HASH, PEOPLE_LIST, LEGACY_PEOPLE_KEY]);
+    if (titles.length) swap.rename(stagingKey, TITLES_HASH);
+    if (people.length) swap.rename(peopleStagingKey, PEOPLE_LIST);
+    await swap.set(VERSION_KEY, version).exec();
+    this.setSnapshot({ version, titles, people });
+    this.checkedAt = Date.now();
+  }
+
+  private async refreshSnapshot(): Promise<void> {
+    if (Date.now() - this.checkedAt < IMDB_DATASET_LIMITS.SNAPSHOT_CHECK_MS) return;
+    this.checkedAt = Date.now();
+    const version = await this.client.get(VERSION_KEY);
+    if (!version || version === this.snapshot.version) return;
+
+    const titles: ImdbDatasetTitle[] = [];
+    for await (const batch of this.client.hScanValuesIterator(TITLES_HASH, {
+      COUNT: IMDB_DATASET_LIMITS.WRITE_BATCH_SIZE,
+    })) {
+      for (const raw of batch) titles.push(JSON.parse(raw) as ImdbDatasetTitle);
+    }
+    const people = await this.loadPeople();
+    this.setSnapshot({ version, titles, people });
+    log.info('Loaded IMDb title index from Redis', { titles: titles.length, version });
+  }
+
+  private async loadPeople(): Promise<ImdbDatasetPerson[]> {
+    const people: ImdbDatasetPerson[] = [];
+    const batchSize = IMDB_DATASET_LIMITS.WRITE_BATCH_SIZE;
+    for (let start = 0; ; start += batchSize) {
+      const batch = await this.client.lRange(PEOPLE_LIST, start, start + batchSize - 1);
+      for (const raw of batch) people.push(JSON.parse(raw) as ImdbDatasetPerson);
+      if (batch.length < batchSize) break;
+    }
+    if (people.length) return people;
+    const legacy = await this.client.get(LEGACY_PEOPLE_KEY);
+    return legacy ? (JSON.parse(legacy) as ImdbDatasetPerson[]) : [];
+  }
+
+  private setSnapshot(snapshot: RedisAdapter['snapshot']): void {
+    this.snapshot = snapshot;
+    this.results.clear();
+  }
+
+  private async ensureSnapshot(): Promise<void> {
+    this._ensureReady();
+    if (!this.loading) {
+      this.loading = this.refreshSnapshot().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async query(query: ImdbDatasetQuery): Promise<{ titles: ImdbDatasetTitle[]; total: number }> {
+    await this.ensureSnapshot();
+    const key = matchesKey(query);
+    let matches = this.results.get(key);
+    if (matches) {
+      this.results.delete(key);
+    } else {
+      matches = sortedMatches(this.snapshot.titles, query);
+      if (this.results.size >= IMDB_DATASET_LIMITS.QUERY_CACHE_SIZE) {
+        this.results.delete(this.results.keys().next().value as string);
+      }
+    }
+    this.results.set(key, matches);
+    return pageOf(matches, query);
+  }
+
+  async searchPeople(query: string, limit: number): Promise<ImdbDatasetPerson[]> {
+    await this.ensureSnapshot();
+    return matchPeople(this.snapshot.people, query, limit);
+  }
+
+  async count(): Promise<number> {
+    this._ensureReady();
+    try {
+      return await this.client.hLen(TITLES_HASH);
+    } catch (e) {
+      log.debug('Redis count failed', { error: (e as Error).message });
+      return 0;
+    }
+  }
+
+  async destroy(): Promise<void> {
+    try {
+      if (this.client.isOpen) {
+        await this.client.quit();
+        log.info('Redis connection closed');
+      }
+    } catch (err) {
+      log.warn('Error closing Redis connection', { error: (err as Error).message });
+    }
+  }
+}
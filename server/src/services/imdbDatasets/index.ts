@@ -0,0 +1,134 @@
+import { MemoryAdapter } from './MemoryAdapter.ts';
+import { RedisAdapter } from './RedisAdapter.ts';
+import { PostgresAdapter } from './PostgresAdapter.ts';
+import { buildTitleIndex } from './ingest.ts';
+import { forceUpdateImdbRatings, onRatingsImported } from '../imdbRatings/index.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { resolveRedisOrMemory } from '../../utils/resolveRedisOrMemory.ts';
+import { config } from '../../config.ts';
+import type {
+  IImdbTitlesAdapter,
+  ImdbDatasetPerson,
+  ImdbDatasetQuery,
+  ImdbDatasetTitle,
+} from '../../types/index.ts';
+
+/**
+ * Offline IMDb discover index.
+ *
+ * Every fresh IMDb ratings download (services/imdbRatings) also streams
+ * title.basics, title.akas, title.crew and name.basics into a title index,
+ * kept in Postgres when the app stores configs there, otherwise in Redis or
+ * memory. services/imdb answers discover, top-rated and popular catalogs from
+ * it when no IMDb API is configured.
+ */
+
+const log = createLogger('ImdbDatasets');
+
+let adapter: IImdbTitlesAdapter | null = null;
+let importing = false;
+let titleCount = 0;
+let lastImportAt: number | null = null;
+
+export function isImdbDatasetsEnabled(): boolean {
+  return config.imdbDatasets.enabled && !config.imdbRatings.disabled;
+}
+
+async function createAdapter(): Promise<IImdbTitlesAdapter> {
+  const { driver, postgresUri } = config.database;
+  if (postgresUri && (!driver || driver === 'postgres')) {
+    log.info('Initializing Postgres Adapter');
+    const postgresAdapter = new PostgresAdapter(postgresUri);
+    await postgresAdapter.connect();
+    return postgresAdapter;
+  }
+
+  const { adapter: cacheAdapter } = await resolveRedisOrMemory<IImdbTitlesAdapter>({
+    redisUrl: config.cache.redisUrl,
+    driver: config.cache.driver,
+    createRedis: async (url) => {
+      const redisAdapter = new RedisAdapter(url);
+      await redisAdapter.connect();
+      return redisAdapter;
+    },
+    createMemory: () => new MemoryAdapter(),
+    logLabel: 'ImdbDatasets:Factory',
+  });
+  return cacheAdapter;
+}
+
+async function importTitleDatasets(ratingEntries: [string, string][]): Promise<void> {
+  if (!adapter || importing) return;
+  importing = true;
+  const startTime = Date.now();
+  try {
+    const { titles, people } = await buildTitleIndex(ratingEntries);
+    await adapter.replaceAll(titles, people);
+    titleCount = titles.length;
+    lastImportAt = Date.now();
+    log.info('IMDb title index imported', {
+      titles: titles.length,
+      directors: people.length,
+      durationMs: Date.now() - startTime,
+    });
+  } catch (err) {
+    log.error('IMDb title index import failed', { error: (err as Error).message });
+  } finally {
+    importing = false;
+  }
+}
+
+/** Set up the index store and hook it onto the ratings import. Call before initImdbRatings. */
+export async function initImdbDatasets(): Promise<void> {
+  if (!config.imdbDatasets.enabled) return;
+  if (config.imdbRatings.disabled) {
+    log.warn('IMDB_DATASETS_ENABLED is ignored while IMDb ratings are disabled');
+    return;
+  }
+  adapter = await createAdapter();
+  titleCount = await adapter.count();
+  onRatingsImported(importTitleDatasets);
+  log.info('IMDb title index ready', { titles: titleCount });
+}
+
+/**
+ * The ratings service skips downloads whose ETag it has already imported, so
+ * an empty index (first start with datasets enabled) forces one.
+ */
+export async function ensureImdbTitleIndex(): Promise<void> {
+  if (!adapter || importing || titleCount > 0) return;
+  log.info('IMDb title index is empty, forcing a ratings download');
+  await forceUpdateImdbRatings();
+}
+
+export async function queryImdbTitles(
+  query: ImdbDatasetQuery
+): Promise<{ titles: ImdbDatasetTitle[]; total: number }> {
+  if (!adapter) return { titles: [], total: 0 };
+  return adapter.query(query);
+}
+
+export async function searchImdbPeople(query: string, limit: number): Promise<ImdbDatasetPerson[]> {
+  if (!adapter) return [];
+  return adapter.searchPeople(query, limit);
+}
+
+export function getImdbDatasetsStats(): Record<string, unknown> {
+  return {
+    enabled: isImdbDatasetsEnabled(),
+    adapter: adapter?.constructor.name || 'none',
+    importing,
+    titles: titleCount,
+    lastImportAt: lastImportAt ? new Date(lastImportAt).toISOString() : null,
+  };
+}
+
+export async function destroyImdbDatasets(): Promise<void> {
+  onRatingsImported(null);
+  if (adapter) {
+    await adapter.destroy();
+    adapter = null;
+  }
+  titleCount = 0;
+  lastImportAt = null;
+}
@@ -0,0 +1,214 @@
+import { createGunzip } from 'zlib';
+import { createInterface } from 'readline';
+import { Readable } from 'node:stream';
+import { createLogger } from '../../utils/logger.ts';
+import { IMDB_DATASET_LIMITS } from '../../constants.ts';
+import type { ImdbDatasetPerson, ImdbDatasetTitle } from '../../types/index.ts';
+
+const log = createLogger('ImdbDatasets:ingest');
+
+const DATASET_BASE_URL = 'https://datasets.imdbws.com';
+const NULL_VALUE = '\\N';
+
+/** Title types kept in the index; episodes, games and podcasts are left out. */
+export const INDEXED_TITLE_TYPES = new Set([
+  'movie',
+  'tvMovie',
+  'short',
+  'tvShort',
+  'video',
+  'tvSpecial',
+  'tvSeries',
+  'tvMiniSeries',
+]);
+
+// Main language of a release region, for AKAs that carry a region but no language.
+const REGION_LANGUAGES: Record<string, string> = {
+  US: 'en',
+  GB: 'en',
+  CA: 'en',
+  AU: 'en',
+  NZ: 'en',
+  IE: 'en',
+  FR: 'fr',
+  BE: 'fr',
+  DE: 'de',
+  AT: 'de',
+  CH: 'de',
+  ES: 'es',
+  MX: 'es',
+  AR: 'es',
+  CO: 'es',
+  CL: 'es',
+  IT: 'it',
+  PT: 'pt',
+  BR: 'pt',
+  NL: 'nl',
+  SE: 'sv',
+  NO: 'no',
+  DK: 'da',
+  FI: 'fi',
+  IS: 'is',
+  PL: 'pl',
+  CZ: 'cs',
+  HU: 'hu',
+  RO: 'ro',
+  GR: 'el',
+  TR: 'tr',
+  RU: 'ru',
+  UA: 'uk',
+  IL: 'he',
+  IR: 'fa',
+  EG: 'ar',
+  IN: 'hi',
+  JP: 'ja',
+  KR: 'ko',
+  CN: 'zh',
+  TW: 'zh',
+  HK: 'zh',
+  TH: 'th',
+  VN: 'vi',
+  ID: 'id',
+  PH: 'tl',
+};
+
+// An AKA with an explicit language outweighs one whose language is inferred from its region.
+const EXPLICIT_LANGUAGE_WEIGHT = 3;
+
+function nullable(value: string | undefined): string | null {
+  return !value || value === NULL_VALUE ? null : value;
+}
+
+function intOrNull(value: string | undefined): number | null {
+  const raw = nullable(value);
+  if (!raw) return null;
+  const parsed = parseInt(raw, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/** Stream one gzipped dataset file as tab-split rows, header skipped. */
+async function* datasetRows(file: string): AsyncGenerator<string[]> {
+  const response = await fetch(`${DATASET_BASE_URL}/${file}`, {
+    method: 'GET',
+    headers: { 'User-Agent': 'TMDB-Discover-Plus/1.0' },
+    signal: AbortSignal.timeout(IMDB_DATASET_LIMITS.DOWNLOAD_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`${file}: HTTP ${response.status} ${response.statusText}`);
+  }
+  const body = response.body;
+  if (!body) throw new Error(`${file}: response body is null`);
+
+  const rl = createInterface({
+    input: Readable.fromWeb(body).pipe(createGunzip()),
+    crlfDelay: Infinity,
+  });
+  let isFirstLine = true;
+  for await (const line of rl) {
+    if (isFirstLine) {
+      isFirstLine = false;
+      continue;
+    }
+    if (line) yield line.split('\t');
+  }
+}
+
+function parseRatingEntries(entries: [string, string][]): Map<string, [number, number]> {
+  const ratings = new Map<string, [number, number]>();
+  for (const [id, value] of entries) {
+    const sep = value.indexOf('|');
+    const rating = parseFloat(value.slice(0, sep));
+    const votes = parseInt(value.slice(sep + 1), 10);
+    if (sep !== -1 && !Number.isNaN(rating) && !Number.isNaN(votes)) {
+      ratings.set(id, [rating, votes]);
+    }
+  }
+  return ratings;
+}
+
+/**
+ * Build the offline index from title.basics, title.akas, title.crew and
+ * name.basics. Only non-adult titles of {@link INDEXED_TITLE_TYPES} that made
+ * it into the ratings set (i.e. passed IMDB_MIN_VOTES) are kept, which holds
+ * the index to a few hundred thousand rows. Files are streamed one at a time.
+ */
+export async function buildTitleIndex(
+  ratingEntries: [string, string][]
+): Promise<{ titles: ImdbDatasetTitle[]; people: ImdbDatasetPerson[] }> {
+  const ratings = parseRatingEntries(ratingEntries);
+  const titles = new Map<string, ImdbDatasetTitle>();
+
+  // tconst, titleType, primaryTitle, originalTitle, isAdult, startYear, endYear, runtimeMinutes, genres
+  for await (const cols of datasetRows('title.basics.tsv.gz')) {
+    const [id, type, title, originalTitle, isAdult, startYear, endYear, runtime, genres] = cols;
+    if (!INDEXED_TITLE_TYPES.has(type) || isAdult === '1') continue;
+    const rating = ratings.get(id);
+    if (!rating || !nullable(title)) continue;
+    titles.set(id, {
+      id,
+      type,
+      title,
+      originalTitle: nullable(originalTitle) || title,
+      year: intOrNull(startYear),
+      endYear: intOrNull(endYear),
+      runtime: intOrNull(runtime),
+      genres: nullable(genres)?.split(',') || [],
+      language: null,
+      directors: [],
+      rating: rating[0],
+      votes: rating[1],
+    });
+  }
+  ratings.clear();
+  log.info('title.basics indexed', { titles: titles.size });
+
+  // The datasets have no "original language" column. Vote for one from the
+  // AKAs released under the original title: their language when given,
+  // otherwise the main language of their region.
+  // titleId, ordering, title, region, language, types, attributes, isOriginalTitle
+  const languageVotes = new Map<string, Map<string, number>>();
+  for await (const cols of datasetRows('title.akas.tsv.gz')) {
+    const record = titles.get(cols[0]);
+    if (!record || cols[2] !== record.originalTitle) continue;
+    const explicit = nullable(cols[4]);
+    const language = explicit || REGION_LANGUAGES[nullable(cols[3]) || ''];
+    if (!language) continue;
+    let votes = languageVotes.get(record.id);
+    if (!votes) {
+      votes = new Map();
+      languageVotes.set(record.id, votes);
+    }
+    votes.set(language, (votes.get(language) || 0) + (explicit ? EXPLICIT_LANGUAGE_WEIGHT : 1));
+  }
+  for (const [id, votes] of languageVotes) {
+    const record = titles.get(id);
+    if (record) record.language = [...votes].sort((a, b) => b[1] - a[1])[0][0];
+  }
+  languageVotes.clear();
+
+  // tconst, directors, writers
+  const knownFor = new Map<string, ImdbDatasetTitle>();
+  for await (const cols of datasetRows('title.crew.tsv.gz')) {
+    const record = titles.get(cols[0]);
+    const directors = nullable(cols[1]);
+    if (!record || !directors) continue;
+    record.directors = directors.split(',');
+    for (const personId of record.directors) {
+      const best = knownFor.get(personId);
+      if (!best || best.votes < record.votes) knownFor.set(personId, record);
+    }
+  }
+
+  // nconst, primaryName, birthYear, deathYear, primaryProfession, knownForTitles
+  const people: ImdbDatasetPerson[] = [];
+  for await (const cols of datasetRows('name.basics.tsv.gz')) {
+    const best = knownFor.get(cols[0]);
+    const name = nullable(cols[1]);
+    if (best && name) people.push({ id: cols[0], name, knownFor: best.title });
+  }
+  // Best-known directors first, so name search ranks them ahead.
+  people.sort((a, b) => (knownFor.get(b.id)?.votes || 0) - (knownFor.get(a.id)?.votes || 0));
+  log.info('title.crew and name.basics indexed', { directors: people.length });
+
+  return { titles: [...titles.values()], people };
+}
@@ -0,0 +1,122 @@
+import type { ImdbDatasetPerson, ImdbDatasetQuery, ImdbDatasetTitle } from '../../types/index.ts';
+
+export type DatasetSortField = 'votes' | 'rating' | 'year' | 'runtime' | 'title';
+
+// IMDb API sort options mapped onto index columns. Vote count stands in for
+// popularity and box office, which the datasets do not carry.
+const SORT_FIELDS: Record<string, DatasetSortField> = {
+  POPULARITY: 'votes',
+  USER_RATING: 'rating',
+  USER_RATING_COUNT: 'votes',
+  YEAR: 'year',
+  RELEASE_DATE: 'year',
+  RUNTIME: 'runtime',
+  TITLE_REGIONAL: 'title',
+};
+
+export function sortFieldFor(sortBy: string | undefined): DatasetSortField {
+  return SORT_FIELDS[sortBy || ''] || 'votes';
+}
+
+function inRange(value: number | null, min?: number, max?: number): boolean {
+  if (min === undefined && max === undefined) return true;
+  if (value === null) return false;
+  return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+function hasGenre(title: ImdbDatasetTitle, genre: string): boolean {
+  return title.genres.some((g) => g.toLowerCase() === genre);
+}
+
+/**
+ * In-process equivalent of the Postgres adapter's WHERE clause. Genres must
+ * all match (case-insensitively); languages and directors match any.
+ */
+export function matchesQuery(title: ImdbDatasetTitle, query: ImdbDatasetQuery): boolean {
+  if (!query.types.includes(title.type)) return false;
+  if (query.genres?.length && !query.genres.every((g) => hasGenre(title, g.toLowerCase()))) {
+    return false;
+  }
+  if (query.excludeGenres?.some((g) => hasGenre(title, g.toLowerCase()))) return false;
+  if (!inRange(title.year, query.yearMin, query.yearMax)) return false;
+  if (!inRange(title.runtime, query.runtimeMin, query.runtimeMax)) return false;
+  if (!inRange(title.rating, query.ratingMin, query.ratingMax)) return false;
+  if (!inRange(title.votes, query.votesMin, query.votesMax)) return false;
+  if (query.languages?.length && !(title.language && query.languages.includes(title.language))) {
+    return false;
+  }
+  if (query.directors?.length && !title.directors.some((d) => query.directors!.includes(d))) {
+    return false;
+  }
+  return true;
+}
+
+/** Sort by the query's field (missing values last), then most-voted, then id. */
+function compareTitles(
+  field: DatasetSortField,
+  order: 'ASC' | 'DESC'
+): (a: ImdbDatasetTitle, b: ImdbDatasetTitle) => number {
+  const direction = order === 'ASC' ? 1 : -1;
+  return (a, b) => {
+    const av = a[field];
+    const bv = b[field];
+    if (av !== bv) {
+      if (av === null) return 1;
+      if (bv === null) return -1;
+      return (
+        (typeof av === 'string' ? av.localeCompare(bv as string) : av - (bv as number)) * direction
+      );
+    }
+    return b.votes - a.votes || a.id.localeCompare(b.id);
+  };
+}
+
+/** Every title matching the query, in result order; `offset` and `limit` are ignored. */
+export function sortedMatches(
+  titles: ImdbDatasetTitle[],
+  query: ImdbDatasetQuery
+): ImdbDatasetTitle[] {
+  const matches = titles.filter((title) => matchesQuery(title, query));
+  return matches.sort(compareTitles(sortFieldFor(query.sortBy), query.sortOrder || 'DESC'));
+}
+
+/** Cache key for a query's full result list: everything but the page window. */
+export function matchesKey(query: ImdbDatasetQuery): string {
+  return JSON.stringify({ ...query, offset: undefined, limit: undefined });
+}
+
+export function pageOf(
+  matches: ImdbDatasetTitle[],
+  query: ImdbDatasetQuery
+): { titles: ImdbDatasetTitle[]; total: number } {
+  return {
+    titles: matches.slice(query.offset, query.offset + query.limit),
+    total: matches.length,
+  };
+}
+
+export function runQuery(
+  titles: ImdbDatasetTitle[],
+  query: ImdbDatasetQuery
+): { titles: ImdbDatasetTitle[]; total: number } {
+  return pageOf(sortedMatches(titles, query), query);
+}
+
+/** Case-insensitive name search; names starting with the query rank first. */
+export function matchPeople(
+  people: ImdbDatasetPerson[],
+  query: string,
+  limit: number
+): ImdbDatasetPerson[] {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  const prefix: ImdbDatasetPerson[] = [];
+  const contains: ImdbDatasetPerson[] = [];
+  for (const person of people) {
+    const name = person.name.toLowerCase();
+    if (name.startsWith(needle)) prefix.push(person);
+    else if (name.includes(needle)) contains.push(person);
+    if (prefix.length >= limit) break;
+  }
+  return [...prefix, ...contains].slice(0, limit);
+}
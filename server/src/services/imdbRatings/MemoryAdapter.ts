@@ -5,10 +5,12 @@ const log = createLogger('ImdbRatings:Memory');
 
 export class MemoryAdapter implements IImdbRatingsAdapter {
   private ratings: Map<string, string>;
+  private episodes: Map<string, string>;
   private meta: Map<string, string>;
 
   constructor() {
     this.ratings = new Map();
+    this.episodes = new Map();
     this.meta = new Map();
   }
 
@@ -50,6 +52,14 @@ export class MemoryAdapter implements IImdbRatingsAdapter {
     return this.ratings.size;
   }
 
+  async replaceEpisodes(entries: [string, string][]): Promise<void> {
+    this.episodes = new Map(entries);
+  }
+
+  async getEpisodes(seriesId: string): Promise<string | null> {
+    return this.episodes.get(seriesId) ?? null;
+  }
+
   async setMeta(key: string, value: string): Promise<void> {
     this.meta.set(key, value);
   }
@@ -64,6 +74,7 @@ export class MemoryAdapter implements IImdbRatingsAdapter {
 
   async destroy(): Promise<void> {
     this.ratings.clear();
+    this.episodes.clear();
     this.meta.clear();
     log.info('Memory adapter destroyed');
   }
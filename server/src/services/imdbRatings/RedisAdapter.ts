@@ -5,6 +5,7 @@ import type { IImdbRatingsAdapter } from '../../types/index.ts';
 const log = createLogger('ImdbRatings:Redis');
 
 const RATINGS_HASH = 'imdb:ratings';
+const EPISODES_HASH = 'imdb:episodes';
 const META_PREFIX = 'imdb:meta:';
 const PIPELINE_BATCH = 10000;
 
@@ -89,8 +90,27 @@ export class RedisAdapter implements IImdbRatingsAdapter {
   }
 
   async replaceAll(entries: [string, string][]): Promise<void> {
+    await this._replaceHash(RATINGS_HASH, entries);
+  }
+
+  async replaceEpisodes(entries: [string, string][]): Promise<void> {
+    await this._replaceHash(EPISODES_HASH, entries);
+  }
+
+  async getEpisodes(seriesId: string): Promise<string | null> {
     this._ensureReady();
-    const stagingKey = `${RATINGS_HASH}:staging`;
+    try {
+      const val = await this.client.hGet(EPISODES_HASH, seriesId);
+      return val ?? null;
+    } catch (err) {
+      log.warn('Redis HGET error', { seriesId, error: (err as Error).message });
+      return null;
+    }
+  }
+
+  private async _replaceHash(key: string, entries: [string, string][]): Promise<void> {
+    this._ensureReady();
+    const stagingKey = `${key}:staging`;
 
     await this.client.del(stagingKey);
 
@@ -103,7 +123,11 @@ export class RedisAdapter implements IImdbRatingsAdapter {
       await this.client.hSet(stagingKey, map);
     }
 
-    await this.client.multi().del(RATINGS_HASH).rename(stagingKey, RATINGS_HASH).exec();
+    if (entries.length === 0) {
+      await this.client.del(key);
+      return;
+    }
+    await this.client.multi().del(key).rename(stagingKey, key).exec();
   }
 
   async count(): Promise<number> {
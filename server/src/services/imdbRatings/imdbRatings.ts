@@ -8,17 +8,22 @@ import type { IImdbRatingsAdapter } from '../../types/index.ts';
 const log = createLogger('ImdbRatings');
 
 const IMDB_RATINGS_URL = 'https://datasets.imdbws.com/title.ratings.tsv.gz';
+const IMDB_EPISODES_URL = 'https://datasets.imdbws.com/title.episode.tsv.gz';
 const UPDATE_INTERVAL_HOURS = config.imdbRatings.updateIntervalHours;
 const MIN_VOTES = config.imdbRatings.minVotes;
 const DOWNLOAD_TIMEOUT_MS = 120_000; // 2 minutes
+const EPISODES_DOWNLOAD_TIMEOUT_MS = 10 * 60_000;
 const WRITE_BATCH_SIZE = 10_000;
 
 let adapter: IImdbRatingsAdapter | null = null;
+let importListener: ((entries: [string, string][]) => Promise<void>) | null = null;
 
 let ratingsLoaded = false;
 let ratingsCount = 0;
 let updateTimer: ReturnType<typeof setInterval> | null = null;
 let downloading = false;
+let importingEpisodes = false;
+let episodeSeriesCount = 0;
 
 // Stats
 let totalRequests = 0;
@@ -34,6 +39,87 @@ function parseRating(value: string): { rating: number; votes: number } | null {
   return { rating, votes };
 }
 
+async function streamDatasetLines(url: string, timeoutMs: number) {
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: { 'User-Agent': 'TMDB-Discover-Plus/1.0' },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+
+  const body = response.body;
+  if (!body) throw new Error('Response body is null');
+  const rl = createInterface({
+    input: Readable.fromWeb(body).pipe(createGunzip()),
+    crlfDelay: Infinity,
+  });
+  return { response, rl };
+}
+
+/**
+ * Join title.episode against the stored ratings, so each rated episode is
+ * filed under its series as "season:episode:rating|votes". Episodes below
+ * MIN_VOTES are not in the ratings set and are left out.
+ */
+async function importEpisodeRatings(): Promise<void> {
+  const target = adapter;
+  if (!target || config.imdbRatings.episodesDisabled || importingEpisodes) return;
+  importingEpisodes = true;
+
+  try {
+    log.info('Downloading IMDb episode dataset (streaming)...', { url: IMDB_EPISODES_URL });
+    const { rl } = await streamDatasetLines(IMDB_EPISODES_URL, EPISODES_DOWNLOAD_TIMEOUT_MS);
+
+    const bySeries = new Map<string, string[]>();
+    let rated = 0;
+    let pending: string[][] = [];
+
+    const flush = async (): Promise<void> => {
+      const ratings = await target.getMany(pending.map((row) => row[0]));
+      for (const [episodeId, seriesId, season, episode] of pending) {
+        const value = ratings.get(episodeId);
+        if (!value) continue;
+        let list = bySeries.get(seriesId);
+        if (!list) {
+          list = [];
+          bySeries.set(seriesId, list);
+        }
+        list.push(`${season}:${episode}:${value}`);
+        rated++;
+      }
+      pending = [];
+    };
+
+    let isFirstLine = true;
+    for await (const line of rl) {
+      if (isFirstLine) {
+        isFirstLine = false;
+        continue;
+      }
+      const row = line.split('\t');
+      // tconst, parentTconst, seasonNumber, episodeNumber; unnumbered episodes are skipped
+      if (row.length < 4 || row[2] === '\\N' || row[3] === '\\N') continue;
+      pending.push(row);
+      if (pending.length >= WRITE_BATCH_SIZE) await flush();
+    }
+    if (pending.length) await flush();
+
+    await target.replaceEpisodes(
+      [...bySeries].map(([seriesId, list]) => [seriesId, list.join(',')])
+    );
+    await target.setMeta('episodesLastUpdate', Date.now().toString());
+    episodeSeriesCount = bySeries.size;
+    log.info('IMDb episode ratings import complete', { series: bySeries.size, episodes: rated });
+  } catch (error) {
+    log.error('Failed to import IMDb episode ratings', { error: (error as Error).message });
+  } finally {
+    importingEpisodes = false;
+  }
+}
+
 async function downloadAndCacheRatings(): Promise<boolean> {
   if (!adapter) return false;
   if (downloading) {
@@ -62,6 +148,10 @@ async function downloadAndCacheRatings(): Promise<boolean> {
           });
           ratingsLoaded = true;
           ratingsCount = existingCount;
+          // Stores filled before episode ratings existed get them on the next start.
+          if (!(await adapter.getMeta('episodesLastUpdate'))) {
+            importEpisodeRatings().catch(() => {});
+          }
           return true;
         }
         log.info('IMDb dataset changed, downloading fresh copy', {
@@ -80,23 +170,7 @@ async function downloadAndCacheRatings(): Promise<boolean> {
       minVotes: MIN_VOTES,
     });
 
-    const response = await fetch(IMDB_RATINGS_URL, {
-      method: 'GET',
-      headers: { 'User-Agent': 'TMDB-Discover-Plus/1.0' },
-      signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status} ${response.statusText}`);
-    }
-
-    const gunzip = createGunzip();
-    const body = response.body;
-    if (!body) throw new Error('Response body is null');
-    const rl = createInterface({
-      input: Readable.fromWeb(body).pipe(gunzip),
-      crlfDelay: Infinity,
-    });
+    const { response, rl } = await streamDatasetLines(IMDB_RATINGS_URL, DOWNLOAD_TIMEOUT_MS);
 
     let count = 0;
     let filtered = 0;
@@ -149,6 +223,14 @@ async function downloadAndCacheRatings(): Promise<boolean> {
     ratingsLoaded = true;
     ratingsCount = count;
 
+    // Runs in the background: the episode and title datasets take minutes to
+    // stream. One at a time, so the downloads do not compete.
+    importEpisodeRatings()
+      .then(() => importListener?.(allEntries))
+      .catch((err) =>
+        log.error('Ratings import listener failed', { error: (err as Error).message })
+      );
+
     return true;
   } catch (error) {
     log.error('Failed to download/import IMDb ratings', { error: (error as Error).message });
@@ -168,6 +250,17 @@ async function downloadAndCacheRatings(): Promise<boolean> {
   }
 }
 
+/**
+ * Register a callback for each freshly downloaded ratings set, as
+ * `[imdbId, "rating|votes"]` pairs. The offline IMDb index (see
+ * services/imdbDatasets) builds on these.
+ */
+export function onRatingsImported(
+  listener: ((entries: [string, string][]) => Promise<void>) | null
+): void {
+  importListener = listener;
+}
+
 export async function initializeRatings(ratingsAdapter: IImdbRatingsAdapter): Promise<void> {
   adapter = ratingsAdapter;
 
@@ -219,6 +312,35 @@ export async function getImdbRating(
   }
 }
 
+/**
+ * Ratings of a series' episodes keyed by "season:episode". Empty when the
+ * series has no episode with enough votes, or episodes are not imported.
+ */
+export async function getImdbEpisodeRatings(
+  seriesImdbId: string
+): Promise<Map<string, { rating: number; votes: number }>> {
+  const result = new Map<string, { rating: number; votes: number }>();
+  if (!seriesImdbId || !adapter) return result;
+
+  try {
+    const packed = await adapter.getEpisodes(seriesImdbId);
+    if (!packed) return result;
+    for (const entry of packed.split(',')) {
+      const firstSep = entry.indexOf(':');
+      const secondSep = entry.indexOf(':', firstSep + 1);
+      const parsed = parseRating(entry.slice(secondSep + 1));
+      if (firstSep === -1 || secondSep === -1 || !parsed) continue;
+      result.set(entry.slice(0, secondSep), parsed);
+    }
+  } catch (err) {
+    log.warn('Episode ratings lookup failed', {
+      seriesImdbId,
+      error: (err as Error).message,
+    });
+  }
+  return result;
+}
+
 export async function getImdbRatingString(imdbId: string): Promise<string | null> {
   const result = await getImdbRating(imdbId);
   return result ? String(result.rating) : null;
@@ -294,6 +416,7 @@ export function getStats(): Record<string, unknown> {
     loaded: ratingsLoaded,
     count: ratingsCount,
     downloading,
+    episodeSeries: episodeSeriesCount,
     adapter: adapter?.constructor.name || 'none',
     updateIntervalHours: UPDATE_INTERVAL_HOURS,
     minVotes: MIN_VOTES,
@@ -316,6 +439,7 @@ export async function destroyRatings(): Promise<void> {
   }
   ratingsLoaded = false;
   ratingsCount = 0;
+  episodeSeriesCount = 0;
   totalRequests = 0;
   datasetHits = 0;
   datasetMisses = 0;
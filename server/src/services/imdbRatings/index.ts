@@ -4,11 +4,13 @@ import {
   initializeRatings,
   getImdbRating,
   getImdbRatingString,
+  getImdbEpisodeRatings,
   batchGetImdbRatings,
   forceUpdate,
   isLoaded,
   getStats,
   destroyRatings,
+  onRatingsImported,
 } from './imdbRatings.ts';
 import { createLogger } from '../../utils/logger.ts';
 import { resolveRedisOrMemory } from '../../utils/resolveRedisOrMemory.ts';
@@ -42,9 +44,11 @@ export async function initImdbRatings(): Promise<void> {
 export {
   getImdbRating,
   getImdbRatingString,
+  getImdbEpisodeRatings,
   batchGetImdbRatings,
   forceUpdate as forceUpdateImdbRatings,
   isLoaded as isImdbRatingsLoaded,
   getStats as getImdbRatingsStats,
   destroyRatings as destroyImdbRatings,
+  onRatingsImported,
 };
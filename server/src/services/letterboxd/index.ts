@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import type {
+  ArtworkOptions,
+  LetterboxdListItem,
+  StremioMetaPreview,
+  TmdbDetails,
+} from '../../types/index.ts';
+import * as tmdb from '../tmdb/index.ts';
+import { getCache } from '../cache/index.ts';
+import { applyArtworkOverridesToMetaPreviews } from '../artworkService.ts';
+import { sanitizeString } from '../../utils/validation.ts';
+import { logSwallowedError } from '../../utils/helpers.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { LETTERBOXD_LIMITS } from '../../constants.ts';
+import { CACHE_TTLS } from '../../cacheTtls.ts';
+import { splitCsvRows } from '../../utils/csv.ts';
+
+const log = createLogger('letterboxd');
+
+export interface LetterboxdCsvEntry {
+  name: string;
+  year: number | null;
+}
+
+export interface LetterboxdImport {
+  listName: string | null;
+  entries: LetterboxdCsvEntry[];
+}
+
+export type FindMoviesByTitle = (
+  apiKey: string,
+  entries: LetterboxdCsvEntry[]
+) => Promise<(number | null)[]>;
+
+function parseYear(value: string | undefined): number | null {
+  const year = parseInt(value || '', 10);
+  return year >= 1870 && year <= 2100 ? year : null;
+}
+
+/**
+ * Read a Letterboxd export. Watchlist, watched and ratings exports are a
+ * single `Name,Year,…` table; list exports prepend a `Date,Name,Tags,URL`
+ * block describing the list, whose name is returned as `listName`.
+ * Entries keep their file order, duplicates collapse onto the first one.
+ */
+export function parseLetterboxdCsv(text: string): LetterboxdImport {
+  const rows = splitCsvRows(text.replace(/^\uFEFF/, ''));
+  let listName: string | null = null;
+  const entries: LetterboxdCsvEntry[] = [];
+  const seen = new Set<string>();
+  let columns: { name: number; year: number } | null = null;
+
+  for (let i = 0; i < rows.length; i++) {
+    const cells = rows[i].map((cell) => cell.trim());
+    if (cells.every((cell) => !cell)) {
+      columns = null;
+      continue;
+    }
+
+    const header = cells.map((cell) => cell.toLowerCase());
+    const nameIndex = header.indexOf('name');
+    if (nameIndex !== -1) {
+      const yearIndex = header.indexOf('year');
+      if (yearIndex !== -1) {
+        columns = { name: nameIndex, year: yearIndex };
+      } else if (listName === null && rows[i + 1]) {
+        // List metadata block: the row under its header names the list.
+        listName =
+          sanitizeString(rows[i + 1][nameIndex] || '', LETTERBOXD_LIMITS.MAX_NAME_LENGTH).trim() ||
+          null;
+        i++;
+      }
+      continue;
+    }
+
+    if (!columns) continue;
+    const name = sanitizeString(
+      cells[columns.name] || '',
+      LETTERBOXD_LIMITS.MAX_NAME_LENGTH
+    ).trim();
+    if (!name) continue;
+    const year = parseYear(cells[columns.year]);
+    const key = `${name.toLowerCase()}:${year ?? ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    entries.push({ name, year });
+    if (entries.length >= LETTERBOXD_LIMITS.MAX_ITEMS) break;
+  }
+
+  return { listName, entries };
+}
+
+/**
+ * Resolve parsed entries to TMDB films. Entries TMDB cannot match are
+ * returned separately so the import can report them; two entries resolving
+ * to the same film keep only the first.
+ */
+export async function resolveLetterboxdEntries(
+  apiKey: string,
+  entries: LetterboxdCsvEntry[],
+  findMovies: FindMoviesByTitle = tmdb.batchFindMoviesByTitle
+): Promise<{ items: LetterboxdListItem[]; unresolved: LetterboxdCsvEntry[] }> {
+  const tmdbIds = await findMovies(apiKey, entries);
+  const items: LetterboxdListItem[] = [];
+  const unresolved: LetterboxdCsvEntry[] = [];
+  const seen = new Set<number>();
+
+  entries.forEach((entry, index) => {
+    const tmdbId = tmdbIds[index];
+    if (!tmdbId) {
+      unresolved.push(entry);
+      return;
+    }
+    if (seen.has(tmdbId)) return;
+    seen.add(tmdbId);
+    items.push(
+      entry.year ? { tmdbId, name: entry.name, year: entry.year } : { tmdbId, name: entry.name }
+    );
+  });
+
+  return { items, unresolved };
+}
+
+export interface LetterboxdImportResult {
+  listName: string | null;
+  items: LetterboxdListItem[];
+  unresolved: LetterboxdCsvEntry[];
+  unresolvedCount: number;
+}
+
+export type LetterboxdImportJob =
+  | { status: 'running'; total: number }
+  | ({ status: 'done' } & LetterboxdImportResult)
+  | { status: 'failed'; error: string };
+
+function importJobKey(ownerId: string, jobId: string): string {
+  return `letterboxd:import:${ownerId}:${jobId}`;
+}
+
+/**
+ * Resolve an import in the background. Large lists need more TMDB searches
+ * than fit in one request, so the caller gets a job id to poll with
+ * {@link getLetterboxdImportJob}; job state lives in the shared cache, scoped
+ * to `ownerId`.
+ */
+export async function startLetterboxdImportJob(
+  apiKey: string,
+  ownerId: string,
+  parsed: LetterboxdImport,
+  findMovies: FindMoviesByTitle = tmdb.batchFindMoviesByTitle
+): Promise<string> {
+  const cache = getCache();
+  const jobId = crypto.randomUUID();
+  const key = importJobKey(ownerId, jobId);
+  const running: LetterboxdImportJob = { status: 'running', total: parsed.entries.length };
+  await cache.set(key, running, CACHE_TTLS.LETTERBOXD_IMPORT_JOB);
+
+  void (async () => {
+    let job: LetterboxdImportJob;
+    try {
+      const { items, unresolved } = await resolveLetterboxdEntries(
+        apiKey,
+        parsed.entries,
+        findMovies
+      );
+      log.info('Letterboxd import resolved', {
+        entries: parsed.entries.length,
+        resolved: items.length,
+        unresolved: unresolved.length,
+      });
+      job = {
+        status: 'done',
+        listName: parsed.listName,
+        items,
+        unresolved: unresolved.slice(0, LETTERBOXD_LIMITS.UNRESOLVED_REPORT),
+        unresolvedCount: unresolved.length,
+      };
+    } catch (err) {
+      log.error('Letterboxd import failed', { error: (err as Error).message });
+      job = { status: 'failed', error: 'Could not match the films on TMDB. Try again later.' };
+    }
+    await cache
+      .set(key, job, CACHE_TTLS.LETTERBOXD_IMPORT_JOB)
+      .catch((err) => logSwallowedError('letterboxd:import-job', err));
+  })();
+
+  return jobId;
+}
+
+/** Current state of an import job, or null when it is unknown or expired. */
+export async function getLetterboxdImportJob(
+  ownerId: string,
+  jobId: string
+): Promise<LetterboxdImportJob | null> {
+  if (!/^[0-9a-f-]{36}$/.test(jobId)) return null;
+  const job = await getCache().get(importJobKey(ownerId, jobId));
+  return (job as LetterboxdImportJob | null) ?? null;
+}
+
+/**
+ * Validate stored Letterboxd items: entries without a TMDB id are dropped,
+ * duplicates collapse onto the first entry and the list is capped.
+ */
+export function normalizeLetterboxdItems(value: unknown): LetterboxdListItem[] {
+  if (!Array.isArray(value)) return [];
+  const items: LetterboxdListItem[] = [];
+  const seen = new Set<number>();
+
+  for (const raw of value) {
+    if (!raw || typeof raw !== 'object') continue;
+    const entry = raw as Record<string, unknown>;
+    const tmdbId = Number(entry.tmdbId);
+    if (!Number.isInteger(tmdbId) || tmdbId <= 0 || seen.has(tmdbId)) continue;
+    seen.add(tmdbId);
+
+    const name =
+      typeof entry.name === 'string'
+        ? sanitizeString(entry.name, LETTERBOXD_LIMITS.MAX_NAME_LENGTH).trim()
+        : '';
+    const item: LetterboxdListItem = { tmdbId, name };
+    const year = parseYear(String(entry.year ?? ''));
+    if (year) item.year = year;
+    items.push(item);
+    if (items.length >= LETTERBOXD_LIMITS.MAX_ITEMS) break;
+  }
+
+  return items;
+}
+
+/**
+ * Build catalog previews for a slice of resolved items through the regular
+ * TMDB detail and artwork pipeline. Films TMDB no longer returns are skipped.
+ */
+export async function buildLetterboxdMetas(
+  apiKey: string,
+  items: LetterboxdListItem[],
+  artworkOptions: ArtworkOptions | null,
+  displayLanguage: string | null = null
+): Promise<StremioMetaPreview[]> {
+  const detailsMap = await tmdb.batchGetPreviewDetails(
+    apiKey,
+    items.map((item) => item.tmdbId),
+    'movie',
+    { displayLanguage: displayLanguage || undefined }
+  );
+
+  let ratingsMap: Map<string, string> | null = null;
+  try {
+    ratingsMap = await tmdb.batchGetCinemetaRatings(
+      Array.from(detailsMap.values()).map((d) => ({
+        imdb_id: (d as TmdbDetails)?.external_ids?.imdb_id || undefined,
+      })),
+      'movie'
+    );
+  } catch (err) {
+    logSwallowedError('letterboxd:ratings', err);
+  }
+
+  const metas = (
+    await Promise.all(
+      items.map((item) =>
+        tmdb.toStremioMetaPreview(
+          (detailsMap.get(item.tmdbId) as TmdbDetails | undefined) || null,
+          'movie',
+          artworkOptions,
+          displayLanguage,
+          ratingsMap
+        )
+      )
+    )
+  ).filter((m): m is StremioMetaPreview => m !== null);
+
+  return applyArtworkOverridesToMetaPreviews(metas, artworkOptions);
+}
@@ -51,6 +51,7 @@ export interface MalAnime {
   start_season?: { year: number; season: string };
   source?: string;
   studios?: Array<{ id: number; name: string }>;
+  rating?: string; // "PG-13 - Teens 13 or older"
 }
 
 export interface JikanPagination {
@@ -96,6 +97,7 @@ export function jikanToMalAnime(j: JikanAnime): MalAnime {
     start_season: j.season && j.year ? { year: j.year, season: j.season } : undefined,
     source: j.source || undefined,
     studios: j.studios?.map((s) => ({ id: s.mal_id, name: s.name })),
+    rating: j.rating || undefined,
   };
 }
 
@@ -16,7 +16,16 @@ import { createLogger } from '../utils/logger.ts';
 import { getApiKeyFromConfig, updateCatalogGenres } from './configService.ts';
 import { config } from '../config.ts';
 import { SORT_OPTIONS } from './tmdb/referenceData.ts';
-import type { UserConfig, StremioManifest, ManifestCatalog, TmdbGenre } from '../types/index.ts';
+import { isCatalogScheduled } from './catalogSchedule/index.ts';
+import { buildUnifiedSearchCatalogs, normalizeUnifiedSearchMode } from './unifiedSearch/index.ts';
+import type { ManifestSearchCatalog } from './sources/types.ts';
+import type {
+  UserConfig,
+  StremioManifest,
+  ManifestCatalog,
+  ManifestResource,
+  TmdbGenre,
+} from '../types/index.ts';
 
 const log = createLogger('manifestService');
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -36,11 +45,17 @@ const STREMIO_EXTRA_MODES: StremioExtraMode[] = ['genre', 'year', 'sortBy', 'cer
 const TMDB_STREMIO_EXTRA_MODES: StremioExtraMode[] = ['genre', 'year', 'sortBy', 'certification'];
 const GENRE_ONLY_STREMIO_EXTRA_MODES: StremioExtraMode[] = ['genre'];
 const SUPPORTED_ID_PREFIXES = ['tmdb:', 'tt', 'mal:', 'kitsu:', 'anilist:', 'anidb:'];
+// Trailers come from TMDB, so streams are only offered for ids TMDB can resolve.
+const TRAILER_STREAM_RESOURCE: ManifestResource = {
+  name: 'stream',
+  types: ['movie', 'series'],
+  idPrefixes: ['tmdb:', 'tt'],
+};
 
 const MIN_DROPDOWN_YEAR = 1900;
 const DISABLED_SOURCES = new Set(['mal']);
 
-function buildManifestVersion(userConfig: UserConfig | null): string {
+function buildManifestVersion(userConfig: UserConfig | null, now: Date): string {
   if (!userConfig) {
     return ADDON_VERSION;
   }
@@ -54,6 +69,8 @@ function buildManifestVersion(userConfig: UserConfig | null): string {
       type: catalog.type,
       source: catalog.source || 'tmdb',
       enabled: catalog.enabled !== false,
+      // Scheduled catalogs coming and going must read as a new manifest.
+      listed: isCatalogScheduled(catalog.schedule, now),
       filters: catalog.filters || {},
     })),
     preferences: userConfig.preferences || {},
@@ -252,13 +269,66 @@ function upsertGenreExtra(
   });
 }
 
-export function buildManifest(userConfig: UserConfig | null, baseUrl: string): StremioManifest {
+/**
+ * The per-source search catalogs the user has enabled. The unified search
+ * catalog fans out to exactly these, so both always agree on the sources.
+ */
+export function getSourceSearchCatalogs(userConfig: UserConfig | null): ManifestSearchCatalog[] {
+  if (userConfig?.preferences?.disableSearch === true) return [];
+
+  // Each source owns its own search catalog definitions.
+  // The preference key convention is `disable<SourceId>Search`.
+  const SEARCH_PREF_MAP: Record<string, keyof import('../types/config.ts').UserPreferences> = {
+    tmdb: 'disableTmdbSearch',
+    imdb: 'disableImdbSearch',
+    anilist: 'disableAnilistSearch',
+    mal: 'disableMalSearch',
+    kitsu: 'disableKitsuSearch',
+    simkl: 'disableSimklSearch',
+    trakt: 'disableTraktSearch',
+  };
+
+  const catalogs: ManifestSearchCatalog[] = [];
+  for (const source of getAllSources()) {
+    if (DISABLED_SOURCES.has(source.sourceId)) continue;
+    const prefKey = SEARCH_PREF_MAP[source.sourceId];
+    // TMDB search is enabled by default; others are opt-in (disabled by default).
+    const isDisabled = prefKey
+      ? source.sourceId === 'tmdb'
+        ? userConfig?.preferences?.[prefKey] === true
+        : userConfig?.preferences?.[prefKey] !== false
+      : true;
+
+    if (isDisabled) continue;
+    // Some sources can be enabled via per-user credentials even when
+    // global env credentials are not configured.
+    const hasUserScopedCredential =
+      (source.sourceId === 'mal' && !!userConfig?.malClientIdEncrypted) ||
+      (source.sourceId === 'simkl' && !!userConfig?.simklApiKeyEncrypted) ||
+      (source.sourceId === 'trakt' && !!userConfig?.traktClientIdEncrypted);
+    if (!source.isEnabled() && !hasUserScopedCredential) continue;
+
+    catalogs.push(...source.getSearchCatalogs());
+  }
+  return catalogs;
+}
+
+export function buildManifest(
+  userConfig: UserConfig | null,
+  baseUrl: string,
+  now: Date = new Date()
+): StremioManifest {
   const resolvedBaseUrl = config.baseUrl || baseUrl;
   const addonName = userConfig?.configName
     ? `${BASE_ADDON_NAME} - ${userConfig.configName}`
     : BASE_ADDON_NAME;
   const catalogs: ManifestCatalog[] = (userConfig?.catalogs || [])
-    .filter((c) => c.enabled !== false && !DISABLED_SOURCES.has(c.source ?? 'tmdb'))
+    .filter(
+      (c) =>
+        c.enabled !== false &&
+        !DISABLED_SOURCES.has(c.source ?? 'tmdb') &&
+        isCatalogScheduled(c.schedule, now)
+    )
     .map((catalog) => {
       const source = getSource(catalog.source ?? 'tmdb');
       const prefix = source.catalogIdPrefix;
@@ -280,51 +350,26 @@ export function buildManifest(userConfig: UserConfig | null, baseUrl: string): S
       };
     });
 
-  if (userConfig?.preferences?.disableSearch !== true) {
-    // Each source owns its own search catalog definitions.
-    // The preference key convention is `disable<SourceId>Search`.
-    const SEARCH_PREF_MAP: Record<string, keyof import('../types/config.ts').UserPreferences> = {
-      tmdb: 'disableTmdbSearch',
-      imdb: 'disableImdbSearch',
-      anilist: 'disableAnilistSearch',
-      mal: 'disableMalSearch',
-      kitsu: 'disableKitsuSearch',
-      simkl: 'disableSimklSearch',
-      trakt: 'disableTraktSearch',
-    };
-
-    for (const source of getAllSources()) {
-      if (DISABLED_SOURCES.has(source.sourceId)) continue;
-      const prefKey = SEARCH_PREF_MAP[source.sourceId];
-      // TMDB search is enabled by default; others are opt-in (disabled by default).
-      const isDisabled = prefKey
-        ? source.sourceId === 'tmdb'
-          ? userConfig?.preferences?.[prefKey] === true
-          : userConfig?.preferences?.[prefKey] !== false
-        : true;
-
-      if (isDisabled) continue;
-      // Some sources can be enabled via per-user credentials even when
-      // global env credentials are not configured.
-      const hasUserScopedCredential =
-        (source.sourceId === 'mal' && !!userConfig?.malClientIdEncrypted) ||
-        (source.sourceId === 'simkl' && !!userConfig?.simklApiKeyEncrypted) ||
-        (source.sourceId === 'trakt' && !!userConfig?.traktClientIdEncrypted);
-      if (!source.isEnabled() && !hasUserScopedCredential) continue;
-
-      const searchCatalogs = source.getSearchCatalogs();
-      catalogs.push(...searchCatalogs);
-    }
+  const sourceSearchCatalogs = getSourceSearchCatalogs(userConfig);
+  const unifiedSearchMode = normalizeUnifiedSearchMode(userConfig?.preferences?.unifiedSearch);
+  if (unifiedSearchMode !== 'off') {
+    catalogs.push(...buildUnifiedSearchCatalogs(sourceSearchCatalogs));
+  }
+  if (unifiedSearchMode !== 'replace') {
+    catalogs.push(...sourceSearchCatalogs);
   }
 
   return {
     id: ADDON_ID,
     name: addonName,
     description: ADDON_DESCRIPTION,
-    version: buildManifestVersion(userConfig),
+    version: buildManifestVersion(userConfig, now),
     logo: `${resolvedBaseUrl.replace(/\/$/, '')}/logo.png`,
     idPrefixes: SUPPORTED_ID_PREFIXES,
-    resources: ['catalog', 'meta'],
+    resources:
+      userConfig?.preferences?.enableTrailerStreams === true
+        ? ['catalog', 'meta', TRAILER_STREAM_RESOURCE]
+        : ['catalog', 'meta'],
     types: ['movie', 'series', 'anime'],
     catalogs,
     behaviorHints: {
@@ -345,6 +390,9 @@ export async function enrichManifestWithGenres(
     manifest.catalogs.map(async (catalog) => {
       try {
         if (catalog.id.includes('-search-')) return;
+        // Composite rows merge other catalogs and Letterboxd rows replay a fixed
+        // list; neither has a genre dropdown of its own.
+        if (catalog.id.startsWith('composite-') || catalog.id.startsWith('letterboxd-')) return;
 
         if (catalog.id.startsWith('imdb-')) {
           const savedCatalog = (config.catalogs || []).find((c) => {
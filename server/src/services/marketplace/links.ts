@@ -0,0 +1,207 @@
+import { getStorage } from '../storage/index.ts';
+import { getUserConfig, saveUserConfig } from '../configService.ts';
+import { resolveHouseholdCatalogs } from '../household/index.ts';
+import { applyMaturityLimit } from '../maturity/index.ts';
+import { getMarketplaceCache } from '../../infrastructure/marketplaceCache.ts';
+import { AppError, ErrorCodes } from '../../utils/AppError.ts';
+import { createLogger } from '../../utils/logger.ts';
+import type { CatalogConfig, UserConfig } from '../../types/config.ts';
+import type { LinkedCatalogStatus, MarketplaceEntry } from '../../types/marketplace.ts';
+
+const log = createLogger('marketplaceLinks');
+
+/**
+ * Linked marketplace installs.
+ *
+ * A linked catalog is a normal clone whose `clonedFrom.linked` flag is set. Its
+ * stored filters are only a fallback: addon requests go through
+ * {@link getAddonUserConfig}, which swaps in the entry's current filters while
+ * the entry stays public, active and of the same type and source. The stored
+ * `contentHash` records which version of the entry the local copy matches, so
+ * the client can badge catalogs whose author has changed them since.
+ */
+
+function isLinked(catalog: CatalogConfig): boolean {
+  return catalog.clonedFrom?.linked === true && Boolean(catalog.clonedFrom.marketplaceId);
+}
+
+/** Whether `entry` may stand in for `catalog`'s filters. */
+function isUsableUpstream(
+  catalog: CatalogConfig,
+  entry: MarketplaceEntry | null
+): entry is MarketplaceEntry {
+  return (
+    !!entry &&
+    entry.visibility === 'public' &&
+    entry.moderation === 'active' &&
+    entry.type === catalog.type &&
+    entry.source === (catalog.source || 'tmdb')
+  );
+}
+
+function applyUpstreamFilters(catalog: CatalogConfig, entry: MarketplaceEntry): CatalogConfig {
+  const { formState: _formState, ...rest } = catalog;
+  return {
+    ...rest,
+    filters: entry.filters,
+    ...(entry.formState !== undefined ? { formState: entry.formState } : {}),
+  };
+}
+
+/**
+ * Load linked entries through the `mkt:entry:*` cache, which every publish,
+ * unpublish and moderation change already invalidates. A failed lookup is
+ * treated as a missing entry so the stored filters keep serving.
+ */
+async function loadUpstreamEntries(
+  catalogs: CatalogConfig[]
+): Promise<Map<string, MarketplaceEntry | null>> {
+  const ids = [...new Set(catalogs.map((c) => c.clonedFrom!.marketplaceId))];
+  const cache = getMarketplaceCache();
+  const entries = await Promise.all(
+    ids.map(async (id) => {
+      try {
+        const entry = (await cache.getOrLoad(`mkt:entry:${id}`, () =>
+          getStorage().getMarketplaceEntry(id)
+        )) as MarketplaceEntry | null;
+        return [id, entry] as const;
+      } catch (err) {
+        log.warn('Failed to load linked marketplace entry', {
+          marketplaceId: id,
+          error: (err as Error).message,
+        });
+        return [id, null] as const;
+      }
+    })
+  );
+  return new Map(entries);
+}
+
+/**
+ * Return `config` with every linked catalog's filters replaced by its entry's
+ * current ones. `updatedAt` is moved forward to the newest entry update so the
+ * response cache keys built from it roll over when an author edits. Configs
+ * without linked catalogs are returned as-is.
+ */
+export async function resolveLinkedCatalogs(config: UserConfig): Promise<UserConfig> {
+  const linked = (config.catalogs || []).filter(isLinked);
+  if (linked.length === 0) return config;
+
+  const entries = await loadUpstreamEntries(linked);
+  let updatedAt = config.updatedAt ? new Date(config.updatedAt).getTime() : 0;
+  const catalogs = config.catalogs.map((catalog) => {
+    if (!isLinked(catalog)) return catalog;
+    const entry = entries.get(catalog.clonedFrom!.marketplaceId) ?? null;
+    if (!isUsableUpstream(catalog, entry)) return catalog;
+    updatedAt = Math.max(updatedAt, new Date(entry.updatedAt).getTime() || 0);
+    return applyUpstreamFilters(catalog, entry);
+  });
+
+  return { ...config, catalogs, updatedAt: updatedAt ? new Date(updatedAt) : config.updatedAt };
+}
+
+/**
+ * The config as the addon serves it: stored config with household and linked
+ * catalogs resolved, then held to the profile's maturity limit.
+ */
+export async function getAddonUserConfig(userId: string): Promise<UserConfig | null> {
+  const config = await getUserConfig(userId);
+  if (!config) return null;
+  return applyMaturityLimit(await resolveLinkedCatalogs(await resolveHouseholdCatalogs(config)));
+}
+
+/** Link state of every linked catalog in the user's config, in catalog order. */
+export async function getLinkStatuses(userId: string): Promise<LinkedCatalogStatus[]> {
+  const config = await getUserConfig(userId);
+  if (!config) {
+    throw new AppError(404, ErrorCodes.CONFIG_NOT_FOUND, 'Configuration not found');
+  }
+  const linked = (config.catalogs || []).filter(isLinked);
+  if (linked.length === 0) return [];
+
+  const entries = await loadUpstreamEntries(linked);
+  return linked.map((catalog) => {
+    const marketplaceId = catalog.clonedFrom!.marketplaceId;
+    const entry = entries.get(marketplaceId) ?? null;
+    if (!isUsableUpstream(catalog, entry)) {
+      return { catalogId: catalog._id, marketplaceId, status: 'unavailable' };
+    }
+    return {
+      catalogId: catalog._id,
+      marketplaceId,
+      status: entry.contentHash === catalog.clonedFrom!.contentHash ? 'current' : 'updated',
+      upstreamUpdatedAt: new Date(entry.updatedAt).toISOString(),
+    };
+  });
+}
+
+async function updateLinkedCatalog(
+  userId: string,
+  catalogId: string,
+  update: (catalog: CatalogConfig, entry: MarketplaceEntry | null) => CatalogConfig
+): Promise<CatalogConfig> {
+  const config = await getUserConfig(userId);
+  if (!config) {
+    throw new AppError(404, ErrorCodes.CONFIG_NOT_FOUND, 'Configuration not found');
+  }
+  const catalog = (config.catalogs || []).find((c) => c._id === catalogId);
+  if (!catalog || !isLinked(catalog)) {
+    throw new AppError(404, ErrorCodes.NOT_FOUND, 'Linked catalog not found');
+  }
+
+  const entry = await getStorage().getMarketplaceEntry(catalog.clonedFrom!.marketplaceId);
+  const next = update(catalog, isUsableUpstream(catalog, entry) ? entry : null);
+  await saveUserConfig({
+    ...config,
+    catalogs: config.catalogs.map((c) => (c === catalog ? next : c)),
+  });
+  return next;
+}
+
+/** Stamp the entry's version on a catalog that now holds its filters. */
+function withUpstreamFilters(catalog: CatalogConfig, entry: MarketplaceEntry): CatalogConfig {
+  return {
+    ...applyUpstreamFilters(catalog, entry),
+    clonedFrom: {
+      ...catalog.clonedFrom!,
+      contentHash: entry.contentHash,
+      syncedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Copy the entry's current filters into the stored catalog and mark it
+ * current. The entry must still be usable, else 404.
+ */
+export async function syncLinkedCatalog(userId: string, catalogId: string): Promise<CatalogConfig> {
+  return updateLinkedCatalog(userId, catalogId, (catalog, entry) => {
+    if (!entry) {
+      throw new AppError(404, ErrorCodes.NOT_FOUND, 'Catalog not available');
+    }
+    return withUpstreamFilters(catalog, entry);
+  });
+}
+
+/**
+ * Turn a linked catalog into a local copy. The copy starts from the entry's
+ * current filters when the entry is still usable, otherwise from the stored
+ * ones; the origin provenance is kept either way.
+ */
+export async function detachLinkedCatalog(
+  userId: string,
+  catalogId: string
+): Promise<CatalogConfig> {
+  const detached = await updateLinkedCatalog(userId, catalogId, (catalog, entry) => {
+    const base = entry ? withUpstreamFilters(catalog, entry) : catalog;
+    const {
+      linked: _linked,
+      contentHash: _contentHash,
+      syncedAt: _syncedAt,
+      ...provenance
+    } = base.clonedFrom!;
+    return { ...base, clonedFrom: provenance };
+  });
+  log.info('Detached linked marketplace catalog', { userId, catalogId });
+  return detached;
+}
@@ -0,0 +1,129 @@
+import { getStorage } from '../storage/index.ts';
+import { getUserConfig } from '../configService.ts';
+import { getMarketplaceCache } from '../../infrastructure/marketplaceCache.ts';
+import { config } from '../../config.ts';
+import { MARKETPLACE_MODERATION_LIMITS } from '../../constants.ts';
+import { AppError, ErrorCodes } from '../../utils/AppError.ts';
+import { createLogger } from '../../utils/logger.ts';
+import type {
+  MarketplaceEntry,
+  ModerationQueueItem,
+  ModerationStatus,
+  ReportRequest,
+  ReportResult,
+} from '../../types/marketplace.ts';
+
+const log = createLogger('marketplaceModeration');
+
+/**
+ * Abuse reports and the moderator review workflow.
+ *
+ * Reports live in a per-user ledger (one row per reporter and entry, like the
+ * like ledger). Once an active entry collects `reportThreshold` distinct
+ * reports it is moved to `flagged`, which takes it out of search and install
+ * until a moderator restores it (`active`, reports cleared) or removes it
+ * (`removed`, reports kept for the record). Every transition invalidates the
+ * entry-detail key and the search namespace.
+ */
+
+function invalidate(marketplaceId: string): void {
+  const cache = getMarketplaceCache();
+  cache.invalidateEntry(marketplaceId);
+  cache.invalidateSearchNamespace();
+}
+
+/**
+ * Whether the caller's API key owns one of the configs listed in
+ * `MARKETPLACE_MODERATORS`. Moderators are named by config user id because the
+ * API key id is a hash nobody can read off the UI.
+ */
+export async function isMarketplaceModerator(
+  apiKeyId: string | undefined,
+  moderators: readonly string[] = config.marketplace.moderators
+): Promise<boolean> {
+  if (!apiKeyId || moderators.length === 0) return false;
+  for (const userId of moderators) {
+    const moderatorConfig = await getUserConfig(userId).catch(() => null);
+    if (moderatorConfig?.apiKeyId && moderatorConfig.apiKeyId === apiKeyId) return true;
+  }
+  return false;
+}
+
+/**
+ * Record a report against an entry. A repeat report by the same actor is a
+ * no-op (`alreadyReported: true`). Removed entries are treated as missing.
+ */
+export async function reportEntry(
+  entryId: string,
+  actorUserId: string,
+  request: ReportRequest,
+  threshold: number = config.marketplace.reportThreshold
+): Promise<ReportResult> {
+  const storage = getStorage();
+  const entry = await storage.getMarketplaceEntry(entryId);
+  if (!entry || entry.moderation === 'removed') {
+    throw new AppError(404, ErrorCodes.NOT_FOUND, 'Marketplace entry not found');
+  }
+
+  const created = await storage.recordReport({
+    marketplaceId: entryId,
+    actorUserId,
+    reason: request.reason,
+    ...(request.details ? { details: request.details } : {}),
+    createdAt: new Date(),
+  });
+  if (!created) return { reported: true, alreadyReported: true };
+
+  if (threshold > 0 && entry.moderation === 'active') {
+    const reports = await storage.getReports(entryId);
+    if (reports.length >= threshold) {
+      await storage.setMarketplaceModeration(entryId, 'flagged');
+      invalidate(entryId);
+      log.info('Marketplace entry flagged for review', {
+        marketplaceId: entryId,
+        reports: reports.length,
+      });
+    }
+  }
+
+  return { reported: true, alreadyReported: false };
+}
+
+/** Entries in `status` (newest change first), each with its reports. */
+export async function getModerationQueue(
+  status: Exclude<ModerationStatus, 'active'>
+): Promise<ModerationQueueItem[]> {
+  const storage = getStorage();
+  const entries = await storage.listMarketplaceEntriesByModeration(
+    status,
+    MARKETPLACE_MODERATION_LIMITS.QUEUE_LIMIT
+  );
+  return Promise.all(
+    entries.map(async (entry) => ({
+      entry,
+      reports: await storage.getReports(entry.marketplaceId),
+    }))
+  );
+}
+
+/**
+ * Apply a moderator decision. Restoring clears the entry's reports so it has
+ * to collect a fresh set before it is flagged again.
+ */
+export async function moderateEntry(
+  entryId: string,
+  decision: 'restore' | 'remove'
+): Promise<MarketplaceEntry> {
+  const storage = getStorage();
+  const moderation: ModerationStatus = decision === 'restore' ? 'active' : 'removed';
+  const updated = await storage.setMarketplaceModeration(entryId, moderation);
+  if (!updated) {
+    throw new AppError(404, ErrorCodes.NOT_FOUND, 'Marketplace entry not found');
+  }
+  if (decision === 'restore') {
+    await storage.clearReports(entryId);
+  }
+  invalidate(entryId);
+  log.info('Marketplace entry moderated', { marketplaceId: entryId, moderation });
+  return updated;
+}
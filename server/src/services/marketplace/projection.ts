@@ -3,7 +3,7 @@ import crypto from 'crypto';
 import { MARKETPLACE_SECRET_DENYLIST, MARKETPLACE_SECRET_PATTERN } from '../../constants.ts';
 import type { CatalogConfig, CatalogFilters, SourceType } from '../../types/config.ts';
 import type { ContentType } from '../../types/common.ts';
-import type { MarketplaceEntry } from '../../types/marketplace.ts';
+import type { MarketplaceBundleMember, MarketplaceEntry } from '../../types/marketplace.ts';
 import { AppError, ErrorCodes } from '../../utils/AppError.ts';
 import { stableStringify } from '../../utils/stableStringify.ts';
 import { isValidUserId, sanitizeFiltersForSource, sanitizeString } from '../../utils/validation.ts';
@@ -202,6 +202,28 @@ export function computeContentHash(input: {
   return crypto.createHash('sha256').update(canonical).digest('hex');
 }
 
+/** The most frequent value in `values`; ties go to the one seen first. */
+function mostCommon<T>(values: T[]): T {
+  const counts = new Map<T, number>();
+  for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1);
+  let best = values[0];
+  for (const [value, count] of counts) {
+    if (count > counts.get(best)!) best = value;
+  }
+  return best;
+}
+
+function assertNoSecrets(entry: MarketplaceEntry): void {
+  const secretField = findSecretField(entry);
+  if (secretField !== null) {
+    throw new AppError(
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      `Public projection rejected: contains a secret field "${secretField}"`
+    );
+  }
+}
+
 /**
  * Build a secret-free public projection of a catalog.
  *
@@ -293,14 +315,72 @@ export function toPublicProjection(userId: string, catalog: CatalogConfig): Mark
   };
 
   // Hard invariant: no secret may ever enter the index (Requirements 2.2, 2.6).
-  const secretField = findSecretField(entry);
-  if (secretField !== null) {
-    throw new AppError(
-      400,
-      ErrorCodes.VALIDATION_ERROR,
-      `Public projection rejected: contains a secret field "${secretField}"`
-    );
-  }
+  assertNoSecrets(entry);
+
+  return entry;
+}
+
+/**
+ * Build the public projection of a bundle: several catalogs published as one
+ * entry under `bundle.bundleId`. Each member goes through
+ * {@link toPublicProjection}, so members carry exactly the fields a single
+ * published catalog would. The entry's own type and source are the most common
+ * among the members (used for search facets); genres and facets are the union
+ * of the members'. The content hash covers every member, in order.
+ */
+export function toBundleProjection(
+  userId: string,
+  bundle: { bundleId: string; name: unknown; description?: unknown; tags?: unknown },
+  catalogs: CatalogConfig[]
+): MarketplaceEntry {
+  const projections = catalogs.map((catalog) => toPublicProjection(userId, catalog));
+  const members: MarketplaceBundleMember[] = projections.map((p) => ({
+    name: p.name,
+    type: p.type,
+    source: p.source,
+    genres: p.genres,
+    filters: p.filters,
+    ...(p.formState !== undefined ? { formState: p.formState } : {}),
+  }));
+
+  const name = sanitizeName(bundle.name);
+  const type = mostCommon(members.map((m) => m.type));
+  const source = mostCommon(members.map((m) => m.source));
+  const genres = [...new Set(members.flatMap((m) => m.genres))].slice(0, GENRE_MAX_COUNT);
+  const filterFacets = [...new Set(projections.flatMap((p) => p.filterFacets))];
+
+  const now = new Date();
+  const entry: MarketplaceEntry = {
+    marketplaceId: crypto.randomUUID(),
+    provenance: {
+      originUserId: userId,
+      originCatalogId: bundle.bundleId,
+      originConfigName: name,
+    },
+    name,
+    description: sanitizeDescription(bundle.description),
+    tags: sanitizeTags(bundle.tags),
+    type,
+    source,
+    genres,
+    filterFacets,
+    filters: {},
+    members,
+    visibility: 'public',
+    moderation: 'active',
+    engagement: {
+      likes: 0,
+      installs: 0,
+      views: 0,
+      trendingScore: 0,
+    },
+    contentHash: computeContentHash({ name, type, source, filters: members }),
+    publishedAt: now,
+    updatedAt: now,
+    schemaVersion: SCHEMA_VERSION,
+  };
+
+  assertNoSecrets(entry);
 
   return entry;
 }
@@ -1,4 +1,8 @@
-import { MARKETPLACE_SOURCES, MARKETPLACE_TYPES } from '../../constants.ts';
+import {
+  MARKETPLACE_BUNDLE_LIMITS,
+  MARKETPLACE_SOURCES,
+  MARKETPLACE_TYPES,
+} from '../../constants.ts';
 import type { MarketplaceEntry } from '../../types/marketplace.ts';
 import { AppError, ErrorCodes } from '../../utils/AppError.ts';
 
@@ -124,4 +128,35 @@ export function validateMarketplaceEntry(entry: MarketplaceEntry): void {
       'Rule 3.6 (trendingScore): trendingScore must be a finite number greater than or equal to 0 (NaN, Infinity, and -Infinity are rejected)'
     );
   }
+
+  // --- Bundles: member count, and the name/type/source rules per member -----
+  const { members } = entry;
+  if (members !== undefined) {
+    const { MIN_MEMBERS, MAX_MEMBERS } = MARKETPLACE_BUNDLE_LIMITS;
+    if (!Array.isArray(members) || members.length < MIN_MEMBERS || members.length > MAX_MEMBERS) {
+      reject(
+        `Bundle (member count): a bundle must contain between ${MIN_MEMBERS} and ${MAX_MEMBERS} catalogs`
+      );
+    }
+    for (const member of members) {
+      const memberName = member?.name;
+      if (
+        typeof memberName !== 'string' ||
+        memberName.length < NAME_MIN ||
+        memberName.length > NAME_MAX
+      ) {
+        reject(
+          `Bundle (member name): each member name must contain between ${NAME_MIN} and ${NAME_MAX} characters`
+        );
+      }
+      if (!(MARKETPLACE_TYPES as readonly string[]).includes(member.type)) {
+        reject(`Bundle (member type): member type must be one of ${MARKETPLACE_TYPES.join(', ')}`);
+      }
+      if (!(MARKETPLACE_SOURCES as readonly string[]).includes(member.source)) {
+        reject(
+          `Bundle (member source): member source must be one of ${MARKETPLACE_SOURCES.join(', ')}`
+        );
+      }
+    }
+  }
 }
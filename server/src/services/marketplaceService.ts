@@ -2,11 +2,16 @@ import crypto from 'crypto';
 
 import { getStorage } from './storage/index.ts';
 import { getUserConfig, saveUserConfig } from './configService.ts';
-import { toPublicProjection, containsNoSecrets } from './marketplace/projection.ts';
+import {
+  toPublicProjection,
+  toBundleProjection,
+  containsNoSecrets,
+} from './marketplace/projection.ts';
 import { validateMarketplaceEntry } from './marketplace/validation.ts';
 import { parseSources, parseGenres } from './marketplace/facetParsing.ts';
 import { getMarketplaceCache } from '../infrastructure/marketplaceCache.ts';
 import {
+  MARKETPLACE_BUNDLE_LIMITS,
   MARKETPLACE_LIMITS,
   MARKETPLACE_PAGINATION,
   MARKETPLACE_RANKING,
@@ -27,6 +32,7 @@ import type {
 } from '../types/config.ts';
 import type { ContentType } from '../types/common.ts';
 import type {
+  InstallMode,
   InstallResult,
   LikeResult,
   MarketplaceEntry,
@@ -36,12 +42,13 @@ import type {
   MarketplaceSearchQuery,
   MarketplaceSearchResult,
   MarketplaceSort,
+  PublishBundleRequest,
 } from '../types/marketplace.ts';
 
 const log = createLogger('marketplaceService');
 const DISABLED_MARKETPLACE_SOURCES = new Set<SourceType>(['mal']);
 const ENABLED_MARKETPLACE_SOURCES = MARKETPLACE_SOURCES.filter(
-  (source): source is SourceType => !DISABLED_MARKETPLACE_SOURCES.has(source as SourceType)
+  (source) => !DISABLED_MARKETPLACE_SOURCES.has(source)
 );
 
 /**
@@ -150,6 +157,85 @@ export async function publishCatalog(
   return stored;
 }
 
+/**
+ * Publish (or re-publish) a bundle: several catalogs the user owns, offered as
+ * one entry that installs all of them in order.
+ *
+ * The bundle is keyed like a catalog entry, by `(originUserId, bundleId)`, so
+ * re-publishing with the same `bundleId` updates it in place and
+ * {@link unpublishCatalog} removes it. A new `bundleId` is generated when none
+ * is given; it must not name one of the user's catalogs, or reconciliation
+ * would treat the bundle as that catalog's entry. Member order follows
+ * `catalogIds`; any id not in the config is a 404.
+ */
+export async function publishBundle(
+  userId: string,
+  request: Omit<PublishBundleRequest, 'userId'>
+): Promise<MarketplaceEntry> {
+  if (!isValidUserId(userId)) {
+    throw new AppError(403, ErrorCodes.FORBIDDEN, 'Invalid or missing user identity');
+  }
+
+  const config = await getUserConfig(userId);
+  if (!config) {
+    throw new AppError(404, ErrorCodes.CONFIG_NOT_FOUND, 'Configuration not found');
+  }
+  if (config.userId !== userId) {
+    throw new AppError(403, ErrorCodes.FORBIDDEN, 'You do not own this catalog');
+  }
+
+  const { MIN_MEMBERS, MAX_MEMBERS } = MARKETPLACE_BUNDLE_LIMITS;
+  const catalogIds = [...new Set(request.catalogIds)];
+  if (catalogIds.length < MIN_MEMBERS || catalogIds.length > MAX_MEMBERS) {
+    throw new AppError(
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      `A bundle must contain between ${MIN_MEMBERS} and ${MAX_MEMBERS} catalogs`
+    );
+  }
+  const catalogs = catalogIds.map((catalogId) => {
+    const catalog = findCatalogById(config.catalogs, catalogId);
+    if (!catalog) {
+      throw new AppError(404, ErrorCodes.NOT_FOUND, 'Catalog not found');
+    }
+    return catalog;
+  });
+
+  const bundleId = request.bundleId ?? crypto.randomUUID();
+  if (!isValidCatalogId(bundleId) || findCatalogById(config.catalogs, bundleId)) {
+    throw new AppError(400, ErrorCodes.VALIDATION_ERROR, 'Invalid bundle id');
+  }
+
+  const entry = toBundleProjection(
+    userId,
+    { bundleId, name: request.name, description: request.description, tags: request.tags },
+    catalogs
+  );
+  validateMarketplaceEntry(entry);
+  if (!containsNoSecrets(entry)) {
+    throw new AppError(
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      'Public projection rejected: contains a secret field'
+    );
+  }
+
+  const stored = await getStorage().upsertMarketplaceEntry(entry);
+
+  const cache = getMarketplaceCache();
+  cache.invalidateEntry(stored.marketplaceId);
+  cache.invalidateSearchNamespace();
+
+  log.info('Published bundle to marketplace', {
+    userId,
+    bundleId,
+    members: catalogs.length,
+    marketplaceId: stored.marketplaceId,
+  });
+
+  return stored;
+}
+
 /**
  * Unpublish a catalog the requesting user previously published.
  *
@@ -245,6 +331,12 @@ function isPresetCatalog(catalog: CatalogConfig): boolean {
  * (opt-out) and not a stock preset.
  */
 function shouldAutoIndex(catalog: CatalogConfig): boolean {
+  // Composite catalogs only reference the owner's other catalogs by id, so
+  // they cannot stand on their own in someone else's config.
+  if (catalog?.source === 'composite') return false;
+  // Letterboxd catalogs replay a personal export (often a watchlist), so they
+  // stay out of the marketplace unless the source is added there explicitly.
+  if (catalog?.source === 'letterboxd') return false;
   return isPublishedCatalog(catalog) && !isPresetCatalog(catalog);
 }
 
@@ -526,6 +618,11 @@ function toSearchCard(entry: MarketplaceEntry): MarketplaceSearchCard {
       originUserId: entry.provenance?.originUserId,
       originConfigName: entry.provenance?.originConfigName,
     },
+    ...(Array.isArray(entry.members)
+      ? {
+          members: entry.members.map((m) => ({ name: m.name, type: m.type, source: m.source })),
+        }
+      : {}),
     publishedAt,
   };
 }
@@ -714,9 +811,14 @@ function isInstallable(entry: MarketplaceEntry): boolean {
  * lacks any of `marketplaceId`, origin user id, or origin catalog id, the clone is
  * not created and a validation error is raised instead.
  *
+ * In `link` mode the provenance is also marked `linked` and stamped with the
+ * entry's `contentHash`, so addon requests follow the entry's current filters
+ * (see `services/marketplace/links.ts`) and the client can tell when the
+ * stored copy has fallen behind.
+ *
  * Requirements: 13.1, 13.2, 13.3, 13.4, 13.5, 22.5, 22.6.
  */
-export function cloneCatalog(entry: MarketplaceEntry): CatalogConfig {
+export function cloneCatalog(entry: MarketplaceEntry, mode: InstallMode = 'copy'): CatalogConfig {
   const marketplaceId = entry?.marketplaceId;
   const originUserId = entry?.provenance?.originUserId;
   const originCatalogId = entry?.provenance?.originCatalogId;
@@ -739,11 +841,15 @@ export function cloneCatalog(entry: MarketplaceEntry): CatalogConfig {
     newId = crypto.randomUUID();
   }
 
+  const clonedAt = new Date().toISOString(); // Req 13.4: UTC timestamp at creation
   const clonedFrom: ClonedFrom = {
     marketplaceId,
     originUserId,
     originCatalogId,
-    clonedAt: new Date().toISOString(), // Req 13.4: UTC timestamp at creation
+    clonedAt,
+    ...(mode === 'link'
+      ? { linked: true, contentHash: entry.contentHash, syncedAt: clonedAt }
+      : {}),
   };
 
   // Req 13.2 / 13.5: copy name/type/source/filters/formState verbatim so the
@@ -767,9 +873,30 @@ export function cloneCatalog(entry: MarketplaceEntry): CatalogConfig {
   return clone;
 }
 
+/**
+ * Clone every catalog an entry installs: its members, in order, for a bundle,
+ * otherwise the entry itself. Each member is cloned as if it were an entry of
+ * its own, so it shares the bundle's provenance.
+ */
+function cloneEntryCatalogs(entry: MarketplaceEntry, mode: InstallMode): CatalogConfig[] {
+  if (!Array.isArray(entry.members)) return [cloneCatalog(entry, mode)];
+  return entry.members.map((member) =>
+    cloneCatalog({
+      ...entry,
+      name: member.name,
+      type: member.type,
+      source: member.source,
+      filters: member.filters,
+      formState: member.formState,
+    })
+  );
+}
+
 /**
  * Install a Marketplace_Entry into a target user's configuration as a cloned
- * catalog, recording exactly one install on a genuinely new install.
+ * catalog, recording exactly one install on a genuinely new install. `mode`
+ * picks a one-time copy or a linked catalog that keeps following the entry.
+ * Bundles install every member catalog (copies only) and count as one install.
  *
  * Flow (design `installEntry` pseudocode is authoritative):
  * - Load the entry; if it is missing or not both public AND active, respond 404
@@ -796,7 +923,11 @@ export function cloneCatalog(entry: MarketplaceEntry): CatalogConfig {
  *
  * Requirements: 13.1-13.9, 14.1-14.5, 22.6.
  */
-export async function installEntry(entryId: string, targetUserId: string): Promise<InstallResult> {
+export async function installEntry(
+  entryId: string,
+  targetUserId: string,
+  mode: InstallMode = 'copy'
+): Promise<InstallResult> {
   const storage = getStorage();
 
   // Req 13.9: the entry must exist and be both public + active; otherwise 404
@@ -805,6 +936,9 @@ export async function installEntry(entryId: string, targetUserId: string): Promi
   if (!entry || !isInstallable(entry)) {
     throw new AppError(404, ErrorCodes.NOT_FOUND, 'Catalog not available');
   }
+  if (entry.members && mode === 'link') {
+    throw new AppError(400, ErrorCodes.VALIDATION_ERROR, 'Bundles can only be installed as copies');
+  }
 
   // The route enforces ownership/auth of targetUserId; the service still 404s a
   // missing target configuration.
@@ -816,18 +950,20 @@ export async function installEntry(entryId: string, targetUserId: string): Promi
   // Req 14.1 / 14.2: idempotent dedupe by source marketplaceId. A repeat install
   // returns the existing clone untouched, flags alreadyInstalled, and never bumps
   // the counter.
-  const existing = (config.catalogs ?? []).find((c) => c.clonedFrom?.marketplaceId === entryId);
-  if (existing) {
+  const existing = (config.catalogs ?? []).filter((c) => c.clonedFrom?.marketplaceId === entryId);
+  if (existing.length > 0) {
     return {
-      catalog: existing,
+      catalog: existing[0],
+      ...(entry.members ? { catalogs: existing } : {}),
       installs: entry.engagement?.installs ?? 0,
       alreadyInstalled: true,
     };
   }
 
-  // Req 13.1-13.5: build the clone. cloneCatalog enforces provenance completeness
-  // (Req 22.6) and guarantees a fresh id distinct from the origin catalog id.
-  const clone = cloneCatalog(entry);
+  // Req 13.1-13.5: build the clone(s). cloneCatalog enforces provenance
+  // completeness (Req 22.6) and guarantees a fresh id distinct from the origin
+  // catalog id.
+  const clones = cloneEntryCatalogs(entry, mode);
 
   // Req 13.6: append as the LAST catalog and persist via the existing save path.
   // Req 13.7 / 14.4: if persistence fails, nothing was committed — the target
@@ -835,7 +971,7 @@ export async function installEntry(entryId: string, targetUserId: string): Promi
   // error indicating the install did not complete.
   const nextConfig: UserConfig = {
     ...config,
-    catalogs: [...(config.catalogs ?? []), clone],
+    catalogs: [...(config.catalogs ?? []), ...clones],
   };
   try {
     await saveUserConfig(nextConfig);
@@ -890,10 +1026,16 @@ export async function installEntry(entryId: string, targetUserId: string): Promi
   log.info('Installed marketplace entry', {
     marketplaceId: entryId,
     targetUserId,
-    clonedCatalogId: clone._id,
+    clonedCatalogIds: clones.map((c) => c._id),
+    mode,
   });
 
-  return { catalog: clone, installs, alreadyInstalled: false };
+  return {
+    catalog: clones[0],
+    ...(entry.members ? { catalogs: clones } : {}),
+    installs,
+    alreadyInstalled: false,
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,278 @@
+import { usToLocalRatings } from '../tmdb/certificationMappings.ts';
+import type {
+  CatalogConfig,
+  CatalogFilters,
+  MaturityLevel,
+  TmdbDetails,
+  TmdbMovieDetails,
+  TmdbTvDetails,
+  UserConfig,
+} from '../../types/index.ts';
+
+/**
+ * Profile-wide maturity limit.
+ *
+ * A profile names one ceiling (`preferences.maxMaturity`) on the US scale
+ * and every source gets its own equivalent: TMDB and IMDb certifications for
+ * the profile's region (through `usToLocalRatings`), Trakt certifications,
+ * Kitsu age ratings, MAL ratings and the adult flags of AniList and Simkl.
+ * {@link applyMaturityLimit} rewrites catalog filters when the addon resolves
+ * a config; the `allows*` predicates check search results and metas whose
+ * rating is only known after the fact. Titles without a rating are withheld
+ * wherever the source publishes ratings at all.
+ */
+
+export const MATURITY_LEVELS: readonly MaturityLevel[] = ['G', 'PG', 'PG-13', 'R'];
+
+type RatingKind = 'movie' | 'tv';
+
+/** US ratings by the level that first admits them. NC-17 is never admitted. */
+const US_RATING_TIERS: Record<RatingKind, string[][]> = {
+  movie: [['G'], ['PG'], ['PG-13'], ['R'], ['NC-17']],
+  tv: [['TV-Y', 'TV-Y7', 'TV-G'], ['TV-PG'], ['TV-14'], ['TV-MA']],
+};
+
+/** MAL rating prefixes ("PG-13 - Teens 13 or older") mapped onto the levels. */
+const MAL_RATING_LEVELS: Record<string, MaturityLevel> = {
+  G: 'G',
+  PG: 'G', // "PG - Children"
+  'PG-13': 'PG-13',
+  R: 'R', // "R - 17+ (violence & profanity)"
+  'R+': 'R', // "R+ - Mild Nudity"
+};
+
+/** Jikan `rating` query values matching MAL_RATING_LEVELS. */
+const JIKAN_RATING_LEVELS: Record<string, MaturityLevel> = {
+  g: 'G',
+  pg: 'G',
+  pg13: 'PG-13',
+  r17: 'R',
+  r: 'R',
+};
+
+const KITSU_AGE_RATING_LEVELS: Record<string, MaturityLevel> = {
+  G: 'G',
+  PG: 'PG',
+  R: 'R',
+};
+
+/** IMDb lists that take no certificate filter and carry no rating per title. */
+const UNRATED_IMDB_LIST_TYPES = new Set(['top250', 'popular', 'imdb_list']);
+
+export function normalizeMaturityLevel(value: unknown): MaturityLevel | undefined {
+  return MATURITY_LEVELS.includes(value as MaturityLevel) ? (value as MaturityLevel) : undefined;
+}
+
+function levelIndex(level: MaturityLevel): number {
+  return MATURITY_LEVELS.indexOf(level);
+}
+
+function admits(level: MaturityLevel, ratingLevel: MaturityLevel | undefined): boolean {
+  return ratingLevel !== undefined && levelIndex(ratingLevel) <= levelIndex(level);
+}
+
+function usRatings(
+  level: MaturityLevel,
+  kind: RatingKind
+): { allowed: string[]; denied: string[] } {
+  const tiers = US_RATING_TIERS[kind];
+  const cut = levelIndex(level) + 1;
+  return { allowed: tiers.slice(0, cut).flat(), denied: tiers.slice(cut).flat() };
+}
+
+/**
+ * Certifications a level admits in `country`, for the kinds of title given.
+ * Local ratings come from the US equivalents; one that a denied US rating
+ * also maps to is left out, so the local list never admits more than the US
+ * one. Countries without a mapping (or left with nothing) use US ratings.
+ */
+export function maturityCertifications(
+  level: MaturityLevel,
+  kinds: RatingKind[],
+  country?: string | null
+): { country: string; certifications: string[] } {
+  const allowed = new Set<string>();
+  const denied = new Set<string>();
+  for (const kind of kinds) {
+    const ratings = usRatings(level, kind);
+    ratings.allowed.forEach((r) => allowed.add(r));
+    ratings.denied.forEach((r) => denied.add(r));
+  }
+
+  const code = typeof country === 'string' ? country.toUpperCase() : '';
+  const localMap = code && code !== 'US' ? usToLocalRatings[code] : undefined;
+  if (localMap) {
+    const deniedLocal = new Set([...denied].map((r) => localMap[r]).filter(Boolean));
+    const local = [...allowed]
+      .map((r) => localMap[r])
+      .filter((r): r is string => Boolean(r) && !deniedLocal.has(r));
+    if (local.length > 0) return { country: code, certifications: [...new Set(local)] };
+  }
+  return { country: 'US', certifications: [...allowed] };
+}
+
+/** Keep the catalog's own narrower choice when it stays within `allowed`. */
+function narrow(current: unknown, allowed: string[], caseInsensitive = false): string[] {
+  if (!Array.isArray(current)) return allowed;
+  const key = (value: unknown) => (caseInsensitive ? String(value).toLowerCase() : String(value));
+  const permitted = new Set(allowed.map(key));
+  const kept = current.filter((value) => permitted.has(key(value))).map(String);
+  return kept.length > 0 ? kept : allowed;
+}
+
+function ratingKind(catalog: CatalogConfig): RatingKind {
+  return catalog.type === 'movie' ? 'movie' : 'tv';
+}
+
+function limitCatalog(
+  catalog: CatalogConfig,
+  level: MaturityLevel,
+  region: string | undefined
+): CatalogConfig | null {
+  const filters = { ...(catalog.filters || {}) } as CatalogFilters & Record<string, unknown>;
+
+  switch (catalog.source || 'tmdb') {
+    case 'tmdb': {
+      const { country, certifications } = maturityCertifications(
+        level,
+        [ratingKind(catalog)],
+        region
+      );
+      const sameCountry = (filters.certificationCountry || 'US') === country;
+      filters.certifications = narrow(
+        sameCountry ? filters.certifications : undefined,
+        certifications
+      );
+      filters.certificationCountry = country;
+      delete filters.certification;
+      delete filters.certificationMin;
+      delete filters.certificationMax;
+      filters.includeAdult = false;
+      break;
+    }
+    case 'imdb': {
+      if (UNRATED_IMDB_LIST_TYPES.has(String(filters.listType || ''))) return null;
+      const { country, certifications } = maturityCertifications(level, ['movie', 'tv'], region);
+      filters.certificates = narrow(
+        filters.certificateCountry === country ? filters.certificates : undefined,
+        certifications
+      );
+      filters.certificateCountry = country;
+      delete filters.certificateRating;
+      filters.explicitContent = 'EXCLUDE';
+      break;
+    }
+    case 'trakt': {
+      const allowed = usRatings(level, ratingKind(catalog)).allowed.map((r) => r.toLowerCase());
+      filters.traktCertifications = narrow(filters.traktCertifications, allowed, true).map((r) =>
+        r.toLowerCase()
+      );
+      break;
+    }
+    case 'kitsu': {
+      const allowed = Object.keys(KITSU_AGE_RATING_LEVELS).filter((r) =>
+        admits(level, KITSU_AGE_RATING_LEVELS[r])
+      );
+      filters.kitsuAgeRating = narrow(filters.kitsuAgeRating, allowed);
+      break;
+    }
+    case 'mal':
+      // Jikan takes a single rating; anything broader is checked per title
+      // by allowsMalRating.
+      if (filters.malRating && !admits(level, JIKAN_RATING_LEVELS[filters.malRating])) {
+        delete filters.malRating;
+      }
+      break;
+    case 'anilist':
+      filters.isAdult = false;
+      break;
+    case 'simkl':
+      filters.includeAdult = false;
+      break;
+    case 'letterboxd':
+      // Letterboxd lists carry no ratings at all.
+      return null;
+  }
+
+  return { ...catalog, filters };
+}
+
+/**
+ * Return `config` with every catalog held to the profile's maturity limit.
+ * Catalogs whose source can neither filter nor rate their titles are left
+ * out, so they disappear from the manifest rather than serve unchecked rows.
+ */
+export function applyMaturityLimit(config: UserConfig): UserConfig {
+  const level = normalizeMaturityLevel(config.preferences?.maxMaturity);
+  if (!level) return config;
+  const region = config.preferences?.region;
+  const catalogs = (config.catalogs || [])
+    .map((catalog) => limitCatalog(catalog, level, region))
+    .filter((catalog): catalog is CatalogConfig => catalog !== null);
+  return { ...config, catalogs };
+}
+
+function tmdbCertification(details: TmdbDetails, isMovie: boolean, country: string): string {
+  if (isMovie) {
+    const entry = (details as TmdbMovieDetails).release_dates?.results?.find(
+      (r) => r.iso_3166_1 === country
+    );
+    return entry?.release_dates?.find((d) => d.certification)?.certification || '';
+  }
+  const entry = (details as TmdbTvDetails).content_ratings?.results?.find(
+    (r) => r.iso_3166_1 === country
+  );
+  return entry?.rating || '';
+}
+
+/**
+ * Whether a TMDB title (details with `release_dates` / `content_ratings`)
+ * is within the limit: its US rating decides, then its rating in `region`.
+ * Unrated and adult titles are withheld.
+ */
+export function allowsTmdbDetails(
+  details: TmdbDetails,
+  isMovie: boolean,
+  level: MaturityLevel,
+  region?: string | null
+): boolean {
+  if ((details as TmdbMovieDetails).adult) return false;
+  const kind: RatingKind = isMovie ? 'movie' : 'tv';
+  const us = usRatings(level, kind);
+  const usRating = tmdbCertification(details, isMovie, 'US');
+  if (us.allowed.includes(usRating)) return true;
+  if (us.denied.includes(usRating)) return false;
+
+  const local = maturityCertifications(level, [kind], region);
+  if (local.country === 'US') return false;
+  const localRating = tmdbCertification(details, isMovie, local.country);
+  return Boolean(localRating) && local.certifications.includes(localRating);
+}
+
+/** MAL ratings read like "PG-13 - Teens 13 or older"; Rx and unrated titles are withheld. */
+export function allowsMalRating(rating: string | null | undefined, level: MaturityLevel): boolean {
+  const prefix = String(rating || '')
+    .split(' - ')[0]
+    .trim();
+  return admits(level, MAL_RATING_LEVELS[prefix]);
+}
+
+/** Kitsu age ratings are G, PG, R and R18; R18 and unrated titles are withheld. */
+export function allowsKitsuAgeRating(
+  ageRating: string | null | undefined,
+  level: MaturityLevel
+): boolean {
+  return admits(level, KITSU_AGE_RATING_LEVELS[String(ageRating || '')]);
+}
+
+/** Trakt certifications are lower-case US ratings ("pg-13", "tv-14"). */
+export function allowsTraktCertification(
+  certification: string | null | undefined,
+  level: MaturityLevel
+): boolean {
+  const rating = String(certification || '').toUpperCase();
+  return (
+    usRatings(level, 'movie').allowed.includes(rating) ||
+    usRatings(level, 'tv').allowed.includes(rating)
+  );
+}
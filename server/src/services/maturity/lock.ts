@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { saveUserConfig } from '../configService.ts';
+import { AppError, ErrorCodes } from '../../utils/AppError.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { MATURITY_PIN_LIMITS } from '../../constants.ts';
+import { normalizeMaturityLevel } from './index.ts';
+import type { UserConfig } from '../../types/index.ts';
+
+const log = createLogger('maturity');
+
+/**
+ * PIN lock for a profile's maturity limit. Only a salted hash of the PIN is
+ * stored, as `UserConfig.maturityPinHash`, which config responses never
+ * include. While it is set, saves that change `maxMaturity` are refused.
+ */
+
+function isValidMaturityPin(pin: unknown): pin is string {
+  return (
+    typeof pin === 'string' &&
+    new RegExp(`^\\d{${MATURITY_PIN_LIMITS.MIN_LENGTH},${MATURITY_PIN_LIMITS.MAX_LENGTH}}$`).test(
+      pin
+    )
+  );
+}
+
+/** `salt:hash` (hex) of a PIN, stored as `UserConfig.maturityPinHash`. */
+function hashMaturityPin(pin: string): string {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(pin, salt, 32);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyMaturityPin(pin: unknown, stored: string | undefined): boolean {
+  if (typeof pin !== 'string' || !stored) return false;
+  const [saltHex, hashHex] = stored.split(':');
+  if (!saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(pin, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether saving `incoming` preferences over a locked profile would change
+ * its maturity limit. Preferences that leave `maxMaturity` out keep the
+ * stored value and are not a change.
+ */
+export function changesLockedMaturity(
+  config: UserConfig,
+  incoming: Record<string, unknown> | undefined
+): boolean {
+  if (!config.maturityPinHash || !incoming || !('maxMaturity' in incoming)) return false;
+  return (
+    normalizeMaturityLevel(incoming.maxMaturity) !==
+    normalizeMaturityLevel(config.preferences?.maxMaturity)
+  );
+}
+
+/** Lock the profile's current maturity limit behind `pin`. */
+export async function lockMaturity(config: UserConfig, pin: unknown): Promise<void> {
+  if (config.maturityPinHash) {
+    throw new AppError(400, ErrorCodes.VALIDATION_ERROR, 'Maturity limit is already locked');
+  }
+  if (!normalizeMaturityLevel(config.preferences?.maxMaturity)) {
+    throw new AppError(400, ErrorCodes.VALIDATION_ERROR, 'Save a maturity limit before locking it');
+  }
+  if (!isValidMaturityPin(pin)) {
+    throw new AppError(
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      `PIN must be ${MATURITY_PIN_LIMITS.MIN_LENGTH}-${MATURITY_PIN_LIMITS.MAX_LENGTH} digits`
+    );
+  }
+  await saveUserConfig({ ...config, maturityPinHash: hashMaturityPin(pin) });
+  log.info('Maturity limit locked', { userId: config.userId });
+}
+
+/** Remove the lock; the limit itself stays until the profile changes it. */
+export async function unlockMaturity(config: UserConfig, pin: unknown): Promise<void> {
+  if (!config.maturityPinHash) {
+    throw new AppError(400, ErrorCodes.VALIDATION_ERROR, 'Maturity limit is not locked');
+  }
+  if (!verifyMaturityPin(pin, config.maturityPinHash)) {
+    log.warn('Wrong maturity PIN', { userId: config.userId });
+    throw new AppError(403, ErrorCodes.FORBIDDEN, 'Incorrect PIN');
+  }
+  await saveUserConfig({ ...config, maturityPinHash: '' });
+  log.info('Maturity limit unlocked', { userId: config.userId });
+}
@@ -0,0 +1,160 @@
+import type { CatalogPostFilters, StremioMetaPreview } from '../../types/index.ts';
+import { batchGetImdbRatings, isImdbRatingsLoaded } from '../imdbRatings/index.ts';
+import { normalizeGenreName } from '../../utils/helpers.ts';
+import { POST_FILTER_LIMITS } from '../../constants.ts';
+
+/** IMDb rating per IMDb id, or null when no ratings dataset is available. */
+export type ImdbRatingLookup = (imdbIds: string[]) => Promise<Map<string, number> | null>;
+
+export interface PostFilter {
+  /** Fetch what the rules need for a page (IMDb ratings) before `rejects` runs on it. */
+  prepare(page: StremioMetaPreview[]): Promise<void>;
+  rejects(meta: StremioMetaPreview): boolean;
+}
+
+const PLACEHOLDER_POSTER_SUFFIX = '/placeholder-poster.svg';
+
+function clampNumber(value: unknown, min: number, max: number): number | undefined {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : undefined;
+}
+
+function normalizeGenreList(value: unknown): string[] | undefined {
+  if (!Array.isArray(value)) return undefined;
+  const names = [
+    ...new Set(
+      value.map((v) => normalizeGenreName(typeof v === 'string' ? v : '')).filter(Boolean)
+    ),
+  ].slice(0, POST_FILTER_LIMITS.MAX_GENRES);
+  return names.length > 0 ? names : undefined;
+}
+
+/**
+ * Validate user-supplied post-filters. Out-of-range numbers are clamped,
+ * genre names are normalized and empty rules dropped; returns null when no
+ * rule is left so callers can skip the layer entirely.
+ */
+export function normalizePostFilters(value: unknown): CatalogPostFilters | null {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const raw = value as Record<string, unknown>;
+  const { MIN_YEAR, MAX_YEAR, MAX_RUNTIME } = POST_FILTER_LIMITS;
+
+  const candidate: CatalogPostFilters = {
+    imdbRatingMin: clampNumber(raw.imdbRatingMin, 0, 10),
+    yearFrom: clampNumber(raw.yearFrom, MIN_YEAR, MAX_YEAR),
+    yearTo: clampNumber(raw.yearTo, MIN_YEAR, MAX_YEAR),
+    runtimeMin: clampNumber(raw.runtimeMin, 0, MAX_RUNTIME),
+    runtimeMax: clampNumber(raw.runtimeMax, 0, MAX_RUNTIME),
+    genres: normalizeGenreList(raw.genres),
+    excludeGenres: normalizeGenreList(raw.excludeGenres),
+    requirePoster: raw.requirePoster === true ? true : undefined,
+  };
+  if (candidate.imdbRatingMin === 0) candidate.imdbRatingMin = undefined;
+  if (candidate.runtimeMin === 0) candidate.runtimeMin = undefined;
+
+  const normalized = Object.fromEntries(
+    Object.entries(candidate).filter(([, v]) => v !== undefined)
+  ) as CatalogPostFilters;
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/** First four-digit year in a preview's `releaseInfo` ("2019", "2019-2023", "2021 FALL"). */
+export function parsePreviewYear(releaseInfo: string | undefined): number | null {
+  const match = /\b(1[89]\d\d|2\d\d\d)\b/.exec(releaseInfo || '');
+  return match ? Number(match[1]) : null;
+}
+
+/** Minutes from a preview's `runtime` ("45min", "2h10min", "1h", "120 min"). */
+export function parsePreviewRuntime(runtime: string | undefined): number | null {
+  if (!runtime) return null;
+  const hours = /(\d+)\s*h/i.exec(runtime);
+  const minutes = /(\d+)\s*m/i.exec(runtime);
+  if (!hours && !minutes) return null;
+  return (hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0);
+}
+
+function previewImdbId(meta: StremioMetaPreview): string | null {
+  const id = meta.imdb_id || meta.imdbId || (meta.id?.startsWith('tt') ? meta.id : null);
+  return id && /^tt\d{5,10}$/.test(id) ? id : null;
+}
+
+const lookupDatasetRatings: ImdbRatingLookup = async (imdbIds) => {
+  if (!isImdbRatingsLoaded()) return null;
+  const ratings = await batchGetImdbRatings(imdbIds.map((imdb_id) => ({ imdb_id })));
+  return new Map([...ratings].map(([id, rating]) => [id, Number(rating)]));
+};
+
+/**
+ * Build the post-filter for a catalog, or null when it has no rules.
+ * Year and runtime rules only judge titles that report them, since most
+ * sources leave runtime out of catalog rows. The rating rule hides titles
+ * without an IMDb rating, and is skipped when no ratings dataset is loaded.
+ */
+export function createPostFilter(
+  value: unknown,
+  lookupRatings: ImdbRatingLookup = lookupDatasetRatings
+): PostFilter | null {
+  const rules = normalizePostFilters(value);
+  if (!rules) return null;
+
+  const ratings = new Map<string, number>();
+  let ratingsAvailable = true;
+  const include = rules.genres ? new Set(rules.genres) : null;
+  const exclude = rules.excludeGenres ? new Set(rules.excludeGenres) : null;
+
+  return {
+    async prepare(page) {
+      if (rules.imdbRatingMin === undefined || !ratingsAvailable) return;
+      const missing = page
+        .map(previewImdbId)
+        .filter((id): id is string => !!id && !ratings.has(id));
+      if (missing.length === 0) return;
+      const found = await lookupRatings(missing);
+      if (!found) {
+        ratingsAvailable = false;
+        return;
+      }
+      for (const [id, rating] of found) ratings.set(id, rating);
+    },
+
+    rejects(meta) {
+      if (
+        rules.requirePoster &&
+        (!meta.poster || meta.poster.endsWith(PLACEHOLDER_POSTER_SUFFIX))
+      ) {
+        return true;
+      }
+
+      if (rules.imdbRatingMin !== undefined && ratingsAvailable) {
+        const imdbId = previewImdbId(meta);
+        const rating = imdbId ? ratings.get(imdbId) : undefined;
+        if (rating === undefined || rating < rules.imdbRatingMin) return true;
+      }
+
+      if (rules.yearFrom !== undefined || rules.yearTo !== undefined) {
+        const year = parsePreviewYear(meta.releaseInfo);
+        if (year !== null) {
+          if (rules.yearFrom !== undefined && year < rules.yearFrom) return true;
+          if (rules.yearTo !== undefined && year > rules.yearTo) return true;
+        }
+      }
+
+      if (rules.runtimeMin !== undefined || rules.runtimeMax !== undefined) {
+        const runtime = parsePreviewRuntime(meta.runtime);
+        if (runtime !== null) {
+          if (rules.runtimeMin !== undefined && runtime < rules.runtimeMin) return true;
+          if (rules.runtimeMax !== undefined && runtime > rules.runtimeMax) return true;
+        }
+      }
+
+      if (include || exclude) {
+        const genres = (meta.genres || []).map(normalizeGenreName);
+        if (include && !genres.some((g) => include.has(g))) return true;
+        if (exclude && genres.some((g) => exclude.has(g))) return true;
+      }
+
+      return false;
+    },
+  };
+}
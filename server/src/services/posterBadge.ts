@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import { getCache } from './cache/index.ts';
+import { config } from '../config.ts';
+import { createLogger } from '../utils/logger.ts';
+import { logSwallowedError } from '../utils/helpers.ts';
+import { POSTER_BADGE_LIMITS, TIMEOUTS } from '../constants.ts';
+import { CACHE_TTLS } from '../cacheTtls.ts';
+
+const log = createLogger('posterBadge');
+
+/**
+ * Posters with a badge drawn over the top-right corner, served as SVG so no
+ * image library is needed: the source poster is fetched once and embedded as
+ * a data URI under the badge. URLs are signed, so the route only ever fetches
+ * posters the addon itself handed out, and only from known poster hosts.
+ */
+
+export const POSTER_BADGE_PATH = '/poster/badge.svg';
+
+export const POSTER_WIDTH = 500;
+export const POSTER_HEIGHT = 750;
+
+/** `watched` draws a checkmark; `1`–`10` draws that score. */
+export function isValidPosterBadge(badge: unknown): badge is string {
+  if (badge === 'watched') return true;
+  return typeof badge === 'string' && /^(?:[1-9]|10)$/.test(badge);
+}
+
+function signPosterBadge(src: string, badge: string): string {
+  return crypto
+    .createHmac('sha256', config.encryption.key)
+    .update(`poster-badge\u0000${badge}\u0000${src}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+export function verifyPosterBadgeSignature(src: string, badge: string, sig: unknown): boolean {
+  if (typeof sig !== 'string' || !/^[0-9a-f]{32}$/.test(sig)) return false;
+  return crypto.timingSafeEqual(Buffer.from(signPosterBadge(src, badge)), Buffer.from(sig));
+}
+
+export function buildBadgedPosterUrl(baseUrl: string, src: string, badge: string): string {
+  const params = new URLSearchParams({ src, badge, sig: signPosterBadge(src, badge) });
+  return `${baseUrl.replace(/\/$/, '')}${POSTER_BADGE_PATH}?${params.toString()}`;
+}
+
+/** Badge circle in the top-right corner; `top` moves it below bands along the top edge. */
+export function posterBadgeMarkup(badge: string, top = 0): string {
+  const cx = POSTER_WIDTH - 62;
+  const cy = top + 62;
+  if (badge === 'watched') {
+    return (
+      `<circle cx="${cx}" cy="${cy}" r="44" fill="#16a34a" stroke="#fff" stroke-width="4"/>` +
+      `<path d="M${cx - 20} ${cy} l14 14 l26 -28" fill="none" stroke="#fff" stroke-width="9" ` +
+      `stroke-linecap="round" stroke-linejoin="round"/>`
+    );
+  }
+  return (
+    `<circle cx="${cx}" cy="${cy}" r="44" fill="#f5c518" stroke="#fff" stroke-width="4"/>` +
+    `<text x="${cx}" y="${cy + 15}" text-anchor="middle" font-family="Arial, Helvetica, sans-serif" ` +
+    `font-size="44" font-weight="700" fill="#111">${badge}</text>`
+  );
+}
+
+/**
+ * Whether a poster request can be answered with an SVG. Browser-based Stremio
+ * clients (web and desktop) list `image/svg+xml` in `Accept`; the native image
+ * loaders of the mobile and TV apps do not, and many of them cannot draw SVG.
+ */
+export function acceptsSvgPoster(accept: string | undefined): boolean {
+  return /(?:^|,)\s*image\/svg\+xml/i.test(accept || '');
+}
+
+/** Wrap a poster image and the markup drawn over it into one poster-sized SVG. */
+export function renderPosterSvg(image: Buffer, contentType: string, overlay: string): string {
+  const href = `data:${contentType};base64,${image.toString('base64')}`;
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${POSTER_WIDTH}" height="${POSTER_HEIGHT}" ` +
+    `viewBox="0 0 ${POSTER_WIDTH} ${POSTER_HEIGHT}">` +
+    `<image href="${href}" width="${POSTER_WIDTH}" height="${POSTER_HEIGHT}" ` +
+    `preserveAspectRatio="xMidYMid slice"/>` +
+    overlay +
+    `</svg>`
+  );
+}
+
+export function renderPosterBadgeSvg(image: Buffer, contentType: string, badge: string): string {
+  return renderPosterSvg(image, contentType, posterBadgeMarkup(badge));
+}
+
+/**
+ * Poster hosts the addon hands out and will fetch server-side: the TMDB image
+ * CDN and the rating-poster and artwork services. User-configured custom URL
+ * patterns are never fetched.
+ */
+const POSTER_SOURCE_HOSTS = new Set([
+  'image.tmdb.org',
+  'api.ratingposterdb.com',
+  'api.top-streaming.stream',
+  'images.metahub.space',
+  'assets.fanart.tv',
+  'artworks.thetvdb.com',
+]);
+
+export function isAllowedPosterSource(src: string): boolean {
+  try {
+    const url = new URL(src);
+    return url.protocol === 'https:' && POSTER_SOURCE_HOSTS.has(url.hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+/** Read a response body, giving up once it grows past `maxBytes`. */
+async function readCappedBody(response: Response, maxBytes: number): Promise<Buffer | null> {
+  if (!response.body) return null;
+  const reader = response.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, total);
+}
+
+/**
+ * Download a poster from an allowed host. Redirects are followed by hand so
+ * every hop is checked against the same host list.
+ */
+export async function fetchPosterImage(
+  src: string
+): Promise<{ image: Buffer; contentType: string } | null> {
+  const signal = AbortSignal.timeout(TIMEOUTS.POSTER_BADGE_FETCH_MS);
+  let url = src;
+  let response: Response;
+  for (let redirects = 0; ; redirects++) {
+    if (!isAllowedPosterSource(url)) return null;
+    response = await fetch(url, { signal, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    await response.body?.cancel().catch(() => {});
+    if (redirects >= POSTER_BADGE_LIMITS.MAX_REDIRECTS) return null;
+    url = new URL(location, url).toString();
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+  if (!response.ok || !/^image\/(?:jpeg|png|webp|gif)$/.test(contentType)) {
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  const declared = Number(response.headers.get('content-length') || 0);
+  if (declared > POSTER_BADGE_LIMITS.MAX_IMAGE_BYTES) {
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+  const image = await readCappedBody(response, POSTER_BADGE_LIMITS.MAX_IMAGE_BYTES);
+  return image ? { image, contentType } : null;
+}
+
+/**
+ * Render a signed badge request, caching the SVG by signature. Returns null
+ * when the poster cannot be fetched so the route can fall back to it.
+ */
+export async function getBadgedPoster(src: string, badge: string): Promise<string | null> {
+  const cache = getCache();
+  const cacheKey = `poster-badge:${signPosterBadge(src, badge)}`;
+  try {
+    const cached = await cache.get(cacheKey);
+    if (typeof cached === 'string') return cached;
+  } catch (err) {
+    logSwallowedError('posterBadge:cache-get', err);
+  }
+
+  try {
+    const poster = await fetchPosterImage(src);
+    if (!poster) return null;
+    const svg = renderPosterBadgeSvg(poster.image, poster.contentType, badge);
+    cache.set(cacheKey, svg, CACHE_TTLS.POSTER_BADGE).catch(() => {});
+    return svg;
+  } catch (err) {
+    log.debug('Failed to fetch poster for badge', { error: (err as Error).message });
+    return null;
+  }
+}
@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import * as tmdb from '../tmdb/index.ts';
+import { jikanFetch } from '../mal/index.ts';
+import { getImdbRating } from '../imdbRatings/index.ts';
+import { getEntryByPrefixedId } from '../animeIdMap/index.ts';
+import { getCache } from '../cache/index.ts';
+import {
+  POSTER_HEIGHT,
+  POSTER_WIDTH,
+  fetchPosterImage,
+  posterBadgeMarkup,
+  renderPosterSvg,
+} from '../posterBadge.ts';
+import { POSTER_SIZE, TMDB_IMAGE_BASE } from '../tmdb/constants.ts';
+import type {
+  ArtContentType,
+  PosterCompositeLayout,
+  PosterRatingSource,
+  StremioMetaPreview,
+  TmdbDetails,
+  TmdbTvDetails,
+} from '../../types/index.ts';
+import { normalizeImdbId, resolveRequestedMetaId } from '../../utils/metaIdResolution.ts';
+import { stableStringify } from '../../utils/stableStringify.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { logSwallowedError } from '../../utils/helpers.ts';
+import { POSTER_COMPOSITE_LIMITS } from '../../constants.ts';
+import { CACHE_TTLS } from '../../cacheTtls.ts';
+
+export { DEFAULT_POSTER_COMPOSITE_LAYOUT, normalizePosterCompositeLayout } from './layout.ts';
+
+const log = createLogger('posterComposite');
+
+/**
+ * The built-in `composited` poster provider. Catalog and meta posters point
+ * at `/:userId/poster/:type/:id.svg`, which looks the title up on TMDB with
+ * the config's key, reads ratings (IMDb from the local dataset, TMDB's vote
+ * average, MAL's score through Jikan) and draws them over the TMDB poster as
+ * an SVG. Rendered posters are shared across configs with the same layout.
+ * There is no raster output, so clients that cannot draw SVG (the mobile and
+ * TV apps) only ever get {@link getPlainPoster}.
+ */
+
+export type CompositeLayout = Required<PosterCompositeLayout>;
+
+export interface PosterFacts {
+  poster: string | null;
+  ratings: Partial<Record<PosterRatingSource, string>>;
+  certification: string | null;
+  newSeason: boolean;
+}
+
+export interface CompositedPosterRequest {
+  apiKey: string;
+  media: 'movie' | 'series';
+  id: string;
+  layout: CompositeLayout;
+  region?: string | null;
+  watched?: string | null;
+}
+
+const DAY_MS = 86_400_000;
+
+/** Short digest of a layout, put in poster URLs so clients refetch after a layout change. */
+export function compositeLayoutKey(layout: CompositeLayout): string {
+  return crypto.createHash('sha256').update(stableStringify(layout)).digest('hex').slice(0, 8);
+}
+
+/**
+ * The id a composited poster is requested by: the IMDb or TMDB id when the
+ * preview carries one, otherwise its own id if that maps onto TMDB or IMDb.
+ * Null for titles TMDB cannot know, whose posters are left alone.
+ */
+export function compositedPosterId(meta: StremioMetaPreview): string | null {
+  const imdbId = normalizeImdbId(meta.imdb_id) || normalizeImdbId(meta.imdbId);
+  if (imdbId) return imdbId;
+  if (typeof meta.tmdbId === 'number' && meta.tmdbId > 0) return `tmdb:${meta.tmdbId}`;
+  const id = String(meta.id || '');
+  const resolved = resolveRequestedMetaId(id, getEntryByPrefixedId);
+  return resolved.tmdbId || resolved.imdbId ? id : null;
+}
+
+export function buildCompositedPosterUrl(
+  baseUrl: string,
+  userId: string,
+  artType: ArtContentType,
+  meta: StremioMetaPreview,
+  layout: CompositeLayout,
+  watched?: string | null
+): string | null {
+  const id = compositedPosterId(meta);
+  if (!id) return null;
+  const params = new URLSearchParams({
+    media: meta.type === 'movie' ? 'movie' : 'series',
+    l: compositeLayoutKey(layout),
+  });
+  if (watched) params.set('watched', watched);
+  return (
+    `${baseUrl.replace(/\/$/, '')}/${userId}/poster/${artType}/` +
+    `${encodeURIComponent(id)}.svg?${params.toString()}`
+  );
+}
+
+/** Whether the latest aired season (past the first) premiered within the window. */
+export function hasNewSeason(details: TmdbTvDetails, now = Date.now()): boolean {
+  const latest = details.last_episode_to_air?.season_number;
+  if (!latest || latest < 2) return false;
+  const season = details.seasons?.find((s) => s.season_number === latest);
+  const premiere = season?.air_date ? Date.parse(season.air_date) : NaN;
+  if (!Number.isFinite(premiere)) return false;
+  const age = now - premiere;
+  return age >= 0 && age <= POSTER_COMPOSITE_LIMITS.NEW_SEASON_DAYS * DAY_MS;
+}
+
+async function readMalScore(malId: number): Promise<string | null> {
+  try {
+    const response = await jikanFetch<{ data?: { score?: number | null } }>(`/anime/${malId}`);
+    const score = response?.data?.score;
+    return typeof score === 'number' && score > 0 ? score.toFixed(1) : null;
+  } catch (err) {
+    logSwallowedError('posterComposite:mal-score', err);
+    return null;
+  }
+}
+
+export async function collectPosterFacts(request: CompositedPosterRequest): Promise<PosterFacts> {
+  const { apiKey, media, id, layout } = request;
+  const resolved = resolveRequestedMetaId(id, getEntryByPrefixedId);
+  let tmdbId = resolved.tmdbId;
+  if (!tmdbId && resolved.imdbId) {
+    tmdbId = (await tmdb.findByImdbId(apiKey, resolved.imdbId, media))?.tmdbId ?? null;
+  }
+  const details = tmdbId
+    ? ((await tmdb.getDetails(apiKey, tmdbId, media)) as TmdbDetails | null)
+    : null;
+
+  const facts: PosterFacts = {
+    poster: details?.poster_path ? `${TMDB_IMAGE_BASE}/${POSTER_SIZE}${details.poster_path}` : null,
+    ratings: {},
+    certification: null,
+    newSeason: false,
+  };
+
+  const imdbId = resolved.imdbId || normalizeImdbId(details?.external_ids?.imdb_id);
+  for (const source of layout.ratings) {
+    if (source === 'imdb' && imdbId) {
+      const rating = await getImdbRating(imdbId);
+      if (rating) facts.ratings.imdb = rating.rating.toFixed(1);
+    } else if (source === 'tmdb' && details?.vote_average) {
+      facts.ratings.tmdb = details.vote_average.toFixed(1);
+    } else if (source === 'mal') {
+      const malId =
+        resolved.malId ?? (tmdbId ? getEntryByPrefixedId(`tmdb:${tmdbId}`)?.mal_id : undefined);
+      const score = malId ? await readMalScore(malId) : null;
+      if (score) facts.ratings.mal = score;
+    }
+  }
+
+  if (layout.certification && details) {
+    facts.certification = tmdb.getCertification(details, media === 'movie', request.region);
+  }
+  if (layout.newSeasonRibbon && details && media === 'series') {
+    facts.newSeason = hasNewSeason(details as TmdbTvDetails);
+  }
+  return facts;
+}
+
+const RATING_STYLES: Record<PosterRatingSource, { label: string; fill: string; text: string }> = {
+  imdb: { label: 'IMDb', fill: '#f5c518', text: '#111' },
+  tmdb: { label: 'TMDB', fill: '#01b4e4', text: '#fff' },
+  mal: { label: 'MAL', fill: '#2e51a2', text: '#fff' },
+};
+
+const BAND_HEIGHT = 76;
+const RIBBON_HEIGHT = 48;
+const PILL_WIDTH = 150;
+const PILL_HEIGHT = 52;
+const FONT = 'font-family="Arial, Helvetica, sans-serif" font-weight="700"';
+
+function escapeXml(value: string): string {
+  return value.replace(
+    /[<>&"']/g,
+    (ch) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[ch]!
+  );
+}
+
+/**
+ * Markup drawn over the poster: the ratings band, a "new season" ribbon and
+ * the certification along the top edge, and the watched badge (see
+ * {@link posterBadgeMarkup}) below whatever sits at the top.
+ */
+export function renderCompositeOverlay(
+  facts: PosterFacts,
+  layout: CompositeLayout,
+  watched?: string | null
+): string {
+  const parts: string[] = [];
+  let top = 0;
+
+  const sources = layout.ratings.filter((source) => facts.ratings[source]);
+  if (sources.length > 0) {
+    const y = layout.position === 'top' ? 0 : POSTER_HEIGHT - BAND_HEIGHT;
+    parts.push(
+      `<rect x="0" y="${y}" width="${POSTER_WIDTH}" height="${BAND_HEIGHT}" fill="#000" fill-opacity="0.72"/>`
+    );
+    const slot = POSTER_WIDTH / sources.length;
+    sources.forEach((source, index) => {
+      const style = RATING_STYLES[source];
+      const cx = slot * index + slot / 2;
+      const pillY = y + (BAND_HEIGHT - PILL_HEIGHT) / 2;
+      parts.push(
+        `<rect x="${cx - PILL_WIDTH / 2}" y="${pillY}" width="${PILL_WIDTH}" height="${PILL_HEIGHT}" ` +
+          `rx="10" fill="${style.fill}"/>` +
+          `<text x="${cx}" y="${pillY + 36}" text-anchor="middle" ${FONT} font-size="28" ` +
+          `fill="${style.text}">${style.label} ${escapeXml(facts.ratings[source]!)}</text>`
+      );
+    });
+    if (layout.position === 'top') top += BAND_HEIGHT;
+  }
+
+  if (facts.newSeason) {
+    parts.push(
+      `<rect x="0" y="${top}" width="${POSTER_WIDTH}" height="${RIBBON_HEIGHT}" fill="#dc2626"/>` +
+        `<text x="${POSTER_WIDTH / 2}" y="${top + 34}" text-anchor="middle" ${FONT} font-size="28" ` +
+        `letter-spacing="4" fill="#fff">NEW SEASON</text>`
+    );
+    top += RIBBON_HEIGHT;
+  }
+
+  if (facts.certification) {
+    const label = escapeXml(facts.certification);
+    const width = 28 + facts.certification.length * 20;
+    parts.push(
+      `<rect x="16" y="${top + 16}" width="${width}" height="48" rx="8" fill="#000" ` +
+        `fill-opacity="0.72" stroke="#fff" stroke-width="3"/>` +
+        `<text x="${16 + width / 2}" y="${top + 50}" text-anchor="middle" ${FONT} font-size="28" ` +
+        `fill="#fff">${label}</text>`
+    );
+  }
+
+  if (watched) parts.push(posterBadgeMarkup(watched, top));
+  return parts.join('');
+}
+
+/**
+ * The plain TMDB poster a composited poster is drawn on, for clients that
+ * cannot take the SVG. Skips the rating lookups.
+ */
+export async function getPlainPoster(request: CompositedPosterRequest): Promise<string | null> {
+  try {
+    const layout = { ...request.layout, ratings: [], certification: false, newSeasonRibbon: false };
+    return (await collectPosterFacts({ ...request, layout })).poster;
+  } catch (err) {
+    logSwallowedError('posterComposite:plain-poster', err);
+    return null;
+  }
+}
+
+function compositeCacheKey(request: CompositedPosterRequest): string {
+  const { media, id, layout, region, watched } = request;
+  const digest = crypto
+    .createHash('sha256')
+    .update(
+      stableStringify({ media, id, layout, region: region || null, watched: watched || null })
+    )
+    .digest('hex');
+  return `poster-composite:${digest}`;
+}
+
+/**
+ * Render a composited poster, cached across configs by title and layout.
+ * `svg` is null when it cannot be drawn; `poster` is then the plain TMDB
+ * poster when one was found, for the route to redirect to.
+ */
+export async function getCompositedPoster(
+  request: CompositedPosterRequest
+): Promise<{ svg: string | null; poster: string | null }> {
+  const cache = getCache();
+  const cacheKey = compositeCacheKey(request);
+  try {
+    const cached = await cache.get(cacheKey);
+    if (typeof cached === 'string') return { svg: cached, poster: null };
+  } catch (err) {
+    logSwallowedError('posterComposite:cache-get', err);
+  }
+
+  try {
+    const facts = await collectPosterFacts(request);
+    if (!facts.poster) return { svg: null, poster: null };
+    const image = await fetchPosterImage(facts.poster);
+    if (!image) return { svg: null, poster: facts.poster };
+
+    const overlay = renderCompositeOverlay(facts, request.layout, request.watched);
+    const svg = renderPosterSvg(image.image, image.contentType, overlay);
+    cache.set(cacheKey, svg, CACHE_TTLS.POSTER_COMPOSITE).catch(() => {});
+    return { svg, poster: facts.poster };
+  } catch (err) {
+    log.debug('Failed to composite poster', { id: request.id, error: (err as Error).message });
+    return { svg: null, poster: null };
+  }
+}
@@ -0,0 +1,37 @@
+import type { PosterCompositeLayout, PosterRatingSource } from '../../types/index.ts';
+
+const RATING_SOURCES: readonly PosterRatingSource[] = ['imdb', 'tmdb', 'mal'];
+
+export const DEFAULT_POSTER_COMPOSITE_LAYOUT: Readonly<Required<PosterCompositeLayout>> = {
+  ratings: ['imdb'],
+  position: 'bottom',
+  certification: false,
+  newSeasonRibbon: false,
+};
+
+/**
+ * Fill a stored layout with defaults, keeping only known rating sources (in
+ * the order given, without duplicates). An explicitly empty `ratings` list is
+ * kept so a layout can show only the certification or ribbon.
+ */
+export function normalizePosterCompositeLayout(value: unknown): Required<PosterCompositeLayout> {
+  const raw =
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? (value as Record<string, unknown>)
+      : {};
+  const ratings = Array.isArray(raw.ratings)
+    ? [
+        ...new Set(
+          raw.ratings.filter((source): source is PosterRatingSource =>
+            RATING_SOURCES.includes(source as PosterRatingSource)
+          )
+        ),
+      ]
+    : [...DEFAULT_POSTER_COMPOSITE_LAYOUT.ratings];
+  return {
+    ratings,
+    position: raw.position === 'top' ? 'top' : 'bottom',
+    certification: raw.certification === true,
+    newSeasonRibbon: raw.newSeasonRibbon === true,
+  };
+}
@@ -87,7 +87,12 @@ function resolveSimklCdnUrl(requestPath: string): string {
   return `${SIMKL_CDN_BASE}${requestPath}`;
 }
 
-export async function simklFetch<T>(path: string, apiKey?: string): Promise<T> {
+/** `accessToken` (from a linked account) is required by the `/sync` endpoints. */
+export async function simklFetch<T>(
+  path: string,
+  apiKey?: string,
+  accessToken?: string
+): Promise<T> {
   const key = getSimklApiKey(apiKey);
   if (!key) {
     throw Object.assign(new Error('Simkl API key not configured'), { statusCode: 503 });
@@ -108,6 +113,7 @@ export async function simklFetch<T>(path: string, apiKey?: string): Promise<T> {
         headers: {
           'Content-Type': 'application/json',
           'simkl-api-key': key,
+          ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
         },
       },
       {
@@ -1,14 +1,19 @@
 import { createLogger } from '../../utils/logger.ts';
 import { simklFetch, simklCdnFetch } from './client.ts';
-import { SIMKL_IMAGE_BASE } from './types.ts';
-import type { SimklAnime, SimklTrendingItem, SimklSearchResult } from './types.ts';
+import { SIMKL_IMAGE_BASE, SIMKL_PERSONAL_LIST_STATUSES } from './types.ts';
+import type {
+  SimklAnime,
+  SimklTrendingItem,
+  SimklSearchResult,
+  SimklLibraryEntry,
+} from './types.ts';
 import type { SimklCatalogFilters } from '../../types/config.ts';
 import type { ContentType } from '../../types/common.ts';
 
 const log = createLogger('simkl:discover');
 const ADULT_GENRES = new Set(['hentai', 'erotica', 'adult', 'sex']);
 
-function isAdultItem(item: SimklAnime | SimklTrendingItem): boolean {
+export function isAdultItem(item: SimklAnime | SimklTrendingItem): boolean {
   const rawGenres = (item as { genres?: unknown }).genres;
   const genres = Array.isArray(rawGenres)
     ? rawGenres.map((g: unknown) => String(g).toLowerCase())
@@ -117,6 +122,32 @@ export async function lookupById(
   return simklFetch<SimklSearchResult[]>(path, apiKey);
 }
 
+/**
+ * Anime in the linked account's library with one of `statuses`, most
+ * recently watched first.
+ */
+export async function getMyLibrary(
+  statuses: string[],
+  apiKey: string | undefined,
+  accessToken: string
+): Promise<SimklAnime[]> {
+  log.debug('Simkl library', { statuses });
+  const results = await Promise.all(
+    statuses.map((status) =>
+      simklFetch<{ anime?: SimklLibraryEntry[] } | null>(
+        `/sync/all-items/anime/${status}?extended=full`,
+        apiKey,
+        accessToken
+      )
+    )
+  );
+  return results
+    .flatMap((result) => result?.anime || [])
+    .sort((a, b) => (b.last_watched_at || '').localeCompare(a.last_watched_at || ''))
+    .filter((entry): entry is SimklLibraryEntry & { show: SimklAnime } => !!entry.show)
+    .map((entry) => ({ ...entry.show, anime_type: entry.anime_type || entry.show.anime_type }));
+}
+
 function simklTypeToContentType(animeType: string | undefined): ContentType {
   if (animeType === 'movie') return 'movie';
   return 'series';
@@ -126,7 +157,8 @@ export async function discover(
   filters: SimklCatalogFilters,
   type: ContentType,
   page: number,
-  apiKey?: string
+  apiKey?: string,
+  accessToken?: string
 ): Promise<{ items: (SimklAnime | SimklTrendingItem)[]; hasMore: boolean }> {
   const listType = filters.simklListType || 'trending';
   const includeAdult = filters.includeAdult === true;
@@ -169,6 +201,15 @@ export async function discover(
       const start = (page - 1) * 20;
       return { items: filtered.slice(start, start + 20), hasMore: start + 20 < filtered.length };
     }
+    case 'my_watchlist':
+    case 'my_continue_watching':
+    case 'my_unwatched': {
+      if (!accessToken) return { items: [], hasMore: false };
+      const items = await getMyLibrary(SIMKL_PERSONAL_LIST_STATUSES[listType], apiKey, accessToken);
+      const filtered = filterByTypeAndAdult(items, type, includeAdult);
+      const start = (page - 1) * 20;
+      return { items: filtered.slice(start, start + 20), hasMore: start + 20 < filtered.length };
+    }
     default: {
       const items = await getTrending('week');
       const start = (page - 1) * 20;
@@ -10,6 +10,8 @@ export {
   searchAnime,
   lookupById,
   discover,
+  isAdultItem,
+  getMyLibrary,
 } from './discover.ts';
 export { simklToStremioMeta, batchConvertToStremioMeta } from './stremioMeta.ts';
 export * from './reference.ts';
@@ -21,6 +23,7 @@ export {
   SIMKL_ANIME_TYPES,
   SIMKL_SORT_OPTIONS,
   SIMKL_GENRES,
+  SIMKL_PERSONAL_LIST_STATUSES,
 } from './types.ts';
 
 export function isSimklEnabled(): boolean {
@@ -62,8 +62,28 @@ export const SIMKL_LIST_TYPES = [
   { value: 'genre', label: 'By Genre' },
   { value: 'premieres', label: 'Premieres' },
   { value: 'airing', label: 'Airing' },
+  { value: 'my_watchlist', label: 'My Plan to Watch' },
+  { value: 'my_continue_watching', label: 'Continue Watching' },
+  { value: 'my_unwatched', label: 'Unwatched from My Lists' },
 ] as const;
 
+/**
+ * Personal list types, read from the linked Simkl account's anime library
+ * by watch status. Simkl has no collection or recommendations endpoint.
+ */
+export const SIMKL_PERSONAL_LIST_STATUSES: Record<string, string[]> = {
+  my_watchlist: ['plantowatch'],
+  my_continue_watching: ['watching'],
+  my_unwatched: ['plantowatch', 'hold'],
+};
+
+export interface SimklLibraryEntry {
+  status?: string;
+  last_watched_at?: string;
+  anime_type?: string;
+  show?: SimklAnime;
+}
+
 export const SIMKL_TRENDING_PERIODS = [
   { value: 'today', label: 'Today' },
   { value: 'week', label: 'This Week' },
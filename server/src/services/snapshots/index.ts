@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import type {
+  CatalogConfig,
+  CatalogSnapshot,
+  StremioMetaPreview,
+  UserConfig,
+} from '../../types/index.ts';
+import { stableStringify } from '../../utils/stableStringify.ts';
+import { DISPLAY, SNAPSHOT_LIMITS } from '../../constants.ts';
+
+/** Catalogs in a config that serve only titles new since their last snapshot. */
+export function getSnapshotCatalogs(config: UserConfig | null | undefined): CatalogConfig[] {
+  return (config?.catalogs || []).filter(
+    (c) => c._id && c.enabled !== false && c.filters?.newSinceSnapshot === true
+  );
+}
+
+/**
+ * Fingerprint of the query a snapshot was taken with. The diff flag and
+ * post-filters are left out: neither changes what the source returns, so
+ * editing them should not discard an existing baseline.
+ */
+export function hashSnapshotQuery(catalog: CatalogConfig): string {
+  const { newSinceSnapshot: _, postFilters: __, ...filters } = catalog.filters || {};
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ type: catalog.type, source: catalog.source || 'tmdb', filters }))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Read the leading window of a catalog that snapshots cover. Source handlers
+ * map `skip` onto whole upstream pages, so the raw offset advances a full page
+ * at a time even when a page comes back short, until the window is full or a
+ * page is empty.
+ */
+export async function collectSnapshotWindow(
+  fetchRawPage: (rawSkip: number) => Promise<StremioMetaPreview[]>,
+  windowSize: number = SNAPSHOT_LIMITS.WINDOW
+): Promise<StremioMetaPreview[]> {
+  const metas: StremioMetaPreview[] = [];
+  const seen = new Set<string>();
+
+  for (let pages = 0; metas.length < windowSize && pages < SNAPSHOT_LIMITS.MAX_PAGES; pages++) {
+    const page = await fetchRawPage(pages * DISPLAY.TMDB_PAGE_SIZE);
+    if (page.length === 0) break;
+    for (const meta of page) {
+      if (!meta?.id || seen.has(meta.id)) continue;
+      seen.add(meta.id);
+      metas.push(meta);
+    }
+  }
+
+  return metas.slice(0, windowSize);
+}
+
+export function buildCatalogSnapshot(
+  userId: string,
+  catalog: CatalogConfig,
+  metas: StremioMetaPreview[],
+  takenAt: Date = new Date()
+): CatalogSnapshot {
+  return {
+    userId,
+    catalogId: catalog._id,
+    filtersHash: hashSnapshotQuery(catalog),
+    ids: metas.map((m) => m.id),
+    takenAt,
+  };
+}
+
+/**
+ * Whether a catalog needs a new snapshot: it has none yet, its query changed
+ * since the last one, or the last one is at least `intervalMs` old.
+ */
+export function isSnapshotDue(
+  snapshot: CatalogSnapshot | null,
+  catalog: CatalogConfig,
+  intervalMs: number,
+  now: number = Date.now()
+): boolean {
+  if (!snapshot || snapshot.filtersHash !== hashSnapshotQuery(catalog)) return true;
+  return now - new Date(snapshot.takenAt).getTime() >= intervalMs;
+}
+
+/** Titles in `metas` that were not part of the snapshot. */
+export function diffAgainstSnapshot(
+  metas: StremioMetaPreview[],
+  snapshot: CatalogSnapshot
+): StremioMetaPreview[] {
+  const known = new Set(snapshot.ids);
+  return metas.filter((m) => !known.has(m.id));
+}
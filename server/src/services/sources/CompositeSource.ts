@@ -0,0 +1,35 @@
+import { sanitizeFiltersForSource } from '../../utils/validation.ts';
+import { DISPLAY } from '../../constants.ts';
+import type { CatalogFilters } from '../../types/config.ts';
+import type { IDiscoverSource, ManifestSearchCatalog, CatalogRequestContext } from './types.ts';
+import { handleCompositeCatalogRequest } from '../../routes/handlers/compositeHandler.ts';
+
+/**
+ * Composite catalogs have no upstream of their own: they merge the rows of
+ * other catalogs in the same config, so they are always enabled and never
+ * contribute a search catalog.
+ */
+export const CompositeSource: IDiscoverSource = {
+  sourceId: 'composite',
+  catalogIdPrefix: 'composite',
+  defaultPageSize: DISPLAY.TMDB_PAGE_SIZE,
+
+  isEnabled() {
+    return true;
+  },
+
+  sanitizeFilters(filters: CatalogFilters): CatalogFilters {
+    return sanitizeFiltersForSource(
+      'composite',
+      filters as Record<string, unknown>
+    ) as CatalogFilters;
+  },
+
+  async handleCatalogRequest(ctx: CatalogRequestContext): Promise<void> {
+    return handleCompositeCatalogRequest(ctx);
+  },
+
+  getSearchCatalogs(): ManifestSearchCatalog[] {
+    return [];
+  },
+};
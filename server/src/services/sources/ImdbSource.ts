@@ -1,4 +1,4 @@
-import { isImdbApiEnabled } from '../imdb/index.ts';
+import { isImdbApiEnabled, isImdbDiscoverAvailable } from '../imdb/index.ts';
 import { sanitizeFiltersForSource } from '../../utils/validation.ts';
 import { DISPLAY } from '../../constants.ts';
 import type { CatalogFilters } from '../../types/config.ts';
@@ -11,7 +11,7 @@ export const ImdbSource: IDiscoverSource = {
   defaultPageSize: DISPLAY.IMDB_PAGE_SIZE,
 
   isEnabled() {
-    return isImdbApiEnabled();
+    return isImdbDiscoverAvailable();
   },
 
   sanitizeFilters(filters: CatalogFilters): CatalogFilters {
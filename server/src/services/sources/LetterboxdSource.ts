@@ -0,0 +1,42 @@
+import { sanitizeFiltersForSource } from '../../utils/validation.ts';
+import { DISPLAY } from '../../constants.ts';
+import type { CatalogFilters } from '../../types/config.ts';
+import type { IDiscoverSource, ManifestSearchCatalog, CatalogRequestContext } from './types.ts';
+import { handleLetterboxdCatalogRequest } from '../../routes/handlers/letterboxdHandler.ts';
+
+/**
+ * Letterboxd catalogs serve a list imported from a Letterboxd CSV export.
+ * Entries are resolved to TMDB at import time and stored on the catalog,
+ * so the source needs no Letterboxd credentials and has no search.
+ */
+export const LetterboxdSource: IDiscoverSource = {
+  sourceId: 'letterboxd',
+  catalogIdPrefix: 'letterboxd',
+  defaultPageSize: DISPLAY.TMDB_PAGE_SIZE,
+
+  isEnabled() {
+    return true;
+  },
+
+  sanitizeFilters(filters: CatalogFilters): CatalogFilters {
+    return sanitizeFiltersForSource(
+      'letterboxd',
+      filters as Record<string, unknown>
+    ) as CatalogFilters;
+  },
+
+  async handleCatalogRequest(ctx: CatalogRequestContext): Promise<void> {
+    return handleLetterboxdCatalogRequest(
+      ctx.userId,
+      ctx.type,
+      ctx.catalogId,
+      ctx.extra,
+      ctx.res,
+      ctx.req
+    );
+  },
+
+  getSearchCatalogs(): ManifestSearchCatalog[] {
+    return [];
+  },
+};
@@ -5,6 +5,8 @@ import { MalSource } from './MalSource.ts';
 import { SimklSource } from './SimklSource.ts';
 import { TraktSource } from './TraktSource.ts';
 import { KitsuSource } from './KitsuSource.ts';
+import { CompositeSource } from './CompositeSource.ts';
+import { LetterboxdSource } from './LetterboxdSource.ts';
 import type { IDiscoverSource } from './types.ts';
 
 const SOURCE_REGISTRY = new Map<string, IDiscoverSource>([
@@ -15,6 +17,8 @@ const SOURCE_REGISTRY = new Map<string, IDiscoverSource>([
   ['simkl', SimklSource],
   ['trakt', TraktSource],
   ['kitsu', KitsuSource],
+  ['composite', CompositeSource],
+  ['letterboxd', LetterboxdSource],
 ]);
 
 export function getSource(id: string | undefined): IDiscoverSource {
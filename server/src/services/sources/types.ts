@@ -28,6 +28,15 @@ export interface CatalogRequestContext {
   extra: Record<string, string>;
   req: Request;
   res: Response;
+  /**
+   * Load one page of another catalog in the same config through the normal
+   * dispatch path, without touching `res`. Used by composite catalogs to
+   * read their member rows.
+   */
+  fetchCatalogPage?: (
+    catalogId: string,
+    extra: Record<string, string>
+  ) => Promise<StremioMetaPreview[]>;
 }
 
 export interface IDiscoverSource {
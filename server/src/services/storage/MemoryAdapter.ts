@@ -11,8 +11,15 @@ import type {
   UserConfig,
   PublicStats,
   MarketplaceEntry,
+  MarketplaceReport,
   MarketplaceSearchParams,
+  ModerationStatus,
+  CatalogSnapshot,
+  ConfigRevision,
+  WatchHistory,
+  Household,
   IStorageAdapter,
+  AccountTokenField,
 } from '../../types/index.ts';
 
 const log = createLogger('MemoryAdapter');
@@ -33,6 +40,10 @@ function originKey(originUserId: string, originCatalogId: string): string {
   return `${originUserId}\u0000${originCatalogId}`;
 }
 
+function snapshotKey(userId: string, catalogId: string): string {
+  return `${userId}\u0000${catalogId}`;
+}
+
 export class MemoryAdapter implements IStorageAdapter {
   private users: Map<string, UserConfig>;
   private configs: Map<string, UserConfig[]>;
@@ -40,6 +51,11 @@ export class MemoryAdapter implements IStorageAdapter {
   private entries: Map<string, MarketplaceEntry>; // marketplaceId -> entry
   private originIndex: Map<string, string>; // originKey -> marketplaceId (one per origin pair)
   private likes: Map<string, Set<string>>; // marketplaceId -> set of actorUserId
+  private reports: Map<string, MarketplaceReport[]>; // marketplaceId -> reports, oldest first
+  private snapshots: Map<string, CatalogSnapshot>; // snapshotKey -> snapshot
+  private revisions: Map<string, ConfigRevision[]>; // userId -> revisions, newest first
+  private watchHistories: Map<string, WatchHistory>; // userId -> imported history
+  private households: Map<string, Household>; // apiKeyId -> shared catalogs
 
   constructor() {
     this.users = new Map();
@@ -47,6 +63,11 @@ export class MemoryAdapter implements IStorageAdapter {
     this.entries = new Map();
     this.originIndex = new Map();
     this.likes = new Map();
+    this.reports = new Map();
+    this.snapshots = new Map();
+    this.revisions = new Map();
+    this.watchHistories = new Map();
+    this.households = new Map();
   }
 
   async connect(): Promise<void> {
@@ -59,6 +80,10 @@ export class MemoryAdapter implements IStorageAdapter {
     this.entries.clear();
     this.originIndex.clear();
     this.likes.clear();
+    this.snapshots.clear();
+    this.revisions.clear();
+    this.watchHistories.clear();
+    this.households.clear();
   }
 
   async getUserConfig(userId: string): Promise<UserConfig | null> {
@@ -81,6 +106,17 @@ export class MemoryAdapter implements IStorageAdapter {
     return config;
   }
 
+  async setAccountTokens(
+    userId: string,
+    field: AccountTokenField,
+    encrypted: string
+  ): Promise<boolean> {
+    const config = this.users.get(userId);
+    if (!config) return false;
+    await this.saveUserConfig({ ...config, [field]: encrypted });
+    return true;
+  }
+
   async getConfigsByApiKeyId(apiKeyId: string): Promise<UserConfig[]> {
     return this.configs.get(apiKeyId) || [];
   }
@@ -128,8 +164,8 @@ export class MemoryAdapter implements IStorageAdapter {
   /**
    * Insert or update an entry, enforcing one entry per (originUserId, originCatalogId).
    * When an entry already exists for the origin pair, the stable marketplaceId, the
-   * original publish time, and the engagement counters are preserved while the
-   * searchable content is replaced.
+   * original publish time, the engagement counters and the moderation status are
+   * preserved while the searchable content is replaced.
    */
   async upsertMarketplaceEntry(entry: MarketplaceEntry): Promise<MarketplaceEntry> {
     const key = originKey(entry.provenance.originUserId, entry.provenance.originCatalogId);
@@ -142,6 +178,7 @@ export class MemoryAdapter implements IStorageAdapter {
           ...clone(entry),
           marketplaceId: existing.marketplaceId,
           publishedAt: existing.publishedAt,
+          moderation: existing.moderation,
           engagement: { ...existing.engagement },
         };
         this.entries.set(existing.marketplaceId, merged);
@@ -170,6 +207,7 @@ export class MemoryAdapter implements IStorageAdapter {
     this.entries.delete(id);
     this.originIndex.delete(key);
     this.likes.delete(id);
+    this.reports.delete(id);
     return true;
   }
 
@@ -247,6 +285,128 @@ export class MemoryAdapter implements IStorageAdapter {
     return this.likes.get(marketplaceId)?.has(actorUserId) ?? false;
   }
 
+  async recordReport(report: MarketplaceReport): Promise<boolean> {
+    const list = this.reports.get(report.marketplaceId) ?? [];
+    if (list.some((r) => r.actorUserId === report.actorUserId)) return false;
+    list.push(clone(report));
+    this.reports.set(report.marketplaceId, list);
+    return true;
+  }
+
+  async getReports(marketplaceId: string): Promise<MarketplaceReport[]> {
+    return (this.reports.get(marketplaceId) ?? []).map((report) => clone(report));
+  }
+
+  async clearReports(marketplaceId: string): Promise<number> {
+    const count = this.reports.get(marketplaceId)?.length ?? 0;
+    this.reports.delete(marketplaceId);
+    return count;
+  }
+
+  async setMarketplaceModeration(
+    marketplaceId: string,
+    moderation: ModerationStatus
+  ): Promise<MarketplaceEntry | null> {
+    const entry = this.entries.get(marketplaceId);
+    if (!entry) return null;
+    // updatedAt tracks content edits; moderation must not reorder "recent".
+    entry.moderation = moderation;
+    return clone(entry);
+  }
+
+  async listMarketplaceEntriesByModeration(
+    moderation: ModerationStatus,
+    limit: number
+  ): Promise<MarketplaceEntry[]> {
+    return Array.from(this.entries.values())
+      .filter((entry) => entry.moderation === moderation)
+      .sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime())
+      .slice(0, limit)
+      .map((entry) => clone(entry));
+  }
+
+  // --- Catalog snapshots ---
+
+  async getCatalogSnapshot(userId: string, catalogId: string): Promise<CatalogSnapshot | null> {
+    const snapshot = this.snapshots.get(snapshotKey(userId, catalogId));
+    return snapshot ? clone(snapshot) : null;
+  }
+
+  async saveCatalogSnapshot(snapshot: CatalogSnapshot): Promise<CatalogSnapshot> {
+    const stored = clone(snapshot);
+    this.snapshots.set(snapshotKey(stored.userId, stored.catalogId), stored);
+    return clone(stored);
+  }
+
+  async deleteCatalogSnapshots(userId: string): Promise<number> {
+    let deleted = 0;
+    for (const [key, snapshot] of this.snapshots) {
+      if (snapshot.userId !== userId) continue;
+      this.snapshots.delete(key);
+      deleted++;
+    }
+    return deleted;
+  }
+
+  // --- Config revision history ---
+
+  async getConfigRevisions(userId: string): Promise<ConfigRevision[]> {
+    return clone(this.revisions.get(userId) ?? []);
+  }
+
+  async getConfigRevision(userId: string, rev: number): Promise<ConfigRevision | null> {
+    const revision = this.revisions.get(userId)?.find((r) => r.rev === rev);
+    return revision ? clone(revision) : null;
+  }
+
+  async saveConfigRevision(revision: ConfigRevision, keep: number): Promise<ConfigRevision> {
+    const stored = clone(revision);
+    const existing = (this.revisions.get(stored.userId) ?? []).filter((r) => r.rev !== stored.rev);
+    const next = [stored, ...existing].sort((a, b) => b.rev - a.rev).slice(0, Math.max(keep, 1));
+    this.revisions.set(stored.userId, next);
+    return clone(stored);
+  }
+
+  async deleteConfigRevisions(userId: string): Promise<number> {
+    const deleted = this.revisions.get(userId)?.length ?? 0;
+    this.revisions.delete(userId);
+    return deleted;
+  }
+
+  // --- Imported watch history ---
+
+  async getWatchHistory(userId: string): Promise<WatchHistory | null> {
+    const history = this.watchHistories.get(userId);
+    return history ? clone(history) : null;
+  }
+
+  async saveWatchHistory(history: WatchHistory): Promise<WatchHistory> {
+    const stored = clone(history);
+    this.watchHistories.set(stored.userId, stored);
+    return clone(stored);
+  }
+
+  async deleteWatchHistory(userId: string): Promise<boolean> {
+    return this.watchHistories.delete(userId);
+  }
+
+  // --- Households ---
+
+  async getHousehold(apiKeyId: string): Promise<Household | null> {
+    const household = this.households.get(apiKeyId);
+    return household ? clone(household) : null;
+  }
+
+  async saveHousehold(household: Household): Promise<Household> {
+    const stored = clone(household);
+    this.households.set(stored.apiKeyId, stored);
+    return clone(stored);
+  }
+
+  async deleteHousehold(apiKeyId: string): Promise<boolean> {
+    return this.households.delete(apiKeyId);
+  }
+
   // --- Internal search helpers ---
 
   /** Filter entries by visibility/moderation, facets, and fuzzy name gate. */
@@ -1,7 +1,15 @@
 import crypto from 'crypto';
 import mongoose from 'mongoose';
 import { UserConfig } from '../../models/UserConfig.ts';
-import { MarketplaceEntryModel, MarketplaceLikeModel } from '../../models/MarketplaceEntry.ts';
+import {
+  MarketplaceEntryModel,
+  MarketplaceLikeModel,
+  MarketplaceReportModel,
+} from '../../models/MarketplaceEntry.ts';
+import { CatalogSnapshotModel } from '../../models/CatalogSnapshot.ts';
+import { ConfigRevisionModel } from '../../models/ConfigRevision.ts';
+import { WatchHistoryModel } from '../../models/WatchHistory.ts';
+import { HouseholdModel } from '../../models/Household.ts';
 import { createLogger } from '../../utils/logger.ts';
 import { MARKETPLACE_RANKING, MARKETPLACE_PAGINATION } from '../../constants.ts';
 import {
@@ -16,12 +24,20 @@ import type {
   UserConfig as UserConfigType,
   PublicStats,
   MarketplaceEntry,
+  MarketplaceBundleMember,
+  MarketplaceReport,
   MarketplaceSearchParams,
+  ModerationStatus,
   ContentType,
   SourceType,
   CatalogFilters,
   CatalogFormState,
+  CatalogSnapshot,
+  ConfigRevision,
+  WatchHistory,
+  Household,
   IStorageAdapter,
+  AccountTokenField,
 } from '../../types/index.ts';
 
 const log = createLogger('MongoAdapter');
@@ -60,6 +76,7 @@ interface MarketplaceEntryDoc {
   filterFacets?: string[];
   filters?: CatalogFilters;
   formState?: CatalogFormState;
+  members?: MarketplaceBundleMember[];
   visibility?: string;
   moderation?: string;
   engagement?: {
@@ -94,6 +111,7 @@ function toEntry(doc: MarketplaceEntryDoc): MarketplaceEntry {
     filterFacets: doc.filterFacets ?? [],
     filters: (doc.filters ?? {}) as CatalogFilters,
     formState: doc.formState,
+    ...(doc.members ? { members: doc.members } : {}),
     visibility: (doc.visibility ?? 'public') as MarketplaceEntry['visibility'],
     moderation: (doc.moderation ?? 'active') as MarketplaceEntry['moderation'],
     engagement: {
@@ -110,6 +128,58 @@ function toEntry(doc: MarketplaceEntryDoc): MarketplaceEntry {
   };
 }
 
+/** Strip Mongo bookkeeping fields from a stored snapshot. */
+function toSnapshot(doc: CatalogSnapshot): CatalogSnapshot {
+  return {
+    userId: String(doc.userId),
+    catalogId: String(doc.catalogId),
+    filtersHash: String(doc.filtersHash ?? ''),
+    ids: (doc.ids ?? []).map(String),
+    takenAt: doc.takenAt ?? new Date(0),
+  };
+}
+
+/** Strip Mongo bookkeeping fields from a stored report. */
+function toReport(doc: MarketplaceReport): MarketplaceReport {
+  return {
+    marketplaceId: String(doc.marketplaceId),
+    actorUserId: String(doc.actorUserId),
+    reason: doc.reason,
+    ...(doc.details ? { details: String(doc.details) } : {}),
+    createdAt: doc.createdAt ?? new Date(0),
+  };
+}
+
+/** Strip Mongo bookkeeping fields from a stored config revision. */
+function toRevision(doc: ConfigRevision): ConfigRevision {
+  return {
+    userId: String(doc.userId),
+    rev: Number(doc.rev),
+    configName: String(doc.configName ?? ''),
+    catalogs: Array.isArray(doc.catalogs) ? doc.catalogs : [],
+    savedAt: doc.savedAt ?? new Date(0),
+  };
+}
+
+/** Strip Mongo bookkeeping fields from a stored watch history. */
+function toWatchHistory(doc: WatchHistory): WatchHistory {
+  return {
+    userId: String(doc.userId),
+    source: doc.source,
+    titles: Array.isArray(doc.titles) ? doc.titles : [],
+    importedAt: doc.importedAt ?? new Date(0),
+  };
+}
+
+/** Strip Mongo bookkeeping fields from a stored household. */
+function toHousehold(doc: Household): Household {
+  return {
+    apiKeyId: String(doc.apiKeyId),
+    catalogs: Array.isArray(doc.catalogs) ? doc.catalogs : [],
+    updatedAt: doc.updatedAt ?? new Date(0),
+  };
+}
+
 export class MongoAdapter implements IStorageAdapter {
   private uri: string;
 
@@ -152,6 +222,18 @@ export class MongoAdapter implements IStorageAdapter {
       .exec() as Promise<UserConfigType>;
   }
 
+  async setAccountTokens(
+    userId: string,
+    field: AccountTokenField,
+    encrypted: string
+  ): Promise<boolean> {
+    const res = await UserConfig.updateOne(
+      { userId: String(userId) },
+      { $set: { [field]: encrypted } }
+    ).exec();
+    return res.matchedCount > 0;
+  }
+
   async getConfigsByApiKeyId(apiKeyId: string): Promise<UserConfigType[]> {
     if (!apiKeyId) return [];
     return UserConfig.find({ apiKeyId: String(apiKeyId) })
@@ -190,9 +272,9 @@ export class MongoAdapter implements IStorageAdapter {
   /**
    * Insert or update an entry keyed by (provenance.originUserId,
    * provenance.originCatalogId). On an existing entry the stable `marketplaceId`,
-   * the original `publishedAt`, and the engagement counters are preserved via
-   * `$setOnInsert` (which only applies on insert), while the searchable content is
-   * replaced via `$set`.
+   * the original `publishedAt`, the engagement counters and the moderation status
+   * are preserved via `$setOnInsert` (which only applies on insert), while the
+   * searchable content is replaced via `$set`.
    */
   async upsertMarketplaceEntry(entry: MarketplaceEntry): Promise<MarketplaceEntry> {
     const filter = {
@@ -212,7 +294,6 @@ export class MongoAdapter implements IStorageAdapter {
       filterFacets: entry.filterFacets ?? [],
       filters: entry.filters ?? {},
       visibility: entry.visibility,
-      moderation: entry.moderation,
       contentHash: entry.contentHash,
       updatedAt: now,
       schemaVersion: entry.schemaVersion ?? 1,
@@ -221,10 +302,14 @@ export class MongoAdapter implements IStorageAdapter {
     if (entry.formState !== undefined) {
       set.formState = entry.formState;
     }
+    if (entry.members !== undefined) {
+      set.members = entry.members;
+    }
 
     const setOnInsert: Record<string, unknown> = {
       marketplaceId: entry.marketplaceId || crypto.randomUUID(),
       publishedAt: entry.publishedAt ?? now,
+      moderation: entry.moderation,
       'engagement.likes': toCounter(entry.engagement?.likes),
       'engagement.installs': toCounter(entry.engagement?.installs),
       'engagement.views': toCounter(entry.engagement?.views),
@@ -254,8 +339,9 @@ export class MongoAdapter implements IStorageAdapter {
       .exec();
 
     if (!res) return false;
-    // Clean up the like ledger for the removed entry.
+    // Clean up the like and report ledgers for the removed entry.
     await MarketplaceLikeModel.deleteMany({ marketplaceId: String(res.marketplaceId) }).exec();
+    await MarketplaceReportModel.deleteMany({ marketplaceId: String(res.marketplaceId) }).exec();
     return true;
   }
 
@@ -375,6 +461,215 @@ export class MongoAdapter implements IStorageAdapter {
     return !!doc;
   }
 
+  async recordReport(report: MarketplaceReport): Promise<boolean> {
+    try {
+      await MarketplaceReportModel.create({
+        marketplaceId: String(report.marketplaceId),
+        actorUserId: String(report.actorUserId),
+        reason: report.reason,
+        details: report.details ?? '',
+        createdAt: report.createdAt,
+      });
+      return true;
+    } catch (error) {
+      // Duplicate key (unique compound index) => this reporter already reported.
+      if ((error as { code?: number }).code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async getReports(marketplaceId: string): Promise<MarketplaceReport[]> {
+    const docs = await MarketplaceReportModel.find({ marketplaceId: String(marketplaceId) })
+      .sort({ createdAt: 1 })
+      .lean<MarketplaceReport[]>()
+      .exec();
+    return docs.map(toReport);
+  }
+
+  async clearReports(marketplaceId: string): Promise<number> {
+    const res = await MarketplaceReportModel.deleteMany({
+      marketplaceId: String(marketplaceId),
+    }).exec();
+    return res.deletedCount ?? 0;
+  }
+
+  async setMarketplaceModeration(
+    marketplaceId: string,
+    moderation: ModerationStatus
+  ): Promise<MarketplaceEntry | null> {
+    const doc = await MarketplaceEntryModel.findOneAndUpdate(
+      { marketplaceId: String(marketplaceId) },
+      // updatedAt tracks content edits; moderation must not reorder "recent".
+      { $set: { moderation } },
+      { new: true, runValidators: true }
+    )
+      .lean<MarketplaceEntryDoc>()
+      .exec();
+    return doc ? toEntry(doc) : null;
+  }
+
+  async listMarketplaceEntriesByModeration(
+    moderation: ModerationStatus,
+    limit: number
+  ): Promise<MarketplaceEntry[]> {
+    const docs = await MarketplaceEntryModel.find({ moderation })
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .lean<MarketplaceEntryDoc[]>()
+      .exec();
+    return docs.map(toEntry);
+  }
+
+  // --- Catalog snapshots ---
+
+  async getCatalogSnapshot(userId: string, catalogId: string): Promise<CatalogSnapshot | null> {
+    if (!userId || !catalogId) return null;
+    const doc = await CatalogSnapshotModel.findOne({
+      userId: String(userId),
+      catalogId: String(catalogId),
+    })
+      .lean<CatalogSnapshot>()
+      .exec();
+    return doc ? toSnapshot(doc) : null;
+  }
+
+  async saveCatalogSnapshot(snapshot: CatalogSnapshot): Promise<CatalogSnapshot> {
+    const doc = await CatalogSnapshotModel.findOneAndUpdate(
+      { userId: String(snapshot.userId), catalogId: String(snapshot.catalogId) },
+      {
+        $set: {
+          filtersHash: snapshot.filtersHash,
+          ids: snapshot.ids,
+          takenAt: snapshot.takenAt,
+        },
+      },
+      { new: true, upsert: true }
+    )
+      .lean<CatalogSnapshot>()
+      .exec();
+    return doc ? toSnapshot(doc) : snapshot;
+  }
+
+  async deleteCatalogSnapshots(userId: string): Promise<number> {
+    if (!userId) return 0;
+    const res = await CatalogSnapshotModel.deleteMany({ userId: String(userId) });
+    return res.deletedCount ?? 0;
+  }
+
+  // --- Config revision history ---
+
+  async getConfigRevisions(userId: string): Promise<ConfigRevision[]> {
+    if (!userId) return [];
+    const docs = await ConfigRevisionModel.find({ userId: String(userId) })
+      .sort({ rev: -1 })
+      .lean<ConfigRevision[]>()
+      .exec();
+    return docs.map(toRevision);
+  }
+
+  async getConfigRevision(userId: string, rev: number): Promise<ConfigRevision | null> {
+    if (!userId) return null;
+    const doc = await ConfigRevisionModel.findOne({ userId: String(userId), rev })
+      .lean<ConfigRevision>()
+      .exec();
+    return doc ? toRevision(doc) : null;
+  }
+
+  async saveConfigRevision(revision: ConfigRevision, keep: number): Promise<ConfigRevision> {
+    const userId = String(revision.userId);
+    const doc = await ConfigRevisionModel.findOneAndUpdate(
+      { userId, rev: revision.rev },
+      {
+        $set: {
+          configName: revision.configName,
+          catalogs: revision.catalogs,
+          savedAt: revision.savedAt,
+        },
+      },
+      { new: true, upsert: true }
+    )
+      .lean<ConfigRevision>()
+      .exec();
+
+    const stale = await ConfigRevisionModel.find({ userId })
+      .sort({ rev: -1 })
+      .skip(Math.max(keep, 1))
+      .select({ rev: 1 })
+      .lean<Array<{ rev: number }>>()
+      .exec();
+    if (stale.length > 0) {
+      await ConfigRevisionModel.deleteMany({ userId, rev: { $in: stale.map((d) => d.rev) } });
+    }
+
+    return doc ? toRevision(doc) : revision;
+  }
+
+  async deleteConfigRevisions(userId: string): Promise<number> {
+    if (!userId) return 0;
+    const res = await ConfigRevisionModel.deleteMany({ userId: String(userId) });
+    return res.deletedCount ?? 0;
+  }
+
+  // --- Imported watch history ---
+
+  async getWatchHistory(userId: string): Promise<WatchHistory | null> {
+    if (!userId) return null;
+    const doc = await WatchHistoryModel.findOne({ userId: String(userId) })
+      .lean<WatchHistory>()
+      .exec();
+    return doc ? toWatchHistory(doc) : null;
+  }
+
+  async saveWatchHistory(history: WatchHistory): Promise<WatchHistory> {
+    const doc = await WatchHistoryModel.findOneAndUpdate(
+      { userId: String(history.userId) },
+      {
+        $set: {
+          source: history.source,
+          titles: history.titles,
+          importedAt: history.importedAt,
+        },
+      },
+      { new: true, upsert: true }
+    )
+      .lean<WatchHistory>()
+      .exec();
+    return doc ? toWatchHistory(doc) : history;
+  }
+
+  async deleteWatchHistory(userId: string): Promise<boolean> {
+    if (!userId) return false;
+    const res = await WatchHistoryModel.deleteOne({ userId: String(userId) });
+    return (res.deletedCount ?? 0) > 0;
+  }
+
+  // --- Households ---
+
+  async getHousehold(apiKeyId: string): Promise<Household | null> {
+    if (!apiKeyId) return null;
+    const doc = await HouseholdModel.findOne({ apiKeyId: String(apiKeyId) })
+      .lean<Household>()
+      .exec();
+    return doc ? toHousehold(doc) : null;
+  }
+
+  async saveHousehold(household: Household): Promise<Household> {
+    const doc = await HouseholdModel.findOneAndUpdate(
+      { apiKeyId: String(household.apiKeyId) },
+      { $set: { catalogs: household.catalogs, updatedAt: household.updatedAt } },
+      { new: true, upsert: true }
+    )
+      .lean<Household>()
+      .exec();
+    return doc ? toHousehold(doc) : household;
+  }
+
+  async deleteHousehold(apiKeyId: string): Promise<boolean> {
+    if (!apiKeyId) return false;
+    const res = await HouseholdModel.deleteOne({ apiKeyId: String(apiKeyId) });
+    return (res.deletedCount ?? 0) > 0;
+  }
+
   // --- Internal search helpers ---
 
   /**
@@ -6,9 +6,16 @@ import type {
   UserConfig,
   PublicStats,
   MarketplaceEntry,
+  MarketplaceReport,
   MarketplaceSearchParams,
   MarketplaceSort,
+  ModerationStatus,
+  CatalogSnapshot,
+  ConfigRevision,
+  WatchHistory,
+  Household,
   IStorageAdapter,
+  AccountTokenField,
 } from '../../types/index.ts';
 
 const log = createLogger('PostgresAdapter');
@@ -117,6 +124,56 @@ export class PostgresAdapter implements IStorageAdapter {
         );
       `);
 
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS marketplace_reports (
+          marketplace_id UUID NOT NULL,
+          actor_user_id  VARCHAR(255) NOT NULL,
+          reason         VARCHAR(16) NOT NULL,
+          details        TEXT DEFAULT '',
+          created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (marketplace_id, actor_user_id)
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS catalog_snapshots (
+          user_id      VARCHAR(255) NOT NULL,
+          catalog_id   VARCHAR(255) NOT NULL,
+          filters_hash VARCHAR(64) NOT NULL,
+          ids          JSONB NOT NULL DEFAULT '[]',
+          taken_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (user_id, catalog_id)
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS config_revisions (
+          user_id     VARCHAR(255) NOT NULL,
+          rev         INTEGER NOT NULL,
+          config_name TEXT NOT NULL DEFAULT '',
+          catalogs    JSONB NOT NULL DEFAULT '[]',
+          saved_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (user_id, rev)
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS watch_history (
+          user_id     VARCHAR(255) PRIMARY KEY,
+          source      VARCHAR(16) NOT NULL,
+          titles      JSONB NOT NULL DEFAULT '[]',
+          imported_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS households (
+          api_key_id VARCHAR(255) PRIMARY KEY,
+          catalogs   JSONB NOT NULL DEFAULT '[]',
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
+
       client.release();
       log.info('Connected to Postgres and verified schema');
     } catch (error) {
@@ -169,6 +226,20 @@ export class PostgresAdapter implements IStorageAdapter {
     } as UserConfig;
   }
 
+  async setAccountTokens(
+    userId: string,
+    field: AccountTokenField,
+    encrypted: string
+  ): Promise<boolean> {
+    const res = await this.pool.query(
+      // A token refresh is not a config edit: updated_at stays as it was.
+      `UPDATE user_configs SET data = jsonb_set(data, $2::text[], to_jsonb($3::text))
+       WHERE user_id = $1`,
+      [userId, [field], encrypted]
+    );
+    return (res.rowCount || 0) > 0;
+  }
+
   async getConfigsByApiKeyId(apiKeyId: string): Promise<UserConfig[]> {
     const res = await this.pool.query(
       'SELECT user_id, api_key_id, data FROM user_configs WHERE api_key_id = $1 ORDER BY updated_at DESC',
@@ -222,14 +293,18 @@ export class PostgresAdapter implements IStorageAdapter {
   /**
    * Insert or update an entry, enforcing one entry per (originUserId, originCatalogId)
    * via the unique constraint. On conflict the stable marketplaceId, the original
-   * publish time, and all engagement counters (likes/installs/views/trending_score/
-   * last_engaged_at) are preserved while the searchable content is replaced. The
-   * weighted `search_tsv` is (re)computed on every write (name A, tags B, genres C,
-   * description D).
+   * publish time, the moderation status, and all engagement counters (likes/installs/
+   * views/trending_score/last_engaged_at) are preserved while the searchable content
+   * is replaced. The weighted `search_tsv` is (re)computed on every write (name A,
+   * tags B, genres C, description D).
    */
   async upsertMarketplaceEntry(entry: MarketplaceEntry): Promise<MarketplaceEntry> {
     const e = entry.engagement;
-    const dataJson = JSON.stringify({ filters: entry.filters, formState: entry.formState });
+    const dataJson = JSON.stringify({
+      filters: entry.filters,
+      formState: entry.formState,
+      members: entry.members,
+    });
 
     const query = `
       INSERT INTO marketplace_entries (
@@ -259,7 +334,6 @@ export class PostgresAdapter implements IStorageAdapter {
         filter_facets = EXCLUDED.filter_facets,
         data = EXCLUDED.data,
         visibility = EXCLUDED.visibility,
-        moderation = EXCLUDED.moderation,
         content_hash = EXCLUDED.content_hash,
         updated_at = EXCLUDED.updated_at,
         schema_version = EXCLUDED.schema_version,
@@ -309,9 +383,10 @@ export class PostgresAdapter implements IStorageAdapter {
     );
     if ((res.rowCount || 0) === 0) return false;
 
-    // Clean up the like ledger for the removed entry (no FK cascade defined).
+    // Clean up the like and report ledgers for the removed entry (no FK cascade defined).
     const removedId = res.rows[0].marketplace_id;
     await this.pool.query('DELETE FROM marketplace_likes WHERE marketplace_id = $1', [removedId]);
+    await this.pool.query('DELETE FROM marketplace_reports WHERE marketplace_id = $1', [removedId]);
     return true;
   }
 
@@ -448,11 +523,268 @@ export class PostgresAdapter implements IStorageAdapter {
     return res.rows.length > 0;
   }
 
+  async recordReport(report: MarketplaceReport): Promise<boolean> {
+    if (!UUID_RE.test(report.marketplaceId)) return false;
+    const res = await this.pool.query(
+      `INSERT INTO marketplace_reports (marketplace_id, actor_user_id, reason, details, created_at)
+         VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (marketplace_id, actor_user_id) DO NOTHING`,
+      [
+        report.marketplaceId,
+        report.actorUserId,
+        report.reason,
+        report.details ?? '',
+        report.createdAt,
+      ]
+    );
+    return (res.rowCount || 0) > 0;
+  }
+
+  async getReports(marketplaceId: string): Promise<MarketplaceReport[]> {
+    if (!UUID_RE.test(marketplaceId)) return [];
+    const res = await this.pool.query(
+      `SELECT marketplace_id, actor_user_id, reason, details, created_at
+       FROM marketplace_reports WHERE marketplace_id = $1 ORDER BY created_at ASC`,
+      [marketplaceId]
+    );
+    return res.rows.map((row) => ({
+      marketplaceId: row.marketplace_id as string,
+      actorUserId: row.actor_user_id as string,
+      reason: row.reason as MarketplaceReport['reason'],
+      ...(row.details ? { details: row.details as string } : {}),
+      createdAt: new Date(row.created_at as string | Date),
+    }));
+  }
+
+  async clearReports(marketplaceId: string): Promise<number> {
+    if (!UUID_RE.test(marketplaceId)) return 0;
+    const res = await this.pool.query('DELETE FROM marketplace_reports WHERE marketplace_id = $1', [
+      marketplaceId,
+    ]);
+    return res.rowCount || 0;
+  }
+
+  async setMarketplaceModeration(
+    marketplaceId: string,
+    moderation: ModerationStatus
+  ): Promise<MarketplaceEntry | null> {
+    if (!UUID_RE.test(marketplaceId)) return null;
+    const res = await this.pool.query(
+      // updated_at tracks content edits; moderation must not reorder "recent".
+      `UPDATE marketplace_entries SET moderation = $2 WHERE marketplace_id = $1 RETURNING *`,
+      [marketplaceId, moderation]
+    );
+    return res.rows[0] ? this.rowToEntry(res.rows[0]) : null;
+  }
+
+  async listMarketplaceEntriesByModeration(
+    moderation: ModerationStatus,
+    limit: number
+  ): Promise<MarketplaceEntry[]> {
+    const res = await this.pool.query(
+      `SELECT * FROM marketplace_entries WHERE moderation = $1
+       ORDER BY updated_at DESC LIMIT $2`,
+      [moderation, limit]
+    );
+    return res.rows.map((row) => this.rowToEntry(row));
+  }
+
+  // --- Catalog snapshots ---
+
+  async getCatalogSnapshot(userId: string, catalogId: string): Promise<CatalogSnapshot | null> {
+    const res = await this.pool.query(
+      `SELECT user_id, catalog_id, filters_hash, ids, taken_at
+       FROM catalog_snapshots WHERE user_id = $1 AND catalog_id = $2`,
+      [userId, catalogId]
+    );
+    return res.rows[0] ? this.rowToSnapshot(res.rows[0]) : null;
+  }
+
+  async saveCatalogSnapshot(snapshot: CatalogSnapshot): Promise<CatalogSnapshot> {
+    const res = await this.pool.query(
+      `INSERT INTO catalog_snapshots (user_id, catalog_id, filters_hash, ids, taken_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, catalog_id)
+       DO UPDATE SET
+         filters_hash = EXCLUDED.filters_hash,
+         ids = EXCLUDED.ids,
+         taken_at = EXCLUDED.taken_at
+       RETURNING user_id, catalog_id, filters_hash, ids, taken_at`,
+      [
+        snapshot.userId,
+        snapshot.catalogId,
+        snapshot.filtersHash,
+        JSON.stringify(snapshot.ids),
+        snapshot.takenAt,
+      ]
+    );
+    return this.rowToSnapshot(res.rows[0]);
+  }
+
+  async deleteCatalogSnapshots(userId: string): Promise<number> {
+    const res = await this.pool.query('DELETE FROM catalog_snapshots WHERE user_id = $1', [userId]);
+    return res.rowCount || 0;
+  }
+
+  // --- Config revision history ---
+
+  async getConfigRevisions(userId: string): Promise<ConfigRevision[]> {
+    const res = await this.pool.query(
+      `SELECT user_id, rev, config_name, catalogs, saved_at
+       FROM config_revisions WHERE user_id = $1 ORDER BY rev DESC`,
+      [userId]
+    );
+    return res.rows.map((row) => this.rowToRevision(row));
+  }
+
+  async getConfigRevision(userId: string, rev: number): Promise<ConfigRevision | null> {
+    const res = await this.pool.query(
+      `SELECT user_id, rev, config_name, catalogs, saved_at
+       FROM config_revisions WHERE user_id = $1 AND rev = $2`,
+      [userId, rev]
+    );
+    return res.rows[0] ? this.rowToRevision(res.rows[0]) : null;
+  }
+
+  async saveConfigRevision(revision: ConfigRevision, keep: number): Promise<ConfigRevision> {
+    const res = await this.pool.query(
+      `INSERT INTO config_revisions (user_id, rev, config_name, catalogs, saved_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, rev)
+       DO UPDATE SET
+         config_name = EXCLUDED.config_name,
+         catalogs = EXCLUDED.catalogs,
+         saved_at = EXCLUDED.saved_at
+       RETURNING user_id, rev, config_name, catalogs, saved_at`,
+      [
+        revision.userId,
+        revision.rev,
+        revision.configName,
+        JSON.stringify(revision.catalogs),
+        revision.savedAt,
+      ]
+    );
+    await this.pool.query(
+      `DELETE FROM config_revisions
+       WHERE user_id = $1 AND rev NOT IN (
+         SELECT rev FROM config_revisions WHERE user_id = $1 ORDER BY rev DESC LIMIT $2
+       )`,
+      [revision.userId, Math.max(keep, 1)]
+    );
+    return this.rowToRevision(res.rows[0]);
+  }
+
+  async deleteConfigRevisions(userId: string): Promise<number> {
+    const res = await this.pool.query('DELETE FROM config_revisions WHERE user_id = $1', [userId]);
+    return res.rowCount || 0;
+  }
+
+  // --- Imported watch history ---
+
+  async getWatchHistory(userId: string): Promise<WatchHistory | null> {
+    const res = await this.pool.query(
+      'SELECT user_id, source, titles, imported_at FROM watch_history WHERE user_id = $1',
+      [userId]
+    );
+    return res.rows[0] ? this.rowToWatchHistory(res.rows[0]) : null;
+  }
+
+  async saveWatchHistory(history: WatchHistory): Promise<WatchHistory> {
+    const res = await this.pool.query(
+      `INSERT INTO watch_history (user_id, source, titles, imported_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id)
+       DO UPDATE SET
+         source = EXCLUDED.source,
+         titles = EXCLUDED.titles,
+         imported_at = EXCLUDED.imported_at
+       RETURNING user_id, source, titles, imported_at`,
+      [history.userId, history.source, JSON.stringify(history.titles), history.importedAt]
+    );
+    return this.rowToWatchHistory(res.rows[0]);
+  }
+
+  async deleteWatchHistory(userId: string): Promise<boolean> {
+    const res = await this.pool.query('DELETE FROM watch_history WHERE user_id = $1', [userId]);
+    return (res.rowCount || 0) > 0;
+  }
+
+  // --- Households ---
+
+  async getHousehold(apiKeyId: string): Promise<Household | null> {
+    const res = await this.pool.query(
+      'SELECT api_key_id, catalogs, updated_at FROM households WHERE api_key_id = $1',
+      [apiKeyId]
+    );
+    return res.rows[0] ? this.rowToHousehold(res.rows[0]) : null;
+  }
+
+  async saveHousehold(household: Household): Promise<Household> {
+    const res = await this.pool.query(
+      `INSERT INTO households (api_key_id, catalogs, updated_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (api_key_id)
+       DO UPDATE SET
+         catalogs = EXCLUDED.catalogs,
+         updated_at = EXCLUDED.updated_at
+       RETURNING api_key_id, catalogs, updated_at`,
+      [household.apiKeyId, JSON.stringify(household.catalogs), household.updatedAt]
+    );
+    return this.rowToHousehold(res.rows[0]);
+  }
+
+  async deleteHousehold(apiKeyId: string): Promise<boolean> {
+    const res = await this.pool.query('DELETE FROM households WHERE api_key_id = $1', [apiKeyId]);
+    return (res.rowCount || 0) > 0;
+  }
+
+  /** Map a config_revisions row to the ConfigRevision shape. */
+  private rowToRevision(row: Record<string, unknown>): ConfigRevision {
+    return {
+      userId: row.user_id as string,
+      rev: Number(row.rev),
+      configName: (row.config_name as string) || '',
+      catalogs: Array.isArray(row.catalogs) ? (row.catalogs as ConfigRevision['catalogs']) : [],
+      savedAt: new Date(row.saved_at as string | Date),
+    };
+  }
+
+  /** Map a watch_history row to the WatchHistory shape. */
+  private rowToWatchHistory(row: Record<string, unknown>): WatchHistory {
+    return {
+      userId: row.user_id as string,
+      source: row.source as WatchHistory['source'],
+      titles: Array.isArray(row.titles) ? (row.titles as WatchHistory['titles']) : [],
+      importedAt: new Date(row.imported_at as string | Date),
+    };
+  }
+
+  /** Map a households row to the Household shape. */
+  private rowToHousehold(row: Record<string, unknown>): Household {
+    return {
+      apiKeyId: row.api_key_id as string,
+      catalogs: Array.isArray(row.catalogs) ? (row.catalogs as Household['catalogs']) : [],
+      updatedAt: new Date(row.updated_at as string | Date),
+    };
+  }
+
+  /** Map a catalog_snapshots row to the CatalogSnapshot shape. */
+  private rowToSnapshot(row: Record<string, unknown>): CatalogSnapshot {
+    return {
+      userId: row.user_id as string,
+      catalogId: row.catalog_id as string,
+      filtersHash: row.filters_hash as string,
+      ids: Array.isArray(row.ids) ? (row.ids as unknown[]).map(String) : [],
+      takenAt: new Date(row.taken_at as string | Date),
+    };
+  }
+
   // --- Internal marketplace helpers ---
 
   /** Map a marketplace_entries row to the public MarketplaceEntry shape. */
   private rowToEntry(row: Record<string, unknown>): MarketplaceEntry {
-    const data = (row.data as { filters?: unknown; formState?: unknown } | null) ?? {};
+    const data =
+      (row.data as { filters?: unknown; formState?: unknown; members?: unknown } | null) ?? {};
     return {
       marketplaceId: row.marketplace_id as string,
       provenance: {
@@ -469,6 +801,9 @@ export class PostgresAdapter implements IStorageAdapter {
       filterFacets: (row.filter_facets as string[]) ?? [],
       filters: (data.filters as MarketplaceEntry['filters']) ?? ({} as MarketplaceEntry['filters']),
       formState: (data.formState as MarketplaceEntry['formState']) ?? undefined,
+      ...(Array.isArray(data.members)
+        ? { members: data.members as MarketplaceEntry['members'] }
+        : {}),
       visibility: row.visibility as MarketplaceEntry['visibility'],
       moderation: row.moderation as MarketplaceEntry['moderation'],
       engagement: {
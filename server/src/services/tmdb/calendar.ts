@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import { createLogger } from '../../utils/logger.ts';
+import { stableStringify } from '../../utils/stableStringify.ts';
+import { getCache } from '../cache/index.ts';
+import { discover } from './discover.ts';
+import { batchGetDetails, getSeasonDetails } from './details.ts';
+import { batchResolveImdbIds } from './lookup.ts';
+import { normalizeCustomListItems } from './customList.ts';
+import { CONCURRENCY, DISPLAY, EPISODE_CALENDAR_LIMITS } from '../../constants.ts';
+import { CACHE_TTLS } from '../../cacheTtls.ts';
+
+import type {
+  StremioMetaPreview,
+  StremioVideo,
+  TmdbCatalogFilters,
+  TmdbSeasonDetails,
+  TmdbTvDetails,
+} from '../../types/index.ts';
+
+const log = createLogger('tmdb:calendar');
+
+/** `listType` of TMDB series catalogs that list shows by their next episode. */
+export const EPISODE_CALENDAR_LIST_TYPE = 'episode_calendar';
+
+const DAY_MS = 86_400_000;
+const PAGE_SIZE = DISPLAY.TMDB_PAGE_SIZE;
+
+export interface CalendarEpisode {
+  season: number;
+  episode: number;
+  name: string;
+  airDate: string;
+}
+
+export interface EpisodeCalendarPage {
+  page: number;
+  results: Array<{ id: number; episodes: CalendarEpisode[] }>;
+  total_pages: number;
+  total_results: number;
+}
+
+export function normalizeCalendarDays(value: unknown): number {
+  const days = Math.round(Number(value));
+  if (!Number.isFinite(days) || days < 1) return EPISODE_CALENDAR_LIMITS.DEFAULT_DAYS;
+  return Math.min(days, EPISODE_CALENDAR_LIMITS.MAX_DAYS);
+}
+
+function utcDate(ms: number): string {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Episodes of a show that air between `from` and `to` (inclusive
+ * `YYYY-MM-DD` dates), read from the season of its next episode. Falls back
+ * to the next episode alone when the season could not be loaded.
+ */
+export function episodesInWindow(
+  details: TmdbTvDetails,
+  season: TmdbSeasonDetails | null,
+  from: string,
+  to: string
+): CalendarEpisode[] {
+  const next = details.next_episode_to_air;
+  if (!next?.air_date || next.air_date > to) return [];
+  const candidates = season?.episodes?.length ? season.episodes : [next];
+  return candidates
+    .filter((ep) => ep.air_date && ep.air_date >= from && ep.air_date <= to)
+    .map((ep) => ({
+      season: ep.season_number,
+      episode: ep.episode_number,
+      name: ep.name || `Episode ${ep.episode_number}`,
+      airDate: ep.air_date as string,
+    }))
+    .sort((a, b) => a.airDate.localeCompare(b.airDate) || a.episode - b.episode);
+}
+
+/**
+ * TMDB ids of the shows a calendar covers: the pinned shows in the order
+ * given, or else the shows matching the catalog's discover filters that
+ * have an episode airing in the window.
+ */
+async function calendarShowIds(
+  apiKey: string,
+  filters: TmdbCatalogFilters,
+  from: string,
+  to: string,
+  displayLanguage?: string
+): Promise<number[]> {
+  const pinned = normalizeCustomListItems(filters.customItems).slice(
+    0,
+    EPISODE_CALENDAR_LIMITS.MAX_SHOWS
+  );
+  if (pinned.length > 0) {
+    const imdbIds = pinned.filter((item) => item.id.startsWith('tt')).map((item) => item.id);
+    const resolved =
+      imdbIds.length > 0
+        ? await batchResolveImdbIds(apiKey, imdbIds, 'series', { language: displayLanguage })
+        : new Map<string, number>();
+    return pinned
+      .map((item) => (item.id.startsWith('tt') ? resolved.get(item.id) : Number(item.id.slice(5))))
+      .filter((id): id is number => typeof id === 'number' && id > 0);
+  }
+
+  const ids: number[] = [];
+  const maxPages = Math.ceil(EPISODE_CALENDAR_LIMITS.MAX_SHOWS / PAGE_SIZE);
+  for (let page = 1; page <= maxPages; page++) {
+    const result = (await discover(apiKey, {
+      ...(filters as Record<string, unknown>),
+      type: 'series',
+      airDateFrom: from,
+      airDateTo: to,
+      displayLanguage,
+      page,
+      randomize: false,
+    })) as { results?: Array<{ id: number }>; total_pages?: number } | null;
+    for (const item of result?.results || []) ids.push(item.id);
+    if (!result?.total_pages || page >= result.total_pages) break;
+  }
+  return [...new Set(ids)].slice(0, EPISODE_CALENDAR_LIMITS.MAX_SHOWS);
+}
+
+async function buildCalendar(
+  apiKey: string,
+  filters: TmdbCatalogFilters,
+  from: string,
+  to: string,
+  displayLanguage?: string
+): Promise<EpisodeCalendarPage['results']> {
+  const ids = await calendarShowIds(apiKey, filters, from, to, displayLanguage);
+  const detailsMap = await batchGetDetails(apiKey, ids, 'series', { displayLanguage });
+
+  const entries: EpisodeCalendarPage['results'] = [];
+  for (let i = 0; i < ids.length; i += CONCURRENCY.TMDB_DETAIL) {
+    const batch = ids.slice(i, i + CONCURRENCY.TMDB_DETAIL);
+    const found = await Promise.all(
+      batch.map(async (id) => {
+        const details = detailsMap.get(id) as TmdbTvDetails | undefined;
+        const next = details?.next_episode_to_air;
+        if (!details || !next?.air_date || next.air_date > to) return null;
+        const season = (await getSeasonDetails(apiKey, id, next.season_number, {
+          displayLanguage,
+        })) as TmdbSeasonDetails | null;
+        const episodes = episodesInWindow(details, season, from, to);
+        return episodes.length > 0 ? { id, episodes } : null;
+      })
+    );
+    for (const entry of found) if (entry) entries.push(entry);
+  }
+
+  // Stable sort: shows airing the same day keep the pinned or discover order.
+  return entries.sort((a, b) => a.episodes[0].airDate.localeCompare(b.episodes[0].airDate));
+}
+
+/**
+ * Page through the shows with episodes airing in the next `calendarDays`
+ * days (today included, UTC), soonest first. Results carry ids and the
+ * window's episodes; callers hydrate the shows through the batched detail
+ * lookups and decorate them with {@link applyEpisodeCalendar}.
+ */
+export async function fetchEpisodeCalendar(
+  apiKey: string,
+  filters: TmdbCatalogFilters,
+  options: { page?: number; displayLanguage?: string; now?: number } = {}
+): Promise<EpisodeCalendarPage> {
+  const now = options.now ?? Date.now();
+  const days = normalizeCalendarDays(filters.calendarDays);
+  const from = utcDate(now);
+  const to = utcDate(now + days * DAY_MS);
+
+  const digest = crypto
+    .createHash('sha256')
+    .update(stableStringify({ filters, from, to, language: options.displayLanguage || null }))
+    .digest('hex');
+  const entries = (await getCache().wrap(
+    `tmdb-calendar:${digest}`,
+    () => buildCalendar(apiKey, filters, from, to, options.displayLanguage),
+    CACHE_TTLS.TMDB_EPISODE_CALENDAR
+  )) as EpisodeCalendarPage['results'];
+  log.debug('Episode calendar', { from, to, shows: entries.length });
+
+  const totalPages = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+  // Pages past the end come back empty so Stremio stops paging.
+  const page = Math.max(1, options.page || 1);
+  return {
+    page,
+    results: entries.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+    total_pages: totalPages,
+    total_results: entries.length,
+  };
+}
+
+/** "S2E5 airs today", "S2E5 airs tomorrow" or "S2E5 airs in 3 days". */
+export function formatCalendarAiring(episode: CalendarEpisode, now: number = Date.now()): string {
+  const days = Math.round((Date.parse(episode.airDate) - Date.parse(utcDate(now))) / DAY_MS);
+  const when = days <= 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+  return `S${episode.season}E${episode.episode} airs ${when}`;
+}
+
+/**
+ * Lead a calendar preview's description with its next airing and list the
+ * window's episodes as `videos`, with the ids the full meta uses, so
+ * Stremio shows them as upcoming.
+ */
+export function applyEpisodeCalendar(
+  meta: StremioMetaPreview,
+  episodes: CalendarEpisode[],
+  now: number = Date.now()
+): StremioMetaPreview {
+  if (episodes.length === 0) return meta;
+  const videoIdBase = meta.imdb_id || `tmdb:${meta.tmdbId}`;
+  const videos: StremioVideo[] = episodes.map((ep) => ({
+    id: `${videoIdBase}:${ep.season}:${ep.episode}`,
+    season: ep.season,
+    episode: ep.episode,
+    title: ep.name,
+    released: new Date(ep.airDate).toISOString(),
+  }));
+  const airing = formatCalendarAiring(episodes[0], now);
+  return {
+    ...meta,
+    description: meta.description ? `${airing}\n${meta.description}` : airing,
+    videos,
+  };
+}
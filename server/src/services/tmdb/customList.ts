@@ -0,0 +1,107 @@
+import { batchResolveImdbIds } from './lookup.ts';
+import { shuffleArray } from '../../utils/helpers.ts';
+import { sanitizeString } from '../../utils/validation.ts';
+import { CUSTOM_LIST_LIMITS } from '../../constants.ts';
+
+import type { ContentType, CustomListItem } from '../../types/index.ts';
+
+const PAGE_SIZE = 20;
+
+export type CustomListPage = {
+  page: number;
+  results: Array<{ id: number; custom_note?: string }>;
+  total_pages: number;
+  total_results: number;
+};
+
+type ResolveImdbIds = typeof batchResolveImdbIds;
+
+function normalizeCustomListId(value: unknown): string | null {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? `tmdb:${value}` : null;
+  }
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toLowerCase();
+  if (/^tt\d{5,10}$/.test(trimmed)) return trimmed;
+  const tmdbMatch = /^(?:tmdb:)?(\d{1,10})$/.exec(trimmed);
+  if (tmdbMatch && Number(tmdbMatch[1]) > 0) return `tmdb:${Number(tmdbMatch[1])}`;
+  return null;
+}
+
+/**
+ * Validate a stored hand-picked list: unknown id formats are dropped,
+ * duplicates collapse onto the first entry and the list is capped.
+ */
+export function normalizeCustomListItems(value: unknown): CustomListItem[] {
+  if (!Array.isArray(value)) return [];
+  const items: CustomListItem[] = [];
+  const seen = new Set<string>();
+
+  for (const raw of value) {
+    const entry = (typeof raw === 'object' && raw !== null ? raw : { id: raw }) as Record<
+      string,
+      unknown
+    >;
+    const id = normalizeCustomListId(entry.id);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+
+    const item: CustomListItem = { id };
+    const name =
+      typeof entry.name === 'string'
+        ? sanitizeString(entry.name, CUSTOM_LIST_LIMITS.MAX_NAME_LENGTH).trim()
+        : '';
+    if (name) item.name = name;
+    const note =
+      typeof entry.note === 'string'
+        ? sanitizeString(entry.note, CUSTOM_LIST_LIMITS.MAX_NOTE_LENGTH).trim()
+        : '';
+    if (note) item.note = note;
+    items.push(item);
+    if (items.length >= CUSTOM_LIST_LIMITS.MAX_ITEMS) break;
+  }
+
+  return items;
+}
+
+/**
+ * Page through a hand-picked list in the shape of a TMDB list response.
+ * Only the requested page's IMDb ids are resolved; titles TMDB does not know
+ * are left out of that page. Results carry ids only, so callers hydrate them
+ * through the batched detail lookups.
+ */
+export async function fetchCustomList(
+  apiKey: string,
+  value: unknown,
+  type: ContentType,
+  options: { page?: number; randomize?: boolean; language?: string } = {},
+  resolveImdbIds: ResolveImdbIds = batchResolveImdbIds
+): Promise<CustomListPage> {
+  const items = normalizeCustomListItems(value);
+  const totalPages = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+  // Pages past the end come back empty so Stremio stops paging.
+  const page = options.randomize ? 1 : Math.max(1, options.page || 1);
+  const pageItems = options.randomize
+    ? shuffleArray(items).slice(0, PAGE_SIZE)
+    : items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  const imdbIds = pageItems.filter((item) => item.id.startsWith('tt')).map((item) => item.id);
+  const resolved =
+    imdbIds.length > 0
+      ? await resolveImdbIds(apiKey, imdbIds, type, { language: options.language })
+      : new Map<string, number>();
+
+  const results: CustomListPage['results'] = [];
+  for (const item of pageItems) {
+    const tmdbId = item.id.startsWith('tt') ? resolved.get(item.id) : Number(item.id.slice(5));
+    if (!tmdbId) continue;
+    results.push(item.note ? { id: tmdbId, custom_note: item.note } : { id: tmdbId });
+  }
+
+  return {
+    page,
+    results,
+    total_pages: totalPages,
+    total_results: items.length,
+  };
+}
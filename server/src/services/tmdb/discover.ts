@@ -1,4 +1,5 @@
 import { tmdbFetch } from './client.ts';
+import { fetchCustomList } from './customList.ts';
 import { shuffleArray, logSwallowedError } from '../../utils/helpers.ts';
 import { getCache } from '../cache/index.ts';
 import { stableStringify } from '../../utils/stableStringify.ts';
@@ -416,7 +417,16 @@ export async function fetchSpecialList(
   type: ContentType = 'movie',
   options: SpecialListOptions = {}
 ): Promise<unknown> {
-  const { page = 1, language, displayLanguage, region, collectionId, studioId, sortBy } = options;
+  const {
+    page = 1,
+    language,
+    displayLanguage,
+    region,
+    collectionId,
+    studioId,
+    customItems,
+    sortBy,
+  } = options;
   const mediaType = type === 'series' ? 'tv' : 'movie';
 
   const params: Record<string, string | number | boolean | undefined> = { page };
@@ -474,6 +484,15 @@ export async function fetchSpecialList(
       }
       return fetchCompanyFilmographyList(String(studioId), page);
     }
+    case 'custom':
+      if (type !== 'movie' && type !== 'series') {
+        throw new Error('Custom lists are only supported for movie or series catalogs');
+      }
+      return fetchCustomList(apiKey, customItems, type, {
+        page,
+        randomize: options.randomize,
+        language: languageParam,
+      });
     case 'random':
       return discover(apiKey, { type, page, ...options, randomize: true });
     default:
@@ -15,6 +15,15 @@ export {
 
 export { discover, fetchSpecialList } from './discover.ts';
 
+export { fetchCustomList, normalizeCustomListItems } from './customList.ts';
+
+export {
+  EPISODE_CALENDAR_LIST_TYPE,
+  applyEpisodeCalendar,
+  fetchEpisodeCalendar,
+  type CalendarEpisode,
+} from './calendar.ts';
+
 export {
   getDetails,
   getLogos,
@@ -30,6 +39,7 @@ export {
   searchPerson,
   searchCompany,
   searchKeyword,
+  searchTitle,
   searchCollection,
   comprehensiveSearch,
 } from './search.ts';
@@ -38,7 +48,9 @@ export {
   getExternalIds,
   enrichItemsWithImdbIds,
   findByImdbId,
+  findMovieByTitle,
   batchResolveImdbIds,
+  batchFindMoviesByTitle,
   batchResolveAndFetchDetails,
 } from './lookup.ts';
 
@@ -54,9 +66,11 @@ export {
 export {
   formatRuntime,
   generateSlug,
+  getCertification,
   toStremioFullMeta,
   toStremioMeta,
   toStremioMetaPreview,
+  toTrailerStreams,
 } from './stremioMeta.ts';
 
 export {
@@ -5,6 +5,7 @@ import { createLogger } from '../../utils/logger.ts';
 import type {
   TmdbExternalIds,
   TmdbFindResponse,
+  TmdbMovieResult,
   TmdbResult,
   ContentType,
 } from '../../types/index.ts';
@@ -135,6 +136,71 @@ export async function findByImdbId(
   }
 }
 
+function releaseYear(result: TmdbMovieResult): number | null {
+  const year = parseInt(String(result.release_date || '').slice(0, 4), 10);
+  return Number.isFinite(year) ? year : null;
+}
+
+/**
+ * Resolve a film by title and release year, for imports (Letterboxd) that
+ * carry no external ids. Regional releases often land a year off TMDB's
+ * primary date, so a miss retries without the year and accepts a result
+ * within one year of it.
+ */
+export async function findMovieByTitle(
+  apiKey: string,
+  title: string,
+  year: number | null = null
+): Promise<{ tmdbId: number } | null> {
+  const query = title.trim();
+  if (!query) return null;
+  const cacheKey = `find_title_movie_${query.toLowerCase()}_${year ?? ''}`;
+  const cache = getCache();
+
+  try {
+    const cached = (await cache.get(cacheKey)) as { tmdbId: number } | { notFound: true } | null;
+    if (cached) return 'tmdbId' in cached ? cached : null;
+  } catch (e) {
+    log.debug('Cache get failed', { key: cacheKey, error: (e as Error).message });
+  }
+
+  try {
+    let result: TmdbMovieResult | undefined;
+    if (year) {
+      const exact = (await tmdbFetch('/search/movie', apiKey, {
+        query,
+        primary_release_year: year,
+      })) as { results?: TmdbMovieResult[] };
+      result = exact.results?.[0];
+    }
+    if (!result) {
+      const loose = (await tmdbFetch('/search/movie', apiKey, { query })) as {
+        results?: TmdbMovieResult[];
+      };
+      result = (loose.results || []).find((r) => {
+        if (!year) return true;
+        const found = releaseYear(r);
+        return found !== null && Math.abs(found - year) <= 1;
+      });
+    }
+
+    const found = result ? { tmdbId: result.id } : null;
+    try {
+      await cache.set(
+        cacheKey,
+        found ?? { notFound: true },
+        found ? EXTERNAL_ID_TTL : NEGATIVE_LOOKUP_TTL
+      );
+    } catch (err) {
+      logSwallowedError('tmdb:lookup:cache-set-title', err);
+    }
+    return found;
+  } catch (err) {
+    logSwallowedError('tmdb:lookup:find-by-title', err);
+    return null;
+  }
+}
+
 const RESOLVE_CONCURRENCY = CONCURRENCY.RESOLVE;
 
 export async function batchResolveImdbIds(
@@ -201,3 +267,22 @@ export async function batchResolveAndFetchDetails(
 
   return { resolvedIds, detailsMap };
 }
+
+export async function batchFindMoviesByTitle(
+  apiKey: string,
+  entries: { name: string; year: number | null }[]
+): Promise<(number | null)[]> {
+  const results: (number | null)[] = new Array(entries.length).fill(null);
+
+  for (let i = 0; i < entries.length; i += RESOLVE_CONCURRENCY) {
+    const batch = entries.slice(i, i + RESOLVE_CONCURRENCY);
+    await Promise.all(
+      batch.map(async (entry, offset) => {
+        const found = await findMovieByTitle(apiKey, entry.name, entry.year);
+        if (found?.tmdbId) results[i + offset] = found.tmdbId;
+      })
+    );
+  }
+
+  return results;
+}
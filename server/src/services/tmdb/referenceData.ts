@@ -14,6 +14,7 @@ export const LIST_TYPES: Record<ContentType, ReferenceOption[]> = {
     { value: 'top_rated', label: '⭐ Top Rated', description: 'All-time highest rated' },
     { value: 'popular', label: '🌟 Popular', description: 'Currently popular movies' },
     { value: 'collection', label: '🧩 Collection', description: 'Movies from one TMDB collection' },
+    { value: 'custom', label: '📝 Hand-picked List', description: 'Titles you choose yourself' },
   ],
   series: [
     { value: 'discover', label: '🔍 Custom Discover', description: 'Use filters below' },
@@ -25,8 +26,14 @@ export const LIST_TYPES: Record<ContentType, ReferenceOption[]> = {
     },
     { value: 'airing_today', label: '📺 Airing Today', description: 'Episodes airing today' },
     { value: 'on_the_air', label: '📡 On The Air', description: 'Currently airing shows' },
+    {
+      value: 'episode_calendar',
+      label: '🗓️ Episode Calendar',
+      description: 'Shows with episodes airing soon, by air date',
+    },
     { value: 'top_rated', label: '⭐ Top Rated', description: 'All-time highest rated' },
     { value: 'popular', label: '🌟 Popular', description: 'Currently popular shows' },
+    { value: 'custom', label: '📝 Hand-picked List', description: 'Shows you choose yourself' },
   ],
   anime: [],
   collection: [],
@@ -10,11 +10,14 @@ import type {
   CompanySearchResult,
   KeywordSearchResult,
   CollectionSearchResult,
+  TitleSearchResult,
   ComprehensiveSearchOptions,
   ComprehensiveSearchResponse,
   TmdbPersonResult,
   TmdbPersonCredit,
   TmdbResult,
+  TmdbMovieResult,
+  TmdbTvResult,
 } from '../../types/index.ts';
 
 const log = createLogger('tmdb:search') as Logger;
@@ -246,6 +249,29 @@ export async function searchKeyword(apiKey: string, query: string): Promise<Keyw
   );
 }
 
+export async function searchTitle(
+  apiKey: string,
+  query: string,
+  type: ContentType = 'movie',
+  language?: string
+): Promise<TitleSearchResult[]> {
+  const data = (await search(apiKey, query, type, 1, { language })) as {
+    results?: Array<TmdbMovieResult | TmdbTvResult>;
+  };
+  return (
+    data.results?.slice(0, 10).map((item) => {
+      const isMovie = 'title' in item;
+      const date = isMovie ? item.release_date : item.first_air_date;
+      return {
+        id: item.id,
+        name: isMovie ? item.title : item.name,
+        year: date ? parseInt(date.slice(0, 4), 10) || null : null,
+        posterPath: item.poster_path ? `${TMDB_IMAGE_BASE}/w185${item.poster_path}` : null,
+      };
+    }) || []
+  );
+}
+
 export async function searchCollection(
   apiKey: string,
   query: string,
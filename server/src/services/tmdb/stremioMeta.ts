@@ -9,7 +9,7 @@ import {
   PROFILE_SIZE,
   STILL_SIZE,
 } from './constants.ts';
-import { getImdbRatingString } from '../imdbRatings/index.ts';
+import { getImdbEpisodeRatings, getImdbRatingString } from '../imdbRatings/index.ts';
 import { genreCache, staticGenreMap } from './genres.ts';
 import { usToLocalRatings } from './certificationMappings.ts';
 import { logSwallowedError } from '../../utils/helpers.ts';
@@ -34,6 +34,7 @@ import type {
   TmdbCredits,
   StremioTrailer,
   TrailerStream,
+  StremioStream,
 } from '../../types/index.ts';
 
 type AnyTmdbDetails = TmdbMovieDetails & TmdbTvDetails;
@@ -128,6 +129,15 @@ function buildCertification(
   return certification;
 }
 
+/** Certification for `region` (US by default), mapped to the local system where known. */
+export function getCertification(
+  details: TmdbDetails,
+  isMovie: boolean,
+  region: string | null = null
+): string | null {
+  return buildCertification(details as AnyTmdbDetails, isMovie, null, region);
+}
+
 function buildTrailers(details: AnyTmdbDetails, targetLanguage: string | null) {
   const lang = targetLanguage ? targetLanguage.split('-')[0] : 'en';
 
@@ -167,6 +177,42 @@ function buildTrailers(details: AnyTmdbDetails, targetLanguage: string | null) {
   return { trailer, trailerStreams, trailers };
 }
 
+const TRAILER_STREAM_TYPES = ['Trailer', 'Teaser', 'Clip'];
+const MAX_TRAILER_STREAMS = 10;
+
+/**
+ * YouTube trailers, teasers and clips as Stremio streams. Videos in the
+ * preferred language come first, then English, then the rest; within a
+ * language trailers lead and official uploads beat fan uploads.
+ */
+export function toTrailerStreams(
+  details: TmdbDetails,
+  targetLanguage: string | null
+): StremioStream[] {
+  const lang = targetLanguage ? targetLanguage.split('-')[0] : 'en';
+  const languageRank = (v: { iso_639_1?: string }) => {
+    const vLang = v.iso_639_1 || 'en';
+    return vLang === lang ? 0 : vLang === 'en' ? 1 : 2;
+  };
+
+  return (details.videos?.results || [])
+    .filter((v) => v.site === 'YouTube' && v.key && TRAILER_STREAM_TYPES.includes(v.type))
+    .sort(
+      (a, b) =>
+        languageRank(a) - languageRank(b) ||
+        TRAILER_STREAM_TYPES.indexOf(a.type) - TRAILER_STREAM_TYPES.indexOf(b.type) ||
+        Number(b.official) - Number(a.official) ||
+        String(b.published_at || '').localeCompare(String(a.published_at || ''))
+    )
+    .slice(0, MAX_TRAILER_STREAMS)
+    .map((v) => ({
+      ytId: v.key,
+      name: `${v.type}\n${(v.iso_639_1 || 'en').toUpperCase()}`,
+      description: v.name,
+      behaviorHints: { bingeGroup: 'tmdb-trailers' },
+    }));
+}
+
 async function buildLinks({
   effectiveImdbId,
   genres,
@@ -309,6 +355,38 @@ async function buildLinks({
 
   return { links, actualImdbRating };
 }
+type EpisodeRatings = Map<string, { rating: number; votes: number }>;
+
+/** Prefix each rated episode's overview with its IMDb rating and vote count. */
+function withEpisodeRatings(videos: StremioVideo[], ratings: EpisodeRatings): StremioVideo[] {
+  return videos.map((video) => {
+    const rated = ratings.get(`${video.season}:${video.episode}`);
+    if (!rated) return video;
+    const line = `IMDb ${rated.rating.toFixed(1)}/10 (${rated.votes.toLocaleString('en-US')} votes)`;
+    return { ...video, overview: video.overview ? `${line}\n\n${video.overview}` : line };
+  });
+}
+
+/** Deep links to a series' best-rated episodes, most votes first on ties. */
+function buildTopEpisodeLinks(
+  metaId: string,
+  videos: StremioVideo[],
+  ratings: EpisodeRatings
+): StremioLink[] {
+  return videos
+    .map((video) => ({ video, rated: ratings.get(`${video.season}:${video.episode}`) }))
+    .filter((entry): entry is { video: StremioVideo; rated: { rating: number; votes: number } } =>
+      Boolean(entry.rated)
+    )
+    .sort((a, b) => b.rated.rating - a.rated.rating || b.rated.votes - a.rated.votes)
+    .slice(0, DISPLAY.TOP_EPISODES)
+    .map(({ video, rated }) => ({
+      name: `S${video.season}E${video.episode} · ${video.title} · ${rated.rating.toFixed(1)}`,
+      category: 'Top Episodes' as const,
+      url: `stremio:///detail/series/${encodeURIComponent(metaId)}/${encodeURIComponent(video.id)}`,
+    }));
+}
+
 export async function toStremioFullMeta(
   rawDetails: TmdbDetails | null,
   type: ContentType,
@@ -322,11 +400,13 @@ export async function toStremioFullMeta(
     genreCatalogId = null,
     allLogos = null,
     userRegion = null,
+    topEpisodes = false,
   }: {
     manifestUrl?: string | null;
     genreCatalogId?: string | null;
     allLogos?: TmdbImage[] | null;
     userRegion?: string | null;
+    topEpisodes?: boolean;
   } = {}
 ): Promise<Partial<StremioMeta>> {
   if (!rawDetails) return {};
@@ -495,6 +575,15 @@ export async function toStremioFullMeta(
 
   const responseId = requestedId || `tmdb:${details.id}`;
 
+  let seriesVideos = videos;
+  if (!isMovie && effectiveImdbId && Array.isArray(videos) && videos.length > 0) {
+    const episodeRatings = await getImdbEpisodeRatings(effectiveImdbId);
+    if (episodeRatings.size > 0) {
+      seriesVideos = withEpisodeRatings(videos, episodeRatings);
+      if (topEpisodes) links.push(...buildTopEpisodeLinks(responseId, videos, episodeRatings));
+    }
+  }
+
   const meta: Partial<StremioMeta> = {
     id: responseId,
     tmdbId: details.id,
@@ -534,8 +623,8 @@ export async function toStremioFullMeta(
     status: status || undefined,
   };
 
-  if (!isMovie && Array.isArray(videos) && videos.length > 0) {
-    meta.videos = videos;
+  if (!isMovie && Array.isArray(seriesVideos) && seriesVideos.length > 0) {
+    meta.videos = seriesVideos;
   }
 
   return meta;
@@ -62,7 +62,15 @@ function resolveTraktUrl(requestPath: string): string {
   return `${TRAKT_API_BASE}${requestPath}`;
 }
 
-export async function traktFetch<T>(path: string, clientId?: string): Promise<T> {
+/**
+ * `accessToken` (from a linked account, see services/accountLinks) is sent as
+ * a Bearer token for the `/sync`, `/users/me` and `/recommendations` endpoints.
+ */
+export async function traktFetch<T>(
+  path: string,
+  clientId?: string,
+  accessToken?: string
+): Promise<T> {
   const key = getTraktClientId(clientId);
   if (!key) {
     throw Object.assign(new Error('Trakt Client ID not configured'), { statusCode: 503 });
@@ -87,6 +95,7 @@ export async function traktFetch<T>(path: string, clientId?: string): Promise<T>
             'trakt-api-version': '2',
             'trakt-api-key': key,
             'User-Agent': USER_AGENT,
+            ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
           },
         },
         {
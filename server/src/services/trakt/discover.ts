@@ -1,5 +1,6 @@
 import { createLogger } from '../../utils/logger.ts';
 import { traktFetch } from './client.ts';
+import { getPersonalList } from './library.ts';
 import { LOCAL_CACHE_TTLS } from '../../cacheTtls.ts';
 import type {
   TraktMovie,
@@ -24,6 +25,8 @@ import type { ContentType } from '../../types/common.ts';
 export type DiscoverOptions = {
   /** Optional callback for per-step timing instrumentation */
   onProfile?: DiscoverProfileHook;
+  /** Linked-account token; personal (`my_*`) list types are empty without it */
+  accessToken?: string;
 };
 
 export type DiscoverProfileEvent = {
@@ -176,6 +179,8 @@ export function normalizeTraktListType(listType?: string): string {
   return listType;
 }
 
+// Lists outside FILTERABLE_LIST_TYPES (box office, user lists, ...) take no
+// query filters from Trakt; catalog post-filters still narrow their rows.
 function shouldApplyFilters(listType: string): boolean {
   return FILTERABLE_LIST_TYPES.has(listType);
 }
@@ -1524,6 +1529,15 @@ export async function discover(
       result = await getListItems(listId, type, page, clientId);
       break;
     }
+    case 'my_watchlist':
+    case 'my_collection':
+    case 'my_recommendations':
+    case 'my_continue_watching':
+    case 'my_unwatched': {
+      if (!options?.accessToken) return { items: [], hasMore: false };
+      result = await getPersonalList(listType, type, page, clientId, options.accessToken);
+      break;
+    }
     default:
       result = await getTrending(type, page, endpointFilters, clientId);
       break;
@@ -18,6 +18,7 @@ export {
   discover,
 } from './discover.ts';
 export type { DiscoverOptions } from './discover.ts';
+export { getPersonalList, isTraktPersonalListType } from './library.ts';
 export { traktToStremioMeta, batchConvertToStremioMeta } from './stremioMeta.ts';
 export * from './reference.ts';
 export type {
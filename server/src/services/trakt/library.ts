@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import { createLogger } from '../../utils/logger.ts';
+import { traktFetch } from './client.ts';
+import { LOCAL_CACHE_TTLS } from '../../cacheTtls.ts';
+import { ACCOUNT_LINK_LIMITS } from '../../constants.ts';
+import type { TraktMovie, TraktShow, TraktListItem, TraktWatchlistItem } from './types.ts';
+import type { ContentType } from '../../types/common.ts';
+
+const log = createLogger('trakt:library');
+const PAGE_LIMIT = 20;
+const RECOMMENDATIONS_LIMIT = 100;
+const LIBRARY_CACHE_TTL_MS = LOCAL_CACHE_TTLS.ACCOUNT_LIBRARY;
+const MAX_CACHE_ENTRIES = 100;
+
+/**
+ * List types read from the user's linked Trakt account (see
+ * services/accountLinks). Each needs an OAuth access token.
+ */
+export const TRAKT_PERSONAL_LIST_TYPES = new Set([
+  'my_watchlist',
+  'my_collection',
+  'my_recommendations',
+  'my_continue_watching',
+  'my_unwatched',
+]);
+
+export function isTraktPersonalListType(listType: string): boolean {
+  return TRAKT_PERSONAL_LIST_TYPES.has(listType);
+}
+
+type Item = TraktMovie | TraktShow;
+type Page = { items: Item[]; hasMore: boolean };
+
+interface CollectionEntry {
+  collected_at?: string;
+  last_collected_at?: string;
+  movie?: TraktMovie;
+  show?: TraktShow;
+}
+
+interface PlaybackEntry {
+  paused_at?: string;
+  movie?: TraktMovie;
+}
+
+interface WatchedEntry {
+  last_watched_at?: string;
+  movie?: TraktMovie;
+  show?: TraktShow;
+  seasons?: Array<{ number: number; episodes?: Array<{ number: number }> }>;
+}
+
+// Whole-library endpoints are read once and paged locally; the catalog
+// handler asks for several pages while backfilling.
+const libraryCache = new Map<string, { items: Item[]; ts: number }>();
+
+function libraryCacheKey(listType: string, type: ContentType, accessToken: string): string {
+  const tokenHash = crypto.createHash('sha256').update(accessToken).digest('hex').slice(0, 16);
+  return `${listType}:${type}:${tokenHash}`;
+}
+
+async function cachedLibrary(key: string, load: () => Promise<Item[]>): Promise<Item[]> {
+  const cached = libraryCache.get(key);
+  if (cached && Date.now() - cached.ts < LIBRARY_CACHE_TTL_MS) return cached.items;
+  const items = (await load()).slice(0, ACCOUNT_LINK_LIMITS.MAX_LIBRARY_ITEMS);
+  if (libraryCache.size >= MAX_CACHE_ENTRIES) {
+    const oldest = libraryCache.keys().next().value;
+    if (oldest) libraryCache.delete(oldest);
+  }
+  libraryCache.set(key, { items, ts: Date.now() });
+  return items;
+}
+
+function pageOf(items: Item[], page: number): Page {
+  const start = (page - 1) * PAGE_LIMIT;
+  return {
+    items: items.slice(start, start + PAGE_LIMIT),
+    hasMore: start + PAGE_LIMIT < items.length,
+  };
+}
+
+function entryItem(entry: { movie?: TraktMovie; show?: TraktShow }): Item | undefined {
+  return entry.movie || entry.show;
+}
+
+function byNewest<T>(entries: T[], date: (entry: T) => string | undefined): T[] {
+  return [...entries].sort((a, b) => (date(b) || '').localeCompare(date(a) || ''));
+}
+
+function traktContentType(type: ContentType): 'movies' | 'shows' {
+  return type === 'movie' ? 'movies' : 'shows';
+}
+
+export async function getMyWatchlist(
+  type: ContentType,
+  page: number,
+  clientId: string | undefined,
+  accessToken: string
+): Promise<Page> {
+  const url = `/sync/watchlist/${traktContentType(type)}/rank?page=${page}&limit=${PAGE_LIMIT}&extended=full`;
+  log.debug('Trakt watchlist', { type, page });
+  const data = await traktFetch<TraktWatchlistItem[]>(url, clientId, accessToken);
+  const items = data.map(entryItem).filter((item): item is Item => !!item);
+  return { items, hasMore: data.length >= PAGE_LIMIT };
+}
+
+async function loadCollection(
+  type: ContentType,
+  clientId: string | undefined,
+  accessToken: string
+): Promise<Item[]> {
+  const data = await traktFetch<CollectionEntry[]>(
+    `/sync/collection/${traktContentType(type)}?extended=full`,
+    clientId,
+    accessToken
+  );
+  return byNewest(data, (e) => e.collected_at || e.last_collected_at)
+    .map(entryItem)
+    .filter((item): item is Item => !!item);
+}
+
+async function loadRecommendations(
+  type: ContentType,
+  clientId: string | undefined,
+  accessToken: string
+): Promise<Item[]> {
+  return traktFetch<Item[]>(
+    `/recommendations/${traktContentType(type)}?limit=${RECOMMENDATIONS_LIMIT}&ignore_collected=true&ignore_watchlisted=true&extended=full`,
+    clientId,
+    accessToken
+  );
+}
+
+function watchedEpisodeCount(entry: WatchedEntry): number {
+  return (entry.seasons || [])
+    .filter((season) => season.number > 0)
+    .reduce((sum, season) => sum + (season.episodes?.length || 0), 0);
+}
+
+/**
+ * Movies paused part-way (playback progress), or shows with some but not all
+ * aired episodes watched, most recently watched first.
+ */
+async function loadContinueWatching(
+  type: ContentType,
+  clientId: string | undefined,
+  accessToken: string
+): Promise<Item[]> {
+  if (type === 'movie') {
+    const data = await traktFetch<PlaybackEntry[]>(
+      '/sync/playback/movies?extended=full',
+      clientId,
+      accessToken
+    );
+    return byNewest(data, (e) => e.paused_at)
+      .map(entryItem)
+      .filter((item): item is Item => !!item);
+  }
+  const data = await traktFetch<WatchedEntry[]>(
+    '/sync/watched/shows?extended=full',
+    clientId,
+    accessToken
+  );
+  const inProgress = data.filter((entry) => {
+    const aired = entry.show?.aired_episodes ?? 0;
+    const watched = watchedEpisodeCount(entry);
+    return watched > 0 && watched < aired;
+  });
+  return byNewest(inProgress, (e) => e.last_watched_at)
+    .map(entryItem)
+    .filter((item): item is Item => !!item);
+}
+
+/**
+ * Titles on the watchlist or the user's own lists that have never been
+ * watched. Shows count as watched once any episode has been.
+ */
+async function loadUnwatched(
+  type: ContentType,
+  clientId: string | undefined,
+  accessToken: string
+): Promise<Item[]> {
+  const tType = traktContentType(type);
+  const [watchlist, lists, watched] = await Promise.all([
+    traktFetch<TraktWatchlistItem[]>(
+      `/sync/watchlist/${tType}?extended=full`,
+      clientId,
+      accessToken
+    ),
+    traktFetch<Array<{ ids: { trakt: number } }>>('/users/me/lists', clientId, accessToken),
+    traktFetch<WatchedEntry[]>(
+      `/sync/watched/${tType}${type === 'movie' ? '' : '?extended=noseasons'}`,
+      clientId,
+      accessToken
+    ),
+  ]);
+  const listItems = await Promise.all(
+    lists
+      .slice(0, ACCOUNT_LINK_LIMITS.MAX_TRAKT_LISTS)
+      .map((list) =>
+        traktFetch<TraktListItem[]>(
+          `/users/me/lists/${list.ids.trakt}/items/${tType}?extended=full`,
+          clientId,
+          accessToken
+        )
+      )
+  );
+
+  const seen = new Set(
+    watched.map((entry) => entryItem(entry)?.ids.trakt).filter((id) => id !== undefined)
+  );
+  const items: Item[] = [];
+  for (const entry of [...watchlist, ...listItems.flat()]) {
+    const item = entryItem(entry);
+    if (!item || seen.has(item.ids.trakt)) continue;
+    seen.add(item.ids.trakt);
+    items.push(item);
+  }
+  return items;
+}
+
+const LIBRARY_LOADERS: Record<
+  string,
+  (type: ContentType, clientId: string | undefined, accessToken: string) => Promise<Item[]>
+> = {
+  my_collection: loadCollection,
+  my_recommendations: loadRecommendations,
+  my_continue_watching: loadContinueWatching,
+  my_unwatched: loadUnwatched,
+};
+
+/** One page of a personal list type for the account behind `accessToken`. */
+export async function getPersonalList(
+  listType: string,
+  type: ContentType,
+  page: number,
+  clientId: string | undefined,
+  accessToken: string
+): Promise<Page> {
+  if (listType === 'my_watchlist') return getMyWatchlist(type, page, clientId, accessToken);
+  const load = LIBRARY_LOADERS[listType];
+  if (!load) return { items: [], hasMore: false };
+  const items = await cachedLibrary(libraryCacheKey(listType, type, accessToken), () =>
+    load(type, clientId, accessToken)
+  );
+  return pageOf(items, page);
+}
@@ -166,6 +166,11 @@ export const TRAKT_LIST_TYPES = [
   { value: 'calendar', label: 'Upcoming Releases', group: 'Schedule' },
   { value: 'recently_aired', label: 'Recently Aired', group: 'Schedule' },
   { value: 'boxoffice', label: 'Box Office', group: 'Other' },
+  { value: 'my_watchlist', label: 'My Watchlist', group: 'My Account' },
+  { value: 'my_collection', label: 'My Collection', group: 'My Account' },
+  { value: 'my_recommendations', label: 'Recommended for Me', group: 'My Account' },
+  { value: 'my_continue_watching', label: 'Continue Watching', group: 'My Account' },
+  { value: 'my_unwatched', label: 'Unwatched from My Lists', group: 'My Account' },
 ] as const;
 
 export const TRAKT_COMMUNITY_METRICS = [
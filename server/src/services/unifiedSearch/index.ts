@@ -0,0 +1,33 @@
+import type { ManifestSearchCatalog } from '../sources/types.ts';
+import type { StremioMetaPreview } from '../../types/index.ts';
+import type { UnifiedSearchMode } from '../../types/config.ts';
+
+export {
+  mergeSearchResults,
+  normalizeSearchTitle,
+  parseSearchQuery,
+  titleSimilarity,
+} from './rank.ts';
+export type { SourceSearchResults } from './rank.ts';
+
+export const UNIFIED_SEARCH_MODES: readonly UnifiedSearchMode[] = ['off', 'replace', 'alongside'];
+export const UNIFIED_SEARCH_CATALOG_PREFIX = 'unified-search-';
+
+export function normalizeUnifiedSearchMode(value: unknown): UnifiedSearchMode {
+  return UNIFIED_SEARCH_MODES.includes(value as UnifiedSearchMode)
+    ? (value as UnifiedSearchMode)
+    : 'off';
+}
+
+/** One unified search catalog per content type the source search catalogs cover. */
+export function buildUnifiedSearchCatalogs(
+  sourceCatalogs: ManifestSearchCatalog[]
+): ManifestSearchCatalog[] {
+  const types = Array.from(new Set(sourceCatalogs.map((c) => c.type)));
+  return types.map((type) => ({
+    id: `${UNIFIED_SEARCH_CATALOG_PREFIX}${type}`,
+    type,
+    name: 'Unified Search',
+    extra: [{ name: 'search', isRequired: true }, { name: 'skip' }],
+  }));
+}
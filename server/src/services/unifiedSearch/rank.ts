@@ -0,0 +1,136 @@
+import type { AnimeIdEntry } from '../animeIdMap/index.ts';
+import type { StremioMetaPreview } from '../../types/index.ts';
+import { metaIdentityKeys } from '../../utils/metaIdResolution.ts';
+import { normalizeText } from '../storage/searchHelpers.ts';
+
+type AnimeEntryLookup = (id: string) => AnimeIdEntry | undefined;
+
+export interface SourceSearchResults {
+  sourceId: string;
+  metas: StremioMetaPreview[];
+}
+
+// Relevance weights. Title similarity dominates; popularity (how high a title
+// ranks across the sources that answered) breaks near-ties; the year only
+// counts when the query ends in one.
+const WEIGHT_TITLE = 0.7;
+const WEIGHT_POPULARITY = 0.2;
+const WEIGHT_YEAR = 0.1;
+
+const QUERY_YEAR_RE = /(?:^|\s)\(?((?:19|20)\d{2})\)?\s*$/;
+
+/** {@link normalizeText} with punctuation dropped, so "Spider-Man:" matches "spider man". */
+export function normalizeSearchTitle(value: string): string {
+  return normalizeText(value.replace(/&/g, ' and ').replace(/[^\p{L}\p{N}\p{M}]+/gu, ' '));
+}
+
+/**
+ * Split a trailing year off the query: "Dune 2021" also matches "Dune" released
+ * in 2021. Titles that end in a number ("Blade Runner 2049") still match on the
+ * full query.
+ */
+export function parseSearchQuery(query: string): { title: string; year: number | null } {
+  const trimmed = query.trim();
+  const match = trimmed.match(QUERY_YEAR_RE);
+  if (!match || match.index === 0) return { title: trimmed, year: null };
+  return { title: trimmed.slice(0, match.index).trim(), year: Number(match[1]) };
+}
+
+function bigrams(value: string): Map<string, number> {
+  const grams = new Map<string, number>();
+  const padded = ` ${value} `;
+  for (let i = 0; i < padded.length - 1; i++) {
+    const gram = padded.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * 0-1 similarity of a result title to the query: 1 for an exact match, 0.9
+ * when the title starts with the query, otherwise the Dice coefficient of
+ * their character bigrams.
+ */
+export function titleSimilarity(query: string, title: string): number {
+  const a = normalizeSearchTitle(query);
+  const b = normalizeSearchTitle(title);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (b.startsWith(`${a} `)) return 0.9;
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  for (const count of gramsA.values()) total += count;
+  for (const [gram, count] of gramsB) {
+    total += count;
+    overlap += Math.min(count, gramsA.get(gram) || 0);
+  }
+  return total > 0 ? (2 * overlap) / total : 0;
+}
+
+function releaseYear(meta: StremioMetaPreview): number | null {
+  const match = String(meta.releaseInfo || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+}
+
+function yearScore(queryYear: number | null, meta: StremioMetaPreview): number {
+  if (queryYear === null) return 0;
+  const year = releaseYear(meta);
+  if (year === null) return 0;
+  const distance = Math.abs(year - queryYear);
+  return distance === 0 ? 1 : distance === 1 ? 0.5 : 0;
+}
+
+interface ResultGroup {
+  meta: StremioMetaPreview;
+  similarity: number;
+  popularity: number;
+  year: number;
+  order: number;
+}
+
+/**
+ * Merge per-source search results into one ranked, de-duplicated list.
+ * Hits are grouped by identity key (IMDb/TMDB ids, with anilist:/kitsu:/mal:
+ * ids folded through the anime id map); each group keeps the first source's
+ * meta, so source order decides whose artwork and description win.
+ */
+export function mergeSearchResults(
+  results: SourceSearchResults[],
+  query: string,
+  lookupAnimeEntry: AnimeEntryLookup = () => undefined
+): StremioMetaPreview[] {
+  const { title: queryTitle, year: queryYear } = parseSearchQuery(query);
+  const groups: ResultGroup[] = [];
+  const groupByKey = new Map<string, number>();
+  const answered = Math.max(1, results.filter((r) => r.metas.length > 0).length);
+
+  for (const { metas } of results) {
+    metas.forEach((meta, rank) => {
+      const keys = metaIdentityKeys(meta, lookupAnimeEntry);
+      const existing = keys.map((k) => groupByKey.get(k)).find((g) => g !== undefined);
+      const groupIndex = existing ?? groups.length;
+      if (existing === undefined) {
+        groups.push({ meta, similarity: 0, popularity: 0, year: 0, order: groups.length });
+      }
+      const group = groups[groupIndex];
+      const year = yearScore(queryYear, meta);
+      // The title without the year only counts for hits from around that year.
+      group.similarity = Math.max(
+        group.similarity,
+        titleSimilarity(query, meta.name),
+        year > 0 ? titleSimilarity(queryTitle, meta.name) : 0
+      );
+      group.popularity += 1 / (rank + 1) / answered;
+      group.year = Math.max(group.year, year);
+      for (const key of keys) groupByKey.set(key, groupIndex);
+    });
+  }
+
+  const score = (g: ResultGroup): number =>
+    WEIGHT_TITLE * g.similarity + WEIGHT_POPULARITY * g.popularity + WEIGHT_YEAR * g.year;
+
+  return groups.sort((a, b) => score(b) - score(a) || a.order - b.order).map((g) => g.meta);
+}
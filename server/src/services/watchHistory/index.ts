@@ -0,0 +1,275 @@
+import type { AnimeIdEntry } from '../animeIdMap/index.ts';
+import { getStorage } from '../storage/index.ts';
+import { buildBadgedPosterUrl, isAllowedPosterSource } from '../posterBadge.ts';
+import type {
+  StremioMetaPreview,
+  WatchedTitle,
+  WatchedTitlesMode,
+  WatchHistory,
+  WatchHistorySource,
+} from '../../types/index.ts';
+import { AppError, ErrorCodes } from '../../utils/AppError.ts';
+import { splitCsvRows } from '../../utils/csv.ts';
+import { metaIdentityKeys, normalizeImdbId } from '../../utils/metaIdResolution.ts';
+import { createLogger } from '../../utils/logger.ts';
+import { WATCH_HISTORY_LIMITS } from '../../constants.ts';
+
+const log = createLogger('watchHistory');
+
+type AnimeEntryLookup = (id: string) => AnimeIdEntry | undefined;
+
+export type WatchedLookup = (meta: StremioMetaPreview) => WatchedTitle | null;
+
+const WATCHED_TITLES_MODES: readonly WatchedTitlesMode[] = ['off', 'badge', 'hide'];
+
+export function normalizeWatchedTitlesMode(value: unknown): WatchedTitlesMode | undefined {
+  return WATCHED_TITLES_MODES.includes(value as WatchedTitlesMode)
+    ? (value as WatchedTitlesMode)
+    : undefined;
+}
+
+function parseRating(value: unknown): number | undefined {
+  const rating = typeof value === 'string' ? Number(value.trim()) : value;
+  if (typeof rating !== 'number' || !Number.isFinite(rating)) return undefined;
+  const rounded = Math.round(rating);
+  return rounded >= 1 && rounded <= 10 ? rounded : undefined;
+}
+
+function parseTmdbId(value: unknown): number | undefined {
+  const id = typeof value === 'string' ? Number(value.trim()) : value;
+  return typeof id === 'number' && Number.isInteger(id) && id > 0 ? id : undefined;
+}
+
+function titleKey(title: WatchedTitle): string {
+  return title.imdbId ? `imdb:${title.imdbId}` : `tmdb:${title.type}:${title.tmdbId}`;
+}
+
+/** Drop duplicates (first occurrence wins) and cap the list. */
+function collectTitles(candidates: Iterable<WatchedTitle | null>): WatchedTitle[] {
+  const titles: WatchedTitle[] = [];
+  const seen = new Set<string>();
+  for (const title of candidates) {
+    if (!title || (!title.imdbId && !(title.tmdbId && title.type))) continue;
+    const key = titleKey(title);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    titles.push(title);
+    if (titles.length >= WATCH_HISTORY_LIMITS.MAX_TITLES) break;
+  }
+  return titles;
+}
+
+function buildTitle(
+  ids: Record<string, unknown> | undefined,
+  type: WatchedTitle['type'],
+  rating: unknown
+): WatchedTitle | null {
+  const imdbId = normalizeImdbId(ids?.imdb);
+  const tmdbId = parseTmdbId(ids?.tmdb);
+  if (!imdbId && !tmdbId) return null;
+  const title: WatchedTitle = {};
+  if (imdbId) title.imdbId = imdbId;
+  if (tmdbId) title.tmdbId = tmdbId;
+  if (type) title.type = type;
+  const parsedRating = parseRating(rating);
+  if (parsedRating) title.rating = parsedRating;
+  return title;
+}
+
+// IMDb exports spell title types either as labels ("TV Series") or as
+// dataset codes ("tvSeries"); both collapse to the same lowercase form.
+const IMDB_SERIES_TYPES = new Set(['tvseries', 'tvminiseries']);
+const IMDB_SKIPPED_TYPES = new Set(['tvepisode', 'videogame', 'podcastseries', 'podcastepisode']);
+
+/**
+ * Read an IMDb "Your ratings" CSV export. Every rated title counts as
+ * watched; episodes and games are skipped. Returns null when the file is not
+ * a ratings export (no `Const` or `Your Rating` column).
+ */
+export function parseImdbRatingsCsv(text: string): WatchedTitle[] | null {
+  const rows = splitCsvRows(text.replace(/^\uFEFF/, ''));
+  const header = (rows[0] || []).map((cell) => cell.trim().toLowerCase());
+  const idIndex = header.indexOf('const');
+  const ratingIndex = header.indexOf('your rating');
+  const typeIndex = header.indexOf('title type');
+  if (idIndex === -1 || ratingIndex === -1) return null;
+
+  return collectTitles(
+    rows.slice(1).map((cells) => {
+      const titleType = (cells[typeIndex] || '').replace(/\s+/g, '').toLowerCase();
+      if (IMDB_SKIPPED_TYPES.has(titleType)) return null;
+      const type = !titleType ? undefined : IMDB_SERIES_TYPES.has(titleType) ? 'series' : 'movie';
+      return buildTitle({ imdb: cells[idIndex] }, type, cells[ratingIndex]);
+    })
+  );
+}
+
+type JsonRecord = Record<string, unknown>;
+
+function asRecord(value: unknown): JsonRecord | undefined {
+  return value && typeof value === 'object' && !Array.isArray(value)
+    ? (value as JsonRecord)
+    : undefined;
+}
+
+/**
+ * Read a Trakt history, watched or ratings export: an array of entries that
+ * each carry a `movie` or `show`. Episode and season entries are skipped, so
+ * a show only counts once it is listed as a whole.
+ */
+export function parseTraktExport(entries: unknown[]): WatchedTitle[] {
+  return collectTitles(
+    entries.map((raw) => {
+      const entry = asRecord(raw);
+      if (!entry || entry.episode || entry.season) return null;
+      const movie = asRecord(entry.movie);
+      const media = movie ?? asRecord(entry.show);
+      return buildTitle(asRecord(media?.ids), movie ? 'movie' : 'series', entry.rating);
+    })
+  );
+}
+
+/**
+ * Read a Simkl export (`movies`, `shows` and `anime` lists). Completed and
+ * rated entries count as watched; plan-to-watch and dropped ones do not.
+ */
+export function parseSimklExport(data: JsonRecord): WatchedTitle[] {
+  const lists: Array<[unknown, 'movie' | 'series']> = [
+    [data.movies, 'movie'],
+    [data.shows, 'series'],
+    [data.anime, 'series'],
+  ];
+  const candidates: Array<WatchedTitle | null> = [];
+  for (const [list, listType] of lists) {
+    if (!Array.isArray(list)) continue;
+    for (const raw of list) {
+      const entry = asRecord(raw);
+      if (!entry) continue;
+      const rating = parseRating(entry.user_rating);
+      if (entry.status !== 'completed' && !rating) continue;
+      const media = asRecord(entry.movie) ?? asRecord(entry.show);
+      const type = entry.anime_type === 'movie' ? 'movie' : listType;
+      candidates.push(buildTitle(asRecord(media?.ids), type, rating));
+    }
+  }
+  return collectTitles(candidates);
+}
+
+/**
+ * Detect the export format and parse it. JSON arrays are read as Trakt
+ * exports, JSON objects with `movies`/`shows`/`anime` lists as Simkl ones,
+ * and anything else as an IMDb ratings CSV. Returns null for files that are
+ * none of those.
+ */
+export function parseWatchHistoryExport(
+  text: string
+): { source: WatchHistorySource; titles: WatchedTitle[] } | null {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data: unknown;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      return null;
+    }
+    if (Array.isArray(data)) return { source: 'trakt', titles: parseTraktExport(data) };
+    const record = asRecord(data);
+    if (record && ['movies', 'shows', 'anime'].some((key) => Array.isArray(record[key]))) {
+      return { source: 'simkl', titles: parseSimklExport(record) };
+    }
+    return null;
+  }
+  const titles = parseImdbRatingsCsv(text);
+  return titles ? { source: 'imdb', titles } : null;
+}
+
+/**
+ * Build a lookup from catalog previews to imported titles. Previews are
+ * matched on every identity they carry (as the blocklist does), so a title
+ * rated on IMDb is also found in AniList or Kitsu rows that map onto it.
+ * Returns null for an empty history so callers can skip the work.
+ */
+export function buildWatchedLookup(
+  titles: WatchedTitle[] | undefined,
+  lookupAnimeEntry: AnimeEntryLookup = () => undefined
+): WatchedLookup | null {
+  if (!titles || titles.length === 0) return null;
+  const byKey = new Map<string, WatchedTitle>();
+  for (const title of titles) {
+    if (title.imdbId) byKey.set(`imdb:${title.imdbId}`, title);
+    if (title.tmdbId && title.type) byKey.set(`tmdb:${title.type}:${title.tmdbId}`, title);
+  }
+
+  return (meta) => {
+    const metaType = meta.type === 'movie' || meta.type === 'series' ? meta.type : null;
+    for (const key of metaIdentityKeys(meta, lookupAnimeEntry)) {
+      const direct = byKey.get(key);
+      if (direct) return direct;
+      if (!key.startsWith('tmdb:')) continue;
+      const tmdbId = key.slice('tmdb:'.length);
+      // Anime rows do not say whether a TMDB id is a movie or a show.
+      const typed = metaType
+        ? byKey.get(`tmdb:${metaType}:${tmdbId}`)
+        : (byKey.get(`tmdb:movie:${tmdbId}`) ?? byKey.get(`tmdb:series:${tmdbId}`));
+      if (typed) return typed;
+    }
+    return null;
+  };
+}
+
+/** Badge drawn on a watched poster: the user's score, or a checkmark. */
+export function watchedBadge(title: WatchedTitle): string {
+  return title.rating ? String(title.rating) : 'watched';
+}
+
+export async function getWatchHistory(userId: string): Promise<WatchHistory | null> {
+  return getStorage().getWatchHistory(userId);
+}
+
+/** Parse an export and store it as the config's history, replacing any earlier import. */
+export async function importWatchHistory(userId: string, text: string): Promise<WatchHistory> {
+  const parsed = parseWatchHistoryExport(text);
+  if (!parsed) {
+    throw new AppError(
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      'Unrecognized file. Upload an IMDb ratings CSV or a Trakt or Simkl JSON export.'
+    );
+  }
+  if (parsed.titles.length === 0) {
+    throw new AppError(400, ErrorCodes.VALIDATION_ERROR, 'No watched or rated titles found');
+  }
+
+  const history = await getStorage().saveWatchHistory({
+    userId,
+    source: parsed.source,
+    titles: parsed.titles,
+    importedAt: new Date(),
+  });
+  log.info('Watch history imported', {
+    userId,
+    source: history.source,
+    titles: history.titles.length,
+  });
+  return history;
+}
+
+export async function deleteWatchHistory(userId: string): Promise<boolean> {
+  return getStorage().deleteWatchHistory(userId);
+}
+
+/**
+ * Poster hook for {@link applyArtworkOverridesToMetaPreviews} that points
+ * watched titles' posters at their badged overlay.
+ */
+export function createWatchedPosterBadge(
+  lookup: WatchedLookup,
+  baseUrl: string
+): (meta: StremioMetaPreview, poster: string | null) => string | null {
+  return (meta, poster) => {
+    // Posters the badge route would not fetch are left as they are.
+    if (!poster || !isAllowedPosterSource(poster)) return null;
+    const title = lookup(meta);
+    return title ? buildBadgedPosterUrl(baseUrl, poster, watchedBadge(title)) : null;
+  };
+}
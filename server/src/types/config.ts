@@ -8,13 +8,29 @@ export type PosterServiceType =
   | 'tmdb'
   | 'imdb'
   | 'tvdb'
-  | 'fanart';
+  | 'fanart'
+  | 'composited';
+
+export type PosterRatingSource = 'imdb' | 'tmdb' | 'mal';
+
+/**
+ * What the built-in `composited` poster provider draws over the TMDB poster.
+ * Rating badges run in a band along the top or bottom edge in the listed order.
+ */
+export interface PosterCompositeLayout {
+  ratings?: PosterRatingSource[];
+  position?: 'top' | 'bottom';
+  certification?: boolean;
+  newSeasonRibbon?: boolean;
+}
 
 export interface ArtworkSourceConfig {
   provider?: PosterServiceType;
   customUrlPattern?: string;
   apiKeyEncrypted?: string;
   apiKey?: string;
+  // Only read for `composited` posters
+  compositeLayout?: PosterCompositeLayout;
 }
 
 // --- Per-content-type artwork settings (v2) ---
@@ -46,6 +62,26 @@ export interface ArtworkOptionsMap {
   originalLangFallback: boolean;
 }
 
+/**
+ * One blocklisted title. `id` is either an IMDb id (`tt0944947`) or a TMDB id
+ * (`tmdb:1399`); TMDB ids carry `type` because movie and TV ids overlap.
+ */
+export interface ExcludedItem {
+  id: string;
+  type?: 'movie' | 'series';
+  name?: string;
+}
+
+/**
+ * One title of a hand-picked `custom` list. `id` is an IMDb id (`tt0133093`)
+ * or a TMDB id (`tmdb:603`) read with the catalog's content type.
+ */
+export interface CustomListItem {
+  id: string;
+  name?: string;
+  note?: string;
+}
+
 export interface UserPreferences {
   // Global API keys for artwork/metadata providers
   apiKeys?: Record<string, string>;
@@ -65,9 +101,80 @@ export interface UserPreferences {
   disableKitsuSearch?: boolean;
   disableSimklSearch?: boolean;
   disableTraktSearch?: boolean;
+  // Expose TMDB trailers as a Stremio `stream` resource
+  enableTrailerStreams?: boolean;
+  // List a series' best-rated IMDb episodes as "Top Episodes" links in its meta
+  topEpisodes?: boolean;
   includeAdult?: boolean;
   region?: string;
   countries?: string;
+  // Titles hidden from every catalog
+  excludedItems?: ExcludedItem[];
+  // What catalogs do with titles from the imported watch history
+  watchedTitles?: WatchedTitlesMode;
+  // Highest US rating any source may serve; unset means no limit
+  maxMaturity?: MaturityLevel;
+  // Named filter sets catalogs can apply or inherit
+  filterTemplates?: FilterTemplate[];
+  // Whether the merged all-sources search row replaces or joins the per-source rows
+  unifiedSearch?: UnifiedSearchMode;
+}
+
+/**
+ * `replace` swaps the per-source search rows for one merged row per type;
+ * `alongside` adds the merged row above them; `off` (or unset) keeps only
+ * the per-source rows.
+ */
+export type UnifiedSearchMode = 'off' | 'replace' | 'alongside';
+
+/**
+ * Source-neutral constraints of a filter template. The editor maps each one
+ * onto the filter keys of a catalog's source where the source has the
+ * concept; genres are matched by name.
+ */
+export interface FilterTemplateFilters {
+  yearFrom?: number;
+  yearTo?: number;
+  ratingMin?: number; // 0-10
+  ratingMax?: number;
+  voteCountMin?: number;
+  runtimeMin?: number; // minutes
+  runtimeMax?: number;
+  languages?: string[]; // ISO 639-1
+  countries?: string[]; // ISO 3166-1
+  genres?: string[];
+  excludeGenres?: string[];
+}
+
+export interface FilterTemplate {
+  id: string;
+  name: string;
+  filters: FilterTemplateFilters;
+}
+
+/**
+ * A profile-wide maturity ceiling named after the US movie rating it allows
+ * up to; `PG` also admits TV-PG and below. Each source gets its own
+ * equivalent (see services/maturity).
+ */
+export type MaturityLevel = 'G' | 'PG' | 'PG-13' | 'R';
+
+/** `badge` marks watched posters (with the user's score when rated); `hide` drops them. */
+export type WatchedTitlesMode = 'off' | 'badge' | 'hide';
+
+/**
+ * Source-agnostic rules applied to a catalog's previews after the source has
+ * answered, so lists that ignore their own filters can still be narrowed.
+ */
+export interface CatalogPostFilters {
+  imdbRatingMin?: number;
+  yearFrom?: number;
+  yearTo?: number;
+  runtimeMin?: number;
+  runtimeMax?: number;
+  genres?: string[];
+  excludeGenres?: string[];
+  requirePoster?: boolean;
 }
 
 export interface BaseCatalogFilters {
@@ -89,6 +196,9 @@ export interface BaseCatalogFilters {
   includeAdult?: boolean;
   randomize?: boolean;
   discoverOnly?: boolean;
+  // Only serve titles that were not in the catalog's last snapshot
+  newSinceSnapshot?: boolean;
+  postFilters?: CatalogPostFilters;
   query?: string;
   genreNames?: string[];
 }
@@ -99,6 +209,11 @@ export interface TmdbCatalogFilters extends BaseCatalogFilters {
   collectionName?: string;
   studioId?: string;
   studioName?: string;
+  // Titles of a `custom` list type, in display order; pinned shows of an
+  // `episode_calendar` one.
+  customItems?: CustomListItem[];
+  // Days ahead an `episode_calendar` list covers.
+  calendarDays?: number;
   voteCountMin?: number;
   stremioExtras?: string[];
   stremioExtraMode?: 'genre' | 'year' | 'sortBy' | 'certification';
@@ -175,6 +290,7 @@ export interface ImdbCatalogFilters extends BaseCatalogFilters {
 }
 
 export interface AnilistCatalogFilters extends BaseCatalogFilters {
+  anilistListType?: string;
   anilistSort?: string;
   format?: string[];
   status?: string[];
@@ -280,7 +396,39 @@ export interface TraktCatalogFilters extends BaseCatalogFilters {
   traktRtUserMeterMax?: number;
 }
 
-export type SourceType = 'tmdb' | 'imdb' | 'anilist' | 'mal' | 'simkl' | 'trakt' | 'kitsu';
+export type CompositeMergeMode = 'roundRobin' | 'interleave' | 'score';
+
+export interface CompositeCatalogFilters extends BaseCatalogFilters {
+  // `_id`s of the member catalogs, in priority order.
+  compositeCatalogIds?: string[];
+  compositeMergeMode?: CompositeMergeMode;
+  // Per-member weights keyed by member `_id` (interleave and score modes).
+  compositeWeights?: Record<string, number>;
+}
+
+/** A film imported from a Letterboxd export, already resolved to TMDB. */
+export interface LetterboxdListItem {
+  tmdbId: number;
+  name: string;
+  year?: number;
+}
+
+export interface LetterboxdCatalogFilters extends BaseCatalogFilters {
+  // Resolved entries in list order; unresolved rows are dropped at import.
+  letterboxdItems?: LetterboxdListItem[];
+  letterboxdListName?: string;
+}
+
+export type SourceType =
+  | 'tmdb'
+  | 'imdb'
+  | 'anilist'
+  | 'mal'
+  | 'simkl'
+  | 'trakt'
+  | 'kitsu'
+  | 'composite'
+  | 'letterboxd';
 
 export type CatalogFilters = TmdbCatalogFilters &
   ImdbCatalogFilters &
@@ -288,7 +436,9 @@ export type CatalogFilters = TmdbCatalogFilters &
   MalCatalogFilters &
   KitsuCatalogFilters &
   SimklCatalogFilters &
-  TraktCatalogFilters;
+  TraktCatalogFilters &
+  CompositeCatalogFilters &
+  LetterboxdCatalogFilters;
 
 export interface CatalogFormState {
   selectedPeople?: Array<{ id: number | string; name: string; profile_path?: string }>;
@@ -311,11 +461,41 @@ export interface CatalogFormState {
   expandedSections?: Record<string, boolean>;
 }
 
+/** Inclusive range of calendar dates, `YYYY-MM-DD`. */
+export interface ScheduleDateRange {
+  from: string;
+  to: string;
+}
+
+/** Inclusive range repeating every year, `MM-DD`; `from` after `to` wraps over New Year. */
+export interface ScheduleYearlyRange {
+  from: string;
+  to: string;
+}
+
+/**
+ * When a catalog is listed in the manifest. Every rule that is set must match:
+ * the date must fall in one of the date or yearly ranges (when any are set),
+ * and the weekday (0 = Sunday) and hour must be in their masks. Dates and
+ * times are read in `timezone`, UTC when unset.
+ */
+export interface CatalogSchedule {
+  dateRanges?: ScheduleDateRange[];
+  yearlyRanges?: ScheduleYearlyRange[];
+  weekdays?: number[];
+  hours?: number[];
+  timezone?: string;
+}
+
 export interface ClonedFrom {
   marketplaceId: string;
   originUserId: string;
   originCatalogId: string;
   clonedAt: string; // ISO timestamp
+  // Linked installs follow the entry: addon requests serve its current filters.
+  linked?: boolean;
+  contentHash?: string; // entry hash the stored filters were last synced from
+  syncedAt?: string; // ISO timestamp of the last sync
 }
 
 export interface CatalogConfig {
@@ -327,8 +507,16 @@ export interface CatalogConfig {
   filters: CatalogFilters;
   formState?: CatalogFormState;
   enabled?: boolean;
+  schedule?: CatalogSchedule;
   published?: boolean;
   clonedFrom?: ClonedFrom;
+  // `_id` of the household catalog this entry includes by reference. Addon
+  // requests serve the shared definition; `enabled`, `schedule` and the
+  // adult toggle stay per profile.
+  householdCatalogId?: string;
+  // `id` of the filter template the catalog inherits from; template edits
+  // are written into its filters.
+  filterTemplateId?: string;
 }
 
 export interface UserConfig {
@@ -343,6 +531,11 @@ export interface UserConfig {
   simklApiKey?: string;
   traktClientIdEncrypted?: string;
   traktClientId?: string;
+  // Encrypted JSON of the linked Trakt/Simkl account's OAuth tokens (see services/accountLinks)
+  traktTokensEncrypted?: string;
+  simklTokensEncrypted?: string;
+  // Salted hash of the PIN that locks `preferences.maxMaturity`; '' when unlocked
+  maturityPinHash?: string;
   catalogs: CatalogConfig[];
   preferences: UserPreferences;
   createdAt?: Date;
@@ -354,6 +547,7 @@ export interface PosterOptions {
   apiKey?: string;
   service: PosterServiceType;
   customUrlPattern?: string;
+  compositeLayout?: PosterCompositeLayout;
 }
 
 export interface ArtworkOptions {
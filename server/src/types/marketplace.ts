@@ -22,6 +22,17 @@ export interface MarketplaceEngagement {
   lastEngagedAt?: Date;
 }
 
+// --- Bundles (several catalogs published as one `collection` entry) ---
+
+export interface MarketplaceBundleMember {
+  name: string;
+  type: ContentType;
+  source: SourceType;
+  genres: string[];
+  filters: CatalogFilters;
+  formState?: CatalogFormState;
+}
+
 export interface MarketplaceEntry {
   marketplaceId: string; // crypto.randomUUID(), stable public id
   provenance: MarketplaceProvenance;
@@ -36,6 +47,7 @@ export interface MarketplaceEntry {
   filterFacets: string[]; // flattened facet tokens, e.g. "sort:popularity.desc"
   filters: CatalogFilters; // full filter definition needed for preview + clone
   formState?: CatalogFormState; // UI hydration on clone (secret-free)
+  members?: MarketplaceBundleMember[]; // bundles only, in install order
 
   // Lifecycle / governance
   visibility: Visibility; // only 'public' is searchable
@@ -57,6 +69,18 @@ export interface MarketplaceLike {
   createdAt: Date;
 }
 
+// --- Abuse reports (one per reporter per entry) ---
+
+export type MarketplaceReportReason = 'spam' | 'offensive' | 'misleading' | 'broken' | 'other';
+
+export interface MarketplaceReport {
+  marketplaceId: string;
+  actorUserId: string; // who reported (the reporter's apiKeyId, like the like ledger)
+  reason: MarketplaceReportReason;
+  details?: string; // optional free-text note, sanitized
+  createdAt: Date;
+}
+
 // --- Search ---
 
 export type MarketplaceSort = 'relevance' | 'popular' | 'most-installed' | 'newest' | 'trending';
@@ -99,6 +123,7 @@ export interface MarketplaceSearchCard {
   genres: string[];
   engagement: { likes: number; installs: number; trendingScore: number };
   provenance: { originUserId: string; originConfigName?: string };
+  members?: Array<{ name: string; type: ContentType; source: SourceType }>; // bundles only
   publishedAt: string;
 }
 
@@ -120,13 +145,27 @@ export interface PublishRequest {
   tags?: string[];
 }
 
+// POST /marketplace/bundles
+export interface PublishBundleRequest {
+  userId: string;
+  bundleId?: string; // re-publish an existing bundle; a new one is created when omitted
+  name: string;
+  description?: string;
+  tags?: string[];
+  catalogIds: string[]; // member catalogs, in install order
+}
+
 // POST /marketplace/:id/install
+export type InstallMode = 'copy' | 'link';
+
 export interface InstallRequest {
   targetUserId: string;
+  mode?: InstallMode;
 }
 
 export interface InstallResult {
   catalog: CatalogConfig;
+  catalogs?: CatalogConfig[]; // every catalog a bundle install added, in order
   installs: number;
   alreadyInstalled: boolean;
 }
@@ -136,3 +175,33 @@ export interface LikeResult {
   liked: boolean;
   likes: number;
 }
+
+// GET /marketplace/links/:userId
+// current: the stored filters match the entry; updated: the entry changed since
+// the last sync (addon requests already serve the new filters); unavailable: the
+// entry is gone, private or moderated, so the stored filters are served.
+export type LinkStatus = 'current' | 'updated' | 'unavailable';
+
+export interface LinkedCatalogStatus {
+  catalogId: string;
+  marketplaceId: string;
+  status: LinkStatus;
+  upstreamUpdatedAt?: string;
+}
+
+// POST /marketplace/:id/report
+export interface ReportRequest {
+  reason: MarketplaceReportReason;
+  details?: string;
+}
+
+export interface ReportResult {
+  reported: boolean;
+  alreadyReported: boolean;
+}
+
+// GET /marketplace/moderation/queue
+export interface ModerationQueueItem {
+  entry: MarketplaceEntry;
+  reports: MarketplaceReport[];
+}
@@ -1,5 +1,12 @@
-import type { UserConfig } from './config.ts';
-import type { MarketplaceEntry, MarketplaceSearchParams } from './marketplace.ts';
+import type { CatalogConfig, UserConfig } from './config.ts';
+import type {
+  MarketplaceEntry,
+  MarketplaceReport,
+  MarketplaceSearchParams,
+  ModerationStatus,
+} from './marketplace.ts';
+
+export type AccountTokenField = 'traktTokensEncrypted' | 'simklTokensEncrypted';
 
 export interface IStorageAdapter {
   connect(): Promise<void>;
@@ -10,6 +17,8 @@ export interface IStorageAdapter {
   getAllConfigs?(): Promise<UserConfig[]>;
   deleteUserConfig(userId: string): Promise<boolean>;
   getPublicStats(): Promise<PublicStats>;
+  /** Replace a linked account's encrypted tokens, leaving the rest (and updatedAt) alone. */
+  setAccountTokens(userId: string, field: AccountTokenField, encrypted: string): Promise<boolean>;
 
   // --- Marketplace persistence ---
   upsertMarketplaceEntry(entry: MarketplaceEntry): Promise<MarketplaceEntry>;
@@ -26,6 +35,96 @@ export interface IStorageAdapter {
   recordLike(marketplaceId: string, actorUserId: string): Promise<boolean>;
   removeLike(marketplaceId: string, actorUserId: string): Promise<boolean>;
   hasLiked(marketplaceId: string, actorUserId: string): Promise<boolean>;
+  recordReport(report: MarketplaceReport): Promise<boolean>;
+  getReports(marketplaceId: string): Promise<MarketplaceReport[]>;
+  clearReports(marketplaceId: string): Promise<number>;
+  setMarketplaceModeration(
+    marketplaceId: string,
+    moderation: ModerationStatus
+  ): Promise<MarketplaceEntry | null>;
+  listMarketplaceEntriesByModeration(
+    moderation: ModerationStatus,
+    limit: number
+  ): Promise<MarketplaceEntry[]>;
+
+  // --- Catalog snapshots ---
+  getCatalogSnapshot(userId: string, catalogId: string): Promise<CatalogSnapshot | null>;
+  saveCatalogSnapshot(snapshot: CatalogSnapshot): Promise<CatalogSnapshot>;
+  deleteCatalogSnapshots(userId: string): Promise<number>;
+
+  // --- Config revision history ---
+  getConfigRevisions(userId: string): Promise<ConfigRevision[]>;
+  getConfigRevision(userId: string, rev: number): Promise<ConfigRevision | null>;
+  saveConfigRevision(revision: ConfigRevision, keep: number): Promise<ConfigRevision>;
+  deleteConfigRevisions(userId: string): Promise<number>;
+
+  // --- Imported watch history ---
+  getWatchHistory(userId: string): Promise<WatchHistory | null>;
+  saveWatchHistory(history: WatchHistory): Promise<WatchHistory>;
+  deleteWatchHistory(userId: string): Promise<boolean>;
+
+  // --- Households ---
+  getHousehold(apiKeyId: string): Promise<Household | null>;
+  saveHousehold(household: Household): Promise<Household>;
+  deleteHousehold(apiKeyId: string): Promise<boolean>;
+}
+
+/**
+ * One saved state of a config's catalog list, numbered per user from 1.
+ * Revisions cover what a rollback restores (name and catalogs); preferences
+ * and API keys are not versioned.
+ */
+export interface ConfigRevision {
+  userId: string;
+  rev: number;
+  configName: string;
+  catalogs: CatalogConfig[];
+  savedAt: Date;
+}
+
+/**
+ * Titles a catalog returned when it was last snapshotted, keyed by user and
+ * catalog `_id`. `filtersHash` ties the snapshot to the query it was taken
+ * with so an edited catalog gets a fresh baseline instead of a bogus diff.
+ */
+export interface CatalogSnapshot {
+  userId: string;
+  catalogId: string;
+  filtersHash: string;
+  ids: string[];
+  takenAt: Date;
+}
+
+/**
+ * One title from an imported ratings or history export, matched to catalog
+ * previews by IMDb id or by TMDB id and type. `rating` is the user's own
+ * score on a 1–10 scale when the export had one.
+ */
+export interface WatchedTitle {
+  imdbId?: string;
+  tmdbId?: number;
+  type?: 'movie' | 'series';
+  rating?: number;
+}
+
+export type WatchHistorySource = 'imdb' | 'trakt' | 'simkl';
+
+/** A config's imported watch history; each import replaces the previous one. */
+export interface WatchHistory {
+  userId: string;
+  source: WatchHistorySource;
+  titles: WatchedTitle[];
+  importedAt: Date;
+}
+
+/**
+ * Catalogs shared by every config (profile) under one TMDB key. Profiles
+ * include them by reference through `CatalogConfig.householdCatalogId`.
+ */
+export interface Household {
+  apiKeyId: string;
+  catalogs: CatalogConfig[];
+  updatedAt: Date;
 }
 
 export interface PublicStats {
@@ -41,6 +140,9 @@ export interface IImdbRatingsAdapter {
   replaceAll(entries: [string, string][]): Promise<void>;
   clear(): Promise<void>;
   count(): Promise<number>;
+  // Per-series episode ratings, packed as "season:episode:rating|votes" joined by ","
+  replaceEpisodes(entries: [string, string][]): Promise<void>;
+  getEpisodes(seriesId: string): Promise<string | null>;
   setMeta(key: string, value: string): Promise<void>;
   getMeta(key: string): Promise<string | null>;
   delMeta(key: string): Promise<void>;
@@ -51,3 +153,53 @@ export interface ImdbRating {
   rating: number;
   votes: number;
 }
+
+/** One title row of the offline IMDb index built from the public datasets. */
+export interface ImdbDatasetTitle {
+  id: string;
+  type: string;
+  title: string;
+  originalTitle: string;
+  year: number | null;
+  endYear: number | null;
+  runtime: number | null;
+  genres: string[];
+  language: string | null; // best guess at the original language (ISO 639-1)
+  directors: string[]; // IMDb name ids
+  rating: number;
+  votes: number;
+}
+
+export interface ImdbDatasetPerson {
+  id: string;
+  name: string;
+  knownFor: string;
+}
+
+export interface ImdbDatasetQuery {
+  types: string[];
+  genres?: string[];
+  excludeGenres?: string[];
+  yearMin?: number;
+  yearMax?: number;
+  runtimeMin?: number;
+  runtimeMax?: number;
+  ratingMin?: number;
+  ratingMax?: number;
+  votesMin?: number;
+  votesMax?: number;
+  languages?: string[];
+  directors?: string[];
+  sortBy?: string;
+  sortOrder?: 'ASC' | 'DESC';
+  offset: number;
+  limit: number;
+}
+
+export interface IImdbTitlesAdapter {
+  replaceAll(titles: ImdbDatasetTitle[], people: ImdbDatasetPerson[]): Promise<void>;
+  query(query: ImdbDatasetQuery): Promise<{ titles: ImdbDatasetTitle[]; total: number }>;
+  searchPeople(query: string, limit: number): Promise<ImdbDatasetPerson[]>;
+  count(): Promise<number>;
+  destroy(): Promise<void>;
+}
@@ -3,7 +3,16 @@ import type { TmdbReleaseDates, TmdbContentRatings } from './tmdb.ts';
 
 export interface StremioLink {
   name: string;
-  category: 'imdb' | 'Genres' | 'Cast' | 'Directors' | 'Writers' | 'Networks' | 'Studios' | 'share';
+  category:
+    | 'imdb'
+    | 'Genres'
+    | 'Cast'
+    | 'Directors'
+    | 'Writers'
+    | 'Networks'
+    | 'Studios'
+    | 'Top Episodes'
+    | 'share';
   url: string;
 }
 
@@ -18,6 +27,14 @@ export interface TrailerStream {
   lang: string;
 }
 
+/** A playable entry returned by the `stream` resource. */
+export interface StremioStream {
+  ytId: string;
+  name: string;
+  description: string;
+  behaviorHints?: { bingeGroup?: string };
+}
+
 export interface StremioVideo {
   id: string;
   season: number;
@@ -122,6 +139,8 @@ export interface StremioMetaPreview {
   runtime?: string;
   links?: StremioLink[];
   behaviorHints: Record<string, unknown>;
+  // Upcoming episodes of an episode-calendar row.
+  videos?: StremioVideo[];
 }
 
 export interface ManifestCatalogExtra {
@@ -139,6 +158,12 @@ export interface ManifestCatalog {
   extra: ManifestCatalogExtra[];
 }
 
+export interface ManifestResource {
+  name: string;
+  types: ContentType[];
+  idPrefixes?: string[];
+}
+
 export interface StremioManifest {
   id: string;
   name: string;
@@ -146,7 +171,7 @@ export interface StremioManifest {
   version: string;
   logo: string;
   idPrefixes: string[];
-  resources: string[];
+  resources: (string | ManifestResource)[];
   types: ContentType[];
   catalogs: ManifestCatalog[];
   behaviorHints: ManifestBehaviorHints;
@@ -172,3 +197,9 @@ export interface MetaResponse {
   staleRevalidate?: number;
   staleError?: number;
 }
+
+export interface StreamResponse {
+  streams: StremioStream[];
+  cacheMaxAge?: number;
+  staleRevalidate?: number;
+}
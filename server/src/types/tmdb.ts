@@ -1,4 +1,5 @@
 import type { ContentType, GenreMatchMode } from './common.ts';
+import type { CustomListItem } from './config.ts';
 
 export interface TmdbGenre {
   id: number;
@@ -129,6 +130,7 @@ export interface TmdbEpisodeSummary {
   overview: string;
   season_number: number;
   episode_number: number;
+  air_date?: string | null;
   runtime: number | null;
 }
 
@@ -308,6 +310,13 @@ export interface NetworkSearchResult {
   logoPath: string | null;
 }
 
+export interface TitleSearchResult {
+  id: number;
+  name: string;
+  year: number | null;
+  posterPath: string | null;
+}
+
 export interface CollectionSearchResult {
   id: number;
   name: string;
@@ -434,6 +443,7 @@ export interface SpecialListOptions {
   randomize?: boolean;
   collectionId?: number | string;
   studioId?: number | string;
+  customItems?: CustomListItem[];
   sortBy?: string;
 }
 
@@ -448,6 +458,7 @@ export type SpecialListType =
   | 'popular'
   | 'collection'
   | 'studio'
+  | 'custom'
   | 'random';
 
 export type GenreMap = Record<string, string>;
@@ -1,4 +1,5 @@
 import type { AnimeIdEntry } from '../services/animeIdMap/index.ts';
+import type { StremioMetaPreview } from '../types/index.ts';
 
 export interface ResolvedMetaId {
   tmdbId: number | null;
@@ -20,7 +21,7 @@ function parsePrefixedId(rawId: string, prefix: string): number | null {
   return parsePositiveInt(rawId.slice(prefix.length));
 }
 
-function normalizeImdbId(value: unknown): string | null {
+export function normalizeImdbId(value: unknown): string | null {
   if (typeof value !== 'string') return null;
   const trimmed = value.trim().toLowerCase();
   return /^tt\d+$/i.test(trimmed) ? trimmed : null;
@@ -115,3 +116,32 @@ export function resolveRequestedMetaId(
     malId,
   };
 }
+
+/**
+ * Every identity a preview can be known by: its Stremio id plus any IMDb or
+ * TMDB id it carries or maps to. Two previews are the same title when they
+ * share at least one key, so an AniList row and a TMDB row for the same show
+ * collapse into one entry.
+ */
+export function metaIdentityKeys(
+  meta: StremioMetaPreview,
+  lookupAnimeEntry: (id: string) => AnimeIdEntry | undefined = () => undefined
+): string[] {
+  const keys = new Set<string>();
+  const rawId = String(meta.id || '')
+    .trim()
+    .toLowerCase();
+  if (rawId) keys.add(`id:${rawId}`);
+
+  const imdbId = normalizeImdbId(meta.imdb_id) || normalizeImdbId(meta.imdbId);
+  if (imdbId) keys.add(`imdb:${imdbId}`);
+  if (typeof meta.tmdbId === 'number' && meta.tmdbId > 0) keys.add(`tmdb:${meta.tmdbId}`);
+
+  if (rawId) {
+    const resolved = resolveRequestedMetaId(rawId, lookupAnimeEntry);
+    if (resolved.imdbId) keys.add(`imdb:${resolved.imdbId}`);
+    if (resolved.tmdbId) keys.add(`tmdb:${resolved.tmdbId}`);
+  }
+
+  return Array.from(keys);
+}
@@ -67,6 +67,18 @@ export const strictRateLimit = rateLimit({
   message: 'Too many requests to this endpoint, please try again later',
 });
 
+/**
+ * Rate limit for PIN checks (maturity lock), tight enough to make guessing
+ * a short numeric PIN impractical
+ */
+export const pinRateLimit = rateLimit({
+  ...baseOptions,
+  ...withStore('rl:pin:'),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: 10,
+  message: 'Too many PIN attempts, please try again later',
+});
+
 /**
  * Standard rate limit for API endpoints
  */
@@ -89,6 +101,18 @@ export const addonRateLimit = rateLimit({
   message: 'Rate limit exceeded',
 });
 
+/**
+ * Rate limit for rendered posters, which fetch and re-encode images on a
+ * cache miss
+ */
+export const posterRateLimit = rateLimit({
+  ...baseOptions,
+  ...withStore('rl:poster:'),
+  windowMs: 60 * 1000,
+  limit: 240,
+  message: 'Too many poster requests, please try again later',
+});
+
 export const monitoringRateLimit = rateLimit({
   ...baseOptions,
   ...withStore('rl:monitor:'),
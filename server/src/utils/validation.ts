@@ -126,6 +126,7 @@ export function sanitizeFilters(filters: unknown): Record<string, unknown> {
     'discoverOnly',
     'releasedOnly',
     'lastXYears',
+    'calendarDays',
     'stremioExtras',
     'stremioExtraMode',
     'cacheTTL',
@@ -158,6 +159,12 @@ export function sanitizeFilters(filters: unknown): Record<string, unknown> {
   if (typeof sanitized.runtimeMin === 'number') {
     sanitized.runtimeMin = Math.min(Math.max(sanitized.runtimeMin as number, 0), 400);
   }
+  if (typeof sanitized.calendarDays === 'number') {
+    sanitized.calendarDays = Math.min(
+      Math.max(Math.round(sanitized.calendarDays as number), 1),
+      30
+    );
+  }
   if (typeof sanitized.runtimeMax === 'number') {
     sanitized.runtimeMax = Math.min(Math.max(sanitized.runtimeMax as number, 0), 400);
   }
@@ -381,6 +388,8 @@ const TMDB_ONLY_FILTER_KEYS: ReadonlyArray<string> = [
   'collectionName',
   'studioId',
   'studioName',
+  'customItems',
+  'calendarDays',
   'voteCountMin',
   'imdbOnly',
   'displayLanguage',
@@ -452,6 +461,7 @@ const IMDB_ONLY_FILTER_KEYS: ReadonlyArray<string> = [
 ];
 
 const ANILIST_ONLY_FILTER_KEYS = [
+  'anilistListType',
   'anilistSort',
   'format',
   'status',
@@ -549,6 +559,14 @@ const TRAKT_ONLY_FILTER_KEYS = [
   'traktRtUserMeterMax',
 ];
 
+const COMPOSITE_ONLY_FILTER_KEYS = [
+  'compositeCatalogIds',
+  'compositeMergeMode',
+  'compositeWeights',
+];
+
+const LETTERBOXD_ONLY_FILTER_KEYS = ['letterboxdItems', 'letterboxdListName'];
+
 const ALL_SOURCE_SPECIFIC_KEYS: Record<string, string[]> = {
   tmdb: [
     ...IMDB_ONLY_FILTER_KEYS,
@@ -557,6 +575,8 @@ const ALL_SOURCE_SPECIFIC_KEYS: Record<string, string[]> = {
     ...KITSU_ONLY_FILTER_KEYS,
     ...SIMKL_ONLY_FILTER_KEYS,
     ...TRAKT_ONLY_FILTER_KEYS,
+    ...COMPOSITE_ONLY_FILTER_KEYS,
+    ...LETTERBOXD_ONLY_FILTER_KEYS,
   ],
   imdb: [
     ...TMDB_ONLY_FILTER_KEYS,
@@ -565,6 +585,8 @@ const ALL_SOURCE_SPECIFIC_KEYS: Record<string, string[]> = {
     ...KITSU_ONLY_FILTER_KEYS,
     ...SIMKL_ONLY_FILTER_KEYS,
     ...TRAKT_ONLY_FILTER_KEYS,
+    ...COMPOSITE_ONLY_FILTER_KEYS,
+    ...LETTERBOXD_ONLY_FILTER_KEYS,
   ],
   anilist: [
     ...TMDB_ONLY_FILTER_KEYS,
@@ -573,6 +595,8 @@ const ALL_SOURCE_SPECIFIC_KEYS: Record<string, string[]> = {
     ...KITSU_ONLY_FILTER_KEYS,
     ...SIMKL_ONLY_FILTER_KEYS,
     ...TRAKT_ONLY_FILTER_KEYS,
+    ...COMPOSITE_ONLY_FILTER_KEYS,
+    ...LETTERBOXD_ONLY_FILTER_KEYS,
   ],
   mal: [
     ...TMDB_ONLY_FILTER_KEYS,
@@ -581,6 +605,8 @@ const ALL_SOURCE_SPECIFIC_KEYS: Record<string, string[]> = {
     ...KITSU_ONLY_FILTER_KEYS,
     ...SIMKL_ONLY_FILTER_KEYS,
     ...TRAKT_ONLY_FILTER_KEYS,
+    ...COMPOSITE_ONLY_FILTER_KEYS,
+    ...LETTERBOXD_ONLY_FILTER_KEYS,
   ],
   kitsu: [
     ...TMDB_ONLY_FILTER_KEYS,
@@ -589,6 +615,8 @@ const ALL_SOURCE_SPECIFIC_KEYS: Record<string, string[]> = {
     ...MAL_ONLY_FILTER_KEYS,
     ...SIMKL_ONLY_FILTER_KEYS,
     ...TRAKT_ONLY_FILTER_KEYS,
+    ...COMPOSITE_ONLY_FILTER_KEYS,
+    ...LETTERBOXD_ONLY_FILTER_KEYS,
   ],
   simkl: [
     ...TMDB_ONLY_FILTER_KEYS,
@@ -597,6 +625,8 @@ const ALL_SOURCE_SPECIFIC_KEYS: Record<string, string[]> = {
     ...MAL_ONLY_FILTER_KEYS,
     ...KITSU_ONLY_FILTER_KEYS,
     ...TRAKT_ONLY_FILTER_KEYS,
+    ...COMPOSITE_ONLY_FILTER_KEYS,
+    ...LETTERBOXD_ONLY_FILTER_KEYS,
   ],
   trakt: [
     ...TMDB_ONLY_FILTER_KEYS,
@@ -605,6 +635,28 @@ const ALL_SOURCE_SPECIFIC_KEYS: Record<string, string[]> = {
     ...MAL_ONLY_FILTER_KEYS,
     ...KITSU_ONLY_FILTER_KEYS,
     ...SIMKL_ONLY_FILTER_KEYS,
+    ...COMPOSITE_ONLY_FILTER_KEYS,
+    ...LETTERBOXD_ONLY_FILTER_KEYS,
+  ],
+  composite: [
+    ...TMDB_ONLY_FILTER_KEYS,
+    ...IMDB_ONLY_FILTER_KEYS,
+    ...ANILIST_ONLY_FILTER_KEYS,
+    ...MAL_ONLY_FILTER_KEYS,
+    ...KITSU_ONLY_FILTER_KEYS,
+    ...SIMKL_ONLY_FILTER_KEYS,
+    ...TRAKT_ONLY_FILTER_KEYS,
+    ...LETTERBOXD_ONLY_FILTER_KEYS,
+  ],
+  letterboxd: [
+    ...TMDB_ONLY_FILTER_KEYS,
+    ...IMDB_ONLY_FILTER_KEYS,
+    ...ANILIST_ONLY_FILTER_KEYS,
+    ...MAL_ONLY_FILTER_KEYS,
+    ...KITSU_ONLY_FILTER_KEYS,
+    ...SIMKL_ONLY_FILTER_KEYS,
+    ...TRAKT_ONLY_FILTER_KEYS,
+    ...COMPOSITE_ONLY_FILTER_KEYS,
   ],
 };
 
@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import type { UserConfig } from '../../src/types/index.ts';
+
+const state = vi.hoisted(() => ({
+  saved: [] as UserConfig[],
+  tokenWrites: 0,
+  stored: null as UserConfig | null,
+  cache: new Map<string, unknown>(),
+}));
+
+vi.mock('../../src/config.ts', async (importOriginal) => {
+  const actual = await importOriginal<typeof import('../../src/config.ts')>();
+  return {
+    config: {
+      ...actual.config,
+      traktApi: { clientId: 'trakt-app', clientSecret: 'trakt-secret', enabled: true },
+      simklApi: { clientId: '', enabled: false },
+    },
+  };
+});
+
+vi.mock('../../src/services/configService.ts', () => ({
+  saveUserConfig: async (config: UserConfig) => {
+    state.saved.push(config);
+    state.stored = config;
+    return config;
+  },
+  getUserConfig: async () => state.stored,
+  saveAccountTokens: async (_userId: string, field: keyof UserConfig, encrypted: string) => {
+    state.tokenWrites++;
+    if (!state.stored) return false;
+    state.stored = { ...state.stored, [field]: encrypted };
+    return true;
+  },
+}));
+
+vi.mock('../../src/services/cache/index.ts', () => ({
+  getCache: () => ({
+    get: async (key: string) => state.cache.get(key) ?? null,
+    set: async (key: string, value: unknown) => void state.cache.set(key, value),
+    del: async (key: string) => void state.cache.delete(key),
+  }),
+}));
+
+vi.mock('../../src/services/trakt/client.ts', () => ({
+  traktFetch: async () => ({ user: { username: 'alice' } }),
+}));
+
+import {
+  getAccessToken,
+  getLinkedAccounts,
+  pollAccountLink,
+  readAccountTokens,
+  startAccountLink,
+  unlinkAccount,
+} from '../../src/services/accountLinks/index.ts';
+import { encrypt } from '../../src/utils/encryption.ts';
+
+const fetchMock = vi.fn();
+
+function reply(status: number, body: unknown = {}) {
+  return { status, json: async () => body } as Response;
+}
+
+function profile(extra: Partial<UserConfig> = {}): UserConfig {
+  return { userId: 'user01', catalogs: [], preferences: {}, ...extra };
+}
+
+function linkedProfile(expiresAt: number): UserConfig {
+  const tokens = { accessToken: 'old-access', refreshToken: 'old-refresh', expiresAt, linkedAt: 1 };
+  return profile({ traktTokensEncrypted: encrypt(JSON.stringify(tokens))! });
+}
+
+beforeEach(() => {
+  state.saved = [];
+  state.tokenWrites = 0;
+  state.stored = null;
+  state.cache.clear();
+  fetchMock.mockReset();
+  vi.stubGlobal('fetch', fetchMock);
+});
+
+describe('Trakt device linking', () => {
+  it('keeps the device code server-side and stores encrypted tokens once approved', async () => {
+    fetchMock.mockResolvedValueOnce(
+      reply(200, {
+        device_code: 'secret-device-code',
+        user_code: 'ABCD1234',
+        verification_url: 'https://trakt.tv/activate',
+        expires_in: 600,
+        interval: 5,
+      })
+    );
+    const started = await startAccountLink(profile(), 'trakt');
+    expect(started).toEqual({
+      userCode: 'ABCD1234',
+      verificationUrl: 'https://trakt.tv/activate',
+      expiresIn: 600,
+      interval: 5,
+    });
+    expect(JSON.stringify([...state.cache.values()])).not.toContain('secret-device-code');
+
+    fetchMock.mockResolvedValueOnce(reply(400));
+    expect(await pollAccountLink(profile(), 'trakt')).toEqual({ status: 'pending' });
+
+    fetchMock.mockResolvedValueOnce(
+      reply(200, {
+        access_token: 'access-1',
+        refresh_token: 'refresh-1',
+        expires_in: 7_776_000,
+        created_at: Math.floor(Date.now() / 1000),
+      })
+    );
+    expect(await pollAccountLink(profile(), 'trakt')).toEqual({
+      status: 'linked',
+      username: 'alice',
+    });
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body)).toMatchObject({
+      code: 'secret-device-code',
+      client_secret: 'trakt-secret',
+    });
+
+    const saved = state.saved[0];
+    expect(saved.traktTokensEncrypted).not.toContain('access-1');
+    expect(readAccountTokens(saved, 'trakt')).toMatchObject({
+      accessToken: 'access-1',
+      refreshToken: 'refresh-1',
+      username: 'alice',
+    });
+    expect(getLinkedAccounts(saved)).toEqual([
+      expect.objectContaining({ provider: 'trakt', available: true, linked: true }),
+      { provider: 'simkl', available: false, linked: false },
+    ]);
+    expect(await pollAccountLink(profile(), 'trakt')).toEqual({ status: 'expired' });
+  });
+
+  it('refuses providers the server has no app credentials for', async () => {
+    await expect(startAccountLink(profile(), 'simkl')).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it('clears the stored tokens on unlink', async () => {
+    fetchMock.mockResolvedValue(reply(200));
+    await unlinkAccount(linkedProfile(Date.now() + 1e10), 'trakt');
+    expect(fetchMock.mock.calls[0][0]).toContain('/oauth/revoke');
+    expect(state.saved[0].traktTokensEncrypted).toBe('');
+  });
+});
+
+describe('getAccessToken', () => {
+  it('returns the stored token while it is far from expiry', async () => {
+    expect(await getAccessToken(linkedProfile(Date.now() + 30 * 86_400_000), 'trakt')).toBe(
+      'old-access'
+    );
+    expect(await getAccessToken(profile(), 'trakt')).toBeNull();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('refreshes once for concurrent callers and persists the new pair', async () => {
+    const config = {
+      ...linkedProfile(Date.now() + 60_000),
+      updatedAt: new Date('2026-01-01T00:00:00Z'),
+    };
+    state.stored = config;
+    fetchMock.mockResolvedValue(
+      reply(200, {
+        access_token: 'new-access',
+        refresh_token: 'new-refresh',
+        expires_in: 7_776_000,
+        created_at: Math.floor(Date.now() / 1000),
+      })
+    );
+
+    const tokens = await Promise.all([
+      getAccessToken(config, 'trakt'),
+      getAccessToken(config, 'trakt'),
+    ]);
+    expect(tokens).toEqual(['new-access', 'new-access']);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({
+      grant_type: 'refresh_token',
+      refresh_token: 'old-refresh',
+    });
+    // Only the tokens are written, so config-versioned cache keys stay valid.
+    expect(state.saved).toHaveLength(0);
+    expect(state.tokenWrites).toBe(1);
+    expect(state.stored?.updatedAt).toEqual(new Date('2026-01-01T00:00:00Z'));
+    expect(readAccountTokens(state.stored, 'trakt')).toMatchObject({
+      accessToken: 'new-access',
+      refreshToken: 'new-refresh',
+    });
+  });
+
+  it('unlinks when Trakt rejects the refresh token', async () => {
+    const config = linkedProfile(Date.now() + 60_000);
+    state.stored = config;
+    fetchMock.mockResolvedValue(reply(401));
+    expect(await getAccessToken(config, 'trakt')).toBeNull();
+    expect(state.saved).toHaveLength(0);
+    expect(state.stored?.traktTokensEncrypted).toBe('');
+  });
+
+  it('keeps using an unexpired token when Trakt cannot be reached', async () => {
+    const config = linkedProfile(Date.now() + 60_000);
+    state.stored = config;
+    fetchMock.mockRejectedValue(new Error('network down'));
+    expect(await getAccessToken(config, 'trakt')).toBe('old-access');
+    expect(state.saved).toHaveLength(0);
+    expect(state.tokenWrites).toBe(0);
+  });
+});
@@ -0,0 +1,268 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { mockedAnilistFetch, addonConfig } = vi.hoisted(() => ({
+  mockedAnilistFetch: vi.fn(),
+  addonConfig: vi.fn(),
+}));
+
+vi.mock('../../src/services/anilist/client.ts', () => ({
+  anilistFetch: mockedAnilistFetch,
+}));
+
+vi.mock('../../src/services/marketplace/links.ts', () => ({
+  getAddonUserConfig: addonConfig,
+}));
+
+vi.mock('../../src/services/cache/index.ts', () => ({
+  getCache: () => ({ get: async () => null, set: async () => {} }),
+}));
+
+import type { Request, Response } from 'express';
+import { browseAiring, airingCacheTtl } from '../../src/services/anilist/discover.ts';
+import { handleAnilistCatalogRequest } from '../../src/routes/handlers/anilistHandler.ts';
+import {
+  anilistToStremioMeta,
+  anilistToStremioFullMeta,
+  formatAiringCountdown,
+} from '../../src/services/anilist/stremioMeta.ts';
+import type { AnilistMedia, AnilistMediaDetail } from '../../src/services/anilist/types.ts';
+
+// 2026-03-10T12:00:00Z
+const NOW_MS = Date.UTC(2026, 2, 10, 12);
+const NOW = NOW_MS / 1000;
+const DAY_START = Date.UTC(2026, 2, 10) / 1000;
+
+function media(id: number, overrides: Partial<AnilistMedia> = {}): AnilistMedia {
+  return {
+    id,
+    title: { romaji: `Show ${id}` },
+    format: 'TV',
+    genres: ['Action'],
+    tags: [],
+    isAdult: false,
+    averageScore: 70,
+    ...overrides,
+  } as AnilistMedia;
+}
+
+function schedulePage(
+  slots: Array<{ episode: number; airingAt: number; media: AnilistMedia }>,
+  hasNextPage = false
+) {
+  return { data: { Page: { pageInfo: { hasNextPage }, airingSchedules: slots } } };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('anilist browseAiring', () => {
+  it('queries the next 24 hours soonest first and refreshes at the first airing', async () => {
+    mockedAnilistFetch.mockResolvedValueOnce(
+      schedulePage(
+        [
+          { episode: 7, airingAt: NOW + 600, media: media(1) },
+          { episode: 3, airingAt: NOW + 3600, media: media(2) },
+          { episode: 8, airingAt: NOW + 7200, media: media(1) },
+        ],
+        true
+      )
+    );
+
+    const result = await browseAiring({ anilistListType: 'airing_next_24h' }, 'series', 1, NOW_MS);
+
+    expect(mockedAnilistFetch.mock.calls[0][1]).toMatchObject({
+      page: 1,
+      airingAt_greater: NOW,
+      airingAt_lesser: NOW + 86_400 + 1,
+      sort: ['TIME'],
+    });
+    expect(result.media.map((m) => [m.id, m.scheduledEpisode?.episode])).toEqual([
+      [1, 7],
+      [2, 3],
+    ]);
+    expect(result.hasNextPage).toBe(true);
+    expect(result.refreshAt).toBe(NOW + 600);
+  });
+
+  it('lists today since midnight UTC most recent first and refreshes at day end', async () => {
+    mockedAnilistFetch.mockResolvedValueOnce(
+      schedulePage([{ episode: 6, airingAt: NOW - 7200, media: media(3) }])
+    );
+
+    const result = await browseAiring({ anilistListType: 'aired_today' }, 'series', 1, NOW_MS);
+
+    expect(mockedAnilistFetch.mock.calls[0][1]).toMatchObject({
+      airingAt_greater: DAY_START - 1,
+      airingAt_lesser: NOW + 1,
+      sort: ['TIME_DESC'],
+    });
+    expect(result.refreshAt).toBe(DAY_START + 86_400);
+  });
+
+  it('applies format, genre, tag and adult filters to scheduled media', async () => {
+    mockedAnilistFetch.mockResolvedValueOnce(
+      schedulePage([
+        { episode: 1, airingAt: NOW + 60, media: media(10, { format: 'MOVIE' }) },
+        { episode: 1, airingAt: NOW + 60, media: media(11, { genres: ['Drama'] }) },
+        { episode: 1, airingAt: NOW + 60, media: media(12, { isAdult: true }) },
+        {
+          episode: 1,
+          airingAt: NOW + 60,
+          media: media(13, { tags: [{ id: 1, name: 'Isekai', rank: 90 }] as AnilistMedia['tags'] }),
+        },
+        { episode: 1, airingAt: NOW + 60, media: media(14) },
+      ])
+    );
+
+    const result = await browseAiring(
+      {
+        anilistListType: 'airing_next_7d',
+        genres: ['Action'] as unknown as number[],
+        excludeTags: ['Isekai'],
+      },
+      'series',
+      1,
+      NOW_MS
+    );
+
+    expect(result.media.map((m) => m.id)).toEqual([14]);
+  });
+
+  it('lists a title once across pages read with one seen set', async () => {
+    mockedAnilistFetch
+      .mockResolvedValueOnce(
+        schedulePage(
+          [
+            { episode: 4, airingAt: NOW + 60, media: media(1) },
+            { episode: 2, airingAt: NOW + 120, media: media(2) },
+          ],
+          true
+        )
+      )
+      .mockResolvedValueOnce(
+        schedulePage([
+          { episode: 5, airingAt: NOW + 86_400, media: media(1) },
+          { episode: 9, airingAt: NOW + 90_000, media: media(3) },
+        ])
+      );
+
+    const seen = new Set<number>();
+    const filters = { anilistListType: 'airing_next_7d' } as const;
+    const first = await browseAiring(filters, 'series', 1, NOW_MS, seen);
+    const second = await browseAiring(filters, 'series', 2, NOW_MS, seen);
+
+    expect(first.media.map((m) => m.id)).toEqual([1, 2]);
+    expect(second.media.map((m) => m.id)).toEqual([3]);
+  });
+});
+
+describe('anilist airing catalog pages', () => {
+  // 45 shows airing once in slots 1–45, then shows 1–15 again in slots 46–60.
+  const slots = Array.from({ length: 60 }, (_, i) => ({
+    episode: i < 45 ? 1 : 2,
+    airingAt: NOW + 60 * (i + 1),
+    media: media((i % 45) + 1),
+  }));
+
+  async function requestPage(skip: number): Promise<string[]> {
+    const res = { set: vi.fn(), json: vi.fn() };
+    await handleAnilistCatalogRequest(
+      'user01',
+      'series',
+      'anilist-airing',
+      { skip: String(skip) },
+      res as unknown as Response,
+      {} as Request
+    );
+    return res.json.mock.calls[0][0].metas.map((m: { name: string }) => m.name);
+  }
+
+  it('serves every title once across Stremio pages', async () => {
+    addonConfig.mockResolvedValue({
+      userId: 'user01',
+      catalogs: [
+        {
+          _id: 'airing',
+          source: 'anilist',
+          type: 'series',
+          filters: { anilistListType: 'airing_next_7d' },
+        },
+      ],
+      preferences: {},
+    });
+    mockedAnilistFetch.mockImplementation(async (_query: string, vars: { page: number }) => {
+      const start = (vars.page - 1) * 50;
+      return schedulePage(slots.slice(start, start + 50), start + 50 < slots.length);
+    });
+
+    const pages = [await requestPage(0), await requestPage(20), await requestPage(40)];
+
+    expect(pages.map((names) => names.length)).toEqual([20, 20, 5]);
+    expect(pages.flat()).toEqual(Array.from({ length: 45 }, (_, i) => `Show ${i + 1}`));
+  });
+});
+
+describe('anilist airing cache ttl', () => {
+  it('expires with the schedule within the configured bounds', () => {
+    expect(airingCacheTtl(NOW + 300, NOW_MS)).toBe(300);
+    expect(airingCacheTtl(NOW + 5, NOW_MS)).toBe(60);
+    expect(airingCacheTtl(NOW + 86_400, NOW_MS)).toBe(900);
+  });
+});
+
+describe('anilist airing countdowns', () => {
+  it('formats upcoming and aired slots', () => {
+    expect(formatAiringCountdown({ episode: 7, airingAt: NOW + 3 * 3600 }, NOW_MS)).toBe(
+      'Ep 7 airs in 3h'
+    );
+    expect(formatAiringCountdown({ episode: 2, airingAt: NOW + 90_000 }, NOW_MS)).toBe(
+      'Ep 2 airs in 1d 1h'
+    );
+    expect(formatAiringCountdown({ episode: 6, airingAt: NOW - 2 * 3600 }, NOW_MS)).toBe(
+      'Ep 6 aired 2h ago'
+    );
+    expect(formatAiringCountdown({ episode: 1, airingAt: NOW + 45 * 60 }, NOW_MS)).toBe(
+      'Ep 1 airs in 45m'
+    );
+  });
+
+  it('prefixes the preview description with the scheduled episode', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW_MS);
+    try {
+      const meta = anilistToStremioMeta(
+        media(5, {
+          description: 'A story.',
+          scheduledEpisode: { episode: 7, airingAt: NOW + 3 * 3600 },
+        }),
+        'series'
+      );
+      expect(meta?.description).toBe('Ep 7 airs in 3h\nA story.');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('emits upcoming episodes with their future release times', () => {
+    const detail = {
+      ...media(6),
+      idMal: 600,
+      airingSchedule: { nodes: [{ episode: 1, airingAt: NOW - 604_800 }] },
+      upcomingSchedule: {
+        nodes: [
+          { episode: 2, airingAt: NOW + 3600 },
+          { episode: 3, airingAt: NOW + 608_400 },
+        ],
+      },
+    } as AnilistMediaDetail;
+
+    const meta = anilistToStremioFullMeta(detail, 'series', 'mal:600');
+
+    expect(meta.videos?.map((v) => [v.episode, v.released])).toEqual([
+      [1, new Date((NOW - 604_800) * 1000).toISOString()],
+      [2, new Date((NOW + 3600) * 1000).toISOString()],
+      [3, new Date((NOW + 608_400) * 1000).toISOString()],
+    ]);
+  });
+});
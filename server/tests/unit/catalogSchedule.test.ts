@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getScheduleClock,
+  isCatalogScheduled,
+  normalizeCatalogSchedule,
+} from '../../src/services/catalogSchedule/index.ts';
+
+describe('normalizeCatalogSchedule', () => {
+  it('drops malformed rules and keeps valid ones', () => {
+    expect(
+      normalizeCatalogSchedule({
+        dateRanges: [
+          { from: '2026-12-31', to: '2026-12-01' },
+          { from: '2026-02-30', to: '2026-03-01' },
+          { from: 'soon', to: '2026-01-01' },
+        ],
+        yearlyRanges: [
+          { from: '12-20', to: '01-06' },
+          { from: '13-01', to: '13-02' },
+        ],
+        weekdays: [6, 0, 0, 9, -1],
+        hours: [
+          0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23,
+        ],
+        timezone: 'Europe/Berlin',
+      })
+    ).toEqual({
+      dateRanges: [{ from: '2026-12-01', to: '2026-12-31' }],
+      yearlyRanges: [{ from: '12-20', to: '01-06' }],
+      weekdays: [0, 6],
+      timezone: 'Europe/Berlin',
+    });
+  });
+
+  it('returns null when no rule is left and ignores unknown timezones', () => {
+    expect(normalizeCatalogSchedule({ weekdays: [], timezone: 'Europe/Berlin' })).toBeNull();
+    expect(normalizeCatalogSchedule(null)).toBeNull();
+    expect(normalizeCatalogSchedule({ hours: [20], timezone: 'Mars/Olympus' })).toEqual({
+      hours: [20],
+    });
+  });
+});
+
+describe('isCatalogScheduled', () => {
+  it('reads the clock in the schedule timezone', () => {
+    const now = new Date('2026-01-01T03:00:00Z');
+    expect(getScheduleClock(now)).toEqual({
+      date: '2026-01-01',
+      monthDay: '01-01',
+      weekday: 4,
+      hour: 3,
+    });
+    expect(getScheduleClock(now, 'America/Los_Angeles')).toEqual({
+      date: '2025-12-31',
+      monthDay: '12-31',
+      weekday: 3,
+      hour: 19,
+    });
+  });
+
+  it('matches yearly ranges that wrap over New Year', () => {
+    const schedule = { yearlyRanges: [{ from: '12-20', to: '01-06' }] };
+    expect(isCatalogScheduled(schedule, new Date('2026-12-24T12:00:00Z'))).toBe(true);
+    expect(isCatalogScheduled(schedule, new Date('2027-01-06T12:00:00Z'))).toBe(true);
+    expect(isCatalogScheduled(schedule, new Date('2027-01-07T12:00:00Z'))).toBe(false);
+  });
+
+  it('requires every configured rule to match', () => {
+    const schedule = {
+      dateRanges: [{ from: '2026-10-01', to: '2026-10-31' }],
+      weekdays: [5, 6],
+      hours: [20, 21, 22],
+    };
+    // Friday 2026-10-30
+    expect(isCatalogScheduled(schedule, new Date('2026-10-30T21:15:00Z'))).toBe(true);
+    expect(isCatalogScheduled(schedule, new Date('2026-10-30T12:00:00Z'))).toBe(false);
+    // Thursday 2026-10-29
+    expect(isCatalogScheduled(schedule, new Date('2026-10-29T21:15:00Z'))).toBe(false);
+    // Friday 2026-11-06
+    expect(isCatalogScheduled(schedule, new Date('2026-11-06T21:15:00Z'))).toBe(false);
+    expect(isCatalogScheduled(undefined)).toBe(true);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryAdapter } from '../../src/services/storage/MemoryAdapter.ts';
+
+const storage = new MemoryAdapter();
+
+vi.mock('../../src/services/storage/index.ts', () => ({
+  getStorage: () => storage,
+}));
+
+import {
+  buildCatalogSnapshot,
+  collectSnapshotWindow,
+  diffAgainstSnapshot,
+  getSnapshotCatalogs,
+  hashSnapshotQuery,
+  isSnapshotDue,
+} from '../../src/services/snapshots/index.ts';
+import { refreshDueSnapshots } from '../../src/infrastructure/snapshotScheduler.ts';
+import { SNAPSHOT_LIMITS } from '../../src/constants.ts';
+import type { CatalogConfig, StremioMetaPreview, UserConfig } from '../../src/types/index.ts';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function meta(id: string): StremioMetaPreview {
+  return { id, type: 'movie', name: id } as StremioMetaPreview;
+}
+
+function catalog(overrides: Partial<CatalogConfig> = {}): CatalogConfig {
+  return {
+    _id: 'cat-1',
+    name: 'New on Netflix',
+    type: 'movie',
+    source: 'tmdb',
+    filters: { watchRegion: 'US', watchProviders: [8], newSinceSnapshot: true },
+    ...overrides,
+  } as CatalogConfig;
+}
+
+describe('getSnapshotCatalogs', () => {
+  it('returns enabled catalogs with the diff flag', () => {
+    const config = {
+      userId: 'u1',
+      catalogs: [
+        catalog(),
+        catalog({ _id: 'cat-2', filters: {} }),
+        catalog({ _id: 'cat-3', enabled: false }),
+      ],
+    } as UserConfig;
+
+    expect(getSnapshotCatalogs(config).map((c) => c._id)).toEqual(['cat-1']);
+    expect(getSnapshotCatalogs(null)).toEqual([]);
+  });
+});
+
+describe('hashSnapshotQuery', () => {
+  it('ignores the diff flag but tracks query changes', () => {
+    const base = hashSnapshotQuery(catalog());
+    expect(
+      hashSnapshotQuery(catalog({ filters: { watchRegion: 'US', watchProviders: [8] } }))
+    ).toBe(base);
+    expect(
+      hashSnapshotQuery(catalog({ filters: { watchRegion: 'GB', watchProviders: [8] } }))
+    ).not.toBe(base);
+    expect(hashSnapshotQuery(catalog({ type: 'series' }))).not.toBe(base);
+  });
+});
+
+describe('collectSnapshotWindow', () => {
+  it('reads pages by raw offset until the window is full', async () => {
+    const fetchRawPage = vi.fn(async (skip: number) =>
+      Array.from({ length: 20 }, (_, i) => meta(`tt${1000 + skip + i}`))
+    );
+
+    const window = await collectSnapshotWindow(fetchRawPage, 50);
+
+    expect(window).toHaveLength(50);
+    expect(fetchRawPage.mock.calls.map(([skip]) => skip)).toEqual([0, 20, 40]);
+  });
+
+  it('advances by whole pages when a page comes back short', async () => {
+    // Like the source handlers: skip maps onto page floor(skip / 20), and one
+    // title per page is dropped after the fetch.
+    const fetchRawPage = vi.fn(async (skip: number) => {
+      const start = Math.floor(skip / 20) * 20;
+      return Array.from({ length: 19 }, (_, i) => meta(`tt${1000 + start + i}`));
+    });
+
+    const window = await collectSnapshotWindow(fetchRawPage, 50);
+
+    expect(fetchRawPage.mock.calls.map(([skip]) => skip)).toEqual([0, 20, 40]);
+    expect(window).toHaveLength(50);
+    expect(new Set(window.map((m) => m.id)).size).toBe(50);
+    expect(window[19].id).toBe('tt1020');
+  });
+
+  it('stops at the first empty page', async () => {
+    const fetchRawPage = vi.fn(async (skip: number) =>
+      skip === 0 ? [meta('tt1'), meta('tt2')] : []
+    );
+
+    const window = await collectSnapshotWindow(fetchRawPage, 100);
+
+    expect(window.map((m) => m.id)).toEqual(['tt1', 'tt2']);
+    expect(fetchRawPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('reads a bounded number of pages from sources that repeat the same page', async () => {
+    const fetchRawPage = vi.fn(async () => [meta('tt1'), meta('tt2')]);
+
+    const window = await collectSnapshotWindow(fetchRawPage, 100);
+
+    expect(window.map((m) => m.id)).toEqual(['tt1', 'tt2']);
+    expect(fetchRawPage).toHaveBeenCalledTimes(SNAPSHOT_LIMITS.MAX_PAGES);
+  });
+});
+
+describe('diffAgainstSnapshot', () => {
+  it('keeps only titles missing from the snapshot, in catalog order', () => {
+    const snapshot = buildCatalogSnapshot('u1', catalog(), [meta('tt1'), meta('tt2')]);
+    const current = [meta('tt3'), meta('tt1'), meta('tt4'), meta('tt2')];
+
+    expect(diffAgainstSnapshot(current, snapshot).map((m) => m.id)).toEqual(['tt3', 'tt4']);
+  });
+});
+
+describe('isSnapshotDue', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  it('is due without a snapshot, after the interval, or when the query changed', () => {
+    const fresh = buildCatalogSnapshot('u1', catalog(), [], new Date(now - DAY_MS));
+
+    expect(isSnapshotDue(null, catalog(), 7 * DAY_MS, now)).toBe(true);
+    expect(isSnapshotDue(fresh, catalog(), 7 * DAY_MS, now)).toBe(false);
+    expect(isSnapshotDue(fresh, catalog(), DAY_MS, now)).toBe(true);
+    expect(isSnapshotDue(fresh, catalog({ filters: { watchRegion: 'GB' } }), 7 * DAY_MS, now)).toBe(
+      true
+    );
+  });
+});
+
+describe('MemoryAdapter catalog snapshots', () => {
+  beforeEach(async () => {
+    await storage.disconnect();
+  });
+
+  it('stores one snapshot per user and catalog', async () => {
+    const takenAt = new Date('2026-10-12T00:00:00Z');
+    await storage.saveCatalogSnapshot(
+      buildCatalogSnapshot('u1', catalog(), [meta('tt1')], takenAt)
+    );
+    await storage.saveCatalogSnapshot(
+      buildCatalogSnapshot('u1', catalog(), [meta('tt2')], takenAt)
+    );
+    await storage.saveCatalogSnapshot(buildCatalogSnapshot('u2', catalog(), [meta('tt3')]));
+
+    expect((await storage.getCatalogSnapshot('u1', 'cat-1'))?.ids).toEqual(['tt2']);
+    expect(await storage.getCatalogSnapshot('u1', 'missing')).toBeNull();
+
+    expect(await storage.deleteCatalogSnapshots('u1')).toBe(1);
+    expect(await storage.getCatalogSnapshot('u1', 'cat-1')).toBeNull();
+    expect(await storage.getCatalogSnapshot('u2', 'cat-1')).not.toBeNull();
+  });
+});
+
+describe('refreshDueSnapshots', () => {
+  beforeEach(async () => {
+    await storage.disconnect();
+  });
+
+  it('only snapshots flagged catalogs whose snapshot is due', async () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    await storage.saveUserConfig({
+      userId: 'u1',
+      catalogs: [catalog(), catalog({ _id: 'cat-2' }), catalog({ _id: 'cat-3', filters: {} })],
+    } as UserConfig);
+    await storage.saveCatalogSnapshot(
+      buildCatalogSnapshot('u1', catalog({ _id: 'cat-2' }), [], new Date(now - DAY_MS))
+    );
+
+    const takeSnapshot = vi.fn(async (userId: string, c: CatalogConfig) =>
+      storage.saveCatalogSnapshot(buildCatalogSnapshot(userId, c, [meta('tt1')]))
+    );
+
+    const result = await refreshDueSnapshots(takeSnapshot, 7 * DAY_MS, now);
+
+    expect(result).toEqual({ refreshed: 1, failed: 0, skipped: 1 });
+    expect(takeSnapshot).toHaveBeenCalledTimes(1);
+    expect(takeSnapshot.mock.calls[0][1]._id).toBe('cat-1');
+  });
+
+  it('counts failures without stopping the pass', async () => {
+    await storage.saveUserConfig({
+      userId: 'u1',
+      catalogs: [catalog(), catalog({ _id: 'cat-2' })],
+    } as UserConfig);
+
+    const takeSnapshot = vi
+      .fn()
+      .mockRejectedValueOnce(new Error('TMDB down'))
+      .mockResolvedValueOnce(null);
+
+    const result = await refreshDueSnapshots(takeSnapshot, 7 * DAY_MS);
+
+    expect(result).toEqual({ refreshed: 0, failed: 1, skipped: 1 });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import {
+  mergeCompositeMetas,
+  normalizeCompositeMergeMode,
+  normalizeCompositeWeight,
+  resolveCompositeMembers,
+} from '../../src/services/composite/merge.ts';
+import { metaIdentityKeys } from '../../src/utils/metaIdResolution.ts';
+import type { AnimeIdEntry } from '../../src/services/animeIdMap/index.ts';
+import type { CatalogConfig, StremioMetaPreview, UserConfig } from '../../src/types/index.ts';
+
+function meta(id: string, extra: Partial<StremioMetaPreview> = {}): StremioMetaPreview {
+  return {
+    id,
+    tmdbId: undefined as unknown as number,
+    imdbId: null,
+    imdb_id: null,
+    type: 'series',
+    name: id,
+    slug: id,
+    poster: null,
+    posterShape: 'poster',
+    background: null,
+    fanart: null,
+    landscapePoster: null,
+    description: '',
+    releaseInfo: '',
+    genres: [],
+    behaviorHints: {},
+    ...extra,
+  } as StremioMetaPreview;
+}
+
+const ids = (metas: StremioMetaPreview[]) => metas.map((m) => m.id);
+
+describe('metaIdentityKeys', () => {
+  it('collects the stremio id, imdb id and tmdb id', () => {
+    const keys = metaIdentityKeys(meta('tmdb:1399', { tmdbId: 1399, imdb_id: 'tt0944947' }));
+    expect(keys).toEqual(expect.arrayContaining(['id:tmdb:1399', 'imdb:tt0944947', 'tmdb:1399']));
+  });
+
+  it('maps anime ids through the anime id map', () => {
+    const lookup = (id: string): AnimeIdEntry | undefined =>
+      id === 'anilist:21'
+        ? { anilist_id: 21, imdb_id: 'tt0388629', themoviedb_id: 37854 }
+        : undefined;
+
+    const keys = metaIdentityKeys(meta('anilist:21'), lookup);
+    expect(keys).toEqual(expect.arrayContaining(['imdb:tt0388629', 'tmdb:37854']));
+  });
+});
+
+describe('mergeCompositeMetas', () => {
+  const a = [meta('a1'), meta('a2'), meta('a3')];
+  const b = [meta('b1'), meta('b2')];
+
+  it('round-robins one title from each member in turn', () => {
+    expect(ids(mergeCompositeMetas([a, b], { mode: 'roundRobin' }))).toEqual([
+      'a1',
+      'b1',
+      'a2',
+      'b2',
+      'a3',
+    ]);
+  });
+
+  it('interleaves members in proportion to their weights', () => {
+    const long = [meta('x1'), meta('x2'), meta('x3'), meta('x4')];
+    const short = [meta('y1'), meta('y2')];
+    const merged = ids(mergeCompositeMetas([long, short], { mode: 'interleave', weights: [2, 1] }));
+    expect(merged.slice(0, 3).filter((id) => id.startsWith('x'))).toHaveLength(2);
+    expect(merged).toHaveLength(6);
+  });
+
+  it('drops duplicates that share an imdb or tmdb id across sources', () => {
+    const tmdbRow = [meta('tt0944947', { tmdbId: 1399, imdb_id: 'tt0944947' })];
+    const traktRow = [meta('tmdb:1399', { tmdbId: 1399 }), meta('tmdb:2')];
+    expect(ids(mergeCompositeMetas([tmdbRow, traktRow], { mode: 'roundRobin' }))).toEqual([
+      'tt0944947',
+      'tmdb:2',
+    ]);
+  });
+
+  it('is prefix-stable when member lists grow', () => {
+    const shallow = mergeCompositeMetas([a.slice(0, 2), b.slice(0, 1)], { mode: 'roundRobin' });
+    const deep = mergeCompositeMetas([a, b], { mode: 'roundRobin' });
+    expect(ids(deep).slice(0, 2)).toEqual(ids(shallow).slice(0, 2));
+  });
+
+  it('score mode ranks titles shared by several members first', () => {
+    const left = [meta('l1'), meta('shared', { imdb_id: 'tt1' })];
+    const right = [meta('r1'), meta('tt1')];
+    const merged = ids(mergeCompositeMetas([left, right], { mode: 'score' }));
+    expect(merged[0]).toBe('shared');
+    expect(merged).toHaveLength(3);
+  });
+});
+
+describe('normalizers', () => {
+  it('falls back to round-robin for unknown modes', () => {
+    expect(normalizeCompositeMergeMode('score')).toBe('score');
+    expect(normalizeCompositeMergeMode('bogus')).toBe('roundRobin');
+  });
+
+  it('clamps weights to a positive bounded range', () => {
+    expect(normalizeCompositeWeight(undefined)).toBe(1);
+    expect(normalizeCompositeWeight(-3)).toBe(1);
+    expect(normalizeCompositeWeight(2.5)).toBe(2.5);
+    expect(normalizeCompositeWeight(99)).toBe(5);
+  });
+});
+
+describe('resolveCompositeMembers', () => {
+  const catalog = (_id: string, extra: Partial<CatalogConfig> = {}): CatalogConfig => ({
+    _id,
+    name: _id,
+    type: 'movie',
+    source: 'tmdb',
+    filters: {},
+    ...extra,
+  });
+
+  it('keeps listed order and drops nested composites, self and other types', () => {
+    const composite = catalog('mix', {
+      source: 'composite',
+      filters: { compositeCatalogIds: ['b', 'mix', 'other', 'tv', 'a', 'missing', 'b'] },
+    });
+    const config = {
+      userId: 'user-123',
+      preferences: {},
+      catalogs: [
+        catalog('a'),
+        catalog('b', { source: 'trakt' }),
+        catalog('tv', { type: 'series' }),
+        catalog('other', { source: 'composite' }),
+        composite,
+      ],
+    } as UserConfig;
+
+    expect(resolveCompositeMembers(config, composite).map((c) => c._id)).toEqual(['b', 'a']);
+  });
+});
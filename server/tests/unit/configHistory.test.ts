@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryAdapter } from '../../src/services/storage/MemoryAdapter.ts';
+
+let storage = new MemoryAdapter();
+
+vi.mock('../../src/services/storage/index.ts', () => ({
+  getStorage: () => storage,
+}));
+
+import { recordConfigRevision } from '../../src/services/configHistory/index.ts';
+import type { CatalogConfig, UserConfig } from '../../src/types/index.ts';
+
+function catalog(id: string, filters: Record<string, unknown> = {}): CatalogConfig {
+  return { _id: id, name: id, type: 'movie', source: 'tmdb', filters } as CatalogConfig;
+}
+
+function userConfig(catalogs: CatalogConfig[], overrides: Partial<UserConfig> = {}): UserConfig {
+  return {
+    userId: 'u1',
+    configName: 'Main',
+    catalogs,
+    preferences: {},
+    ...overrides,
+  } as UserConfig;
+}
+
+describe('recordConfigRevision', () => {
+  beforeEach(() => {
+    storage = new MemoryAdapter();
+  });
+
+  it('records the previous config as a baseline before the first change', async () => {
+    const before = userConfig([catalog('a')], { updatedAt: new Date('2026-01-01') });
+    const after = userConfig([catalog('a'), catalog('b')]);
+
+    const saved = await recordConfigRevision(before, after, 10);
+
+    expect(saved?.rev).toBe(2);
+    const revisions = await storage.getConfigRevisions('u1');
+    expect(revisions.map((r) => r.rev)).toEqual([2, 1]);
+    expect(revisions[1].catalogs.map((c) => c._id)).toEqual(['a']);
+    expect(revisions[1].savedAt).toEqual(new Date('2026-01-01'));
+  });
+
+  it('skips saves that leave the name and catalogs unchanged', async () => {
+    const config = userConfig([catalog('a', { genres: [28], sortBy: undefined })]);
+    await recordConfigRevision(null, config, 10);
+
+    expect(
+      await recordConfigRevision(
+        config,
+        userConfig([catalog('a', { genres: [28] })], { preferences: { language: 'de' } }),
+        10
+      )
+    ).toBeNull();
+    expect(await storage.getConfigRevisions('u1')).toHaveLength(1);
+
+    await recordConfigRevision(config, userConfig(config.catalogs, { configName: 'Renamed' }), 10);
+    expect((await storage.getConfigRevisions('u1'))[0].configName).toBe('Renamed');
+  });
+
+  it('keeps only the newest revisions and does nothing when history is off', async () => {
+    for (let i = 1; i <= 4; i++) {
+      await recordConfigRevision(null, userConfig([catalog(`c${i}`)]), 3);
+    }
+    expect((await storage.getConfigRevisions('u1')).map((r) => r.rev)).toEqual([4, 3, 2]);
+
+    expect(await recordConfigRevision(null, userConfig([catalog('c5')]), 0)).toBeNull();
+    expect(await storage.getConfigRevisions('u1')).toHaveLength(3);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import { fetchCustomList, normalizeCustomListItems } from '../../src/services/tmdb/customList.ts';
+
+describe('normalizeCustomListItems', () => {
+  it('normalizes ids, keeps notes and drops invalid or duplicate entries', () => {
+    expect(
+      normalizeCustomListItems([
+        { id: 'TT0133093', name: 'The Matrix', note: '  Start here  ' },
+        { id: 603, name: 'The Matrix (TMDB)' },
+        { id: 'tmdb:603', note: 'dupe' },
+        '604',
+        { id: 'nm0000206' },
+        { id: 'tmdb:0' },
+        null,
+        { id: 'tt0234215', note: '' },
+      ])
+    ).toEqual([
+      { id: 'tt0133093', name: 'The Matrix', note: 'Start here' },
+      { id: 'tmdb:603', name: 'The Matrix (TMDB)' },
+      { id: 'tmdb:604' },
+      { id: 'tt0234215' },
+    ]);
+    expect(normalizeCustomListItems(undefined)).toEqual([]);
+  });
+});
+
+describe('fetchCustomList', () => {
+  const items = Array.from({ length: 25 }, (_, i) => ({ id: `tmdb:${i + 1}` }));
+
+  it('pages items in list order and carries notes', async () => {
+    const resolve = vi.fn();
+    const first = await fetchCustomList(
+      'key',
+      [{ id: 'tmdb:100', note: 'Watch first' }, ...items.slice(1)],
+      'movie',
+      { page: 1 },
+      resolve
+    );
+
+    expect(resolve).not.toHaveBeenCalled();
+    expect(first.total_pages).toBe(2);
+    expect(first.total_results).toBe(25);
+    expect(first.results[0]).toEqual({ id: 100, custom_note: 'Watch first' });
+    expect(first.results).toHaveLength(20);
+
+    const second = await fetchCustomList('key', items, 'movie', { page: 2 }, resolve);
+    expect(second.results.map((r) => r.id)).toEqual([21, 22, 23, 24, 25]);
+    const past = await fetchCustomList('key', items, 'movie', { page: 3 }, resolve);
+    expect(past.results).toEqual([]);
+    expect(past.total_pages).toBe(2);
+  });
+
+  it('resolves only the requested page of IMDb ids and skips unknown titles', async () => {
+    const resolve = vi.fn(async () => new Map([['tt0133093', 603]]));
+    const result = await fetchCustomList(
+      'key',
+      [{ id: 'tt0133093' }, { id: 'tt9999999' }, { id: 'tmdb:1399' }],
+      'series',
+      { language: 'de' },
+      resolve
+    );
+
+    expect(resolve).toHaveBeenCalledWith('key', ['tt0133093', 'tt9999999'], 'series', {
+      language: 'de',
+    });
+    expect(result.results).toEqual([{ id: 603 }, { id: 1399 }]);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildExclusionMatcher,
+  collectFilteredPage,
+  normalizeExcludedItems,
+} from '../../src/services/exclusions/index.ts';
+import type { AnimeIdEntry } from '../../src/services/animeIdMap/index.ts';
+import type { ContentType, StremioMetaPreview } from '../../src/types/index.ts';
+
+function meta(
+  id: string,
+  extra: Partial<StremioMetaPreview> = {},
+  type: ContentType = 'movie'
+): StremioMetaPreview {
+  return { id, type, name: id, imdb_id: null, imdbId: null, ...extra } as StremioMetaPreview;
+}
+
+describe('normalizeExcludedItems', () => {
+  it('keeps imdb and tmdb ids and drops anything else', () => {
+    expect(
+      normalizeExcludedItems([
+        { id: 'TT0944947', name: ' Game of Thrones ' },
+        { id: '1399', type: 'series' },
+        { id: 'tmdb:603', type: 'movie' },
+        'tt0133093',
+        550,
+        { id: 'anilist:21' },
+        { id: 'tt12' },
+        null,
+      ])
+    ).toEqual([
+      { id: 'tt0944947', name: 'Game of Thrones' },
+      { id: 'tmdb:1399', type: 'series' },
+      { id: 'tmdb:603', type: 'movie' },
+      { id: 'tt0133093' },
+      { id: 'tmdb:550' },
+    ]);
+  });
+
+  it('dedupes entries but keeps a tmdb id per content type', () => {
+    expect(
+      normalizeExcludedItems([
+        { id: 'tt0944947' },
+        { id: 'tt0944947', name: 'again' },
+        { id: '1399', type: 'movie' },
+        { id: '1399', type: 'series' },
+      ])
+    ).toHaveLength(3);
+  });
+
+  it('returns an empty list for non-arrays', () => {
+    expect(normalizeExcludedItems(undefined)).toEqual([]);
+    expect(normalizeExcludedItems('tt0944947')).toEqual([]);
+  });
+});
+
+describe('buildExclusionMatcher', () => {
+  it('returns null when nothing is excluded', () => {
+    expect(buildExclusionMatcher([])).toBeNull();
+    expect(buildExclusionMatcher(undefined)).toBeNull();
+  });
+
+  it('matches on imdb id regardless of the preview id format', () => {
+    const isExcluded = buildExclusionMatcher([{ id: 'tt0944947' }])!;
+    expect(isExcluded(meta('tt0944947'))).toBe(true);
+    expect(isExcluded(meta('tmdb:1399', { imdb_id: 'tt0944947' }))).toBe(true);
+    expect(isExcluded(meta('tt0133093'))).toBe(false);
+  });
+
+  it('only matches typed tmdb ids against the same content type', () => {
+    const isExcluded = buildExclusionMatcher([{ id: 'tmdb:1399', type: 'series' }])!;
+    expect(isExcluded(meta('tmdb:1399', { tmdbId: 1399 }, 'series'))).toBe(true);
+    expect(isExcluded(meta('tmdb:1399', { tmdbId: 1399 }, 'movie'))).toBe(false);
+    expect(isExcluded(meta('tmdb:1399', { tmdbId: 1399 }, 'anime'))).toBe(true);
+  });
+
+  it('hides anime previews that map onto an excluded title', () => {
+    const lookup = (id: string): AnimeIdEntry | undefined =>
+      id === 'kitsu:1' ? { kitsu_id: 1, imdb_id: 'tt0213338' } : undefined;
+    const isExcluded = buildExclusionMatcher([{ id: 'tt0213338' }], lookup)!;
+    expect(isExcluded(meta('kitsu:1', {}, 'series'))).toBe(true);
+  });
+});
+
+describe('collectFilteredPage', () => {
+  const catalog = Array.from({ length: 100 }, (_, i) => meta(`tt${1000000 + i}`));
+  const fetchRawPage = vi.fn(async (rawSkip: number) => catalog.slice(rawSkip, rawSkip + 20));
+  const ids = (metas: StremioMetaPreview[]) => metas.map((m) => m.id);
+
+  it('refills the page from the following raw pages', async () => {
+    const excluded = new Set(catalog.slice(0, 5).map((m) => m.id));
+    const page = await collectFilteredPage(fetchRawPage, (m) => excluded.has(m.id), 0, 20);
+    expect(page).toHaveLength(20);
+    expect(ids(page)[0]).toBe('tt1000005');
+  });
+
+  it('keeps later pages contiguous with earlier ones', async () => {
+    const isExcluded = (m: StremioMetaPreview) => Number(m.id.slice(2)) % 3 === 0;
+    const first = await collectFilteredPage(fetchRawPage, isExcluded, 0, 20);
+    const second = await collectFilteredPage(fetchRawPage, isExcluded, 20, 20);
+    const both = await collectFilteredPage(fetchRawPage, isExcluded, 0, 40);
+    expect([...ids(first), ...ids(second)]).toEqual(ids(both));
+  });
+
+  it('advances by whole upstream pages when a handler returns short pages', async () => {
+    // Like the source handlers: skip maps onto page floor(skip / 20), and
+    // every fifth title is dropped after the page is fetched.
+    const pagedFetch = async (rawSkip: number) => {
+      const start = Math.floor(rawSkip / 20) * 20;
+      return catalog
+        .slice(start, start + 20)
+        .filter((m) => Number(m.id.slice(2)) % 5 !== 0)
+        .concat(start === 20 ? [catalog[21]] : []);
+    };
+    const first = await collectFilteredPage(pagedFetch, () => false, 0, 20);
+    const second = await collectFilteredPage(pagedFetch, () => false, 20, 20);
+    const all = [...ids(first), ...ids(second)];
+    expect(all).toHaveLength(40);
+    expect(new Set(all).size).toBe(40);
+    expect(all).toEqual(
+      catalog
+        .filter((m) => Number(m.id.slice(2)) % 5 !== 0)
+        .slice(0, 40)
+        .map((m) => m.id)
+    );
+  });
+
+  it('stops after a bounded number of raw pages', async () => {
+    fetchRawPage.mockClear();
+    const page = await collectFilteredPage(fetchRawPage, () => true, 0, 20);
+    expect(page).toEqual([]);
+    expect(fetchRawPage.mock.calls.length).toBeLessThanOrEqual(4);
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/services/tmdb/index.ts', () => ({
+  getGenres: vi.fn(),
+  getOriginalLanguages: vi.fn(),
+  searchPerson: vi.fn(),
+  searchKeyword: vi.fn(),
+}));
+
+import * as tmdb from '../../src/services/tmdb/index.ts';
+import {
+  buildFiltersFromPrompt,
+  parseFilterPrompt,
+} from '../../src/services/filterPrompt/index.ts';
+
+const MOVIE_GENRES = [
+  { id: 28, name: 'Action' },
+  { id: 35, name: 'Comedy' },
+  { id: 99, name: 'Documentary' },
+  { id: 27, name: 'Horror' },
+  { id: 10749, name: 'Romance' },
+  { id: 878, name: 'Science Fiction' },
+  { id: 53, name: 'Thriller' },
+];
+const TV_GENRES = [
+  { id: 10759, name: 'Action & Adventure' },
+  { id: 10765, name: 'Sci-Fi & Fantasy' },
+];
+const LANGUAGES = [
+  { iso_639_1: 'en', english_name: 'English', name: 'English' },
+  { iso_639_1: 'ja', english_name: 'Japanese', name: '日本語' },
+  { iso_639_1: 'ko', english_name: 'Korean', name: '한국어/조선말' },
+  { iso_639_1: 'zh', english_name: 'Mandarin', name: '普通话' },
+];
+
+const parse = (text: string, genres = MOVIE_GENRES) =>
+  parseFilterPrompt(text, { genres, languages: LANGUAGES });
+
+describe('parseFilterPrompt', () => {
+  it('reads the example sentence', () => {
+    expect(parse('90s Japanese horror rated above 7 with fewer than 120 minutes')).toEqual({
+      filters: {
+        yearFrom: 1990,
+        yearTo: 1999,
+        language: 'ja',
+        genres: [27],
+        ratingMin: 7,
+        runtimeMax: 120,
+      },
+      people: [],
+      keywords: [],
+      unrecognized: [],
+    });
+  });
+
+  it('reads years, decades and ranges', () => {
+    expect(parse('movies from 2015').filters).toEqual({ yearFrom: 2015 });
+    expect(parse('released before 2000').filters).toEqual({ yearTo: 1999 });
+    expect(parse('after the 80s').filters).toEqual({ yearFrom: 1990 });
+    expect(parse('between 1990 and 2005').filters).toEqual({ yearFrom: 1990, yearTo: 2005 });
+    expect(parse('1970-1979').filters).toEqual({ yearFrom: 1970, yearTo: 1979 });
+    expect(parse('late 90s').filters).toEqual({ yearFrom: 1997, yearTo: 1999 });
+    expect(parse("early '00s").filters).toEqual({ yearFrom: 2000, yearTo: 2003 });
+    expect(parse('in 2019').filters).toEqual({ yearFrom: 2019, yearTo: 2019 });
+    expect(parse('the eighties').filters).toEqual({ yearFrom: 1980, yearTo: 1989 });
+  });
+
+  it('reads ratings and runtimes in several phrasings', () => {
+    expect(parse('rating of at least 7.5').filters).toEqual({ ratingMin: 7.5 });
+    expect(parse('rated 8+').filters).toEqual({ ratingMin: 8 });
+    expect(parse('rated below 5').filters).toEqual({ ratingMax: 5 });
+    expect(parse('above 6').filters).toEqual({ ratingMin: 6 });
+    expect(parse('under 2 hours').filters).toEqual({ runtimeMax: 120 });
+    expect(parse('90 minutes or longer').filters).toEqual({ runtimeMin: 90 });
+    expect(parse('runtime over 100min').filters).toEqual({ runtimeMin: 100 });
+  });
+
+  it('matches genres by plural, alias and TV genre part, and reads exclusions', () => {
+    expect(parse('comedies').filters).toEqual({ genres: [35] });
+    expect(parse('sci-fi thrillers').filters).toEqual({ genres: [878, 53] });
+    expect(parse('romcoms').filters).toEqual({ genres: [10749, 35] });
+    expect(parse('action sci-fi', TV_GENRES).filters).toEqual({ genres: [10759, 10765] });
+    expect(parse('thrillers without horror').filters).toEqual({
+      genres: [53],
+      excludeGenres: [27],
+    });
+    expect(parse('non-horror').filters).toEqual({ excludeGenres: [27] });
+  });
+
+  it('maps languages, including names TMDB lists differently', () => {
+    expect(parse('Korean thrillers').filters).toEqual({ language: 'ko', genres: [53] });
+    expect(parse('in Chinese').filters).toEqual({ language: 'zh' });
+  });
+
+  it('collects people after a lead word and keywords after "about"', () => {
+    const result = parse(
+      'sci-fi directed by Denis Villeneuve or starring Tom Hanks and Meg Ryan about time travel'
+    );
+    expect(result.people).toEqual(['Denis Villeneuve', 'Tom Hanks', 'Meg Ryan']);
+    expect(result.keywords).toEqual(['time travel']);
+    expect(result.filters).toEqual({ genres: [878] });
+    expect(result.unrecognized).toEqual([]);
+  });
+
+  it('ends a keyword phrase at the next clause', () => {
+    const result = parse('about the end of the world and zombies rated above 6');
+    expect(result.keywords).toEqual(['end of the world', 'zombies']);
+    expect(result.filters).toEqual({ ratingMin: 6 });
+  });
+
+  it('reports what it could not read, in order', () => {
+    const result = parse('cozy Japanese horror for a rainy day, Swedish too');
+    expect(result.filters).toEqual({ language: 'ja', genres: [27] });
+    expect(result.unrecognized).toEqual(['cozy', 'for', 'rainy day', 'Swedish too']);
+  });
+
+  it('leaves a second language unrecognized', () => {
+    const result = parse('Japanese or Korean');
+    expect(result.filters).toEqual({ language: 'ja' });
+    expect(result.unrecognized).toEqual(['Korean']);
+  });
+});
+
+describe('buildFiltersFromPrompt', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(tmdb.getGenres).mockResolvedValue(MOVIE_GENRES);
+    vi.mocked(tmdb.getOriginalLanguages).mockResolvedValue(LANGUAGES);
+  });
+
+  it('resolves people and keywords on TMDB, preferring exact names', async () => {
+    vi.mocked(tmdb.searchPerson).mockResolvedValue([
+      { id: 1, name: 'Tom Hanks Jr', profilePath: null, knownFor: 'Acting' },
+      { id: 31, name: 'Tom Hanks', profilePath: null, knownFor: 'Acting' },
+    ]);
+    vi.mocked(tmdb.searchKeyword).mockImplementation(async (_key, query) =>
+      query === 'time travel' ? [{ id: 4379, name: 'time travel' }] : []
+    );
+
+    const result = await buildFiltersFromPrompt(
+      'key',
+      'comedies starring Tom Hanks about time travel and blorps',
+      'movie'
+    );
+
+    expect(tmdb.getGenres).toHaveBeenCalledWith('key', 'movie');
+    expect(result.filters).toEqual({ genres: [35], withPeople: '31', withKeywords: '4379' });
+    expect(result.people).toEqual([{ id: 31, name: 'Tom Hanks' }]);
+    expect(result.keywords).toEqual([{ id: 4379, name: 'time travel' }]);
+    expect(result.unrecognized).toEqual(['blorps']);
+  });
+
+  it('uses the TV genre list for series', async () => {
+    vi.mocked(tmdb.getGenres).mockResolvedValue(TV_GENRES);
+    const result = await buildFiltersFromPrompt('key', 'action', 'series');
+    expect(tmdb.getGenres).toHaveBeenCalledWith('key', 'series');
+    expect(result.filters).toEqual({ genres: [10759] });
+    expect(tmdb.searchPerson).not.toHaveBeenCalled();
+  });
+});
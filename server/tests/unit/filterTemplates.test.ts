@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeFilterTemplates,
+  unlinkMissingTemplates,
+} from '../../src/services/filterTemplates/index.ts';
+import type { CatalogConfig } from '../../src/types/index.ts';
+
+describe('normalizeFilterTemplates', () => {
+  it('keeps known constraints and drops invalid values', () => {
+    expect(
+      normalizeFilterTemplates([
+        {
+          id: 'tpl-1',
+          name: ' Modern English ',
+          filters: {
+            yearFrom: '2010',
+            ratingMin: 12,
+            voteCountMin: 500,
+            languages: ['EN', 'ja', 'english', 'en'],
+            countries: ['gb'],
+            excludeGenres: ['Reality', ''],
+            sortBy: 'popularity.desc',
+          },
+        },
+      ])
+    ).toEqual([
+      {
+        id: 'tpl-1',
+        name: 'Modern English',
+        filters: {
+          yearFrom: 2010,
+          voteCountMin: 500,
+          languages: ['en', 'ja'],
+          countries: ['GB'],
+          excludeGenres: ['Reality'],
+        },
+      },
+    ]);
+  });
+
+  it('drops unnamed entries and re-ids duplicates', () => {
+    const templates = normalizeFilterTemplates([
+      { id: 'a', name: 'First' },
+      { id: 'a', name: 'Second' },
+      { id: 'b', name: '   ' },
+      'not a template',
+    ]);
+    expect(templates.map((t) => t.name)).toEqual(['First', 'Second']);
+    expect(templates[0]).toEqual({ id: 'a', name: 'First', filters: {} });
+    expect(templates[1].id).not.toBe('a');
+    expect(normalizeFilterTemplates(undefined)).toEqual([]);
+  });
+});
+
+describe('unlinkMissingTemplates', () => {
+  it('unlinks catalogs whose template was deleted', () => {
+    const catalog = (id: string, filterTemplateId?: string): CatalogConfig => ({
+      _id: id,
+      name: id,
+      type: 'movie',
+      filters: { yearFrom: 2010 },
+      ...(filterTemplateId ? { filterTemplateId } : {}),
+    });
+
+    const result = unlinkMissingTemplates(
+      [catalog('kept', 'tpl-1'), catalog('orphan', 'tpl-gone'), catalog('plain')],
+      [{ id: 'tpl-1', name: 'Modern', filters: {} }]
+    );
+    expect(result[0].filterTemplateId).toBe('tpl-1');
+    expect(result[1]).not.toHaveProperty('filterTemplateId');
+    expect(result[1].filters).toEqual({ yearFrom: 2010 });
+    expect(result[2]).toEqual(catalog('plain'));
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import { MemoryAdapter } from '../../src/services/storage/MemoryAdapter.ts';
+import type { CatalogConfig, UserConfig } from '../../src/types/config.ts';
+
+/**
+ * Household catalogs against a real MemoryAdapter. Only the storage factory
+ * and the config load/save helpers are substituted.
+ */
+
+const refs = vi.hoisted(() => ({
+  adapter: { current: null as MemoryAdapter | null },
+  configs: new Map<string, UserConfig>(),
+}));
+
+vi.mock('../../src/services/storage/index.ts', () => ({
+  getStorage: () => {
+    if (!refs.adapter.current) throw new Error('test storage not initialized');
+    return refs.adapter.current;
+  },
+}));
+
+vi.mock('../../src/services/configService.ts', () => ({
+  getUserConfig: async (userId: string) => refs.configs.get(userId) ?? null,
+  saveUserConfig: async (config: UserConfig) => {
+    const saved = { ...config, updatedAt: new Date() };
+    refs.configs.set(config.userId, saved);
+    return saved;
+  },
+  getConfigsByApiKey: async (_apiKey: string | null, apiKeyId: string) =>
+    [...refs.configs.values()].filter((c) => c.apiKeyId === apiKeyId),
+}));
+
+import {
+  getHouseholdOverview,
+  resolveHouseholdCatalogs,
+  shareCatalog,
+  syncHouseholdEdits,
+  unshareCatalog,
+} from '../../src/services/household/index.ts';
+
+const KEY_ID = 'key-hash-1';
+
+function catalog(overrides: Partial<CatalogConfig> = {}): CatalogConfig {
+  return {
+    _id: 'cat-1',
+    name: 'Family Movies',
+    type: 'movie',
+    source: 'tmdb',
+    filters: { sortBy: 'popularity.desc', genres: [10751] },
+    enabled: true,
+    ...overrides,
+  };
+}
+
+function profile(userId: string, catalogs: CatalogConfig[] = []): UserConfig {
+  return { userId, apiKeyId: KEY_ID, catalogs, preferences: {} };
+}
+
+/** Include a shared catalog the way the editor does: a copy pointing at it. */
+function includeIn(userId: string, shared: CatalogConfig, overrides: Partial<CatalogConfig> = {}) {
+  const config = refs.configs.get(userId)!;
+  config.catalogs = [
+    ...config.catalogs,
+    { ...shared, _id: `${userId}-copy`, householdCatalogId: shared._id, ...overrides },
+  ];
+}
+
+describe('household catalogs', () => {
+  beforeEach(async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.connect();
+    refs.adapter.current = adapter;
+    refs.configs.clear();
+    refs.configs.set('parent1', profile('parent1', [catalog()]));
+    refs.configs.set('child01', profile('child01'));
+  });
+
+  it('turns a shared catalog into a reference in the sharing profile', async () => {
+    const { catalog: included, shared } = await shareCatalog(KEY_ID, 'parent1', 'cat-1');
+
+    expect(included.householdCatalogId).toBe(shared._id);
+    expect(shared).not.toHaveProperty('enabled');
+    expect(refs.configs.get('parent1')!.catalogs[0].householdCatalogId).toBe(shared._id);
+
+    includeIn('child01', shared);
+    const overview = await getHouseholdOverview(KEY_ID);
+    expect(overview.catalogs.map((c) => c._id)).toEqual([shared._id]);
+    expect(overview.profiles).toEqual([
+      { userId: 'parent1', configName: '', catalogIds: [shared._id] },
+      { userId: 'child01', configName: '', catalogIds: [shared._id] },
+    ]);
+  });
+
+  it('rejects catalogs of another key and catalogs already shared', async () => {
+    await expect(shareCatalog('other-key', 'parent1', 'cat-1')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+    await shareCatalog(KEY_ID, 'parent1', 'cat-1');
+    await expect(shareCatalog(KEY_ID, 'parent1', 'cat-1')).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it('serves edits saved by one profile in every profile', async () => {
+    const { shared } = await shareCatalog(KEY_ID, 'parent1', 'cat-1');
+    includeIn('child01', shared, { enabled: false, filters: { ...shared.filters } });
+
+    const previous = refs.configs.get('parent1')!.catalogs;
+    const saved = {
+      ...refs.configs.get('parent1')!,
+      catalogs: previous.map((c) => ({ ...c, name: 'Movie Night', filters: { genres: [16] } })),
+    };
+    expect(await syncHouseholdEdits(saved, previous)).toBe(1);
+
+    const child = await resolveHouseholdCatalogs(refs.configs.get('child01')!);
+    expect(child.catalogs[0]).toMatchObject({
+      _id: 'child01-copy',
+      name: 'Movie Night',
+      filters: { genres: [16] },
+      enabled: false,
+    });
+    expect(child.updatedAt).toBeInstanceOf(Date);
+  });
+
+  it('keeps the adult toggle per profile', async () => {
+    const { shared } = await shareCatalog(KEY_ID, 'parent1', 'cat-1');
+    includeIn('child01', shared, { filters: { ...shared.filters, includeAdult: true } });
+
+    const previous = refs.configs.get('child01')!.catalogs;
+    const saved = {
+      ...refs.configs.get('child01')!,
+      catalogs: previous.map((c) => ({ ...c, filters: { ...c.filters, includeAdult: false } })),
+    };
+    expect(await syncHouseholdEdits(saved, previous)).toBe(0);
+
+    const parent = await resolveHouseholdCatalogs(refs.configs.get('parent1')!);
+    expect(parent.catalogs[0].filters).not.toHaveProperty('includeAdult');
+    const child = await resolveHouseholdCatalogs(refs.configs.get('child01')!);
+    expect(child.catalogs[0].filters.includeAdult).toBe(true);
+  });
+
+  it('ignores newly included and untouched catalogs', async () => {
+    const { shared } = await shareCatalog(KEY_ID, 'parent1', 'cat-1');
+    const before = await refs.adapter.current!.getHousehold(KEY_ID);
+
+    includeIn('child01', shared, { name: 'Renamed on include' });
+    expect(await syncHouseholdEdits(refs.configs.get('child01')!, [])).toBe(0);
+    const parent = refs.configs.get('parent1')!;
+    expect(await syncHouseholdEdits(parent, parent.catalogs)).toBe(0);
+    expect(await refs.adapter.current!.getHousehold(KEY_ID)).toEqual(before);
+  });
+
+  it('leaves profiles their last copy once a catalog is unshared', async () => {
+    const { shared } = await shareCatalog(KEY_ID, 'parent1', 'cat-1');
+    await unshareCatalog(KEY_ID, shared._id);
+
+    const parent = await resolveHouseholdCatalogs(refs.configs.get('parent1')!);
+    expect(parent.catalogs[0]).toMatchObject({ _id: 'cat-1', name: 'Family Movies' });
+    expect(parent.catalogs[0]).not.toHaveProperty('householdCatalogId');
+    await expect(unshareCatalog(KEY_ID, shared._id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,385 @@
+import { gzipSync } from 'zlib';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { buildTitleIndex } from '../../src/services/imdbDatasets/ingest.ts';
+import { MemoryAdapter } from '../../src/services/imdbDatasets/MemoryAdapter.ts';
+import { RedisAdapter } from '../../src/services/imdbDatasets/RedisAdapter.ts';
+import { toDatasetQuery } from '../../src/services/imdb/localDiscover.ts';
+import type {
+  ImdbDatasetPerson,
+  ImdbDatasetQuery,
+  ImdbDatasetTitle,
+} from '../../src/types/index.ts';
+
+// Just enough of a Redis client for the IMDb index: hashes, lists and strings.
+const redis = vi.hoisted(() => ({ store: new Map<string, unknown>(), hashScans: 0 }));
+
+vi.mock('redis', () => ({
+  createClient: () => {
+    const { store } = redis;
+    const hash = (key: string) => (store.get(key) as Map<string, string>) || new Map();
+    const client = {
+      isOpen: true,
+      on: () => client,
+      del: async (keys: string | string[]) => {
+        [keys].flat().forEach((key) => store.delete(key));
+      },
+      rename: async (from: string, to: string) => {
+        store.set(to, store.get(from));
+        store.delete(from);
+      },
+      get: async (key: string) => (store.get(key) as string) ?? null,
+      set: async (key: string, value: string) => {
+        store.set(key, value);
+      },
+      hSet: async (key: string, map: Record<string, string>) => {
+        store.set(key, new Map([...hash(key), ...Object.entries(map)]));
+      },
+      hLen: async (key: string) => hash(key).size,
+      hScanValuesIterator: async function* (key: string) {
+        redis.hashScans++;
+        yield [...hash(key).values()];
+      },
+      rPush: async (key: string, values: string[]) => {
+        store.set(key, [...((store.get(key) as string[]) || []), ...values]);
+      },
+      lRange: async (key: string, start: number, stop: number) =>
+        ((store.get(key) as string[]) || []).slice(start, stop + 1),
+      multi: () => {
+        const queued: (() => Promise<void>)[] = [];
+        const chain = {
+          del: (keys: string[]) => (queued.push(() => client.del(keys)), chain),
+          rename: (from: string, to: string) => (queued.push(() => client.rename(from, to)), chain),
+          set: (key: string, value: string) => (queued.push(() => client.set(key, value)), chain),
+          exec: async () => {
+            for (const run of queued) await run();
+          },
+        };
+        return chain;
+      },
+    };
+    return client;
+  },
+}));
+
+function tsv(rows: string[][]): Response {
+  const text = rows.map((row) => row.join('\t')).join('\n') + '\n';
+  return new Response(gzipSync(text));
+}
+
+const DATASETS: Record<string, string[][]> = {
+  'title.basics.tsv.gz': [
+    [
+      'tconst',
+      'titleType',
+      'primaryTitle',
+      'originalTitle',
+      'isAdult',
+      'startYear',
+      'endYear',
+      'runtimeMinutes',
+      'genres',
+    ],
+    [
+      'tt0000001',
+      'movie',
+      'Spirited Away',
+      'Sen to Chihiro no kamikakushi',
+      '0',
+      '2001',
+      '\\N',
+      '125',
+      'Adventure,Animation,Family',
+    ],
+    [
+      'tt0000002',
+      'movie',
+      'Inception',
+      'Inception',
+      '0',
+      '2010',
+      '\\N',
+      '148',
+      'Action,Adventure,Sci-Fi',
+    ],
+    ['tt0000003', 'tvEpisode', 'Pilot', 'Pilot', '0', '2008', '\\N', '58', 'Drama'],
+    ['tt0000004', 'movie', 'Adult Film', 'Adult Film', '1', '2005', '\\N', '90', 'Adult'],
+    ['tt0000005', 'movie', 'Unrated Film', 'Unrated Film', '0', '2020', '\\N', '\\N', '\\N'],
+    ['tt0000006', 'tvSeries', 'Dark', 'Dark', '0', '2017', '2020', '60', 'Crime,Drama,Mystery'],
+  ],
+  'title.akas.tsv.gz': [
+    [
+      'titleId',
+      'ordering',
+      'title',
+      'region',
+      'language',
+      'types',
+      'attributes',
+      'isOriginalTitle',
+    ],
+    ['tt0000001', '1', 'Spirited Away', 'XWW', 'en', 'imdbDisplay', '\\N', '0'],
+    ['tt0000001', '2', 'Sen to Chihiro no kamikakushi', 'JP', '\\N', 'imdbDisplay', '\\N', '0'],
+    ['tt0000001', '3', 'Sen to Chihiro no kamikakushi', '\\N', '\\N', 'original', '\\N', '1'],
+    ['tt0000002', '1', 'Inception', 'US', '\\N', '\\N', '\\N', '0'],
+    ['tt0000002', '2', 'Inception', 'GB', '\\N', '\\N', '\\N', '0'],
+    ['tt0000002', '3', 'Inception', 'FR', '\\N', '\\N', '\\N', '0'],
+    ['tt0000006', '1', 'Dark', 'US', '\\N', '\\N', '\\N', '0'],
+    ['tt0000006', '2', 'Dark', 'DE', 'de', '\\N', '\\N', '0'],
+  ],
+  'title.crew.tsv.gz': [
+    ['tconst', 'directors', 'writers'],
+    ['tt0000001', 'nm0000001', 'nm0000001'],
+    ['tt0000002', 'nm0000002', 'nm0000002'],
+    ['tt0000003', 'nm0000003', '\\N'],
+    ['tt0000006', 'nm0000004,nm0000002', '\\N'],
+  ],
+  'name.basics.tsv.gz': [
+    ['nconst', 'primaryName', 'birthYear', 'deathYear', 'primaryProfession', 'knownForTitles'],
+    ['nm0000001', 'Hayao Miyazaki', '1941', '\\N', 'director', 'tt0000001'],
+    ['nm0000002', 'Christopher Nolan', '1970', '\\N', 'director', 'tt0000002'],
+    ['nm0000003', 'Episode Director', '1960', '\\N', 'director', 'tt0000003'],
+    ['nm0000004', 'Baran bo Odar', '1978', '\\N', 'director', 'tt0000006'],
+  ],
+};
+
+const RATINGS: [string, string][] = [
+  ['tt0000001', '8.6|900000'],
+  ['tt0000002', '8.8|2500000'],
+  ['tt0000003', '7.9|5000'],
+  ['tt0000004', '5.0|1000'],
+  ['tt0000006', '8.7|500000'],
+];
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('buildTitleIndex', () => {
+  it('joins the datasets into rated, non-adult titles with language and directors', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url: string) => tsv(DATASETS[url.split('/').pop()!]))
+    );
+
+    const { titles, people } = await buildTitleIndex(RATINGS);
+    const byId = Object.fromEntries(titles.map((t) => [t.id, t]));
+
+    expect(Object.keys(byId).sort()).toEqual(['tt0000001', 'tt0000002', 'tt0000006']);
+    expect(byId.tt0000001).toEqual({
+      id: 'tt0000001',
+      type: 'movie',
+      title: 'Spirited Away',
+      originalTitle: 'Sen to Chihiro no kamikakushi',
+      year: 2001,
+      endYear: null,
+      runtime: 125,
+      genres: ['Adventure', 'Animation', 'Family'],
+      language: 'ja',
+      directors: ['nm0000001'],
+      rating: 8.6,
+      votes: 900000,
+    });
+    // Region votes: two English releases outvote one French release.
+    expect(byId.tt0000002.language).toBe('en');
+    // An explicit language outweighs a region guess.
+    expect(byId.tt0000006).toMatchObject({ language: 'de', endYear: 2020 });
+    expect(byId.tt0000006.directors).toEqual(['nm0000004', 'nm0000002']);
+
+    expect(people).toEqual([
+      { id: 'nm0000002', name: 'Christopher Nolan', knownFor: 'Inception' },
+      { id: 'nm0000001', name: 'Hayao Miyazaki', knownFor: 'Spirited Away' },
+      { id: 'nm0000004', name: 'Baran bo Odar', knownFor: 'Dark' },
+    ]);
+  });
+
+  it('fails when a dataset cannot be downloaded', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => new Response('nope', { status: 503, statusText: 'Unavailable' }))
+    );
+    await expect(buildTitleIndex(RATINGS)).rejects.toThrow('title.basics.tsv.gz: HTTP 503');
+  });
+});
+
+function title(overrides: Partial<ImdbDatasetTitle>): ImdbDatasetTitle {
+  return {
+    id: 'tt0',
+    type: 'movie',
+    title: 'Untitled',
+    originalTitle: 'Untitled',
+    year: 2000,
+    endYear: null,
+    runtime: 100,
+    genres: [],
+    language: 'en',
+    directors: [],
+    rating: 7,
+    votes: 1000,
+    ...overrides,
+  };
+}
+
+describe('dataset index queries', () => {
+  const movies = [
+    title({ id: 'tt1', title: 'Alpha', year: 1999, genres: ['Drama'], rating: 8.1, votes: 50_000 }),
+    title({
+      id: 'tt2',
+      title: 'Bravo',
+      year: 2015,
+      genres: ['Drama', 'Reality-TV'],
+      votes: 90_000,
+    }),
+    title({ id: 'tt3', title: 'Charlie', year: null, runtime: null, language: 'fr', votes: 10 }),
+    title({ id: 'tt4', title: 'Delta', type: 'tvSeries', directors: ['nm9'], votes: 70_000 }),
+    title({ id: 'tt5', title: 'Echo', year: 2010, directors: ['nm9'], rating: 9, votes: 20_000 }),
+  ];
+  const base: ImdbDatasetQuery = { types: ['movie'], offset: 0, limit: 20 };
+
+  async function ids(query: Partial<ImdbDatasetQuery>): Promise<string[]> {
+    const adapter = new MemoryAdapter();
+    await adapter.replaceAll(movies, []);
+    const result = await adapter.query({ ...base, ...query });
+    return result.titles.map((t) => t.id);
+  }
+
+  it('defaults to the most-voted titles of the requested types', async () => {
+    expect(await ids({})).toEqual(['tt2', 'tt1', 'tt5', 'tt3']);
+    expect(await ids({ types: ['tvSeries'] })).toEqual(['tt4']);
+  });
+
+  it('filters on genres (all, case-insensitively), ranges, language and directors', async () => {
+    expect(await ids({ genres: ['drama', 'Reality-Tv'] })).toEqual(['tt2']);
+    expect(await ids({ excludeGenres: ['Reality-Tv'] })).toEqual(['tt1', 'tt5', 'tt3']);
+    expect(await ids({ yearMin: 2000, yearMax: 2012 })).toEqual(['tt5']);
+    expect(await ids({ ratingMin: 8 })).toEqual(['tt1', 'tt5']);
+    expect(await ids({ runtimeMax: 120, votesMin: 15_000 })).toEqual(['tt2', 'tt1', 'tt5']);
+    expect(await ids({ languages: ['fr', 'es'] })).toEqual(['tt3']);
+    expect(await ids({ directors: ['nm9'], types: ['movie', 'tvSeries'] })).toEqual(['tt4', 'tt5']);
+  });
+
+  it('sorts with missing values last and pages with a total', async () => {
+    expect(await ids({ sortBy: 'YEAR', sortOrder: 'ASC' })).toEqual(['tt1', 'tt5', 'tt2', 'tt3']);
+    expect(await ids({ sortBy: 'USER_RATING' })).toEqual(['tt5', 'tt1', 'tt2', 'tt3']);
+    expect(await ids({ sortBy: 'TITLE_REGIONAL', sortOrder: 'ASC' })).toEqual([
+      'tt1',
+      'tt2',
+      'tt3',
+      'tt5',
+    ]);
+
+    const adapter = new MemoryAdapter();
+    await adapter.replaceAll(movies, []);
+    const page = await adapter.query({ ...base, offset: 2, limit: 2 });
+    expect(page.total).toBe(4);
+    expect(page.titles.map((t) => t.id)).toEqual(['tt5', 'tt3']);
+  });
+
+  it('searches people by name, prefix matches first', async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.replaceAll(
+      [],
+      [
+        { id: 'nm1', name: 'Sofia Coppola', knownFor: 'Lost in Translation' },
+        { id: 'nm2', name: 'Francis Ford Coppola', knownFor: 'The Godfather' },
+        { id: 'nm3', name: 'Coppola Junior', knownFor: 'Short' },
+      ]
+    );
+    const results = await adapter.searchPeople('coppola', 2);
+    expect(results.map((p) => p.id)).toEqual(['nm3', 'nm1']);
+    expect(await adapter.searchPeople('  ', 5)).toEqual([]);
+  });
+});
+
+describe('Redis dataset index', () => {
+  const movies = [
+    title({ id: 'tt1', title: 'Alpha', votes: 50_000 }),
+    title({ id: 'tt2', title: 'Bravo', votes: 90_000 }),
+    title({ id: 'tt3', title: 'Charlie', votes: 10 }),
+  ];
+  const people: ImdbDatasetPerson[] = [
+    { id: 'nm2', name: 'Francis Ford Coppola', knownFor: 'The Godfather' },
+    { id: 'nm1', name: 'Sofia Coppola', knownFor: 'Lost in Translation' },
+  ];
+  const base: ImdbDatasetQuery = { types: ['movie'], offset: 0, limit: 2 };
+
+  afterEach(() => {
+    redis.store.clear();
+    redis.hashScans = 0;
+  });
+
+  it('loads the index another instance built, keeping the people ranking', async () => {
+    await new RedisAdapter('redis://test').replaceAll(movies, people);
+
+    const reader = new RedisAdapter('redis://test');
+    const page = await reader.query(base);
+    expect(page).toMatchObject({ total: 3 });
+    expect(page.titles.map((t) => t.id)).toEqual(['tt2', 'tt1']);
+    expect((await reader.searchPeople('coppola', 5)).map((p) => p.id)).toEqual(['nm2', 'nm1']);
+    expect(await reader.count()).toBe(3);
+  });
+
+  it('reads people stored as one JSON string by earlier builds', async () => {
+    await new RedisAdapter('redis://test').replaceAll(movies, []);
+    redis.store.set('imdb:people', JSON.stringify(people));
+
+    const reader = new RedisAdapter('redis://test');
+    expect((await reader.searchPeople('sofia', 5)).map((p) => p.id)).toEqual(['nm1']);
+  });
+
+  it('pages through cached results until the index is replaced', async () => {
+    const adapter = new RedisAdapter('redis://test');
+    await adapter.replaceAll(movies, []);
+    expect((await adapter.query(base)).titles.map((t) => t.id)).toEqual(['tt2', 'tt1']);
+    const next = await adapter.query({ ...base, offset: 2 });
+    expect(next).toMatchObject({ total: 3 });
+    expect(next.titles.map((t) => t.id)).toEqual(['tt3']);
+
+    await adapter.replaceAll([title({ id: 'tt9', votes: 5 })], []);
+    const replaced = await adapter.query(base);
+    expect(replaced).toMatchObject({ total: 1 });
+    expect(replaced.titles.map((t) => t.id)).toEqual(['tt9']);
+    // The instance that built the index never reads it back.
+    expect(redis.hashScans).toBe(0);
+  });
+});
+
+describe('toDatasetQuery', () => {
+  it('maps IMDb API search params onto the index', () => {
+    expect(
+      toDatasetQuery(
+        {
+          genres: ['Horror'],
+          releaseDateStart: '1990-01-01',
+          releaseDateEnd: '1999-12-31',
+          imdbRatingMin: 7,
+          totalVotesMin: 5000,
+          languages: ['ja'],
+          creditedNames: ['nm0000001'],
+          keywords: ['zombie'],
+          sortBy: 'USER_RATING',
+        },
+        'series',
+        40
+      )
+    ).toEqual({
+      types: ['tvSeries', 'tvMiniSeries'],
+      genres: ['Horror'],
+      excludeGenres: undefined,
+      yearMin: 1990,
+      yearMax: 1999,
+      runtimeMin: undefined,
+      runtimeMax: undefined,
+      ratingMin: 7,
+      ratingMax: undefined,
+      votesMin: 5000,
+      votesMax: undefined,
+      languages: ['ja'],
+      directors: ['nm0000001'],
+      sortBy: 'USER_RATING',
+      sortOrder: 'DESC',
+      offset: 40,
+      limit: 20,
+    });
+  });
+});
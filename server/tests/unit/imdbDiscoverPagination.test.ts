@@ -8,6 +8,12 @@ const { mockedImdbFetch, cacheGet, cacheSet } = vi.hoisted(() => ({
 
 vi.mock('../../src/services/imdb/client.ts', () => ({
   imdbFetch: mockedImdbFetch,
+  isImdbApiEnabled: () => true,
+}));
+
+vi.mock('../../src/services/imdbDatasets/index.ts', () => ({
+  isImdbDatasetsEnabled: () => false,
+  queryImdbTitles: vi.fn(),
 }));
 
 vi.mock('../../src/services/cache/index.ts', () => ({
@@ -1,3 +1,4 @@
+import { gzipSync } from 'zlib';
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import type { IImdbRatingsAdapter } from '../../src/types/index.ts';
 
@@ -25,6 +26,7 @@ import {
   initializeRatings,
   getImdbRating,
   getImdbRatingString,
+  getImdbEpisodeRatings,
   batchGetImdbRatings,
   forceUpdate,
   isLoaded,
@@ -35,6 +37,7 @@ import { MemoryAdapter } from '../../src/services/imdbRatings/MemoryAdapter.ts';
 
 function createMockAdapter(): IImdbRatingsAdapter {
   const ratings = new Map<string, string>();
+  const episodes = new Map<string, string>();
   const meta = new Map<string, string>();
   return {
     set: vi.fn(async (id, val) => {
@@ -60,6 +63,11 @@ function createMockAdapter(): IImdbRatingsAdapter {
       ratings.clear();
     }),
     count: vi.fn(async () => ratings.size),
+    replaceEpisodes: vi.fn(async (entries) => {
+      episodes.clear();
+      for (const [id, val] of entries) episodes.set(id, val);
+    }),
+    getEpisodes: vi.fn(async (id) => episodes.get(id) ?? null),
     setMeta: vi.fn(async (key, val) => {
       meta.set(key, val);
     }),
@@ -78,6 +86,7 @@ describe('imdbRatings', () => {
   let adapter: IImdbRatingsAdapter;
 
   beforeEach(async () => {
+    fetchMock.mockReset();
     vi.stubGlobal('fetch', fetchMock);
     await destroyRatings();
     adapter = createMockAdapter();
@@ -167,6 +176,71 @@ describe('imdbRatings', () => {
     });
   });
 
+  describe('episode ratings', () => {
+    function gzipTsv(lines: string[]): Response {
+      return new Response(gzipSync(lines.join('\n') + '\n'));
+    }
+
+    it('files rated episodes under their series after a fresh download', async () => {
+      fetchMock.mockImplementation(async (url: string) =>
+        url.endsWith('title.ratings.tsv.gz')
+          ? gzipTsv([
+              'tconst\taverageRating\tnumVotes',
+              'tt0903747\t9.5\t2000000',
+              'tt0959621\t8.2\t45000',
+              'tt0913845\t9.3\t60000',
+              'tt0000010\t7.0\t10',
+            ])
+          : gzipTsv([
+              'tconst\tparentTconst\tseasonNumber\tepisodeNumber',
+              'tt0959621\ttt0903747\t1\t1',
+              'tt0913845\ttt0903747\t1\t2',
+              'tt0000010\ttt0903747\t1\t3',
+              'tt0000011\ttt0903747\t\\N\t\\N',
+            ])
+      );
+
+      await initializeRatings(adapter);
+      await vi.waitFor(async () => {
+        expect(await adapter.getMeta('episodesLastUpdate')).not.toBeNull();
+      });
+
+      const episodes = await getImdbEpisodeRatings('tt0903747');
+      expect([...episodes]).toEqual([
+        ['1:1', { rating: 8.2, votes: 45000 }],
+        ['1:2', { rating: 9.3, votes: 60000 }],
+      ]);
+      expect(getStats().episodeSeries).toBe(1);
+    });
+
+    it('imports episodes for a store that only has ratings', async () => {
+      await adapter.set('tt0959621', '8.2|45000');
+      await adapter.setMeta('etag', 'same');
+      fetchMock.mockImplementation(async (url: string, init?: RequestInit) =>
+        init?.method === 'HEAD'
+          ? new Response(null, { headers: { etag: 'same' } })
+          : gzipTsv([
+              'tconst\tparentTconst\tseasonNumber\tepisodeNumber',
+              'tt0959621\ttt0903747\t1\t1',
+            ])
+      );
+
+      await initializeRatings(adapter);
+      await vi.waitFor(async () => {
+        expect((await getImdbEpisodeRatings('tt0903747')).get('1:1')).toEqual({
+          rating: 8.2,
+          votes: 45000,
+        });
+      });
+      expect(adapter.replaceAll).not.toHaveBeenCalled();
+    });
+
+    it('returns an empty map for unknown series', async () => {
+      await initializeRatings(adapter);
+      expect((await getImdbEpisodeRatings('tt9999999')).size).toBe(0);
+    });
+  });
+
   describe('isLoaded / getStats', () => {
     it('reports not loaded before initialization', () => {
       expect(isLoaded()).toBe(false);
@@ -264,6 +338,13 @@ describe('MemoryAdapter', () => {
     expect(await adapter.count()).toBe(0);
   });
 
+  it('replaces episode ratings per series', async () => {
+    await adapter.replaceEpisodes([['tt0903747', '1:1:8.2|45000']]);
+    expect(await adapter.getEpisodes('tt0903747')).toBe('1:1:8.2|45000');
+    await adapter.replaceEpisodes([]);
+    expect(await adapter.getEpisodes('tt0903747')).toBeNull();
+  });
+
   it('manages metadata', async () => {
     await adapter.setMeta('etag', 'abc123');
     expect(await adapter.getMeta('etag')).toBe('abc123');
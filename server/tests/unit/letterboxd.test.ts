@@ -0,0 +1,139 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const cacheStore = new Map<string, unknown>();
+vi.mock('../../src/services/cache/index.ts', () => ({
+  getCache: () => ({
+    get: vi.fn(async (key: string) => cacheStore.get(key) ?? null),
+    set: vi.fn(async (key: string, value: unknown) => {
+      cacheStore.set(key, value);
+    }),
+  }),
+}));
+
+import {
+  getLetterboxdImportJob,
+  normalizeLetterboxdItems,
+  parseLetterboxdCsv,
+  resolveLetterboxdEntries,
+  startLetterboxdImportJob,
+} from '../../src/services/letterboxd/index.ts';
+
+const LIST_EXPORT = [
+  'Letterboxd list export v7',
+  'Date,Name,Tags,URL,Description',
+  '2026-01-04,"Slow Cinema, Vol. 1",,https://boxd.it/abc,',
+  '',
+  'Position,Name,Year,URL,Description',
+  '1,Jeanne Dielman,1975,https://boxd.it/1,',
+  '2,"Stalker",1979,https://boxd.it/2,"A ""zone"" film"',
+  '3,Stalker,1979,https://boxd.it/2,',
+  '4,Werckmeister Harmonies,2000,https://boxd.it/3,',
+].join('\r\n');
+
+describe('parseLetterboxdCsv', () => {
+  it('reads list exports with their name and skips duplicate rows', () => {
+    const parsed = parseLetterboxdCsv(LIST_EXPORT);
+
+    expect(parsed.listName).toBe('Slow Cinema, Vol. 1');
+    expect(parsed.entries).toEqual([
+      { name: 'Jeanne Dielman', year: 1975 },
+      { name: 'Stalker', year: 1979 },
+      { name: 'Werckmeister Harmonies', year: 2000 },
+    ]);
+  });
+
+  it('reads watchlist exports and tolerates a BOM and missing years', () => {
+    const parsed = parseLetterboxdCsv(
+      '\uFEFFDate,Name,Year,Letterboxd URI\n2026-02-01,Perfect Days,2023,https://boxd.it/x\n2026-02-02,Untitled Project,,https://boxd.it/y\n'
+    );
+
+    expect(parsed.listName).toBeNull();
+    expect(parsed.entries).toEqual([
+      { name: 'Perfect Days', year: 2023 },
+      { name: 'Untitled Project', year: null },
+    ]);
+  });
+
+  it('returns nothing for files without a Name/Year table', () => {
+    expect(parseLetterboxdCsv('Const,Title\ntt0111161,The Shawshank Redemption').entries).toEqual(
+      []
+    );
+  });
+});
+
+describe('resolveLetterboxdEntries', () => {
+  it('keeps list order, reports misses and collapses films resolved twice', async () => {
+    const findMovies = vi.fn(async () => [42, null, 7, 42]);
+    const entries = [
+      { name: 'A', year: 2001 },
+      { name: 'B', year: null },
+      { name: 'C', year: null },
+      { name: 'A (Director’s Cut)', year: 2001 },
+    ];
+
+    const result = await resolveLetterboxdEntries('key', entries, findMovies);
+
+    expect(findMovies).toHaveBeenCalledWith('key', entries);
+    expect(result.items).toEqual([
+      { tmdbId: 42, name: 'A', year: 2001 },
+      { tmdbId: 7, name: 'C' },
+    ]);
+    expect(result.unresolved).toEqual([{ name: 'B', year: null }]);
+  });
+});
+
+describe('Letterboxd import jobs', () => {
+  const parsed = { listName: 'Picks', entries: [{ name: 'A', year: 2001 }] };
+
+  it('resolves in the background and reports the result to its owner only', async () => {
+    let finish: (ids: (number | null)[]) => void = () => {};
+    const findMovies = vi.fn(() => new Promise<(number | null)[]>((r) => (finish = r)));
+
+    const jobId = await startLetterboxdImportJob('key', 'owner', parsed, findMovies);
+    expect(await getLetterboxdImportJob('owner', jobId)).toEqual({ status: 'running', total: 1 });
+    expect(await getLetterboxdImportJob('someone-else', jobId)).toBeNull();
+
+    finish([42]);
+    await vi.waitFor(async () =>
+      expect(await getLetterboxdImportJob('owner', jobId)).toEqual({
+        status: 'done',
+        listName: 'Picks',
+        items: [{ tmdbId: 42, name: 'A', year: 2001 }],
+        unresolved: [],
+        unresolvedCount: 0,
+      })
+    );
+  });
+
+  it('records a failed resolution', async () => {
+    const findMovies = vi.fn(async () => {
+      throw new Error('TMDB down');
+    });
+
+    const jobId = await startLetterboxdImportJob('key', 'owner', parsed, findMovies);
+
+    await vi.waitFor(async () =>
+      expect((await getLetterboxdImportJob('owner', jobId))?.status).toBe('failed')
+    );
+    expect(await getLetterboxdImportJob('owner', 'not-a-job')).toBeNull();
+  });
+});
+
+describe('normalizeLetterboxdItems', () => {
+  it('drops invalid ids and duplicates', () => {
+    expect(
+      normalizeLetterboxdItems([
+        { tmdbId: 11, name: 'Star Wars', year: 1977 },
+        { tmdbId: '11', name: 'Again' },
+        { tmdbId: -1, name: 'Bad' },
+        { name: 'No id' },
+        'junk',
+        { tmdbId: 12, name: 'Finding Nemo', year: 'soon' },
+      ])
+    ).toEqual([
+      { tmdbId: 11, name: 'Star Wars', year: 1977 },
+      { tmdbId: 12, name: 'Finding Nemo' },
+    ]);
+    expect(normalizeLetterboxdItems(undefined)).toEqual([]);
+  });
+});
@@ -26,6 +26,7 @@ vi.mock('../../src/config.ts', () => ({
 vi.mock('../../src/services/imdb/index.ts', () => ({
   getGenres: vi.fn(async () => ['Action', 'Drama', 'Comedy']),
   isImdbApiEnabled: vi.fn(() => false),
+  isImdbDiscoverAvailable: vi.fn(() => false),
 }));
 
 vi.mock('../../src/services/anilist/index.ts', () => ({
@@ -103,6 +104,35 @@ describe('buildManifest', () => {
     expect(catalogIds).not.toContain('tmdb-disabled');
   });
 
+  it('lists scheduled catalogs only inside their schedule', () => {
+    const userConfig = {
+      catalogs: [
+        {
+          _id: 'halloween',
+          name: 'Halloween',
+          type: 'movie',
+          schedule: { yearlyRanges: [{ from: '10-01', to: '10-31' }] },
+        },
+        {
+          _id: 'cartoons',
+          name: 'Saturday Cartoons',
+          type: 'series',
+          schedule: { weekdays: [6], hours: [7, 8, 9, 10, 11], timezone: 'America/New_York' },
+        },
+      ],
+      preferences: { disableSearch: true },
+    };
+
+    // Saturday 2026-10-17, 09:30 in New York.
+    const saturday = buildManifest(userConfig, baseUrl, new Date('2026-10-17T13:30:00Z'));
+    expect(saturday.catalogs.map((c: any) => c.id)).toEqual(['tmdb-halloween', 'tmdb-cartoons']);
+
+    // Saturday 2026-11-07, 06:30 in New York.
+    const early = buildManifest(userConfig, baseUrl, new Date('2026-11-07T11:30:00Z'));
+    expect(early.catalogs).toEqual([]);
+    expect(early.version).not.toBe(saturday.version);
+  });
+
   it('omits MAL catalogs while the source is disabled', () => {
     const manifest = buildManifest(
       {
@@ -233,6 +263,48 @@ describe('buildManifest', () => {
     expect(ids).toContain('simkl-search-anime');
   });
 
+  it('puts one unified search catalog per type above the source rows when alongside', () => {
+    const manifest = buildManifest(
+      {
+        catalogs: [],
+        preferences: { disableAnilistSearch: false, unifiedSearch: 'alongside' },
+      },
+      baseUrl
+    );
+
+    const ids = manifest.catalogs.map((catalog: any) => catalog.id);
+    expect(ids.slice(0, 3)).toEqual([
+      'unified-search-movie',
+      'unified-search-series',
+      'unified-search-anime',
+    ]);
+    expect(ids).toContain('tmdb-search-movie');
+    expect(ids).toContain('anilist-search-anime');
+    expect(manifest.catalogs[0].extra).toEqual([
+      { name: 'search', isRequired: true },
+      { name: 'skip' },
+    ]);
+  });
+
+  it('replaces the source search rows with the unified catalogs when replace', () => {
+    const manifest = buildManifest(
+      { catalogs: [], preferences: { unifiedSearch: 'replace' } },
+      baseUrl
+    );
+
+    const ids = manifest.catalogs.map((catalog: any) => catalog.id);
+    expect(ids).toEqual(['unified-search-movie', 'unified-search-series']);
+  });
+
+  it('omits unified search when off, unknown, or search is disabled', () => {
+    const idsFor = (preferences: Record<string, unknown>) =>
+      buildManifest({ catalogs: [], preferences } as any, baseUrl).catalogs.map((c: any) => c.id);
+
+    expect(idsFor({})).toEqual(['tmdb-search-movie', 'tmdb-search-series']);
+    expect(idsFor({ unifiedSearch: 'bogus' })).toEqual(['tmdb-search-movie', 'tmdb-search-series']);
+    expect(idsFor({ unifiedSearch: 'alongside', disableSearch: true })).toEqual([]);
+  });
+
   it('generates catalog ID from name when _id is missing', () => {
     const manifest = buildManifest(
       { catalogs: [{ name: 'My Custom List', type: 'movie' }] },
@@ -254,6 +326,18 @@ describe('buildManifest', () => {
     expect(manifest.idPrefixes).toEqual(['tmdb:', 'tt', 'mal:', 'kitsu:', 'anilist:', 'anidb:']);
   });
 
+  it('declares the trailer stream resource only when enabled', () => {
+    const manifest = buildManifest(
+      { catalogs: [], preferences: { enableTrailerStreams: true } },
+      baseUrl
+    );
+    expect(manifest.resources).toEqual([
+      'catalog',
+      'meta',
+      { name: 'stream', types: ['movie', 'series'], idPrefixes: ['tmdb:', 'tt'] },
+    ]);
+  });
+
   it('sets pageSize to 20 for all catalogs', () => {
     const manifest = buildManifest(
       { catalogs: [{ _id: 'test', name: 'Test', type: 'movie' }] },
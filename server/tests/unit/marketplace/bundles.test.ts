@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import { MemoryAdapter } from '../../../src/services/storage/MemoryAdapter.ts';
+import type { UserConfig, CatalogConfig } from '../../../src/types/config.ts';
+
+/**
+ * Bundle publish and install against a real MemoryAdapter. Only the storage
+ * factory and the config load/save pair are substituted.
+ */
+
+const refs = vi.hoisted(() => ({
+  adapter: { current: null as MemoryAdapter | null },
+  configs: new Map<string, UserConfig>(),
+}));
+
+vi.mock('../../../src/services/storage/index.ts', () => ({
+  getStorage: () => {
+    if (!refs.adapter.current) throw new Error('test storage not initialized');
+    return refs.adapter.current;
+  },
+  initStorage: async () => refs.adapter.current,
+}));
+
+vi.mock('../../../src/services/configService.ts', () => ({
+  getUserConfig: async (userId: string) => refs.configs.get(userId) ?? null,
+  saveUserConfig: async (config: UserConfig) => {
+    const saved = { ...config, updatedAt: new Date() };
+    refs.configs.set(config.userId, saved);
+    return saved;
+  },
+}));
+
+import {
+  publishBundle,
+  installEntry,
+  searchMarketplace,
+  unpublishCatalog,
+} from '../../../src/services/marketplaceService.ts';
+import { getMarketplaceCache } from '../../../src/infrastructure/marketplaceCache.ts';
+
+const AUTHOR_ID = 'authorUser1';
+const INSTALLER_ID = 'installerUser1';
+
+const CATALOGS: CatalogConfig[] = [
+  {
+    _id: 'cat-action',
+    name: 'Action Night',
+    type: 'movie',
+    source: 'tmdb',
+    filters: { sortBy: 'popularity.desc', genres: [28], genreNames: ['Action'] },
+    enabled: true,
+  },
+  {
+    _id: 'cat-drama',
+    name: 'Slow Dramas',
+    type: 'series',
+    source: 'tmdb',
+    filters: { sortBy: 'vote_average.desc', genres: [18], genreNames: ['Drama'] },
+    enabled: true,
+  },
+  {
+    _id: 'cat-imdb',
+    name: 'IMDb Top',
+    type: 'movie',
+    source: 'imdb',
+    filters: {},
+    enabled: true,
+  },
+];
+
+async function setup(): Promise<MemoryAdapter> {
+  const adapter = new MemoryAdapter();
+  await adapter.connect();
+  refs.adapter.current = adapter;
+  getMarketplaceCache().clear();
+
+  refs.configs.set(AUTHOR_ID, { userId: AUTHOR_ID, catalogs: CATALOGS, preferences: {} });
+  refs.configs.set(INSTALLER_ID, {
+    userId: INSTALLER_ID,
+    catalogs: [{ _id: 'mine', name: 'Mine', type: 'movie', filters: {}, enabled: true }],
+    preferences: {},
+  });
+  return adapter;
+}
+
+describe('marketplace bundles', () => {
+  beforeEach(() => {
+    refs.adapter.current = null;
+    refs.configs.clear();
+  });
+
+  it('publishes members in order with the union of their genres', async () => {
+    await setup();
+    const entry = await publishBundle(AUTHOR_ID, {
+      name: 'Weekend <b>Pack</b>',
+      description: 'Something for everyone',
+      tags: ['Weekend', 'weekend'],
+      catalogIds: ['cat-drama', 'cat-action', 'cat-imdb'],
+    });
+
+    expect(entry.name).toBe('Weekend Pack');
+    expect(entry.tags).toEqual(['weekend']);
+    expect(entry.members?.map((m) => m.name)).toEqual(['Slow Dramas', 'Action Night', 'IMDb Top']);
+    expect(entry.type).toBe('movie');
+    expect(entry.source).toBe('tmdb');
+    expect(entry.genres).toEqual(['Drama', 'Action']);
+
+    const { items } = await searchMarketplace({ q: 'weekend' });
+    expect(items[0]).toMatchObject({
+      marketplaceId: entry.marketplaceId,
+      members: [
+        { name: 'Slow Dramas', type: 'series', source: 'tmdb' },
+        { name: 'Action Night', type: 'movie', source: 'tmdb' },
+        { name: 'IMDb Top', type: 'movie', source: 'imdb' },
+      ],
+    });
+  });
+
+  it('re-publishes in place by bundle id and unpublishes by origin', async () => {
+    const adapter = await setup();
+    const first = await publishBundle(AUTHOR_ID, {
+      name: 'Pack',
+      catalogIds: ['cat-action', 'cat-drama'],
+    });
+    const bundleId = first.provenance.originCatalogId;
+
+    const second = await publishBundle(AUTHOR_ID, {
+      bundleId,
+      name: 'Pack v2',
+      catalogIds: ['cat-action', 'cat-drama', 'cat-imdb'],
+    });
+    expect(second.marketplaceId).toBe(first.marketplaceId);
+    expect(second.members).toHaveLength(3);
+
+    await unpublishCatalog(AUTHOR_ID, bundleId);
+    expect(await adapter.getMarketplaceEntry(first.marketplaceId)).toBeNull();
+  });
+
+  it('rejects unknown members, too few members and catalog ids as bundle ids', async () => {
+    await setup();
+    await expect(
+      publishBundle(AUTHOR_ID, { name: 'Pack', catalogIds: ['cat-action', 'missing'] })
+    ).rejects.toMatchObject({ statusCode: 404 });
+    await expect(
+      publishBundle(AUTHOR_ID, { name: 'Pack', catalogIds: ['cat-action', 'cat-action'] })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    await expect(
+      publishBundle(AUTHOR_ID, {
+        bundleId: 'cat-imdb',
+        name: 'Pack',
+        catalogIds: ['cat-action', 'cat-drama'],
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('installs every member after the existing catalogs and counts one install', async () => {
+    await setup();
+    const entry = await publishBundle(AUTHOR_ID, {
+      name: 'Pack',
+      catalogIds: ['cat-imdb', 'cat-action'],
+    });
+
+    const result = await installEntry(entry.marketplaceId, INSTALLER_ID);
+    expect(result.alreadyInstalled).toBe(false);
+    expect(result.installs).toBe(1);
+    expect(result.catalogs?.map((c) => [c.name, c.source])).toEqual([
+      ['IMDb Top', 'imdb'],
+      ['Action Night', 'tmdb'],
+    ]);
+
+    const installed = refs.configs.get(INSTALLER_ID)!.catalogs;
+    expect(installed.map((c) => c.name)).toEqual(['Mine', 'IMDb Top', 'Action Night']);
+    expect(installed[1].clonedFrom).toMatchObject({ marketplaceId: entry.marketplaceId });
+    expect(installed[1]._id).not.toBe(installed[2]._id);
+
+    const again = await installEntry(entry.marketplaceId, INSTALLER_ID);
+    expect(again.alreadyInstalled).toBe(true);
+    expect(again.catalogs).toHaveLength(2);
+    expect(refs.configs.get(INSTALLER_ID)!.catalogs).toHaveLength(3);
+
+    await expect(installEntry(entry.marketplaceId, 'otherUser1', 'link')).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+});
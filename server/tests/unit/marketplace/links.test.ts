@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import crypto from 'crypto';
+
+import { MemoryAdapter } from '../../../src/services/storage/MemoryAdapter.ts';
+import type { UserConfig, CatalogConfig } from '../../../src/types/config.ts';
+
+/**
+ * Linked installs against a real MemoryAdapter. Only the storage factory and
+ * the config load/save pair are substituted.
+ */
+
+const refs = vi.hoisted(() => ({
+  adapter: { current: null as MemoryAdapter | null },
+  configs: new Map<string, UserConfig>(),
+}));
+
+vi.mock('../../../src/services/storage/index.ts', () => ({
+  getStorage: () => {
+    if (!refs.adapter.current) throw new Error('test storage not initialized');
+    return refs.adapter.current;
+  },
+  initStorage: async () => refs.adapter.current,
+}));
+
+vi.mock('../../../src/services/configService.ts', () => ({
+  getUserConfig: async (userId: string) => refs.configs.get(userId) ?? null,
+  saveUserConfig: async (config: UserConfig) => {
+    const saved = { ...config, updatedAt: new Date() };
+    refs.configs.set(config.userId, saved);
+    return saved;
+  },
+}));
+
+import { publishCatalog, installEntry } from '../../../src/services/marketplaceService.ts';
+import {
+  resolveLinkedCatalogs,
+  getLinkStatuses,
+  syncLinkedCatalog,
+  detachLinkedCatalog,
+} from '../../../src/services/marketplace/links.ts';
+import { moderateEntry } from '../../../src/services/marketplace/moderation.ts';
+import { getMarketplaceCache } from '../../../src/infrastructure/marketplaceCache.ts';
+
+const AUTHOR_ID = 'authorUser1';
+const INSTALLER_ID = 'installerUser1';
+
+async function setup(): Promise<{ marketplaceId: string; authorCatalogId: string }> {
+  const adapter = new MemoryAdapter();
+  await adapter.connect();
+  refs.adapter.current = adapter;
+  getMarketplaceCache().clear();
+
+  const authorCatalogId = crypto.randomUUID();
+  const catalog: CatalogConfig = {
+    _id: authorCatalogId,
+    name: 'Weekend Picks',
+    type: 'movie',
+    source: 'tmdb',
+    filters: { sortBy: 'popularity.desc', genres: [28] },
+    enabled: true,
+    published: true,
+  };
+  refs.configs.set(AUTHOR_ID, { userId: AUTHOR_ID, catalogs: [catalog], preferences: {} });
+  refs.configs.set(INSTALLER_ID, { userId: INSTALLER_ID, catalogs: [], preferences: {} });
+
+  const entry = await publishCatalog(AUTHOR_ID, authorCatalogId);
+  return { marketplaceId: entry.marketplaceId, authorCatalogId };
+}
+
+async function authorEdits(authorCatalogId: string, filters: CatalogConfig['filters']) {
+  const config = refs.configs.get(AUTHOR_ID)!;
+  config.catalogs = config.catalogs.map((c) => (c._id === authorCatalogId ? { ...c, filters } : c));
+  await publishCatalog(AUTHOR_ID, authorCatalogId);
+}
+
+function installerCatalog(): CatalogConfig {
+  return refs.configs.get(INSTALLER_ID)!.catalogs[0];
+}
+
+describe('linked marketplace installs', () => {
+  beforeEach(() => {
+    refs.adapter.current = null;
+    refs.configs.clear();
+  });
+
+  it('stamps linked installs with the entry hash and leaves copies unlinked', async () => {
+    const { marketplaceId } = await setup();
+    const { catalog } = await installEntry(marketplaceId, INSTALLER_ID, 'link');
+    const entry = await refs.adapter.current!.getMarketplaceEntry(marketplaceId);
+
+    expect(catalog.clonedFrom).toMatchObject({
+      marketplaceId,
+      linked: true,
+      contentHash: entry!.contentHash,
+    });
+    expect(await getLinkStatuses(INSTALLER_ID)).toEqual([
+      expect.objectContaining({ catalogId: catalog._id, status: 'current' }),
+    ]);
+
+    refs.configs.set(INSTALLER_ID, { userId: INSTALLER_ID, catalogs: [], preferences: {} });
+    const copy = await installEntry(marketplaceId, INSTALLER_ID);
+    expect(copy.catalog.clonedFrom?.linked).toBeUndefined();
+    expect(await getLinkStatuses(INSTALLER_ID)).toEqual([]);
+  });
+
+  it('serves the upstream filters and reports the catalog as updated', async () => {
+    const { marketplaceId, authorCatalogId } = await setup();
+    await installEntry(marketplaceId, INSTALLER_ID, 'link');
+    const before = refs.configs.get(INSTALLER_ID)!;
+
+    await authorEdits(authorCatalogId, { sortBy: 'vote_average.desc', genres: [18] });
+
+    const resolved = await resolveLinkedCatalogs(refs.configs.get(INSTALLER_ID)!);
+    expect(resolved.catalogs[0].filters).toMatchObject({ sortBy: 'vote_average.desc' });
+    expect(new Date(resolved.updatedAt!).getTime()).toBeGreaterThanOrEqual(
+      new Date(before.updatedAt!).getTime()
+    );
+    expect(installerCatalog().filters).toMatchObject({ sortBy: 'popularity.desc' });
+    expect((await getLinkStatuses(INSTALLER_ID))[0].status).toBe('updated');
+
+    const synced = await syncLinkedCatalog(INSTALLER_ID, installerCatalog()._id);
+    expect(synced.filters).toMatchObject({ sortBy: 'vote_average.desc' });
+    expect((await getLinkStatuses(INSTALLER_ID))[0].status).toBe('current');
+  });
+
+  it('falls back to the stored filters when the entry is taken down', async () => {
+    const { marketplaceId, authorCatalogId } = await setup();
+    await installEntry(marketplaceId, INSTALLER_ID, 'link');
+    await authorEdits(authorCatalogId, { sortBy: 'revenue.desc' });
+    await moderateEntry(marketplaceId, 'remove');
+
+    const resolved = await resolveLinkedCatalogs(refs.configs.get(INSTALLER_ID)!);
+    expect(resolved.catalogs[0].filters).toMatchObject({ sortBy: 'popularity.desc' });
+    expect((await getLinkStatuses(INSTALLER_ID))[0].status).toBe('unavailable');
+    await expect(syncLinkedCatalog(INSTALLER_ID, installerCatalog()._id)).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  it('detaches into a local copy of the current upstream filters', async () => {
+    const { marketplaceId, authorCatalogId } = await setup();
+    await installEntry(marketplaceId, INSTALLER_ID, 'link');
+    await authorEdits(authorCatalogId, { sortBy: 'release_date.desc' });
+
+    const detached = await detachLinkedCatalog(INSTALLER_ID, installerCatalog()._id);
+    expect(detached.filters).toMatchObject({ sortBy: 'release_date.desc' });
+    expect(detached.clonedFrom).toEqual({
+      marketplaceId,
+      originUserId: AUTHOR_ID,
+      originCatalogId: authorCatalogId,
+      clonedAt: expect.any(String),
+    });
+
+    await authorEdits(authorCatalogId, { sortBy: 'popularity.asc' });
+    const resolved = await resolveLinkedCatalogs(refs.configs.get(INSTALLER_ID)!);
+    expect(resolved.catalogs[0].filters).toMatchObject({ sortBy: 'release_date.desc' });
+    await expect(detachLinkedCatalog(INSTALLER_ID, detached._id)).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+});
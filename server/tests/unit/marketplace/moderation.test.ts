@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import crypto from 'crypto';
+
+import { MemoryAdapter } from '../../../src/services/storage/MemoryAdapter.ts';
+import type { UserConfig, CatalogConfig } from '../../../src/types/config.ts';
+import { AppError } from '../../../src/utils/AppError.ts';
+
+/**
+ * Abuse reports and moderator decisions against a real MemoryAdapter. Only the
+ * storage factory and config loader are substituted.
+ */
+
+const refs = vi.hoisted(() => ({
+  adapter: { current: null as MemoryAdapter | null },
+  configs: new Map<string, UserConfig>(),
+}));
+
+vi.mock('../../../src/services/storage/index.ts', () => ({
+  getStorage: () => {
+    if (!refs.adapter.current) throw new Error('test storage not initialized');
+    return refs.adapter.current;
+  },
+  initStorage: async () => refs.adapter.current,
+}));
+
+vi.mock('../../../src/services/configService.ts', () => ({
+  getUserConfig: async (userId: string) => refs.configs.get(userId) ?? null,
+}));
+
+import { publishCatalog, searchMarketplace } from '../../../src/services/marketplaceService.ts';
+import {
+  isMarketplaceModerator,
+  reportEntry,
+  getModerationQueue,
+  moderateEntry,
+} from '../../../src/services/marketplace/moderation.ts';
+import { getMarketplaceCache } from '../../../src/infrastructure/marketplaceCache.ts';
+
+const AUTHOR_ID = 'authorUser1';
+
+async function seedEntry(): Promise<{ adapter: MemoryAdapter; marketplaceId: string }> {
+  const adapter = new MemoryAdapter();
+  await adapter.connect();
+  refs.adapter.current = adapter;
+  getMarketplaceCache().clear();
+
+  const catalogId = crypto.randomUUID();
+  const catalog: CatalogConfig = {
+    _id: catalogId,
+    name: 'ReportedMovies',
+    type: 'movie',
+    source: 'tmdb',
+    filters: { sortBy: 'popularity' },
+    enabled: true,
+    published: true,
+  };
+  refs.configs.set(AUTHOR_ID, { userId: AUTHOR_ID, catalogs: [catalog], preferences: {} });
+
+  const entry = await publishCatalog(AUTHOR_ID, catalogId);
+  return { adapter, marketplaceId: entry.marketplaceId };
+}
+
+async function searchIds(): Promise<string[]> {
+  const result = await searchMarketplace({ q: '' });
+  return result.items.map((item) => item.marketplaceId);
+}
+
+describe('marketplace moderation', () => {
+  beforeEach(() => {
+    refs.adapter.current = null;
+    refs.configs.clear();
+  });
+
+  it('counts one report per user and flags the entry at the threshold', async () => {
+    const { adapter, marketplaceId } = await seedEntry();
+
+    await expect(reportEntry(marketplaceId, 'key-a', { reason: 'spam' }, 2)).resolves.toEqual({
+      reported: true,
+      alreadyReported: false,
+    });
+    await expect(reportEntry(marketplaceId, 'key-a', { reason: 'other' }, 2)).resolves.toEqual({
+      reported: true,
+      alreadyReported: true,
+    });
+    expect((await adapter.getMarketplaceEntry(marketplaceId))?.moderation).toBe('active');
+    expect(await searchIds()).toContain(marketplaceId);
+
+    await reportEntry(marketplaceId, 'key-b', { reason: 'offensive', details: 'slur in name' }, 2);
+    expect((await adapter.getMarketplaceEntry(marketplaceId))?.moderation).toBe('flagged');
+    expect(await searchIds()).not.toContain(marketplaceId);
+
+    const queue = await getModerationQueue('flagged');
+    expect(queue).toHaveLength(1);
+    expect(queue[0].entry.marketplaceId).toBe(marketplaceId);
+    expect(queue[0].reports.map((r) => [r.actorUserId, r.reason, r.details])).toEqual([
+      ['key-a', 'spam', undefined],
+      ['key-b', 'offensive', 'slur in name'],
+    ]);
+  });
+
+  it('does not auto-flag when the threshold is 0', async () => {
+    const { adapter, marketplaceId } = await seedEntry();
+    await reportEntry(marketplaceId, 'key-a', { reason: 'spam' }, 0);
+    expect((await adapter.getMarketplaceEntry(marketplaceId))?.moderation).toBe('active');
+    expect(await adapter.getReports(marketplaceId)).toHaveLength(1);
+  });
+
+  it('restores with a clean slate and keeps reports on removal', async () => {
+    const { adapter, marketplaceId } = await seedEntry();
+    await reportEntry(marketplaceId, 'key-a', { reason: 'spam' }, 1);
+
+    const restored = await moderateEntry(marketplaceId, 'restore');
+    expect(restored.moderation).toBe('active');
+    expect(await adapter.getReports(marketplaceId)).toHaveLength(0);
+    expect(await searchIds()).toContain(marketplaceId);
+
+    await reportEntry(marketplaceId, 'key-a', { reason: 'broken' }, 1);
+    const removed = await moderateEntry(marketplaceId, 'remove');
+    expect(removed.moderation).toBe('removed');
+    expect((await getModerationQueue('removed'))[0].reports).toHaveLength(1);
+
+    await expect(reportEntry(marketplaceId, 'key-c', { reason: 'spam' }, 1)).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  it("leaves the entry's updatedAt alone so moderation does not reorder recent listings", async () => {
+    const { adapter, marketplaceId } = await seedEntry();
+    const before = (await adapter.getMarketplaceEntry(marketplaceId))!.updatedAt;
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      vi.setSystemTime(Date.now() + 60_000);
+      await moderateEntry(marketplaceId, 'remove');
+      await moderateEntry(marketplaceId, 'restore');
+    } finally {
+      vi.useRealTimers();
+    }
+
+    const after = (await adapter.getMarketplaceEntry(marketplaceId))!.updatedAt;
+    expect(new Date(after).getTime()).toBe(new Date(before).getTime());
+  });
+
+  it('keeps the moderation status when the author re-publishes', async () => {
+    const { marketplaceId } = await seedEntry();
+    await moderateEntry(marketplaceId, 'remove');
+
+    const config = refs.configs.get(AUTHOR_ID)!;
+    const republished = await publishCatalog(AUTHOR_ID, config.catalogs[0]._id as string, {
+      description: 'please',
+    });
+    expect(republished.marketplaceId).toBe(marketplaceId);
+    expect(republished.moderation).toBe('removed');
+  });
+
+  it('rejects moderation of unknown entries', async () => {
+    await seedEntry();
+    await expect(moderateEntry(crypto.randomUUID(), 'restore')).rejects.toBeInstanceOf(AppError);
+  });
+
+  it('recognises moderators by the API key that owns a listed config', async () => {
+    refs.configs.set('modUser1', {
+      userId: 'modUser1',
+      apiKeyId: 'mod-key',
+      catalogs: [],
+      preferences: {},
+    });
+    expect(await isMarketplaceModerator('mod-key', ['modUser1'])).toBe(true);
+    expect(await isMarketplaceModerator('other-key', ['modUser1'])).toBe(false);
+    expect(await isMarketplaceModerator('mod-key', [])).toBe(false);
+    expect(await isMarketplaceModerator(undefined, ['modUser1'])).toBe(false);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import type { CatalogConfig, TmdbDetails, UserConfig } from '../../src/types/index.ts';
+
+const saved = vi.hoisted(() => ({ configs: [] as UserConfig[] }));
+
+vi.mock('../../src/services/configService.ts', () => ({
+  saveUserConfig: async (config: UserConfig) => {
+    saved.configs.push(config);
+    return config;
+  },
+}));
+
+import {
+  allowsKitsuAgeRating,
+  allowsMalRating,
+  allowsTmdbDetails,
+  allowsTraktCertification,
+  applyMaturityLimit,
+  maturityCertifications,
+} from '../../src/services/maturity/index.ts';
+import {
+  changesLockedMaturity,
+  lockMaturity,
+  unlockMaturity,
+} from '../../src/services/maturity/lock.ts';
+
+function catalog(source: CatalogConfig['source'], filters = {}, type = 'movie'): CatalogConfig {
+  return { _id: `${source}-1`, name: 'Catalog', type, source, filters, enabled: true };
+}
+
+function profile(catalogs: CatalogConfig[], preferences: UserConfig['preferences'] = {}) {
+  return { userId: 'kid01', catalogs, preferences } as UserConfig;
+}
+
+function movie(certifications: Record<string, string>, adult = false): TmdbDetails {
+  return {
+    id: 1,
+    adult,
+    release_dates: {
+      results: Object.entries(certifications).map(([country, certification]) => ({
+        iso_3166_1: country,
+        release_dates: [{ certification }],
+      })),
+    },
+  } as unknown as TmdbDetails;
+}
+
+describe('maturityCertifications', () => {
+  it('lists the US ratings up to the level', () => {
+    expect(maturityCertifications('PG', ['movie'])).toEqual({
+      country: 'US',
+      certifications: ['G', 'PG'],
+    });
+    expect(maturityCertifications('G', ['tv'], 'US').certifications).toEqual([
+      'TV-Y',
+      'TV-Y7',
+      'TV-G',
+    ]);
+  });
+
+  it('maps onto local ratings without admitting what a denied rating maps to', () => {
+    // TV-PG and PG-13 both map to 12 in Germany; a PG limit leaves 12 out.
+    expect(maturityCertifications('PG', ['movie', 'tv'], 'de')).toEqual({
+      country: 'DE',
+      certifications: ['0', '6'],
+    });
+  });
+
+  it('falls back to US ratings for unmapped countries', () => {
+    expect(maturityCertifications('PG-13', ['movie'], 'ZZ').country).toBe('US');
+  });
+});
+
+describe('applyMaturityLimit', () => {
+  it('leaves profiles without a limit untouched', () => {
+    const config = profile([catalog('letterboxd')]);
+    expect(applyMaturityLimit(config)).toBe(config);
+  });
+
+  it('rewrites TMDB certifications and keeps narrower choices', () => {
+    const config = profile(
+      [
+        catalog('tmdb', { certifications: ['G'], certificationMax: 'R', includeAdult: true }),
+        catalog('tmdb', { certificationCountry: 'US', certifications: ['R'] }),
+      ],
+      { maxMaturity: 'PG' }
+    );
+    const [narrower, broader] = applyMaturityLimit(config).catalogs;
+    expect(narrower.filters).toEqual({
+      certifications: ['G'],
+      certificationCountry: 'US',
+      includeAdult: false,
+    });
+    expect(broader.filters.certifications).toEqual(['G', 'PG']);
+  });
+
+  it('uses the profile region for TMDB and IMDb catalogs', () => {
+    const config = profile([catalog('tmdb'), catalog('imdb', { listType: 'discover' })], {
+      maxMaturity: 'PG',
+      region: 'DE',
+    });
+    const [tmdb, imdb] = applyMaturityLimit(config).catalogs;
+    expect(tmdb.filters).toMatchObject({ certificationCountry: 'DE', certifications: ['0', '6'] });
+    expect(imdb.filters).toMatchObject({
+      certificateCountry: 'DE',
+      certificates: ['0', '6'],
+      explicitContent: 'EXCLUDE',
+    });
+  });
+
+  it('holds the anime and list sources to their own ratings', () => {
+    const config = profile(
+      [
+        catalog('trakt', { traktCertifications: ['PG', 'r'] }),
+        catalog('kitsu', {}, 'anime'),
+        catalog('mal', { malRating: 'r17' }, 'anime'),
+        catalog('anilist', {}, 'anime'),
+        catalog('simkl', {}, 'series'),
+      ],
+      { maxMaturity: 'PG-13' }
+    );
+    const [trakt, kitsu, mal, anilist, simkl] = applyMaturityLimit(config).catalogs;
+    expect(trakt.filters.traktCertifications).toEqual(['pg']);
+    expect(kitsu.filters.kitsuAgeRating).toEqual(['G', 'PG']);
+    expect(mal.filters).not.toHaveProperty('malRating');
+    expect(anilist.filters.isAdult).toBe(false);
+    expect(simkl.filters.includeAdult).toBe(false);
+  });
+
+  it('drops catalogs whose titles carry no rating', () => {
+    const config = profile(
+      [
+        catalog('letterboxd'),
+        catalog('imdb', { listType: 'top250' }),
+        catalog('imdb', { listType: 'discover' }),
+      ],
+      { maxMaturity: 'R' }
+    );
+    expect(applyMaturityLimit(config).catalogs.map((c) => c.filters.listType)).toEqual([
+      'discover',
+    ]);
+  });
+});
+
+describe('maturity predicates', () => {
+  it('checks TMDB titles by US rating, then by local rating', () => {
+    expect(allowsTmdbDetails(movie({ US: 'PG' }), true, 'PG')).toBe(true);
+    expect(allowsTmdbDetails(movie({ US: 'R', DE: '6' }), true, 'PG', 'DE')).toBe(false);
+    expect(allowsTmdbDetails(movie({ DE: '6' }), true, 'PG', 'DE')).toBe(true);
+    expect(allowsTmdbDetails(movie({ DE: '12' }), true, 'PG', 'DE')).toBe(false);
+    expect(allowsTmdbDetails(movie({}), true, 'R')).toBe(false);
+    expect(allowsTmdbDetails(movie({ US: 'G' }, true), true, 'R')).toBe(false);
+
+    const show = { content_ratings: { results: [{ iso_3166_1: 'US', rating: 'TV-14' }] } };
+    expect(allowsTmdbDetails(show as unknown as TmdbDetails, false, 'PG-13')).toBe(true);
+    expect(allowsTmdbDetails(show as unknown as TmdbDetails, false, 'PG')).toBe(false);
+  });
+
+  it('reads MAL, Kitsu and Trakt ratings', () => {
+    expect(allowsMalRating('PG - Children', 'G')).toBe(true);
+    expect(allowsMalRating('PG-13 - Teens 13 or older', 'PG')).toBe(false);
+    expect(allowsMalRating('Rx - Hentai', 'R')).toBe(false);
+    expect(allowsMalRating(null, 'R')).toBe(false);
+    expect(allowsKitsuAgeRating('PG', 'PG')).toBe(true);
+    expect(allowsKitsuAgeRating('R18', 'R')).toBe(false);
+    expect(allowsTraktCertification('tv-pg', 'PG')).toBe(true);
+    expect(allowsTraktCertification('pg-13', 'PG')).toBe(false);
+  });
+});
+
+describe('maturity PIN lock', () => {
+  beforeEach(() => {
+    saved.configs = [];
+  });
+
+  it('locks a saved limit and unlocks with the same PIN', async () => {
+    const config = profile([], { maxMaturity: 'PG' });
+    await lockMaturity(config, '1234');
+    const locked = saved.configs[0];
+    expect(locked.maturityPinHash).toMatch(/^[0-9a-f]+:[0-9a-f]+$/);
+    expect(locked.maturityPinHash).not.toContain('1234');
+
+    await expect(unlockMaturity(locked, '4321')).rejects.toMatchObject({ statusCode: 403 });
+    await unlockMaturity(locked, '1234');
+    expect(saved.configs[1].maturityPinHash).toBe('');
+  });
+
+  it('rejects bad PINs and profiles without a limit', async () => {
+    await expect(lockMaturity(profile([]), '1234')).rejects.toMatchObject({ statusCode: 400 });
+    const config = profile([], { maxMaturity: 'G' });
+    await expect(lockMaturity(config, '12')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(lockMaturity(config, 'abcd')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(unlockMaturity(config, '1234')).rejects.toMatchObject({ statusCode: 400 });
+    expect(saved.configs).toEqual([]);
+  });
+
+  it('only treats a different limit as a change while locked', () => {
+    const locked = { ...profile([], { maxMaturity: 'PG' }), maturityPinHash: 'a:b' } as UserConfig;
+    expect(changesLockedMaturity(locked, { maxMaturity: 'R' })).toBe(true);
+    expect(changesLockedMaturity(locked, { maxMaturity: null })).toBe(true);
+    expect(changesLockedMaturity(locked, { maxMaturity: 'PG' })).toBe(false);
+    expect(changesLockedMaturity(locked, { language: 'de' })).toBe(false);
+    expect(changesLockedMaturity(profile([]), { maxMaturity: 'R' })).toBe(false);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import {
+  recordAddonRequest,
+  renderMetrics,
+  resetMetrics,
+  isMetricsTokenValid,
+} from '../../src/infrastructure/metrics.ts';
+import { destroyTmdbThrottle } from '../../src/infrastructure/tmdbThrottle.ts';
+
+describe('renderMetrics', () => {
+  beforeEach(() => resetMetrics());
+  afterAll(() => destroyTmdbThrottle());
+
+  it('counts addon requests per resource, source and status class', () => {
+    recordAddonRequest('catalog', 'tmdb', 200, 120);
+    recordAddonRequest('catalog', 'tmdb', 200, 80);
+    recordAddonRequest('catalog', 'tmdb', 404, 5);
+    recordAddonRequest('meta', 'imdb', 200, 3000);
+
+    const text = renderMetrics('1.2.3');
+    expect(text).toContain('# TYPE tmdb_discover_addon_requests_total counter');
+    expect(text).toContain(
+      'tmdb_discover_addon_requests_total{resource="catalog",source="tmdb",status="2xx"} 2'
+    );
+    expect(text).toContain(
+      'tmdb_discover_addon_requests_total{resource="catalog",source="tmdb",status="4xx"} 1'
+    );
+    expect(text).toContain(
+      'tmdb_discover_addon_requests_total{resource="meta",source="imdb",status="2xx"} 1'
+    );
+  });
+
+  it('writes cumulative latency buckets', () => {
+    recordAddonRequest('catalog', 'mal', 200, 80);
+    recordAddonRequest('catalog', 'mal', 200, 400);
+    recordAddonRequest('catalog', 'mal', 200, 20000);
+
+    const text = renderMetrics('1.2.3');
+    const series = 'tmdb_discover_addon_request_duration_seconds';
+    expect(text).toContain(`${series}_bucket{resource="catalog",source="mal",le="0.05"} 0`);
+    expect(text).toContain(`${series}_bucket{resource="catalog",source="mal",le="0.1"} 1`);
+    expect(text).toContain(`${series}_bucket{resource="catalog",source="mal",le="0.5"} 2`);
+    expect(text).toContain(`${series}_bucket{resource="catalog",source="mal",le="10"} 2`);
+    expect(text).toContain(`${series}_bucket{resource="catalog",source="mal",le="+Inf"} 3`);
+    expect(text).toContain(`${series}_count{resource="catalog",source="mal"} 3`);
+    expect(text).toContain(`${series}_sum{resource="catalog",source="mal"} 20.48`);
+  });
+
+  it('exports cache, throttle, circuit breaker and build gauges', () => {
+    const text = renderMetrics('1.2.3');
+    expect(text).toMatch(/^tmdb_discover_cache_hits_total\{cache="config"\} \d+$/m);
+    expect(text).toMatch(/^tmdb_discover_cache_entries\{cache="marketplace"\} \d+$/m);
+    expect(text).toMatch(/^tmdb_discover_tmdb_throttle_queue_depth \d+$/m);
+    expect(text).toContain('tmdb_discover_circuit_breaker_open{upstream="tmdb"} 0');
+    expect(text).toContain('tmdb_discover_build_info{version="1.2.3"} 1');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  it('escapes label values', () => {
+    const text = renderMetrics('1.0 "beta"\\x');
+    expect(text).toContain('tmdb_discover_build_info{version="1.0 \\"beta\\"\\\\x"} 1');
+  });
+});
+
+describe('isMetricsTokenValid', () => {
+  it('accepts only the configured bearer token', () => {
+    expect(isMetricsTokenValid('Bearer s3cret', 's3cret')).toBe(true);
+    expect(isMetricsTokenValid('bearer s3cret', 's3cret')).toBe(true);
+    expect(isMetricsTokenValid('Bearer s3cret-longer', 's3cret')).toBe(false);
+    expect(isMetricsTokenValid('s3cret', 's3cret')).toBe(false);
+    expect(isMetricsTokenValid(undefined, 's3cret')).toBe(false);
+    expect(isMetricsTokenValid('Bearer ', '')).toBe(false);
+  });
+});
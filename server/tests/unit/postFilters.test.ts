@@ -0,0 +1,133 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createPostFilter,
+  normalizePostFilters,
+  parsePreviewRuntime,
+  parsePreviewYear,
+} from '../../src/services/postFilters/index.ts';
+import type { StremioMetaPreview } from '../../src/types/index.ts';
+
+function meta(id: string, extra: Partial<StremioMetaPreview> = {}): StremioMetaPreview {
+  return {
+    id,
+    type: 'movie',
+    name: id,
+    imdb_id: id.startsWith('tt') ? id : null,
+    imdbId: id.startsWith('tt') ? id : null,
+    poster: `https://image.tmdb.org/t/p/w500/${id}.jpg`,
+    releaseInfo: '2020',
+    genres: ['Drama'],
+    ...extra,
+  } as StremioMetaPreview;
+}
+
+const noRatings = async () => new Map<string, number>();
+
+describe('normalizePostFilters', () => {
+  it('clamps numbers, normalizes genres and drops empty rules', () => {
+    expect(
+      normalizePostFilters({
+        imdbRatingMin: '7.5',
+        yearFrom: 1500,
+        yearTo: '',
+        runtimeMin: 0,
+        runtimeMax: 9999,
+        genres: ['Sci-Fi & Fantasy', 'Drama', 'drama', 42],
+        excludeGenres: [],
+        requirePoster: 'yes',
+      })
+    ).toEqual({
+      imdbRatingMin: 7.5,
+      yearFrom: 1870,
+      runtimeMax: 600,
+      genres: ['scifi and fantasy', 'drama'],
+    });
+  });
+
+  it('returns null when nothing is set', () => {
+    expect(normalizePostFilters({ imdbRatingMin: 0, genres: [] })).toBeNull();
+    expect(normalizePostFilters(undefined)).toBeNull();
+    expect(normalizePostFilters(['drama'])).toBeNull();
+  });
+});
+
+describe('preview parsing', () => {
+  it('reads the first year of a release range', () => {
+    expect(parsePreviewYear('2019-2023')).toBe(2019);
+    expect(parsePreviewYear('2021 FALL')).toBe(2021);
+    expect(parsePreviewYear('2008 · Airing')).toBe(2008);
+    expect(parsePreviewYear('')).toBeNull();
+  });
+
+  it('reads formatted runtimes', () => {
+    expect(parsePreviewRuntime('45min')).toBe(45);
+    expect(parsePreviewRuntime('2h10min')).toBe(130);
+    expect(parsePreviewRuntime('1h')).toBe(60);
+    expect(parsePreviewRuntime(undefined)).toBeNull();
+  });
+});
+
+describe('createPostFilter', () => {
+  it('returns null without rules', () => {
+    expect(createPostFilter({})).toBeNull();
+  });
+
+  it('filters on year and genres, letting unknown years through', () => {
+    const filter = createPostFilter(
+      { yearFrom: 2000, genres: ['Drama', 'Comedy'], excludeGenres: ['Horror'] },
+      noRatings
+    )!;
+
+    expect(filter.rejects(meta('a', { releaseInfo: '1999' }))).toBe(true);
+    expect(filter.rejects(meta('b', { releaseInfo: '' }))).toBe(false);
+    expect(filter.rejects(meta('c', { genres: ['Action'] }))).toBe(true);
+    expect(filter.rejects(meta('d', { genres: ['Drama', 'Horror'] }))).toBe(true);
+    expect(filter.rejects(meta('e', { genres: ['comedy'] }))).toBe(false);
+  });
+
+  it('only judges runtimes that previews report', () => {
+    const filter = createPostFilter({ runtimeMax: 100 }, noRatings)!;
+
+    expect(filter.rejects(meta('a', { runtime: '2h10min' }))).toBe(true);
+    expect(filter.rejects(meta('b', { runtime: '1h30min' }))).toBe(false);
+    expect(filter.rejects(meta('c'))).toBe(false);
+  });
+
+  it('treats the placeholder as a missing poster', () => {
+    const filter = createPostFilter({ requirePoster: true }, noRatings)!;
+
+    expect(filter.rejects(meta('a', { poster: null }))).toBe(true);
+    expect(filter.rejects(meta('b', { poster: 'https://x.test/placeholder-poster.svg' }))).toBe(
+      true
+    );
+    expect(filter.rejects(meta('c'))).toBe(false);
+  });
+
+  it('looks up IMDb ratings per page and hides unrated titles', async () => {
+    const lookup = vi.fn(async (ids: string[]) => {
+      const known = new Map([
+        ['tt0000001', 8.1],
+        ['tt0000002', 6.4],
+      ]);
+      return new Map(ids.filter((id) => known.has(id)).map((id) => [id, known.get(id)!]));
+    });
+    const filter = createPostFilter({ imdbRatingMin: 7 }, lookup)!;
+    const page = [meta('tt0000001'), meta('tt0000002'), meta('tt0000003'), meta('kitsu:1')];
+
+    await filter.prepare(page);
+    await filter.prepare(page);
+
+    expect(page.filter((m) => !filter.rejects(m)).map((m) => m.id)).toEqual(['tt0000001']);
+    expect(lookup).toHaveBeenCalledTimes(2);
+    expect(lookup.mock.calls[1][0]).toEqual(['tt0000003']);
+  });
+
+  it('skips the rating rule when no ratings dataset is loaded', async () => {
+    const filter = createPostFilter({ imdbRatingMin: 7 }, async () => null)!;
+    const page = [meta('tt0000001'), meta('kitsu:1')];
+
+    await filter.prepare(page);
+
+    expect(page.some((m) => filter.rejects(m))).toBe(false);
+  });
+});
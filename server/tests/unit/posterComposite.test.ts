@@ -0,0 +1,246 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/services/tmdb/index.ts', () => ({
+  findByImdbId: vi.fn(),
+  getDetails: vi.fn(),
+  getCertification: vi.fn(() => 'PG-13'),
+}));
+vi.mock('../../src/services/imdbRatings/index.ts', () => ({
+  getImdbRating: vi.fn(),
+}));
+vi.mock('../../src/services/mal/index.ts', () => ({
+  jikanFetch: vi.fn(),
+}));
+
+import * as tmdb from '../../src/services/tmdb/index.ts';
+import { getImdbRating } from '../../src/services/imdbRatings/index.ts';
+import { jikanFetch } from '../../src/services/mal/index.ts';
+import {
+  buildCompositedPosterUrl,
+  collectPosterFacts,
+  compositeLayoutKey,
+  compositedPosterId,
+  getPlainPoster,
+  hasNewSeason,
+  normalizePosterCompositeLayout,
+  renderCompositeOverlay,
+  type CompositeLayout,
+  type PosterFacts,
+} from '../../src/services/posterComposite/index.ts';
+import { createArtworkOptions } from '../../src/services/artworkService.ts';
+import { acceptsSvgPoster } from '../../src/services/posterBadge.ts';
+import type { StremioMetaPreview, TmdbTvDetails } from '../../src/types/index.ts';
+
+const DAY_MS = 86_400_000;
+
+function layout(overrides: Partial<CompositeLayout> = {}): CompositeLayout {
+  return { ...normalizePosterCompositeLayout(undefined), ...overrides };
+}
+
+function facts(overrides: Partial<PosterFacts> = {}): PosterFacts {
+  return { poster: 'p', ratings: {}, certification: null, newSeason: false, ...overrides };
+}
+
+describe('normalizePosterCompositeLayout', () => {
+  it('fills defaults and drops unknown values', () => {
+    expect(normalizePosterCompositeLayout(null)).toEqual({
+      ratings: ['imdb'],
+      position: 'bottom',
+      certification: false,
+      newSeasonRibbon: false,
+    });
+    expect(
+      normalizePosterCompositeLayout({
+        ratings: ['mal', 'rt', 'imdb', 'mal'],
+        position: 'top',
+        certification: 'yes',
+        newSeasonRibbon: true,
+      })
+    ).toEqual({
+      ratings: ['mal', 'imdb'],
+      position: 'top',
+      certification: false,
+      newSeasonRibbon: true,
+    });
+    expect(normalizePosterCompositeLayout({ ratings: [] }).ratings).toEqual([]);
+  });
+
+  it('is read from poster artwork settings only', () => {
+    const options = createArtworkOptions(
+      {
+        artwork: {
+          series: {
+            poster: { provider: 'composited', compositeLayout: { ratings: ['tmdb'] } },
+            backdrop: { provider: 'composited' },
+          },
+        },
+      },
+      () => null,
+      'series'
+    );
+    expect(options.poster).toEqual({
+      service: 'composited',
+      compositeLayout: layout({ ratings: ['tmdb'] }),
+    });
+    expect(options.backdrop).toBeNull();
+  });
+});
+
+describe('composited poster urls', () => {
+  const meta = (extra: Partial<StremioMetaPreview>): StremioMetaPreview =>
+    ({ id: 'x', type: 'movie', name: 'x', ...extra }) as StremioMetaPreview;
+
+  it('prefers imdb ids, then tmdb ids, and skips unknown titles', () => {
+    expect(compositedPosterId(meta({ id: 'tmdb:603', imdb_id: 'tt0133093' }))).toBe('tt0133093');
+    expect(compositedPosterId(meta({ id: 'ctmdb.x', tmdbId: 603 }))).toBe('tmdb:603');
+    expect(compositedPosterId(meta({ id: 'tmdb:603' }))).toBe('tmdb:603');
+    expect(compositedPosterId(meta({ id: 'custom:1' }))).toBeNull();
+  });
+
+  it('carries the media type, layout key and watched badge', () => {
+    const url = new URL(
+      buildCompositedPosterUrl(
+        'https://addon.example/',
+        'user1',
+        'series',
+        meta({ id: 'tmdb:1399', type: 'series' }),
+        layout(),
+        '8'
+      )!
+    );
+    expect(url.pathname).toBe('/user1/poster/series/tmdb%3A1399.svg');
+    expect(url.searchParams.get('media')).toBe('series');
+    expect(url.searchParams.get('l')).toBe(compositeLayoutKey(layout()));
+    expect(url.searchParams.get('watched')).toBe('8');
+    expect(compositeLayoutKey(layout({ position: 'top' }))).not.toBe(compositeLayoutKey(layout()));
+  });
+});
+
+describe('hasNewSeason', () => {
+  const now = Date.parse('2026-03-31T00:00:00Z');
+  const show = (latest: number, airDate: string) =>
+    ({
+      last_episode_to_air: { season_number: latest },
+      seasons: [{ season_number: latest, air_date: airDate }],
+    }) as unknown as TmdbTvDetails;
+
+  it('flags a later season that premiered within the window', () => {
+    expect(hasNewSeason(show(2, '2026-03-20'), now)).toBe(true);
+    expect(hasNewSeason(show(2, '2026-01-01'), now)).toBe(false);
+    expect(hasNewSeason(show(1, '2026-03-20'), now)).toBe(false);
+    expect(hasNewSeason(show(3, new Date(now + DAY_MS).toISOString()), now)).toBe(false);
+  });
+});
+
+describe('renderCompositeOverlay', () => {
+  it('draws only the ratings that were found, escaped', () => {
+    const svg = renderCompositeOverlay(
+      facts({ ratings: { imdb: '8.7', mal: '<9>' } }),
+      layout({ ratings: ['imdb', 'tmdb', 'mal'] })
+    );
+    expect(svg).toContain('IMDb 8.7');
+    expect(svg).toContain('MAL &lt;9&gt;');
+    expect(svg).not.toContain('TMDB');
+    expect(svg).toContain('y="674"');
+  });
+
+  it('stacks the band, ribbon, certification and watched badge from the top', () => {
+    const svg = renderCompositeOverlay(
+      facts({ ratings: { imdb: '8.7' }, certification: 'PG-13', newSeason: true }),
+      layout({ position: 'top' }),
+      'watched'
+    );
+    expect(svg).toContain('<rect x="0" y="76"');
+    expect(svg).toContain('NEW SEASON');
+    expect(svg).toContain('>PG-13</text>');
+    expect(svg.indexOf('NEW SEASON')).toBeLessThan(svg.indexOf('PG-13'));
+  });
+
+  it('draws nothing without facts to show', () => {
+    expect(renderCompositeOverlay(facts(), layout())).toBe('');
+  });
+});
+
+describe('collectPosterFacts', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('reads ratings, certification and the new-season flag for a show', async () => {
+    vi.mocked(tmdb.findByImdbId).mockResolvedValue({ tmdbId: 1399 } as never);
+    vi.mocked(tmdb.getDetails).mockResolvedValue({
+      id: 1399,
+      poster_path: '/got.jpg',
+      vote_average: 8.456,
+      last_episode_to_air: { season_number: 2 },
+      seasons: [{ season_number: 2, air_date: new Date().toISOString() }],
+    } as never);
+    vi.mocked(getImdbRating).mockResolvedValue({ rating: 9.2, votes: 100 } as never);
+
+    const result = await collectPosterFacts({
+      apiKey: 'key',
+      media: 'series',
+      id: 'tt0944947',
+      layout: layout({
+        ratings: ['imdb', 'tmdb', 'mal'],
+        certification: true,
+        newSeasonRibbon: true,
+      }),
+    });
+
+    expect(tmdb.findByImdbId).toHaveBeenCalledWith('key', 'tt0944947', 'series');
+    expect(result).toEqual({
+      poster: 'https://image.tmdb.org/t/p/w500/got.jpg',
+      ratings: { imdb: '9.2', tmdb: '8.5' },
+      certification: 'PG-13',
+      newSeason: true,
+    });
+    expect(jikanFetch).not.toHaveBeenCalled();
+  });
+
+  it('reads the MAL score for anime ids and tolerates Jikan failures', async () => {
+    vi.mocked(tmdb.getDetails).mockResolvedValue(null as never);
+    vi.mocked(jikanFetch).mockResolvedValueOnce({ data: { score: 8.78 } } as never);
+    const anime = { apiKey: 'key', media: 'series' as const, id: 'mal:5114' };
+
+    const found = await collectPosterFacts({ ...anime, layout: layout({ ratings: ['mal'] }) });
+    expect(jikanFetch).toHaveBeenCalledWith('/anime/5114');
+    expect(found.ratings).toEqual({ mal: '8.8' });
+    expect(found.poster).toBeNull();
+
+    vi.mocked(jikanFetch).mockRejectedValueOnce(new Error('429'));
+    const failed = await collectPosterFacts({ ...anime, layout: layout({ ratings: ['mal'] }) });
+    expect(failed.ratings).toEqual({});
+  });
+});
+
+describe('plain poster fallback', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('serves SVG only to clients that list it in Accept', () => {
+    expect(
+      acceptsSvgPoster('image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8')
+    ).toBe(true);
+    expect(acceptsSvgPoster('image/*')).toBe(false);
+    expect(acceptsSvgPoster('*/*')).toBe(false);
+    expect(acceptsSvgPoster(undefined)).toBe(false);
+  });
+
+  it('resolves the TMDB poster without rating lookups', async () => {
+    vi.mocked(tmdb.getDetails).mockResolvedValue({ id: 603, poster_path: '/m.jpg' } as never);
+
+    const poster = await getPlainPoster({
+      apiKey: 'key',
+      media: 'movie',
+      id: 'tmdb:603',
+      layout: layout({ ratings: ['imdb', 'mal'], certification: true }),
+    });
+
+    expect(poster).toBe('https://image.tmdb.org/t/p/w500/m.jpg');
+    expect(getImdbRating).not.toHaveBeenCalled();
+    expect(jikanFetch).not.toHaveBeenCalled();
+    expect(tmdb.getCertification).not.toHaveBeenCalled();
+  });
+});
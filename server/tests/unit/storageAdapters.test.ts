@@ -22,6 +22,7 @@ vi.mock('../../src/models/UserConfig.ts', () => {
   const mockModel = {
     findOne: vi.fn(),
     findOneAndUpdate: vi.fn(),
+    updateOne: vi.fn(),
     find: vi.fn(),
     findOneAndDelete: vi.fn(),
     distinct: vi.fn(),
@@ -43,9 +44,46 @@ vi.mock('../../src/models/MarketplaceEntry.ts', () => {
     deleteMany: vi.fn(),
     create: vi.fn(),
   });
-  return { MarketplaceEntryModel: makeModel(), MarketplaceLikeModel: makeModel() };
+  return {
+    MarketplaceEntryModel: makeModel(),
+    MarketplaceLikeModel: makeModel(),
+    MarketplaceReportModel: makeModel(),
+  };
 });
 
+vi.mock('../../src/models/CatalogSnapshot.ts', () => ({
+  CatalogSnapshotModel: {
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    deleteMany: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/models/ConfigRevision.ts', () => ({
+  ConfigRevisionModel: {
+    find: vi.fn(),
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    deleteMany: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/models/WatchHistory.ts', () => ({
+  WatchHistoryModel: {
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    deleteOne: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/models/Household.ts', () => ({
+  HouseholdModel: {
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    deleteOne: vi.fn(),
+  },
+}));
+
 vi.mock('../../src/utils/logger.ts', () => ({
   createLogger: () => ({
     info: vi.fn(),
@@ -57,8 +95,18 @@ vi.mock('../../src/utils/logger.ts', () => ({
 
 import { MongoAdapter } from '../../src/services/storage/MongoAdapter.ts';
 import { UserConfig } from '../../src/models/UserConfig.ts';
+import { CatalogSnapshotModel } from '../../src/models/CatalogSnapshot.ts';
+import { ConfigRevisionModel } from '../../src/models/ConfigRevision.ts';
 
 const mockModel = UserConfig as unknown as Record<string, ReturnType<typeof vi.fn>>;
+const mockSnapshotModel = CatalogSnapshotModel as unknown as Record<
+  string,
+  ReturnType<typeof vi.fn>
+>;
+const mockRevisionModel = ConfigRevisionModel as unknown as Record<
+  string,
+  ReturnType<typeof vi.fn>
+>;
 
 describe('MongoAdapter', () => {
   let adapter: MongoAdapter;
@@ -111,6 +159,23 @@ describe('MongoAdapter', () => {
     });
   });
 
+  describe('setAccountTokens', () => {
+    it('sets only the token field', async () => {
+      mockModel.updateOne.mockReturnValue({ exec: () => Promise.resolve({ matchedCount: 1 }) });
+
+      expect(await adapter.setAccountTokens('user1', 'traktTokensEncrypted', 'enc')).toBe(true);
+      expect(mockModel.updateOne).toHaveBeenCalledWith(
+        { userId: 'user1' },
+        { $set: { traktTokensEncrypted: 'enc' } }
+      );
+    });
+
+    it('returns false when no config matched', async () => {
+      mockModel.updateOne.mockReturnValue({ exec: () => Promise.resolve({ matchedCount: 0 }) });
+      expect(await adapter.setAccountTokens('missing', 'simklTokensEncrypted', '')).toBe(false);
+    });
+  });
+
   describe('getConfigsByApiKeyId', () => {
     it('returns configs sorted by updatedAt', async () => {
       const configs = [{ userId: 'a' }, { userId: 'b' }];
@@ -170,6 +235,111 @@ describe('MongoAdapter', () => {
       expect(stats).toEqual({ totalUsers: 0, totalCatalogs: 0 });
     });
   });
+
+  describe('catalog snapshots', () => {
+    it('upserts by user and catalog and strips document fields', async () => {
+      const takenAt = new Date('2026-10-12T00:00:00Z');
+      mockSnapshotModel.findOneAndUpdate.mockReturnValue({
+        lean: () => ({
+          exec: () =>
+            Promise.resolve({
+              _id: 'doc1',
+              __v: 0,
+              userId: 'user1',
+              catalogId: 'cat1',
+              filtersHash: 'abc',
+              ids: ['tt1'],
+              takenAt,
+            }),
+        }),
+      });
+
+      const result = await adapter.saveCatalogSnapshot({
+        userId: 'user1',
+        catalogId: 'cat1',
+        filtersHash: 'abc',
+        ids: ['tt1'],
+        takenAt,
+      });
+
+      expect(mockSnapshotModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { userId: 'user1', catalogId: 'cat1' },
+        { $set: { filtersHash: 'abc', ids: ['tt1'], takenAt } },
+        { new: true, upsert: true }
+      );
+      expect(result).toEqual({
+        userId: 'user1',
+        catalogId: 'cat1',
+        filtersHash: 'abc',
+        ids: ['tt1'],
+        takenAt,
+      });
+    });
+
+    it('returns null when no snapshot exists', async () => {
+      mockSnapshotModel.findOne.mockReturnValue({
+        lean: () => ({ exec: () => Promise.resolve(null) }),
+      });
+      expect(await adapter.getCatalogSnapshot('user1', 'cat1')).toBeNull();
+    });
+
+    it('deletes every snapshot of a user', async () => {
+      mockSnapshotModel.deleteMany.mockResolvedValue({ deletedCount: 3 });
+      expect(await adapter.deleteCatalogSnapshots('user1')).toBe(3);
+      expect(mockSnapshotModel.deleteMany).toHaveBeenCalledWith({ userId: 'user1' });
+    });
+  });
+
+  describe('config revisions', () => {
+    it('upserts a revision and prunes the ones past the limit', async () => {
+      const savedAt = new Date('2026-10-12T00:00:00.000Z');
+      const catalogs = [{ _id: 'c1', name: 'Action', type: 'movie', filters: {} }];
+      mockRevisionModel.findOneAndUpdate.mockReturnValue({
+        lean: () => ({
+          exec: () =>
+            Promise.resolve({
+              _id: 'doc1',
+              __v: 0,
+              userId: 'user1',
+              rev: 7,
+              configName: 'Main',
+              catalogs,
+              savedAt,
+            }),
+        }),
+      });
+      const select = vi.fn(() => ({
+        lean: () => ({ exec: () => Promise.resolve([{ rev: 2 }, { rev: 1 }]) }),
+      }));
+      const skip = vi.fn(() => ({ select }));
+      mockRevisionModel.find.mockReturnValue({ sort: () => ({ skip }) });
+      mockRevisionModel.deleteMany.mockResolvedValue({ deletedCount: 2 });
+
+      const result = await adapter.saveConfigRevision(
+        { userId: 'user1', rev: 7, configName: 'Main', catalogs, savedAt },
+        5
+      );
+
+      expect(mockRevisionModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { userId: 'user1', rev: 7 },
+        { $set: { configName: 'Main', catalogs, savedAt } },
+        { new: true, upsert: true }
+      );
+      expect(skip).toHaveBeenCalledWith(5);
+      expect(mockRevisionModel.deleteMany).toHaveBeenCalledWith({
+        userId: 'user1',
+        rev: { $in: [2, 1] },
+      });
+      expect(result).toEqual({ userId: 'user1', rev: 7, configName: 'Main', catalogs, savedAt });
+    });
+
+    it('returns null for an unknown revision', async () => {
+      mockRevisionModel.findOne.mockReturnValue({
+        lean: () => ({ exec: () => Promise.resolve(null) }),
+      });
+      expect(await adapter.getConfigRevision('user1', 3)).toBeNull();
+    });
+  });
 });
 
 vi.mock('pg', () => {
@@ -233,6 +403,23 @@ describe('PostgresAdapter', () => {
     });
   });
 
+  describe('setAccountTokens', () => {
+    it('rewrites the token field without touching updated_at', async () => {
+      mockPool.query.mockResolvedValue({ rowCount: 1 });
+
+      expect(await adapter.setAccountTokens('user1', 'traktTokensEncrypted', 'enc')).toBe(true);
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('jsonb_set');
+      expect(sql).not.toContain('updated_at');
+      expect(params).toEqual(['user1', ['traktTokensEncrypted'], 'enc']);
+    });
+
+    it('returns false when no row matched', async () => {
+      mockPool.query.mockResolvedValue({ rowCount: 0 });
+      expect(await adapter.setAccountTokens('missing', 'traktTokensEncrypted', '')).toBe(false);
+    });
+  });
+
   describe('deleteUserConfig', () => {
     it('returns true when row deleted', async () => {
       mockPool.query.mockResolvedValue({ rowCount: 1 });
@@ -271,4 +458,67 @@ describe('PostgresAdapter', () => {
       expect(stats).toEqual({ totalUsers: 10, totalCatalogs: 25 });
     });
   });
+
+  describe('catalog snapshots', () => {
+    it('maps a stored row', async () => {
+      mockPool.query.mockResolvedValue({
+        rows: [
+          {
+            user_id: 'user1',
+            catalog_id: 'cat1',
+            filters_hash: 'abc',
+            ids: ['tt1', 'tt2'],
+            taken_at: '2026-10-12T00:00:00.000Z',
+          },
+        ],
+      });
+
+      const snapshot = await adapter.getCatalogSnapshot('user1', 'cat1');
+      expect(snapshot).toEqual({
+        userId: 'user1',
+        catalogId: 'cat1',
+        filtersHash: 'abc',
+        ids: ['tt1', 'tt2'],
+        takenAt: new Date('2026-10-12T00:00:00.000Z'),
+      });
+    });
+
+    it('returns the number of deleted snapshots', async () => {
+      mockPool.query.mockResolvedValue({ rowCount: 2 });
+      expect(await adapter.deleteCatalogSnapshots('user1')).toBe(2);
+    });
+  });
+
+  describe('config revisions', () => {
+    it('maps stored rows newest first', async () => {
+      mockPool.query.mockResolvedValue({
+        rows: [
+          {
+            user_id: 'user1',
+            rev: 4,
+            config_name: 'Main',
+            catalogs: [{ _id: 'c1', name: 'Action' }],
+            saved_at: '2026-10-12T00:00:00.000Z',
+          },
+        ],
+      });
+
+      const revisions = await adapter.getConfigRevisions('user1');
+      expect(revisions).toEqual([
+        {
+          userId: 'user1',
+          rev: 4,
+          configName: 'Main',
+          catalogs: [{ _id: 'c1', name: 'Action' }],
+          savedAt: new Date('2026-10-12T00:00:00.000Z'),
+        },
+      ]);
+      expect(mockPool.query.mock.calls[0][0]).toContain('ORDER BY rev DESC');
+    });
+
+    it('returns the number of deleted revisions', async () => {
+      mockPool.query.mockResolvedValue({ rowCount: 4 });
+      expect(await adapter.deleteConfigRevisions('user1')).toBe(4);
+    });
+  });
 });
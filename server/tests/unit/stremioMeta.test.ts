@@ -5,6 +5,7 @@ import {
   toStremioMeta,
   toStremioMetaPreview,
   toStremioFullMeta,
+  toTrailerStreams,
 } from '../../src/services/tmdb/stremioMeta.ts';
 
 vi.mock('../../src/services/artworkService.ts', async () => {
@@ -60,6 +61,18 @@ vi.mock('../../src/services/rpdb.ts', () => ({
 }));
 vi.mock('../../src/services/imdbRatings/index.ts', () => ({
   getImdbRatingString: () => Promise.resolve(null),
+  getImdbEpisodeRatings: (imdbId: string) =>
+    Promise.resolve(
+      new Map(
+        imdbId === 'tt0903747'
+          ? [
+              ['1:1', { rating: 9, votes: 42_000 }],
+              ['1:2', { rating: 8.6, votes: 30_500 }],
+              ['2:1', { rating: 9.7, votes: 190_000 }],
+            ]
+          : []
+      )
+    ),
 }));
 vi.mock('../../src/config.ts', () => ({
   config: {
@@ -235,6 +248,70 @@ describe('toStremioFullMeta — poster fallbacks', () => {
   });
 });
 
+describe('toStremioFullMeta — episode ratings', () => {
+  const seriesDetails = {
+    id: 1396,
+    name: 'Breaking Bad',
+    overview: 'desc',
+    genres: [],
+    credits: { cast: [], crew: [] },
+    images: {},
+    external_ids: { imdb_id: 'tt0903747' },
+    content_ratings: { results: [] },
+  } as any;
+  const videos = [
+    { id: 'tt0903747:1:1', season: 1, episode: 1, title: 'Pilot', overview: 'Walt starts.' },
+    { id: 'tt0903747:1:2', season: 1, episode: 2, title: "Cat's in the Bag..." },
+    { id: 'tt0903747:1:3', season: 1, episode: 3, title: 'And the Bag is in the River' },
+    { id: 'tt0903747:2:1', season: 2, episode: 1, title: 'Seven Thirty-Seven' },
+  ];
+
+  it('prefixes rated episode overviews with the IMDb rating and votes', async () => {
+    const result = await toStremioFullMeta(
+      seriesDetails,
+      'series',
+      null,
+      'tt0903747',
+      null,
+      videos
+    );
+    expect(result.videos?.map((v) => v.overview)).toEqual([
+      'IMDb 9.0/10 (42,000 votes)\n\nWalt starts.',
+      'IMDb 8.6/10 (30,500 votes)',
+      undefined,
+      'IMDb 9.7/10 (190,000 votes)',
+    ]);
+    expect(videos[0].overview).toBe('Walt starts.');
+    expect(result.links?.some((l) => l.category === 'Top Episodes')).toBe(false);
+  });
+
+  it('lists the best-rated episodes as deep links when asked', async () => {
+    const result = await toStremioFullMeta(
+      seriesDetails,
+      'series',
+      null,
+      'tt0903747',
+      null,
+      videos,
+      null,
+      { topEpisodes: true }
+    );
+    const top = result.links?.filter((l) => l.category === 'Top Episodes');
+    expect(top?.map((l) => l.name)).toEqual([
+      'S2E1 · Seven Thirty-Seven · 9.7',
+      'S1E1 · Pilot · 9.0',
+      "S1E2 · Cat's in the Bag... · 8.6",
+    ]);
+    expect(top?.[0].url).toBe('stremio:///detail/series/tt0903747/tt0903747%3A2%3A1');
+  });
+
+  it('leaves episodes alone when the series has no ratings', async () => {
+    const details = { ...seriesDetails, external_ids: { imdb_id: 'tt0000001' } };
+    const result = await toStremioFullMeta(details, 'series', null, null, null, videos);
+    expect(result.videos).toEqual(videos);
+  });
+});
+
 describe('toStremioMeta — poster fallbacks', () => {
   it('uses poster_path when available', () => {
     const item = {
@@ -275,3 +352,46 @@ describe('toStremioMeta — poster fallbacks', () => {
     expect(result.poster).toBeNull();
   });
 });
+
+describe('toTrailerStreams', () => {
+  const video = (overrides: Record<string, unknown>) => ({
+    id: String(overrides.key),
+    site: 'YouTube',
+    type: 'Trailer',
+    iso_639_1: 'en',
+    iso_3166_1: 'US',
+    official: true,
+    published_at: '2024-01-01T00:00:00.000Z',
+    name: String(overrides.key),
+    ...overrides,
+  });
+
+  it('orders preferred language first, then trailers before teasers and clips', () => {
+    const details = {
+      id: 1,
+      videos: {
+        results: [
+          video({ key: 'en-clip', type: 'Clip' }),
+          video({ key: 'en-trailer' }),
+          video({ key: 'de-teaser', iso_639_1: 'de', type: 'Teaser' }),
+          video({ key: 'de-trailer', iso_639_1: 'de' }),
+          video({ key: 'featurette', type: 'Featurette' }),
+          video({ key: 'vimeo', site: 'Vimeo' }),
+        ],
+      },
+    } as any;
+
+    const streams = toTrailerStreams(details, 'de-DE');
+    expect(streams.map((s) => s.ytId)).toEqual([
+      'de-trailer',
+      'de-teaser',
+      'en-trailer',
+      'en-clip',
+    ]);
+    expect(streams[0]).toMatchObject({ name: 'Trailer\nDE', description: 'de-trailer' });
+  });
+
+  it('returns no streams when TMDB has no videos', () => {
+    expect(toTrailerStreams({ id: 1 } as any, 'en')).toEqual([]);
+  });
+});
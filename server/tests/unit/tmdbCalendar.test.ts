@@ -0,0 +1,194 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/services/cache/index.ts', () => ({
+  getCache: vi.fn(() => ({
+    wrap: vi.fn((_key: string, fn: () => Promise<unknown>) => fn()),
+  })),
+}));
+vi.mock('../../src/services/tmdb/discover.ts', () => ({
+  discover: vi.fn(),
+}));
+vi.mock('../../src/services/tmdb/details.ts', () => ({
+  batchGetDetails: vi.fn(),
+  getSeasonDetails: vi.fn(),
+}));
+vi.mock('../../src/services/tmdb/lookup.ts', () => ({
+  batchResolveImdbIds: vi.fn(),
+}));
+
+import { discover } from '../../src/services/tmdb/discover.ts';
+import { batchGetDetails, getSeasonDetails } from '../../src/services/tmdb/details.ts';
+import { batchResolveImdbIds } from '../../src/services/tmdb/lookup.ts';
+import {
+  applyEpisodeCalendar,
+  episodesInWindow,
+  fetchEpisodeCalendar,
+  formatCalendarAiring,
+  normalizeCalendarDays,
+} from '../../src/services/tmdb/calendar.ts';
+import type {
+  StremioMetaPreview,
+  TmdbSeasonDetails,
+  TmdbTvDetails,
+} from '../../src/types/index.ts';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+function show(id: number, nextAirDate: string | null, season = 2): TmdbTvDetails {
+  return {
+    id,
+    name: `Show ${id}`,
+    next_episode_to_air: nextAirDate
+      ? {
+          id: id * 10,
+          name: 'Next',
+          season_number: season,
+          episode_number: 5,
+          air_date: nextAirDate,
+        }
+      : null,
+  } as unknown as TmdbTvDetails;
+}
+
+function season(number: number, dates: string[]): TmdbSeasonDetails {
+  return {
+    season_number: number,
+    episodes: dates.map((date, i) => ({
+      season_number: number,
+      episode_number: i + 1,
+      name: `Episode ${i + 1}`,
+      air_date: date,
+    })),
+  } as unknown as TmdbSeasonDetails;
+}
+
+describe('episode calendar helpers', () => {
+  it('clamps the window length', () => {
+    expect(normalizeCalendarDays(undefined)).toBe(7);
+    expect(normalizeCalendarDays(0)).toBe(7);
+    expect(normalizeCalendarDays('14')).toBe(14);
+    expect(normalizeCalendarDays(90)).toBe(30);
+  });
+
+  it('keeps the season episodes airing inside the window', () => {
+    const episodes = episodesInWindow(
+      show(1, '2026-10-20'),
+      season(2, ['2026-10-13', '2026-10-20', '2026-10-27']),
+      '2026-10-19',
+      '2026-10-26'
+    );
+    expect(episodes).toEqual([{ season: 2, episode: 2, name: 'Episode 2', airDate: '2026-10-20' }]);
+    expect(episodesInWindow(show(1, '2026-11-20'), null, '2026-10-19', '2026-10-26')).toEqual([]);
+    expect(episodesInWindow(show(1, '2026-10-21'), null, '2026-10-19', '2026-10-26')).toEqual([
+      { season: 2, episode: 5, name: 'Next', airDate: '2026-10-21' },
+    ]);
+  });
+
+  it('describes when the next episode airs', () => {
+    const episode = { season: 2, episode: 5, name: 'x', airDate: '2026-10-19' };
+    expect(formatCalendarAiring(episode, NOW)).toBe('S2E5 airs today');
+    expect(formatCalendarAiring({ ...episode, airDate: '2026-10-20' }, NOW)).toBe(
+      'S2E5 airs tomorrow'
+    );
+    expect(formatCalendarAiring({ ...episode, airDate: '2026-10-24' }, NOW)).toBe(
+      'S2E5 airs in 5 days'
+    );
+  });
+
+  it('adds the upcoming episodes as videos', () => {
+    const meta = {
+      id: 'tt0944947',
+      imdb_id: 'tt0944947',
+      tmdbId: 1399,
+      description: 'Synopsis',
+    } as StremioMetaPreview;
+    const result = applyEpisodeCalendar(
+      meta,
+      [{ season: 2, episode: 5, name: 'Next', airDate: '2026-10-20' }],
+      NOW
+    );
+    expect(result.description).toBe('S2E5 airs tomorrow\nSynopsis');
+    expect(result.videos).toEqual([
+      {
+        id: 'tt0944947:2:5',
+        season: 2,
+        episode: 5,
+        title: 'Next',
+        released: '2026-10-20T00:00:00.000Z',
+      },
+    ]);
+    expect(applyEpisodeCalendar(meta, [])).toBe(meta);
+  });
+});
+
+describe('fetchEpisodeCalendar', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(getSeasonDetails).mockResolvedValue(null);
+  });
+
+  it('orders discover matches by next air date within the window', async () => {
+    vi.mocked(discover).mockResolvedValue({
+      results: [{ id: 1 }, { id: 2 }, { id: 3 }],
+      total_pages: 1,
+    });
+    vi.mocked(batchGetDetails).mockResolvedValue(
+      new Map<number, unknown>([
+        [1, show(1, '2026-10-24')],
+        [2, show(2, '2026-10-19')],
+        [3, show(3, '2026-12-01')],
+      ])
+    );
+
+    const page = await fetchEpisodeCalendar(
+      'key',
+      { listType: 'episode_calendar', genres: ['18'] },
+      { now: NOW }
+    );
+
+    expect(discover).toHaveBeenCalledWith(
+      'key',
+      expect.objectContaining({
+        type: 'series',
+        genres: ['18'],
+        airDateFrom: '2026-10-19',
+        airDateTo: '2026-10-26',
+        page: 1,
+      })
+    );
+    expect(page.results.map((entry) => entry.id)).toEqual([2, 1]);
+    expect(page.total_results).toBe(2);
+    const past = await fetchEpisodeCalendar(
+      'key',
+      { listType: 'episode_calendar', genres: ['18'] },
+      { now: NOW, page: 2 }
+    );
+    expect(past.results).toEqual([]);
+    expect(past.total_pages).toBe(1);
+  });
+
+  it('uses pinned shows instead of discover', async () => {
+    vi.mocked(batchResolveImdbIds).mockResolvedValue(new Map([['tt0944947', 1399]]));
+    vi.mocked(batchGetDetails).mockResolvedValue(
+      new Map<number, unknown>([
+        [1399, show(1399, '2026-10-22')],
+        [603, show(603, '2026-10-21')],
+      ])
+    );
+
+    const page = await fetchEpisodeCalendar(
+      'key',
+      {
+        customItems: [{ id: 'tt0944947' }, { id: 'tmdb:603' }],
+        calendarDays: 3,
+      },
+      { now: NOW }
+    );
+
+    expect(discover).not.toHaveBeenCalled();
+    expect(page.results).toEqual([
+      { id: 603, episodes: [expect.objectContaining({ airDate: '2026-10-21' })] },
+      { id: 1399, episodes: [expect.objectContaining({ airDate: '2026-10-22' })] },
+    ]);
+  });
+});
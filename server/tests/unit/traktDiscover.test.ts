@@ -842,3 +842,75 @@ describe('trakt discover routing', () => {
     expect(mockedTraktFetch).toHaveBeenCalledTimes(1);
   });
 });
+
+describe('trakt personal list types', () => {
+  const show = (trakt: number, aired = 10) => ({
+    title: `Show ${trakt}`,
+    ids: { trakt, slug: `show-${trakt}` },
+    aired_episodes: aired,
+  });
+
+  it('returns nothing without a linked-account token', async () => {
+    const result = await discover({ traktListType: 'my_watchlist' }, 'movie', 1, 'client-id');
+    expect(result).toEqual({ items: [], hasMore: false });
+    expect(mockedTraktFetch).not.toHaveBeenCalled();
+  });
+
+  it('pages the watchlist with the access token', async () => {
+    mockedTraktFetch.mockResolvedValue([
+      { rank: 1, movie: { title: 'Queued', ids: { trakt: 1, slug: 'queued' } } },
+    ]);
+    const result = await discover({ traktListType: 'my_watchlist' }, 'movie', 2, 'client-id', {
+      accessToken: 'token-watchlist',
+    });
+    expect(mockedTraktFetch).toHaveBeenCalledWith(
+      '/sync/watchlist/movies/rank?page=2&limit=20&extended=full',
+      'client-id',
+      'token-watchlist'
+    );
+    expect(result.items.map((item) => item.title)).toEqual(['Queued']);
+  });
+
+  it('lists shows with unwatched aired episodes as continue watching', async () => {
+    mockedTraktFetch.mockResolvedValue([
+      {
+        last_watched_at: '2024-01-01',
+        show: show(1),
+        seasons: [{ number: 1, episodes: [{ number: 1 }, { number: 2 }] }],
+      },
+      {
+        last_watched_at: '2024-03-01',
+        show: show(2, 2),
+        seasons: [{ number: 1, episodes: [{ number: 1 }, { number: 2 }] }],
+      },
+      {
+        last_watched_at: '2024-02-01',
+        show: show(3),
+        seasons: [{ number: 1, episodes: [{ number: 1 }] }],
+      },
+    ]);
+    const result = await discover({ traktListType: 'my_continue_watching' }, 'series', 1, 'c', {
+      accessToken: 'token-continue',
+    });
+    expect(result.items.map((item) => item.ids.trakt)).toEqual([3, 1]);
+  });
+
+  it('merges watchlist and personal lists, minus anything already watched', async () => {
+    mockedTraktFetch.mockImplementation(async (url: string) => {
+      if (url.startsWith('/sync/watchlist')) return [{ show: show(1) }, { show: show(2) }];
+      if (url === '/users/me/lists') return [{ ids: { trakt: 77 } }];
+      if (url.startsWith('/users/me/lists/77/items')) return [{ show: show(2) }, { show: show(3) }];
+      if (url.startsWith('/sync/watched')) return [{ show: show(1) }];
+      return [];
+    });
+    const result = await discover({ traktListType: 'my_unwatched' }, 'series', 1, 'c', {
+      accessToken: 'token-unwatched',
+    });
+    expect(result.items.map((item) => item.ids.trakt)).toEqual([2, 3]);
+    expect(mockedTraktFetch).toHaveBeenCalledWith(
+      '/sync/watched/shows?extended=noseasons',
+      'c',
+      'token-unwatched'
+    );
+  });
+});
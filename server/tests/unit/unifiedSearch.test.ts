@@ -0,0 +1,226 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+
+const { searchCache } = vi.hoisted(() => ({ searchCache: new Map<string, unknown>() }));
+
+vi.mock('../../src/services/marketplace/links.ts', () => ({
+  getAddonUserConfig: async () => ({
+    userId: 'user01',
+    catalogs: [],
+    preferences: { unifiedSearch: 'alongside' },
+  }),
+}));
+
+vi.mock('../../src/services/configService.ts', () => ({
+  getApiKeyFromConfig: () => null,
+}));
+
+vi.mock('../../src/services/cache/index.ts', () => ({
+  getCache: () => ({
+    get: async (key: string) => searchCache.get(key) ?? null,
+    set: async (key: string, value: unknown) => void searchCache.set(key, value),
+  }),
+}));
+
+vi.mock('../../src/services/manifestService.ts', () => ({
+  getSourceSearchCatalogs: () => [
+    { id: 'tmdb-search-movie', type: 'movie', name: 'TMDB Search' },
+    { id: 'anilist-search-movie', type: 'movie', name: 'AniList Search' },
+  ],
+}));
+
+vi.mock('../../src/services/tmdb/lookup.ts', () => ({ getExternalIds: async () => null }));
+
+import {
+  buildUnifiedSearchCatalogs,
+  mergeSearchResults,
+  normalizeUnifiedSearchMode,
+  parseSearchQuery,
+  titleSimilarity,
+} from '../../src/services/unifiedSearch/index.ts';
+import { handleUnifiedSearchRequest } from '../../src/routes/handlers/unifiedSearchHandler.ts';
+import { UNIFIED_SEARCH_LIMITS } from '../../src/constants.ts';
+import { CACHE_TTLS } from '../../src/cacheTtls.ts';
+import type { AnimeIdEntry } from '../../src/services/animeIdMap/index.ts';
+import type { CatalogRequestContext } from '../../src/services/sources/types.ts';
+import type { StremioMetaPreview } from '../../src/types/index.ts';
+
+function meta(id: string, name: string, extra: Partial<StremioMetaPreview> = {}) {
+  return { id, type: 'movie', name, releaseInfo: '', ...extra } as StremioMetaPreview;
+}
+
+const ids = (metas: StremioMetaPreview[]) => metas.map((m) => m.id);
+
+describe('parseSearchQuery', () => {
+  it('splits a trailing year off the title', () => {
+    expect(parseSearchQuery('Dune 2021')).toEqual({ title: 'Dune', year: 2021 });
+    expect(parseSearchQuery('Dune (1984)')).toEqual({ title: 'Dune', year: 1984 });
+  });
+
+  it('keeps queries that are only a year, or have none', () => {
+    expect(parseSearchQuery('1917')).toEqual({ title: '1917', year: null });
+    expect(parseSearchQuery(' Heat ')).toEqual({ title: 'Heat', year: null });
+  });
+});
+
+describe('titleSimilarity', () => {
+  it('ignores case, accents and punctuation', () => {
+    expect(titleSimilarity('spider man', 'Spider-Man')).toBe(1);
+    expect(titleSimilarity('amelie', 'Amélie')).toBe(1);
+  });
+
+  it('ranks exact over prefix over fuzzy matches', () => {
+    const exact = titleSimilarity('Alien', 'Alien');
+    const prefix = titleSimilarity('Alien', 'Alien Resurrection');
+    const fuzzy = titleSimilarity('Alien', 'Aliens');
+    expect(exact).toBeGreaterThan(prefix);
+    expect(prefix).toBeGreaterThan(fuzzy);
+    expect(titleSimilarity('Alien', 'Heat')).toBe(0);
+  });
+});
+
+describe('mergeSearchResults', () => {
+  it('merges the same title across sources by IMDb or TMDB id, keeping the first meta', () => {
+    const merged = mergeSearchResults(
+      [
+        { sourceId: 'tmdb', metas: [meta('tmdb:438631', 'Dune', { imdb_id: 'tt1160419' })] },
+        { sourceId: 'trakt', metas: [meta('tt1160419', 'Dune (Trakt)')] },
+        { sourceId: 'simkl', metas: [meta('tmdb:438631', 'Dune (Simkl)')] },
+      ],
+      'Dune'
+    );
+    expect(merged).toHaveLength(1);
+    expect(merged[0].name).toBe('Dune');
+  });
+
+  it('folds anime ids through the anime id map', () => {
+    const lookup = (id: string): AnimeIdEntry | undefined =>
+      id === 'anilist:21' ? { anilist_id: 21, imdb_id: 'tt0388629' } : undefined;
+
+    const merged = mergeSearchResults(
+      [
+        { sourceId: 'anilist', metas: [meta('anilist:21', 'One Piece')] },
+        { sourceId: 'tmdb', metas: [meta('tt0388629', 'One Piece')] },
+      ],
+      'one piece',
+      lookup
+    );
+    expect(ids(merged)).toEqual(['anilist:21']);
+  });
+
+  it('ranks closer titles first and lets popularity across sources break ties', () => {
+    const merged = mergeSearchResults(
+      [
+        { sourceId: 'a', metas: [meta('tt1', 'Alien Resurrection'), meta('tt2', 'Alien')] },
+        { sourceId: 'b', metas: [meta('tt3', 'Alien'), meta('tt2', 'Alien')] },
+      ],
+      'alien'
+    );
+    // tt2 and tt3 both match exactly; tt2 ranks in both sources.
+    expect(ids(merged)).toEqual(['tt2', 'tt3', 'tt1']);
+  });
+
+  it('prefers the release year named in the query', () => {
+    const results = [
+      {
+        sourceId: 'tmdb',
+        metas: [
+          meta('tt0087182', 'Dune', { releaseInfo: '1984' }),
+          meta('tt1160419', 'Dune', { releaseInfo: '2021' }),
+        ],
+      },
+    ];
+    expect(ids(mergeSearchResults(results, 'Dune'))).toEqual(['tt0087182', 'tt1160419']);
+    expect(ids(mergeSearchResults(results, 'Dune 2021'))).toEqual(['tt1160419', 'tt0087182']);
+  });
+
+  it('still matches titles that end in a year-like number', () => {
+    const merged = mergeSearchResults(
+      [
+        {
+          sourceId: 'tmdb',
+          metas: [
+            meta('tt0083658', 'Blade Runner', { releaseInfo: '1982' }),
+            meta('tt1856101', 'Blade Runner 2049', { releaseInfo: '2017' }),
+          ],
+        },
+      ],
+      'Blade Runner 2049'
+    );
+    expect(ids(merged)[0]).toBe('tt1856101');
+  });
+});
+
+describe('unified search catalogs', () => {
+  it('normalizes unknown modes to off', () => {
+    expect(normalizeUnifiedSearchMode('replace')).toBe('replace');
+    expect(normalizeUnifiedSearchMode('alongside')).toBe('alongside');
+    expect(normalizeUnifiedSearchMode('sometimes')).toBe('off');
+    expect(normalizeUnifiedSearchMode(undefined)).toBe('off');
+  });
+
+  it('builds one catalog per content type the sources cover', () => {
+    const extra = [{ name: 'search', isRequired: true }, { name: 'skip' }];
+    const catalogs = buildUnifiedSearchCatalogs([
+      { id: 'tmdb-search-movie', type: 'movie', name: 'TMDB Search', extra },
+      { id: 'anilist-search-anime', type: 'anime', name: 'AniList Search', extra },
+      { id: 'anilist-search-movie', type: 'movie', name: 'AniList Search', extra },
+    ]);
+    expect(catalogs.map((c) => c.id)).toEqual(['unified-search-movie', 'unified-search-anime']);
+  });
+});
+
+describe('unified search responses', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    searchCache.clear();
+  });
+
+  async function search(
+    fetchCatalogPage: CatalogRequestContext['fetchCatalogPage']
+  ): Promise<{ set: ReturnType<typeof vi.fn>; json: ReturnType<typeof vi.fn> }> {
+    const res = { set: vi.fn(), json: vi.fn() };
+    const request = handleUnifiedSearchRequest({
+      userId: 'user01',
+      type: 'movie',
+      catalogId: 'unified-search-movie',
+      extra: { search: 'alien' },
+      res,
+      fetchCatalogPage,
+    } as unknown as CatalogRequestContext);
+    await vi.advanceTimersByTimeAsync(UNIFIED_SEARCH_LIMITS.SOURCE_TIMEOUT_MS);
+    await request;
+    return res;
+  }
+
+  it('marks results missing a timed-out source as uncacheable', async () => {
+    vi.useFakeTimers();
+    const res = await search(async (catalogId) =>
+      catalogId === 'tmdb-search-movie' ? [meta('tt1', 'Alien')] : new Promise(() => {})
+    );
+
+    expect(res.set).toHaveBeenCalledWith(
+      'Cache-Control',
+      'no-store, no-cache, must-revalidate, proxy-revalidate'
+    );
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      metas: [{ id: 'tt1' }],
+      cacheMaxAge: 0,
+      staleRevalidate: 0,
+    });
+    expect(searchCache.size).toBe(0);
+  });
+
+  it('caches results once every source has answered', async () => {
+    vi.useFakeTimers();
+    const res = await search(async (catalogId) =>
+      catalogId === 'tmdb-search-movie' ? [meta('tt1', 'Alien')] : []
+    );
+
+    expect(res.set).toHaveBeenCalledWith(
+      'Cache-Control',
+      expect.stringContaining(`max-age=${CACHE_TTLS.CATALOG_HEADER}`)
+    );
+    expect(res.json.mock.calls[0][0]).toMatchObject({ cacheMaxAge: CACHE_TTLS.CATALOG_HEADER });
+    expect(searchCache.size).toBe(1);
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryAdapter } from '../../src/services/storage/MemoryAdapter.ts';
+
+let storage = new MemoryAdapter();
+
+vi.mock('../../src/services/storage/index.ts', () => ({
+  getStorage: () => storage,
+}));
+
+import {
+  buildWatchedLookup,
+  createWatchedPosterBadge,
+  deleteWatchHistory,
+  getWatchHistory,
+  importWatchHistory,
+  normalizeWatchedTitlesMode,
+  parseImdbRatingsCsv,
+  parseWatchHistoryExport,
+} from '../../src/services/watchHistory/index.ts';
+import {
+  buildBadgedPosterUrl,
+  fetchPosterImage,
+  isAllowedPosterSource,
+  isValidPosterBadge,
+  renderPosterBadgeSvg,
+  verifyPosterBadgeSignature,
+} from '../../src/services/posterBadge.ts';
+import { applyArtworkOverridesToMetaPreviews } from '../../src/services/artworkService.ts';
+import type { AnimeIdEntry } from '../../src/services/animeIdMap/index.ts';
+import type { ContentType, StremioMetaPreview } from '../../src/types/index.ts';
+
+function meta(
+  id: string,
+  extra: Partial<StremioMetaPreview> = {},
+  type: ContentType = 'movie'
+): StremioMetaPreview {
+  return { id, type, name: id, imdb_id: null, imdbId: null, ...extra } as StremioMetaPreview;
+}
+
+const IMDB_CSV = [
+  '\uFEFFConst,Your Rating,Date Rated,Title,URL,Title Type,IMDb Rating',
+  'tt0133093,9,2024-01-01,The Matrix,https://www.imdb.com/title/tt0133093/,Movie,8.7',
+  'tt0944947,8,2024-01-02,"Game of Thrones, Season 1",https://x,TV Series,9.2',
+  'tt1480055,10,2024-01-03,Winter Is Coming,https://x,TV Episode,8.9',
+  'tt0133093,7,2024-01-04,The Matrix,https://x,Movie,8.7',
+].join('\n');
+
+describe('watch history parsers', () => {
+  it('reads IMDb ratings exports, skipping episodes and duplicates', () => {
+    expect(parseImdbRatingsCsv(IMDB_CSV)).toEqual([
+      { imdbId: 'tt0133093', type: 'movie', rating: 9 },
+      { imdbId: 'tt0944947', type: 'series', rating: 8 },
+    ]);
+    expect(parseImdbRatingsCsv('Title,Year\nThe Matrix,1999')).toBeNull();
+  });
+
+  it('detects Trakt exports and skips episode entries', () => {
+    const trakt = [
+      { watched_at: '2024-01-01', movie: { ids: { imdb: 'tt0133093', tmdb: 603 } } },
+      { rating: 8, show: { ids: { imdb: 'tt0944947', tmdb: 1399 } } },
+      { episode: { ids: { tmdb: 63056 } }, show: { ids: { imdb: 'tt0944947' } } },
+    ];
+    expect(parseWatchHistoryExport(JSON.stringify(trakt))).toEqual({
+      source: 'trakt',
+      titles: [
+        { imdbId: 'tt0133093', tmdbId: 603, type: 'movie' },
+        { imdbId: 'tt0944947', tmdbId: 1399, type: 'series', rating: 8 },
+      ],
+    });
+  });
+
+  it('detects Simkl exports and keeps completed or rated entries', () => {
+    const simkl = {
+      movies: [
+        { status: 'completed', movie: { ids: { imdb: 'tt0133093' } } },
+        { status: 'plantowatch', movie: { ids: { imdb: 'tt0234215' } } },
+      ],
+      anime: [
+        { status: 'dropped', user_rating: 6, anime_type: 'movie', show: { ids: { tmdb: 129 } } },
+      ],
+    };
+    expect(parseWatchHistoryExport(JSON.stringify(simkl))).toEqual({
+      source: 'simkl',
+      titles: [
+        { imdbId: 'tt0133093', type: 'movie' },
+        { tmdbId: 129, type: 'movie', rating: 6 },
+      ],
+    });
+  });
+
+  it('rejects files in no known format', () => {
+    expect(parseWatchHistoryExport('{"lists": []}')).toBeNull();
+    expect(parseWatchHistoryExport('[not json')).toBeNull();
+    expect(parseWatchHistoryExport('name,year\nx,1')).toBeNull();
+  });
+
+  it('accepts only known display modes', () => {
+    expect(normalizeWatchedTitlesMode('hide')).toBe('hide');
+    expect(normalizeWatchedTitlesMode('blur')).toBeUndefined();
+  });
+});
+
+describe('buildWatchedLookup', () => {
+  it('matches previews on imdb ids and typed tmdb ids', () => {
+    const lookup = buildWatchedLookup([
+      { imdbId: 'tt0133093', rating: 9 },
+      { tmdbId: 1399, type: 'series' },
+    ])!;
+    expect(lookup(meta('tmdb:603', { imdb_id: 'tt0133093' }))).toEqual({
+      imdbId: 'tt0133093',
+      rating: 9,
+    });
+    expect(lookup(meta('tmdb:1399', { tmdbId: 1399 }, 'series'))).not.toBeNull();
+    expect(lookup(meta('tmdb:1399', { tmdbId: 1399 }, 'movie'))).toBeNull();
+    expect(buildWatchedLookup([])).toBeNull();
+  });
+
+  it('matches anime previews through the id map', () => {
+    const lookup = (id: string): AnimeIdEntry | undefined =>
+      id === 'kitsu:1' ? { kitsu_id: 1, themoviedb_id: 129 } : undefined;
+    const watched = buildWatchedLookup([{ tmdbId: 129, type: 'movie', rating: 6 }], lookup)!;
+    expect(watched(meta('kitsu:1', {}, 'anime'))).toEqual({
+      tmdbId: 129,
+      type: 'movie',
+      rating: 6,
+    });
+  });
+});
+
+describe('watched poster badges', () => {
+  const src = 'https://image.tmdb.org/t/p/w500/poster.jpg';
+
+  it('signs badge urls and rejects tampered ones', () => {
+    const url = new URL(buildBadgedPosterUrl('https://addon.example/', src, '9'));
+    expect(url.pathname).toBe('/poster/badge.svg');
+    const sig = url.searchParams.get('sig');
+    expect(verifyPosterBadgeSignature(src, '9', sig)).toBe(true);
+    expect(verifyPosterBadgeSignature(src, '10', sig)).toBe(false);
+    expect(verifyPosterBadgeSignature('https://evil.example/x.jpg', '9', sig)).toBe(false);
+    expect(isValidPosterBadge('watched')).toBe(true);
+    expect(isValidPosterBadge('11')).toBe(false);
+  });
+
+  it('rewrites only watched posters without artwork overrides', async () => {
+    const lookup = buildWatchedLookup([{ imdbId: 'tt0133093' }])!;
+    const metas = [
+      meta('tt0133093', { poster: src }),
+      meta('tt0234215', { poster: 'https://image.tmdb.org/t/p/w500/other.jpg' }),
+      meta('tt0133093', { poster: null }),
+    ];
+    const result = await applyArtworkOverridesToMetaPreviews(metas, null, {
+      posterBadge: createWatchedPosterBadge(lookup, 'https://addon.example'),
+    });
+
+    const badged = new URL(result[0].poster as string);
+    expect(badged.searchParams.get('src')).toBe(src);
+    expect(badged.searchParams.get('badge')).toBe('watched');
+    expect(result[1]).toBe(metas[1]);
+    expect(result[2].poster).toBeNull();
+  });
+
+  it('leaves posters from hosts outside the allowlist unbadged', () => {
+    const lookup = buildWatchedLookup([{ imdbId: 'tt0133093' }])!;
+    const badge = createWatchedPosterBadge(lookup, 'https://addon.example');
+    expect(badge(meta('tt0133093'), 'http://169.254.169.254/latest/meta-data')).toBeNull();
+    expect(badge(meta('tt0133093'), 'https://posters.example/tt0133093.jpg')).toBeNull();
+    expect(isAllowedPosterSource(src)).toBe(true);
+    expect(isAllowedPosterSource('http://image.tmdb.org/t/p/w500/poster.jpg')).toBe(false);
+  });
+
+  it('refuses redirects off the allowlist and oversized bodies', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    try {
+      fetchMock.mockResolvedValueOnce(
+        new Response(null, { status: 302, headers: { location: 'http://127.0.0.1/admin' } })
+      );
+      expect(await fetchPosterImage(src)).toBeNull();
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock.mock.calls[0][1].redirect).toBe('manual');
+
+      // No content-length: the body is streamed and cut off at the cap.
+      const chunk = new Uint8Array(1_000_000);
+      const body = new ReadableStream({
+        pull(controller) {
+          controller.enqueue(chunk);
+        },
+      });
+      fetchMock.mockResolvedValueOnce(
+        new Response(body, { headers: { 'content-type': 'image/jpeg' } })
+      );
+      expect(await fetchPosterImage(src)).toBeNull();
+
+      fetchMock
+        .mockResolvedValueOnce(
+          new Response(null, {
+            status: 301,
+            headers: { location: '/t/p/w500/moved.jpg' },
+          })
+        )
+        .mockResolvedValueOnce(
+          new Response(new Uint8Array([1, 2, 3]), { headers: { 'content-type': 'image/png' } })
+        );
+      const poster = await fetchPosterImage(src);
+      expect(poster?.contentType).toBe('image/png');
+      expect(poster?.image.length).toBe(3);
+      expect(fetchMock.mock.calls.at(-1)?.[0]).toBe('https://image.tmdb.org/t/p/w500/moved.jpg');
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('renders the poster under a score badge', () => {
+    const svg = renderPosterBadgeSvg(Buffer.from('img'), 'image/jpeg', '8');
+    expect(svg).toContain('href="data:image/jpeg;base64,aW1n"');
+    expect(svg).toContain('>8</text>');
+  });
+});
+
+describe('watch history storage', () => {
+  beforeEach(() => {
+    storage = new MemoryAdapter();
+  });
+
+  it('replaces the previous import and deletes it', async () => {
+    await importWatchHistory('u1', IMDB_CSV);
+    const replaced = await importWatchHistory(
+      'u1',
+      JSON.stringify([{ movie: { ids: { tmdb: 603 } } }])
+    );
+    expect(replaced.source).toBe('trakt');
+    expect((await getWatchHistory('u1'))?.titles).toEqual([{ tmdbId: 603, type: 'movie' }]);
+
+    expect(await deleteWatchHistory('u1')).toBe(true);
+    expect(await getWatchHistory('u1')).toBeNull();
+  });
+
+  it('refuses files without titles', async () => {
+    await expect(importWatchHistory('u1', '[]')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(importWatchHistory('u1', 'hello')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});